@@ -0,0 +1,136 @@
+/**
+ * Approval Expiry Tests
+ *
+ * Tests for approval expiry policies:
+ * - Deadlines and reminder timing
+ * - Outcomes on expiry, including escalation to a fallback majority
+ * - Policy validation
+ * - Authentication on the policy endpoints
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+const request = require('supertest');
+const app = require('../server');
+const {
+  DEFAULT_POLICY,
+  resolvePolicy,
+  getDeadline,
+  isReminderDue,
+  decideExpiredApproval,
+  describePolicy,
+  validatePolicy,
+} = require('../utils/approvalExpiry');
+
+const requestedAt = new Date('2026-03-01T09:00:00Z');
+const pending = { requestedAt, lastReminderAt: null, escalatedAt: null, requiresAllAdmins: false };
+const policy = (overrides = {}) => ({ ...DEFAULT_POLICY, ...overrides });
+
+describe('Approval Expiry Policies', () => {
+  it('should use the default policy for types a group has not configured', () => {
+    const rows = [{ approvalType: 'delete_file', expiryHours: 24, reminderIntervalHours: null, outcome: 'approve', escalationHours: 12, fallbackPercentage: '60.00' }];
+
+    expect(resolvePolicy('add_member', rows)).toEqual({ approvalType: 'add_member', ...DEFAULT_POLICY, isDefault: true });
+    expect(resolvePolicy('delete_file', rows)).toMatchObject({ expiryHours: 24, outcome: 'approve', fallbackPercentage: 60, isDefault: false });
+  });
+
+  it('should expire after the policy hours, or after the escalation window once escalated', () => {
+    expect(getDeadline(pending, policy({ expiryHours: 48 }))).toEqual(new Date('2026-03-03T09:00:00Z'));
+    expect(getDeadline(pending, policy({ expiryHours: null }))).toBeNull();
+
+    const escalated = { ...pending, escalatedAt: new Date('2026-03-08T09:00:00Z') };
+    expect(getDeadline(escalated, policy({ escalationHours: 24 }))).toEqual(new Date('2026-03-09T09:00:00Z'));
+  });
+
+  it('should remind once per interval since the request or the last reminder', () => {
+    const daily = policy({ reminderIntervalHours: 24 });
+
+    expect(isReminderDue(pending, daily, new Date('2026-03-02T08:59:00Z'))).toBe(false);
+    expect(isReminderDue(pending, daily, new Date('2026-03-02T09:00:00Z'))).toBe(true);
+    expect(isReminderDue({ ...pending, lastReminderAt: new Date('2026-03-02T09:00:00Z') }, daily, new Date('2026-03-02T10:00:00Z'))).toBe(false);
+    expect(isReminderDue(pending, policy({ reminderIntervalHours: null }), new Date('2026-04-01T00:00:00Z'))).toBe(false);
+  });
+
+  it('should apply the policy outcome when time runs out', () => {
+    const votes = { approveVotes: 1, rejectVotes: 0 };
+
+    expect(decideExpiredApproval(pending, policy({ outcome: 'reject' }), votes)).toBe('reject');
+    expect(decideExpiredApproval(pending, policy({ outcome: 'approve' }), votes)).toBe('approve');
+    expect(decideExpiredApproval(pending, policy({ outcome: 'escalate' }), votes)).toBe('escalate');
+  });
+
+  it('should never approve requests that need every admin', () => {
+    const promotion = { ...pending, requiresAllAdmins: true };
+
+    expect(decideExpiredApproval(promotion, policy({ outcome: 'approve' }), { approveVotes: 2, rejectVotes: 0 })).toBe('reject');
+  });
+
+  it('should decide escalated requests by a fallback majority of the votes cast', () => {
+    const escalated = { ...pending, escalatedAt: new Date('2026-03-08T09:00:00Z') };
+    const fallback = policy({ outcome: 'escalate', fallbackPercentage: 50 });
+
+    expect(decideExpiredApproval(escalated, fallback, { approveVotes: 2, rejectVotes: 1 })).toBe('approve');
+    expect(decideExpiredApproval(escalated, fallback, { approveVotes: 1, rejectVotes: 1 })).toBe('reject');
+    expect(decideExpiredApproval(escalated, fallback, { approveVotes: 0, rejectVotes: 0 })).toBe('reject');
+  });
+
+  it('should describe policies for the audit log', () => {
+    expect(describePolicy(DEFAULT_POLICY)).toBe('expires after 168 hours and is rejected; reminders every 24 hours');
+    expect(describePolicy(policy({ expiryHours: null, reminderIntervalHours: null }))).toBe('never expires; no reminders');
+    expect(describePolicy(policy({ outcome: 'escalate' })))
+      .toBe('expires after 168 hours and is escalated for 48 hours, then decided by more than 50% of the votes cast; reminders every 24 hours');
+  });
+});
+
+describe('Approval Expiry Policy Validation', () => {
+  it('should fill missing fields from the default policy', () => {
+    expect(validatePolicy('delete_file', { expiryHours: 72 })).toEqual({ policy: { ...DEFAULT_POLICY, expiryHours: 72 } });
+    expect(validatePolicy('delete_file', { expiryHours: null, reminderIntervalHours: null }).policy)
+      .toMatchObject({ expiryHours: null, reminderIntervalHours: null });
+  });
+
+  it('should reject unknown types, outcomes and out-of-range hours', () => {
+    expect(validatePolicy('swap_responsibility', {}).error).toMatch(/Unknown approval type/);
+    expect(validatePolicy('delete_file', { outcome: 'ignore' }).error).toMatch(/outcome/);
+    expect(validatePolicy('delete_file', { expiryHours: 0 }).error).toMatch(/expiryHours/);
+    expect(validatePolicy('delete_file', { expiryHours: 1.5 }).error).toMatch(/expiryHours/);
+    expect(validatePolicy('delete_file', { fallbackPercentage: 100 }).error).toMatch(/fallbackPercentage/);
+  });
+
+  it('should only allow promotions to admin to be rejected on expiry', () => {
+    expect(validatePolicy('change_role_to_admin', { outcome: 'escalate' }).error).toMatch(/only be rejected/);
+    expect(validatePolicy('change_role_to_admin', { outcome: 'reject' }).policy).toBeDefined();
+  });
+});
+
+describe('Approval Policy API Endpoints', () => {
+  it('should return 401 without authentication when listing policies', async () => {
+    const response = await request(app)
+      .get('/groups/test-group-id/approval-policies')
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 401 without authentication when updating a policy', async () => {
+    const response = await request(app)
+      .put('/groups/test-group-id/approval-policies/delete_file')
+      .send({ expiryHours: 72, outcome: 'reject' })
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+});
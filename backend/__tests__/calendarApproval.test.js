@@ -0,0 +1,222 @@
+/**
+ * Calendar Approval Tests
+ *
+ * Tests that calendar changes go through approval in groups with
+ * calendarChangesRequireApproval on:
+ * - Deleting whole series and single occurrences waits for the admins' vote
+ * - Groups without the setting delete straight away
+ * - Responsibility events and custody schedules wait too, and are created
+ *   once approved
+ */
+
+jest.mock('../config/database', () => ({
+  prisma: {
+    groupMember: { findUnique: jest.fn(), findFirst: jest.fn(), findMany: jest.fn() },
+    groupSettings: { findUnique: jest.fn() },
+    group: { findUnique: jest.fn() },
+    calendarEvent: { findUnique: jest.fn(), create: jest.fn(), delete: jest.fn() },
+    calendarEventException: { findUnique: jest.fn(), upsert: jest.fn() },
+    adminPermission: { findMany: jest.fn() },
+    approval: { create: jest.fn() },
+    approvalVote: { createMany: jest.fn() },
+    auditLog: { create: jest.fn() },
+    $transaction: jest.fn(),
+  },
+}));
+
+jest.mock('../services/pushNotification.service', () => ({
+  sendApprovalNotification: jest.fn(() => Promise.resolve()),
+}));
+
+const { prisma } = require('../config/database');
+const calendarController = require('../controllers/calendar.controller');
+const custodySchedulesController = require('../controllers/custodySchedules.controller');
+const { executeApprovedAction } = require('../controllers/approvals.controller');
+
+const member = {
+  groupMemberId: 'member-1',
+  groupId: 'group-1',
+  role: 'parent',
+  displayName: 'Alex',
+  isRegistered: true,
+};
+
+// Weekly on Mondays from 5 Jan 2026
+const event = {
+  eventId: 'event-1',
+  groupId: 'group-1',
+  title: 'Swimming',
+  startTime: new Date('2026-01-05T09:00:00.000Z'),
+  endTime: new Date('2026-01-05T10:00:00.000Z'),
+  isRecurring: true,
+  recurrencePattern: 'FREQ=WEEKLY',
+  recurrenceInterval: null,
+  recurrenceEndDate: null,
+  timeZone: null,
+};
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+async function deleteEvent(query = {}) {
+  const res = mockResponse();
+  await calendarController.deleteCalendarEvent({
+    user: { userId: 'user-1' },
+    params: { groupId: 'group-1', eventId: 'event-1' },
+    query,
+  }, res);
+  return res;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.groupMember.findUnique.mockResolvedValue(member);
+  prisma.groupMember.findMany.mockResolvedValue([{ groupMemberId: 'admin-1' }, { groupMemberId: 'admin-2' }]);
+  prisma.calendarEvent.findUnique.mockResolvedValue({ ...event, attendees: [] });
+  prisma.approval.create.mockImplementation(async ({ data }) => ({ ...data, approvalId: 'approval-1' }));
+});
+
+describe('Calendar Event Delete Approval', () => {
+  it('should wait for approval before deleting a series', async () => {
+    prisma.groupSettings.findUnique.mockResolvedValue({ calendarChangesRequireApproval: true });
+
+    const res = await deleteEvent();
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      success: true,
+      requiresApproval: true,
+      approvalId: 'approval-1',
+    }));
+    expect(prisma.approval.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        approvalType: 'delete_calendar_event',
+        relatedEntityId: 'event-1',
+        status: 'pending',
+      }),
+    });
+    expect(prisma.calendarEvent.delete).not.toHaveBeenCalled();
+  });
+
+  it('should wait for approval before deleting one occurrence', async () => {
+    prisma.groupSettings.findUnique.mockResolvedValue({ calendarChangesRequireApproval: true });
+
+    const res = await deleteEvent({ scope: 'this', occurrenceStart: '2026-01-12T09:00:00.000Z' });
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ requiresApproval: true }));
+    expect(prisma.approval.create.mock.calls[0][0].data.approvalData.fields).toEqual({
+      scope: 'this',
+      occurrenceStart: '2026-01-12T09:00:00.000Z',
+    });
+    expect(prisma.calendarEventException.upsert).not.toHaveBeenCalled();
+  });
+
+  it('should delete straight away when the group does not require approval', async () => {
+    prisma.groupSettings.findUnique.mockResolvedValue({ calendarChangesRequireApproval: false });
+
+    const res = await deleteEvent();
+
+    expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Event deleted successfully' });
+    expect(prisma.calendarEvent.delete).toHaveBeenCalledWith({ where: { eventId: 'event-1' } });
+    expect(prisma.approval.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Responsibility Event and Custody Schedule Approval', () => {
+  const members = [
+    { groupMemberId: 'member-1', role: 'parent', displayName: 'Alex', iconColor: '#000', user: null },
+    { groupMemberId: 'member-2', role: 'parent', displayName: 'Sam', iconColor: '#111', user: null },
+    { groupMemberId: 'child-1', role: 'child', displayName: 'Kim', iconColor: '#222', user: null },
+  ];
+
+  const scheduleBody = {
+    pattern: 'week-on-week-off',
+    startTime: '2026-11-02T08:00:00.000Z',
+    childIds: ['child-1'],
+    responsibleMemberIds: ['member-1', 'member-2'],
+    timeZone: 'Australia/Sydney',
+  };
+
+  beforeEach(() => {
+    prisma.groupSettings.findUnique.mockResolvedValue({ calendarChangesRequireApproval: true });
+    prisma.groupMember.findFirst.mockResolvedValue(member);
+    prisma.group.findUnique.mockResolvedValue({ readOnlyUntil: null, hasActiveAdmin: true });
+    // Admins for the approval snapshot, members for the schedule
+    prisma.groupMember.findMany.mockImplementation(async ({ where }) => (
+      where.role === 'admin'
+        ? [{ groupMemberId: 'admin-1' }, { groupMemberId: 'admin-2' }]
+        : members.filter(m => where.groupMemberId.in.includes(m.groupMemberId))
+    ));
+    prisma.$transaction.mockImplementation(callback => callback(prisma));
+    prisma.calendarEvent.create.mockImplementation(async ({ data }) => ({ ...data, eventId: 'event-new' }));
+  });
+
+  it('should wait for approval before creating a responsibility event', async () => {
+    const res = mockResponse();
+    await calendarController.createResponsibilityEvent({
+      user: { userId: 'user-1' },
+      params: { groupId: 'group-1' },
+      body: {
+        title: 'School pickup',
+        startTime: '2026-11-02T15:00:00.000Z',
+        endTime: '2026-11-02T16:00:00.000Z',
+        responsibilityEvents: [{ childId: 'child-1', startResponsibleMemberId: 'member-1' }],
+      },
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ requiresApproval: true, approvalId: 'approval-1' }));
+    expect(prisma.approval.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        approvalType: 'create_responsibility_event',
+        approvalData: expect.objectContaining({ eventTitle: 'School pickup' }),
+      }),
+    });
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('should wait for approval before creating a custody schedule', async () => {
+    const res = mockResponse();
+    await custodySchedulesController.createCustodySchedule({
+      user: { userId: 'user-1' },
+      params: { groupId: 'group-1' },
+      body: scheduleBody,
+    }, res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ requiresApproval: true }));
+    const { data } = prisma.approval.create.mock.calls[0][0];
+    expect(data.approvalType).toBe('create_custody_schedule');
+    expect(data.approvalData.fields).toEqual(scheduleBody);
+    expect(data.approvalData.changes).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'children', to: 'Kim' }),
+      expect.objectContaining({ field: 'responsibleMembers', to: 'Alex, Sam' }),
+    ]));
+    expect(prisma.calendarEvent.create).not.toHaveBeenCalled();
+  });
+
+  it('should create the custody schedule once approved', async () => {
+    prisma.groupMember.findUnique.mockResolvedValue(member);
+
+    await executeApprovedAction({
+      approvalId: 'approval-1',
+      groupId: 'group-1',
+      approvalType: 'create_custody_schedule',
+      requestedBy: 'member-1',
+      approvalData: { eventTitle: 'Week on / week off', fields: scheduleBody },
+    });
+
+    expect(prisma.calendarEvent.create).toHaveBeenCalled();
+    expect(prisma.calendarEvent.create.mock.calls[0][0].data).toMatchObject({
+      groupId: 'group-1',
+      isResponsibilityEvent: true,
+      createdBy: 'member-1',
+    });
+    expect(prisma.auditLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ action: 'create_custody_schedule' }),
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Calendar Feed Tests
+ *
+ * Tests for the subscribable ICS feed of a group calendar:
+ * - iCal export (summaries, recurrence, exceptions)
+ * - Calendar layer visibility
+ * - Feed management and public feed endpoints
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+const request = require('supertest');
+const app = require('../server');
+const { buildCalendarFeed, getResponsibilitySummary, isEventVisibleForLayers } = require('../utils/icalExport');
+const { parseIcalString } = require('../utils/parseIcal');
+
+describe('iCal Export Utility', () => {
+  const mum = { displayName: 'Mum', user: null };
+  const dad = { displayName: 'Dad', user: { displayName: 'Dad (Alex)' } };
+  const sam = { displayName: 'Sam', user: null };
+
+  const responsibilityEvent = {
+    eventId: 'event-1',
+    title: 'Custody',
+    notes: null,
+    startTime: new Date('2026-01-02T07:00:00Z'),
+    endTime: new Date('2026-01-04T17:00:00Z'),
+    updatedAt: new Date('2026-01-01T00:00:00Z'),
+    isRecurring: false,
+    isResponsibilityEvent: true,
+    attendees: [],
+    responsibilityEvents: [{
+      responsibilityEventId: 're-1',
+      childId: 'gm-sam',
+      child: sam,
+      startResponsibilityType: 'member',
+      startResponsibleMemberId: 'gm-mum',
+      startResponsibleMember: mum,
+      endResponsibilityType: 'member',
+      endResponsibleMemberId: 'gm-dad',
+      endResponsibleMember: dad,
+    }],
+  };
+
+  describe('getResponsibilitySummary', () => {
+    it('should describe who has the child and any handover', () => {
+      expect(getResponsibilitySummary(responsibilityEvent.responsibilityEvents[0])).toEqual({
+        summary: 'Mum has Sam',
+        handoverTo: 'Dad (Alex)',
+      });
+    });
+
+    it('should use names of people outside the group', () => {
+      const summary = getResponsibilitySummary({
+        child: sam,
+        startResponsibilityType: 'other',
+        startResponsibleOtherName: 'Grandma',
+        endResponsibilityType: 'other',
+        endResponsibleOtherName: 'Grandma',
+      });
+
+      expect(summary).toEqual({ summary: 'Grandma has Sam', handoverTo: null });
+    });
+  });
+
+  describe('buildCalendarFeed', () => {
+    it('should produce a feed that parses back into events', () => {
+      const ics = buildCalendarFeed({ calendarName: 'Smith Family', events: [responsibilityEvent] });
+      const events = parseIcalString(ics);
+
+      expect(ics).toContain('X-WR-CALNAME:Smith Family');
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({
+        externalUid: 're-1@familyhelper.app',
+        title: 'Mum has Sam',
+        description: 'Handover to Dad (Alex) at the end',
+      });
+      expect(events[0].startTime.toISOString()).toBe('2026-01-02T07:00:00.000Z');
+    });
+
+    it('should export recurring series with EXDATE and RECURRENCE-ID', () => {
+      const ics = buildCalendarFeed({
+        calendarName: 'Smith Family',
+        events: [{
+          eventId: 'event-2',
+          title: 'Swimming',
+          notes: 'Bring towel',
+          startTime: new Date('2026-01-05T16:00:00Z'),
+          endTime: new Date('2026-01-05T17:00:00Z'),
+          isRecurring: true,
+          recurrencePattern: 'RRULE:FREQ=WEEKLY',
+          isResponsibilityEvent: false,
+          exceptions: [
+            { originalStartTime: new Date('2026-01-12T16:00:00Z'), isCancelled: true },
+            {
+              originalStartTime: new Date('2026-01-19T16:00:00Z'),
+              isCancelled: false,
+              title: 'Swimming gala',
+              startTime: new Date('2026-01-19T09:00:00Z'),
+              endTime: null,
+            },
+          ],
+        }],
+      });
+
+      expect(ics).toContain('RRULE:FREQ=WEEKLY');
+      expect(ics).toContain('EXDATE:20260112T160000Z');
+      expect(ics).toContain('RECURRENCE-ID:20260119T160000Z');
+      expect(ics).toContain('SUMMARY:Swimming gala');
+      expect(ics).toContain('DTEND:20260119T170000Z');
+    });
+  });
+
+  describe('isEventVisibleForLayers', () => {
+    it('should show events when any related member layer is visible', () => {
+      const prefs = [{ memberLayerId: 'gm-mum', isVisible: false }];
+      expect(isEventVisibleForLayers(responsibilityEvent, prefs)).toBe(true);
+    });
+
+    it('should hide events when every related member layer is hidden', () => {
+      const prefs = ['gm-mum', 'gm-dad', 'gm-sam'].map(id => ({ memberLayerId: id, isVisible: false }));
+      expect(isEventVisibleForLayers(responsibilityEvent, prefs)).toBe(false);
+    });
+  });
+});
+
+describe('Calendar Feed API Endpoints', () => {
+  describe('POST /groups/:groupId/calendar/feed', () => {
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .post('/groups/test-group-id/calendar/feed')
+        .expect('Content-Type', /json/);
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('DELETE /groups/:groupId/calendar/feed', () => {
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .delete('/groups/test-group-id/calendar/feed')
+        .expect('Content-Type', /json/);
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /calendar/feed/:token.ics', () => {
+    it('should return 404 for a malformed token', async () => {
+      const response = await request(app).get('/calendar/feed/not-a-token.ics');
+
+      expect(response.status).toBe(404);
+      expect(response.text).toBe('Calendar feed not found');
+    });
+  });
+});
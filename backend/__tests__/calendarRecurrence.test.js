@@ -0,0 +1,198 @@
+/**
+ * Calendar Recurrence Tests
+ *
+ * Tests for server-side expansion of recurring calendar events:
+ * - RRULE normalisation (including legacy patterns)
+ * - Occurrence expansion inside a window
+ * - Per-occurrence exceptions (cancelled / overridden)
+ * - Splitting a series for "this and following" edits
+ * - Series that repeat at a local time across DST changes
+ */
+
+const recurrence = require('../utils/recurrence');
+
+describe('Recurrence Utility', () => {
+  const weeklyHandover = {
+    eventId: 'event-1',
+    title: 'Custody handover',
+    notes: null,
+    startTime: new Date('2026-01-02T07:00:00Z'),
+    endTime: new Date('2026-01-02T08:00:00Z'),
+  };
+
+  describe('normalizeRule', () => {
+    it('should strip an RRULE: prefix', () => {
+      expect(recurrence.normalizeRule('RRULE:FREQ=WEEKLY;INTERVAL=2')).toBe('FREQ=WEEKLY;INTERVAL=2');
+    });
+
+    it('should convert legacy patterns with interval and end date', () => {
+      const rule = recurrence.normalizeRule('weekly', {
+        interval: 2,
+        until: new Date('2026-03-01T00:00:00Z'),
+      });
+      expect(rule).toBe('FREQ=WEEKLY;INTERVAL=2;UNTIL=20260301T000000Z');
+    });
+
+    it('should return null for empty or invalid values', () => {
+      expect(recurrence.normalizeRule(null)).toBeNull();
+      expect(recurrence.normalizeRule('sometimes')).toBeNull();
+    });
+  });
+
+  describe('expandEvent', () => {
+    it('should expand weekly occurrences inside the window', () => {
+      const occurrences = recurrence.expandEvent(weeklyHandover, 'FREQ=WEEKLY', {
+        start: new Date('2026-02-01T00:00:00Z'),
+        end: new Date('2026-02-28T23:59:59Z'),
+      });
+
+      expect(occurrences.map(o => o.startTime.toISOString())).toEqual([
+        '2026-02-06T07:00:00.000Z',
+        '2026-02-13T07:00:00.000Z',
+        '2026-02-20T07:00:00.000Z',
+        '2026-02-27T07:00:00.000Z',
+      ]);
+      expect(occurrences[0]).toMatchObject({
+        eventId: 'event-1',
+        occurrenceId: 'event-1_20260206T070000Z',
+        isOccurrence: true,
+        isException: false,
+      });
+      expect(occurrences[0].endTime.toISOString()).toBe('2026-02-06T08:00:00.000Z');
+    });
+
+    it('should respect COUNT and UNTIL', () => {
+      const window = { start: new Date('2026-01-01T00:00:00Z'), end: new Date('2026-12-31T00:00:00Z') };
+
+      expect(recurrence.expandEvent(weeklyHandover, 'FREQ=WEEKLY;COUNT=3', window)).toHaveLength(3);
+      expect(recurrence.expandEvent(weeklyHandover, 'FREQ=WEEKLY;UNTIL=20260116T235959Z', window)).toHaveLength(3);
+    });
+
+    it('should support BYDAY rules from imported calendars', () => {
+      const occurrences = recurrence.expandEvent(weeklyHandover, 'FREQ=WEEKLY;BYDAY=MO,FR', {
+        start: new Date('2026-01-05T00:00:00Z'),
+        end: new Date('2026-01-11T00:00:00Z'),
+      });
+
+      expect(occurrences.map(o => o.startTime.getUTCDay())).toEqual([1, 5]);
+    });
+
+    it('should drop cancelled occurrences and apply overrides', () => {
+      const exceptions = [
+        { originalStartTime: new Date('2026-01-09T07:00:00Z'), isCancelled: true },
+        {
+          originalStartTime: new Date('2026-01-16T07:00:00Z'),
+          isCancelled: false,
+          title: 'Handover at school',
+          startTime: new Date('2026-01-16T15:00:00Z'),
+          endTime: new Date('2026-01-16T15:30:00Z'),
+        },
+      ];
+
+      const occurrences = recurrence.expandEvent(weeklyHandover, 'FREQ=WEEKLY', {
+        start: new Date('2026-01-01T00:00:00Z'),
+        end: new Date('2026-01-20T00:00:00Z'),
+      }, exceptions);
+
+      expect(occurrences.map(o => o.startTime.toISOString())).toEqual([
+        '2026-01-02T07:00:00.000Z',
+        '2026-01-16T15:00:00.000Z',
+      ]);
+      expect(occurrences[1]).toMatchObject({
+        title: 'Handover at school',
+        isException: true,
+      });
+      expect(occurrences[1].recurrenceId.toISOString()).toBe('2026-01-16T07:00:00.000Z');
+    });
+  });
+
+  describe('time zones', () => {
+    // Friday 17:00 in Sydney: AEDT (UTC+11) until clocks go back on 5 April 2026
+    const sydneyHandover = {
+      ...weeklyHandover,
+      startTime: new Date('2026-03-20T06:00:00Z'),
+      endTime: new Date('2026-03-20T07:00:00Z'),
+      timeZone: 'Australia/Sydney',
+    };
+
+    it('should keep the local time across a DST change', () => {
+      const occurrences = recurrence.expandEvent(sydneyHandover, 'FREQ=WEEKLY', {
+        start: new Date('2026-03-01T00:00:00Z'),
+        end: new Date('2026-04-12T00:00:00Z'),
+      });
+
+      expect(occurrences.map(o => o.startTime.toISOString())).toEqual([
+        '2026-03-20T06:00:00.000Z',
+        '2026-03-27T06:00:00.000Z',
+        '2026-04-03T06:00:00.000Z',
+        '2026-04-10T07:00:00.000Z',
+      ]);
+      expect(occurrences[3].endTime.toISOString()).toBe('2026-04-10T08:00:00.000Z');
+      expect(recurrence.isOccurrence({ ...sydneyHandover, rule: 'FREQ=WEEKLY' }, new Date('2026-04-10T07:00:00Z'))).toBe(true);
+    });
+
+    it('should expand in UTC without a time zone', () => {
+      const occurrences = recurrence.expandEvent({ ...sydneyHandover, timeZone: null }, 'FREQ=WEEKLY', {
+        start: new Date('2026-04-09T00:00:00Z'),
+        end: new Date('2026-04-12T00:00:00Z'),
+      });
+
+      expect(occurrences.map(o => o.startTime.toISOString())).toEqual(['2026-04-10T06:00:00.000Z']);
+    });
+
+    it('should use local days for BYDAY and a local UNTIL', () => {
+      // Monday and Friday 08:00 in New York, until the second Friday
+      const newYorkSchoolRun = {
+        ...weeklyHandover,
+        startTime: new Date('2026-03-02T13:00:00Z'), // Monday 08:00 EST
+        endTime: new Date('2026-03-02T13:30:00Z'),
+        timeZone: 'America/New_York',
+      };
+
+      const occurrences = recurrence.expandEvent(newYorkSchoolRun, 'FREQ=WEEKLY;BYDAY=MO,FR;UNTIL=20260313T080000', {
+        start: new Date('2026-03-01T00:00:00Z'),
+        end: new Date('2026-03-31T00:00:00Z'),
+      });
+
+      // Clocks go forward on 8 March 2026 (EST UTC-5 -> EDT UTC-4)
+      expect(occurrences.map(o => o.startTime.toISOString())).toEqual([
+        '2026-03-02T13:00:00.000Z',
+        '2026-03-06T13:00:00.000Z',
+        '2026-03-09T12:00:00.000Z',
+        '2026-03-13T12:00:00.000Z',
+      ]);
+    });
+  });
+
+  describe('splitRule', () => {
+    it('should end the original series before the split occurrence', () => {
+      const { endingRule, followingRule } = recurrence.splitRule(
+        'FREQ=WEEKLY',
+        weeklyHandover,
+        new Date('2026-01-16T07:00:00Z')
+      );
+
+      expect(endingRule).toBe('FREQ=WEEKLY;UNTIL=20260116T065959Z');
+      expect(followingRule).toBe('FREQ=WEEKLY');
+    });
+
+    it('should reduce COUNT for the following series', () => {
+      const { endingRule, followingRule } = recurrence.splitRule(
+        'FREQ=WEEKLY;COUNT=5',
+        weeklyHandover,
+        new Date('2026-01-16T07:00:00Z')
+      );
+
+      expect(endingRule).toBe('FREQ=WEEKLY;UNTIL=20260116T065959Z');
+      expect(followingRule).toBe('FREQ=WEEKLY;COUNT=3');
+    });
+  });
+
+  describe('isOccurrence', () => {
+    it('should only match dates generated by the rule', () => {
+      const series = { ...weeklyHandover, rule: 'FREQ=WEEKLY' };
+      expect(recurrence.isOccurrence(series, new Date('2026-01-09T07:00:00Z'))).toBe(true);
+      expect(recurrence.isOccurrence(series, new Date('2026-01-10T07:00:00Z'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Custody Schedule Tests
+ *
+ * Tests for custody schedule templates:
+ * - Pattern series generation
+ * - Layering resolution (later events override earlier ones)
+ * - Custody schedule endpoints
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+const request = require('supertest');
+const app = require('../server');
+const recurrence = require('../utils/recurrence');
+const { listPatterns, buildScheduleSeries } = require('../utils/custodySchedule');
+const { resolveLayers } = require('../utils/responsibilityLayers');
+
+const MOM = 'member-mom';
+const DAD = 'member-dad';
+const START = new Date('2026-11-02T17:00:00Z'); // Monday
+
+/**
+ * Expand schedule series into layers inside a window
+ */
+function expandSeries(series, window) {
+  return series.flatMap(s => recurrence.expandOccurrences(s, window).map(occurrence => ({
+    startTime: occurrence.startTime,
+    endTime: occurrence.endTime,
+    memberId: s.memberId,
+  })));
+}
+
+describe('Custody Schedule Utility', () => {
+  it('should list patterns with their cycle length', () => {
+    const patterns = listPatterns();
+
+    expect(patterns.find(p => p.key === '2-2-3').cycleDays).toBe(14);
+    expect(patterns.find(p => p.key === 'week-on-week-off').cycleDays).toBe(14);
+    expect(patterns.every(p => p.memberCount === 2)).toBe(true);
+  });
+
+  it('should build a 2-2-3 cycle with handovers to the next member', () => {
+    const series = buildScheduleSeries({ pattern: '2-2-3', startTime: START, memberIds: [MOM, DAD] });
+
+    expect(series.map(s => s.memberId)).toEqual([MOM, DAD, MOM, DAD, MOM, DAD]);
+    expect(series.map(s => s.nextMemberId)).toEqual([DAD, MOM, DAD, MOM, DAD, MOM]);
+    expect(series[2].startTime.toISOString()).toBe('2026-11-06T17:00:00.000Z');
+    expect(series[2].endTime.toISOString()).toBe('2026-11-09T17:00:00.000Z');
+    expect(series.every(s => s.rule === 'FREQ=DAILY;INTERVAL=14')).toBe(true);
+  });
+
+  it('should end the series on the end date', () => {
+    const series = buildScheduleSeries({
+      pattern: 'week-on-week-off',
+      startTime: START,
+      endDate: new Date('2027-01-31T00:00:00Z'),
+      memberIds: [MOM, DAD],
+    });
+
+    expect(series[0].rule).toBe('FREQ=DAILY;INTERVAL=14;UNTIL=20270131T235959Z');
+  });
+
+  it('should cover every moment of the cycle without overlaps', () => {
+    const window = { start: START, end: new Date('2026-11-30T17:00:00Z') };
+    const layers = expandSeries(buildScheduleSeries({ pattern: '2-2-3', startTime: START, memberIds: [MOM, DAD] }), window);
+    const segments = resolveLayers(layers, window);
+
+    for (let i = 1; i < segments.length; i++) {
+      expect(segments[i].startTime.getTime()).toBe(segments[i - 1].endTime.getTime());
+    }
+    expect(segments[0].startTime.getTime()).toBe(window.start.getTime());
+    expect(segments[segments.length - 1].endTime.getTime()).toBe(window.end.getTime());
+  });
+
+  it('should throw for unknown patterns', () => {
+    expect(() => buildScheduleSeries({ pattern: 'every-other-tuesday', startTime: START, memberIds: [MOM, DAD] }))
+      .toThrow('Unknown custody pattern');
+  });
+});
+
+describe('Responsibility Layers', () => {
+  const week = { startTime: new Date('2026-12-21T00:00:00Z'), endTime: new Date('2026-12-28T00:00:00Z'), memberId: MOM };
+  const holiday = { startTime: new Date('2026-12-24T00:00:00Z'), endTime: new Date('2026-12-26T00:00:00Z'), memberId: DAD };
+
+  it('should let later layers override earlier ones', () => {
+    const segments = resolveLayers([week, holiday]);
+
+    expect(segments.map(s => [s.layer.memberId, s.startTime.toISOString(), s.endTime.toISOString()])).toEqual([
+      [MOM, '2026-12-21T00:00:00.000Z', '2026-12-24T00:00:00.000Z'],
+      [DAD, '2026-12-24T00:00:00.000Z', '2026-12-26T00:00:00.000Z'],
+      [MOM, '2026-12-26T00:00:00.000Z', '2026-12-28T00:00:00.000Z'],
+    ]);
+  });
+
+  it('should hide earlier layers completely covered by later ones', () => {
+    const segments = resolveLayers([holiday, week]);
+
+    expect(segments).toHaveLength(1);
+    expect(segments[0].layer).toBe(week);
+  });
+
+  it('should clip to the window and leave gaps out', () => {
+    const later = { startTime: new Date('2027-01-04T00:00:00Z'), endTime: new Date('2027-01-05T00:00:00Z'), memberId: DAD };
+    const segments = resolveLayers([week, later], {
+      start: new Date('2026-12-27T00:00:00Z'),
+      end: new Date('2027-01-04T12:00:00Z'),
+    });
+
+    expect(segments.map(s => [s.layer.memberId, s.startTime.toISOString(), s.endTime.toISOString()])).toEqual([
+      [MOM, '2026-12-27T00:00:00.000Z', '2026-12-28T00:00:00.000Z'],
+      [DAD, '2027-01-04T00:00:00.000Z', '2027-01-04T12:00:00.000Z'],
+    ]);
+  });
+});
+
+describe('Custody Schedule API Endpoints', () => {
+  it('should return 401 for patterns without authentication', async () => {
+    const response = await request(app)
+      .get('/groups/test-group-id/calendar/custody-patterns')
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 401 for preview without authentication', async () => {
+    const response = await request(app)
+      .post('/groups/test-group-id/calendar/custody-schedules/preview')
+      .send({ pattern: '2-2-3' })
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Deliver Scheduled Messages Job Tests
+ *
+ * Tests that messages whose delivery was interrupted are failed one by one,
+ * and their senders told, like any other failed scheduled message
+ */
+
+jest.mock('../config/database', () => ({
+  prisma: {
+    scheduledMessage: {
+      findMany: jest.fn(),
+      updateMany: jest.fn(),
+      update: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../services/pushNotification.service', () => ({
+  sendToUser: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../services/messageSend.service', () => ({
+  sendMessageGroupMessage: jest.fn(),
+}));
+
+const { prisma } = require('../config/database');
+const pushNotificationService = require('../services/pushNotification.service');
+const messageSendService = require('../services/messageSend.service');
+const { runScheduledMessagesJob } = require('../jobs/deliverScheduledMessages');
+
+const NOW = new Date('2026-10-20T10:00:00.000Z');
+
+function stuckMessage(scheduledMessageId, userId) {
+  return {
+    scheduledMessageId,
+    messageGroupId: 'mg-1',
+    status: 'sending',
+    sender: { groupMemberId: `member-${userId}`, userId },
+    messageGroup: { groupId: 'group-1', name: 'Family' },
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  // Stuck messages first, then nothing due
+  prisma.scheduledMessage.findMany
+    .mockResolvedValueOnce([stuckMessage('scheduled-1', 'user-1'), stuckMessage('scheduled-2', 'user-2')])
+    .mockResolvedValueOnce([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Scheduled Messages Job', () => {
+  it('should fail interrupted messages and notify their senders', async () => {
+    prisma.scheduledMessage.updateMany.mockResolvedValue({ count: 1 });
+
+    const result = await runScheduledMessagesJob(NOW);
+
+    expect(result).toEqual({ sent: 0, failed: 0, interrupted: 2 });
+    expect(prisma.scheduledMessage.findMany.mock.calls[0][0].where).toEqual({
+      status: 'sending',
+      updatedAt: { lt: new Date('2026-10-20T09:50:00.000Z') },
+    });
+    expect(prisma.scheduledMessage.updateMany).toHaveBeenCalledWith({
+      where: { scheduledMessageId: 'scheduled-1', status: 'sending' },
+      data: { status: 'failed', failureReason: 'Delivery was interrupted' },
+    });
+    expect(pushNotificationService.sendToUser.mock.calls.map(([userId, title, body]) => [userId, title, body])).toEqual([
+      ['user-1', 'Scheduled message not sent', 'Your message to Family could not be sent: Delivery was interrupted'],
+      ['user-2', 'Scheduled message not sent', 'Your message to Family could not be sent: Delivery was interrupted'],
+    ]);
+    expect(messageSendService.sendMessageGroupMessage).not.toHaveBeenCalled();
+  });
+
+  it('should not notify again for a message failed meanwhile', async () => {
+    prisma.scheduledMessage.updateMany
+      .mockResolvedValueOnce({ count: 0 })
+      .mockResolvedValueOnce({ count: 1 });
+
+    const result = await runScheduledMessagesJob(NOW);
+
+    expect(result.interrupted).toBe(1);
+    expect(pushNotificationService.sendToUser).toHaveBeenCalledTimes(1);
+    expect(pushNotificationService.sendToUser).toHaveBeenCalledWith('user-2', expect.any(String), expect.any(String), expect.any(Object));
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Enforce Retention Job Tests
+ *
+ * Tests that the retention job removes expired files from storage:
+ * - Media files, keeping their records for the "deleted" placeholder
+ * - Call recordings and their chunks, with their transcripts
+ * - Carrying on when a file is already gone
+ */
+
+jest.mock('../config/database', () => ({
+  prisma: {
+    group: { findMany: jest.fn() },
+    message: { findMany: jest.fn() },
+    messageMedia: { findMany: jest.fn(), updateMany: jest.fn() },
+    phoneCall: { findMany: jest.fn(), update: jest.fn() },
+    videoCall: { findMany: jest.fn(), update: jest.fn() },
+    callTranscript: { deleteMany: jest.fn() },
+    searchToken: { deleteMany: jest.fn() },
+    auditLog: { create: jest.fn() },
+  },
+}));
+
+jest.mock('../services/storage', () => ({
+  storageService: { hardDeleteFile: jest.fn() },
+}));
+
+jest.mock('../controllers/storage.controller', () => ({
+  recalculateGroupStorage: jest.fn(),
+}));
+
+const { prisma } = require('../config/database');
+const { storageService } = require('../services/storage');
+const { recalculateGroupStorage } = require('../controllers/storage.controller');
+const { runRetentionJob } = require('../jobs/enforceRetention');
+
+const NOW = new Date('2026-06-01T00:00:00.000Z');
+
+function mockGroup({ settings, messageGroups = [] }) {
+  prisma.group.findMany.mockResolvedValue([{
+    groupId: 'group-1',
+    settings,
+    messageGroups,
+    logExports: [],
+  }]);
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  prisma.phoneCall.findMany.mockResolvedValue([]);
+  prisma.videoCall.findMany.mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Retention Job Storage Deletion', () => {
+  it('should delete expired media files and keep their records', async () => {
+    mockGroup({
+      settings: { messageRetentionDays: null, mediaRetentionDays: 30, recordingRetentionDays: null },
+      messageGroups: [{ messageGroupId: 'mg-1', name: 'Family', messageRetentionDays: null, mediaRetentionDays: null }],
+    });
+    prisma.messageMedia.findMany
+      .mockResolvedValueOnce([
+        { mediaId: 'media-1', url: 'file-1' },
+        { mediaId: 'media-2', url: 'file-2' },
+      ])
+      .mockResolvedValueOnce([]);
+    prisma.messageMedia.updateMany.mockResolvedValue({ count: 2 });
+
+    const totals = await runRetentionJob(NOW);
+
+    expect(totals.media).toBe(2);
+    expect(storageService.hardDeleteFile.mock.calls).toEqual([['file-1'], ['file-2']]);
+    expect(prisma.messageMedia.updateMany).toHaveBeenCalledWith({
+      where: { mediaId: { in: ['media-1', 'media-2'] } },
+      data: { isHidden: true, hiddenAt: expect.any(Date) },
+    });
+    expect(prisma.auditLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ action: 'retention_delete_media' }),
+    });
+    expect(recalculateGroupStorage).toHaveBeenCalledWith('group-1');
+  });
+
+  it('should delete expired recordings, their chunks and transcripts', async () => {
+    mockGroup({
+      settings: { messageRetentionDays: null, mediaRetentionDays: null, recordingRetentionDays: 90 },
+    });
+    prisma.videoCall.findMany.mockResolvedValue([
+      { callId: 'call-1', recordingFileId: 'recording-1', recordingChunks: [] },
+      { callId: 'call-2', recordingFileId: null, recordingChunks: [{ fileId: 'chunk-1' }, { fileId: 'chunk-2' }] },
+    ]);
+
+    const totals = await runRetentionJob(NOW);
+
+    expect(totals.recordings).toBe(2);
+    expect(storageService.hardDeleteFile.mock.calls).toEqual([['recording-1'], ['chunk-1'], ['chunk-2']]);
+    expect(prisma.videoCall.update).toHaveBeenCalledWith({
+      where: { callId: 'call-2' },
+      data: { recordingIsHidden: true, recordingHiddenAt: expect.any(Date) },
+    });
+    expect(prisma.callTranscript.deleteMany).toHaveBeenCalledWith({
+      where: { callType: 'video', callId: { in: ['call-1', 'call-2'] } },
+    });
+    expect(prisma.phoneCall.update).not.toHaveBeenCalled();
+  });
+
+  it('should carry on when a file is already gone from storage', async () => {
+    mockGroup({
+      settings: { messageRetentionDays: null, mediaRetentionDays: null, recordingRetentionDays: 90 },
+    });
+    prisma.phoneCall.findMany.mockResolvedValue([
+      { callId: 'call-1', recordingFileId: 'missing', recordingChunks: [] },
+      { callId: 'call-2', recordingFileId: 'recording-2', recordingChunks: [] },
+    ]);
+    storageService.hardDeleteFile.mockRejectedValueOnce(new Error('File not found'));
+
+    const totals = await runRetentionJob(NOW);
+
+    expect(totals.recordings).toBe(2);
+    expect(storageService.hardDeleteFile).toHaveBeenCalledWith('recording-2');
+    expect(prisma.phoneCall.update).toHaveBeenCalledTimes(2);
+  });
+});
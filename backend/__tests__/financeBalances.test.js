@@ -0,0 +1,106 @@
+/**
+ * Finance Balances Tests
+ *
+ * Tests for partial payments, overdue status and running balances:
+ * - Finance balance utility
+ * - Finance balances endpoint
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+const request = require('supertest');
+const app = require('../server');
+const { summarizeMatter, calculateMemberBalances } = require('../utils/financeBalances');
+
+describe('Finance Balance Utility', () => {
+  const now = new Date('2026-03-01T00:00:00Z');
+
+  const schoolFees = {
+    financeMatterId: 'fm-1',
+    name: 'School fees',
+    currency: 'AUD',
+    createdAt: new Date('2026-01-01T00:00:00Z'),
+    dueDate: new Date('2026-02-01T00:00:00Z'),
+    isSettled: false,
+    isCanceled: false,
+    members: [
+      { groupMemberId: 'gm-mum', expectedAmount: '150', paidAmount: '300' },
+      { groupMemberId: 'gm-dad', expectedAmount: '150', paidAmount: '100' },
+    ],
+  };
+
+  const uniform = {
+    financeMatterId: 'fm-2',
+    name: 'Uniform',
+    currency: 'AUD',
+    createdAt: new Date('2026-02-01T00:00:00Z'),
+    dueDate: null,
+    isSettled: false,
+    isCanceled: false,
+    members: [
+      { groupMemberId: 'gm-mum', expectedAmount: '40', paidAmount: '0' },
+      { groupMemberId: 'gm-dad', expectedAmount: '40', paidAmount: '80' },
+    ],
+  };
+
+  describe('summarizeMatter', () => {
+    it('should report partial payments and overdue status', () => {
+      expect(summarizeMatter(schoolFees, now)).toEqual({
+        status: 'overdue',
+        isOverdue: true,
+        totalPaid: 400,
+        outstandingAmount: 50,
+      });
+    });
+
+    it('should not mark settled matters as overdue', () => {
+      expect(summarizeMatter({ ...schoolFees, isSettled: true }, now).status).toBe('settled');
+    });
+  });
+
+  describe('calculateMemberBalances', () => {
+    it('should keep a running balance per member in creation order', () => {
+      const balances = calculateMemberBalances([uniform, schoolFees], now);
+      const dad = balances.find(b => b.groupMemberId === 'gm-dad').currencies[0];
+
+      expect(dad).toMatchObject({ currency: 'AUD', balance: -10, outstanding: 50, overdue: 50 });
+      expect(dad.matters.map(m => m.runningBalance)).toEqual([-50, -10]);
+    });
+
+    it('should ignore canceled matters and separate currencies', () => {
+      const balances = calculateMemberBalances([
+        { ...schoolFees, isCanceled: true },
+        { ...uniform, currency: 'NZD' },
+      ], now);
+      const mum = balances.find(b => b.groupMemberId === 'gm-mum');
+
+      expect(mum.currencies).toHaveLength(1);
+      expect(mum.currencies[0]).toMatchObject({ currency: 'NZD', balance: -40 });
+    });
+  });
+});
+
+describe('Finance Balances API Endpoints', () => {
+  describe('GET /groups/:groupId/finance/balances', () => {
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .get('/groups/test-group-id/finance/balances')
+        .expect('Content-Type', /json/);
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
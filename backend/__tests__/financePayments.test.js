@@ -0,0 +1,123 @@
+/**
+ * Finance Payment Tests
+ *
+ * Tests the limits on reported payments:
+ * - A payment can't exceed what the payer still owes
+ * - A reimbursement can't exceed what the recipient is owed, counting
+ *   reimbursements awaiting confirmation
+ */
+
+jest.mock('../config/database', () => ({
+  prisma: {
+    groupMember: { findFirst: jest.fn() },
+    groupSettings: { findUnique: jest.fn() },
+    financeMatter: { findUnique: jest.fn() },
+    financePayment: { aggregate: jest.fn(), create: jest.fn() },
+    auditLog: { create: jest.fn() },
+  },
+}));
+
+jest.mock('../services/pushNotification.service', () => ({}));
+
+const { prisma } = require('../config/database');
+const { recordPayment } = require('../controllers/finance.controller');
+
+// 300 split three ways: Alex and Sam paid 150 each, Kim nothing yet
+function matterMember(groupMemberId, displayName, paidAmount) {
+  return { groupMemberId, expectedAmount: '100.00', paidAmount, groupMember: { groupMemberId, displayName } };
+}
+
+const financeMatter = {
+  financeMatterId: 'matter-1',
+  groupId: 'group-1',
+  name: 'School camp',
+  isSettled: false,
+  isCanceled: false,
+  members: [
+    matterMember('member-alex', 'Alex', '150.00'),
+    matterMember('member-sam', 'Sam', '150.00'),
+    matterMember('member-kim', 'Kim', '0.00'),
+  ],
+};
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+async function reportPayment(body) {
+  const res = mockResponse();
+  await recordPayment({
+    user: { userId: 'user-kim' },
+    params: { groupId: 'group-1', financeMatterId: 'matter-1' },
+    body: { groupMemberId: 'member-kim', ...body },
+  }, res);
+  return res;
+}
+
+// Pending payment totals by payer and by recipient
+function mockPending({ fromKim = 0, toAlex = 0 } = {}) {
+  prisma.financePayment.aggregate.mockImplementation(async ({ where }) => ({
+    _sum: { amount: where.fromMemberId ? fromKim : toAlex },
+  }));
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.groupMember.findFirst.mockResolvedValue({
+    groupMemberId: 'member-kim',
+    role: 'parent',
+    displayName: 'Kim',
+  });
+  prisma.groupSettings.findUnique.mockResolvedValue({ financeVisibleToParents: true });
+  prisma.financeMatter.findUnique.mockResolvedValue(financeMatter);
+  prisma.financePayment.create.mockImplementation(async ({ data }) => ({
+    ...data,
+    paymentId: 'payment-1',
+    reportedAt: new Date(),
+  }));
+  mockPending();
+});
+
+describe('Record Payment Limits', () => {
+  it('should not let a reimbursement exceed what the recipient is owed', async () => {
+    // Kim owes 100, but Alex is only owed 50
+    const res = await reportPayment({ amount: 100, toMemberId: 'member-alex' });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'Payment would exceed what Alex is owed. Maximum payment: 50.00',
+    }));
+    expect(prisma.financePayment.create).not.toHaveBeenCalled();
+  });
+
+  it('should count reimbursements to the recipient awaiting confirmation', async () => {
+    mockPending({ toAlex: 30 });
+
+    const res = await reportPayment({ amount: 50, toMemberId: 'member-alex' });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].message).toContain('Maximum payment: 20.00');
+  });
+
+  it('should accept a reimbursement up to what the recipient is owed', async () => {
+    const res = await reportPayment({ amount: 50, toMemberId: 'member-alex' });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(prisma.financePayment.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ fromMemberId: 'member-kim', toMemberId: 'member-alex', amount: 50 }),
+    });
+  });
+
+  it('should only cap direct payments to the payee by the payer\'s debt', async () => {
+    const res = await reportPayment({ amount: 100 });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+
+    const tooMuch = await reportPayment({ amount: 120 });
+    expect(tooMuch.status).toHaveBeenCalledWith(400);
+    expect(tooMuch.json.mock.calls[0][0].message).toContain('Payment would exceed remaining debt');
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Finance Settlement Tests
+ *
+ * Tests for settling up across finance matters:
+ * - Debt simplification
+ * - Splitting a settle-up payment across matters
+ * - Settle-up endpoints
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+const request = require('supertest');
+const app = require('../server');
+const {
+  getPairwiseDebts,
+  simplifyDebts,
+  planSettlement,
+  getDirectDebt,
+  allocateSettlement,
+} = require('../utils/financeSettlement');
+
+/**
+ * Build an open finance matter from [groupMemberId, expected, paid] rows
+ */
+function buildMatter(financeMatterId, createdAt, members, currency = 'AUD') {
+  return {
+    financeMatterId,
+    name: financeMatterId,
+    currency,
+    createdAt: new Date(createdAt),
+    isSettled: false,
+    isCanceled: false,
+    members: members.map(([groupMemberId, expectedAmount, paidAmount]) => ({
+      groupMemberId,
+      expectedAmount: String(expectedAmount),
+      paidAmount: String(paidAmount),
+    })),
+  };
+}
+
+describe('Finance Settlement Utility', () => {
+  describe('getPairwiseDebts', () => {
+    it('should only count debts to members in proportion to what they overpaid', () => {
+      // Mum paid 200 of a 300 bill; the payee is still owed 100
+      const debts = getPairwiseDebts(new Map([['mum', 5000], ['dad', -15000]]));
+
+      expect(debts).toEqual([{ fromMemberId: 'dad', toMemberId: 'mum', amount: 5000 }]);
+    });
+  });
+
+  describe('simplifyDebts', () => {
+    it('should use the fewest transfers by settling zero-sum groups separately', () => {
+      const transfers = simplifyDebts(new Map([
+        ['a', -1000], ['b', 1000], ['c', -500], ['d', 300], ['e', 200],
+      ]));
+
+      expect(transfers).toHaveLength(3);
+      expect(transfers).toContainEqual({ fromMemberId: 'a', toMemberId: 'b', amount: 1000 });
+    });
+  });
+
+  describe('planSettlement', () => {
+    it('should net balances across matters per currency', () => {
+      const plans = planSettlement([
+        buildMatter('fees', '2026-01-01', [['mum', 100, 200], ['dad', 100, 0]]),
+        buildMatter('sport', '2026-01-02', [['mum', 30, 0], ['dad', 30, 60]]),
+        buildMatter('trip', '2026-01-03', [['mum', 10, 20], ['dad', 10, 0]], 'NZD'),
+      ], []);
+
+      expect(plans).toEqual([
+        expect.objectContaining({
+          currency: 'AUD',
+          transfers: [{ fromMemberId: 'dad', toMemberId: 'mum', amount: 70 }],
+        }),
+        expect.objectContaining({
+          currency: 'NZD',
+          transfers: [{ fromMemberId: 'dad', toMemberId: 'mum', amount: 10 }],
+        }),
+      ]);
+    });
+
+    it('should treat pending payments as made', () => {
+      const plans = planSettlement(
+        [buildMatter('fees', '2026-01-01', [['mum', 100, 200], ['dad', 100, 0]])],
+        [{ financeMatterId: 'fees', fromMemberId: 'dad', toMemberId: 'mum', amount: '100' }]
+      );
+
+      expect(plans).toEqual([]);
+    });
+  });
+
+  describe('allocateSettlement', () => {
+    const matters = [
+      buildMatter('fees', '2026-01-01', [['alex', 50, 0], ['sam', 50, 100]]),
+      buildMatter('sport', '2026-01-02', [['jo', 30, 0], ['mum', 30, 60], ['sam', 0, 0]]),
+      buildMatter('music', '2026-01-03', [['sam', 20, 0], ['mum', 20, 40]]),
+    ];
+
+    it('should apply a payment to what the payer owes the recipient directly', () => {
+      const sport = buildMatter('sport-2', '2026-01-04', [['sam', 0, 10], ['mum', 10, 0]]);
+
+      const { allocations, unallocated } = allocateSettlement({
+        matters: [...matters, sport],
+        pendingPayments: [],
+        currency: 'AUD',
+        fromMemberId: 'sam',
+        toMemberId: 'mum',
+        amount: 20,
+      });
+
+      expect(allocations).toEqual([
+        { financeMatterId: 'music', fromMemberId: 'sam', toMemberId: 'mum', amount: 20 },
+      ]);
+      expect(unallocated).toBe(0);
+    });
+
+    it('should not create payments between other members', () => {
+      // alex only owes sam, and sam owes mum - alex paying mum would involve sam
+      const { allocations, unallocated } = allocateSettlement({
+        matters,
+        pendingPayments: [],
+        currency: 'AUD',
+        fromMemberId: 'alex',
+        toMemberId: 'mum',
+        amount: 20,
+      });
+
+      expect(allocations).toEqual([]);
+      expect(unallocated).toBe(20);
+      expect(getDirectDebt(matters, [], 'AUD', 'alex', 'mum')).toBe(0);
+    });
+
+    it('should return what exceeds the direct debt as unallocated', () => {
+      const { allocations, unallocated } = allocateSettlement({
+        matters,
+        pendingPayments: [],
+        currency: 'AUD',
+        fromMemberId: 'sam',
+        toMemberId: 'mum',
+        amount: 35,
+      });
+
+      expect(allocations).toEqual([
+        { financeMatterId: 'music', fromMemberId: 'sam', toMemberId: 'mum', amount: 20 },
+      ]);
+      expect(unallocated).toBe(15);
+      expect(getDirectDebt(matters, [], 'AUD', 'sam', 'mum')).toBe(20);
+    });
+  });
+});
+
+describe('Finance Settle-Up API Endpoints', () => {
+  describe('GET /groups/:groupId/finance/settle-up', () => {
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .get('/groups/test-group-id/finance/settle-up')
+        .expect('Content-Type', /json/);
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /groups/:groupId/finance/settle-up', () => {
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .post('/groups/test-group-id/finance/settle-up')
+        .send({ toMemberId: 'gm-mum', currency: 'AUD', amount: 10 })
+        .expect('Content-Type', /json/);
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Finance Statement Tests
+ *
+ * Tests for finance statements:
+ * - Selecting matters and payments for a date range
+ * - Totals per currency
+ * - CSV and PDF output
+ * - Statement endpoint
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+const request = require('supertest');
+const app = require('../server');
+const { buildFinanceStatement, toStatementCSV } = require('../utils/financeStatement');
+const { generateFinanceStatementPDF } = require('../services/pdf.service');
+
+const memberMap = new Map([
+  ['mum', { displayName: 'Mum' }],
+  ['dad', { displayName: '=Dad' }],
+]);
+
+const matters = [
+  {
+    financeMatterId: 'fees',
+    name: 'School fees, term 1',
+    currency: 'AUD',
+    totalAmount: '200',
+    createdAt: new Date('2026-01-02T00:00:00Z'),
+    dueDate: null,
+    isSettled: false,
+    isCanceled: false,
+    members: [
+      { groupMemberId: 'mum', expectedAmount: '100', paidAmount: '150' },
+      { groupMemberId: 'dad', expectedAmount: '100', paidAmount: '0' },
+    ],
+    payments: [
+      { paymentId: 'p1', fromMemberId: 'mum', toMemberId: null, amount: '150', reportedAt: new Date('2026-01-03T00:00:00Z'), isConfirmed: true, confirmedAt: new Date('2026-01-04T00:00:00Z') },
+      { paymentId: 'p2', fromMemberId: 'dad', toMemberId: 'mum', amount: '50', reportedAt: new Date('2026-03-01T00:00:00Z'), isConfirmed: false, confirmedAt: null },
+    ],
+  },
+  {
+    financeMatterId: 'camp',
+    name: 'Camp',
+    currency: 'AUD',
+    totalAmount: '80',
+    createdAt: new Date('2025-12-01T00:00:00Z'),
+    dueDate: new Date('2026-01-20T00:00:00Z'),
+    isSettled: false,
+    isCanceled: true,
+    members: [{ groupMemberId: 'mum', expectedAmount: '80', paidAmount: '0' }],
+    payments: [],
+  },
+  {
+    financeMatterId: 'old',
+    name: 'Last year',
+    currency: 'AUD',
+    totalAmount: '10',
+    createdAt: new Date('2025-06-01T00:00:00Z'),
+    dueDate: null,
+    isSettled: true,
+    isCanceled: false,
+    members: [{ groupMemberId: 'dad', expectedAmount: '10', paidAmount: '10' }],
+    payments: [],
+  },
+];
+
+describe('Finance Statement Utility', () => {
+  const statement = buildFinanceStatement({
+    matters,
+    memberMap,
+    from: new Date('2026-01-01T00:00:00Z'),
+    to: new Date('2026-01-31T23:59:59Z'),
+  });
+
+  it('should include matters created, due or paid in the range', () => {
+    expect(statement.matters.map(m => m.financeMatterId)).toEqual(['camp', 'fees']);
+    expect(statement.matters[1].payments.map(p => p.paymentId)).toEqual(['p1']);
+  });
+
+  it('should total non-canceled matters per currency', () => {
+    expect(statement.totals).toEqual([{
+      currency: 'AUD',
+      matterCount: 1,
+      totalAmount: 200,
+      expected: 200,
+      paid: 150,
+      outstanding: 100,
+      confirmedPayments: 150,
+      pendingPayments: 0,
+    }]);
+  });
+
+  it('should escape CSV fields and neutralise formulas', () => {
+    const csv = toStatementCSV(statement);
+
+    expect(csv).toContain('"School fees, term 1",2026-01-02,,open,AUD,200.00,Mum,100.00,150.00,50.00');
+    expect(csv).toContain(",'=Dad,100.00,0.00,-100.00");
+    expect(csv).toContain('AUD,1,200.00,200.00,150.00,100.00,150.00,0.00');
+  });
+
+  it('should generate a PDF', () => {
+    const pdf = generateFinanceStatementPDF({ groupName: 'Family', statement, createdAt: new Date() });
+
+    expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+  });
+});
+
+describe('Finance Statement API Endpoints', () => {
+  describe('GET /groups/:groupId/finance/statement', () => {
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .get('/groups/test-group-id/finance/statement?format=csv')
+        .expect('Content-Type', /json/);
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -119,6 +119,40 @@ END:VCALENDAR`;
       expect(events[0].recurrenceRule).toContain('FREQ=WEEKLY');
     });
 
+    it('should keep the time zone of recurring events with a TZID', () => {
+      const icalData = `BEGIN:VCALENDAR
+VERSION:2.0
+PRODID:-//Test//Test//EN
+BEGIN:VTIMEZONE
+TZID:Australia/Sydney
+BEGIN:STANDARD
+DTSTART:19700405T030000
+RRULE:FREQ=YEARLY;BYMONTH=4;BYDAY=1SU
+TZOFFSETFROM:+1100
+TZOFFSETTO:+1000
+END:STANDARD
+BEGIN:DAYLIGHT
+DTSTART:19701004T020000
+RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=1SU
+TZOFFSETFROM:+1000
+TZOFFSETTO:+1100
+END:DAYLIGHT
+END:VTIMEZONE
+BEGIN:VEVENT
+UID:handover-1@example.com
+DTSTART;TZID=Australia/Sydney:20260320T170000
+DTEND;TZID=Australia/Sydney:20260320T180000
+SUMMARY:Handover
+RRULE:FREQ=WEEKLY
+END:VEVENT
+END:VCALENDAR`;
+
+      const [event] = parseIcalString(icalData);
+
+      expect(event.startTime.toISOString()).toBe('2026-03-20T06:00:00.000Z');
+      expect(event.timeZone).toBe('Australia/Sydney');
+    });
+
     it('should handle events without end time (use duration)', () => {
       const icalData = `BEGIN:VCALENDAR
 VERSION:2.0
@@ -166,6 +200,88 @@ END:VCALENDAR`;
       expect(events[0].description).toBeNull();
       expect(events[0].location).toBeNull();
       expect(events[0].recurrenceRule).toBeNull();
+      expect(events[0].timeZone).toBeNull();
+    });
+
+    describe('with EXDATE and RECURRENCE-ID overrides', () => {
+      const { expandImportedEvents } = require('../controllers/importedCalendars.controller');
+
+      // As exported by Google Calendar: the 12 Oct practice is deleted and the
+      // 19 Oct one moved to 18:00 on another field
+      const icalData = `BEGIN:VCALENDAR
+VERSION:2.0
+PRODID:-//Google Inc//Google Calendar 70.9054//EN
+CALSCALE:GREGORIAN
+METHOD:PUBLISH
+BEGIN:VEVENT
+DTSTART:20261005T170000Z
+DTEND:20261005T180000Z
+RRULE:FREQ=WEEKLY;COUNT=4
+EXDATE:20261012T170000Z
+DTSTAMP:20261001T000000Z
+UID:5s1q0v9k2m@google.com
+SUMMARY:Soccer practice
+LOCATION:Field 1
+STATUS:CONFIRMED
+END:VEVENT
+BEGIN:VEVENT
+DTSTART:20261019T180000Z
+DTEND:20261019T190000Z
+DTSTAMP:20261001T000000Z
+UID:5s1q0v9k2m@google.com
+RECURRENCE-ID:20261019T170000Z
+SUMMARY:Soccer practice (moved)
+LOCATION:Field 3
+STATUS:CONFIRMED
+END:VEVENT
+END:VCALENDAR`;
+
+      it('should keep one event per UID with its exceptions', () => {
+        const events = parseIcalString(icalData);
+
+        expect(events).toHaveLength(1);
+        expect(events[0].externalUid).toBe('5s1q0v9k2m@google.com');
+        expect(events[0].exceptions).toEqual([
+          { originalStartTime: new Date('2026-10-12T17:00:00.000Z'), isCancelled: true },
+          expect.objectContaining({
+            originalStartTime: new Date('2026-10-19T17:00:00.000Z'),
+            isCancelled: false,
+            startTime: new Date('2026-10-19T18:00:00.000Z'),
+            title: 'Soccer practice (moved)',
+            location: 'Field 3',
+          }),
+        ]);
+      });
+
+      it('should skip excluded dates and apply overrides when expanding', () => {
+        // Stored exceptions come back from the JSON column with string dates
+        const [event] = JSON.parse(JSON.stringify(parseIcalString(icalData)));
+
+        const occurrences = expandImportedEvents(
+          [{ ...event, eventId: 'imported-1' }],
+          { start: new Date('2026-10-01T00:00:00.000Z'), end: new Date('2026-11-30T00:00:00.000Z') }
+        );
+
+        expect(occurrences.map(o => [o.startTime.toISOString(), o.title, o.location])).toEqual([
+          ['2026-10-05T17:00:00.000Z', 'Soccer practice', 'Field 1'],
+          ['2026-10-19T18:00:00.000Z', 'Soccer practice (moved)', 'Field 3'],
+          ['2026-10-26T17:00:00.000Z', 'Soccer practice', 'Field 1'],
+        ]);
+        expect(occurrences[0]).not.toHaveProperty('exceptions');
+      });
+
+      it('should keep an override whose series is not in the feed as a single event', () => {
+        const orphan = icalData.replace(/BEGIN:VEVENT\nDTSTART:20261005[\s\S]*?END:VEVENT\n/, '');
+
+        const events = parseIcalString(orphan);
+
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({
+          externalUid: '5s1q0v9k2m@google.com#2026-10-19T17:00:00.000Z',
+          title: 'Soccer practice (moved)',
+          recurrenceRule: null,
+        });
+      });
     });
   });
 
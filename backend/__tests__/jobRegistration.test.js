@@ -0,0 +1,133 @@
+/**
+ * Job Registration Tests
+ *
+ * Tests that the Lambda handler can run jobs without a long-lived scheduler:
+ * - Every job is registered when the handler loads
+ * - No polling is started
+ * - The first due run creates the job rows
+ * - The jobs function gives each due job its own invocation
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+jest.mock('../config/database', () => ({
+  prisma: {
+    scheduledJob: {
+      findUnique: jest.fn(async () => null),
+      findMany: jest.fn(async () => []),
+      upsert: jest.fn(async ({ create }) => create),
+      updateMany: jest.fn(async () => ({ count: 0 })),
+    },
+  },
+}));
+
+const mockLambdaSend = jest.fn(async () => ({}));
+jest.mock('@aws-sdk/client-lambda', () => ({
+  LambdaClient: jest.fn(() => ({ send: mockLambdaSend })),
+  InvokeCommand: jest.fn(input => ({ input })),
+}));
+
+const { prisma } = require('../config/database');
+const jobScheduler = require('../services/jobScheduler.service');
+const jobWorker = require('../services/jobWorker.service');
+
+describe('Job Registration', () => {
+  let startSpy;
+
+  beforeAll(() => {
+    startSpy = jest.spyOn(jobScheduler, 'start');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    require('../lambda');
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should register every job when the Lambda handler loads', () => {
+    for (const name of ['billing-renewals', 'billing-reminders', 'enforce-retention', 'prune-job-history']) {
+      expect(jobScheduler.getJobDefinition(name)).not.toBeNull();
+    }
+  });
+
+  it('should not start polling in Lambda', () => {
+    expect(startSpy).not.toHaveBeenCalled();
+  });
+
+  it('should create the job rows before the first due run', async () => {
+    expect(await jobScheduler.runDueJobs()).toEqual([]);
+
+    expect(prisma.scheduledJob.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { name: 'billing-renewals' },
+    }));
+    expect(prisma.scheduledJob.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({
+        name: { in: expect.arrayContaining(['billing-renewals', 'billing-reminders']) },
+      }),
+    }));
+
+    // Rows are only synced once per process
+    prisma.scheduledJob.upsert.mockClear();
+    await jobScheduler.runDueJobs();
+    expect(prisma.scheduledJob.upsert).not.toHaveBeenCalled();
+  });
+});
+
+describe('Jobs Function', () => {
+  const originalFunction = process.env.JOBS_LAMBDA;
+
+  beforeEach(() => {
+    process.env.JOBS_LAMBDA = 'family-helper-jobs-test';
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    if (originalFunction === undefined) {
+      delete process.env.JOBS_LAMBDA;
+    } else {
+      process.env.JOBS_LAMBDA = originalFunction;
+    }
+  });
+
+  it('should dispatch each due job to its own invocation without running it', async () => {
+    prisma.scheduledJob.findMany.mockResolvedValueOnce([
+      { name: 'finalize-recordings' },
+      { name: 'calendar-reminders' },
+    ]);
+
+    const result = await jobWorker.handleJobsEvent({ source: 'aws.events' });
+
+    expect(result).toEqual({ dispatched: ['finalize-recordings', 'calendar-reminders'] });
+    expect(mockLambdaSend.mock.calls.map(([command]) => command.input)).toEqual([
+      { FunctionName: 'family-helper-jobs-test', InvocationType: 'Event', Payload: '{"jobName":"finalize-recordings"}' },
+      { FunctionName: 'family-helper-jobs-test', InvocationType: 'Event', Payload: '{"jobName":"calendar-reminders"}' },
+    ]);
+    expect(prisma.scheduledJob.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('should claim only the dispatched job', async () => {
+    const result = await jobWorker.handleJobsEvent({ jobName: 'finalize-recordings' });
+
+    expect(result).toEqual({ jobName: 'finalize-recordings', status: 'not_claimed' });
+    expect(prisma.scheduledJob.updateMany).toHaveBeenCalledTimes(1);
+    expect(prisma.scheduledJob.updateMany.mock.calls[0][0].where.name).toBe('finalize-recordings');
+    expect(mockLambdaSend).not.toHaveBeenCalled();
+  });
+
+  it('should reject unknown jobs', async () => {
+    await expect(jobWorker.handleJobsEvent({ jobName: 'mine-bitcoin' })).rejects.toThrow('Unknown job');
+  });
+});
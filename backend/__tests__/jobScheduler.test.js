@@ -0,0 +1,151 @@
+/**
+ * Job Scheduler Tests
+ *
+ * Tests for the background job scheduler:
+ * - Cron schedules and next run times
+ * - Retry backoff after failed runs
+ * - Authentication on the jobs endpoints
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+const request = require('supertest');
+const app = require('../server');
+const {
+  RETRY_BASE_DELAY_MS,
+  RETRY_MAX_DELAY_MS,
+  parseCronExpression,
+  getNextRunTime,
+  isValidCronExpression,
+  getRetryDelay,
+  getNextRunAfterFailure,
+} = require('../utils/jobSchedule');
+
+describe('Job Schedules', () => {
+  // Local time, like the schedules
+  const now = new Date(2026, 9, 20, 10, 7, 30);
+
+  it('should parse steps, ranges and lists', () => {
+    const schedule = parseCronExpression('*/15 9-11 1,15 * 1-5');
+
+    expect([...schedule.minutes]).toEqual([0, 15, 30, 45]);
+    expect([...schedule.hours]).toEqual([9, 10, 11]);
+    expect([...schedule.daysOfMonth]).toEqual([1, 15]);
+    expect(schedule.months.size).toBe(12);
+    expect([...schedule.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('should find the next run strictly after the given time', () => {
+    expect(getNextRunTime('* * * * *', now)).toEqual(new Date(2026, 9, 20, 10, 8));
+    expect(getNextRunTime('*/15 * * * *', now)).toEqual(new Date(2026, 9, 20, 10, 15));
+    expect(getNextRunTime('0 * * * *', now)).toEqual(new Date(2026, 9, 20, 11, 0));
+    expect(getNextRunTime('30 3 * * *', now)).toEqual(new Date(2026, 9, 21, 3, 30));
+    expect(getNextRunTime('0 0 1 * *', now)).toEqual(new Date(2026, 10, 1, 0, 0));
+    expect(getNextRunTime('0 10 * * *', new Date(2026, 9, 20, 10, 0))).toEqual(new Date(2026, 9, 21, 10, 0));
+  });
+
+  it('should match either day when both day of month and day of week are set', () => {
+    // 20 Oct 2026 is a Tuesday; next Sunday (0 or 7) is the 25th
+    expect(getNextRunTime('0 0 * * 0', now)).toEqual(new Date(2026, 9, 25, 0, 0));
+    expect(getNextRunTime('0 0 * * 7', now)).toEqual(new Date(2026, 9, 25, 0, 0));
+    expect(getNextRunTime('0 0 22 * 0', now)).toEqual(new Date(2026, 9, 22, 0, 0));
+  });
+
+  it('should reject invalid schedules', () => {
+    expect(isValidCronExpression('30 3 * * *')).toBe(true);
+    expect(isValidCronExpression('61 * * * *')).toBe(false);
+    expect(isValidCronExpression('* * * *')).toBe(false);
+    expect(isValidCronExpression('*/0 * * * *')).toBe(false);
+    expect(isValidCronExpression('0 0 31 2 *')).toBe(false);
+    expect(() => parseCronExpression('every minute')).toThrow();
+  });
+
+  it('should double the retry delay up to the maximum', () => {
+    expect(getRetryDelay(1)).toBe(RETRY_BASE_DELAY_MS);
+    expect(getRetryDelay(2)).toBe(RETRY_BASE_DELAY_MS * 2);
+    expect(getRetryDelay(3)).toBe(RETRY_BASE_DELAY_MS * 4);
+    expect(getRetryDelay(20)).toBe(RETRY_MAX_DELAY_MS);
+  });
+
+  it('should retry a failed run before its next scheduled run', () => {
+    const retry = getNextRunAfterFailure({ schedule: '30 3 * * *', attempt: 1, maxAttempts: 3, now });
+
+    expect(retry.exhausted).toBe(false);
+    expect(retry.nextRunAt).toEqual(new Date(now.getTime() + RETRY_BASE_DELAY_MS));
+  });
+
+  it('should not retry later than the next scheduled run', () => {
+    const retry = getNextRunAfterFailure({ schedule: '* * * * *', attempt: 2, maxAttempts: 3, now });
+
+    expect(retry.exhausted).toBe(false);
+    expect(retry.nextRunAt).toEqual(new Date(2026, 9, 20, 10, 8));
+  });
+
+  it('should wait for the next scheduled run once the attempts are used up', () => {
+    const retry = getNextRunAfterFailure({ schedule: '30 3 * * *', attempt: 3, maxAttempts: 3, now });
+
+    expect(retry.exhausted).toBe(true);
+    expect(retry.nextRunAt).toEqual(new Date(2026, 9, 21, 3, 30));
+  });
+});
+
+describe('Job API Endpoints', () => {
+  const originalKey = process.env.JOBS_API_KEY;
+
+  afterEach(() => {
+    if (originalKey === undefined) {
+      delete process.env.JOBS_API_KEY;
+    } else {
+      process.env.JOBS_API_KEY = originalKey;
+    }
+  });
+
+  it('should return 401 without authentication when listing jobs', async () => {
+    const response = await request(app)
+      .get('/jobs')
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 401 without authentication when running a job', async () => {
+    const response = await request(app)
+      .post('/jobs/enforce-retention/run')
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 401 without authentication when disabling a job', async () => {
+    const response = await request(app)
+      .put('/jobs/enforce-retention')
+      .send({ enabled: false })
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 401 when running due jobs with the wrong API key', async () => {
+    process.env.JOBS_API_KEY = 'test-jobs-key';
+
+    const response = await request(app)
+      .post('/jobs/run-due')
+      .set('X-API-Key', 'wrong-key')
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+});
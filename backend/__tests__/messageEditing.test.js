@@ -0,0 +1,93 @@
+/**
+ * Message Editing Tests
+ *
+ * Tests for editing messages within a message group's edit window:
+ * - Who can edit, and until when
+ * - Edit window validation
+ * - Authentication on the edit and history endpoints
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+const request = require('supertest');
+const app = require('../server');
+const {
+  MAX_EDIT_WINDOW_MINUTES,
+  isValidEditWindow,
+  getEditDeadline,
+  checkCanEdit,
+} = require('../utils/messageEditing');
+
+const message = {
+  senderId: 'member-1',
+  createdAt: new Date('2026-03-01T09:00:00Z'),
+  isHidden: false,
+};
+
+describe('Message Editing', () => {
+  it('should allow the sender to edit within the window', () => {
+    expect(checkCanEdit(message, 'member-1', 15, new Date('2026-03-01T09:14:59Z'))).toEqual({ allowed: true });
+  });
+
+  it('should not extend the window for messages that were already edited', () => {
+    const edited = { ...message, editedAt: new Date('2026-03-01T09:10:00Z') };
+
+    expect(getEditDeadline(edited, 15)).toEqual(new Date('2026-03-01T09:15:00Z'));
+    expect(checkCanEdit(edited, 'member-1', 15, new Date('2026-03-01T09:16:00Z')).reason)
+      .toBe('Messages can only be edited within 15 minutes of sending');
+  });
+
+  it('should not allow editing other members\' or hidden messages', () => {
+    const now = new Date('2026-03-01T09:01:00Z');
+
+    expect(checkCanEdit(message, 'member-2', 15, now).reason).toBe('You can only edit your own messages');
+    expect(checkCanEdit({ ...message, isHidden: true }, 'member-1', 15, now).reason).toBe('Hidden messages cannot be edited');
+  });
+
+  it('should not allow editing when the message group turned it off', () => {
+    expect(getEditDeadline(message, 0)).toBeNull();
+    expect(checkCanEdit(message, 'member-1', 0, new Date('2026-03-01T09:00:30Z')).reason)
+      .toBe('Messages cannot be edited in this message group');
+  });
+
+  it('should accept whole-minute edit windows up to a day', () => {
+    expect(isValidEditWindow(0)).toBe(true);
+    expect(isValidEditWindow(MAX_EDIT_WINDOW_MINUTES)).toBe(true);
+    expect(isValidEditWindow(MAX_EDIT_WINDOW_MINUTES + 1)).toBe(false);
+    expect(isValidEditWindow(-5)).toBe(false);
+    expect(isValidEditWindow(2.5)).toBe(false);
+    expect(isValidEditWindow('15')).toBe(false);
+  });
+});
+
+describe('Message Editing API Endpoints', () => {
+  it('should return 401 without authentication when editing a message', async () => {
+    const response = await request(app)
+      .put('/groups/test-group-id/message-groups/test-message-group-id/messages/test-message-id')
+      .send({ content: 'Fixed typo' })
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 401 without authentication when getting edit history', async () => {
+    const response = await request(app)
+      .get('/groups/test-group-id/message-groups/test-message-group-id/messages/test-message-id/revisions')
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+});
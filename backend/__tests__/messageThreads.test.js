@@ -0,0 +1,82 @@
+/**
+ * Message Threads Tests
+ *
+ * Tests for replies and threads:
+ * - Quote snippets
+ * - Thread roots for replies to replies
+ * - Reply chains in the audit log
+ * - Authentication on the reply and thread endpoints
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+const request = require('supertest');
+const app = require('../server');
+const {
+  MAX_QUOTE_LENGTH,
+  quoteSnippet,
+  getThreadRootId,
+  formatReplyChain,
+} = require('../utils/messageThreads');
+
+describe('Message Threads', () => {
+  it('should flatten and shorten quoted text', () => {
+    expect(quoteSnippet('See you\n  at 3')).toBe('See you at 3');
+
+    const snippet = quoteSnippet('a'.repeat(MAX_QUOTE_LENGTH + 20));
+    expect(snippet).toHaveLength(MAX_QUOTE_LENGTH);
+    expect(snippet.endsWith('...')).toBe(true);
+  });
+
+  it('should keep replies to replies in the first message\'s thread', () => {
+    expect(getThreadRootId({ messageId: 'msg-1', threadRootId: null })).toBe('msg-1');
+    expect(getThreadRootId({ messageId: 'msg-2', threadRootId: 'msg-1' })).toBe('msg-1');
+  });
+
+  it('should render the reply chain nearest message first', () => {
+    const chain = [
+      { messageId: 'msg-2', senderName: 'Jane', content: 'Is 3pm ok?', isHidden: false },
+      { messageId: 'msg-1', senderName: 'John', content: 'Who is doing pick-up?', isHidden: true },
+    ];
+
+    expect(formatReplyChain(chain)).toBe(
+      'In reply to:\n' +
+      '  > Message ID: msg-2 from "Jane": "Is 3pm ok?"\n' +
+      '    > Message ID: msg-1 from "John" [hidden]: "Who is doing pick-up?"\n'
+    );
+    expect(formatReplyChain(chain, true).endsWith('      > ...\n')).toBe(true);
+    expect(formatReplyChain([])).toBe('');
+  });
+});
+
+describe('Message Thread API Endpoints', () => {
+  it('should return 401 without authentication when replying to a message', async () => {
+    const response = await request(app)
+      .post('/groups/test-group-id/message-groups/test-message-group-id/messages')
+      .send({ content: 'Sounds good', replyToId: 'test-message-id' })
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 401 without authentication when loading a thread', async () => {
+    const response = await request(app)
+      .get('/groups/test-group-id/message-groups/test-message-group-id/messages?threadId=test-message-id')
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Parenting Time Tests
+ *
+ * Tests for custody time-share reports:
+ * - Hours, overnights and percentages per responsible party
+ * - Layered events and unassigned time
+ * - Time zones for report dates and overnights
+ * - PDF output
+ * - Parenting time endpoint
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+const request = require('supertest');
+const app = require('../server');
+const { resolveTimelines } = require('../services/responsibilityTimeline.service');
+const { parseReportDate, listMidnights, computeParentingTime } = require('../utils/parentingTime');
+const { generateParentingTimePDF } = require('../services/pdf.service');
+
+const CHILD = 'member-child';
+const mom = { memberId: 'member-mom', name: 'Mum', color: '#e91e63' };
+const dad = { memberId: 'member-dad', name: 'Dad', color: '#2196f3' };
+
+/**
+ * Build a report for one child from layers in layering order
+ */
+function report(layers, window, timeZone = 'UTC') {
+  const resolutionWindow = { start: window.start, end: new Date(window.end.getTime() + 24 * 60 * 60 * 1000) };
+  const timelines = resolveTimelines(new Map([[CHILD, layers]]), resolutionWindow);
+  return computeParentingTime({ timelines, window, timeZone }).children[0];
+}
+
+const layer = (party, startTime, endTime) => ({ ...party, startTime: new Date(startTime), endTime: new Date(endTime) });
+
+describe('Parenting Time Utility', () => {
+  const week = {
+    start: new Date('2026-11-02T00:00:00Z'),
+    end: new Date('2026-11-09T00:00:00Z'),
+  };
+
+  it('should split hours and overnights between responsible parties', () => {
+    const child = report([
+      layer(mom, '2026-11-02T00:00:00Z', '2026-11-05T17:00:00Z'),
+      layer(dad, '2026-11-05T17:00:00Z', '2026-11-10T00:00:00Z'),
+    ], week);
+
+    expect(child.totalHours).toBe(168);
+    expect(child.totalOvernights).toBe(7);
+    expect(child.parties.map(p => [p.name, p.hours, p.overnights])).toEqual([
+      ['Mum', 89, 3],
+      ['Dad', 79, 4],
+    ]);
+    expect(child.parties[0].hoursPercentage).toBe(53);
+    expect(child.parties[0].overnightsPercentage).toBe(42.9);
+    expect(child.unassigned).toEqual({ hours: 0, hoursPercentage: 0, overnights: 0, overnightsPercentage: 0 });
+  });
+
+  it('should let later events override earlier ones', () => {
+    const child = report([
+      layer(mom, '2026-11-02T00:00:00Z', '2026-11-09T00:00:00Z'),
+      layer(dad, '2026-11-06T17:00:00Z', '2026-11-07T17:00:00Z'),
+    ], week);
+
+    expect(child.parties.find(p => p.name === 'Dad')).toMatchObject({ hours: 24, overnights: 1 });
+    expect(child.parties.find(p => p.name === 'Mum')).toMatchObject({ hours: 144, overnights: 5 });
+  });
+
+  it('should report time nobody is responsible for as unassigned', () => {
+    const other = { memberId: null, name: 'Grandma', color: '#9c27b0' };
+    const child = report([
+      layer(other, '2026-11-02T12:00:00Z', '2026-11-04T12:00:00Z'),
+    ], week);
+
+    expect(child.parties).toEqual([
+      expect.objectContaining({ memberId: null, name: 'Grandma', hours: 48, overnights: 2 }),
+    ]);
+    expect(child.unassigned).toMatchObject({ hours: 120, overnights: 5, overnightsPercentage: 71.4 });
+  });
+
+  it('should count overnights at midnight in the report time zone', () => {
+    const timeZone = 'Australia/Sydney';
+    const window = {
+      start: parseReportDate('2026-04-04', timeZone, false),
+      end: parseReportDate('2026-04-05', timeZone, true),
+    };
+
+    // Daylight saving ends on 5 April 2026, so the first day has 25 hours
+    expect(window.start.toISOString()).toBe('2026-04-03T13:00:00.000Z');
+    expect(window.end.toISOString()).toBe('2026-04-05T14:00:00.000Z');
+    expect(listMidnights(window, timeZone).map(m => new Date(m).toISOString())).toEqual([
+      '2026-04-04T13:00:00.000Z',
+      '2026-04-05T14:00:00.000Z',
+    ]);
+
+    const child = report([
+      layer(mom, '2026-04-03T13:00:00Z', '2026-04-04T20:00:00Z'),
+      layer(dad, '2026-04-04T20:00:00Z', '2026-04-06T14:00:00Z'),
+    ], window, timeZone);
+
+    expect(child.totalHours).toBe(49);
+    expect(child.parties.map(p => [p.name, p.overnights])).toEqual([['Mum', 1], ['Dad', 1]]);
+  });
+
+  it('should generate a PDF', () => {
+    const child = report([layer(mom, '2026-11-02T00:00:00Z', '2026-11-09T00:00:00Z')], week);
+    const pdf = generateParentingTimePDF({
+      groupName: 'Family',
+      report: { from: week.start, to: week.end, timeZone: 'UTC', children: [{ ...child, name: 'Sam' }] },
+      createdAt: new Date(),
+    });
+
+    expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+  });
+});
+
+describe('Parenting Time API Endpoints', () => {
+  describe('GET /groups/:groupId/calendar/parenting-time', () => {
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .get('/groups/test-group-id/calendar/parenting-time?from=2026-01-01&to=2026-06-30')
+        .expect('Content-Type', /json/);
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
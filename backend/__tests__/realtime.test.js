@@ -0,0 +1,83 @@
+/**
+ * Realtime Tests
+ *
+ * Tests for who may subscribe to a call's realtime topics:
+ * - Participants
+ * - The ghost recorder's 'recorder' peer topic
+ */
+
+jest.mock('../config/database', () => ({
+  prisma: {
+    groupMember: { findUnique: jest.fn() },
+    videoCall: { findUnique: jest.fn() },
+    phoneCall: { findUnique: jest.fn() },
+    recordingLease: { findUnique: jest.fn() },
+  },
+}));
+
+const { prisma } = require('../config/database');
+const realtimeService = require('../services/realtime.service');
+
+const call = {
+  callId: 'call-1',
+  groupId: 'group-1',
+  initiatedBy: 'member-1',
+  participants: [{ groupMemberId: 'member-2' }],
+};
+
+const subscribe = { callType: 'video', groupId: 'group-1', callId: 'call-1' };
+
+function mockMember(groupMemberId) {
+  prisma.groupMember.findUnique.mockResolvedValue({ groupMemberId, isRegistered: true });
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  prisma.videoCall.findUnique.mockResolvedValue(call);
+  prisma.recordingLease.findUnique.mockResolvedValue(null);
+});
+
+describe('Realtime Call Subscriptions', () => {
+  it('should give participants the call and their own peer topic', async () => {
+    mockMember('member-2');
+
+    const topics = await realtimeService.authoriseCall({ userId: 'user-2' }, subscribe);
+
+    expect(topics).toEqual([
+      realtimeService.callTopic('video', 'call-1'),
+      realtimeService.callPeerTopic('video', 'call-1', 'member-2'),
+    ]);
+  });
+
+  it('should give a participant the recorder topic', async () => {
+    mockMember('member-1');
+
+    const topics = await realtimeService.authoriseCall({ userId: 'user-1' }, { ...subscribe, asRecorder: true });
+
+    expect(topics).toEqual([realtimeService.callPeerTopic('video', 'call-1', 'recorder')]);
+  });
+
+  it('should give the recorder topic to the member who started the recording', async () => {
+    mockMember('member-3');
+    prisma.recordingLease.findUnique.mockResolvedValue({ status: 'active', userId: 'user-3' });
+
+    const topics = await realtimeService.authoriseCall({ userId: 'user-3' }, { ...subscribe, asRecorder: true });
+
+    expect(topics).toEqual([realtimeService.callPeerTopic('video', 'call-1', 'recorder')]);
+  });
+
+  it('should not give the recorder topic to other group members', async () => {
+    mockMember('member-3');
+    prisma.recordingLease.findUnique.mockResolvedValue({ status: 'active', userId: 'user-1' });
+
+    await expect(realtimeService.authoriseCall({ userId: 'user-3' }, { ...subscribe, asRecorder: true }))
+      .rejects.toThrow('You are not part of this call');
+  });
+
+  it('should not give other group members the call topics', async () => {
+    mockMember('member-3');
+
+    await expect(realtimeService.authoriseCall({ userId: 'user-3' }, subscribe))
+      .rejects.toThrow('You are not part of this call');
+  });
+});
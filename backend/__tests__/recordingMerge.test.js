@@ -0,0 +1,117 @@
+/**
+ * Recording Merge Tests
+ *
+ * Tests for merging call recording chunks into one file:
+ * - Trimming overlaps and closing gaps between chunks
+ * - Participant join/leave chapters
+ * - Moving transcript segments onto the merged file
+ * - Checking the merged file against its chunks
+ */
+
+const {
+  planChunkMerge,
+  toRecordingPosition,
+  buildChapters,
+  remapTranscriptSegments,
+  isMergeVerified,
+} = require('../utils/recordingMerge');
+
+describe('Recording Merge Utility', () => {
+  // Chunk 1 overlaps chunk 0 by 2 seconds; chunk 2 starts 12 seconds after chunk 1 ends
+  const chunks = [
+    { chunkIndex: 2, fileId: 'file-2', startedAt: '2026-10-20T10:04:10.000Z', durationMs: 60000 },
+    { chunkIndex: 0, fileId: 'file-0', startedAt: '2026-10-20T10:00:00.000Z', durationMs: 120000 },
+    { chunkIndex: 1, fileId: 'file-1', startedAt: '2026-10-20T10:01:58.000Z', durationMs: 120000 },
+  ];
+  const plan = planChunkMerge(chunks);
+
+  it('should trim overlaps and close gaps between chunks', () => {
+    expect(plan.parts.map(({ chunkIndex, trimStartMs, durationMs, positionMs }) => ({
+      chunkIndex, trimStartMs, durationMs, positionMs,
+    }))).toEqual([
+      { chunkIndex: 0, trimStartMs: 0, durationMs: 120000, positionMs: 0 },
+      { chunkIndex: 1, trimStartMs: 2000, durationMs: 118000, positionMs: 120000 },
+      { chunkIndex: 2, trimStartMs: 0, durationMs: 60000, positionMs: 238000 },
+    ]);
+    expect(plan.durationMs).toBe(298000);
+  });
+
+  it('should skip a chunk that is entirely inside the previous one', () => {
+    const covered = planChunkMerge([
+      { chunkIndex: 0, fileId: 'file-0', startedAt: '2026-10-20T10:00:00.000Z', durationMs: 120000 },
+      { chunkIndex: 1, fileId: 'file-1', startedAt: '2026-10-20T10:01:00.000Z', durationMs: 30000 },
+    ]);
+
+    expect(covered.parts.map(part => part.chunkIndex)).toEqual([0]);
+    expect(covered.durationMs).toBe(120000);
+  });
+
+  it('should map moments during the call to positions in the merged file', () => {
+    expect(toRecordingPosition(plan, '2026-10-20T09:59:00.000Z')).toBe(0);
+    expect(toRecordingPosition(plan, '2026-10-20T10:01:00.000Z')).toBe(60000);
+    expect(toRecordingPosition(plan, '2026-10-20T10:02:30.000Z')).toBe(150000);
+    // In the gap before chunk 2
+    expect(toRecordingPosition(plan, '2026-10-20T10:04:00.000Z')).toBe(238000);
+    expect(toRecordingPosition(plan, '2026-10-20T10:10:00.000Z')).toBe(298000);
+  });
+
+  it('should add a chapter for each participant joining and leaving', () => {
+    const chapters = buildChapters(plan, [
+      { name: 'Alice', joinedAt: '2026-10-20T09:59:50.000Z', leftAt: null },
+      { name: 'Bob', joinedAt: '2026-10-20T10:00:30.000Z', leftAt: '2026-10-20T10:04:40.000Z' },
+      // Joined after the recording ended
+      { name: 'Carol', joinedAt: '2026-10-20T10:06:00.000Z', leftAt: null },
+      // Never joined
+      { name: 'Dave', joinedAt: null, leftAt: null },
+    ]);
+
+    expect(chapters).toEqual([
+      { startMs: 0, endMs: 30000, title: 'Alice joined' },
+      { startMs: 30000, endMs: 268000, title: 'Bob joined' },
+      { startMs: 268000, endMs: 298000, title: 'Bob left' },
+    ]);
+  });
+
+  it('should share a chapter between events at the same position and always start at 0', () => {
+    expect(buildChapters(plan, [
+      { name: 'Alice', joinedAt: '2026-10-20T09:59:00.000Z', leftAt: null },
+      { name: 'Bob', joinedAt: '2026-10-20T09:59:30.000Z', leftAt: null },
+    ])).toEqual([
+      { startMs: 0, endMs: 298000, title: 'Alice joined, Bob joined' },
+    ]);
+
+    expect(buildChapters(plan, [
+      { name: 'Bob', joinedAt: '2026-10-20T10:01:00.000Z', leftAt: null },
+    ])).toEqual([
+      { startMs: 0, endMs: 60000, title: 'Recording started' },
+      { startMs: 60000, endMs: 298000, title: 'Bob joined' },
+    ]);
+
+    expect(buildChapters({ parts: [], durationMs: 0 }, [])).toEqual([]);
+  });
+
+  it('should move transcript segments onto the merged file', () => {
+    const segments = remapTranscriptSegments([
+      { chunkIndex: 0, startMs: 1000, endMs: 4000, offsetMs: 1000, text: 'Hello' },
+      { chunkIndex: 1, startMs: 5000, endMs: 8000, offsetMs: 123000, text: 'Still there?' },
+      { chunkIndex: 2, startMs: 0, endMs: 2500, offsetMs: 250000, text: 'Yes' },
+      // Its chunk failed to upload
+      { chunkIndex: 7, startMs: 0, endMs: 1000, offsetMs: 900000, text: 'Lost' },
+    ], plan);
+
+    expect(segments).toEqual([
+      { chunkIndex: null, startMs: 1000, endMs: 4000, offsetMs: 1000, text: 'Hello' },
+      { chunkIndex: null, startMs: 123000, endMs: 126000, offsetMs: 123000, text: 'Still there?' },
+      { chunkIndex: null, startMs: 238000, endMs: 240500, offsetMs: 238000, text: 'Yes' },
+    ]);
+  });
+
+  it('should only trust a merged file that matches its chunks', () => {
+    const expected = { expectedDurationMs: 298000, expectedChapters: 3 };
+
+    expect(isMergeVerified({ ...expected, durationMs: 299500, chapterCount: 3 })).toBe(true);
+    expect(isMergeVerified({ ...expected, durationMs: 240000, chapterCount: 3 })).toBe(false);
+    expect(isMergeVerified({ ...expected, durationMs: 298000, chapterCount: 0 })).toBe(false);
+    expect(isMergeVerified({ ...expected, durationMs: 0, chapterCount: 3 })).toBe(false);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Recording Queue Tests
+ *
+ * Tests for the shared recording queue:
+ * - Slot counting across instances
+ * - Queue order and skipping the queue
+ * - Stale queue entries
+ * - Authentication on the queue endpoints
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+const request = require('supertest');
+const app = require('../server');
+const {
+  countAvailableSlots,
+  isTurn,
+  canSkipQueue,
+  isQueueEntryStale,
+  estimateWaitTime,
+} = require('../utils/recordingQueue');
+
+describe('Recording Queue', () => {
+  it('should count reserved and active leases against the limit', () => {
+    expect(countAvailableSlots(5, 0)).toBe(5);
+    expect(countAvailableSlots(5, 3)).toBe(2);
+    // More leases than the limit, e.g. after lowering it
+    expect(countAvailableSlots(5, 7)).toBe(0);
+  });
+
+  it('should let the first callers in the queue take the free slots', () => {
+    expect(isTurn(1, 1)).toBe(true);
+    expect(isTurn(2, 1)).toBe(false);
+    expect(isTurn(2, 2)).toBe(true);
+    expect(isTurn(1, 0)).toBe(false);
+    expect(isTurn(0, 3)).toBe(false);
+  });
+
+  it('should not let new callers skip callers who are waiting', () => {
+    expect(canSkipQueue(1, 0)).toBe(true);
+    expect(canSkipQueue(1, 1)).toBe(false);
+    expect(canSkipQueue(3, 2)).toBe(true);
+    expect(canSkipQueue(0, 0)).toBe(false);
+  });
+
+  it('should drop entries that timed out or stopped polling', () => {
+    const now = new Date('2026-10-20T10:00:00.000Z');
+    const limits = { timeoutMs: 10 * 60 * 1000, heartbeatTimeoutMs: 60 * 1000 };
+
+    expect(isQueueEntryStale({
+      joinedAt: '2026-10-20T09:55:00.000Z',
+      lastSeenAt: '2026-10-20T09:59:55.000Z',
+    }, now, limits)).toBe(false);
+
+    expect(isQueueEntryStale({
+      joinedAt: '2026-10-20T09:45:00.000Z',
+      lastSeenAt: '2026-10-20T09:59:55.000Z',
+    }, now, limits)).toBe(true);
+
+    expect(isQueueEntryStale({
+      joinedAt: '2026-10-20T09:55:00.000Z',
+      lastSeenAt: '2026-10-20T09:58:00.000Z',
+    }, now, limits)).toBe(true);
+  });
+
+  it('should estimate the wait from the position and the limit', () => {
+    expect(estimateWaitTime(1, 5)).toBe(2);
+    expect(estimateWaitTime(10, 5)).toBe(20);
+  });
+});
+
+describe('Recording Queue API Endpoints', () => {
+  it('should return 401 without authentication when getting the queue status', async () => {
+    const response = await request(app)
+      .get('/recording-queue/status')
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 401 without authentication when joining the queue', async () => {
+    const response = await request(app)
+      .post('/recording-queue/join')
+      .send({ groupId: 'test-group-id', callType: 'video' })
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 401 without authentication when checking for a turn', async () => {
+    const response = await request(app)
+      .get('/recording-queue/check-turn/test-queue-id')
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Recurring Finance Tests
+ *
+ * Tests for recurring finance matter templates:
+ * - Period scheduling (catch-up, end dates, pauses)
+ * - Splitting the total between members
+ * - Recurring finance endpoints
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+const request = require('supertest');
+const app = require('../server');
+const {
+  normalizeSchedule,
+  getDuePeriods,
+  getNextPeriodStart,
+  splitAmount,
+  formatPeriodName,
+} = require('../utils/recurringFinance');
+
+const monthly = {
+  name: 'Child support',
+  recurrencePattern: 'monthly',
+  startDate: new Date('2026-01-01T00:00:00Z'),
+  endDate: null,
+  lastPeriodStart: null,
+  endedAt: null,
+};
+
+describe('Recurring Finance Utility', () => {
+  describe('normalizeSchedule', () => {
+    it('should accept simple patterns and reject invalid rules', () => {
+      expect(normalizeSchedule('monthly')).toBe('FREQ=MONTHLY');
+      expect(normalizeSchedule('FREQ=SOMETIMES')).toBeNull();
+    });
+  });
+
+  describe('getDuePeriods', () => {
+    it('should return every period since the last one generated', () => {
+      const periods = getDuePeriods(
+        { ...monthly, lastPeriodStart: new Date('2026-01-01T00:00:00Z') },
+        new Date('2026-03-15T00:00:00Z')
+      );
+
+      expect(periods.map(p => p.toISOString())).toEqual([
+        '2026-02-01T00:00:00.000Z',
+        '2026-03-01T00:00:00.000Z',
+      ]);
+    });
+
+    it('should include the start date as the first period', () => {
+      const periods = getDuePeriods(monthly, new Date('2026-01-01T00:00:00Z'));
+
+      expect(periods.map(p => p.toISOString())).toEqual(['2026-01-01T00:00:00.000Z']);
+    });
+
+    it('should stop at the end date', () => {
+      const periods = getDuePeriods(
+        { ...monthly, endDate: new Date('2026-02-15T00:00:00Z') },
+        new Date('2026-06-01T00:00:00Z')
+      );
+
+      expect(periods).toHaveLength(2);
+    });
+  });
+
+  describe('getNextPeriodStart', () => {
+    it('should return the next period, or null once ended', () => {
+      const template = { ...monthly, lastPeriodStart: new Date('2026-03-01T00:00:00Z') };
+
+      expect(getNextPeriodStart(template).toISOString()).toBe('2026-04-01T00:00:00.000Z');
+      expect(getNextPeriodStart({ ...template, endedAt: new Date() })).toBeNull();
+    });
+  });
+
+  describe('splitAmount', () => {
+    it('should give rounding differences to the first member', () => {
+      const shares = splitAmount('100', [
+        { groupMemberId: 'a', expectedPercentage: '33.33' },
+        { groupMemberId: 'b', expectedPercentage: '33.33' },
+        { groupMemberId: 'c', expectedPercentage: '33.34' },
+      ]);
+
+      expect(shares.map(s => s.expectedAmount)).toEqual([33.33, 33.33, 33.34]);
+      expect(splitAmount('10', [
+        { groupMemberId: 'a', expectedPercentage: '50' },
+        { groupMemberId: 'b', expectedPercentage: '50' },
+      ]).map(s => s.expectedAmount)).toEqual([5, 5]);
+    });
+  });
+
+  describe('formatPeriodName', () => {
+    it('should name generated matters after their period', () => {
+      const periodStart = new Date('2026-01-05T00:00:00Z');
+
+      expect(formatPeriodName(monthly, periodStart)).toBe('Child support - Jan 2026');
+      expect(formatPeriodName({ ...monthly, recurrencePattern: 'weekly' }, periodStart))
+        .toBe('Child support - Jan 5, 2026');
+    });
+  });
+});
+
+describe('Recurring Finance API Endpoints', () => {
+  describe('GET /groups/:groupId/finance/recurring', () => {
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .get('/groups/test-group-id/finance/recurring')
+        .expect('Content-Type', /json/);
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /groups/:groupId/finance/recurring/:recurringFinanceMatterId/pause', () => {
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .post('/groups/test-group-id/finance/recurring/test-id/pause')
+        .expect('Content-Type', /json/);
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
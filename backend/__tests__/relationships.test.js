@@ -0,0 +1,140 @@
+/**
+ * Relationship Tests
+ *
+ * Tests for member relationships:
+ * - Normalizing and describing relationships
+ * - The family tree layout
+ * - Authentication on the relationship endpoints
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+const request = require('supertest');
+const app = require('../server');
+const {
+  isValidRelationshipType,
+  normalizeMembers,
+  describeRelationship,
+  buildFamilyTree,
+} = require('../utils/relationships');
+const { describeRelationshipChange } = require('../services/relationship.service');
+
+describe('Relationship Types', () => {
+  it('should only accept known relationship types', () => {
+    expect(isValidRelationshipType('spouse')).toBe(true);
+    expect(isValidRelationshipType('grandparent')).toBe(true);
+    expect(isValidRelationshipType('cousin')).toBe(false);
+    expect(isValidRelationshipType('toString')).toBe(false);
+  });
+
+  it('should store symmetric relationships with the lower id first', () => {
+    expect(normalizeMembers('b', 'a', 'spouse')).toEqual({ memberId1: 'a', memberId2: 'b' });
+    expect(normalizeMembers('a', 'b', 'sibling')).toEqual({ memberId1: 'a', memberId2: 'b' });
+  });
+
+  it('should keep the direction of directional relationships', () => {
+    expect(normalizeMembers('b', 'a', 'parent')).toEqual({ memberId1: 'b', memberId2: 'a' });
+  });
+
+  it('should describe relationships and changes', () => {
+    expect(describeRelationship('step_parent', 'Alex', 'Sam')).toBe("Alex is Sam's step-parent");
+
+    const data = { relationshipType: 'parent', member1Name: 'Alex', member2Name: 'Sam' };
+    expect(describeRelationshipChange({ ...data, operation: 'create' })).toBe("set Alex is Sam's parent");
+    expect(describeRelationshipChange({ ...data, operation: 'update' }))
+      .toBe("change Alex and Sam's relationship to: Alex is Sam's parent");
+    expect(describeRelationshipChange({ ...data, operation: 'delete' }))
+      .toBe('remove the relationship "Alex is Sam\'s parent"');
+  });
+});
+
+describe('Family Tree', () => {
+  it('should place parents above their children and spouses side by side', () => {
+    const tree = buildFamilyTree(['kid', 'mum', 'dad', 'nan'], [
+      { memberId1: 'mum', memberId2: 'kid', relationshipType: 'parent' },
+      { memberId1: 'dad', memberId2: 'mum', relationshipType: 'spouse' },
+      { memberId1: 'nan', memberId2: 'kid', relationshipType: 'grandparent' },
+    ]);
+
+    expect(tree.generations).toEqual([['nan'], ['mum', 'dad'], ['kid']]);
+    expect(tree.unconnected).toEqual([]);
+  });
+
+  it('should list members without placed relationships as unconnected', () => {
+    const tree = buildFamilyTree(['a', 'b', 'c', 'd'], [
+      { memberId1: 'a', memberId2: 'b', relationshipType: 'sibling' },
+      { memberId1: 'c', memberId2: 'd', relationshipType: 'other' },
+      { memberId1: 'a', memberId2: 'gone', relationshipType: 'parent' },
+    ]);
+
+    expect(tree.generations).toEqual([['a', 'b']]);
+    expect(tree.unconnected).toEqual(['c', 'd']);
+  });
+
+  it('should align separate families on their oldest generation', () => {
+    const tree = buildFamilyTree(['kid1', 'parent1', 'kid2', 'parent2'], [
+      { memberId1: 'parent1', memberId2: 'kid1', relationshipType: 'parent' },
+      { memberId1: 'parent2', memberId2: 'kid2', relationshipType: 'guardian' },
+    ]);
+
+    expect(tree.generations).toEqual([['parent1', 'parent2'], ['kid1', 'kid2']]);
+  });
+
+  it('should keep the first placement when relationships contradict each other', () => {
+    const tree = buildFamilyTree(['a', 'b'], [
+      { memberId1: 'a', memberId2: 'b', relationshipType: 'parent' },
+      { memberId1: 'b', memberId2: 'a', relationshipType: 'parent' },
+    ]);
+
+    expect(tree.generations).toEqual([['a'], ['b']]);
+  });
+});
+
+describe('Relationship API Endpoints', () => {
+  it('should return 401 without authentication when listing relationships', async () => {
+    const response = await request(app)
+      .get('/groups/test-group-id/relationships')
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 401 without authentication when adding a relationship', async () => {
+    const response = await request(app)
+      .post('/groups/test-group-id/relationships')
+      .send({ memberId1: 'a', memberId2: 'b', relationshipType: 'spouse' })
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 401 without authentication when changing a relationship', async () => {
+    const response = await request(app)
+      .put('/groups/test-group-id/relationships/test-relationship-id')
+      .send({ relationshipType: 'partner' })
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 401 without authentication when removing a relationship', async () => {
+    const response = await request(app)
+      .delete('/groups/test-group-id/relationships/test-relationship-id')
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+});
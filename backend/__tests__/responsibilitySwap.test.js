@@ -0,0 +1,79 @@
+/**
+ * Responsibility Swap Tests
+ *
+ * Tests for swap request endpoints:
+ * - Validation of the blocks to give and take
+ * - Authentication on the swap request endpoints
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+const request = require('supertest');
+const app = require('../server');
+const { parseBlocks } = require('../controllers/responsibilitySwaps.controller');
+
+describe('Swap Request Validation', () => {
+  const friday = { startTime: '2026-12-04T17:00:00Z', endTime: '2026-12-05T17:00:00Z' };
+
+  it('should accept a give block, a take block or both', () => {
+    expect(parseBlocks({ give: friday })).toEqual({
+      give: { startTime: '2026-12-04T17:00:00.000Z', endTime: '2026-12-05T17:00:00.000Z' },
+      take: null,
+    });
+    expect(parseBlocks({ take: friday }).take).not.toBeNull();
+  });
+
+  it('should require at least one block', () => {
+    expect(parseBlocks({}).error).toMatch(/needs a block/);
+  });
+
+  it('should reject blocks that end before they start, run too long or overlap', () => {
+    expect(parseBlocks({ give: { startTime: friday.endTime, endTime: friday.startTime } }).error)
+      .toMatch(/give must have a valid startTime/);
+    expect(parseBlocks({ take: { startTime: '2026-01-01T00:00:00Z', endTime: '2026-06-01T00:00:00Z' } }).error)
+      .toMatch(/cannot be longer than 60 days/);
+    expect(parseBlocks({ give: friday, take: { startTime: '2026-12-05T09:00:00Z', endTime: '2026-12-06T09:00:00Z' } }).error)
+      .toMatch(/cannot overlap/);
+  });
+});
+
+describe('Swap Request API Endpoints', () => {
+  it('should return 401 without authentication when requesting a swap', async () => {
+    const response = await request(app)
+      .post('/groups/test-group-id/calendar/events/test-event-id/swap-requests')
+      .send({})
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 401 without authentication when listing swaps', async () => {
+    const response = await request(app)
+      .get('/groups/test-group-id/calendar/swap-requests')
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 401 without authentication when responding to a swap', async () => {
+    const response = await request(app)
+      .post('/groups/test-group-id/calendar/swap-requests/test-approval-id/respond')
+      .send({ response: 'accept' })
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+});
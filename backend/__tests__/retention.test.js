@@ -0,0 +1,131 @@
+/**
+ * Retention Policy Tests
+ *
+ * Tests for message retention:
+ * - Policy validation
+ * - Message group overrides
+ * - Legal holds from log exports
+ * - Authentication on the retention endpoints
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+const request = require('supertest');
+const app = require('../server');
+const {
+  MESSAGE_GROUP_RETENTION_FIELDS,
+  MIN_RETENTION_DAYS,
+  MAX_RETENTION_DAYS,
+  validateRetentionPolicy,
+  resolveRetention,
+  getCutoff,
+  getLegalHoldRanges,
+  isUnderLegalHold,
+  describeRetention,
+} = require('../utils/retention');
+
+describe('Retention Policies', () => {
+  it('should accept periods within the limits and null to keep forever', () => {
+    const result = validateRetentionPolicy({ messageRetentionDays: 365, recordingRetentionDays: null });
+    expect(result.error).toBeUndefined();
+    expect(result.policy).toEqual({ messageRetentionDays: 365, recordingRetentionDays: null });
+  });
+
+  it('should reject periods outside the limits or not whole days', () => {
+    expect(validateRetentionPolicy({ messageRetentionDays: MIN_RETENTION_DAYS - 1 }).error).toBeDefined();
+    expect(validateRetentionPolicy({ messageRetentionDays: MAX_RETENTION_DAYS + 1 }).error).toBeDefined();
+    expect(validateRetentionPolicy({ mediaRetentionDays: 90.5 }).error).toBeDefined();
+    expect(validateRetentionPolicy({ mediaRetentionDays: '90' }).error).toBeDefined();
+  });
+
+  it('should require at least one field for the scope', () => {
+    expect(validateRetentionPolicy({}).error).toBeDefined();
+    expect(validateRetentionPolicy({ recordingRetentionDays: 90 }, MESSAGE_GROUP_RETENTION_FIELDS).error).toBeDefined();
+  });
+
+  it('should let a message group override the group policy', () => {
+    const settings = { messageRetentionDays: 365, mediaRetentionDays: 90 };
+
+    expect(resolveRetention(settings, { messageRetentionDays: null, mediaRetentionDays: 30 })).toEqual({
+      messageRetentionDays: 365,
+      mediaRetentionDays: 30,
+    });
+    expect(resolveRetention(null, { messageRetentionDays: null, mediaRetentionDays: null })).toEqual({
+      messageRetentionDays: null,
+      mediaRetentionDays: null,
+    });
+  });
+
+  it('should only have a cutoff when a period is set', () => {
+    const now = new Date('2025-10-23T12:00:00.000Z');
+    expect(getCutoff(null, now)).toBeNull();
+    expect(getCutoff(30, now).toISOString()).toBe('2025-09-23T12:00:00.000Z');
+  });
+
+  it('should hold the period covered by a log export', () => {
+    const ranges = getLegalHoldRanges([
+      {
+        createdAt: '2025-06-01T00:00:00.000Z',
+        filters: { dateFrom: '2025-01-01T00:00:00.000Z', dateTo: '2025-03-31T00:00:00.000Z' },
+      },
+    ]);
+
+    expect(isUnderLegalHold('2025-02-15T00:00:00.000Z', ranges)).toBe(true);
+    expect(isUnderLegalHold('2024-12-31T00:00:00.000Z', ranges)).toBe(false);
+    expect(isUnderLegalHold('2025-04-15T00:00:00.000Z', ranges)).toBe(false);
+  });
+
+  it('should hold everything up to the export date when the export has no date range', () => {
+    const ranges = getLegalHoldRanges([{ createdAt: '2025-06-01T00:00:00.000Z', filters: {} }]);
+
+    expect(ranges[0].from).toBeNull();
+    expect(isUnderLegalHold('2020-01-01T00:00:00.000Z', ranges)).toBe(true);
+    expect(isUnderLegalHold('2025-06-02T00:00:00.000Z', ranges)).toBe(false);
+  });
+
+  it('should describe null differently for groups and message groups', () => {
+    expect(describeRetention({ messageRetentionDays: 365, mediaRetentionDays: null })).toBe('Messages: 365 days, Media: keep forever');
+    expect(describeRetention({ mediaRetentionDays: null }, true)).toBe('Media: group policy');
+  });
+});
+
+describe('Retention API Endpoints', () => {
+  it('should return 401 without authentication when getting the retention policy', async () => {
+    const response = await request(app)
+      .get('/groups/test-group-id/retention-policy')
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 401 without authentication when changing the retention policy', async () => {
+    const response = await request(app)
+      .put('/groups/test-group-id/retention-policy')
+      .send({ messageRetentionDays: 365 })
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 401 without authentication when changing a message group retention', async () => {
+    const response = await request(app)
+      .put('/groups/test-group-id/message-groups/test-message-group-id/retention-policy')
+      .send({ mediaRetentionDays: 30 })
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Scheduled Messages Tests
+ *
+ * Tests for drafts and scheduled messages:
+ * - Delivery time validation
+ * - Which scheduled messages can still be changed
+ * - Authentication on the draft and scheduled message endpoints
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+const request = require('supertest');
+const app = require('../server');
+const {
+  MAX_SCHEDULE_DAYS,
+  validateScheduledFor,
+  isEditable,
+} = require('../utils/scheduledMessages');
+
+describe('Scheduled Messages', () => {
+  const now = new Date('2025-10-23T12:00:00.000Z');
+
+  it('should accept a delivery time in the future', () => {
+    const result = validateScheduledFor('2025-10-24T07:00:00.000Z', now);
+    expect(result.error).toBeUndefined();
+    expect(result.scheduledFor.toISOString()).toBe('2025-10-24T07:00:00.000Z');
+  });
+
+  it('should reject missing, invalid and past delivery times', () => {
+    expect(validateScheduledFor(undefined, now).error).toBeDefined();
+    expect(validateScheduledFor('next tuesday', now).error).toBeDefined();
+    expect(validateScheduledFor('2025-10-23T11:00:00.000Z', now).error).toBeDefined();
+    expect(validateScheduledFor('2025-10-23T12:00:30.000Z', now).error).toBeDefined();
+  });
+
+  it('should reject delivery times too far ahead', () => {
+    const tooFar = new Date(now.getTime() + (MAX_SCHEDULE_DAYS + 1) * 24 * 60 * 60 * 1000);
+    expect(validateScheduledFor(tooFar.toISOString(), now).error).toBeDefined();
+  });
+
+  it('should only allow changes while waiting to be sent', () => {
+    expect(isEditable({ status: 'scheduled' })).toBe(true);
+    ['sending', 'sent', 'failed', 'cancelled'].forEach(status => {
+      expect(isEditable({ status })).toBe(false);
+    });
+  });
+});
+
+describe('Scheduled Message API Endpoints', () => {
+  const base = '/groups/test-group-id/message-groups/test-message-group-id';
+
+  it('should return 401 without authentication when saving a draft', async () => {
+    const response = await request(app)
+      .put(`${base}/draft`)
+      .send({ content: 'Half-finished thought' })
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 401 without authentication when scheduling a message', async () => {
+    const response = await request(app)
+      .post(`${base}/scheduled-messages`)
+      .send({ content: 'Handover at 5pm', scheduledFor: '2030-01-01T17:00:00.000Z' })
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 401 without authentication when cancelling a scheduled message', async () => {
+    const response = await request(app)
+      .delete(`${base}/scheduled-messages/test-scheduled-message-id`)
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Search Tests
+ *
+ * Tests for unified group search:
+ * - Word normalisation
+ * - Blind index tokens and prefix matching
+ * - Search endpoint
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+const request = require('supertest');
+const app = require('../server');
+const {
+  normalizeWords,
+  getTextTokens,
+  getQueryTokens,
+  textMatchesQuery,
+} = require('../services/searchIndex.service');
+
+const GROUP_A = '11111111-1111-1111-1111-111111111111';
+const GROUP_B = '22222222-2222-2222-2222-222222222222';
+
+describe('Search Index Service', () => {
+  it('should normalise case and accents', () => {
+    expect(normalizeWords('Café  RÉSUMÉ, 2pm!')).toEqual(['cafe', 'resume', '2pm']);
+    expect(normalizeWords('')).toEqual([]);
+    expect(normalizeWords(null)).toEqual([]);
+  });
+
+  it('should match queries by word prefix', () => {
+    const tokens = getTextTokens(GROUP_A, ['Dentist on Tuesday']);
+
+    for (const query of ['dent', 'Dentist', 'tues', 'on']) {
+      expect(tokens).toEqual(expect.arrayContaining(getQueryTokens(GROUP_A, query)));
+    }
+    expect(tokens).not.toContain(getQueryTokens(GROUP_A, 'de')[0]);
+    expect(tokens).not.toContain(getQueryTokens(GROUP_A, 'dentists')[0]);
+  });
+
+  it('should not store plaintext and should differ between groups', () => {
+    const tokensA = getTextTokens(GROUP_A, ['dentist']);
+    const tokensB = getTextTokens(GROUP_B, ['dentist']);
+
+    expect(tokensA.every(token => /^[0-9a-f]{32}$/.test(token))).toBe(true);
+    expect(tokensA.some(token => tokensB.includes(token))).toBe(false);
+  });
+
+  it('should confirm matches against decrypted text', () => {
+    expect(textMatchesQuery(['School pickup', 'at 3pm'], ['pick', '3pm'])).toBe(true);
+    expect(textMatchesQuery(['School pickup', 'at 3pm'], ['up'])).toBe(false);
+    expect(textMatchesQuery(['School pickup', 'at 3pm'], ['sch', '4pm'])).toBe(false);
+  });
+});
+
+describe('Search API Endpoints', () => {
+  describe('GET /groups/:groupId/search', () => {
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .get('/groups/test-group-id/search?q=dentist')
+        .expect('Content-Type', /json/);
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * SFU Tests
+ *
+ * Tests for routing group calls through the SFU:
+ * - Choosing a call's topology
+ * - Authentication on the SFU signal callback, which fails closed without SFU_API_KEY
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+const axios = require('axios');
+const request = require('supertest');
+const app = require('../server');
+const sfuService = require('../services/sfu.service');
+
+const originalEnv = {
+  SFU_URL: process.env.SFU_URL,
+  SFU_API_KEY: process.env.SFU_API_KEY,
+  SFU_MIN_PARTICIPANTS: process.env.SFU_MIN_PARTICIPANTS,
+};
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(originalEnv)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+  jest.restoreAllMocks();
+});
+
+describe('SFU Topology', () => {
+  it('should use mesh when no SFU is configured', async () => {
+    delete process.env.SFU_URL;
+    const healthCheck = jest.spyOn(axios, 'get');
+
+    expect(await sfuService.chooseTopology(6)).toBe('mesh');
+    expect(healthCheck).not.toHaveBeenCalled();
+  });
+
+  it('should use the SFU for larger calls when it is healthy', async () => {
+    process.env.SFU_URL = 'http://sfu.test:3002';
+    process.env.SFU_API_KEY = 'test-sfu-key';
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { status: 'healthy' } });
+
+    expect(await sfuService.chooseTopology(3)).toBe('sfu');
+    expect(axios.get).toHaveBeenCalledWith('http://sfu.test:3002/health', expect.any(Object));
+  });
+
+  it('should keep smaller calls peer-to-peer', async () => {
+    process.env.SFU_URL = 'http://sfu.test:3002';
+    const healthCheck = jest.spyOn(axios, 'get');
+
+    expect(await sfuService.chooseTopology(2)).toBe('mesh');
+
+    process.env.SFU_MIN_PARTICIPANTS = '5';
+    expect(await sfuService.chooseTopology(4)).toBe('mesh');
+    expect(healthCheck).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to mesh when the SFU is down', async () => {
+    process.env.SFU_URL = 'http://sfu.test:3002';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(axios, 'get').mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    expect(await sfuService.chooseTopology(4)).toBe('mesh');
+  });
+
+  it('should use mesh when the SFU has no API key', async () => {
+    process.env.SFU_URL = 'http://sfu.test:3002';
+    delete process.env.SFU_API_KEY;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const healthCheck = jest.spyOn(axios, 'get');
+
+    expect(await sfuService.chooseTopology(4)).toBe('mesh');
+    expect(healthCheck).not.toHaveBeenCalled();
+  });
+});
+
+describe('SFU Signal Endpoint', () => {
+  const signal = {
+    callType: 'video',
+    callId: 'call-uuid',
+    toPeerId: 'member-uuid',
+    type: 'offer',
+    data: { type: 'offer', sdp: 'v=0', tracks: {} },
+  };
+
+  it('should return 401 with the wrong API key', async () => {
+    process.env.SFU_URL = 'http://sfu.test:3002';
+    process.env.SFU_API_KEY = 'test-sfu-key';
+
+    const response = await request(app)
+      .post('/sfu/signal')
+      .set('X-API-Key', 'wrong-key')
+      .send(signal)
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 503 when the SFU has no API key', async () => {
+    process.env.SFU_URL = 'http://sfu.test:3002';
+    delete process.env.SFU_API_KEY;
+
+    const response = await request(app)
+      .post('/sfu/signal')
+      .send(signal)
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(503);
+  });
+
+  it('should return 404 when no SFU is configured', async () => {
+    delete process.env.SFU_URL;
+    delete process.env.SFU_API_KEY;
+
+    const response = await request(app)
+      .post('/sfu/signal')
+      .send(signal)
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should reject an invalid signal', async () => {
+    process.env.SFU_URL = 'http://sfu.test:3002';
+    process.env.SFU_API_KEY = 'test-sfu-key';
+
+    const response = await request(app)
+      .post('/sfu/signal')
+      .set('X-API-Key', 'test-sfu-key')
+      .send({ ...signal, callType: 'carrier-pigeon' })
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Call Transcript Tests
+ *
+ * Tests for call recording transcripts:
+ * - Merging transcribed chunks into one timeline
+ * - Retrying failed transcriptions
+ * - Recording parts to transcribe
+ * - Authentication on the transcript endpoints
+ */
+
+// Mock problematic ES modules BEFORE importing server
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'test-uuid-1234'),
+}));
+
+// Mock Stripe to avoid needing a real API key in tests
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    customers: { create: jest.fn(), retrieve: jest.fn() },
+    subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: { constructEvent: jest.fn() },
+  }));
+});
+
+const request = require('supertest');
+const app = require('../server');
+const {
+  MAX_TRANSCRIPTION_ATTEMPTS,
+  mergeChunkSegments,
+  needsTranscription,
+  formatOffset,
+} = require('../utils/transcripts');
+const { getRecordingParts } = require('../services/transcript.service');
+
+describe('Call Transcripts', () => {
+  it('should place chunk segments on the recording timeline', () => {
+    const merged = mergeChunkSegments([
+      {
+        chunkIndex: 0,
+        startedAt: '2026-10-20T10:00:00.000Z',
+        segments: [{ startMs: 1000, endMs: 4000, text: ' Hello ' }],
+      },
+      {
+        chunkIndex: 1,
+        startedAt: '2026-10-20T10:05:00.000Z',
+        segments: [{ startMs: 2000, endMs: 5000, text: 'Second chunk' }],
+      },
+    ]);
+
+    expect(merged).toEqual([
+      { chunkIndex: 0, startMs: 1000, endMs: 4000, offsetMs: 1000, text: 'Hello' },
+      { chunkIndex: 1, startMs: 2000, endMs: 5000, offsetMs: 302000, text: 'Second chunk' },
+    ]);
+  });
+
+  it('should drop speech transcribed twice in the chunk overlap', () => {
+    const merged = mergeChunkSegments([
+      {
+        chunkIndex: 0,
+        startedAt: '2026-10-20T10:00:00.000Z',
+        segments: [
+          { startMs: 0, endMs: 58000, text: 'First' },
+          { startMs: 58000, endMs: 60000, text: 'Overlap' },
+        ],
+      },
+      {
+        // Starts 2 seconds before the previous chunk ends
+        chunkIndex: 1,
+        startedAt: '2026-10-20T10:00:58.000Z',
+        segments: [
+          { startMs: 0, endMs: 2000, text: 'Overlap' },
+          { startMs: 2000, endMs: 6000, text: 'After' },
+        ],
+      },
+    ]);
+
+    expect(merged.map(s => s.text)).toEqual(['First', 'Overlap', 'After']);
+    expect(merged[2]).toMatchObject({ chunkIndex: 1, startMs: 2000, offsetMs: 60000 });
+  });
+
+  it('should skip empty segments and handle no chunks', () => {
+    expect(mergeChunkSegments([])).toEqual([]);
+    expect(mergeChunkSegments([
+      { chunkIndex: null, startedAt: new Date(), segments: [{ startMs: 0, endMs: 1000, text: '  ' }] },
+    ])).toEqual([]);
+  });
+
+  it('should retry failed transcriptions up to the limit', () => {
+    expect(needsTranscription(null)).toBe(true);
+    expect(needsTranscription({ status: 'failed', attempts: 1 })).toBe(true);
+    expect(needsTranscription({ status: 'failed', attempts: MAX_TRANSCRIPTION_ATTEMPTS })).toBe(false);
+    expect(needsTranscription({ status: 'pending', attempts: 1 })).toBe(false);
+    expect(needsTranscription({ status: 'ready', attempts: 1 })).toBe(false);
+  });
+
+  it('should format offsets as minutes or hours', () => {
+    expect(formatOffset(0)).toBe('0:00');
+    expect(formatOffset(65000)).toBe('1:05');
+    expect(formatOffset(3725000)).toBe('1:02:05');
+  });
+
+  it('should transcribe ready chunks in order, or the single recording file', () => {
+    const chunked = getRecordingParts({
+      recordingFileId: null,
+      recordingChunks: [
+        { chunkIndex: 1, fileId: 'file-2', startedAt: 'b', status: 'ready' },
+        { chunkIndex: 2, fileId: 'file-3', startedAt: 'c', status: 'processing' },
+        { chunkIndex: 0, fileId: 'file-1', startedAt: 'a', status: 'ready' },
+      ],
+    });
+    expect(chunked.map(p => p.fileId)).toEqual(['file-1', 'file-2']);
+
+    const startedAt = new Date('2026-10-20T10:00:00.000Z');
+    const connectedAt = new Date('2026-10-20T10:00:05.000Z');
+    expect(getRecordingParts({ recordingFileId: 'file-0', recordingChunks: [], startedAt, connectedAt })).toEqual([
+      { chunkIndex: null, startedAt: connectedAt, fileId: 'file-0' },
+    ]);
+
+    expect(getRecordingParts({ recordingFileId: null, recordingChunks: [] })).toEqual([]);
+  });
+});
+
+describe('Call Transcript API Endpoints', () => {
+  it('should return 401 without authentication for a phone call transcript', async () => {
+    const response = await request(app)
+      .get('/groups/test-group-id/phone-calls/test-call-id/transcript')
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 401 without authentication for a video call transcript', async () => {
+    const response = await request(app)
+      .get('/groups/test-group-id/video-calls/test-call-id/transcript')
+      .expect('Content-Type', /json/);
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -16,6 +16,10 @@
  * 1. Edit MAX_CONCURRENT_RECORDINGS below
  * 2. Restart the backend server
  *
+ * The limit is shared by all backend instances: the queue and the recording
+ * slots (leases) are stored in the database, so running more instances does
+ * not raise it.
+ *
  * WHEN TO INCREASE:
  * - Upgraded to larger Lightsail instance (4GB+ RAM)
  * - Moved recording to dedicated server
@@ -64,8 +68,39 @@ module.exports = {
   QUEUE_TIMEOUT_MS: parseInt(process.env.QUEUE_TIMEOUT_MS, 10) || 600000,
 
   /**
-   * How often to check for queue timeouts (in milliseconds)
+   * How long a waiting caller can go without polling before losing their place
+   * (in milliseconds). The app polls every 5 seconds while queued.
+   * Default: 1 minute (60000ms)
+   */
+  QUEUE_HEARTBEAT_TIMEOUT_MS: parseInt(process.env.QUEUE_HEARTBEAT_TIMEOUT_MS, 10) || 60000,
+
+  /**
+   * How long a slot is held for a queued caller whose turn has come, while
+   * they start their call (in milliseconds)
+   * Default: 2 minutes (120000ms)
+   */
+  RESERVATION_TTL_MS: parseInt(process.env.RESERVATION_TTL_MS, 10) || 120000,
+
+  /**
+   * How long an active recording keeps its slot without a heartbeat
+   * (in milliseconds). If the instance recording it crashes, the slot frees
+   * up after this long.
+   * Default: 90 seconds (90000ms)
+   */
+  LEASE_TTL_MS: parseInt(process.env.RECORDING_LEASE_TTL_MS, 10) || 90000,
+
+  /**
+   * How often each instance renews the slots of the recordings it runs
+   * (in milliseconds). Must be well under LEASE_TTL_MS.
    * Default: 30 seconds (30000ms)
    */
-  QUEUE_CLEANUP_INTERVAL_MS: parseInt(process.env.QUEUE_CLEANUP_INTERVAL_MS, 10) || 30000,
+  LEASE_HEARTBEAT_INTERVAL_MS: parseInt(process.env.RECORDING_LEASE_HEARTBEAT_MS, 10) || 30000,
+
+  /**
+   * How many heartbeats in a row the recorder may fail to answer before a
+   * recording's slot is released. Until then the slot is kept, so a slow or
+   * restarting recorder doesn't hand out slots of calls still being recorded.
+   * Default: 5 (2.5 minutes at the default heartbeat interval)
+   */
+  LEASE_CHECK_MAX_FAILURES: parseInt(process.env.RECORDING_LEASE_CHECK_MAX_FAILURES, 10) || 5,
 };
@@ -7,6 +7,70 @@
 const { prisma } = require('../config/database');
 const { emailService } = require('../services/email');
 const emailTemplates = require('../services/email/templates');
+const groupKeysService = require('../services/groupKeys.service');
+const { SWAP_APPROVAL_TYPE, getSwapData, describeSwap, respondToSwap } = require('../services/responsibilitySwap.service');
+const { describeRelationshipChange, applyRelationshipChange } = require('../services/relationship.service');
+const {
+  createEvent,
+  createResponsibilityEventRecords,
+  applyEventUpdate,
+  applyEventDelete,
+  describeEventApproval,
+} = require('./calendar.controller');
+const { parseSchedule, createScheduleEvents } = require('./custodySchedules.controller');
+const { applyRetentionPolicy } = require('./retention.controller');
+const { createApprovalRequest, notifyApprovalRequested } = require('../services/approval.service');
+const {
+  APPROVAL_TYPES,
+  DEFAULT_POLICY,
+  resolvePolicy,
+  getDeadline,
+  describePolicy,
+  validatePolicy,
+} = require('../utils/approvalExpiry');
+const { describeRetention } = require('../utils/retention');
+
+/**
+ * Save a group's expiry policy for an approval type and log it
+ *
+ * @param {Object} options
+ * @param {string} options.groupId
+ * @param {string} options.approvalType
+ * @param {Object} options.policy - Validated policy
+ * @param {Object} options.performer - GroupMember making the change (user included when available)
+ * @param {boolean} [options.viaApproval] - Whether admins approved the change
+ */
+async function applyExpiryPolicy({ groupId, approvalType, policy, performer, viaApproval = false }) {
+  const fields = {
+    expiryHours: policy.expiryHours,
+    reminderIntervalHours: policy.reminderIntervalHours,
+    outcome: policy.outcome,
+    escalationHours: policy.escalationHours,
+    fallbackPercentage: policy.fallbackPercentage,
+    updatedBy: performer.groupMemberId,
+  };
+
+  await prisma.approvalExpiryPolicy.upsert({
+    where: {
+      groupId_approvalType: { groupId, approvalType },
+    },
+    update: fields,
+    create: { groupId, approvalType, ...fields },
+  });
+
+  await prisma.auditLog.create({
+    data: {
+      groupId: groupId,
+      action: 'update_approval_policy',
+      performedBy: performer.groupMemberId,
+      performedByName: performer.user?.displayName || performer.displayName,
+      performedByEmail: performer.user?.email || performer.email || 'N/A',
+      actionLocation: 'approvals',
+      messageContent: `${viaApproval ? 'Approval expiry policy updated via approval' : 'Updated approval expiry policy'}: ${approvalType.replace(/_/g, ' ')} requests ${describePolicy(policy)}`,
+      logData: { approvalType, policy },
+    },
+  });
+}
 
 /**
  * Execute the action for an approved approval
@@ -135,7 +199,12 @@ async function executeApprovedAction(approval) {
             where: { groupId: approval.groupId },
             data: { isHidden: true },
           });
-          console.log(`[executeApprovedAction] Deleted (hidden) group ${approval.groupId}`);
+          // Crypto-shred: without its data key the group's encrypted content is unreadable
+          const shredded = await groupKeysService.destroyGroupKeys(approval.groupId);
+          if (shredded.remaining > 0) {
+            console.error(`[executeApprovedAction] ${shredded.remaining} items of group ${approval.groupId} could not be moved off the master keys and were not shredded`);
+          }
+          console.log(`[executeApprovedAction] Deleted (hidden) group ${approval.groupId} and destroyed its data key`);
         }
         break;
 
@@ -322,6 +391,151 @@ async function executeApprovedAction(approval) {
         }
         break;
 
+      case 'assign_relationship':
+      case 'change_relationship':
+        // Create, change or remove a relationship between two members
+        await applyRelationshipChange(approval.groupId, data);
+        console.log(`[executeApprovedAction] Applied relationship ${data.operation} for ${data.memberId1} and ${data.memberId2}`);
+        break;
+
+      case 'create_calendar_event':
+      case 'edit_calendar_event':
+      case 'delete_calendar_event':
+        // Create, edit or delete a calendar event in a group that requires approval for calendar changes
+        {
+          const requester = await prisma.groupMember.findUnique({
+            where: { groupMemberId: approval.requestedBy },
+          });
+
+          if (approval.approvalType === 'create_calendar_event') {
+            const event = await createEvent(approval.groupId, requester, data.fields);
+            console.log(`[executeApprovedAction] Created calendar event ${event.eventId}`);
+            break;
+          }
+
+          const existingEvent = await prisma.calendarEvent.findUnique({
+            where: { eventId: approval.relatedEntityId },
+          });
+
+          if (!existingEvent || existingEvent.groupId !== approval.groupId) {
+            console.log(`[executeApprovedAction] Calendar event ${approval.relatedEntityId} was deleted before the change was approved`);
+            break;
+          }
+
+          const isDelete = approval.approvalType === 'delete_calendar_event';
+          const result = isDelete
+            ? await applyEventDelete(existingEvent, requester, data.fields)
+            : await applyEventUpdate(existingEvent, requester, data.fields);
+          if (result.error) {
+            console.error(`[executeApprovedAction] Could not ${isDelete ? 'delete' : 'edit'} calendar event ${existingEvent.eventId}: ${result.error}`);
+          } else {
+            console.log(`[executeApprovedAction] ${isDelete ? 'Deleted' : 'Edited'} calendar event ${existingEvent.eventId}`);
+          }
+        }
+        break;
+
+      case 'create_responsibility_event':
+      case 'create_custody_schedule':
+        // Create a responsibility event or custody schedule in a group that requires approval for calendar changes
+        {
+          const requester = await prisma.groupMember.findUnique({
+            where: { groupMemberId: approval.requestedBy },
+          });
+
+          if (approval.approvalType === 'create_responsibility_event') {
+            const { event } = await createResponsibilityEventRecords(approval.groupId, requester, data.fields);
+            console.log(`[executeApprovedAction] Created responsibility event ${event.eventId}`);
+            break;
+          }
+
+          // Validated again: members may have left or changed role during the vote
+          const parsed = await parseSchedule(approval.groupId, data.fields);
+          if (parsed.error) {
+            console.error(`[executeApprovedAction] Could not create custody schedule "${data.eventTitle}": ${parsed.error}`);
+            break;
+          }
+
+          const events = await createScheduleEvents(approval.groupId, requester, parsed.schedule);
+          console.log(`[executeApprovedAction] Created custody schedule "${parsed.schedule.title}" with ${events.length} event(s)`);
+        }
+        break;
+
+      case 'change_group_settings':
+        // Apply settings changes in a group that requires approval for them
+        if (data.settings && Object.keys(data.settings).length > 0) {
+          await prisma.groupSettings.upsert({
+            where: { groupId: approval.groupId },
+            update: data.settings,
+            create: {
+              groupId: approval.groupId,
+              ...data.settings,
+            },
+          });
+
+          const requester = await prisma.groupMember.findUnique({
+            where: { groupMemberId: approval.requestedBy },
+            include: {
+              user: { select: { email: true, displayName: true } },
+            },
+          });
+
+          await prisma.auditLog.create({
+            data: {
+              groupId: approval.groupId,
+              action: 'update_group_settings',
+              performedBy: approval.requestedBy,
+              performedByName: requester?.user?.displayName || requester?.displayName || 'Admin',
+              performedByEmail: requester?.user?.email || 'N/A',
+              actionLocation: 'group_settings',
+              messageContent: `Group settings updated via approval:\n${(data.changes || []).map(change => `${change.label}: ${change.to}`).join('\n')}`,
+            },
+          });
+
+          console.log(`[executeApprovedAction] Updated ${Object.keys(data.settings).length} group setting(s) for group ${approval.groupId}`);
+        }
+        break;
+
+      case 'change_approval_policy': {
+        // Apply an expiry policy change in a group that requires approval for settings
+        const requester = await prisma.groupMember.findUnique({
+          where: { groupMemberId: approval.requestedBy },
+          include: {
+            user: { select: { email: true, displayName: true } },
+          },
+        });
+
+        await applyExpiryPolicy({
+          groupId: approval.groupId,
+          approvalType: data.approvalType,
+          policy: data.policy,
+          performer: requester || { groupMemberId: approval.requestedBy, displayName: 'Admin' },
+          viaApproval: true,
+        });
+        console.log(`[executeApprovedAction] Updated ${data.approvalType} expiry policy for group ${approval.groupId}`);
+        break;
+      }
+
+      case 'change_retention_policy': {
+        // Apply a retention change for the group or one of its message groups
+        const requester = await prisma.groupMember.findUnique({
+          where: { groupMemberId: approval.requestedBy },
+          include: {
+            user: { select: { email: true, displayName: true } },
+          },
+        });
+
+        await applyRetentionPolicy({
+          groupId: approval.groupId,
+          messageGroupId: data.messageGroupId,
+          messageGroupName: data.messageGroupName,
+          policy: data.policy,
+          performer: requester || { groupMemberId: approval.requestedBy, displayName: 'Admin' },
+          viaApproval: true,
+        });
+        console.log(`[executeApprovedAction] Updated retention policy for ${data.messageGroupId ? `message group ${data.messageGroupId}` : `group ${approval.groupId}`}`);
+        break;
+      }
+
       default:
         console.log(`[executeApprovedAction] Unknown approval type: ${approval.approvalType}`);
     }
@@ -331,6 +545,67 @@ async function executeApprovedAction(approval) {
   }
 }
 
+/**
+ * Describe an approval for people voting on it
+ *
+ * @param {Object} approval - Approval with requester (and requester.user)
+ * @param {Object} data - Parsed approvalData
+ * @returns {string}
+ */
+function describeApproval(approval, data) {
+  const requesterName = approval.requester?.user?.email || approval.requester?.displayName || 'Unknown';
+
+  switch (approval.approvalType) {
+    case 'change_role_to_admin': {
+      // Try to get target info from approvalData, or fall back to looking up by targetGroupMemberId
+      let targetName = data.targetEmail || data.targetDisplayName;
+
+      // If old approval without target info, try to look it up (backward compatibility)
+      if (!targetName && data.targetGroupMemberId) {
+        // This is a fallback for old approvals - won't work if member was deleted
+        targetName = 'a member';
+      }
+
+      return `${requesterName} requested to promote ${targetName || 'a member'} to admin`;
+    }
+    case 'change_role_from_admin':
+      return `${requesterName} requested to demote ${data.targetEmail || data.targetDisplayName || 'a member'} from admin to ${data.newRole}`;
+    case 'add_member':
+      return `${requesterName} requested to add ${data.targetEmail || data.targetDisplayName || 'a member'} as ${data.targetRole || 'member'}`;
+    case 'remove_member':
+      return `${requesterName} requested to remove ${data.targetDisplayName || 'a member'} from the group`;
+    case 'delete_group':
+      return `${requesterName} requested to delete the group "${data.groupName || 'this group'}"`;
+    case 'delete_file':
+      return `${requesterName} requested to delete file "${data.fileName || 'unknown file'}"`;
+    case 'delete_call_recording':
+      return `${requesterName} requested to delete ${data.callType || 'call'} recording "${data.fileName || 'unknown'}"`;
+    case 'delete_log_export':
+      return `${requesterName} requested to delete log export "${data.fileName || 'unknown'}"`;
+    case SWAP_APPROVAL_TYPE:
+      return describeSwap(data);
+    case 'assign_relationship':
+    case 'change_relationship':
+      return `${requesterName} requested to ${describeRelationshipChange(data)}`;
+    case 'create_calendar_event':
+    case 'edit_calendar_event':
+    case 'delete_calendar_event':
+    case 'create_responsibility_event':
+    case 'create_custody_schedule':
+      return `${requesterName} requested to ${describeEventApproval(approval.approvalType, data)}`;
+    case 'change_group_settings':
+      return `${requesterName} requested to change ${(data.changes || []).length} group setting(s)`;
+    case 'change_approval_policy':
+      return `${requesterName} requested to change what happens when ${data.approvalType.replace(/_/g, ' ')} requests expire`;
+    case 'change_retention_policy':
+      return data.messageGroupId
+        ? `${requesterName} requested to change how long message group "${data.messageGroupName}" keeps data (${describeRetention(data.policy, true)})`
+        : `${requesterName} requested to change how long the group keeps data (${describeRetention(data.policy)})`;
+    default:
+      return `${requesterName} requested approval for ${approval.approvalType.replace(/_/g, ' ')}`;
+  }
+}
+
 /**
  * GET /groups/:groupId/approvals
  * Get all approvals for a group (filtered by user's involvement)
@@ -385,13 +660,19 @@ async function getApprovals(req, res) {
 
     // Get approvals based on user role
     // ADMINS: See ALL approvals in the group (pending, approved, rejected, canceled)
-    // NON-ADMINS: Only see approvals they requested
+    // NON-ADMINS: Only see approvals they requested, plus swap requests sent to them
     const approvals = await prisma.approval.findMany({
       where: isAdmin
         ? { groupId: groupId } // Admins see everything
         : {
             groupId: groupId,
-            requestedBy: groupMembership.groupMemberId, // Non-admins only see their own
+            OR: [
+              { requestedBy: groupMembership.groupMemberId }, // Non-admins only see their own
+              {
+                approvalType: SWAP_APPROVAL_TYPE,
+                approvalData: { path: ['counterpartyId'], equals: groupMembership.groupMemberId },
+              },
+            ],
           },
       include: {
         requester: {
@@ -438,6 +719,36 @@ async function getApprovals(req, res) {
       },
     });
 
+    // Expiry policies, for showing when pending requests run out of time
+    const expiryPolicies = await prisma.approvalExpiryPolicy.findMany({
+      where: { groupId: groupId },
+    });
+
+    // Swap requests are answered by their counterparty, who need not be an admin
+    const swapCounterpartyIds = [...new Set(approvals
+      .filter(approval => approval.approvalType === SWAP_APPROVAL_TYPE)
+      .map(approval => getSwapData(approval).counterpartyId)
+      .filter(id => !allAdmins.some(admin => admin.groupMemberId === id)))];
+    const swapCounterparties = swapCounterpartyIds.length > 0
+      ? await prisma.groupMember.findMany({
+          where: { groupMemberId: { in: swapCounterpartyIds } },
+          select: {
+            groupMemberId: true,
+            displayName: true,
+            iconLetters: true,
+            iconColor: true,
+            user: {
+              select: {
+                displayName: true,
+                memberIcon: true,
+                iconColor: true,
+                profilePhotoFileId: true,
+              },
+            },
+          },
+        })
+      : [];
+
     // Calculate voting status for each approval
     const approvalsWithStatus = approvals.map(approval => {
       const totalAdmins = allAdmins.length;
@@ -460,47 +771,7 @@ async function getApprovals(req, res) {
       }
 
       // Generate human-readable description from approvalData
-      let description = '';
-      const requesterName = approval.requester?.user?.email || approval.requester?.displayName || 'Unknown';
-
-      switch (approval.approvalType) {
-        case 'change_role_to_admin': {
-          // Try to get target info from approvalData, or fall back to looking up by targetGroupMemberId
-          let targetName = data.targetEmail || data.targetDisplayName;
-
-          // If old approval without target info, try to look it up (backward compatibility)
-          if (!targetName && data.targetGroupMemberId) {
-            // This is a fallback for old approvals - won't work if member was deleted
-            targetName = 'a member';
-          }
-
-          description = `${requesterName} requested to promote ${targetName || 'a member'} to admin`;
-          break;
-        }
-        case 'change_role_from_admin':
-          description = `${requesterName} requested to demote ${data.targetEmail || data.targetDisplayName || 'a member'} from admin to ${data.newRole}`;
-          break;
-        case 'add_member':
-          description = `${requesterName} requested to add ${data.targetEmail || data.targetDisplayName || 'a member'} as ${data.targetRole || 'member'}`;
-          break;
-        case 'remove_member':
-          description = `${requesterName} requested to remove ${data.targetDisplayName || 'a member'} from the group`;
-          break;
-        case 'delete_group':
-          description = `${requesterName} requested to delete the group "${data.groupName || 'this group'}"`;
-          break;
-        case 'delete_file':
-          description = `${requesterName} requested to delete file "${data.fileName || 'unknown file'}"`;
-          break;
-        case 'delete_call_recording':
-          description = `${requesterName} requested to delete ${data.callType || 'call'} recording "${data.fileName || 'unknown'}"`;
-          break;
-        case 'delete_log_export':
-          description = `${requesterName} requested to delete log export "${data.fileName || 'unknown'}"`;
-          break;
-        default:
-          description = `${requesterName} requested approval for ${approval.approvalType.replace(/_/g, ' ')}`;
-      }
+      const description = describeApproval(approval, data);
 
       // Build complete admin vote status list using snapshot from approvalData
       let allAdminStatuses = [];
@@ -531,7 +802,8 @@ async function getApprovals(req, res) {
         // Use the snapshot from approvalData (correct approach)
         allAdminStatuses = snapshotAdminIds.map(adminId => {
           const voteRecord = approval.votes.find(v => v.adminId === adminId);
-          const adminInfo = allAdmins.find(a => a.groupMemberId === adminId);
+          const adminInfo = allAdmins.find(a => a.groupMemberId === adminId) ||
+            swapCounterparties.find(m => m.groupMemberId === adminId);
 
           if (voteRecord) {
             // Admin has voted - use vote record admin info with user hierarchy
@@ -615,6 +887,14 @@ async function getApprovals(req, res) {
         ...approval,
         requester: transformedRequester,
         description,
+        changes: data.changes || null, // Proposed field changes, for showing a diff
+        expiresAt: approval.status === 'pending' && approval.approvalType !== SWAP_APPROVAL_TYPE
+          ? getDeadline(approval, resolvePolicy(approval.approvalType, expiryPolicies))
+          : null,
+        // What happens at expiresAt; escalated requests are decided by the votes cast
+        expiryOutcome: approval.escalatedAt
+          ? 'fallback_majority'
+          : resolvePolicy(approval.approvalType, expiryPolicies).outcome,
         totalAdmins,
         approveVotes,
         rejectVotes,
@@ -625,8 +905,11 @@ async function getApprovals(req, res) {
     });
 
     // Categorize approvals into 3 lists
+    // Swap requests only await their counterparty
     const awaitingYourAction = approvalsWithStatus.filter(
-      a => a.status === 'pending' && isAdmin && !a.hasUserVoted
+      a => a.status === 'pending' && !a.hasUserVoted && (a.approvalType === SWAP_APPROVAL_TYPE
+        ? getSwapData(a).counterpartyId === groupMembership.groupMemberId
+        : isAdmin)
     );
 
     const awaitingOthers = approvalsWithStatus.filter(
@@ -696,6 +979,42 @@ async function voteOnApproval(req, res) {
       });
     }
 
+    // Swap requests are answered by their counterparty rather than voted on by admins
+    const swapApproval = await prisma.approval.findFirst({
+      where: {
+        approvalId: approvalId,
+        groupId: groupId,
+        approvalType: SWAP_APPROVAL_TYPE,
+      },
+    });
+
+    if (swapApproval) {
+      const result = await respondToSwap({
+        approval: swapApproval,
+        respondent: groupMembership,
+        response: vote === 'approve' ? 'accept' : 'decline',
+      });
+
+      if (result.error) {
+        return res.status(result.status).json({
+          error: { 403: 'Forbidden', 409: 'Conflict' }[result.status] || 'Bad Request',
+          message: result.error,
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Vote recorded successfully',
+        approval: {
+          approvalId: result.approval.approvalId,
+          status: result.approval.status,
+          approveVotes: vote === 'approve' ? 1 : 0,
+          rejectVotes: vote === 'reject' ? 1 : 0,
+          totalAdmins: 1,
+        },
+      });
+    }
+
     // Check if user is admin or on trial (20-day trial)
     const daysSinceCreation = groupMembership.user ? (Date.now() - new Date(groupMembership.user.createdAt).getTime()) / (1000 * 60 * 60 * 24) : Infinity;
     const isOnTrial = groupMembership.user && !groupMembership.user.isSubscribed && daysSinceCreation <= 20;
@@ -989,8 +1308,142 @@ async function cancelApproval(req, res) {
   }
 }
 
+/**
+ * GET /groups/:groupId/approval-policies
+ * Get the group's expiry policy for each approval type
+ */
+async function getApprovalPolicies(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const groupMembership = await prisma.groupMember.findFirst({
+      where: {
+        groupId: groupId,
+        user: { userId: userId },
+      },
+    });
+
+    if (!groupMembership) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You are not a member of this group',
+      });
+    }
+
+    const policies = await prisma.approvalExpiryPolicy.findMany({
+      where: { groupId: groupId },
+    });
+
+    res.json({
+      success: true,
+      defaultPolicy: DEFAULT_POLICY,
+      policies: APPROVAL_TYPES.map(approvalType => resolvePolicy(approvalType, policies)),
+    });
+  } catch (error) {
+    console.error('Get approval policies error:', error);
+    res.status(500).json({ error: 'Failed to get approval policies', message: error.message });
+  }
+}
+
+/**
+ * PUT /groups/:groupId/approval-policies/:approvalType
+ * Set how long an approval type stays open, reminders, and the outcome on expiry (admin only)
+ */
+async function updateApprovalPolicy(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId, approvalType } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const groupMembership = await prisma.groupMember.findFirst({
+      where: {
+        groupId: groupId,
+        user: { userId: userId },
+      },
+      include: {
+        user: { select: { email: true, displayName: true } },
+      },
+    });
+
+    if (!groupMembership) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You are not a member of this group',
+      });
+    }
+
+    if (groupMembership.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only admins can change approval expiry policies',
+      });
+    }
+
+    const { policy, error } = validatePolicy(approvalType, req.body || {});
+    if (error) {
+      return res.status(400).json({ error: 'Bad Request', message: error });
+    }
+
+    const settings = await prisma.groupSettings.findUnique({
+      where: { groupId: groupId },
+      select: { settingsChangesRequireApproval: true },
+    });
+
+    // Expiry policies decide what happens to unanswered requests, so they count as group settings
+    if (settings?.settingsChangesRequireApproval) {
+      const { approval, passed } = await createApprovalRequest({
+        groupId,
+        membership: groupMembership,
+        approvalType: 'change_approval_policy',
+        permissionField: 'autoApproveChangeGroupSettings',
+        relatedEntityType: 'approval_policy',
+        data: { approvalType, policy },
+      });
+
+      if (!passed) {
+        await notifyApprovalRequested({
+          groupId,
+          membership: groupMembership,
+          approval,
+          actionLocation: 'approvals',
+          description: `change what happens when ${approvalType.replace(/_/g, ' ')} requests expire`,
+        });
+
+        return res.json({
+          success: true,
+          requiresApproval: true,
+          approvalId: approval.approvalId,
+          message: 'Settings changes in this group need approval from more than 50% of admins',
+        });
+      }
+    }
+
+    await applyExpiryPolicy({ groupId, approvalType, policy, performer: groupMembership });
+
+    res.json({
+      success: true,
+      policy: { approvalType, ...policy, isDefault: false },
+    });
+  } catch (error) {
+    console.error('Update approval policy error:', error);
+    res.status(500).json({ error: 'Failed to update approval policy', message: error.message });
+  }
+}
+
 module.exports = {
   getApprovals,
   voteOnApproval,
   cancelApproval,
+  getApprovalPolicies,
+  updateApprovalPolicy,
+  executeApprovedAction,
+  describeApproval,
 };
@@ -13,11 +13,21 @@
 const { prisma } = require('../config/database');
 const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissions');
 const pushNotificationService = require('../services/pushNotification.service');
+const recurrence = require('../utils/recurrence');
+const { isValidTimeZone } = require('../utils/timeZone');
+const {
+  createApprovalRequest,
+  notifyApprovalRequested,
+  diffChanges,
+} = require('../services/approval.service');
 
 /**
  * Get calendar events for a group
  * GET /groups/:groupId/calendar/events
  *
+ * Recurring events are expanded into one entry per occurrence inside the
+ * startDate/endDate window (pass expand=false for the stored rows only).
+ *
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
@@ -25,7 +35,8 @@ async function getCalendarEvents(req, res) {
   try {
     const userId = req.user?.userId;
     const { groupId } = req.params;
-    const { startDate, endDate, includeResponsibility = 'true' } = req.query;
+    const { startDate, endDate, includeResponsibility = 'true', expand = 'true' } = req.query;
+    const expandRecurring = expand !== 'false';
 
     if (!userId) {
       return res.status(401).json({
@@ -93,12 +104,22 @@ async function getCalendarEvents(req, res) {
       }
     }
 
+    // Recurring series that started before the window can still have
+    // occurrences inside it, so they are fetched by start time only
+    const expansionWindow = recurrence.getExpansionWindow(startDate, endDate);
+    const where = expandRecurring
+      ? {
+        groupId: groupId,
+        OR: [
+          { isRecurring: false, ...dateFilter },
+          { isRecurring: true, startTime: { lte: expansionWindow.end } },
+        ],
+      }
+      : { groupId: groupId, ...dateFilter };
+
     // Get all calendar events for this group
     const events = await prisma.calendarEvent.findMany({
-      where: {
-        groupId: groupId,
-        ...dateFilter,
-      },
+      where,
       include: {
         creator: {
           select: {
@@ -190,6 +211,7 @@ async function getCalendarEvents(req, res) {
             },
           },
         } : false,
+        exceptions: expandRecurring,
       },
       orderBy: {
         createdAt: 'asc', // Important for layering logic
@@ -259,7 +281,9 @@ async function getCalendarEvents(req, res) {
 
     return res.status(200).json({
       success: true,
-      events: eventsWithProfiles,
+      events: expandRecurring
+        ? recurrence.expandEvents(eventsWithProfiles, expansionWindow)
+        : eventsWithProfiles,
     });
   } catch (err) {
     console.error('Get calendar events error:', err);
@@ -271,6 +295,255 @@ async function getCalendarEvents(req, res) {
   }
 }
 
+// Labels for the fields shown in calendar approval diffs
+const EVENT_CHANGE_LABELS = {
+  title: 'Title',
+  notes: 'Notes',
+  startTime: 'Start',
+  endTime: 'End',
+  recurrenceRule: 'Repeats',
+  attendees: 'Attendees',
+  notificationMinutes: 'Reminder (minutes before)',
+};
+
+/**
+ * Describe a calendar approval, e.g. 'add the event "Dentist"'
+ *
+ * @param {string} approvalType - 'create_calendar_event', 'edit_calendar_event', 'delete_calendar_event',
+ *   'create_responsibility_event' or 'create_custody_schedule'
+ * @param {Object} data - Calendar approvalData
+ * @returns {string}
+ */
+function describeEventApproval(approvalType, data) {
+  if (approvalType === 'create_calendar_event') {
+    return `add the event "${data.eventTitle}"`;
+  }
+  if (approvalType === 'create_responsibility_event') {
+    return `add the responsibility event "${data.eventTitle}"`;
+  }
+  if (approvalType === 'create_custody_schedule') {
+    return `add the custody schedule "${data.eventTitle}"`;
+  }
+
+  const scope = data.fields?.scope;
+  const scopeText = scope === 'this'
+    ? ' (one occurrence)'
+    : scope === 'following' ? ' (this and following occurrences)' : '';
+  const verb = approvalType === 'delete_calendar_event' ? 'delete' : 'edit';
+  return `${verb} the event "${data.eventTitle}"${scopeText}`;
+}
+
+/**
+ * List what a create or edit would change, for approvers
+ *
+ * @param {Object|null} existingEvent - Stored event with attendees (null when creating)
+ * @param {Object} fields - Fields from the create or update request
+ * @returns {Promise<Array<{field: string, label: string, from: *, to: *}>>}
+ */
+async function describeEventChanges(existingEvent, fields) {
+  const attendeeIds = fields.attendeeIds || [];
+  const existingAttendeeIds = (existingEvent?.attendees || []).map(attendee => attendee.groupMemberId);
+
+  const members = await prisma.groupMember.findMany({
+    where: { groupMemberId: { in: [...attendeeIds, ...existingAttendeeIds] } },
+    select: { groupMemberId: true, displayName: true },
+  });
+  const names = new Map(members.map(member => [member.groupMemberId, member.displayName]));
+  const listNames = ids => ids.map(id => names.get(id) || 'Former member').join(', ');
+
+  let before = null;
+  if (existingEvent) {
+    // Occurrence edits start from the occurrence rather than the series
+    const durationMs = existingEvent.endTime.getTime() - existingEvent.startTime.getTime();
+    const start = fields.scope && fields.scope !== 'all' ? new Date(fields.occurrenceStart) : existingEvent.startTime;
+    before = {
+      title: existingEvent.title,
+      notes: existingEvent.notes,
+      startTime: start.toISOString(),
+      endTime: new Date(start.getTime() + durationMs).toISOString(),
+      recurrenceRule: existingEvent.isRecurring ? existingEvent.recurrencePattern : null,
+      attendees: listNames(existingAttendeeIds),
+      notificationMinutes: existingEvent.notificationMinutes,
+    };
+  }
+
+  return diffChanges(before, {
+    title: fields.title || undefined,
+    notes: fields.description,
+    startTime: fields.startTime ? new Date(fields.startTime).toISOString() : undefined,
+    endTime: fields.endTime ? new Date(fields.endTime).toISOString() : undefined,
+    recurrenceRule: fields.isRecurring === false ? null : fields.recurrenceRule,
+    attendees: attendeeIds.length > 0 ? listNames(attendeeIds) : undefined,
+    notificationMinutes: fields.notificationMinutes,
+  }, EVENT_CHANGE_LABELS);
+}
+
+/**
+ * Request approval for a calendar change in a group that requires it
+ * Admins who granted the requester the calendar entries auto-approve
+ * permission approve automatically.
+ *
+ * @param {Object} options
+ * @param {string} options.groupId
+ * @param {Object} options.membership - Requesting GroupMember
+ * @param {string} options.approvalType - See describeEventApproval
+ * @param {Object|null} options.existingEvent - Event being edited or deleted
+ * @param {Object} options.fields - Fields from the create, update or delete request
+ * @param {string} [options.title] - Title for approvers (default: the event's or fields.title)
+ * @param {Array<Object>} [options.changes] - Changes for approvers (default: from describeEventChanges)
+ * @returns {Promise<{approval: Object, passed: boolean}>}
+ */
+async function requestEventApproval({ groupId, membership, approvalType, existingEvent, fields, title, changes }) {
+  const eventWithAttendees = existingEvent && await prisma.calendarEvent.findUnique({
+    where: { eventId: existingEvent.eventId },
+    include: { attendees: true },
+  });
+
+  const data = {
+    eventTitle: title || (existingEvent ? existingEvent.title : fields.title),
+    fields: fields,
+    changes: changes || await describeEventChanges(eventWithAttendees, fields),
+  };
+
+  const { approval, passed } = await createApprovalRequest({
+    groupId,
+    membership,
+    approvalType,
+    permissionField: 'autoApproveCalendarEntries',
+    relatedEntityType: 'calendar_event',
+    relatedEntityId: existingEvent?.eventId || null,
+    data,
+  });
+
+  if (!passed) {
+    await notifyApprovalRequested({
+      groupId,
+      membership,
+      approval,
+      actionLocation: 'calendar',
+      description: describeEventApproval(approvalType, data),
+    });
+  }
+
+  return { approval, passed };
+}
+
+/**
+ * Create a calendar event, log it and notify its attendees
+ * Used directly, and by executeApprovedAction in groups that require approval.
+ *
+ * @param {string} groupId
+ * @param {Object} member - Creating GroupMember
+ * @param {Object} fields - Event fields from the create request
+ * @returns {Promise<Object>} The created event with creator and attendees
+ */
+async function createEvent(groupId, member, fields) {
+  const {
+    title,
+    description,
+    startTime,
+    endTime,
+    isRecurring = false,
+    recurrenceRule,
+    timeZone,
+    attendeeIds = [],
+    notificationMinutes = 15,
+  } = fields;
+
+  // Create the calendar event
+  const event = await prisma.calendarEvent.create({
+    data: {
+      groupId: groupId,
+      title: title,
+      notes: description || null,
+      startTime: new Date(startTime),
+      endTime: new Date(endTime),
+      isRecurring: isRecurring,
+      recurrencePattern: recurrenceRule || null,
+      timeZone: timeZone || null,
+      notificationMinutes: notificationMinutes,
+      createdBy: member.groupMemberId,
+      attendees: {
+        create: attendeeIds.map(attendeeId => ({
+          groupMemberId: attendeeId,
+        })),
+      },
+    },
+    include: {
+      creator: {
+        select: {
+          groupMemberId: true,
+          displayName: true,
+          iconLetters: true,
+          iconColor: true,
+          role: true,
+        },
+      },
+      attendees: {
+        include: {
+          groupMember: {
+            select: {
+              groupMemberId: true,
+              displayName: true,
+              iconLetters: true,
+              iconColor: true,
+              role: true,
+            },
+          },
+        },
+      },
+    },
+  });
+
+  // Create audit log
+  await prisma.auditLog.create({
+    data: {
+      groupId: groupId,
+      action: 'create_calendar_event',
+      performedBy: member.groupMemberId,
+      performedByName: member.displayName,
+      performedByEmail: member.email || 'N/A',
+      actionLocation: 'calendar',
+      messageContent: `Created event "${title}" from ${startTime} to ${endTime}`,
+    },
+  });
+
+  // Send push notifications to attendees only (excluding creator)
+  // Fire and forget - don't block the response
+  (async () => {
+    try {
+      // Only notify attendees, not all group members
+      const notifyAttendeeIds = attendeeIds.filter(id => id !== member.groupMemberId);
+
+      if (notifyAttendeeIds.length > 0) {
+        const startDate = new Date(startTime);
+        const formattedDate = startDate.toLocaleDateString('en-US', {
+          month: 'short',
+          day: 'numeric',
+          hour: 'numeric',
+          minute: '2-digit',
+        });
+
+        await pushNotificationService.sendToGroupMembersWithPreferences(
+          notifyAttendeeIds,
+          'calendar',
+          `New Event: ${title}`,
+          `${member.displayName} invited you to an event on ${formattedDate}`,
+          {
+            type: 'new_calendar_event',
+            groupId: groupId,
+            eventId: event.eventId,
+          }
+        );
+      }
+    } catch (notificationError) {
+      console.error('[Calendar] Failed to send push notifications:', notificationError);
+    }
+  })();
+
+  return event;
+}
+
 /**
  * Create a calendar event
  * POST /groups/:groupId/calendar/events
@@ -289,6 +562,7 @@ async function createCalendarEvent(req, res) {
       endTime,
       isRecurring = false,
       recurrenceRule, // Maps to 'recurrencePattern' in database
+      timeZone, // IANA time zone recurring events repeat in
       attendeeIds = [],
       notificationMinutes = 15, // Default 15 minutes before
     } = req.body;
@@ -326,6 +600,13 @@ async function createCalendarEvent(req, res) {
       });
     }
 
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'timeZone must be an IANA time zone, e.g. Australia/Sydney',
+      });
+    }
+
     // Check if user is a member of this group
     const membership = await prisma.groupMember.findUnique({
       where: {
@@ -360,6 +641,7 @@ async function createCalendarEvent(req, res) {
         calendarCreatableByAdults: true,
         calendarCreatableByCaregivers: true,
         calendarCreatableByChildren: true,
+        calendarChangesRequireApproval: true,
       },
     });
 
@@ -387,98 +669,38 @@ async function createCalendarEvent(req, res) {
       return res.status(403).json(getReadOnlyErrorResponse(group));
     }
 
-    // TODO: Check auto-approval settings and create approval if needed
-    // For now, directly create the event
-
-    // Create the calendar event
-    const event = await prisma.calendarEvent.create({
-      data: {
-        groupId: groupId,
-        title: title,
-        notes: description || null,
-        startTime: new Date(startTime),
-        endTime: new Date(endTime),
-        isRecurring: isRecurring,
-        recurrencePattern: recurrenceRule || null,
-        notificationMinutes: notificationMinutes,
-        createdBy: membership.groupMemberId,
-        attendees: {
-          create: attendeeIds.map(attendeeId => ({
-            groupMemberId: attendeeId,
-          })),
-        },
-      },
-      include: {
-        creator: {
-          select: {
-            groupMemberId: true,
-            displayName: true,
-            iconLetters: true,
-            iconColor: true,
-            role: true,
-          },
-        },
-        attendees: {
-          include: {
-            groupMember: {
-              select: {
-                groupMemberId: true,
-                displayName: true,
-                iconLetters: true,
-                iconColor: true,
-                role: true,
-              },
-            },
-          },
-        },
-      },
-    });
-
-    // Create audit log
-    await prisma.auditLog.create({
-      data: {
-        groupId: groupId,
-        action: 'create_calendar_event',
-        performedBy: membership.groupMemberId,
-        performedByName: membership.displayName,
-        performedByEmail: membership.email || 'N/A',
-        actionLocation: 'calendar',
-        messageContent: `Created event "${title}" from ${startTime} to ${endTime}`,
-      },
-    });
+    const fields = {
+      title,
+      description,
+      startTime,
+      endTime,
+      isRecurring,
+      recurrenceRule,
+      timeZone,
+      attendeeIds,
+      notificationMinutes,
+    };
 
-    // Send push notifications to attendees only (excluding creator)
-    // Fire and forget - don't block the response
-    (async () => {
-      try {
-        // Only notify attendees, not all group members
-        const notifyAttendeeIds = attendeeIds.filter(id => id !== membership.groupMemberId);
-
-        if (notifyAttendeeIds.length > 0) {
-          const startDate = new Date(startTime);
-          const formattedDate = startDate.toLocaleDateString('en-US', {
-            month: 'short',
-            day: 'numeric',
-            hour: 'numeric',
-            minute: '2-digit',
-          });
+    if (settings?.calendarChangesRequireApproval) {
+      const { approval, passed } = await requestEventApproval({
+        groupId,
+        membership,
+        approvalType: 'create_calendar_event',
+        existingEvent: null,
+        fields,
+      });
 
-          await pushNotificationService.sendToGroupMembersWithPreferences(
-            notifyAttendeeIds,
-            'calendar',
-            `New Event: ${title}`,
-            `${membership.displayName} invited you to an event on ${formattedDate}`,
-            {
-              type: 'new_calendar_event',
-              groupId: groupId,
-              eventId: event.eventId,
-            }
-          );
-        }
-      } catch (notificationError) {
-        console.error('[Calendar] Failed to send push notifications:', notificationError);
+      if (!passed) {
+        return res.status(200).json({
+          success: true,
+          requiresApproval: true,
+          approvalId: approval.approvalId,
+          message: 'Calendar changes in this group need approval from more than 50% of admins',
+        });
       }
-    })();
+    }
+
+    const event = await createEvent(groupId, membership, fields);
 
     return res.status(201).json({
       success: true,
@@ -719,6 +941,310 @@ async function getCalendarEventById(req, res) {
   }
 }
 
+/**
+ * Valid scopes for editing/deleting a recurring event
+ * - all: the whole series (default)
+ * - this: a single occurrence (stored as an exception)
+ * - following: this occurrence and all later ones (splits the series)
+ */
+const RECURRENCE_SCOPES = ['all', 'this', 'following'];
+
+/**
+ * Resolve the occurrence targeted by a scoped edit or delete
+ *
+ * @param {Object} event - Stored recurring event
+ * @param {string} occurrenceStart - Original start of the occurrence (ISO)
+ * @returns {Promise<{rule: string, originalStart: Date}|{error: string}>}
+ */
+async function resolveOccurrence(event, occurrenceStart) {
+  const rule = event.isRecurring
+    ? recurrence.normalizeRule(event.recurrencePattern, {
+      interval: event.recurrenceInterval,
+      until: event.recurrenceEndDate,
+    })
+    : null;
+
+  if (!rule) {
+    return { error: 'Event is not a recurring event' };
+  }
+
+  const originalStart = new Date(occurrenceStart);
+  if (!occurrenceStart || isNaN(originalStart.getTime())) {
+    return { error: 'occurrenceStart is required for this scope' };
+  }
+
+  const series = { startTime: event.startTime, endTime: event.endTime, rule, timeZone: event.timeZone };
+  if (!recurrence.isOccurrence(series, originalStart)) {
+    // Occurrences that were already moved keep their original start as the key
+    const existingException = await prisma.calendarEventException.findUnique({
+      where: { eventId_originalStartTime: { eventId: event.eventId, originalStartTime: originalStart } },
+    });
+    if (!existingException) {
+      return { error: 'occurrenceStart does not match an occurrence of this event' };
+    }
+  }
+
+  return { rule, originalStart };
+}
+
+/**
+ * Split a recurring series at an occurrence
+ * The original series ends before the occurrence; a new series starts at it
+ * with the requested changes and a copy of the attendees and responsibilities.
+ *
+ * @param {Object} existingEvent - Stored recurring event
+ * @param {string} rule - Normalised RRULE of the series
+ * @param {Date} originalStart - Original start of the first occurrence to change
+ * @param {Object} changes - Fields from the update request
+ * @param {string} groupMemberId - Member performing the split
+ * @returns {Promise<Object>} The new series event
+ */
+async function splitRecurringSeries(existingEvent, rule, originalStart, changes, groupMemberId) {
+  const { endingRule, followingRule } = recurrence.splitRule(rule, existingEvent, originalStart);
+  const durationMs = existingEvent.endTime.getTime() - existingEvent.startTime.getTime();
+  const newStart = changes.startTime ? new Date(changes.startTime) : originalStart;
+  const newEnd = changes.endTime ? new Date(changes.endTime) : new Date(newStart.getTime() + durationMs);
+
+  return prisma.$transaction(async (tx) => {
+    const original = await tx.calendarEvent.findUnique({
+      where: { eventId: existingEvent.eventId },
+      include: { attendees: true, responsibilityEvents: true },
+    });
+
+    await tx.calendarEvent.update({
+      where: { eventId: existingEvent.eventId },
+      data: {
+        recurrencePattern: endingRule,
+        recurrenceInterval: null,
+        recurrenceEndDate: null,
+      },
+    });
+
+    const newEvent = await tx.calendarEvent.create({
+      data: {
+        groupId: original.groupId,
+        title: changes.title || original.title,
+        notes: changes.description !== undefined ? changes.description : original.notes,
+        startTime: newStart,
+        endTime: newEnd,
+        isRecurring: changes.isRecurring !== undefined ? changes.isRecurring : true,
+        recurrencePattern: changes.recurrenceRule !== undefined ? changes.recurrenceRule : followingRule,
+        timeZone: changes.timeZone !== undefined ? changes.timeZone : original.timeZone,
+        parentEventId: original.eventId,
+        isResponsibilityEvent: original.isResponsibilityEvent,
+        notificationMinutes: changes.notificationMinutes !== undefined
+          ? changes.notificationMinutes
+          : original.notificationMinutes,
+        createdBy: groupMemberId,
+        attendees: {
+          create: (changes.attendeeIds?.length > 0
+            ? changes.attendeeIds
+            : original.attendees.map(a => a.groupMemberId)
+          ).map(attendeeId => ({ groupMemberId: attendeeId })),
+        },
+        responsibilityEvents: {
+          create: original.responsibilityEvents.map(re => ({
+            childId: re.childId,
+            startResponsibilityType: re.startResponsibilityType,
+            startResponsibleMemberId: re.startResponsibleMemberId,
+            startResponsibleOtherName: re.startResponsibleOtherName,
+            startResponsibleOtherIconLetters: re.startResponsibleOtherIconLetters,
+            startResponsibleOtherColor: re.startResponsibleOtherColor,
+            endResponsibilityType: re.endResponsibilityType,
+            endResponsibleMemberId: re.endResponsibleMemberId,
+            endResponsibleOtherName: re.endResponsibleOtherName,
+            endResponsibleOtherIconLetters: re.endResponsibleOtherIconLetters,
+            endResponsibleOtherColor: re.endResponsibleOtherColor,
+          })),
+        },
+      },
+    });
+
+    // Exceptions after the split belong to the new series, but only still
+    // line up with its occurrences if the start time didn't move
+    const laterExceptions = { eventId: original.eventId, originalStartTime: { gte: originalStart } };
+    if (newStart.getTime() === originalStart.getTime()) {
+      await tx.calendarEventException.updateMany({
+        where: laterExceptions,
+        data: { eventId: newEvent.eventId },
+      });
+    } else {
+      await tx.calendarEventException.deleteMany({ where: laterExceptions });
+    }
+
+    return newEvent;
+  });
+}
+
+/**
+ * Apply an edit to a calendar event and log it
+ * Used directly, and by executeApprovedAction in groups that require approval.
+ *
+ * @param {Object} existingEvent - Stored event
+ * @param {Object} member - Editing GroupMember
+ * @param {Object} changes - Fields from the update request, with scope and occurrenceStart
+ * @returns {Promise<{event: Object, exception?: Object}|{error: string}>}
+ */
+async function applyEventUpdate(existingEvent, member, changes) {
+  const { groupId, eventId } = existingEvent;
+  const {
+    title,
+    description,
+    startTime,
+    endTime,
+    isRecurring,
+    recurrenceRule,
+    timeZone,
+    attendeeIds = [],
+    notificationMinutes,
+    scope = 'all',
+    occurrenceStart,
+  } = changes;
+
+  if (scope !== 'all') {
+    const target = await resolveOccurrence(existingEvent, occurrenceStart);
+    if (target.error) {
+      return { error: target.error };
+    }
+
+    if (scope === 'this') {
+      const durationMs = existingEvent.endTime.getTime() - existingEvent.startTime.getTime();
+      const newStart = startTime ? new Date(startTime) : null;
+      const newEnd = endTime
+        ? new Date(endTime)
+        : newStart ? new Date(newStart.getTime() + durationMs) : null;
+
+      const effectiveStart = newStart || target.originalStart;
+      const effectiveEnd = newEnd || new Date(target.originalStart.getTime() + durationMs);
+      if (effectiveEnd <= effectiveStart) {
+        return { error: 'End time must be after start time' };
+      }
+
+      const exceptionData = {
+        ...(title && { title }),
+        ...(description !== undefined && { notes: description }),
+        ...(newStart && { startTime: newStart }),
+        ...(newEnd && { endTime: newEnd }),
+        isCancelled: false,
+      };
+
+      const exception = await prisma.calendarEventException.upsert({
+        where: {
+          eventId_originalStartTime: { eventId: eventId, originalStartTime: target.originalStart },
+        },
+        create: {
+          eventId: eventId,
+          originalStartTime: target.originalStart,
+          createdBy: member.groupMemberId,
+          ...exceptionData,
+        },
+        update: exceptionData,
+      });
+
+      await prisma.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: 'update_calendar_event_occurrence',
+          performedBy: member.groupMemberId,
+          performedByName: member.displayName,
+          performedByEmail: member.email || 'N/A',
+          actionLocation: 'calendar',
+          messageContent: `Updated occurrence ${target.originalStart.toISOString()} of event "${existingEvent.title}" (${eventId})`,
+        },
+      });
+
+      return { event: existingEvent, exception };
+    }
+
+    // scope === 'following' - editing from the first occurrence is the whole series
+    if (target.originalStart.getTime() !== existingEvent.startTime.getTime()) {
+      const newEvent = await splitRecurringSeries(
+        existingEvent,
+        target.rule,
+        target.originalStart,
+        { title, description, startTime, endTime, isRecurring, recurrenceRule, timeZone, attendeeIds, notificationMinutes },
+        member.groupMemberId
+      );
+
+      await prisma.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: 'split_calendar_event_series',
+          performedBy: member.groupMemberId,
+          performedByName: member.displayName,
+          performedByEmail: member.email || 'N/A',
+          actionLocation: 'calendar',
+          messageContent: `Updated event "${existingEvent.title}" (${eventId}) from ${target.originalStart.toISOString()} onwards as new event (${newEvent.eventId})`,
+        },
+      });
+
+      return { event: newEvent };
+    }
+  }
+
+  // Update the event
+  // IMPORTANT: Update createdAt to current time (moves to top of layer stack)
+  const updatedEvent = await prisma.calendarEvent.update({
+    where: { eventId: eventId },
+    data: {
+      ...(title && { title }),
+      ...(description !== undefined && { notes: description }), // Frontend sends 'description', DB uses 'notes'
+      ...(startTime && { startTime: new Date(startTime) }),
+      ...(endTime && { endTime: new Date(endTime) }),
+      ...(isRecurring !== undefined && { isRecurring }),
+      ...(recurrenceRule !== undefined && { recurrencePattern: recurrenceRule }), // Frontend sends 'recurrenceRule', DB uses 'recurrencePattern'
+      ...(timeZone !== undefined && { timeZone: timeZone || null }),
+      ...(notificationMinutes !== undefined && { notificationMinutes }),
+      createdAt: new Date(), // Update timestamp to move to top of layer stack
+      attendees: attendeeIds.length > 0 ? {
+        deleteMany: {},
+        create: attendeeIds.map(attendeeId => ({
+          groupMemberId: attendeeId,
+        })),
+      } : undefined,
+    },
+    include: {
+      creator: {
+        select: {
+          groupMemberId: true,
+          displayName: true,
+          iconLetters: true,
+          iconColor: true,
+          role: true,
+        },
+      },
+      attendees: {
+        include: {
+          groupMember: {
+            select: {
+              groupMemberId: true,
+              displayName: true,
+              iconLetters: true,
+              iconColor: true,
+              role: true,
+            },
+          },
+        },
+      },
+    },
+  });
+
+  // Create audit log
+  await prisma.auditLog.create({
+    data: {
+      groupId: groupId,
+      action: 'update_calendar_event',
+      performedBy: member.groupMemberId,
+      performedByName: member.displayName,
+      performedByEmail: member.email || 'N/A',
+      actionLocation: 'calendar',
+      messageContent: `Updated event "${updatedEvent.title}" (${eventId})`,
+    },
+  });
+
+  return { event: updatedEvent };
+}
+
 /**
  * Update a calendar event
  * PUT /groups/:groupId/calendar/events/:eventId
@@ -726,6 +1252,9 @@ async function getCalendarEventById(req, res) {
  * IMPORTANT: Updating an event updates its createdAt timestamp, moving it to the top
  * of the layering stack for responsibility events (as per user requirements)
  *
+ * Recurring events accept `scope` ('all' | 'this' | 'following') with
+ * `occurrenceStart` (the occurrence's recurrenceId) to edit part of a series.
+ *
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
@@ -740,8 +1269,11 @@ async function updateCalendarEvent(req, res) {
       endTime,
       isRecurring,
       recurrenceRule, // Maps to 'recurrencePattern' in database
+      timeZone, // IANA time zone recurring events repeat in
       attendeeIds = [],
       notificationMinutes,
+      scope = 'all',
+      occurrenceStart,
     } = req.body;
 
     if (!userId) {
@@ -807,70 +1339,79 @@ async function updateCalendarEvent(req, res) {
       }
     }
 
-    // TODO: Check if editing requires approval based on settings
+    if (!RECURRENCE_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: `scope must be one of: ${RECURRENCE_SCOPES.join(', ')}`,
+      });
+    }
 
-    // Update the event
-    // IMPORTANT: Update createdAt to current time (moves to top of layer stack)
-    const updatedEvent = await prisma.calendarEvent.update({
-      where: { eventId: eventId },
-      data: {
-        ...(title && { title }),
-        ...(description !== undefined && { notes: description }), // Frontend sends 'description', DB uses 'notes'
-        ...(startTime && { startTime: new Date(startTime) }),
-        ...(endTime && { endTime: new Date(endTime) }),
-        ...(isRecurring !== undefined && { isRecurring }),
-        ...(recurrenceRule !== undefined && { recurrencePattern: recurrenceRule }), // Frontend sends 'recurrenceRule', DB uses 'recurrencePattern'
-        ...(notificationMinutes !== undefined && { notificationMinutes }),
-        createdAt: new Date(), // Update timestamp to move to top of layer stack
-        attendees: attendeeIds.length > 0 ? {
-          deleteMany: {},
-          create: attendeeIds.map(attendeeId => ({
-            groupMemberId: attendeeId,
-          })),
-        } : undefined,
-      },
-      include: {
-        creator: {
-          select: {
-            groupMemberId: true,
-            displayName: true,
-            iconLetters: true,
-            iconColor: true,
-            role: true,
-          },
-        },
-        attendees: {
-          include: {
-            groupMember: {
-              select: {
-                groupMemberId: true,
-                displayName: true,
-                iconLetters: true,
-                iconColor: true,
-                role: true,
-              },
-            },
-          },
-        },
-      },
-    });
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'timeZone must be an IANA time zone, e.g. Australia/Sydney',
+      });
+    }
 
-    // Create audit log
-    await prisma.auditLog.create({
-      data: {
-        groupId: groupId,
-        action: 'update_calendar_event',
-        performedBy: membership.groupMemberId,
-        performedByName: membership.displayName,
-        performedByEmail: membership.email || 'N/A',
-        actionLocation: 'calendar',
-        messageContent: `Updated event "${updatedEvent.title}" (${eventId})`,
-      },
+    const changes = {
+      title,
+      description,
+      startTime,
+      endTime,
+      isRecurring,
+      recurrenceRule,
+      timeZone,
+      attendeeIds,
+      notificationMinutes,
+      scope,
+      occurrenceStart,
+    };
+
+    const settings = await prisma.groupSettings.findUnique({
+      where: { groupId: groupId },
+      select: { calendarChangesRequireApproval: true },
     });
 
+    if (settings?.calendarChangesRequireApproval) {
+      if (scope !== 'all') {
+        const target = await resolveOccurrence(existingEvent, occurrenceStart);
+        if (target.error) {
+          return res.status(400).json({
+            success: false,
+            message: target.error,
+          });
+        }
+      }
+
+      const { approval, passed } = await requestEventApproval({
+        groupId,
+        membership,
+        approvalType: 'edit_calendar_event',
+        existingEvent,
+        fields: changes,
+      });
+
+      if (!passed) {
+        return res.status(200).json({
+          success: true,
+          requiresApproval: true,
+          approvalId: approval.approvalId,
+          message: 'Calendar changes in this group need approval from more than 50% of admins',
+        });
+      }
+    }
+
+    const result = await applyEventUpdate(existingEvent, membership, changes);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
     return res.status(200).json({
       success: true,
-      event: updatedEvent,
+      ...result,
     });
   } catch (err) {
     console.error('Update calendar event error:', err);
@@ -882,10 +1423,117 @@ async function updateCalendarEvent(req, res) {
   }
 }
 
+/**
+ * Delete a calendar event, or some occurrences of a recurring one, and log it
+ * Used directly, and by executeApprovedAction in groups that require approval.
+ *
+ * @param {Object} existingEvent - Stored event
+ * @param {Object} member - Deleting GroupMember
+ * @param {Object} options - Query from the delete request
+ * @param {string} [options.scope] - 'all', 'this' or 'following'
+ * @param {string} [options.occurrenceStart] - The occurrence's recurrenceId
+ * @returns {Promise<{message: string}|{error: string}>}
+ */
+async function applyEventDelete(existingEvent, member, { scope = 'all', occurrenceStart }) {
+  const { groupId, eventId } = existingEvent;
+
+  if (scope !== 'all') {
+    const target = await resolveOccurrence(existingEvent, occurrenceStart);
+    if (target.error) {
+      return { error: target.error };
+    }
+
+    if (scope === 'this') {
+      await prisma.calendarEventException.upsert({
+        where: {
+          eventId_originalStartTime: { eventId: eventId, originalStartTime: target.originalStart },
+        },
+        create: {
+          eventId: eventId,
+          originalStartTime: target.originalStart,
+          isCancelled: true,
+          createdBy: member.groupMemberId,
+        },
+        update: { isCancelled: true },
+      });
+
+      await prisma.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: 'delete_calendar_event_occurrence',
+          performedBy: member.groupMemberId,
+          performedByName: member.displayName,
+          performedByEmail: member.email || 'N/A',
+          actionLocation: 'calendar',
+          messageContent: `Deleted occurrence ${target.originalStart.toISOString()} of event "${existingEvent.title}" (${eventId})`,
+        },
+      });
+
+      return { message: 'Occurrence deleted successfully' };
+    }
+
+    // scope === 'following' - deleting from the first occurrence deletes the whole series
+    if (target.originalStart.getTime() !== existingEvent.startTime.getTime()) {
+      const { endingRule } = recurrence.splitRule(target.rule, existingEvent, target.originalStart);
+
+      await prisma.$transaction([
+        prisma.calendarEvent.update({
+          where: { eventId: eventId },
+          data: {
+            recurrencePattern: endingRule,
+            recurrenceInterval: null,
+            recurrenceEndDate: null,
+          },
+        }),
+        prisma.calendarEventException.deleteMany({
+          where: { eventId: eventId, originalStartTime: { gte: target.originalStart } },
+        }),
+      ]);
+
+      await prisma.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: 'delete_calendar_event_occurrence',
+          performedBy: member.groupMemberId,
+          performedByName: member.displayName,
+          performedByEmail: member.email || 'N/A',
+          actionLocation: 'calendar',
+          messageContent: `Deleted occurrences of event "${existingEvent.title}" (${eventId}) from ${target.originalStart.toISOString()} onwards`,
+        },
+      });
+
+      return { message: 'Occurrences deleted successfully' };
+    }
+  }
+
+  // Hard delete the event (calendar events don't support soft delete)
+  await prisma.calendarEvent.delete({
+    where: { eventId: eventId },
+  });
+
+  // Create audit log
+  await prisma.auditLog.create({
+    data: {
+      groupId: groupId,
+      action: 'delete_calendar_event',
+      performedBy: member.groupMemberId,
+      performedByName: member.displayName,
+      performedByEmail: member.email || 'N/A',
+      actionLocation: 'calendar',
+      messageContent: `Deleted event "${existingEvent.title}" (${eventId})`,
+    },
+  });
+
+  return { message: 'Event deleted successfully' };
+}
+
 /**
  * Delete a calendar event (soft delete)
  * DELETE /groups/:groupId/calendar/events/:eventId
  *
+ * Recurring events accept ?scope=this|following&occurrenceStart=<recurrenceId>
+ * to delete a single occurrence or end the series before it.
+ *
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
@@ -893,6 +1541,7 @@ async function deleteCalendarEvent(req, res) {
   try {
     const userId = req.user?.userId;
     const { groupId, eventId } = req.params;
+    const { scope = 'all', occurrenceStart } = req.query;
 
     if (!userId) {
       return res.status(401).json({
@@ -945,27 +1594,58 @@ async function deleteCalendarEvent(req, res) {
       });
     }
 
-    // Hard delete the event (calendar events don't support soft delete)
-    await prisma.calendarEvent.delete({
-      where: { eventId: eventId },
-    });
+    if (!RECURRENCE_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: `scope must be one of: ${RECURRENCE_SCOPES.join(', ')}`,
+      });
+    }
 
-    // Create audit log
-    await prisma.auditLog.create({
-      data: {
-        groupId: groupId,
-        action: 'delete_calendar_event',
-        performedBy: membership.groupMemberId,
-        performedByName: membership.displayName,
-        performedByEmail: membership.email || 'N/A',
-        actionLocation: 'calendar',
-        messageContent: `Deleted event "${existingEvent.title}" (${eventId})`,
-      },
+    const settings = await prisma.groupSettings.findUnique({
+      where: { groupId: groupId },
+      select: { calendarChangesRequireApproval: true },
     });
 
+    if (settings?.calendarChangesRequireApproval) {
+      if (scope !== 'all') {
+        const target = await resolveOccurrence(existingEvent, occurrenceStart);
+        if (target.error) {
+          return res.status(400).json({
+            success: false,
+            message: target.error,
+          });
+        }
+      }
+
+      const { approval, passed } = await requestEventApproval({
+        groupId,
+        membership,
+        approvalType: 'delete_calendar_event',
+        existingEvent,
+        fields: { scope, occurrenceStart },
+      });
+
+      if (!passed) {
+        return res.status(200).json({
+          success: true,
+          requiresApproval: true,
+          approvalId: approval.approvalId,
+          message: 'Calendar changes in this group need approval from more than 50% of admins',
+        });
+      }
+    }
+
+    const result = await applyEventDelete(existingEvent, membership, { scope, occurrenceStart });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
     return res.status(200).json({
       success: true,
-      message: 'Event deleted successfully',
+      message: result.message,
     });
   } catch (err) {
     console.error('Delete calendar event error:', err);
@@ -1154,6 +1834,138 @@ async function detectResponsibilityOverlaps(groupId, childId, newStartTime, newE
   }
 }
 
+/**
+ * Create a child responsibility event and its per-child responsibilities
+ * Used directly, and by executeApprovedAction in groups that require approval.
+ *
+ * @param {string} groupId
+ * @param {Object} membership - Creating GroupMember
+ * @param {Object} fields - Fields from the create request
+ * @returns {Promise<{event: Object, responsibilityEvents: Array<Object>}>}
+ */
+async function createResponsibilityEventRecords(groupId, membership, fields) {
+  const {
+    title,
+    notes,
+    startTime,
+    endTime,
+    isRecurring,
+    recurrenceRule,
+    timeZone,
+    responsibilityEvents,
+    notificationMinutes = 15,
+  } = fields;
+
+  // Create the calendar event and responsibility events in a transaction
+  return prisma.$transaction(async (tx) => {
+    // Create the calendar event
+    const event = await tx.calendarEvent.create({
+      data: {
+        groupId: groupId,
+        title: title,
+        notes: notes || null,
+        startTime: new Date(startTime),
+        endTime: new Date(endTime),
+        isRecurring: isRecurring || false,
+        recurrencePattern: recurrenceRule || null,
+        timeZone: timeZone || null,
+        notificationMinutes: notificationMinutes,
+        isResponsibilityEvent: true,
+        createdBy: membership.groupMemberId,
+      },
+    });
+
+    // Create responsibility events for each child
+    const createdResponsibilityEvents = await Promise.all(
+      responsibilityEvents.map(async (re) => {
+        return await tx.childResponsibilityEvent.create({
+          data: {
+            eventId: event.eventId,
+            childId: re.childId,
+            startResponsibilityType: re.startResponsibilityType || 'member',
+            startResponsibleMemberId: re.startResponsibleMemberId || null,
+            startResponsibleOtherName: re.startResponsibleOtherName || null,
+            startResponsibleOtherIconLetters: re.startResponsibleOtherIconLetters || null,
+            startResponsibleOtherColor: re.startResponsibleOtherColor || null,
+            endResponsibilityType: re.endResponsibilityType || re.startResponsibilityType || 'member',
+            endResponsibleMemberId: re.endResponsibleMemberId || null,
+            endResponsibleOtherName: re.endResponsibleOtherName || null,
+            endResponsibleOtherIconLetters: re.endResponsibleOtherIconLetters || null,
+            endResponsibleOtherColor: re.endResponsibleOtherColor || null,
+          },
+      include: {
+        event: true,
+        child: {
+          select: {
+            groupMemberId: true,
+            displayName: true,
+            iconLetters: true,
+            iconColor: true,
+            user: {
+              select: {
+                displayName: true,
+                memberIcon: true,
+                iconColor: true,
+                profilePhotoFileId: true,
+              },
+            },
+          },
+        },
+        startResponsibleMember: {
+          select: {
+            groupMemberId: true,
+            displayName: true,
+            iconLetters: true,
+            iconColor: true,
+            user: {
+              select: {
+                displayName: true,
+                memberIcon: true,
+                iconColor: true,
+                profilePhotoFileId: true,
+              },
+            },
+          },
+        },
+        endResponsibleMember: re.endResponsibleMemberId ? {
+          select: {
+            groupMemberId: true,
+            displayName: true,
+            iconLetters: true,
+            iconColor: true,
+            user: {
+              select: {
+                displayName: true,
+                memberIcon: true,
+                iconColor: true,
+                profilePhotoFileId: true,
+              },
+            },
+          },
+        } : undefined,
+      },
+        });
+      })
+    );
+
+    // Create audit log
+    const childrenNames = responsibilityEvents.map(re => re.childId).join(', ');
+    await tx.auditLog.create({
+      data: {
+        groupId: groupId,
+        action: 'create_responsibility_event',
+        performedBy: membership.groupMemberId,
+        performedByName: membership.displayName,
+        performedByEmail: membership.email || 'N/A',
+        actionLocation: 'calendar',
+        messageContent: `Created responsibility event "${title}" for ${responsibilityEvents.length} child(ren) from ${startTime} to ${endTime}`,
+      },
+    });
+
+    return { event, responsibilityEvents: createdResponsibilityEvents };
+  });
+}
+
 /**
  * Create a child responsibility event
  * POST /groups/:groupId/calendar/responsibility-events
@@ -1175,6 +1987,7 @@ async function createResponsibilityEvent(req, res) {
       isRecurring,
       recurrenceRule,
       recurrenceEndDate,
+      timeZone, // IANA time zone recurring events repeat in
       responsibilityEvents = [], // Array of {childId, startResponsibilityType, startResponsibleMemberId, ...}
       notificationMinutes = 15, // Default 15 minutes before
     } = req.body;
@@ -1228,113 +2041,52 @@ async function createResponsibilityEvent(req, res) {
       });
     }
 
-    // Create the calendar event and responsibility events in a transaction
-    const result = await prisma.$transaction(async (tx) => {
-      // Create the calendar event
-      const event = await tx.calendarEvent.create({
-        data: {
-          groupId: groupId,
-          title: title,
-          notes: notes || null,
-          startTime: start,
-          endTime: end,
-          isRecurring: isRecurring || false,
-          recurrencePattern: recurrenceRule || null,
-          notificationMinutes: notificationMinutes,
-          isResponsibilityEvent: true,
-          createdBy: membership.groupMemberId,
-        },
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'timeZone must be an IANA time zone, e.g. Australia/Sydney',
       });
+    }
 
-      // Create responsibility events for each child
-      const createdResponsibilityEvents = await Promise.all(
-        responsibilityEvents.map(async (re) => {
-          return await tx.childResponsibilityEvent.create({
-            data: {
-              eventId: event.eventId,
-              childId: re.childId,
-              startResponsibilityType: re.startResponsibilityType || 'member',
-              startResponsibleMemberId: re.startResponsibleMemberId || null,
-              startResponsibleOtherName: re.startResponsibleOtherName || null,
-              startResponsibleOtherIconLetters: re.startResponsibleOtherIconLetters || null,
-              startResponsibleOtherColor: re.startResponsibleOtherColor || null,
-              endResponsibilityType: re.endResponsibilityType || re.startResponsibilityType || 'member',
-              endResponsibleMemberId: re.endResponsibleMemberId || null,
-              endResponsibleOtherName: re.endResponsibleOtherName || null,
-              endResponsibleOtherIconLetters: re.endResponsibleOtherIconLetters || null,
-              endResponsibleOtherColor: re.endResponsibleOtherColor || null,
-            },
-        include: {
-          event: true,
-          child: {
-            select: {
-              groupMemberId: true,
-              displayName: true,
-              iconLetters: true,
-              iconColor: true,
-              user: {
-                select: {
-                  displayName: true,
-                  memberIcon: true,
-                  iconColor: true,
-                  profilePhotoFileId: true,
-                },
-              },
-            },
-          },
-          startResponsibleMember: {
-            select: {
-              groupMemberId: true,
-              displayName: true,
-              iconLetters: true,
-              iconColor: true,
-              user: {
-                select: {
-                  displayName: true,
-                  memberIcon: true,
-                  iconColor: true,
-                  profilePhotoFileId: true,
-                },
-              },
-            },
-          },
-          endResponsibleMember: re.endResponsibleMemberId ? {
-            select: {
-              groupMemberId: true,
-              displayName: true,
-              iconLetters: true,
-              iconColor: true,
-              user: {
-                select: {
-                  displayName: true,
-                  memberIcon: true,
-                  iconColor: true,
-                  profilePhotoFileId: true,
-                },
-              },
-            },
-          } : undefined,
-        },
-          });
-        })
-      );
+    const fields = {
+      title,
+      notes,
+      startTime,
+      endTime,
+      isRecurring,
+      recurrenceRule,
+      recurrenceEndDate,
+      timeZone,
+      responsibilityEvents,
+      notificationMinutes,
+    };
 
-      // Create audit log
-      const childrenNames = responsibilityEvents.map(re => re.childId).join(', ');
-      await tx.auditLog.create({
-        data: {
-          groupId: groupId,
-          action: 'create_responsibility_event',
-          performedBy: membership.groupMemberId,
-          performedByName: membership.displayName,
-          performedByEmail: membership.email || 'N/A',
-          actionLocation: 'calendar',
-          messageContent: `Created responsibility event "${title}" for ${responsibilityEvents.length} child(ren) from ${startTime} to ${endTime}`,
-        },
+    const settings = await prisma.groupSettings.findUnique({
+      where: { groupId: groupId },
+      select: { calendarChangesRequireApproval: true },
+    });
+
+    if (settings?.calendarChangesRequireApproval) {
+      const { approval, passed } = await requestEventApproval({
+        groupId,
+        membership,
+        approvalType: 'create_responsibility_event',
+        existingEvent: null,
+        fields,
+        changes: await describeEventChanges(null, { ...fields, description: notes }),
       });
 
-      return { event, responsibilityEvents: createdResponsibilityEvents };
-    });
+      if (!passed) {
+        return res.status(200).json({
+          success: true,
+          requiresApproval: true,
+          approvalId: approval.approvalId,
+          message: 'Calendar changes in this group need approval from more than 50% of admins',
+        });
+      }
+    }
+
+    const result = await createResponsibilityEventRecords(groupId, membership, fields);
 
     return res.status(201).json({
       success: true,
@@ -1505,5 +2257,11 @@ module.exports = {
   deleteCalendarEvent,
   createResponsibilityEvent,
   markCalendarViewed,
+  createEvent,
+  createResponsibilityEventRecords,
+  requestEventApproval,
+  applyEventUpdate,
+  applyEventDelete,
+  describeEventApproval,
   detectResponsibilityOverlaps, // Export for testing
 };
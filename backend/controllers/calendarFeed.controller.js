@@ -0,0 +1,400 @@
+/**
+ * Calendar Feed Controller
+ *
+ * Manages per-member ICS feeds of a group calendar, which can be subscribed
+ * to from Google, Apple or Outlook calendars.
+ *
+ * Each member has at most one feed token. Only a SHA-256 hash of the token is
+ * stored, so the feed URL is only returned when the feed is created or rotated.
+ * The feed honours the group's calendarVisibleTo* settings and the member's
+ * calendar layer preferences at the time it is fetched.
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const { buildCalendarFeed, isEventVisibleForLayers } = require('../utils/icalExport');
+
+// How far back non-recurring events are included in the feed
+const FEED_HISTORY_DAYS = 180;
+
+// GroupSettings field that controls calendar visibility for each role
+const CALENDAR_VISIBILITY_SETTINGS = {
+  admin: 'calendarVisibleToAdmins',
+  parent: 'calendarVisibleToParents',
+  adult: 'calendarVisibleToAdults',
+  caregiver: 'calendarVisibleToCaregivers',
+  child: 'calendarVisibleToChildren',
+};
+
+/**
+ * Generate a random feed token
+ * @returns {string} 64 hex characters
+ */
+function generateFeedToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash a feed token for storage and lookup
+ * @param {string} token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashFeedToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Build the subscription URLs for a feed token
+ * @param {string} token
+ * @returns {{feedUrl: string, webcalUrl: string}}
+ */
+function buildFeedUrls(token) {
+  const feedUrl = `${process.env.API_BASE_URL || 'http://localhost:3000'}/calendar/feed/${token}.ics`;
+  return {
+    feedUrl,
+    webcalUrl: feedUrl.replace(/^https?:/, 'webcal:'),
+  };
+}
+
+/**
+ * Check whether a member may view the group calendar
+ *
+ * Supervisors never have calendar access; other roles follow the
+ * calendarVisibleTo* group settings (schema defaults when no settings exist).
+ *
+ * @param {Object} membership - GroupMember
+ * @param {Object|null} groupSettings - GroupSettings
+ * @returns {boolean}
+ */
+function canViewCalendar(membership, groupSettings) {
+  const field = CALENDAR_VISIBILITY_SETTINGS[membership.role];
+  if (!field) {
+    return false;
+  }
+  return !groupSettings || groupSettings[field] !== false;
+}
+
+/**
+ * Load and validate the current member for feed management routes
+ * Sends the error response itself and returns null when access is denied.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} GroupMember
+ */
+async function getFeedMembership(req, res) {
+  const userId = req.user?.userId;
+  const { groupId } = req.params;
+
+  if (!userId) {
+    res.status(401).json({
+      success: false,
+      message: 'User not authenticated',
+    });
+    return null;
+  }
+
+  const membership = await prisma.groupMember.findUnique({
+    where: {
+      groupId_userId: {
+        groupId: groupId,
+        userId: userId,
+      },
+    },
+  });
+
+  if (!membership || !membership.isRegistered) {
+    res.status(403).json({
+      success: false,
+      message: 'You are not a member of this group',
+    });
+    return null;
+  }
+
+  const groupSettings = await prisma.groupSettings.findUnique({
+    where: { groupId },
+  });
+
+  if (!canViewCalendar(membership, groupSettings)) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have access to the calendar in this group',
+    });
+    return null;
+  }
+
+  return membership;
+}
+
+/**
+ * Get the current member's calendar feed status
+ * GET /groups/:groupId/calendar/feed
+ *
+ * The feed URL itself cannot be returned here (only its hash is stored).
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getFeedStatus(req, res) {
+  try {
+    const membership = await getFeedMembership(req, res);
+    if (!membership) {
+      return;
+    }
+
+    const feedToken = await prisma.calendarFeedToken.findUnique({
+      where: { groupMemberId: membership.groupMemberId },
+    });
+
+    const isActive = !!feedToken && !feedToken.revokedAt;
+
+    return res.status(200).json({
+      success: true,
+      feed: {
+        isActive,
+        createdAt: isActive ? feedToken.createdAt : null,
+        lastAccessedAt: isActive ? feedToken.lastAccessedAt : null,
+      },
+    });
+  } catch (error) {
+    console.error('Error getting calendar feed status:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get calendar feed status',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Create or rotate the current member's calendar feed token
+ * POST /groups/:groupId/calendar/feed
+ *
+ * Any previous feed URL stops working immediately.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function rotateFeedToken(req, res) {
+  try {
+    const { groupId } = req.params;
+    const membership = await getFeedMembership(req, res);
+    if (!membership) {
+      return;
+    }
+
+    const existing = await prisma.calendarFeedToken.findUnique({
+      where: { groupMemberId: membership.groupMemberId },
+    });
+    const isRotation = !!existing && !existing.revokedAt;
+
+    const token = generateFeedToken();
+    const now = new Date();
+    const feedToken = await prisma.calendarFeedToken.upsert({
+      where: { groupMemberId: membership.groupMemberId },
+      create: {
+        groupId: groupId,
+        groupMemberId: membership.groupMemberId,
+        tokenHash: hashFeedToken(token),
+      },
+      update: {
+        tokenHash: hashFeedToken(token),
+        createdAt: now,
+        lastAccessedAt: null,
+        revokedAt: null,
+      },
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        groupId: groupId,
+        action: isRotation ? 'rotate_calendar_feed' : 'create_calendar_feed',
+        performedBy: membership.groupMemberId,
+        performedByName: membership.displayName,
+        performedByEmail: membership.email || 'N/A',
+        actionLocation: 'calendar',
+        messageContent: isRotation
+          ? 'Rotated calendar feed link (previous link no longer works)'
+          : 'Created calendar feed link',
+      },
+    });
+
+    return res.status(isRotation ? 200 : 201).json({
+      success: true,
+      message: isRotation ? 'Calendar feed link rotated' : 'Calendar feed link created',
+      feed: {
+        isActive: true,
+        createdAt: feedToken.createdAt,
+        lastAccessedAt: null,
+        ...buildFeedUrls(token),
+      },
+    });
+  } catch (error) {
+    console.error('Error rotating calendar feed token:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create calendar feed link',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Revoke the current member's calendar feed token
+ * DELETE /groups/:groupId/calendar/feed
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function revokeFeedToken(req, res) {
+  try {
+    const { groupId } = req.params;
+    const membership = await getFeedMembership(req, res);
+    if (!membership) {
+      return;
+    }
+
+    const existing = await prisma.calendarFeedToken.findUnique({
+      where: { groupMemberId: membership.groupMemberId },
+    });
+
+    if (!existing || existing.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active calendar feed link',
+      });
+    }
+
+    await prisma.calendarFeedToken.update({
+      where: { feedTokenId: existing.feedTokenId },
+      data: { revokedAt: new Date() },
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        groupId: groupId,
+        action: 'revoke_calendar_feed',
+        performedBy: membership.groupMemberId,
+        performedByName: membership.displayName,
+        performedByEmail: membership.email || 'N/A',
+        actionLocation: 'calendar',
+        messageContent: 'Revoked calendar feed link',
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Calendar feed link revoked',
+    });
+  } catch (error) {
+    console.error('Error revoking calendar feed token:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to revoke calendar feed link',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Serve a calendar feed as iCal
+ * GET /calendar/feed/:token.ics (public - the token is the credential)
+ *
+ * Calendar apps cannot show JSON errors, so failures are plain text.
+ * Unknown, revoked and no-longer-permitted tokens all return 404.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getCalendarFeed(req, res) {
+  try {
+    const { token } = req.params;
+
+    const feedToken = /^[a-f0-9]{64}$/.test(token)
+      ? await prisma.calendarFeedToken.findUnique({
+        where: { tokenHash: hashFeedToken(token) },
+        include: {
+          group: {
+            include: { settings: true },
+          },
+          groupMember: true,
+        },
+      })
+      : null;
+
+    const membership = feedToken?.groupMember;
+    if (
+      !feedToken ||
+      feedToken.revokedAt ||
+      !membership.isRegistered ||
+      !membership.userId ||
+      !canViewCalendar(membership, feedToken.group.settings)
+    ) {
+      return res.status(404).type('text/plain').send('Calendar feed not found');
+    }
+
+    const { groupId } = feedToken;
+    const historyStart = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+    const [layerPreferences, events] = await Promise.all([
+      prisma.calendarLayerPreference.findMany({
+        where: {
+          userId: membership.userId,
+          groupId: groupId,
+        },
+      }),
+      prisma.calendarEvent.findMany({
+        where: {
+          groupId: groupId,
+          OR: [
+            { isRecurring: false, endTime: { gte: historyStart } },
+            { isRecurring: true },
+          ],
+        },
+        include: {
+          attendees: true,
+          responsibilityEvents: {
+            include: {
+              child: {
+                select: { displayName: true, user: { select: { displayName: true } } },
+              },
+              startResponsibleMember: {
+                select: { displayName: true, user: { select: { displayName: true } } },
+              },
+              endResponsibleMember: {
+                select: { displayName: true, user: { select: { displayName: true } } },
+              },
+            },
+          },
+          exceptions: true,
+        },
+        orderBy: { startTime: 'asc' },
+      }),
+    ]);
+
+    await prisma.calendarFeedToken.update({
+      where: { feedTokenId: feedToken.feedTokenId },
+      data: { lastAccessedAt: new Date() },
+    });
+
+    const ics = buildCalendarFeed({
+      calendarName: `${feedToken.group.name} (Family Helper)`,
+      events: events.filter(event => isEventVisibleForLayers(event, layerPreferences)),
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="calendar.ics"');
+    res.set('Cache-Control', 'private, max-age=300');
+    return res.status(200).send(ics);
+  } catch (error) {
+    console.error('Error serving calendar feed:', error);
+    return res.status(500).type('text/plain').send('Failed to load calendar feed');
+  }
+}
+
+module.exports = {
+  getFeedStatus,
+  rotateFeedToken,
+  revokeFeedToken,
+  getCalendarFeed,
+};
@@ -0,0 +1,557 @@
+/**
+ * Custody Schedules Controller
+ *
+ * Builds child responsibility events from a named custody pattern (2-2-3,
+ * week on/week off, alternating weekends, ...), a start date and the two
+ * responsible members, with holiday overrides on top.
+ *
+ * Nothing special is stored for a schedule: each block of the pattern becomes
+ * a recurring responsibility event, and each holiday a single one created
+ * after them, so the calendar's layering rule (later-created events override
+ * earlier ones) puts holidays over the regular blocks and the whole schedule
+ * over older responsibility events. A preview resolves that layering before
+ * anything is created.
+ */
+
+const { prisma } = require('../config/database');
+const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissions');
+const recurrence = require('../utils/recurrence');
+const {
+  CUSTODY_PATTERNS,
+  PATTERN_MEMBER_COUNT,
+  listPatterns,
+  buildScheduleSeries,
+} = require('../utils/custodySchedule');
+const { isValidTimeZone } = require('../utils/timeZone');
+const { getResponsibilityLayers, resolveTimelines } = require('../services/responsibilityTimeline.service');
+const { diffChanges } = require('../services/approval.service');
+const { requestEventApproval } = require('./calendar.controller');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Preview length when the schedule has no end date (or a far one)
+const DEFAULT_PREVIEW_DAYS = 8 * 7;
+const MAX_PREVIEW_DAYS = 366;
+
+// Roles that can hold responsibility (matches the child event screens)
+const RESPONSIBLE_ROLES = ['admin', 'parent', 'adult', 'caregiver'];
+
+const MAX_HOLIDAYS = 50;
+
+// Labels for the schedule details shown to approvers
+const SCHEDULE_CHANGE_LABELS = {
+  pattern: 'Pattern',
+  startTime: 'First handover',
+  endDate: 'Ends',
+  children: 'Children',
+  responsibleMembers: 'Responsible members',
+  holidays: 'Holidays',
+};
+
+/**
+ * Load the current member and check they can create responsibility events
+ * Sends the error response itself and returns null when not allowed.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} GroupMember
+ */
+async function getScheduleAccess(req, res) {
+  const { groupId } = req.params;
+
+  const membership = await prisma.groupMember.findFirst({
+    where: {
+      groupId: groupId,
+      userId: req.user.userId,
+    },
+  });
+
+  if (!membership) {
+    res.status(403).json({
+      success: false,
+      message: 'You are not a member of this group',
+    });
+    return null;
+  }
+
+  if (membership.role === 'supervisor' || membership.role === 'child') {
+    res.status(403).json({
+      success: false,
+      message: 'Supervisors and children cannot create custody schedules',
+    });
+    return null;
+  }
+
+  const group = await prisma.group.findUnique({
+    where: { groupId: groupId },
+    select: { readOnlyUntil: true, hasActiveAdmin: true },
+  });
+
+  if (isGroupReadOnly(group)) {
+    res.status(403).json(getReadOnlyErrorResponse(group));
+    return null;
+  }
+
+  return membership;
+}
+
+/**
+ * Validate a schedule request body
+ *
+ * @param {string} groupId
+ * @param {Object} body - Request body
+ * @returns {Promise<{error: string}|{schedule: Object}>}
+ */
+async function parseSchedule(groupId, body) {
+  const {
+    pattern,
+    title,
+    startTime,
+    endDate,
+    childIds = [],
+    responsibleMemberIds = [],
+    holidays = [],
+    notificationMinutes = 15,
+    timeZone = 'UTC',
+  } = body;
+
+  if (!CUSTODY_PATTERNS[pattern]) {
+    return { error: `pattern must be one of: ${Object.keys(CUSTODY_PATTERNS).join(', ')}` };
+  }
+
+  const start = new Date(startTime);
+  if (!startTime || isNaN(start.getTime())) {
+    return { error: 'startTime must be a valid date' };
+  }
+
+  const end = endDate ? new Date(endDate) : null;
+  if (end && (isNaN(end.getTime()) || end <= start)) {
+    return { error: 'endDate must be a valid date after startTime' };
+  }
+
+  if (!isValidTimeZone(timeZone)) {
+    return { error: 'timeZone must be an IANA time zone, e.g. Australia/Sydney' };
+  }
+
+  if (!Array.isArray(childIds) || childIds.length === 0) {
+    return { error: 'At least one child is required' };
+  }
+
+  if (!Array.isArray(responsibleMemberIds)
+    || responsibleMemberIds.length !== PATTERN_MEMBER_COUNT
+    || new Set(responsibleMemberIds).size !== PATTERN_MEMBER_COUNT) {
+    return { error: `Exactly ${PATTERN_MEMBER_COUNT} different responsible members are required` };
+  }
+
+  if (!Array.isArray(holidays) || holidays.length > MAX_HOLIDAYS) {
+    return { error: `holidays must be a list of at most ${MAX_HOLIDAYS} overrides` };
+  }
+
+  const parsedHolidays = [];
+  for (const holiday of holidays) {
+    const holidayStart = new Date(holiday?.startTime);
+    const holidayEnd = new Date(holiday?.endTime);
+    if (isNaN(holidayStart.getTime()) || isNaN(holidayEnd.getTime()) || holidayEnd <= holidayStart) {
+      return { error: 'Each holiday needs a startTime before its endTime' };
+    }
+    if (!holiday.responsibleMemberId) {
+      return { error: 'Each holiday needs a responsibleMemberId' };
+    }
+    parsedHolidays.push({
+      title: holiday.title?.trim() || 'Holiday',
+      startTime: holidayStart,
+      endTime: holidayEnd,
+      memberId: holiday.responsibleMemberId,
+    });
+  }
+
+  const memberIds = [...new Set([...childIds, ...responsibleMemberIds, ...parsedHolidays.map(h => h.memberId)])];
+  const members = await prisma.groupMember.findMany({
+    where: {
+      groupId: groupId,
+      groupMemberId: { in: memberIds },
+    },
+    select: {
+      groupMemberId: true,
+      role: true,
+      displayName: true,
+      iconColor: true,
+      user: { select: { displayName: true, iconColor: true } },
+    },
+  });
+  const membersById = new Map(members.map(member => [member.groupMemberId, member]));
+
+  if (childIds.some(childId => membersById.get(childId)?.role !== 'child')) {
+    return { error: 'childIds must be children of this group' };
+  }
+
+  const responsibleIds = [...responsibleMemberIds, ...parsedHolidays.map(h => h.memberId)];
+  if (responsibleIds.some(memberId => !RESPONSIBLE_ROLES.includes(membersById.get(memberId)?.role))) {
+    return { error: 'Responsible members must be adults of this group' };
+  }
+
+  return {
+    schedule: {
+      pattern,
+      title: title?.trim() || CUSTODY_PATTERNS[pattern].label,
+      startTime: start,
+      endDate: end,
+      childIds,
+      responsibleMemberIds,
+      holidays: parsedHolidays,
+      notificationMinutes,
+      timeZone,
+      membersById,
+    },
+  };
+}
+
+/**
+ * Get a member's name
+ */
+function getMemberName(membersById, memberId) {
+  const member = membersById.get(memberId);
+  return member.user?.displayName || member.displayName;
+}
+
+/**
+ * List what a schedule would add, for approvers
+ *
+ * @param {Object} schedule - From parseSchedule
+ * @returns {Array<{field: string, label: string, from: *, to: *}>}
+ */
+function describeScheduleChanges(schedule) {
+  const listNames = ids => ids.map(id => getMemberName(schedule.membersById, id)).join(', ');
+
+  return diffChanges(null, {
+    pattern: CUSTODY_PATTERNS[schedule.pattern].label,
+    startTime: schedule.startTime.toISOString(),
+    endDate: schedule.endDate ? schedule.endDate.toISOString() : undefined,
+    children: listNames(schedule.childIds),
+    responsibleMembers: listNames(schedule.responsibleMemberIds),
+    holidays: schedule.holidays.length > 0
+      ? schedule.holidays.map(holiday => `${holiday.title} (${getMemberName(schedule.membersById, holiday.memberId)})`).join(', ')
+      : undefined,
+  }, SCHEDULE_CHANGE_LABELS);
+}
+
+/**
+ * Build the responsibility events a schedule creates, in creation order
+ * (regular blocks first, then holidays so they are layered on top)
+ *
+ * @param {Object} schedule - From parseSchedule
+ * @returns {Array<{title: string, startTime: Date, endTime: Date, rule: string|null, timeZone: string,
+ *   memberId: string, endMemberId: string, isHoliday: boolean}>}
+ */
+function buildScheduleEvents(schedule) {
+  const { membersById } = schedule;
+
+  const blocks = buildScheduleSeries({
+    pattern: schedule.pattern,
+    startTime: schedule.startTime,
+    endDate: schedule.endDate,
+    memberIds: schedule.responsibleMemberIds,
+    timeZone: schedule.timeZone,
+  }).map(series => ({
+    title: `${schedule.title}: ${getMemberName(membersById, series.memberId)}`,
+    startTime: series.startTime,
+    endTime: series.endTime,
+    rule: series.rule,
+    timeZone: schedule.timeZone,
+    memberId: series.memberId,
+    endMemberId: series.nextMemberId, // Handover to the next block's member
+    isHoliday: false,
+  }));
+
+  const holidays = schedule.holidays.map(holiday => ({
+    title: `${holiday.title}: ${getMemberName(membersById, holiday.memberId)}`,
+    startTime: holiday.startTime,
+    endTime: holiday.endTime,
+    rule: null,
+    timeZone: schedule.timeZone,
+    memberId: holiday.memberId,
+    endMemberId: holiday.memberId,
+    isHoliday: true,
+  }));
+
+  return [...blocks, ...holidays];
+}
+
+/**
+ * Get the custody patterns
+ * GET /groups/:groupId/calendar/custody-patterns
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getCustodyPatterns(req, res) {
+  try {
+    const { groupId } = req.params;
+
+    const membership = await prisma.groupMember.findFirst({
+      where: {
+        groupId: groupId,
+        userId: req.user.userId,
+      },
+    });
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this group',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      patterns: listPatterns(),
+    });
+  } catch (err) {
+    console.error('Get custody patterns error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get custody patterns',
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * Preview a custody schedule
+ * POST /groups/:groupId/calendar/custody-schedules/preview
+ *
+ * Returns the events the schedule would create and, for each child, the
+ * resulting timeline with existing responsibility events layered underneath.
+ * Body as for createCustodySchedule, plus previewDays (default 56, max 366).
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function previewCustodySchedule(req, res) {
+  try {
+    const { groupId } = req.params;
+
+    const membership = await getScheduleAccess(req, res);
+    if (!membership) return;
+
+    const parsed = await parseSchedule(groupId, req.body);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error,
+      });
+    }
+
+    const { schedule } = parsed;
+    const previewDays = Math.min(Math.max(parseInt(req.body.previewDays, 10) || DEFAULT_PREVIEW_DAYS, 1), MAX_PREVIEW_DAYS);
+    const windowEnd = new Date(schedule.startTime.getTime() + previewDays * DAY_MS);
+    const window = {
+      start: schedule.startTime,
+      end: schedule.endDate && schedule.endDate < windowEnd
+        ? new Date(schedule.endDate.getTime() + DAY_MS)
+        : windowEnd,
+    };
+
+    const scheduleEvents = buildScheduleEvents(schedule);
+    const layersByChild = await getResponsibilityLayers(groupId, schedule.childIds, window);
+
+    // Every existing event in the window is at least partly overridden
+    const overriddenEvents = new Map();
+    for (const [childId, layers] of layersByChild) {
+      for (const layer of layers) {
+        const overridden = overriddenEvents.get(layer.eventId) || { eventId: layer.eventId, title: layer.title, childIds: [] };
+        if (!overridden.childIds.includes(childId)) {
+          overridden.childIds.push(childId);
+        }
+        overriddenEvents.set(layer.eventId, overridden);
+      }
+      layersByChild.set(childId, layers.map(layer => ({ ...layer, source: 'existing' })));
+    }
+
+    // New events are created after every existing one, so they go on top
+    for (const event of scheduleEvents) {
+      const occurrences = event.rule
+        ? recurrence.expandOccurrences(event, window)
+        : [event];
+      const member = schedule.membersById.get(event.memberId);
+
+      for (const occurrence of occurrences) {
+        const layer = {
+          startTime: occurrence.startTime,
+          endTime: occurrence.endTime,
+          eventId: null,
+          title: event.title,
+          responsibilityType: 'member',
+          memberId: event.memberId,
+          name: getMemberName(schedule.membersById, event.memberId),
+          color: member.user?.iconColor || member.iconColor,
+          source: event.isHoliday ? 'holiday' : 'schedule',
+        };
+        for (const layers of layersByChild.values()) {
+          layers.push(layer);
+        }
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      preview: {
+        window,
+        events: scheduleEvents,
+        timelines: resolveTimelines(layersByChild, window),
+        overriddenEvents: Array.from(overriddenEvents.values()),
+      },
+    });
+  } catch (err) {
+    console.error('Preview custody schedule error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to preview custody schedule',
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * Create a parsed custody schedule's events
+ * Used directly, and by executeApprovedAction in groups that require approval.
+ *
+ * @param {string} groupId
+ * @param {Object} membership - Creating GroupMember
+ * @param {Object} schedule - From parseSchedule
+ * @returns {Promise<Array<Object>>} Created events with their responsibility events
+ */
+async function createScheduleEvents(groupId, membership, schedule) {
+  const scheduleEvents = buildScheduleEvents(schedule);
+  const now = Date.now();
+
+  return prisma.$transaction(async (tx) => {
+    const created = [];
+
+    for (const [index, event] of scheduleEvents.entries()) {
+      created.push(await tx.calendarEvent.create({
+        data: {
+          groupId: groupId,
+          title: event.title,
+          startTime: event.startTime,
+          endTime: event.endTime,
+          isRecurring: !!event.rule,
+          recurrencePattern: event.rule,
+          timeZone: event.timeZone,
+          notificationMinutes: schedule.notificationMinutes,
+          isResponsibilityEvent: true,
+          createdBy: membership.groupMemberId,
+          // Holidays must be newer than the blocks to be layered on top
+          createdAt: new Date(now + (event.isHoliday ? index : 0)),
+          responsibilityEvents: {
+            create: schedule.childIds.map(childId => ({
+              childId: childId,
+              startResponsibilityType: 'member',
+              startResponsibleMemberId: event.memberId,
+              endResponsibilityType: 'member',
+              endResponsibleMemberId: event.endMemberId,
+            })),
+          },
+        },
+        include: { responsibilityEvents: true },
+      }));
+    }
+
+    await tx.auditLog.create({
+      data: {
+        groupId: groupId,
+        action: 'create_custody_schedule',
+        performedBy: membership.groupMemberId,
+        performedByName: membership.displayName,
+        performedByEmail: membership.email || 'N/A',
+        actionLocation: 'calendar',
+        messageContent: `Created custody schedule "${schedule.title}" (${schedule.pattern}) from ${schedule.startTime.toISOString()}${schedule.endDate ? ` to ${schedule.endDate.toISOString()}` : ''} for ${schedule.childIds.length} child(ren) with ${schedule.holidays.length} holiday override(s)`,
+      },
+    });
+
+    return created;
+  });
+}
+
+/**
+ * Create a custody schedule
+ * POST /groups/:groupId/calendar/custody-schedules
+ *
+ * Body: { pattern, title?, startTime, endDate?, childIds, responsibleMemberIds,
+ *   holidays?: [{ title, startTime, endTime, responsibleMemberId }], notificationMinutes?, timeZone? }
+ *
+ * startTime is the first handover; responsibleMemberIds[0] has the first block.
+ * Handovers keep their local time in timeZone (IANA, default UTC) across DST changes.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createCustodySchedule(req, res) {
+  try {
+    const { groupId } = req.params;
+
+    const membership = await getScheduleAccess(req, res);
+    if (!membership) return;
+
+    const parsed = await parseSchedule(groupId, req.body);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error,
+      });
+    }
+
+    const { schedule } = parsed;
+
+    const settings = await prisma.groupSettings.findUnique({
+      where: { groupId: groupId },
+      select: { calendarChangesRequireApproval: true },
+    });
+
+    if (settings?.calendarChangesRequireApproval) {
+      // The request is parsed again when approved, against the members then
+      const { approval, passed } = await requestEventApproval({
+        groupId,
+        membership,
+        approvalType: 'create_custody_schedule',
+        existingEvent: null,
+        fields: req.body,
+        title: schedule.title,
+        changes: describeScheduleChanges(schedule),
+      });
+
+      if (!passed) {
+        return res.status(200).json({
+          success: true,
+          requiresApproval: true,
+          approvalId: approval.approvalId,
+          message: 'Calendar changes in this group need approval from more than 50% of admins',
+        });
+      }
+    }
+
+    const events = await createScheduleEvents(groupId, membership, schedule);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Custody schedule created successfully',
+      events: events,
+    });
+  } catch (err) {
+    console.error('Create custody schedule error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create custody schedule',
+      error: err.message,
+    });
+  }
+}
+
+module.exports = {
+  getCustodyPatterns,
+  previewCustodySchedule,
+  createCustodySchedule,
+  parseSchedule,
+  createScheduleEvents,
+  buildScheduleEvents, // Export for testing
+};
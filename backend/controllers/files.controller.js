@@ -20,6 +20,7 @@ const {
 const audioConverter = require('../services/audioConverter');
 const mediaProcessor = require('../services/mediaProcessor.service');
 const fileEncryption = require('../services/fileEncryption.service');
+const groupKeysService = require('../services/groupKeys.service');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
@@ -622,7 +623,9 @@ async function getFile(req, res) {
     // Decrypt if the file is encrypted (recordings use application-level encryption)
     if (needsDecryption) {
       console.log(`[Files] Decrypting file ${fileId}...`);
-      fileBuffer = fileEncryption.decryptFile(fileBuffer);
+      // Group recordings use the group's data key (older ones the master key)
+      const groupKeyring = metadata.groupId ? await groupKeysService.getGroupKeyring(metadata.groupId) : null;
+      fileBuffer = fileEncryption.decryptFile(fileBuffer, groupKeyring);
       console.log(`[Files] Decrypted. Size: ${(fileBuffer.length / 1024 / 1024).toFixed(2)} MB`);
     }
 
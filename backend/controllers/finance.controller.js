@@ -9,6 +9,15 @@ const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissi
 const { emailService } = require('../services/email');
 const emailTemplates = require('../services/email/templates');
 const pushNotificationService = require('../services/pushNotification.service');
+const {
+  BALANCE_TOLERANCE,
+  summarizeMatter,
+  summarizeMemberShare,
+  calculateMemberBalances,
+} = require('../utils/financeBalances');
+const { planSettlement, getDirectDebt, allocateSettlement } = require('../utils/financeSettlement');
+const { buildFinanceStatement, formatStatementDate, toStatementCSV } = require('../utils/financeStatement');
+const pdfService = require('../services/pdf.service');
 
 /**
  * Get all finance matters for a group
@@ -152,8 +161,10 @@ async function getFinanceMatters(req, res) {
     // Merge user profile data with group member data for each member
     const formattedFinanceMatters = financeMatters.map((matter) => ({
       ...matter,
+      ...summarizeMatter(matter),
       members: matter.members.map((member) => ({
         ...member,
+        ...summarizeMemberShare(member),
         groupMember: {
           ...member.groupMember,
           displayName: member.groupMember.user?.displayName || member.groupMember.displayName,
@@ -257,8 +268,8 @@ async function createFinanceMatter(req, res) {
       });
     }
 
-    // TEMPORARY: For now, require all finance matters to be fully paid upfront
-    // This prevents creating finance matters with outstanding balances
+    // Matters may start with unpaid shares; outstanding balances are paid
+    // off later through recordPayment
     const totalPaid = members.reduce((sum, member) => {
       return sum + parseFloat(member.paidAmount || 0);
     }, 0);
@@ -270,13 +281,11 @@ async function createFinanceMatter(req, res) {
       });
     }
 
-    // TEMPORARY RESTRICTION: Require finance matters to be 100% paid upfront
-    // Allow small tolerance (0.01) for rounding errors
-    const tolerance = 0.01;
-    if (Math.abs(totalPaid - parseFloat(totalAmount)) > tolerance) {
+    const hasNegativePaid = members.some((member) => parseFloat(member.paidAmount || 0) < 0);
+    if (hasNegativePaid) {
       return res.status(400).json({
         success: false,
-        message: `Currently, finance matters must be fully paid when created. Total paid (${currency} ${totalPaid.toFixed(2)}) must equal total amount (${currency} ${parseFloat(totalAmount).toFixed(2)}). This restriction is temporary.`,
+        message: 'Paid amounts cannot be negative',
       });
     }
 
@@ -503,8 +512,10 @@ async function createFinanceMatter(req, res) {
     // Merge user profile data
     const formattedFinanceMatter = {
       ...completeFinanceMatter,
+      ...summarizeMatter(completeFinanceMatter),
       members: completeFinanceMatter.members.map((member) => ({
         ...member,
+        ...summarizeMemberShare(member),
         groupMember: {
           ...member.groupMember,
           displayName: member.groupMember.user?.displayName || member.groupMember.displayName,
@@ -801,6 +812,13 @@ async function getFinanceMatterById(req, res) {
             },
           },
         },
+        settlement: {
+          select: {
+            settlementId: true,
+            fromMemberId: true,
+            toMemberId: true,
+          },
+        },
       },
       orderBy: {
         reportedAt: 'desc',
@@ -822,7 +840,8 @@ async function getFinanceMatterById(req, res) {
           ? `${process.env.API_BASE_URL || 'http://localhost:3000'}/files/${payment.fromMember.user.profilePhotoFileId}`
           : null,
       },
-      to: {
+      // Direct payments to the payee have no recipient member
+      to: payment.toMember ? {
         groupMemberId: payment.toMember.groupMemberId,
         displayName: payment.toMember.user?.displayName || payment.toMember.displayName,
         iconLetters: payment.toMember.user?.memberIcon || payment.toMember.iconLetters,
@@ -830,14 +849,19 @@ async function getFinanceMatterById(req, res) {
         profilePhotoUrl: payment.toMember.user?.profilePhotoFileId
           ? `${process.env.API_BASE_URL || 'http://localhost:3000'}/files/${payment.toMember.user.profilePhotoFileId}`
           : null,
-      },
+      } : null,
+      isDirectPayment: !payment.toMemberId,
+      // Settle-up payments are confirmed or rejected as a whole by the settlement recipient
+      settlement: payment.settlement,
     }));
 
     // Merge user profile data
     const formattedFinanceMatter = {
       ...financeMatter,
+      ...summarizeMatter(financeMatter),
       members: financeMatter.members.map((member) => ({
         ...member,
+        ...summarizeMemberShare(member),
         groupMember: {
           ...member.groupMember,
           displayName: member.groupMember.user?.displayName || member.groupMember.displayName,
@@ -1314,8 +1338,54 @@ async function sendFinanceMatterMessage(req, res) {
   }
 }
 
+// Relations needed to review (confirm or reject) a settle-up payment
+const SETTLEMENT_REVIEW_INCLUDE = {
+  fromMember: {
+    select: { groupMemberId: true, displayName: true },
+  },
+  toMember: {
+    select: { groupMemberId: true, displayName: true },
+  },
+  payments: {
+    include: {
+      financeMatter: {
+        select: { financeMatterId: true, name: true, isSettled: true, isCanceled: true },
+      },
+      fromMember: {
+        select: { groupMemberId: true, displayName: true },
+      },
+      toMember: {
+        select: { groupMemberId: true, displayName: true },
+      },
+    },
+  },
+};
+
+/**
+ * Check whether a member can confirm or reject a pending payment
+ *
+ * Payments to another member are reviewed by that recipient. Direct payments
+ * to the payee have no recipient, so any other member of the matter reviews them.
+ *
+ * @param {Object} payment - FinancePayment
+ * @param {Object[]} matterMembers - FinanceMatterMember rows of the matter
+ * @param {string} groupMemberId - Reviewing member
+ * @returns {boolean}
+ */
+function canReviewPayment(payment, matterMembers, groupMemberId) {
+  if (payment.toMemberId) {
+    return payment.toMemberId === groupMemberId;
+  }
+  return payment.fromMemberId !== groupMemberId &&
+    matterMembers.some((m) => m.groupMemberId === groupMemberId);
+}
+
 /**
  * PUT /groups/:groupId/finance-matters/:financeMatterId/record-payment
+ *
+ * Reports a (possibly partial) payment, which counts once it is confirmed.
+ * With toMemberId the member is reimbursing another member; without it the
+ * payment went directly to the payee (e.g. the school) towards their share.
  */
 async function recordPayment(req, res) {
   try {
@@ -1338,10 +1408,10 @@ async function recordPayment(req, res) {
       });
     }
 
-    if (!toMemberId) {
+    if (toMemberId && toMemberId === groupMemberId) {
       return res.status(400).json({
         success: false,
-        message: 'Payment recipient (toMemberId) is required',
+        message: 'A member cannot pay themselves',
       });
     }
 
@@ -1399,6 +1469,13 @@ async function recordPayment(req, res) {
       });
     }
 
+    if (financeMatter.isCanceled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot record payment for a canceled finance matter',
+      });
+    }
+
     // Check if user has permission to access finance section at all
     const userRole = groupMembership.role;
     const isAdmin = userRole === 'admin';
@@ -1466,30 +1543,71 @@ async function recordPayment(req, res) {
       });
     }
 
-    // Find the recipient member
-    const recipientMember = financeMatter.members.find(
-      (m) => m.groupMemberId === toMemberId
-    );
+    // Find the recipient member (none for direct payments to the payee)
+    const recipientMember = toMemberId
+      ? financeMatter.members.find((m) => m.groupMemberId === toMemberId)
+      : null;
 
-    if (!recipientMember) {
+    if (toMemberId && !recipientMember) {
       return res.status(404).json({
         success: false,
         message: 'Payment recipient not found in this finance matter',
       });
     }
 
-    // Calculate current debt (what they should have paid so far)
+    // Payments already awaiting confirmation count against the remaining debt
+    const pendingFromMember = await prisma.financePayment.aggregate({
+      where: {
+        financeMatterId: financeMatterId,
+        fromMemberId: groupMemberId,
+        isConfirmed: false,
+      },
+      _sum: { amount: true },
+    });
+
+    // Calculate current debt (what they still owe towards their share)
     const paymentAmount = parseFloat(amount);
     const expectedAmount = parseFloat(financeMatterMember.expectedAmount);
     const currentPaid = parseFloat(financeMatterMember.paidAmount);
-    const remainingDebt = expectedAmount - currentPaid;
+    const pendingAmount = parseFloat(pendingFromMember._sum.amount || 0);
+    const remainingDebt = Math.max(expectedAmount - currentPaid - pendingAmount, 0);
 
     // Check if payment would exceed remaining debt
-    if (paymentAmount > remainingDebt + 0.01) { // Allow small rounding error
+    if (paymentAmount > remainingDebt + BALANCE_TOLERANCE) {
       return res.status(400).json({
         success: false,
-        message: `Payment would exceed remaining debt. Maximum payment: ${remainingDebt.toFixed(2)}`,
+        message: pendingAmount > 0
+          ? `Payment would exceed remaining debt (including ${pendingAmount.toFixed(2)} awaiting confirmation). Maximum payment: ${remainingDebt.toFixed(2)}`
+          : `Payment would exceed remaining debt. Maximum payment: ${remainingDebt.toFixed(2)}`,
+      });
+    }
+
+    // A reimbursement can't pay a member back more than they are owed
+    // (what they paid beyond their share, less reimbursements awaiting confirmation)
+    if (recipientMember) {
+      const pendingToRecipient = await prisma.financePayment.aggregate({
+        where: {
+          financeMatterId: financeMatterId,
+          toMemberId: toMemberId,
+          isConfirmed: false,
+        },
+        _sum: { amount: true },
       });
+
+      const pendingCredit = parseFloat(pendingToRecipient._sum.amount || 0);
+      const remainingCredit = Math.max(
+        parseFloat(recipientMember.paidAmount) - parseFloat(recipientMember.expectedAmount) - pendingCredit,
+        0
+      );
+
+      if (paymentAmount > remainingCredit + BALANCE_TOLERANCE) {
+        return res.status(400).json({
+          success: false,
+          message: pendingCredit > 0
+            ? `Payment would exceed what ${recipientMember.groupMember.displayName} is owed (including ${pendingCredit.toFixed(2)} awaiting confirmation). Maximum payment: ${remainingCredit.toFixed(2)}`
+            : `Payment would exceed what ${recipientMember.groupMember.displayName} is owed. Maximum payment: ${remainingCredit.toFixed(2)}`,
+        });
+      }
     }
 
     // Create pending FinancePayment record (awaiting confirmation)
@@ -1497,7 +1615,7 @@ async function recordPayment(req, res) {
       data: {
         financeMatterId: financeMatterId,
         fromMemberId: groupMemberId,
-        toMemberId: toMemberId,
+        toMemberId: toMemberId || null,
         amount: paymentAmount,
         isConfirmed: false,
       },
@@ -1512,13 +1630,15 @@ async function recordPayment(req, res) {
         performedByName: groupMembership.displayName,
         performedByEmail: groupMembership.email || 'N/A',
         actionLocation: 'finance',
-        messageContent: `Reported payment of ${paymentAmount.toFixed(2)} from ${financeMatterMember.groupMember.displayName} to ${recipientMember.groupMember.displayName} in finance matter "${financeMatter.title}". Awaiting confirmation.`,
+        messageContent: `Reported payment of ${paymentAmount.toFixed(2)} from ${financeMatterMember.groupMember.displayName} to ${recipientMember ? recipientMember.groupMember.displayName : 'the payee'} in finance matter "${financeMatter.name}". Awaiting confirmation.`,
       },
     });
 
     return res.status(200).json({
       success: true,
-      message: 'Payment reported successfully. Awaiting confirmation from recipient.',
+      message: recipientMember
+        ? 'Payment reported successfully. Awaiting confirmation from recipient.'
+        : 'Payment reported successfully. Awaiting confirmation from another member.',
       payment: {
         paymentId: financePayment.paymentId,
         amount: parseFloat(financePayment.amount),
@@ -1538,6 +1658,160 @@ async function recordPayment(req, res) {
   }
 }
 
+/**
+ * Apply a confirmed payment to the payer's and recipient's paid amounts
+ *
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} payment - FinancePayment
+ */
+async function applyConfirmedPayment(tx, payment) {
+  // The payer has now paid more towards their share
+  await tx.financeMatterMember.updateMany({
+    where: {
+      financeMatterId: payment.financeMatterId,
+      groupMemberId: payment.fromMemberId,
+    },
+    data: {
+      paidAmount: { increment: payment.amount },
+    },
+  });
+
+  // The recipient has been reimbursed (no recipient for direct payments)
+  if (payment.toMemberId) {
+    await tx.financeMatterMember.updateMany({
+      where: {
+        financeMatterId: payment.financeMatterId,
+        groupMemberId: payment.toMemberId,
+      },
+      data: {
+        paidAmount: { decrement: payment.amount },
+      },
+    });
+  }
+}
+
+/**
+ * Settle a finance matter once every member has paid and nothing is pending
+ *
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} financeMatter - FinanceMatter (financeMatterId, name, isSettled, isCanceled)
+ * @param {string} groupId
+ * @param {Object} groupMembership - GroupMember confirming the payment
+ */
+async function autoSettleIfPaid(tx, financeMatter, groupId, groupMembership) {
+  if (financeMatter.isSettled || financeMatter.isCanceled) {
+    return;
+  }
+
+  // Get updated member data
+  const updatedMembers = await tx.financeMatterMember.findMany({
+    where: { financeMatterId: financeMatter.financeMatterId },
+  });
+
+  // Check if all members have paid their share
+  const allMembersPaid = updatedMembers.every((member) => {
+    const paid = parseFloat(member.paidAmount);
+    const expected = parseFloat(member.expectedAmount);
+    return paid >= expected - BALANCE_TOLERANCE;
+  });
+
+  // Check if all payments are confirmed
+  const pendingCount = await tx.financePayment.count({
+    where: {
+      financeMatterId: financeMatter.financeMatterId,
+      isConfirmed: false,
+    },
+  });
+
+  if (!allMembersPaid || pendingCount > 0) {
+    return;
+  }
+
+  await tx.financeMatter.update({
+    where: { financeMatterId: financeMatter.financeMatterId },
+    data: {
+      isSettled: true,
+      settledAt: new Date(),
+    },
+  });
+
+  // Create audit log for auto-settle
+  await tx.auditLog.create({
+    data: {
+      groupId: groupId,
+      action: 'auto_settle',
+      performedBy: groupMembership.groupMemberId,
+      performedByName: groupMembership.displayName,
+      performedByEmail: groupMembership.email || 'N/A',
+      actionLocation: 'finance',
+      messageContent: `Finance matter "${financeMatter.name}" auto-settled after all payments were confirmed.`,
+    },
+  });
+}
+
+/**
+ * Describe how a settle-up payment is split across finance matters (for audit logs)
+ *
+ * @param {Object[]} payments - FinancePayments with financeMatter, fromMember and toMember
+ * @returns {string}
+ */
+function describeSettlementPayments(payments) {
+  return payments
+    .map((p) => `${parseFloat(p.amount).toFixed(2)} from ${p.fromMember.displayName} to ${p.toMember.displayName} in "${p.financeMatter.name}"`)
+    .join('; ');
+}
+
+/**
+ * Confirm every payment of a settle-up payment and apply them to their matters
+ *
+ * @param {Object} settlement - FinanceSettlement loaded with SETTLEMENT_REVIEW_INCLUDE
+ * @param {string} groupId
+ * @param {Object} groupMembership - GroupMember confirming (the settlement recipient)
+ */
+async function confirmSettlement(settlement, groupId, groupMembership) {
+  const confirmedAt = new Date();
+
+  await prisma.$transaction(async (tx) => {
+    // Mark every part confirmed first so auto-settle does not see them as pending
+    await tx.financePayment.updateMany({
+      where: { settlementId: settlement.settlementId },
+      data: {
+        isConfirmed: true,
+        confirmedAt: confirmedAt,
+      },
+    });
+
+    await tx.financeSettlement.update({
+      where: { settlementId: settlement.settlementId },
+      data: {
+        isConfirmed: true,
+        confirmedAt: confirmedAt,
+      },
+    });
+
+    for (const payment of settlement.payments) {
+      await applyConfirmedPayment(tx, payment);
+    }
+
+    await tx.auditLog.create({
+      data: {
+        groupId: groupId,
+        action: 'confirm_settle_up',
+        performedBy: groupMembership.groupMemberId,
+        performedByName: groupMembership.displayName,
+        performedByEmail: groupMembership.email || 'N/A',
+        actionLocation: 'finance',
+        messageContent: `Confirmed settle-up payment of ${settlement.currency} ${parseFloat(settlement.amount).toFixed(2)} from ${settlement.fromMember.displayName} to ${settlement.toMember.displayName}. Applied as: ${describeSettlementPayments(settlement.payments)}.`,
+      },
+    });
+
+    const matters = new Map(settlement.payments.map((p) => [p.financeMatterId, p.financeMatter]));
+    for (const financeMatter of matters.values()) {
+      await autoSettleIfPaid(tx, financeMatter, groupId, groupMembership);
+    }
+  });
+}
+
 /**
  * POST /groups/:groupId/finance-matters/:financeMatterId/payments/:paymentId/confirm
  * Confirm a payment (recipient only)
@@ -1600,6 +1874,9 @@ async function confirmPayment(req, res) {
             displayName: true,
           },
         },
+        settlement: {
+          include: SETTLEMENT_REVIEW_INCLUDE,
+        },
       },
     });
 
@@ -1632,15 +1909,33 @@ async function confirmPayment(req, res) {
       });
     }
 
-    // Only the recipient can confirm
-    if (payment.toMemberId !== groupMembership.groupMemberId) {
+    // Settle-up payments are confirmed together
+    if (payment.settlement) {
+      if (payment.settlement.toMemberId !== groupMembership.groupMemberId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the settle-up recipient can confirm this payment',
+        });
+      }
+
+      await confirmSettlement(payment.settlement, groupId, groupMembership);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Settle-up payment confirmed successfully',
+      });
+    }
+
+    // Only the recipient (or, for direct payments, another matter member) can confirm
+    if (!canReviewPayment(payment, payment.financeMatter.members, groupMembership.groupMemberId)) {
       return res.status(403).json({
         success: false,
-        message: 'Only the payment recipient can confirm this payment',
+        message: payment.toMemberId
+          ? 'Only the payment recipient can confirm this payment'
+          : 'Direct payments must be confirmed by another member of this finance matter',
       });
     }
 
-    // Update payment to confirmed and update paidAmount
     const paymentAmount = parseFloat(payment.amount);
 
     await prisma.$transaction(async (tx) => {
@@ -1653,49 +1948,7 @@ async function confirmPayment(req, res) {
         },
       });
 
-      // Update the paidAmount for the fromMember (increase)
-      const fromMember = payment.financeMatter.members.find(
-        (m) => m.groupMemberId === payment.fromMemberId
-      );
-
-      if (fromMember) {
-        const currentPaid = parseFloat(fromMember.paidAmount);
-        const newPaidAmount = currentPaid + paymentAmount;
-
-        await tx.financeMatterMember.update({
-          where: {
-            financeMatterId_groupMemberId: {
-              financeMatterId: financeMatterId,
-              groupMemberId: payment.fromMemberId,
-            },
-          },
-          data: {
-            paidAmount: newPaidAmount,
-          },
-        });
-      }
-
-      // Update the paidAmount for the toMember (decrease)
-      const toMember = payment.financeMatter.members.find(
-        (m) => m.groupMemberId === payment.toMemberId
-      );
-
-      if (toMember) {
-        const currentPaid = parseFloat(toMember.paidAmount);
-        const newPaidAmount = currentPaid - paymentAmount;
-
-        await tx.financeMatterMember.update({
-          where: {
-            financeMatterId_groupMemberId: {
-              financeMatterId: financeMatterId,
-              groupMemberId: payment.toMemberId,
-            },
-          },
-          data: {
-            paidAmount: newPaidAmount,
-          },
-        });
-      }
+      await applyConfirmedPayment(tx, payment);
 
       // Create audit log for confirmation
       await tx.auditLog.create({
@@ -1706,56 +1959,11 @@ async function confirmPayment(req, res) {
           performedByName: groupMembership.displayName,
           performedByEmail: groupMembership.email || 'N/A',
           actionLocation: 'finance',
-          messageContent: `Confirmed payment of ${paymentAmount.toFixed(2)} from ${payment.fromMember.displayName} to ${payment.toMember.displayName} in finance matter "${payment.financeMatter.title}".`,
-        },
-      });
-
-      // Check if finance matter should be auto-settled
-      // Get updated member data
-      const updatedMembers = await tx.financeMatterMember.findMany({
-        where: { financeMatterId: financeMatterId },
-      });
-
-      // Check if all members have paid their share
-      const allMembersPaid = updatedMembers.every((member) => {
-        const paid = parseFloat(member.paidAmount);
-        const expected = parseFloat(member.expectedAmount);
-        return paid >= expected - 0.01; // Allow small rounding error
-      });
-
-      // Check if all payments are confirmed
-      const pendingPayments = await tx.financePayment.findMany({
-        where: {
-          financeMatterId: financeMatterId,
-          isConfirmed: false,
+          messageContent: `Confirmed payment of ${paymentAmount.toFixed(2)} from ${payment.fromMember.displayName} to ${payment.toMember?.displayName || 'the payee'} in finance matter "${payment.financeMatter.name}".`,
         },
       });
 
-      const allPaymentsConfirmed = pendingPayments.length === 0;
-
-      // Auto-settle if both conditions are met
-      if (allMembersPaid && allPaymentsConfirmed && !payment.financeMatter.isSettled) {
-        await tx.financeMatter.update({
-          where: { financeMatterId: financeMatterId },
-          data: {
-            isSettled: true,
-            settledAt: new Date(),
-          },
-        });
-
-        // Create audit log for auto-settle
-        await tx.auditLog.create({
-          data: {
-            groupId: groupId,
-            action: 'auto_settle',
-            performedBy: groupMembership.groupMemberId,
-            performedByName: groupMembership.displayName,
-            performedByEmail: groupMembership.email || 'N/A',
-            actionLocation: 'finance',
-            messageContent: `Finance matter "${payment.financeMatter.title}" auto-settled after all payments were confirmed.`,
-          },
-        });
-      }
+      await autoSettleIfPaid(tx, payment.financeMatter, groupId, groupMembership);
     });
 
     return res.status(200).json({
@@ -1812,7 +2020,10 @@ async function rejectPayment(req, res) {
           select: {
             financeMatterId: true,
             groupId: true,
-            title: true,
+            name: true,
+            members: {
+              select: { groupMemberId: true },
+            },
           },
         },
         fromMember: {
@@ -1827,6 +2038,9 @@ async function rejectPayment(req, res) {
             displayName: true,
           },
         },
+        settlement: {
+          include: SETTLEMENT_REVIEW_INCLUDE,
+        },
       },
     });
 
@@ -1859,11 +2073,49 @@ async function rejectPayment(req, res) {
       });
     }
 
-    // Only the recipient can reject
-    if (payment.toMemberId !== groupMembership.groupMemberId) {
+    // Rejecting part of a settle-up payment rejects all of it
+    if (payment.settlement) {
+      const { settlement } = payment;
+
+      if (settlement.toMemberId !== groupMembership.groupMemberId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the settle-up recipient can reject this payment',
+        });
+      }
+
+      await prisma.$transaction(async (tx) => {
+        // Deleting the settlement deletes its payments
+        await tx.financeSettlement.delete({
+          where: { settlementId: settlement.settlementId },
+        });
+
+        await tx.auditLog.create({
+          data: {
+            groupId: groupId,
+            action: 'reject_settle_up',
+            performedBy: groupMembership.groupMemberId,
+            performedByName: groupMembership.displayName,
+            performedByEmail: groupMembership.email || 'N/A',
+            actionLocation: 'finance',
+            messageContent: `Rejected settle-up payment of ${settlement.currency} ${parseFloat(settlement.amount).toFixed(2)} from ${settlement.fromMember.displayName} to ${settlement.toMember.displayName}. Removed: ${describeSettlementPayments(settlement.payments)}.`,
+          },
+        });
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Settle-up payment rejected successfully',
+      });
+    }
+
+    // Only the recipient (or, for direct payments, another matter member) can reject
+    if (!canReviewPayment(payment, payment.financeMatter.members, groupMembership.groupMemberId)) {
       return res.status(403).json({
         success: false,
-        message: 'Only the payment recipient can reject this payment',
+        message: payment.toMemberId
+          ? 'Only the payment recipient can reject this payment'
+          : 'Direct payments must be rejected by another member of this finance matter',
       });
     }
 
@@ -1884,7 +2136,7 @@ async function rejectPayment(req, res) {
           performedByName: groupMembership.displayName,
           performedByEmail: groupMembership.email || 'N/A',
           actionLocation: 'finance',
-          messageContent: `Rejected payment of ${paymentAmount.toFixed(2)} from ${payment.fromMember.displayName} to ${payment.toMember.displayName} in finance matter "${payment.financeMatter.title}".`,
+          messageContent: `Rejected payment of ${paymentAmount.toFixed(2)} from ${payment.fromMember.displayName} to ${payment.toMember?.displayName || 'the payee'} in finance matter "${payment.financeMatter.name}".`,
         },
       });
     });
@@ -2000,7 +2252,7 @@ async function cancelFinanceMatter(req, res) {
           performedByName: groupMembership.displayName,
           performedByEmail: groupMembership.email || 'N/A',
           actionLocation: 'finance',
-          messageContent: `Canceled finance matter "${financeMatter.title}".`,
+          messageContent: `Canceled finance matter "${financeMatter.name}".`,
         },
       });
     });
@@ -2019,6 +2271,775 @@ async function cancelFinanceMatter(req, res) {
   }
 }
 
+/**
+ * Load display details for group members, merged with their user profiles
+ *
+ * @param {string[]} groupMemberIds
+ * @returns {Promise<Map<string, Object>>} groupMemberId -> { groupMemberId, displayName, iconLetters, iconColor }
+ */
+async function getMemberSummaries(groupMemberIds) {
+  const groupMembers = await prisma.groupMember.findMany({
+    where: {
+      groupMemberId: { in: [...new Set(groupMemberIds)] },
+    },
+    select: {
+      groupMemberId: true,
+      displayName: true,
+      iconLetters: true,
+      iconColor: true,
+      user: {
+        select: {
+          displayName: true,
+          memberIcon: true,
+          iconColor: true,
+        },
+      },
+    },
+  });
+
+  return new Map(groupMembers.map((member) => [member.groupMemberId, {
+    groupMemberId: member.groupMemberId,
+    displayName: member.user?.displayName || member.displayName,
+    iconLetters: member.user?.memberIcon || member.iconLetters,
+    iconColor: member.user?.iconColor || member.iconColor,
+  }]));
+}
+
+/**
+ * Get each member's running balance across finance matters
+ * GET /groups/:groupId/finance/balances
+ *
+ * Balances are per currency and derived from FinanceMatterMember rows (only
+ * confirmed payments count). Like getFinanceMatters, admins see balances
+ * across all matters and other members across the matters they belong to.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getFinanceBalances(req, res) {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.userId;
+
+    // Get user's group membership
+    const groupMembership = await prisma.groupMember.findFirst({
+      where: {
+        groupId: groupId,
+        userId: userId,
+      },
+    });
+
+    if (!groupMembership) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this group',
+      });
+    }
+
+    const userRole = groupMembership.role;
+
+    // Get group settings to check finance visibility permissions
+    const groupSettings = await prisma.groupSettings.findUnique({
+      where: { groupId: groupId },
+      select: {
+        financeVisibleToAdmins: true,
+        financeVisibleToParents: true,
+        financeVisibleToAdults: true,
+        financeVisibleToCaregivers: true,
+        financeVisibleToChildren: true,
+      },
+    });
+
+    let hasAccess = false;
+
+    if (userRole === 'admin' && groupSettings?.financeVisibleToAdmins) {
+      hasAccess = true;
+    } else if (userRole === 'parent' && groupSettings?.financeVisibleToParents) {
+      hasAccess = true;
+    } else if (userRole === 'adult' && groupSettings?.financeVisibleToAdults) {
+      hasAccess = true;
+    } else if (userRole === 'caregiver' && groupSettings?.financeVisibleToCaregivers) {
+      hasAccess = true;
+    } else if (userRole === 'child' && groupSettings?.financeVisibleToChildren) {
+      hasAccess = true;
+    }
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view finance matters',
+      });
+    }
+
+    // Non-admins only see matters they are members of
+    const whereClause = userRole === 'admin'
+      ? { groupId: groupId }
+      : {
+        groupId: groupId,
+        members: {
+          some: {
+            groupMemberId: groupMembership.groupMemberId,
+          },
+        },
+      };
+
+    const financeMatters = await prisma.financeMatter.findMany({
+      where: whereClause,
+      include: {
+        members: true,
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    const balances = calculateMemberBalances(financeMatters);
+
+    const memberMap = await getMemberSummaries(balances.map((b) => b.groupMemberId));
+
+    const formattedBalances = balances.map((balance) => ({
+      ...balance,
+      groupMember: memberMap.get(balance.groupMemberId) || null,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      balances: formattedBalances,
+      currentGroupMemberId: groupMembership.groupMemberId,
+    });
+  } catch (error) {
+    console.error('Get finance balances error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load finance balances',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Parse a statement date query parameter
+ *
+ * A plain date (YYYY-MM-DD) used as the end of the range covers that whole day.
+ *
+ * @param {string} value
+ * @param {boolean} isEnd
+ * @returns {Date|null|undefined} null when not given, undefined when invalid
+ */
+function parseStatementDate(value, isEnd) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return undefined;
+  }
+  if (isEnd && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+/**
+ * Get a finance statement for a date range
+ * GET /groups/:groupId/finance/statement?from=&to=&format=json|csv|pdf
+ *
+ * Lists matters, expected versus paid amounts per member, payments with their
+ * confirmation status, and totals per currency (see utils/financeStatement).
+ * Like getFinanceMatters, admins get every matter and other members the
+ * matters they belong to. CSV and PDF downloads are recorded in the audit log.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getFinanceStatement(req, res) {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.userId;
+    const format = (req.query.format || 'json').toLowerCase();
+
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json, csv or pdf',
+      });
+    }
+
+    const from = parseStatementDate(req.query.from, false);
+    const to = parseStatementDate(req.query.to, true);
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range. Use ISO dates, e.g. from=2026-01-01&to=2026-06-30',
+      });
+    }
+
+    if (from && to && from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'The start of the date range must be before the end',
+      });
+    }
+
+    // Get user's group membership
+    const groupMembership = await prisma.groupMember.findFirst({
+      where: {
+        groupId: groupId,
+        userId: userId,
+      },
+    });
+
+    if (!groupMembership) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this group',
+      });
+    }
+
+    const userRole = groupMembership.role;
+
+    // Get group settings to check finance visibility permissions
+    const groupSettings = await prisma.groupSettings.findUnique({
+      where: { groupId: groupId },
+      select: {
+        financeVisibleToAdmins: true,
+        financeVisibleToParents: true,
+        financeVisibleToAdults: true,
+        financeVisibleToCaregivers: true,
+        financeVisibleToChildren: true,
+      },
+    });
+
+    let hasAccess = false;
+
+    if (userRole === 'admin' && groupSettings?.financeVisibleToAdmins) {
+      hasAccess = true;
+    } else if (userRole === 'parent' && groupSettings?.financeVisibleToParents) {
+      hasAccess = true;
+    } else if (userRole === 'adult' && groupSettings?.financeVisibleToAdults) {
+      hasAccess = true;
+    } else if (userRole === 'caregiver' && groupSettings?.financeVisibleToCaregivers) {
+      hasAccess = true;
+    } else if (userRole === 'child' && groupSettings?.financeVisibleToChildren) {
+      hasAccess = true;
+    }
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view finance matters',
+      });
+    }
+
+    const group = await prisma.group.findUnique({
+      where: { groupId: groupId },
+      select: { name: true },
+    });
+
+    // Matters created, due or paid within the range
+    const range = {
+      ...(from && { gte: from }),
+      ...(to && { lte: to }),
+    };
+    const whereClause = {
+      groupId: groupId,
+      ...(userRole !== 'admin' && {
+        members: {
+          some: {
+            groupMemberId: groupMembership.groupMemberId,
+          },
+        },
+      }),
+      ...((from || to) && {
+        OR: [
+          { createdAt: range },
+          { dueDate: range },
+          { payments: { some: { reportedAt: range } } },
+        ],
+      }),
+    };
+
+    const financeMatters = await prisma.financeMatter.findMany({
+      where: whereClause,
+      include: {
+        members: true,
+        payments: true,
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    const memberIds = financeMatters.flatMap((matter) => [
+      ...matter.members.map((m) => m.groupMemberId),
+      ...matter.payments.flatMap((p) => [p.fromMemberId, p.toMemberId].filter(Boolean)),
+    ]);
+    const memberMap = await getMemberSummaries(memberIds);
+
+    const statement = buildFinanceStatement({
+      matters: financeMatters,
+      memberMap,
+      from,
+      to,
+    });
+
+    if (format === 'json') {
+      return res.status(200).json({
+        success: true,
+        statement,
+      });
+    }
+
+    await prisma.auditLog.create({
+      data: {
+        groupId: groupId,
+        action: 'export_finance_statement',
+        performedBy: groupMembership.groupMemberId,
+        performedByName: groupMembership.displayName,
+        performedByEmail: groupMembership.email || 'N/A',
+        actionLocation: 'finance',
+        messageContent: `Exported finance statement (${format.toUpperCase()}) for ${from ? formatStatementDate(from) : 'the beginning'} to ${to ? formatStatementDate(to) : 'now'} with ${statement.matters.length} finance matter(s)`,
+      },
+    });
+
+    const fileName = `FinanceStatement_${group.name.replace(/[^a-zA-Z0-9]/g, '_')}_${from ? formatStatementDate(from) : 'start'}_${formatStatementDate(to || new Date())}.${format}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.status(200).send(toStatementCSV(statement));
+    }
+
+    const pdfBuffer = pdfService.generateFinanceStatementPDF({
+      groupName: group.name,
+      statement,
+      createdAt: new Date(),
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    return res.status(200).send(pdfBuffer);
+  } catch (error) {
+    console.error('Get finance statement error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate finance statement',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Load the open finance matters of a group and their pending payments
+ *
+ * Settle-up plans always cover every open matter in the group, so that
+ * transfers are the same whoever looks at them.
+ *
+ * @param {string} groupId
+ * @returns {Promise<{matters: Object[], pendingPayments: Object[]}>}
+ */
+async function getSettleUpData(groupId) {
+  const matters = await prisma.financeMatter.findMany({
+    where: {
+      groupId: groupId,
+      isSettled: false,
+      isCanceled: false,
+    },
+    include: {
+      members: true,
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const pendingPayments = await prisma.financePayment.findMany({
+    where: {
+      financeMatterId: { in: matters.map((m) => m.financeMatterId) },
+      isConfirmed: false,
+    },
+  });
+
+  return { matters, pendingPayments };
+}
+
+/**
+ * Get the settle-up plan for a group
+ * GET /groups/:groupId/finance/settle-up
+ *
+ * Returns, per currency, each member's net balance across all open finance
+ * matters and the fewest transfers that settle them, plus settle-up payments
+ * awaiting confirmation. Admins see the whole plan; other members only see
+ * their own balance and the transfers and settle-up payments involving them.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getSettleUpPlan(req, res) {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.userId;
+
+    // Get user's group membership
+    const groupMembership = await prisma.groupMember.findFirst({
+      where: {
+        groupId: groupId,
+        userId: userId,
+      },
+    });
+
+    if (!groupMembership) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this group',
+      });
+    }
+
+    const userRole = groupMembership.role;
+    const myId = groupMembership.groupMemberId;
+
+    // Get group settings to check finance visibility permissions
+    const groupSettings = await prisma.groupSettings.findUnique({
+      where: { groupId: groupId },
+      select: {
+        financeVisibleToAdmins: true,
+        financeVisibleToParents: true,
+        financeVisibleToAdults: true,
+        financeVisibleToCaregivers: true,
+        financeVisibleToChildren: true,
+      },
+    });
+
+    let hasAccess = false;
+
+    if (userRole === 'admin' && groupSettings?.financeVisibleToAdmins) {
+      hasAccess = true;
+    } else if (userRole === 'parent' && groupSettings?.financeVisibleToParents) {
+      hasAccess = true;
+    } else if (userRole === 'adult' && groupSettings?.financeVisibleToAdults) {
+      hasAccess = true;
+    } else if (userRole === 'caregiver' && groupSettings?.financeVisibleToCaregivers) {
+      hasAccess = true;
+    } else if (userRole === 'child' && groupSettings?.financeVisibleToChildren) {
+      hasAccess = true;
+    }
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view finance matters',
+      });
+    }
+
+    const isAdmin = userRole === 'admin';
+    const { matters, pendingPayments } = await getSettleUpData(groupId);
+
+    const plans = planSettlement(matters, pendingPayments)
+      .map((plan) => ({
+        currency: plan.currency,
+        balances: isAdmin ? plan.balances : plan.balances.filter((b) => b.groupMemberId === myId),
+        transfers: isAdmin
+          ? plan.transfers
+          : plan.transfers.filter((t) => t.fromMemberId === myId || t.toMemberId === myId),
+      }))
+      .filter((plan) => plan.balances.length > 0 || plan.transfers.length > 0);
+
+    const pendingSettlements = await prisma.financeSettlement.findMany({
+      where: {
+        groupId: groupId,
+        isConfirmed: false,
+        ...(isAdmin ? {} : { OR: [{ fromMemberId: myId }, { toMemberId: myId }] }),
+      },
+      include: {
+        payments: {
+          select: {
+            paymentId: true,
+            financeMatterId: true,
+            fromMemberId: true,
+            toMemberId: true,
+            amount: true,
+          },
+        },
+      },
+      orderBy: { reportedAt: 'desc' },
+    });
+
+    const memberMap = await getMemberSummaries([
+      ...plans.flatMap((plan) => plan.transfers.flatMap((t) => [t.fromMemberId, t.toMemberId])),
+      ...plans.flatMap((plan) => plan.balances.map((b) => b.groupMemberId)),
+      ...pendingSettlements.flatMap((s) => [s.fromMemberId, s.toMemberId]),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      settleUp: plans.map((plan) => ({
+        currency: plan.currency,
+        balances: plan.balances.map((b) => ({
+          ...b,
+          groupMember: memberMap.get(b.groupMemberId) || null,
+        })),
+        transfers: plan.transfers.map((t) => ({
+          amount: t.amount,
+          // Part the payer can record now: what they owe the recipient directly
+          settleableAmount: Math.min(
+            t.amount,
+            getDirectDebt(matters, pendingPayments, plan.currency, t.fromMemberId, t.toMemberId)
+          ),
+          from: memberMap.get(t.fromMemberId) || { groupMemberId: t.fromMemberId },
+          to: memberMap.get(t.toMemberId) || { groupMemberId: t.toMemberId },
+        })),
+      })),
+      pendingSettlements: pendingSettlements.map((settlement) => ({
+        settlementId: settlement.settlementId,
+        currency: settlement.currency,
+        amount: parseFloat(settlement.amount),
+        reportedAt: settlement.reportedAt,
+        from: memberMap.get(settlement.fromMemberId) || { groupMemberId: settlement.fromMemberId },
+        to: memberMap.get(settlement.toMemberId) || { groupMemberId: settlement.toMemberId },
+        payments: settlement.payments.map((p) => ({
+          ...p,
+          amount: parseFloat(p.amount),
+        })),
+      })),
+      currentGroupMemberId: myId,
+    });
+  } catch (error) {
+    console.error('Get settle-up plan error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load settle-up plan',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Record a settle-up payment
+ * POST /groups/:groupId/finance/settle-up
+ *
+ * The payment is applied only to what the payer owes the recipient directly
+ * (it may be partial): other members' balances never change without them
+ * confirming. It is split into one pending FinancePayment per finance matter,
+ * and the recipient confirms or rejects it as a whole through the usual
+ * confirm/reject payment endpoints.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function recordSettlement(req, res) {
+  try {
+    const { groupId } = req.params;
+    const { toMemberId, currency, amount } = req.body;
+    const userId = req.user.userId;
+
+    if (!toMemberId || !currency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recipient and currency are required',
+      });
+    }
+
+    if (!amount || isNaN(amount) || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid payment amount is required',
+      });
+    }
+
+    // Get user's group membership
+    const groupMembership = await prisma.groupMember.findFirst({
+      where: {
+        groupId: groupId,
+        userId: userId,
+      },
+    });
+
+    if (!groupMembership) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this group',
+      });
+    }
+
+    const userRole = groupMembership.role;
+    const isAdmin = userRole === 'admin';
+
+    // CRITICAL: Supervisors cannot record payments (view-only role)
+    if (userRole === 'supervisor') {
+      return res.status(403).json({
+        success: false,
+        message: 'Supervisors cannot record payments',
+      });
+    }
+
+    // Get group settings to check finance visibility permissions
+    const groupSettings = await prisma.groupSettings.findUnique({
+      where: { groupId: groupId },
+      select: {
+        financeVisibleToAdmins: true,
+        financeVisibleToParents: true,
+        financeVisibleToAdults: true,
+        financeVisibleToCaregivers: true,
+        financeVisibleToChildren: true,
+      },
+    });
+
+    let hasAccess = false;
+
+    if (userRole === 'admin' && groupSettings?.financeVisibleToAdmins) {
+      hasAccess = true;
+    } else if (userRole === 'parent' && groupSettings?.financeVisibleToParents) {
+      hasAccess = true;
+    } else if (userRole === 'adult' && groupSettings?.financeVisibleToAdults) {
+      hasAccess = true;
+    } else if (userRole === 'caregiver' && groupSettings?.financeVisibleToCaregivers) {
+      hasAccess = true;
+    } else if (userRole === 'child' && groupSettings?.financeVisibleToChildren) {
+      hasAccess = true;
+    }
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to record payments',
+      });
+    }
+
+    // Admins may record on behalf of another member, like recordPayment
+    const fromMemberId = req.body.groupMemberId || groupMembership.groupMemberId;
+
+    if (!(isAdmin && groupSettings?.financeVisibleToAdmins) && fromMemberId !== groupMembership.groupMemberId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only record payments for yourself',
+      });
+    }
+
+    const { matters, pendingPayments } = await getSettleUpData(groupId);
+
+    const directDebt = getDirectDebt(matters, pendingPayments, currency, fromMemberId, toMemberId);
+
+    if (directDebt <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is nothing this member owes the recipient directly. Settle up with the members they owe instead',
+      });
+    }
+
+    const paymentAmount = parseFloat(amount);
+    if (paymentAmount > directDebt + BALANCE_TOLERANCE) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment would exceed what is owed to the recipient. Maximum payment: ${directDebt.toFixed(2)}`,
+      });
+    }
+
+    const settledAmount = Math.min(paymentAmount, directDebt);
+    const { allocations, unallocated } = allocateSettlement({
+      matters,
+      pendingPayments,
+      currency,
+      fromMemberId,
+      toMemberId,
+      amount: settledAmount,
+    });
+
+    if (unallocated > BALANCE_TOLERANCE) {
+      return res.status(400).json({
+        success: false,
+        message: 'This payment cannot be applied to the finance matters these members share',
+      });
+    }
+
+    const memberMap = await getMemberSummaries([
+      fromMemberId,
+      toMemberId,
+      ...allocations.flatMap((a) => [a.fromMemberId, a.toMemberId]),
+    ]);
+    const matterNames = new Map(matters.map((m) => [m.financeMatterId, m.name]));
+
+    const settlement = await prisma.$transaction(async (tx) => {
+      const created = await tx.financeSettlement.create({
+        data: {
+          groupId: groupId,
+          fromMemberId: fromMemberId,
+          toMemberId: toMemberId,
+          currency: currency,
+          amount: settledAmount,
+          reportedBy: groupMembership.groupMemberId,
+        },
+      });
+
+      await tx.financePayment.createMany({
+        data: allocations.map((allocation) => ({
+          financeMatterId: allocation.financeMatterId,
+          fromMemberId: allocation.fromMemberId,
+          toMemberId: allocation.toMemberId,
+          amount: allocation.amount,
+          isConfirmed: false,
+          settlementId: created.settlementId,
+        })),
+      });
+
+      const applied = allocations
+        .map((a) => `${a.amount.toFixed(2)} from ${memberMap.get(a.fromMemberId)?.displayName} to ${memberMap.get(a.toMemberId)?.displayName} in "${matterNames.get(a.financeMatterId)}"`)
+        .join('; ');
+
+      await tx.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: 'report_settle_up',
+          performedBy: groupMembership.groupMemberId,
+          performedByName: groupMembership.displayName,
+          performedByEmail: groupMembership.email || 'N/A',
+          actionLocation: 'finance',
+          messageContent: `Reported settle-up payment of ${currency} ${parseFloat(created.amount).toFixed(2)} from ${memberMap.get(fromMemberId)?.displayName} to ${memberMap.get(toMemberId)?.displayName}. Applied as: ${applied}. Awaiting confirmation.`,
+        },
+      });
+
+      return tx.financeSettlement.findUnique({
+        where: { settlementId: created.settlementId },
+        include: {
+          payments: {
+            select: {
+              paymentId: true,
+              financeMatterId: true,
+              fromMemberId: true,
+              toMemberId: true,
+              amount: true,
+            },
+          },
+        },
+      });
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Settle-up payment reported successfully. Awaiting confirmation from recipient.',
+      settlement: {
+        settlementId: settlement.settlementId,
+        currency: settlement.currency,
+        amount: parseFloat(settlement.amount),
+        fromMemberId: settlement.fromMemberId,
+        toMemberId: settlement.toMemberId,
+        isConfirmed: settlement.isConfirmed,
+        reportedAt: settlement.reportedAt,
+        payments: settlement.payments.map((p) => ({
+          ...p,
+          amount: parseFloat(p.amount),
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Record settle-up payment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to record settle-up payment',
+      error: error.message,
+    });
+  }
+}
+
 module.exports = {
   getFinanceMatters,
   createFinanceMatter,
@@ -2030,4 +3051,8 @@ module.exports = {
   confirmPayment,
   rejectPayment,
   cancelFinanceMatter,
+  getFinanceBalances,
+  getFinanceStatement,
+  getSettleUpPlan,
+  recordSettlement,
 };
@@ -8,6 +8,8 @@ const { prisma } = require('../config/database');
 const { emailService } = require('../services/email');
 const emailTemplates = require('../services/email/templates');
 const pushNotificationService = require('../services/pushNotification.service');
+const groupKeysService = require('../services/groupKeys.service');
+const { createApprovalRequest, notifyApprovalRequested, diffChanges } = require('../services/approval.service');
 
 /**
  * Generate icon letters from name or email
@@ -1702,6 +1704,12 @@ async function deleteGroup(req, res) {
       data: { isHidden: true },
     });
 
+    // Crypto-shred: without its data key the group's encrypted content is unreadable
+    const shredded = await groupKeysService.destroyGroupKeys(groupId);
+    if (shredded.remaining > 0) {
+      console.error(`[deleteGroup] ${shredded.remaining} items of group ${groupId} could not be moved off the master keys and were not shredded`);
+    }
+
     // Create approval record for audit trail (auto-approved)
     const approval = await prisma.approval.create({
       data: {
@@ -1737,7 +1745,7 @@ async function deleteGroup(req, res) {
         performedByName: membership.displayName,
         performedByEmail: membership.email,
         actionLocation: 'group_settings',
-        messageContent: `Deleted group "${group.name}" (auto-approved: only admin)`,
+        messageContent: `Deleted group "${group.name}" and destroyed its encryption key (auto-approved: only admin)`,
       },
     });
 
@@ -3241,6 +3249,18 @@ async function getGroupSettings(req, res) {
   }
 }
 
+/**
+ * Turn a settings field into a readable name, e.g. "Calendar Visible To Parents"
+ * @param {string} key - GroupSettings field
+ * @returns {string}
+ */
+function readableSettingName(key) {
+  return key
+    .replace(/([A-Z])/g, ' $1')
+    .replace(/^./, str => str.toUpperCase())
+    .trim();
+}
+
 /**
  * Update group settings (admin only)
  * PUT /groups/:groupId/settings
@@ -3426,7 +3446,7 @@ async function updateGroupSettings(req, res) {
     const features = ['messageGroups', 'calendar', 'finance', 'giftRegistry', 'secretSanta', 'itemRegistry', 'wiki', 'documents'];
     const roles = ['Parents', 'Caregivers', 'Children'];
 
-    const updatedData = { ...settingsData };
+    let updatedData = { ...settingsData };
 
     features.forEach(feature => {
       roles.forEach(role => {
@@ -3440,6 +3460,50 @@ async function updateGroupSettings(req, res) {
       });
     });
 
+    // Groups that require approval for settings changes put the rest of the change to an admin vote
+    let settingsApproval = null;
+    if (Object.keys(updatedData).length > 0) {
+      const currentSettings = await prisma.groupSettings.findUnique({
+        where: { groupId },
+      });
+
+      if (currentSettings?.settingsChangesRequireApproval) {
+        const labels = Object.fromEntries(Object.keys(updatedData).map(key => [key, readableSettingName(key)]));
+        const changes = diffChanges(currentSettings, updatedData, labels);
+
+        if (changes.length > 0) {
+          const { approval, passed } = await createApprovalRequest({
+            groupId,
+            membership,
+            approvalType: 'change_group_settings',
+            permissionField: 'autoApproveChangeGroupSettings',
+            relatedEntityType: 'group_settings',
+            relatedEntityId: groupId,
+            data: {
+              settings: Object.fromEntries(changes.map(change => [change.field, change.to])),
+              changes,
+            },
+          });
+
+          if (!passed) {
+            await notifyApprovalRequested({
+              groupId,
+              membership,
+              approval,
+              actionLocation: 'group_settings',
+              description: `change group settings: ${changes.map(change => change.label).join(', ')}`,
+            });
+
+            settingsApproval = {
+              approvalId: approval.approvalId,
+              changes: changes.map(change => change.label),
+            };
+            updatedData = {};
+          }
+        }
+      }
+    }
+
     // Update or create settings (excluding recording settings if approval was created)
     let settings;
     if (Object.keys(updatedData).length > 0) {
@@ -3462,12 +3526,7 @@ async function updateGroupSettings(req, res) {
     const changedSettings = [];
     Object.keys(updatedData).forEach(key => {
       if (key !== 'defaultCurrency' && key !== 'updatedAt') {
-        // Convert camelCase to readable format
-        const readable = key
-          .replace(/([A-Z])/g, ' $1')
-          .replace(/^./, str => str.toUpperCase())
-          .trim();
-        changedSettings.push(`${readable}: ${updatedData[key]}`);
+        changedSettings.push(`${readableSettingName(key)}: ${updatedData[key]}`);
       }
     });
 
@@ -3500,7 +3559,9 @@ async function updateGroupSettings(req, res) {
 
     // Build response message
     let responseMessage = 'Group settings updated successfully';
-    if (recordingApprovalCreated) {
+    if (settingsApproval) {
+      responseMessage = 'Settings changes in this group require >50% admin approval. They will apply once enough admins approve.';
+    } else if (recordingApprovalCreated) {
       responseMessage = 'Other settings updated. Recording setting changes require >50% admin approval. If you are the only admin or have been auto-approved by other admins, this will complete immediately.';
     }
 
@@ -3512,6 +3573,7 @@ async function updateGroupSettings(req, res) {
         type: 'change_recording_settings',
         changes: pendingRecordingChanges,
       } : null,
+      pendingSettingsApproval: settingsApproval,
     });
   } catch (error) {
     console.error('Update group settings error:', error);
@@ -3610,6 +3672,10 @@ async function getAdminPermissions(req, res) {
           canRemoveMembers: adminPermission?.autoApproveRemovePeople || false,
           canChangeRoles: adminPermission?.autoApproveChangeRoles || false,
           canChangeGroupSettings: adminPermission?.autoApproveChangeGroupSettings || false,
+          canCreateCalendarEvents: adminPermission?.autoApproveCalendarEntries || false,
+          canAssignChildrenToEvents: adminPermission?.autoApproveAssignChildrenToEvents || false,
+          canAssignRelationships: adminPermission?.autoApproveAssignRelationships || false,
+          canChangeRelationships: adminPermission?.autoApproveChangeRelationships || false,
         },
       };
     });
@@ -3642,6 +3708,10 @@ async function updateAdminPermissions(req, res) {
     const autoApproveRemovePeople = permissions.canRemoveMembers ?? false;
     const autoApproveChangeRoles = permissions.canChangeRoles ?? false;
     const autoApproveChangeGroupSettings = permissions.canChangeGroupSettings ?? false;
+    const autoApproveCalendarEntries = permissions.canCreateCalendarEvents ?? false;
+    const autoApproveAssignChildrenToEvents = permissions.canAssignChildrenToEvents ?? false;
+    const autoApproveAssignRelationships = permissions.canAssignRelationships ?? false;
+    const autoApproveChangeRelationships = permissions.canChangeRelationships ?? false;
 
     // Verify current user is an admin
     const grantingAdmin = await prisma.groupMember.findFirst({
@@ -3697,6 +3767,10 @@ async function updateAdminPermissions(req, res) {
         autoApproveRemovePeople,
         autoApproveChangeRoles,
         autoApproveChangeGroupSettings,
+        autoApproveCalendarEntries,
+        autoApproveAssignChildrenToEvents,
+        autoApproveAssignRelationships,
+        autoApproveChangeRelationships,
       },
       create: {
         groupId: groupId,
@@ -3706,6 +3780,10 @@ async function updateAdminPermissions(req, res) {
         autoApproveRemovePeople,
         autoApproveChangeRoles,
         autoApproveChangeGroupSettings,
+        autoApproveCalendarEntries,
+        autoApproveAssignChildrenToEvents,
+        autoApproveAssignRelationships,
+        autoApproveChangeRelationships,
       },
     });
 
@@ -7,6 +7,28 @@
 
 const { prisma } = require('../config/database');
 const { parseIcalString, parseIcalUrl, validateIcalUrl } = require('../utils/parseIcal');
+const recurrence = require('../utils/recurrence');
+
+/**
+ * Replace imported events that have an RRULE with their occurrences in a window
+ * Their EXDATEs and RECURRENCE-ID overrides are applied as exceptions.
+ *
+ * @param {Object[]} events - Imported calendar events
+ * @param {{start: Date, end: Date}} window - Expansion window
+ * @returns {Object[]} Events and occurrences
+ */
+function expandImportedEvents(events, window) {
+  const expanded = [];
+  for (const { exceptions = [], ...event } of events) {
+    const rule = recurrence.normalizeRule(event.recurrenceRule);
+    if (rule) {
+      expanded.push(...recurrence.expandEvent(event, rule, window, exceptions));
+    } else {
+      expanded.push(event);
+    }
+  }
+  return expanded;
+}
 
 /**
  * Get all imported calendars for a group with user preferences
@@ -232,6 +254,8 @@ async function importCalendar(req, res) {
             endTime: event.endTime,
             isAllDay: event.isAllDay,
             recurrenceRule: event.recurrenceRule,
+            timeZone: event.timeZone,
+            exceptions: event.exceptions,
           })),
         });
       }
@@ -503,6 +527,8 @@ async function syncCalendar(req, res) {
               endTime: event.endTime,
               isAllDay: event.isAllDay,
               recurrenceRule: event.recurrenceRule,
+              timeZone: event.timeZone,
+              exceptions: event.exceptions,
             })),
           });
         }
@@ -653,6 +679,9 @@ async function updatePreference(req, res) {
 /**
  * Get events from an imported calendar
  * GET /groups/:groupId/calendar/imported/:calendarId/events
+ *
+ * Events with a recurrence rule are expanded into their occurrences inside
+ * the startDate/endDate window.
  */
 async function getCalendarEvents(req, res) {
   try {
@@ -691,6 +720,7 @@ async function getCalendarEvents(req, res) {
     };
 
     // Add date filters if provided
+    const expansionWindow = recurrence.getExpansionWindow(startDate, endDate);
     if (startDate || endDate) {
       where.OR = [
         {
@@ -705,6 +735,11 @@ async function getCalendarEvents(req, res) {
             lte: endDate ? new Date(endDate) : undefined,
           },
         },
+        // Recurring events that started earlier can still occur in the window
+        {
+          recurrenceRule: { not: null },
+          startTime: { lte: expansionWindow.end },
+        },
       ];
     }
 
@@ -715,7 +750,8 @@ async function getCalendarEvents(req, res) {
 
     return res.status(200).json({
       success: true,
-      events,
+      events: expandImportedEvents(events, expansionWindow)
+        .sort((a, b) => new Date(a.startTime) - new Date(b.startTime)),
     });
   } catch (error) {
     console.error('Error getting calendar events:', error);
@@ -730,11 +766,15 @@ async function getCalendarEvents(req, res) {
 /**
  * Get all imported calendar events for a group (for calendar view)
  * GET /groups/:groupId/calendar/imported-events
+ *
+ * Recurring events are expanded into their occurrences inside the optional
+ * startDate/endDate window (defaults to up to one year ahead).
  */
 async function getAllImportedEvents(req, res) {
   try {
     const userId = req.user?.userId;
     const { groupId } = req.params;
+    const { startDate, endDate } = req.query;
 
     if (!userId) {
       return res.status(401).json({
@@ -782,7 +822,12 @@ async function getAllImportedEvents(req, res) {
     for (const calendar of calendars) {
       const pref = prefMap.get(calendar.importedCalendarId);
 
-      for (const event of calendar.events) {
+      const calendarEvents = expandImportedEvents(
+        calendar.events,
+        recurrence.getExpansionWindow(startDate, endDate)
+      );
+
+      for (const event of calendarEvents) {
         events.push({
           ...event,
           importedCalendarName: calendar.name,
@@ -809,6 +854,7 @@ async function getAllImportedEvents(req, res) {
 }
 
 module.exports = {
+  expandImportedEvents,
   getImportedCalendars,
   importCalendar,
   updateCalendar,
@@ -0,0 +1,209 @@
+/**
+ * Jobs Controller
+ *
+ * Admin view of the background jobs run by the job scheduler
+ * (services/jobScheduler.service.js): their state, run history, running a
+ * job now and pausing it. Support users only.
+ *
+ * Also runs due jobs on request, for deployments whose instances don't live
+ * long enough to poll for them. In Lambda the jobs are handed to the jobs
+ * function instead of running in the API function (services/jobWorker.service.js).
+ */
+
+const jobScheduler = require('../services/jobScheduler.service');
+const jobWorker = require('../services/jobWorker.service');
+
+/**
+ * Format a job for the admin view
+ * @param {Object} job - From jobScheduler.listJobs
+ * @returns {Object}
+ */
+function formatJob(job) {
+  return {
+    name: job.name,
+    description: job.description,
+    schedule: job.schedule,
+    enabled: job.enabled,
+    running: job.running,
+    runningOn: job.running ? job.lockedBy : null,
+    nextRunAt: job.nextRunAt,
+    runRequested: !!job.runRequestedAt,
+    lastRunAt: job.lastRunAt,
+    lastStatus: job.lastStatus,
+    lastError: job.lastError,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+  };
+}
+
+/**
+ * List all jobs
+ * GET /jobs
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listJobs(req, res) {
+  try {
+    const jobs = await jobScheduler.listJobs();
+
+    res.json({
+      success: true,
+      jobs: jobs.map(formatJob),
+    });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load jobs' });
+  }
+}
+
+/**
+ * Get the run history of a job, newest first
+ * GET /jobs/:name/runs
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getJobRuns(req, res) {
+  try {
+    const { name } = req.params;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const { runs, total } = await jobScheduler.getJobRuns(name, { page, limit });
+
+    res.json({
+      success: true,
+      runs,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.max(1, Math.ceil(total / limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Get job runs error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load job runs' });
+  }
+}
+
+/**
+ * Run a job as soon as possible
+ * POST /jobs/:name/run
+ *
+ * The next instance to poll runs it, even if the job is disabled.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function runJob(req, res) {
+  try {
+    const { name } = req.params;
+
+    const requested = await jobScheduler.requestRun(name);
+    if (!requested) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    console.log(`[JobScheduler] Run of ${name} requested by ${req.user.email}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'The job will run shortly',
+    });
+  } catch (error) {
+    console.error('Run job error:', error);
+    res.status(500).json({ success: false, error: 'Failed to run job' });
+  }
+}
+
+/**
+ * Enable or disable a job
+ * PUT /jobs/:name
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updateJob(req, res) {
+  try {
+    const { name } = req.params;
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'enabled must be true or false' });
+    }
+
+    const updated = await jobScheduler.setJobEnabled(name, enabled);
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    console.log(`[JobScheduler] ${name} ${enabled ? 'enabled' : 'disabled'} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: enabled ? 'Job enabled' : 'Job disabled',
+    });
+  } catch (error) {
+    console.error('Update job error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update job' });
+  }
+}
+
+/**
+ * Run the jobs that are due
+ * POST /jobs/run-due
+ *
+ * Protected by X-API-Key header (JOBS_API_KEY env var, or BILLING_API_KEY)
+ *
+ * In Lambda the API function is too short-lived for jobs, so each due job is
+ * dispatched to its own jobs function invocation and the response lists them.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function runDueJobs(req, res) {
+  try {
+    const apiKey = req.headers['x-api-key'];
+    const expectedKey = process.env.JOBS_API_KEY || process.env.BILLING_API_KEY;
+
+    if (expectedKey && apiKey !== expectedKey) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid API key',
+      });
+    }
+
+    if (process.env.AWS_LAMBDA_FUNCTION_NAME) {
+      const dispatched = await jobWorker.dispatchDueJobs();
+      return res.json({ success: true, dispatched });
+    }
+
+    const runs = await jobScheduler.runDueJobs();
+
+    res.json({
+      success: true,
+      runs: runs.map(run => ({
+        jobName: run.jobName,
+        status: run.status,
+        durationMs: run.durationMs,
+        error: run.error,
+      })),
+    });
+  } catch (error) {
+    console.error('Run due jobs error:', error);
+    res.status(500).json({
+      error: 'Failed to run due jobs',
+      message: error.message,
+    });
+  }
+}
+
+module.exports = {
+  listJobs,
+  getJobRuns,
+  runJob,
+  updateJob,
+  runDueJobs,
+};
@@ -10,6 +10,7 @@ const path = require('path');
 const fs = require('fs');
 const encryptionService = require('../services/encryption.service');
 const pdfService = require('../services/pdf.service');
+const transcriptService = require('../services/transcript.service');
 const { prisma } = require('../config/database');
 const pushNotificationService = require('../services/pushNotification.service');
 
@@ -436,6 +437,7 @@ async function downloadExport(req, res) {
  * @param {Date} [req.body.filters.dateTo] - End date filter
  * @param {string[]} [req.body.filters.actionTypes] - Array of action types
  * @param {string[]} [req.body.filters.userIds] - Array of group member IDs
+ * @param {boolean} [req.body.filters.includeTranscripts] - Add transcripts of calls in the date range
  * @param {Object} res - Express response
  */
 async function exportLogsAsPDF(req, res) {
@@ -538,6 +540,10 @@ async function exportLogsAsPDF(req, res) {
       userNames = users.map(u => u.displayName);
     }
 
+    const transcripts = filters.includeTranscripts
+      ? await transcriptService.getTranscriptsForExport(groupId, filters)
+      : [];
+
     // Generate PDF using the PDF service
     const pdfBuffer = pdfService.generateAuditLogPDF({
       groupName,
@@ -546,6 +552,7 @@ async function exportLogsAsPDF(req, res) {
         userNames,
       },
       logs,
+      transcripts,
       createdAt: new Date(),
     });
 
@@ -583,7 +590,7 @@ async function exportLogsAsPDF(req, res) {
         performedBy: groupMember.groupMemberId,
         performedByName: groupMember.displayName,
         performedByEmail: groupMember.email || 'N/A',
-        messageContent: `Exported ${logs.length} audit log entries to PDF`,
+        messageContent: `Exported ${logs.length} audit log entries to PDF${filters.includeTranscripts ? ` with ${transcripts.length} call transcript(s)` : ''}`,
         mediaLinks: [],
         logData: filters,
       },
@@ -7,6 +7,7 @@
 
 const { prisma } = require('../config/database');
 const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissions');
+const { MAX_EDIT_WINDOW_MINUTES, isValidEditWindow } = require('../utils/messageEditing');
 
 /**
  * Get all message groups for a group
@@ -509,7 +510,7 @@ async function updateMessageGroup(req, res) {
   try {
     const userId = req.user?.userId;
     const { groupId, messageGroupId } = req.params;
-    const { name, usersCanDeleteOwnMessages } = req.body;
+    const { name, usersCanDeleteOwnMessages, editWindowMinutes } = req.body;
 
     if (!userId) {
       return res.status(401).json({
@@ -519,10 +520,17 @@ async function updateMessageGroup(req, res) {
     }
 
     // At least one field must be provided
-    if (!name && usersCanDeleteOwnMessages === undefined) {
+    if (!name && usersCanDeleteOwnMessages === undefined && editWindowMinutes === undefined) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'At least one field (name or usersCanDeleteOwnMessages) is required',
+        message: 'At least one field (name, usersCanDeleteOwnMessages or editWindowMinutes) is required',
+      });
+    }
+
+    if (editWindowMinutes !== undefined && !isValidEditWindow(editWindowMinutes)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `editWindowMinutes must be a whole number of minutes from 0 (no editing) to ${MAX_EDIT_WINDOW_MINUTES}`,
       });
     }
 
@@ -581,6 +589,9 @@ async function updateMessageGroup(req, res) {
     if (usersCanDeleteOwnMessages !== undefined) {
       updateData.usersCanDeleteOwnMessages = usersCanDeleteOwnMessages;
     }
+    if (editWindowMinutes !== undefined) {
+      updateData.editWindowMinutes = editWindowMinutes;
+    }
 
     // Update message group
     const updatedMessageGroup = await prisma.messageGroup.update({
@@ -596,6 +607,11 @@ async function updateMessageGroup(req, res) {
     if (usersCanDeleteOwnMessages !== undefined) {
       changes.push(`users can delete own messages to ${usersCanDeleteOwnMessages ? 'enabled' : 'disabled'}`);
     }
+    if (editWindowMinutes !== undefined) {
+      changes.push(editWindowMinutes > 0
+        ? `message edit window to ${editWindowMinutes} minutes`
+        : 'message editing to disabled');
+    }
 
     await prisma.auditLog.create({
       data: {
@@ -2,14 +2,20 @@
  * Messages Controller
  *
  * Handles messaging operations within groups.
- * All message content is encrypted at rest using AES-256-GCM.
+ * All message content is encrypted at rest using AES-256-GCM with the
+ * group's data key (services/groupKeys.service.js).
  */
 
 const { prisma } = require('../config/database');
 const encryptionService = require('../services/encryption.service');
+const groupKeysService = require('../services/groupKeys.service');
 const storageService = require('../services/storage');
 const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissions');
-const pushNotificationService = require('../services/pushNotification.service');
+const realtimeService = require('../services/realtime.service');
+const searchIndexService = require('../services/searchIndex.service');
+const { checkCanEdit } = require('../utils/messageEditing');
+const messageSendService = require('../services/messageSend.service');
+const { REPLY_TO_SELECT, decryptContent, formatReplyQuote } = messageSendService;
 
 /**
  * Get messages for a group
@@ -147,7 +153,7 @@ async function getMessageGroupMessages(req, res) {
   try {
     const userId = req.user?.userId;
     const { groupId, messageGroupId } = req.params;
-    const { limit = 50, before } = req.query;
+    const { limit = 50, before, threadId } = req.query;
 
     if (!userId) {
       return res.status(401).json({
@@ -270,6 +276,15 @@ async function getMessageGroupMessages(req, res) {
             },
           },
         },
+        replyTo: {
+          select: REPLY_TO_SELECT,
+        },
+        _count: {
+          select: {
+            revisions: true,
+            threadMessages: groupMembership.role === 'admin' ? true : { where: { isHidden: false } },
+          },
+        },
         reactions: {
           select: {
             reactionId: true,
@@ -306,23 +321,29 @@ async function getMessageGroupMessages(req, res) {
       };
     }
 
+    // If 'threadId' provided, get just that thread (its first message and all replies)
+    if (threadId) {
+      queryOptions.where.OR = [
+        { messageId: threadId },
+        { threadRootId: threadId },
+      ];
+    }
+
     const messages = await prisma.message.findMany(queryOptions);
+    const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
 
     // Decrypt and merge User profile data with GroupMember data (prioritize User profile)
     const messagesWithLatestProfile = messages.map(message => {
       // Decrypt message content
-      let decryptedContent;
-      try {
-        decryptedContent = encryptionService.decrypt(message.content);
-      } catch (error) {
-        // If decryption fails (old unencrypted message or corrupted data), use original
-        console.warn(`Failed to decrypt message ${message.messageId}:`, error.message);
-        decryptedContent = message.content;
-      }
+      const decryptedContent = decryptContent(message, groupKeyring);
 
       return {
         ...message,
         content: decryptedContent, // Return decrypted content
+        replyTo: formatReplyQuote(message.replyTo, groupKeyring, groupMembership.role === 'admin'),
+        _count: undefined,
+        revisionCount: message._count.revisions, // Edits; history via GET .../revisions
+        replyCount: message._count.threadMessages, // Replies in the thread this message starts
         sender: {
           groupMemberId: message.sender.groupMemberId,
           displayName: message.sender.user?.displayName || message.sender.displayName,
@@ -414,7 +435,7 @@ async function sendMessageGroupMessage(req, res) {
   try {
     const userId = req.user?.userId;
     const { groupId, messageGroupId } = req.params;
-    const { content, mentions, mediaFiles: mediaFilesInput } = req.body;
+    const { content, mentions, mediaFiles, replyToId } = req.body;
 
     if (!userId) {
       return res.status(401).json({
@@ -423,14 +444,6 @@ async function sendMessageGroupMessage(req, res) {
       });
     }
 
-    // Validate content (allow empty if media files are provided)
-    if ((!content || content.trim().length === 0) && (!mediaFilesInput || mediaFilesInput.length === 0)) {
-      return res.status(400).json({
-        error: 'Validation Error',
-        message: 'Message must have content or media attachments',
-      });
-    }
-
     // Check if user is a member of this group
     const groupMembership = await prisma.groupMember.findUnique({
       where: {
@@ -448,263 +461,35 @@ async function sendMessageGroupMessage(req, res) {
       });
     }
 
-    // Supervisors cannot send messages (per appplan.md line 91)
-    if (groupMembership.role === 'supervisor') {
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: 'Supervisors cannot send messages',
-      });
-    }
-
-    // Check if group is in read-only mode (all admins unsubscribed)
-    const group = await prisma.group.findUnique({
-      where: { groupId: groupId },
-      select: { readOnlyUntil: true, hasActiveAdmin: true },
-    });
-
-    if (isGroupReadOnly(group)) {
-      return res.status(403).json(getReadOnlyErrorResponse(group));
-    }
-
-    // Check if user is a member of this message group
-    const messageGroupMembership = await prisma.messageGroupMember.findFirst({
-      where: {
-        messageGroupId: messageGroupId,
-        groupMemberId: groupMembership.groupMemberId,
-      },
+    const result = await messageSendService.sendMessageGroupMessage({
+      groupId,
+      messageGroupId,
+      membership: groupMembership,
+      content,
+      mentions,
+      mediaFiles,
+      replyToId,
     });
 
-    if (!messageGroupMembership) {
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: 'You are not a member of this message group',
-      });
-    }
-
-    // Validate mentions if provided
-    let validMentions = [];
-    if (mentions && Array.isArray(mentions) && mentions.length > 0) {
-      // Verify all mentioned members are in the message group
-      const messageGroupMembers = await prisma.messageGroupMember.findMany({
-        where: {
-          messageGroupId: messageGroupId,
-          groupMemberId: {
-            in: mentions,
-          },
-        },
-        select: {
-          groupMemberId: true,
-        },
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.errorType,
+        message: result.error,
+        ...(result.code && { code: result.code }),
       });
-
-      validMentions = messageGroupMembers.map(m => m.groupMemberId);
     }
 
-    // Validate media files if provided
-    let mediaFiles = [];
-    if (mediaFilesInput && Array.isArray(mediaFilesInput) && mediaFilesInput.length > 0) {
-      // Use media file info provided by client (includes mimeType, fileSizeBytes, durationMs)
-      mediaFiles = mediaFilesInput.map(file => ({
-        fileId: file.fileId,
-        mimeType: file.mimeType,
-        s3Key: file.fileId,
-        fileSizeBytes: file.fileSizeBytes || 0, // Use file size from upload response
-        durationMs: file.durationMs ? parseInt(file.durationMs, 10) : null, // Duration in ms for audio/video
-      }));
-    }
-
-    // Encrypt message content before storing (use space if content is empty)
-    const messageContent = content && content.trim().length > 0 ? content.trim() : ' ';
-    const encryptedContent = encryptionService.encrypt(messageContent);
-
-    // Create the message with media
-    const message = await prisma.message.create({
-      data: {
-        messageGroup: {
-          connect: {
-            messageGroupId: messageGroupId,
-          },
-        },
-        sender: {
-          connect: {
-            groupMemberId: groupMembership.groupMemberId,
-          },
-        },
-        content: encryptedContent, // Store encrypted content
-        mentions: validMentions,
-        media: {
-          create: mediaFiles.map(file => {
-            // Determine media type - default to 'image' for unknown types
-            let mediaType = 'image'; // Default to image
-            if (file.mimeType) {
-              if (file.mimeType.startsWith('audio/')) {
-                mediaType = 'audio';
-              } else if (file.mimeType.startsWith('video/')) {
-                mediaType = 'video';
-              } else if (file.mimeType.startsWith('image/')) {
-                mediaType = 'image';
-              }
-              // For other mimeTypes (e.g., application/octet-stream), keep default 'image'
-            }
-            return {
-              mediaType: mediaType,
-              mimeType: file.mimeType || null, // Full MIME type (e.g., audio/webm)
-              s3Key: file.s3Key,
-              url: file.fileId, // Store fileId as URL for retrieval
-              fileSizeBytes: file.fileSizeBytes,
-              durationMs: file.durationMs, // Duration for audio/video files
-            };
-          }),
-        },
-      },
-      include: {
-        sender: {
-          select: {
-            groupMemberId: true,
-            displayName: true,
-            iconLetters: true,
-            iconColor: true,
-            role: true,
-            user: {
-              select: {
-                displayName: true,
-                memberIcon: true,
-                iconColor: true,
-                profilePhotoFileId: true,
-              },
-            },
-          },
-        },
-        media: {
-          select: {
-            mediaId: true,
-            mediaType: true,
-            mimeType: true,
-            url: true,
-            thumbnailUrl: true,
-            fileSizeBytes: true,
-            durationMs: true,
-            uploadedAt: true,
-          },
-        },
-      },
-    });
-
-    // Decrypt message content before sending to client
-    const decryptedContent = encryptionService.decrypt(message.content);
-
-    // Merge User profile data with GroupMember data (prioritize User profile)
-    const messageWithLatestProfile = {
-      ...message,
-      content: decryptedContent, // Return decrypted content to client
-      sender: {
-        groupMemberId: message.sender.groupMemberId,
-        displayName: message.sender.user?.displayName || message.sender.displayName,
-        iconLetters: message.sender.user?.memberIcon || message.sender.iconLetters,
-        iconColor: message.sender.user?.iconColor || message.sender.iconColor,
-        profilePhotoUrl: message.sender.user?.profilePhotoFileId
-          ? `${process.env.API_BASE_URL || 'http://localhost:3000'}/files/${message.sender.user.profilePhotoFileId}`
-          : null,
-        role: message.sender.role,
-      },
-      // Convert BigInt fileSizeBytes to Number for JSON serialization
-      media: message.media?.map(m => ({
-        ...m,
-        fileSizeBytes: m.fileSizeBytes ? Number(m.fileSizeBytes) : 0,
-      })),
-    };
-
-    // Update lastMessageAt on the message group and get message group name for audit log
-    const messageGroup = await prisma.messageGroup.update({
+    // The composer's draft has now been sent
+    await prisma.messageDraft.deleteMany({
       where: {
         messageGroupId: messageGroupId,
-      },
-      data: {
-        lastMessageAt: new Date(),
-      },
-      select: {
-        name: true,
-      },
-    });
-
-    // Create audit log for sent message with complete details
-    let auditLogContent = `Message Group: "${messageGroup.name}" (ID: ${messageGroupId})\n`;
-    auditLogContent += `Message ID: ${message.messageId}\n`;
-    auditLogContent += `Content: "${messageContent}"\n`;
-
-    if (message.media && message.media.length > 0) {
-      auditLogContent += `Media Files (${message.media.length}):\n`;
-      message.media.forEach((media, index) => {
-        auditLogContent += `  ${index + 1}. ${media.mediaType} - Media ID: ${media.mediaId}\n`;
-      });
-    }
-
-    if (validMentions.length > 0) {
-      auditLogContent += `Mentions: ${validMentions.length} member(s)`;
-    }
-
-    await prisma.auditLog.create({
-      data: {
-        groupId: groupId,
-        action: 'send_message',
-        performedBy: groupMembership.groupMemberId,
-        performedByName: groupMembership.displayName,
-        performedByEmail: groupMembership.email || 'N/A',
-        actionLocation: 'messages',
-        messageContent: auditLogContent,
+        groupMemberId: groupMembership.groupMemberId,
       },
     });
 
-    // Send push notifications to other message group members
-    // Fire and forget - don't block the response
-    (async () => {
-      try {
-        // Get all members of this message group except the sender
-        const messageGroupMembers = await prisma.messageGroupMember.findMany({
-          where: {
-            messageGroupId: messageGroupId,
-            groupMemberId: { not: groupMembership.groupMemberId },
-          },
-          select: {
-            groupMemberId: true,
-          },
-        });
-
-        const memberIds = messageGroupMembers.map(m => m.groupMemberId);
-
-        if (memberIds.length > 0) {
-          // Get sender display name
-          const senderName = messageWithLatestProfile.sender.displayName;
-          const truncatedContent = messageContent.length > 100
-            ? messageContent.substring(0, 100) + '...'
-            : messageContent;
-
-          // Determine notification type based on mentions
-          const notificationType = validMentions.length > 0 ? 'mention' : 'message';
-
-          // Send to members who have notifications enabled for this type
-          await pushNotificationService.sendToGroupMembersWithPreferences(
-            memberIds,
-            notificationType,
-            `${senderName} in ${messageGroup.name}`,
-            truncatedContent,
-            {
-              type: 'new_message',
-              groupId: groupId,
-              messageGroupId: messageGroupId,
-              messageId: message.messageId,
-            }
-          );
-        }
-      } catch (notificationError) {
-        console.error('[Messages] Failed to send push notifications:', notificationError);
-        // Don't fail the request if notifications fail
-      }
-    })();
-
     res.status(201).json({
       success: true,
-      message: messageWithLatestProfile,
+      message: result.message,
     });
   } catch (error) {
     console.error('Send message group message error:', error);
@@ -816,9 +601,10 @@ async function markMessageGroupAsRead(req, res) {
       });
 
       // Create individual audit log for each message read
+      const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
       for (const msg of unreadMessages) {
         try {
-          const decryptedContent = encryptionService.decrypt(msg.content);
+          const decryptedContent = encryptionService.decrypt(msg.content, groupKeyring);
 
           let auditLogContent = `Message Group: "${messageGroup?.name || 'Unknown'}" (ID: ${messageGroupId})\n`;
           auditLogContent += `Message ID: ${msg.messageId}\n`;
@@ -858,6 +644,44 @@ async function markMessageGroupAsRead(req, res) {
       }
     }
 
+    // Let senders update their read indicators without polling
+    if (unreadMessages.length > 0) {
+      const reader = await prisma.groupMember.findUnique({
+        where: { groupMemberId: groupMembership.groupMemberId },
+        select: {
+          displayName: true,
+          iconLetters: true,
+          iconColor: true,
+          user: {
+            select: {
+              displayName: true,
+              memberIcon: true,
+              iconColor: true,
+              profilePhotoFileId: true,
+            },
+          },
+        },
+      });
+
+      realtimeService.publish(
+        realtimeService.messageGroupTopic(messageGroupId),
+        realtimeService.EVENTS.MESSAGES_READ,
+        {
+          messageIds: unreadMessages.map(msg => msg.messageId),
+          receipt: {
+            groupMemberId: groupMembership.groupMemberId,
+            readAt: now,
+            displayName: reader.user?.displayName || reader.displayName,
+            iconLetters: reader.user?.memberIcon || reader.iconLetters,
+            iconColor: reader.user?.iconColor || reader.iconColor,
+            profilePhotoUrl: reader.user?.profilePhotoFileId
+              ? `${process.env.API_BASE_URL || 'http://localhost:3000'}/files/${reader.user.profilePhotoFileId}`
+              : null,
+          },
+        }
+      );
+    }
+
     // Update lastReadAt for this message group member
     await prisma.messageGroupMember.update({
       where: {
@@ -990,6 +814,12 @@ async function hideMessage(req, res) {
       },
     });
 
+    realtimeService.publish(
+      realtimeService.messageGroupTopic(messageGroupId),
+      realtimeService.EVENTS.MESSAGE_HIDDEN,
+      { messageId, hiddenBy: groupMembership.groupMemberId }
+    );
+
     res.status(200).json({
       success: true,
       message: 'Message hidden successfully',
@@ -1093,6 +923,12 @@ async function unhideMessage(req, res) {
       },
     });
 
+    realtimeService.publish(
+      realtimeService.messageGroupTopic(messageGroupId),
+      realtimeService.EVENTS.MESSAGE_UNHIDDEN,
+      { messageId }
+    );
+
     res.status(200).json({
       success: true,
       message: 'Message unhidden successfully',
@@ -1106,6 +942,300 @@ async function unhideMessage(req, res) {
   }
 }
 
+/**
+ * Edit a message (sender only, within the message group's edit window)
+ * PUT /groups/:groupId/message-groups/:messageGroupId/messages/:messageId
+ *
+ * The replaced content is kept as an encrypted MessageRevision.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function editMessage(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId, messageGroupId, messageId } = req.params;
+    const { content } = req.body;
+
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'User not authenticated',
+      });
+    }
+
+    if (typeof content !== 'string') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'content is required',
+      });
+    }
+
+    // Check if user is a member of this group
+    const groupMembership = await prisma.groupMember.findUnique({
+      where: {
+        groupId_userId: {
+          groupId: groupId,
+          userId: userId,
+        },
+      },
+    });
+
+    if (!groupMembership) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You are not a member of this group',
+      });
+    }
+
+    // Check if group is in read-only mode (all admins unsubscribed)
+    const group = await prisma.group.findUnique({
+      where: { groupId: groupId },
+      select: { readOnlyUntil: true, hasActiveAdmin: true },
+    });
+
+    if (isGroupReadOnly(group)) {
+      return res.status(403).json(getReadOnlyErrorResponse(group));
+    }
+
+    // Get the message
+    const message = await prisma.message.findUnique({
+      where: {
+        messageId: messageId,
+      },
+      include: {
+        messageGroup: true,
+        _count: {
+          select: { media: true, revisions: true },
+        },
+      },
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Message not found',
+      });
+    }
+
+    // Check if message belongs to this message group
+    if (message.messageGroupId !== messageGroupId) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Message does not belong to this message group',
+      });
+    }
+
+    const editCheck = checkCanEdit(message, groupMembership.groupMemberId, message.messageGroup.editWindowMinutes);
+    if (!editCheck.allowed) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: editCheck.reason,
+      });
+    }
+
+    // Same rule as sending: text may only be empty when the message has media
+    const newContent = content.trim().length > 0 ? content.trim() : ' ';
+    if (newContent === ' ' && message._count.media === 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Message must have content or media attachments',
+      });
+    }
+
+    const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
+    const previousContent = encryptionService.decrypt(message.content, groupKeyring);
+
+    if (previousContent === newContent) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Message content is unchanged',
+      });
+    }
+
+    // Keep the replaced content (still encrypted) and store the new content
+    const editedAt = new Date();
+    const [, updatedMessage] = await prisma.$transaction([
+      prisma.messageRevision.create({
+        data: {
+          messageId: messageId,
+          revisionNumber: message._count.revisions + 1,
+          content: message.content,
+          createdAt: message.editedAt || message.createdAt,
+          replacedAt: editedAt,
+        },
+      }),
+      prisma.message.update({
+        where: { messageId: messageId },
+        data: {
+          content: encryptionService.encrypt(newContent, groupKeyring),
+          editedAt: editedAt,
+        },
+      }),
+    ]);
+
+    // Re-index the message with its new text
+    searchIndexService.queueIndexEntity({
+      groupId: groupId,
+      entityType: searchIndexService.ENTITY_TYPES.MESSAGE,
+      entityId: messageId,
+      scopeId: messageGroupId,
+      texts: [newContent],
+    });
+
+    // Audit log keeps both versions, like send_message keeps the original
+    let auditLogContent = `Message Group: "${message.messageGroup.name}" (ID: ${messageGroupId})\n`;
+    auditLogContent += `Message ID: ${messageId}\n`;
+    auditLogContent += `Edit: ${message._count.revisions + 1}\n`;
+    auditLogContent += `Previous content: "${previousContent}"\n`;
+    auditLogContent += `New content: "${newContent}"`;
+
+    await prisma.auditLog.create({
+      data: {
+        groupId: groupId,
+        action: 'edit_message',
+        performedBy: groupMembership.groupMemberId,
+        performedByName: groupMembership.displayName,
+        performedByEmail: groupMembership.email || 'N/A',
+        actionLocation: 'messages',
+        messageContent: auditLogContent,
+      },
+    });
+
+    const editedMessage = {
+      messageId: messageId,
+      content: newContent,
+      editedAt: updatedMessage.editedAt,
+      revisionCount: message._count.revisions + 1,
+    };
+
+    realtimeService.publish(
+      realtimeService.messageGroupTopic(messageGroupId),
+      realtimeService.EVENTS.MESSAGE_EDITED,
+      { message: editedMessage }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: editedMessage,
+    });
+  } catch (error) {
+    console.error('Edit message error:', error);
+    res.status(500).json({
+      error: 'Failed to edit message',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Get a message's edit history, oldest first, ending with the current text
+ * GET /groups/:groupId/message-groups/:messageGroupId/messages/:messageId/revisions
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getMessageRevisions(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId, messageGroupId, messageId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'User not authenticated',
+      });
+    }
+
+    // Check if user is a member of this group
+    const groupMembership = await prisma.groupMember.findUnique({
+      where: {
+        groupId_userId: {
+          groupId: groupId,
+          userId: userId,
+        },
+      },
+    });
+
+    if (!groupMembership) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You are not a member of this group',
+      });
+    }
+
+    // Same access as reading the messages: message group members, or any admin
+    const messageGroupMembership = await prisma.messageGroupMember.findFirst({
+      where: {
+        messageGroupId: messageGroupId,
+        groupMemberId: groupMembership.groupMemberId,
+      },
+    });
+
+    if (!messageGroupMembership && groupMembership.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You are not a member of this message group',
+      });
+    }
+
+    const message = await prisma.message.findUnique({
+      where: { messageId: messageId },
+      include: {
+        revisions: {
+          orderBy: { revisionNumber: 'asc' },
+        },
+      },
+    });
+
+    // Hidden messages (and their history) are only visible to admins
+    if (!message || message.messageGroupId !== messageGroupId ||
+        (message.isHidden && groupMembership.role !== 'admin')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Message not found',
+      });
+    }
+
+    const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
+    const decryptRevision = (encrypted) => {
+      try {
+        return encryptionService.decrypt(encrypted, groupKeyring);
+      } catch (error) {
+        console.warn(`Failed to decrypt revision of message ${messageId}:`, error.message);
+        return encrypted;
+      }
+    };
+
+    const revisions = message.revisions.map(revision => ({
+      revisionNumber: revision.revisionNumber,
+      content: decryptRevision(revision.content),
+      createdAt: revision.createdAt,
+      replacedAt: revision.replacedAt,
+    }));
+
+    revisions.push({
+      revisionNumber: message.revisions.length + 1,
+      content: decryptRevision(message.content),
+      createdAt: message.editedAt || message.createdAt,
+      replacedAt: null,
+      isCurrent: true,
+    });
+
+    res.status(200).json({
+      success: true,
+      messageId: messageId,
+      revisions: revisions,
+    });
+  } catch (error) {
+    console.error('Get message revisions error:', error);
+    res.status(500).json({
+      error: 'Failed to get message revisions',
+      message: error.message,
+    });
+  }
+}
+
 /**
  * Add a reaction to a message
  * POST /groups/:groupId/message-groups/:messageGroupId/messages/:messageId/reactions
@@ -1227,6 +1357,12 @@ async function addReaction(req, res) {
       },
     });
 
+    realtimeService.publish(
+      realtimeService.messageGroupTopic(messageGroupId),
+      realtimeService.EVENTS.REACTION_ADDED,
+      { messageId, reaction: formattedReaction }
+    );
+
     res.status(201).json({
       success: true,
       reaction: formattedReaction,
@@ -1291,6 +1427,12 @@ async function removeReaction(req, res) {
       },
     });
 
+    realtimeService.publish(
+      realtimeService.messageGroupTopic(messageGroupId),
+      realtimeService.EVENTS.REACTION_REMOVED,
+      { messageId, emoji: decodedEmoji, reactorId: groupMembership.groupMemberId }
+    );
+
     res.status(200).json({
       success: true,
       message: 'Reaction removed successfully',
@@ -1393,6 +1535,8 @@ module.exports = {
   markMessageGroupAsRead,
   hideMessage,
   unhideMessage,
+  editMessage,
+  getMessageRevisions,
   addReaction,
   removeReaction,
   getReactions,
@@ -0,0 +1,222 @@
+/**
+ * Parenting Time Controller
+ *
+ * Custody time-share per child and responsible party over a date range, as
+ * JSON for the calendar dashboard or as a PDF report (co-parents are often
+ * asked for these figures by courts and mediators).
+ *
+ * Figures come from child responsibility events with the calendar's layering
+ * applied, the same rule detectResponsibilityOverlaps reports on: where events
+ * overlap, the later-created one counts.
+ */
+
+const { prisma } = require('../config/database');
+const pdfService = require('../services/pdf.service');
+const { getResponsibilityLayers, resolveTimelines } = require('../services/responsibilityTimeline.service');
+const {
+  isValidTimeZone,
+  parseReportDate,
+  formatReportDate,
+  computeParentingTime,
+} = require('../utils/parentingTime');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range a report can cover (recurring events expand per occurrence)
+const MAX_RANGE_DAYS = 2 * 366;
+
+/**
+ * Get parenting time for a date range
+ * GET /groups/:groupId/calendar/parenting-time?from=&to=&childIds=&timeZone=&format=json|pdf
+ *
+ * from and to are required; plain dates (YYYY-MM-DD) are days in timeZone
+ * (default UTC), which is also used to count overnights. childIds is a comma
+ * separated list and defaults to every child in the group. PDF downloads are
+ * recorded in the audit log.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getParentingTime(req, res) {
+  try {
+    const { groupId } = req.params;
+    const format = (req.query.format || 'json').toLowerCase();
+    const timeZone = req.query.timeZone || 'UTC';
+
+    if (!['json', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json or pdf',
+      });
+    }
+
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'timeZone must be an IANA time zone, e.g. Australia/Sydney',
+      });
+    }
+
+    const from = parseReportDate(req.query.from, timeZone, false);
+    const to = parseReportDate(req.query.to, timeZone, true);
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: 'A date range is required. Use ISO dates, e.g. from=2026-01-01&to=2026-06-30',
+      });
+    }
+
+    if (from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'The start of the date range must be before the end',
+      });
+    }
+
+    if (to.getTime() - from.getTime() > MAX_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        message: `The date range cannot be longer than ${MAX_RANGE_DAYS} days`,
+      });
+    }
+
+    const membership = await prisma.groupMember.findUnique({
+      where: {
+        groupId_userId: {
+          groupId: groupId,
+          userId: req.user.userId,
+        },
+      },
+    });
+
+    if (!membership || !membership.isRegistered) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this group',
+      });
+    }
+
+    // Same visibility as the calendar itself
+    if (membership.role === 'supervisor') {
+      return res.status(403).json({
+        success: false,
+        message: 'Supervisors do not have access to the calendar',
+      });
+    }
+
+    if (membership.role === 'admin') {
+      const groupSettings = await prisma.groupSettings.findUnique({
+        where: { groupId },
+        select: { calendarVisibleToAdmins: true },
+      });
+      if (groupSettings && !groupSettings.calendarVisibleToAdmins) {
+        return res.status(403).json({
+          success: false,
+          message: 'Calendar is not visible to admins in this group',
+        });
+      }
+    }
+
+    const requestedChildIds = req.query.childIds
+      ? req.query.childIds.split(',').map(id => id.trim()).filter(Boolean)
+      : null;
+
+    const children = await prisma.groupMember.findMany({
+      where: {
+        groupId: groupId,
+        role: 'child',
+        ...(requestedChildIds && { groupMemberId: { in: requestedChildIds } }),
+      },
+      select: {
+        groupMemberId: true,
+        displayName: true,
+        iconColor: true,
+        user: { select: { displayName: true, iconColor: true } },
+      },
+      orderBy: { displayName: 'asc' },
+    });
+
+    if (requestedChildIds && children.length !== new Set(requestedChildIds).size) {
+      return res.status(400).json({
+        success: false,
+        message: 'childIds must be children in this group',
+      });
+    }
+
+    const window = { start: from, end: to };
+
+    // Resolve a day past the end so the last night of the range is known
+    const resolutionWindow = { start: from, end: new Date(to.getTime() + DAY_MS) };
+    const childIds = children.map(child => child.groupMemberId);
+    const layersByChild = await getResponsibilityLayers(groupId, childIds, resolutionWindow);
+
+    const report = computeParentingTime({
+      timelines: resolveTimelines(layersByChild, resolutionWindow),
+      window,
+      timeZone,
+    });
+
+    const childrenById = new Map(children.map(child => [child.groupMemberId, child]));
+    report.children = report.children.map(child => {
+      const member = childrenById.get(child.childId);
+      return {
+        ...child,
+        name: member.user?.displayName || member.displayName,
+        color: member.user?.iconColor || member.iconColor,
+      };
+    });
+
+    if (format === 'json') {
+      return res.status(200).json({
+        success: true,
+        report,
+      });
+    }
+
+    const group = await prisma.group.findUnique({
+      where: { groupId: groupId },
+      select: { name: true },
+    });
+
+    // The range's first and last days (to is exclusive)
+    const firstDay = formatReportDate(from, timeZone);
+    const lastDay = formatReportDate(new Date(to.getTime() - 1), timeZone);
+
+    await prisma.auditLog.create({
+      data: {
+        groupId: groupId,
+        action: 'export_parenting_time',
+        performedBy: membership.groupMemberId,
+        performedByName: membership.displayName,
+        performedByEmail: membership.email || 'N/A',
+        actionLocation: 'calendar',
+        messageContent: `Exported parenting time report (PDF) for ${firstDay} to ${lastDay} covering ${report.children.length} child(ren)`,
+      },
+    });
+
+    const pdfBuffer = pdfService.generateParentingTimePDF({
+      groupName: group.name,
+      report,
+      createdAt: new Date(),
+    });
+
+    const fileName = `ParentingTime_${group.name.replace(/[^a-zA-Z0-9]/g, '_')}_${firstDay}_${lastDay}.pdf`;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    return res.status(200).send(pdfBuffer);
+  } catch (err) {
+    console.error('Get parenting time error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get parenting time',
+      error: err.message,
+    });
+  }
+}
+
+module.exports = {
+  getParentingTime,
+};
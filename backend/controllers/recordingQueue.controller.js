@@ -26,11 +26,11 @@ async function getStatus(req, res) {
       });
     }
 
-    const status = recordingQueue.getQueueStatus();
+    const status = await recordingQueue.getQueueStatus();
 
     // Check if user is already in queue
-    const videoQueueEntry = recordingQueue.getQueueEntryByUser(userId, 'video');
-    const phoneQueueEntry = recordingQueue.getQueueEntryByUser(userId, 'phone');
+    const videoQueueEntry = await recordingQueue.getQueueEntryByUser(userId, 'video');
+    const phoneQueueEntry = await recordingQueue.getQueueEntryByUser(userId, 'phone');
 
     return res.json({
       success: true,
@@ -102,7 +102,7 @@ async function joinQueue(req, res) {
     }
 
     // Check if queue is needed
-    const status = recordingQueue.getQueueStatus();
+    const status = await recordingQueue.getQueueStatus();
     if (!status.isAtCapacity) {
       // No queue needed, can proceed directly
       return res.json({
@@ -160,9 +160,9 @@ async function leaveQueue(req, res) {
     let result;
 
     if (queueId) {
-      result = recordingQueue.leaveQueue(queueId);
+      result = await recordingQueue.leaveQueue(queueId, userId);
     } else if (callType) {
-      result = recordingQueue.leaveQueueByUser(userId, callType);
+      result = await recordingQueue.leaveQueueByUser(userId, callType);
     } else {
       return res.status(400).json({
         success: false,
@@ -200,7 +200,7 @@ async function getPosition(req, res) {
       });
     }
 
-    const position = recordingQueue.getQueuePosition(queueId);
+    const position = await recordingQueue.getQueuePosition(queueId, userId);
 
     if (!position) {
       return res.status(404).json({
@@ -226,6 +226,9 @@ async function getPosition(req, res) {
 /**
  * Check if it's user's turn
  * GET /recording-queue/check-turn/:queueId
+ *
+ * When it is, a recording slot is held for the user while they start the call.
+ * Polling this also keeps the user's place in the queue.
  */
 async function checkTurn(req, res) {
   try {
@@ -239,7 +242,15 @@ async function checkTurn(req, res) {
       });
     }
 
-    const turnStatus = recordingQueue.checkTurn(queueId);
+    const turnStatus = await recordingQueue.checkTurn(queueId, userId);
+
+    if (turnStatus.error) {
+      // Timed out, left, or not this user's entry
+      return res.status(404).json({
+        success: false,
+        message: 'Queue entry not found',
+      });
+    }
 
     return res.json({
       success: true,
@@ -286,7 +297,7 @@ async function getAdminInfo(req, res) {
       });
     }
 
-    const info = recordingQueue.getFullQueueInfo();
+    const info = await recordingQueue.getFullQueueInfo();
 
     return res.json({
       success: true,
@@ -0,0 +1,750 @@
+/**
+ * Recurring Finance Controller
+ *
+ * Manages recurring finance matter templates (child support, allowances,
+ * subscriptions). jobs/generateRecurringFinanceMatters creates a finance
+ * matter from each active template every period.
+ *
+ * Editing a template only changes the periods generated afterwards; finance
+ * matters that already exist are left as they are. Pausing skips the periods
+ * that start while paused, and ending a series stops it permanently.
+ */
+
+const { prisma } = require('../config/database');
+const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissions');
+const {
+  normalizeSchedule,
+  getDuePeriods,
+  getNextPeriodStart,
+} = require('../utils/recurringFinance');
+
+// Leaves room for the period suffix added to generated matter names
+const MAX_NAME_LENGTH = 200;
+
+// GroupSettings fields that control finance visibility and creation for each role
+const FINANCE_VISIBILITY_SETTINGS = {
+  admin: 'financeVisibleToAdmins',
+  parent: 'financeVisibleToParents',
+  adult: 'financeVisibleToAdults',
+  caregiver: 'financeVisibleToCaregivers',
+  child: 'financeVisibleToChildren',
+};
+
+const FINANCE_CREATION_SETTINGS = {
+  admin: 'financeCreatableByAdmins',
+  parent: 'financeCreatableByParents',
+  adult: 'financeCreatableByAdults',
+  caregiver: 'financeCreatableByCaregivers',
+  child: 'financeCreatableByChildren',
+};
+
+// Relations returned with every template
+const TEMPLATE_INCLUDE = {
+  members: {
+    include: {
+      groupMember: {
+        select: {
+          groupMemberId: true,
+          displayName: true,
+          iconLetters: true,
+          iconColor: true,
+          user: {
+            select: {
+              displayName: true,
+              memberIcon: true,
+              iconColor: true,
+            },
+          },
+        },
+      },
+    },
+  },
+  creator: {
+    select: {
+      groupMemberId: true,
+      displayName: true,
+    },
+  },
+};
+
+/**
+ * Load the current member and check they can see finance in this group
+ * Sends the error response itself and returns null when access is denied.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<{groupMembership: Object, groupSettings: Object|null}|null>}
+ */
+async function getFinanceAccess(req, res) {
+  const { groupId } = req.params;
+
+  const groupMembership = await prisma.groupMember.findFirst({
+    where: {
+      groupId: groupId,
+      userId: req.user.userId,
+    },
+  });
+
+  if (!groupMembership) {
+    res.status(403).json({
+      success: false,
+      message: 'You are not a member of this group',
+    });
+    return null;
+  }
+
+  const groupSettings = await prisma.groupSettings.findUnique({
+    where: { groupId: groupId },
+  });
+
+  const visibilityField = FINANCE_VISIBILITY_SETTINGS[groupMembership.role];
+  if (!visibilityField || !groupSettings?.[visibilityField]) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have permission to view finance matters',
+    });
+    return null;
+  }
+
+  return { groupMembership, groupSettings };
+}
+
+/**
+ * Load a template of this group for a change by its creator or an admin
+ * Sends the error response itself and returns null when not allowed.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} groupMembership - Current GroupMember
+ * @returns {Promise<Object|null>} RecurringFinanceMatter
+ */
+async function getTemplateForChange(req, res, groupMembership) {
+  const { groupId, recurringFinanceMatterId } = req.params;
+
+  const template = await prisma.recurringFinanceMatter.findUnique({
+    where: { recurringFinanceMatterId: recurringFinanceMatterId },
+  });
+
+  if (!template || template.groupId !== groupId) {
+    res.status(404).json({
+      success: false,
+      message: 'Recurring finance matter not found',
+    });
+    return null;
+  }
+
+  const isAdmin = groupMembership.role === 'admin';
+  const isCreator = template.createdBy === groupMembership.groupMemberId;
+  if (!isAdmin && !isCreator) {
+    res.status(403).json({
+      success: false,
+      message: 'Only admins or the creator can change a recurring finance matter',
+    });
+    return null;
+  }
+
+  if (template.endedAt) {
+    res.status(400).json({
+      success: false,
+      message: 'This recurring finance matter has ended',
+    });
+    return null;
+  }
+
+  return template;
+}
+
+/**
+ * Validate template fields from a request body
+ *
+ * @param {Object} body - Request body
+ * @param {boolean} isUpdate - Only validate the fields that are present
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTemplateInput(body, isUpdate) {
+  const { name, totalAmount, currency, recurrencePattern, startDate, endDate, dueAfterDays, members } = body;
+
+  if (!isUpdate && (!name || !totalAmount || !currency || !recurrencePattern || !startDate || !members || members.length === 0)) {
+    return 'Missing required fields: name, totalAmount, currency, recurrencePattern, startDate, and at least one member';
+  }
+
+  if (name !== undefined && (!name.trim() || name.trim().length > MAX_NAME_LENGTH)) {
+    return `Name must be between 1 and ${MAX_NAME_LENGTH} characters`;
+  }
+
+  if (currency !== undefined && (typeof currency !== 'string' || currency.length !== 3)) {
+    return 'Currency must be a 3-letter code (e.g., USD, EUR, GBP)';
+  }
+
+  if (totalAmount !== undefined && !(parseFloat(totalAmount) > 0)) {
+    return 'Total amount must be greater than 0';
+  }
+
+  if (recurrencePattern !== undefined && !normalizeSchedule(recurrencePattern)) {
+    return 'Recurrence pattern must be an RRULE (e.g. FREQ=MONTHLY) or daily, weekly, monthly or yearly';
+  }
+
+  if (startDate !== undefined && isNaN(new Date(startDate).getTime())) {
+    return 'Start date is invalid';
+  }
+
+  if (endDate && isNaN(new Date(endDate).getTime())) {
+    return 'End date is invalid';
+  }
+
+  if (dueAfterDays !== undefined && dueAfterDays !== null &&
+    (!Number.isInteger(dueAfterDays) || dueAfterDays < 0 || dueAfterDays > 365)) {
+    return 'Due after days must be a whole number between 0 and 365';
+  }
+
+  if (members !== undefined) {
+    if (!Array.isArray(members) || members.length === 0) {
+      return 'At least one member is required';
+    }
+
+    // Same allocation rule as one-off finance matters
+    const totalPercentage = members.reduce((sum, m) => sum + parseFloat(m.expectedPercentage || 0), 0);
+    if (totalPercentage > 100) {
+      return `Member allocations cannot exceed 100% (currently ${totalPercentage.toFixed(2)}%)`;
+    }
+    if (totalPercentage < 99) {
+      return `Member allocations must be at least 99% (currently ${totalPercentage.toFixed(2)}%)`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check that template members belong to the group and can see finance
+ *
+ * @param {string} groupId
+ * @param {Object[]} members - [{ groupMemberId, expectedPercentage }]
+ * @param {Object} groupSettings - GroupSettings
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+async function validateMembers(groupId, members, groupSettings) {
+  const memberIds = members.map((m) => m.groupMemberId);
+  const existingMembers = await prisma.groupMember.findMany({
+    where: {
+      groupId: groupId,
+      groupMemberId: { in: memberIds },
+    },
+  });
+
+  if (existingMembers.length !== new Set(memberIds).size || existingMembers.length !== memberIds.length) {
+    return 'One or more member IDs are invalid or not in this group';
+  }
+
+  // Admins and supervisors always have (view) access; other roles follow settings
+  const withoutAccess = existingMembers.filter((member) => {
+    if (member.role === 'admin' || member.role === 'supervisor') {
+      return false;
+    }
+    const field = FINANCE_VISIBILITY_SETTINGS[member.role];
+    return !field || groupSettings?.[field] !== true;
+  });
+
+  if (withoutAccess.length > 0) {
+    return `The following members cannot be added because they don't have permission to view finance: ${withoutAccess.map((m) => m.displayName).join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Format a template for API responses
+ * @param {Object} template - RecurringFinanceMatter with TEMPLATE_INCLUDE
+ * @returns {Object}
+ */
+function formatTemplate(template) {
+  let status = 'active';
+  if (template.endedAt) {
+    status = 'ended';
+  } else if (template.isPaused) {
+    status = 'paused';
+  }
+
+  return {
+    ...template,
+    totalAmount: parseFloat(template.totalAmount),
+    status,
+    nextPeriodStart: template.isPaused ? null : getNextPeriodStart(template),
+    members: template.members.map((member) => ({
+      groupMemberId: member.groupMemberId,
+      expectedPercentage: parseFloat(member.expectedPercentage),
+      groupMember: {
+        groupMemberId: member.groupMember.groupMemberId,
+        displayName: member.groupMember.user?.displayName || member.groupMember.displayName,
+        iconLetters: member.groupMember.user?.memberIcon || member.groupMember.iconLetters,
+        iconColor: member.groupMember.user?.iconColor || member.groupMember.iconColor,
+      },
+    })),
+  };
+}
+
+/**
+ * Write an audit log entry for a template change
+ */
+async function logTemplateAction(tx, groupMembership, groupId, action, messageContent) {
+  await tx.auditLog.create({
+    data: {
+      groupId: groupId,
+      action: action,
+      performedBy: groupMembership.groupMemberId,
+      performedByName: groupMembership.displayName,
+      performedByEmail: groupMembership.email || 'N/A',
+      actionLocation: 'finance',
+      messageContent: messageContent,
+    },
+  });
+}
+
+/**
+ * List recurring finance matters
+ * GET /groups/:groupId/finance/recurring
+ *
+ * Admins see every template; other members see templates they are part of
+ * or created.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getRecurringFinanceMatters(req, res) {
+  try {
+    const { groupId } = req.params;
+    const access = await getFinanceAccess(req, res);
+    if (!access) {
+      return;
+    }
+    const { groupMembership } = access;
+
+    const where = groupMembership.role === 'admin'
+      ? { groupId: groupId }
+      : {
+        groupId: groupId,
+        OR: [
+          { createdBy: groupMembership.groupMemberId },
+          { members: { some: { groupMemberId: groupMembership.groupMemberId } } },
+        ],
+      };
+
+    const templates = await prisma.recurringFinanceMatter.findMany({
+      where,
+      include: TEMPLATE_INCLUDE,
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return res.status(200).json({
+      success: true,
+      recurringFinanceMatters: templates.map(formatTemplate),
+    });
+  } catch (error) {
+    console.error('Get recurring finance matters error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get recurring finance matters',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Create a recurring finance matter
+ * POST /groups/:groupId/finance/recurring
+ *
+ * Body: { name, description?, totalAmount, currency, recurrencePattern,
+ *         startDate, endDate?, dueAfterDays?, members: [{ groupMemberId, expectedPercentage }] }
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createRecurringFinanceMatter(req, res) {
+  try {
+    const { groupId } = req.params;
+    const { name, description, totalAmount, currency, recurrencePattern, startDate, endDate, dueAfterDays, members } = req.body;
+
+    const validationError = validateTemplateInput(req.body, false);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const access = await getFinanceAccess(req, res);
+    if (!access) {
+      return;
+    }
+    const { groupMembership, groupSettings } = access;
+
+    const creationField = FINANCE_CREATION_SETTINGS[groupMembership.role];
+    if (!creationField || !groupSettings?.[creationField]) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to create finance matters',
+      });
+    }
+
+    const group = await prisma.group.findUnique({
+      where: { groupId: groupId },
+      select: { name: true, readOnlyUntil: true, hasActiveAdmin: true },
+    });
+
+    if (isGroupReadOnly(group)) {
+      return res.status(403).json(getReadOnlyErrorResponse(group));
+    }
+
+    const memberError = await validateMembers(groupId, members, groupSettings);
+    if (memberError) {
+      return res.status(400).json({
+        success: false,
+        message: memberError,
+      });
+    }
+
+    const template = await prisma.$transaction(async (tx) => {
+      const created = await tx.recurringFinanceMatter.create({
+        data: {
+          groupId: groupId,
+          name: name.trim(),
+          description: description?.trim() || null,
+          totalAmount: parseFloat(totalAmount),
+          currency: currency.toUpperCase(),
+          recurrencePattern: normalizeSchedule(recurrencePattern),
+          startDate: new Date(startDate),
+          endDate: endDate ? new Date(endDate) : null,
+          dueAfterDays: dueAfterDays ?? null,
+          createdBy: groupMembership.groupMemberId,
+          members: {
+            create: members.map((m) => ({
+              groupMemberId: m.groupMemberId,
+              expectedPercentage: parseFloat(m.expectedPercentage),
+            })),
+          },
+        },
+        include: TEMPLATE_INCLUDE,
+      });
+
+      await logTemplateAction(
+        tx,
+        groupMembership,
+        groupId,
+        'create_recurring_finance_matter',
+        `Created recurring finance matter "${created.name}" (${created.currency} ${parseFloat(created.totalAmount).toFixed(2)}, ${created.recurrencePattern}) starting ${created.startDate.toISOString()}`
+      );
+
+      return created;
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Recurring finance matter created successfully',
+      recurringFinanceMatter: formatTemplate(template),
+    });
+  } catch (error) {
+    console.error('Create recurring finance matter error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create recurring finance matter',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Edit a recurring finance matter (future periods only)
+ * PUT /groups/:groupId/finance/recurring/:recurringFinanceMatterId
+ *
+ * Accepts the same fields as create. startDate can only change before the
+ * first period has been generated.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updateRecurringFinanceMatter(req, res) {
+  try {
+    const { groupId } = req.params;
+    const { name, description, totalAmount, currency, recurrencePattern, startDate, endDate, dueAfterDays, members } = req.body;
+
+    const validationError = validateTemplateInput(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const access = await getFinanceAccess(req, res);
+    if (!access) {
+      return;
+    }
+    const { groupMembership, groupSettings } = access;
+
+    const template = await getTemplateForChange(req, res, groupMembership);
+    if (!template) {
+      return;
+    }
+
+    if (startDate !== undefined && template.lastPeriodStart) {
+      return res.status(400).json({
+        success: false,
+        message: 'The start date cannot change after the first period has been created',
+      });
+    }
+
+    if (members !== undefined) {
+      const memberError = await validateMembers(groupId, members, groupSettings);
+      if (memberError) {
+        return res.status(400).json({
+          success: false,
+          message: memberError,
+        });
+      }
+    }
+
+    const data = {};
+    if (name !== undefined) data.name = name.trim();
+    if (description !== undefined) data.description = description?.trim() || null;
+    if (totalAmount !== undefined) data.totalAmount = parseFloat(totalAmount);
+    if (currency !== undefined) data.currency = currency.toUpperCase();
+    if (recurrencePattern !== undefined) data.recurrencePattern = normalizeSchedule(recurrencePattern);
+    if (startDate !== undefined) data.startDate = new Date(startDate);
+    if (endDate !== undefined) data.endDate = endDate ? new Date(endDate) : null;
+    if (dueAfterDays !== undefined) data.dueAfterDays = dueAfterDays;
+
+    const updated = await prisma.$transaction(async (tx) => {
+      if (members !== undefined) {
+        await tx.recurringFinanceMatterMember.deleteMany({
+          where: { recurringFinanceMatterId: template.recurringFinanceMatterId },
+        });
+        data.members = {
+          create: members.map((m) => ({
+            groupMemberId: m.groupMemberId,
+            expectedPercentage: parseFloat(m.expectedPercentage),
+          })),
+        };
+      }
+
+      const result = await tx.recurringFinanceMatter.update({
+        where: { recurringFinanceMatterId: template.recurringFinanceMatterId },
+        data,
+        include: TEMPLATE_INCLUDE,
+      });
+
+      const changed = Object.keys(data).join(', ');
+      await logTemplateAction(
+        tx,
+        groupMembership,
+        groupId,
+        'update_recurring_finance_matter',
+        `Updated recurring finance matter "${result.name}" (${changed}). Applies to future periods only.`
+      );
+
+      return result;
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Recurring finance matter updated. Changes apply to future periods.',
+      recurringFinanceMatter: formatTemplate(updated),
+    });
+  } catch (error) {
+    console.error('Update recurring finance matter error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update recurring finance matter',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Pause a recurring finance matter
+ * POST /groups/:groupId/finance/recurring/:recurringFinanceMatterId/pause
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function pauseRecurringFinanceMatter(req, res) {
+  try {
+    const { groupId } = req.params;
+    const access = await getFinanceAccess(req, res);
+    if (!access) {
+      return;
+    }
+    const { groupMembership } = access;
+
+    const template = await getTemplateForChange(req, res, groupMembership);
+    if (!template) {
+      return;
+    }
+
+    if (template.isPaused) {
+      return res.status(400).json({
+        success: false,
+        message: 'This recurring finance matter is already paused',
+      });
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const result = await tx.recurringFinanceMatter.update({
+        where: { recurringFinanceMatterId: template.recurringFinanceMatterId },
+        data: {
+          isPaused: true,
+          pausedAt: new Date(),
+        },
+        include: TEMPLATE_INCLUDE,
+      });
+
+      await logTemplateAction(tx, groupMembership, groupId, 'pause_recurring_finance_matter',
+        `Paused recurring finance matter "${template.name}"`);
+
+      return result;
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Recurring finance matter paused',
+      recurringFinanceMatter: formatTemplate(updated),
+    });
+  } catch (error) {
+    console.error('Pause recurring finance matter error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to pause recurring finance matter',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Resume a paused recurring finance matter
+ * POST /groups/:groupId/finance/recurring/:recurringFinanceMatterId/resume
+ *
+ * Periods that started while paused are skipped, not created late.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function resumeRecurringFinanceMatter(req, res) {
+  try {
+    const { groupId } = req.params;
+    const access = await getFinanceAccess(req, res);
+    if (!access) {
+      return;
+    }
+    const { groupMembership } = access;
+
+    const template = await getTemplateForChange(req, res, groupMembership);
+    if (!template) {
+      return;
+    }
+
+    if (!template.isPaused) {
+      return res.status(400).json({
+        success: false,
+        message: 'This recurring finance matter is not paused',
+      });
+    }
+
+    const missedPeriods = getDuePeriods(template, new Date(), Infinity);
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const result = await tx.recurringFinanceMatter.update({
+        where: { recurringFinanceMatterId: template.recurringFinanceMatterId },
+        data: {
+          isPaused: false,
+          pausedAt: null,
+          ...(missedPeriods.length > 0 && { lastPeriodStart: missedPeriods[missedPeriods.length - 1] }),
+        },
+        include: TEMPLATE_INCLUDE,
+      });
+
+      await logTemplateAction(tx, groupMembership, groupId, 'resume_recurring_finance_matter',
+        missedPeriods.length > 0
+          ? `Resumed recurring finance matter "${template.name}" (skipped ${missedPeriods.length} period(s) while paused)`
+          : `Resumed recurring finance matter "${template.name}"`);
+
+      return result;
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Recurring finance matter resumed',
+      skippedPeriods: missedPeriods.length,
+      recurringFinanceMatter: formatTemplate(updated),
+    });
+  } catch (error) {
+    console.error('Resume recurring finance matter error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to resume recurring finance matter',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * End a recurring finance matter series
+ * POST /groups/:groupId/finance/recurring/:recurringFinanceMatterId/end
+ *
+ * No more periods are created. Finance matters already created are kept.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function endRecurringFinanceMatter(req, res) {
+  try {
+    const { groupId } = req.params;
+    const access = await getFinanceAccess(req, res);
+    if (!access) {
+      return;
+    }
+    const { groupMembership } = access;
+
+    const template = await getTemplateForChange(req, res, groupMembership);
+    if (!template) {
+      return;
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const result = await tx.recurringFinanceMatter.update({
+        where: { recurringFinanceMatterId: template.recurringFinanceMatterId },
+        data: {
+          endedAt: new Date(),
+          isPaused: false,
+          pausedAt: null,
+        },
+        include: TEMPLATE_INCLUDE,
+      });
+
+      await logTemplateAction(tx, groupMembership, groupId, 'end_recurring_finance_matter',
+        `Ended recurring finance matter "${template.name}"`);
+
+      return result;
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Recurring finance matter ended',
+      recurringFinanceMatter: formatTemplate(updated),
+    });
+  } catch (error) {
+    console.error('End recurring finance matter error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to end recurring finance matter',
+      error: error.message,
+    });
+  }
+}
+
+module.exports = {
+  getRecurringFinanceMatters,
+  createRecurringFinanceMatter,
+  updateRecurringFinanceMatter,
+  pauseRecurringFinanceMatter,
+  resumeRecurringFinanceMatter,
+  endRecurringFinanceMatter,
+};
@@ -0,0 +1,476 @@
+/**
+ * Relationships Controller
+ *
+ * Family relationships between group members (spouse, parent, sibling, ...)
+ * and the family tree built from them.
+ *
+ * Changes follow the approval workflow (see APPROVAL_WORKFLOW.md): every
+ * change creates an approval for the audit trail, an admin requester approves
+ * by requesting, and admins who granted the requester the assign/change
+ * relationships auto-approve permission approve automatically. The change is
+ * applied straight away once more than 50% of admins approve; otherwise the
+ * remaining admins vote and executeApprovedAction applies it.
+ */
+
+const { prisma } = require('../config/database');
+const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissions');
+const {
+  RELATIONSHIP_TYPES,
+  isValidRelationshipType,
+  describeRelationship,
+  buildFamilyTree,
+} = require('../utils/relationships');
+const {
+  findRelationship,
+  describeRelationshipChange,
+  applyRelationshipChange,
+} = require('../services/relationship.service');
+const { createApprovalRequest, notifyApprovalRequested } = require('../services/approval.service');
+
+// Roles that can propose relationship changes
+const MANAGING_ROLES = ['admin', 'parent', 'adult'];
+
+const memberSelect = {
+  groupMemberId: true,
+  displayName: true,
+  iconLetters: true,
+  iconColor: true,
+  role: true,
+  user: {
+    select: {
+      displayName: true,
+      memberIcon: true,
+      iconColor: true,
+      profilePhotoFileId: true,
+    },
+  },
+};
+
+/**
+ * Shape a member for clients (user profile first)
+ * @param {Object} member - GroupMember selected with memberSelect
+ * @returns {Object}
+ */
+function formatMember(member) {
+  return {
+    groupMemberId: member.groupMemberId,
+    displayName: member.user?.displayName || member.displayName,
+    iconLetters: member.user?.memberIcon || member.iconLetters,
+    iconColor: member.user?.iconColor || member.iconColor,
+    role: member.role,
+    profilePhotoUrl: member.user?.profilePhotoFileId
+      ? `${process.env.API_BASE_URL || 'http://localhost:3000'}/files/${member.user.profilePhotoFileId}`
+      : null,
+  };
+}
+
+/**
+ * Load the current member, optionally checking they can change relationships
+ * Sends the error response itself and returns null when not allowed.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {boolean} [isWrite]
+ * @returns {Promise<Object|null>} GroupMember
+ */
+async function getRelationshipAccess(req, res, isWrite = false) {
+  const { groupId } = req.params;
+
+  const membership = await prisma.groupMember.findFirst({
+    where: {
+      groupId: groupId,
+      userId: req.user.userId,
+    },
+  });
+
+  if (!membership || !membership.isRegistered) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'You are not a member of this group',
+    });
+    return null;
+  }
+
+  if (!isWrite) {
+    return membership;
+  }
+
+  if (!MANAGING_ROLES.includes(membership.role)) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'Only admins, parents and adults can change relationships',
+    });
+    return null;
+  }
+
+  const group = await prisma.group.findUnique({
+    where: { groupId: groupId },
+    select: { readOnlyUntil: true, hasActiveAdmin: true },
+  });
+
+  if (isGroupReadOnly(group)) {
+    res.status(403).json(getReadOnlyErrorResponse(group));
+    return null;
+  }
+
+  return membership;
+}
+
+/**
+ * Request a relationship change through the approval workflow
+ *
+ * @param {Object} options
+ * @param {string} options.groupId
+ * @param {Object} options.membership - Requesting GroupMember
+ * @param {string} options.approvalType - 'assign_relationship' or 'change_relationship'
+ * @param {Object} options.data - Relationship approvalData (without allAdminIds)
+ * @returns {Promise<{approval: Object, applied: boolean, relationship: Object|null}>}
+ */
+async function submitRelationshipChange({ groupId, membership, approvalType, data }) {
+  const { approval, passed, autoApprovedCount } = await createApprovalRequest({
+    groupId,
+    membership,
+    approvalType,
+    permissionField: approvalType === 'assign_relationship'
+      ? 'autoApproveAssignRelationships'
+      : 'autoApproveChangeRelationships',
+    relatedEntityType: 'relationship',
+    relatedEntityId: data.relationshipId || null,
+    data,
+  });
+
+  const description = describeRelationshipChange(data);
+
+  if (!passed) {
+    await notifyApprovalRequested({ groupId, membership, approval, actionLocation: 'relationships', description });
+    return { approval, applied: false, relationship: null };
+  }
+
+  const relationship = await applyRelationshipChange(groupId, data);
+
+  await prisma.auditLog.create({
+    data: {
+      groupId: groupId,
+      action: data.operation === 'create'
+        ? 'assign_relationship'
+        : data.operation === 'update' ? 'change_relationship' : 'remove_relationship',
+      performedBy: membership.groupMemberId,
+      performedByName: membership.displayName,
+      performedByEmail: membership.email || 'N/A',
+      actionLocation: 'relationships',
+      messageContent: `${description.charAt(0).toUpperCase()}${description.slice(1)}${autoApprovedCount > 0 ? ' (auto-approved)' : ''}`,
+      logData: { approvalId: approval.approvalId, relationshipId: relationship?.relationshipId || data.relationshipId },
+    },
+  });
+
+  return { approval, applied: true, relationship };
+}
+
+/**
+ * Send the result of submitRelationshipChange
+ */
+function sendChangeResult(res, result, appliedStatus, appliedMessage) {
+  if (!result.applied) {
+    return res.status(200).json({
+      success: true,
+      requiresApproval: true,
+      approvalId: result.approval.approvalId,
+      message: 'This change needs approval from more than 50% of admins',
+    });
+  }
+
+  return res.status(appliedStatus).json({
+    success: true,
+    requiresApproval: false,
+    approvalId: result.approval.approvalId,
+    relationship: result.relationship,
+    message: appliedMessage,
+  });
+}
+
+/**
+ * Load a relationship's two members by id
+ * @returns {Promise<Map<string, Object>>} Members by groupMemberId
+ */
+async function getMembers(groupId, memberIds) {
+  const members = await prisma.groupMember.findMany({
+    where: {
+      groupId: groupId,
+      groupMemberId: { in: memberIds },
+    },
+    select: memberSelect,
+  });
+  return new Map(members.map(member => [member.groupMemberId, formatMember(member)]));
+}
+
+/**
+ * Get relationships and the family tree
+ * GET /groups/:groupId/relationships
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getRelationships(req, res) {
+  try {
+    const { groupId } = req.params;
+
+    const membership = await getRelationshipAccess(req, res);
+    if (!membership) return;
+
+    const [members, relationships] = await Promise.all([
+      prisma.groupMember.findMany({
+        where: { groupId: groupId },
+        select: memberSelect,
+        orderBy: { joinedAt: 'asc' },
+      }),
+      prisma.relationship.findMany({
+        where: { groupId: groupId },
+        orderBy: { createdAt: 'asc' },
+      }),
+    ]);
+
+    const formattedMembers = members.map(formatMember);
+    const namesById = new Map(formattedMembers.map(member => [member.groupMemberId, member.displayName]));
+
+    return res.status(200).json({
+      success: true,
+      relationshipTypes: Object.entries(RELATIONSHIP_TYPES).map(([type, { label, inverseLabel, symmetric }]) => ({
+        type,
+        label,
+        inverseLabel: inverseLabel || label,
+        symmetric,
+      })),
+      members: formattedMembers,
+      relationships: relationships.map(relationship => ({
+        ...relationship,
+        description: describeRelationship(
+          relationship.relationshipType,
+          namesById.get(relationship.memberId1),
+          namesById.get(relationship.memberId2)
+        ),
+      })),
+      tree: buildFamilyTree(formattedMembers.map(member => member.groupMemberId), relationships),
+    });
+  } catch (error) {
+    console.error('Get relationships error:', error);
+    return res.status(500).json({
+      error: 'Failed to get relationships',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Set the relationship between two members
+ * POST /groups/:groupId/relationships
+ *
+ * Body: { memberId1, memberId2, relationshipType } - read as "member 1 is
+ * member 2's <relationshipType>"
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createRelationship(req, res) {
+  try {
+    const { groupId } = req.params;
+    const { memberId1, memberId2, relationshipType } = req.body;
+
+    if (!memberId1 || !memberId2 || memberId1 === memberId2) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'memberId1 and memberId2 must be two different members',
+      });
+    }
+
+    if (!isValidRelationshipType(relationshipType)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `relationshipType must be one of: ${Object.keys(RELATIONSHIP_TYPES).join(', ')}`,
+      });
+    }
+
+    const membership = await getRelationshipAccess(req, res, true);
+    if (!membership) return;
+
+    const members = await getMembers(groupId, [memberId1, memberId2]);
+    if (members.size !== 2) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Both members must belong to this group',
+      });
+    }
+
+    const existing = await findRelationship(groupId, memberId1, memberId2);
+    if (existing) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'These members already have a relationship. Change it instead.',
+        relationshipId: existing.relationshipId,
+      });
+    }
+
+    const result = await submitRelationshipChange({
+      groupId,
+      membership,
+      approvalType: 'assign_relationship',
+      data: {
+        operation: 'create',
+        memberId1,
+        memberId2,
+        relationshipType,
+        member1Name: members.get(memberId1).displayName,
+        member2Name: members.get(memberId2).displayName,
+      },
+    });
+
+    return sendChangeResult(res, result, 201, 'Relationship added');
+  } catch (error) {
+    console.error('Create relationship error:', error);
+    return res.status(500).json({
+      error: 'Failed to create relationship',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Load a relationship of the group with its members' names
+ * Sends a 404 itself and returns null when it does not exist.
+ */
+async function getRelationshipForChange(req, res) {
+  const { groupId, relationshipId } = req.params;
+
+  const relationship = await prisma.relationship.findFirst({
+    where: {
+      relationshipId: relationshipId,
+      groupId: groupId,
+    },
+  });
+
+  if (!relationship) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Relationship not found',
+    });
+    return null;
+  }
+
+  const members = await getMembers(groupId, [relationship.memberId1, relationship.memberId2]);
+  return { relationship, members };
+}
+
+/**
+ * Change the type (or direction) of a relationship
+ * PUT /groups/:groupId/relationships/:relationshipId
+ *
+ * Body: { relationshipType, memberId1?, memberId2? } - pass the same two
+ * members in the other order to reverse a directional relationship
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updateRelationship(req, res) {
+  try {
+    const { groupId, relationshipId } = req.params;
+    const { relationshipType } = req.body;
+
+    if (!isValidRelationshipType(relationshipType)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `relationshipType must be one of: ${Object.keys(RELATIONSHIP_TYPES).join(', ')}`,
+      });
+    }
+
+    const membership = await getRelationshipAccess(req, res, true);
+    if (!membership) return;
+
+    const found = await getRelationshipForChange(req, res);
+    if (!found) return;
+    const { relationship, members } = found;
+
+    const memberId1 = req.body.memberId1 || relationship.memberId1;
+    const memberId2 = req.body.memberId2 || relationship.memberId2;
+    const pair = [relationship.memberId1, relationship.memberId2];
+
+    if (memberId1 === memberId2 || !pair.includes(memberId1) || !pair.includes(memberId2)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'memberId1 and memberId2 must be the two members of this relationship',
+      });
+    }
+
+    const result = await submitRelationshipChange({
+      groupId,
+      membership,
+      approvalType: 'change_relationship',
+      data: {
+        operation: 'update',
+        relationshipId,
+        memberId1,
+        memberId2,
+        relationshipType,
+        previousType: relationship.relationshipType,
+        member1Name: members.get(memberId1)?.displayName || 'Former member',
+        member2Name: members.get(memberId2)?.displayName || 'Former member',
+      },
+    });
+
+    return sendChangeResult(res, result, 200, 'Relationship updated');
+  } catch (error) {
+    console.error('Update relationship error:', error);
+    return res.status(500).json({
+      error: 'Failed to update relationship',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Remove a relationship
+ * DELETE /groups/:groupId/relationships/:relationshipId
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function deleteRelationship(req, res) {
+  try {
+    const { groupId, relationshipId } = req.params;
+
+    const membership = await getRelationshipAccess(req, res, true);
+    if (!membership) return;
+
+    const found = await getRelationshipForChange(req, res);
+    if (!found) return;
+    const { relationship, members } = found;
+
+    const result = await submitRelationshipChange({
+      groupId,
+      membership,
+      approvalType: 'change_relationship',
+      data: {
+        operation: 'delete',
+        relationshipId,
+        memberId1: relationship.memberId1,
+        memberId2: relationship.memberId2,
+        relationshipType: relationship.relationshipType,
+        member1Name: members.get(relationship.memberId1)?.displayName || 'Former member',
+        member2Name: members.get(relationship.memberId2)?.displayName || 'Former member',
+      },
+    });
+
+    return sendChangeResult(res, result, 200, 'Relationship removed');
+  } catch (error) {
+    console.error('Delete relationship error:', error);
+    return res.status(500).json({
+      error: 'Failed to delete relationship',
+      message: error.message,
+    });
+  }
+}
+
+module.exports = {
+  getRelationships,
+  createRelationship,
+  updateRelationship,
+  deleteRelationship,
+};
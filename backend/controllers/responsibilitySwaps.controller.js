@@ -0,0 +1,466 @@
+/**
+ * Responsibility Swaps Controller
+ *
+ * "Request a swap" on a child responsibility event: a responsible member
+ * proposes exchanging a block of time with another responsible member, who can
+ * accept, decline or counter-propose. Requests are approvals; the workflow
+ * itself lives in services/responsibilitySwap.service.js.
+ *
+ * Requesters cancel through the approvals cancel endpoint.
+ */
+
+const { prisma } = require('../config/database');
+const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissions');
+const {
+  SWAP_APPROVAL_TYPE,
+  getSwapData,
+  describeSwap,
+  proposeSwap,
+  respondToSwap,
+} = require('../services/responsibilitySwap.service');
+
+// Roles that can hold responsibility (matches the child event screens)
+const RESPONSIBLE_ROLES = ['admin', 'parent', 'adult', 'caregiver'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BLOCK_DAYS = 60;
+
+const memberSelect = {
+  groupMemberId: true,
+  role: true,
+  displayName: true,
+  email: true,
+  user: { select: { displayName: true } },
+};
+
+/**
+ * Load the current member and check they can take part in swaps
+ * Sends the error response itself and returns null when not allowed.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {boolean} [isWrite] - Also check the group is not read-only
+ * @returns {Promise<Object|null>} GroupMember
+ */
+async function getSwapAccess(req, res, isWrite = true) {
+  const { groupId } = req.params;
+
+  const membership = await prisma.groupMember.findFirst({
+    where: {
+      groupId: groupId,
+      userId: req.user.userId,
+    },
+    select: { ...memberSelect, isRegistered: true },
+  });
+
+  if (!membership || !membership.isRegistered) {
+    res.status(403).json({
+      success: false,
+      message: 'You are not a member of this group',
+    });
+    return null;
+  }
+
+  if (!RESPONSIBLE_ROLES.includes(membership.role)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only responsible adults can swap responsibility',
+    });
+    return null;
+  }
+
+  if (isWrite) {
+    const group = await prisma.group.findUnique({
+      where: { groupId: groupId },
+      select: { readOnlyUntil: true, hasActiveAdmin: true },
+    });
+
+    if (isGroupReadOnly(group)) {
+      res.status(403).json(getReadOnlyErrorResponse(group));
+      return null;
+    }
+  }
+
+  return membership;
+}
+
+/**
+ * Parse an optional block of time from a request body
+ *
+ * @param {Object} [value] - { startTime, endTime }
+ * @param {string} name - Field name for error messages
+ * @returns {{error: string}|{block: {startTime: string, endTime: string}|null}}
+ */
+function parseBlock(value, name) {
+  if (!value) {
+    return { block: null };
+  }
+
+  const start = new Date(value.startTime);
+  const end = new Date(value.endTime);
+
+  if (!value.startTime || !value.endTime || isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+    return { error: `${name} must have a valid startTime before its endTime` };
+  }
+
+  if (end.getTime() - start.getTime() > MAX_BLOCK_DAYS * DAY_MS) {
+    return { error: `${name} cannot be longer than ${MAX_BLOCK_DAYS} days` };
+  }
+
+  return { block: { startTime: start.toISOString(), endTime: end.toISOString() } };
+}
+
+/**
+ * Parse the give and take blocks of a proposal
+ * @param {Object} body - Request body
+ * @returns {{error: string}|{give: Object|null, take: Object|null}}
+ */
+function parseBlocks(body) {
+  const give = parseBlock(body.give, 'give');
+  if (give.error) return give;
+
+  const take = parseBlock(body.take, 'take');
+  if (take.error) return take;
+
+  if (!give.block && !take.block) {
+    return { error: 'A swap needs a block to give, a block to take, or both' };
+  }
+
+  if (give.block && take.block &&
+    give.block.startTime < take.block.endTime && take.block.startTime < give.block.endTime) {
+    return { error: 'The blocks to give and take cannot overlap' };
+  }
+
+  return { give: give.block, take: take.block };
+}
+
+/**
+ * Shape a swap approval for clients
+ * @param {Object} approval
+ * @returns {Object}
+ */
+function formatSwapRequest(approval) {
+  const data = getSwapData(approval);
+
+  return {
+    approvalId: approval.approvalId,
+    status: approval.status,
+    requestedAt: approval.requestedAt,
+    completedAt: approval.completedAt,
+    description: describeSwap(data),
+    eventId: data.eventId,
+    eventTitle: data.eventTitle,
+    childIds: data.childIds,
+    childNames: data.childNames,
+    requesterId: data.requesterId,
+    requesterName: data.requesterName,
+    counterpartyId: data.counterpartyId,
+    counterpartyName: data.counterpartyName,
+    give: data.give,
+    take: data.take,
+    note: data.note || null,
+    counterOf: data.counterOf || null,
+    createdEventIds: data.createdEventIds || [],
+  };
+}
+
+/**
+ * Send the result of the swap service
+ */
+function sendSwapResult(res, result, status, message) {
+  if (result.error) {
+    return res.status(result.status).json({
+      success: false,
+      message: result.error,
+    });
+  }
+
+  return res.status(status).json({
+    success: true,
+    message: result.events ? 'Swap accepted' : message,
+    swapRequest: formatSwapRequest(result.approval),
+    events: result.events || [],
+  });
+}
+
+/**
+ * Request a swap on a child responsibility event
+ * POST /groups/:groupId/calendar/events/:eventId/swap-requests
+ *
+ * Body: { give?: {startTime, endTime}, take?: {startTime, endTime},
+ *   counterpartyId?, childIds?, note? }
+ *
+ * give is time the requester hands to the counterparty, take is time the
+ * requester asks for. Without either, give defaults to the (non-recurring)
+ * event's own time. childIds default to the event's children, and
+ * counterpartyId to the other responsible member on the event.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createSwapRequest(req, res) {
+  try {
+    const { groupId, eventId } = req.params;
+    const { counterpartyId, childIds, note } = req.body;
+
+    const membership = await getSwapAccess(req, res);
+    if (!membership) return;
+
+    const event = await prisma.calendarEvent.findFirst({
+      where: {
+        eventId: eventId,
+        groupId: groupId,
+        isResponsibilityEvent: true,
+      },
+      include: {
+        responsibilityEvents: {
+          include: { child: { select: memberSelect } },
+        },
+      },
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Responsibility event not found',
+      });
+    }
+
+    const body = !req.body.give && !req.body.take && !event.isRecurring
+      ? { give: { startTime: event.startTime, endTime: event.endTime } }
+      : req.body;
+    const blocks = parseBlocks(body);
+    if (blocks.error) {
+      return res.status(400).json({
+        success: false,
+        message: blocks.error,
+      });
+    }
+
+    const eventChildren = new Map(event.responsibilityEvents.map(re => [re.childId, re.child]));
+    const swapChildIds = Array.isArray(childIds) && childIds.length > 0
+      ? [...new Set(childIds)]
+      : Array.from(eventChildren.keys());
+
+    if (swapChildIds.length === 0 || swapChildIds.some(childId => !eventChildren.has(childId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'childIds must be children on this event',
+      });
+    }
+
+    // The other responsible member on the event, when there is exactly one
+    const otherMemberIds = [...new Set(event.responsibilityEvents
+      .flatMap(re => [re.startResponsibleMemberId, re.endResponsibleMemberId])
+      .filter(id => id && id !== membership.groupMemberId))];
+    const resolvedCounterpartyId = counterpartyId || (otherMemberIds.length === 1 ? otherMemberIds[0] : null);
+
+    if (!resolvedCounterpartyId) {
+      return res.status(400).json({
+        success: false,
+        message: 'counterpartyId is required',
+      });
+    }
+
+    if (resolvedCounterpartyId === membership.groupMemberId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot swap with yourself',
+      });
+    }
+
+    const counterparty = await prisma.groupMember.findFirst({
+      where: {
+        groupId: groupId,
+        groupMemberId: resolvedCounterpartyId,
+      },
+      select: memberSelect,
+    });
+
+    if (!counterparty || !RESPONSIBLE_ROLES.includes(counterparty.role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'counterpartyId must be a responsible adult of this group',
+      });
+    }
+
+    const result = await proposeSwap({
+      groupId,
+      requester: membership,
+      counterparty,
+      swap: {
+        eventId: event.eventId,
+        eventTitle: event.title,
+        childIds: swapChildIds,
+        childNames: swapChildIds.map(childId => {
+          const child = eventChildren.get(childId);
+          return child.user?.displayName || child.displayName;
+        }),
+        give: blocks.give,
+        take: blocks.take,
+        note: typeof note === 'string' && note.trim() ? note.trim().slice(0, 500) : null,
+      },
+    });
+
+    return sendSwapResult(res, result, 201, 'Swap request sent');
+  } catch (err) {
+    console.error('Create swap request error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create swap request',
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * Get the swap requests the current member sent or received
+ * GET /groups/:groupId/calendar/swap-requests
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getSwapRequests(req, res) {
+  try {
+    const { groupId } = req.params;
+
+    const membership = await getSwapAccess(req, res, false);
+    if (!membership) return;
+
+    const approvals = await prisma.approval.findMany({
+      where: {
+        groupId: groupId,
+        approvalType: SWAP_APPROVAL_TYPE,
+        OR: [
+          { requestedBy: membership.groupMemberId },
+          { approvalData: { path: ['counterpartyId'], equals: membership.groupMemberId } },
+        ],
+      },
+      orderBy: { requestedAt: 'desc' },
+      take: 100,
+    });
+
+    const swapRequests = approvals.map(formatSwapRequest);
+    const isPending = swap => swap.status === 'pending';
+
+    return res.status(200).json({
+      success: true,
+      swapRequests: {
+        incoming: swapRequests.filter(swap => isPending(swap) && swap.counterpartyId === membership.groupMemberId),
+        outgoing: swapRequests.filter(swap => isPending(swap) && swap.requesterId === membership.groupMemberId),
+        completed: swapRequests.filter(swap => !isPending(swap)),
+      },
+    });
+  } catch (err) {
+    console.error('Get swap requests error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get swap requests',
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * Respond to a swap request
+ * POST /groups/:groupId/calendar/swap-requests/:approvalId/respond
+ *
+ * Body: { response: 'accept' | 'decline' | 'counter' } plus, for counter,
+ * { give?, take?, note? } from the responder's side (give is time they hand
+ * to the original requester).
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function respondToSwapRequest(req, res) {
+  try {
+    const { groupId, approvalId } = req.params;
+    const { response, note } = req.body;
+
+    if (!['accept', 'decline', 'counter'].includes(response)) {
+      return res.status(400).json({
+        success: false,
+        message: 'response must be accept, decline or counter',
+      });
+    }
+
+    const membership = await getSwapAccess(req, res);
+    if (!membership) return;
+
+    const approval = await prisma.approval.findFirst({
+      where: {
+        approvalId: approvalId,
+        groupId: groupId,
+        approvalType: SWAP_APPROVAL_TYPE,
+      },
+    });
+
+    if (!approval) {
+      return res.status(404).json({
+        success: false,
+        message: 'Swap request not found',
+      });
+    }
+
+    if (response !== 'counter') {
+      const result = await respondToSwap({ approval, respondent: membership, response });
+      return sendSwapResult(res, result, 200, 'Swap declined');
+    }
+
+    const blocks = parseBlocks(req.body);
+    if (blocks.error) {
+      return res.status(400).json({
+        success: false,
+        message: blocks.error,
+      });
+    }
+
+    const data = getSwapData(approval);
+    const originalRequester = await prisma.groupMember.findFirst({
+      where: {
+        groupId: groupId,
+        groupMemberId: data.requesterId,
+      },
+      select: memberSelect,
+    });
+
+    if (!originalRequester) {
+      return res.status(400).json({
+        success: false,
+        message: `${data.requesterName} is no longer a member of this group`,
+      });
+    }
+
+    const result = await proposeSwap({
+      groupId,
+      requester: membership,
+      counterparty: originalRequester,
+      swap: {
+        eventId: data.eventId,
+        eventTitle: data.eventTitle,
+        childIds: data.childIds,
+        childNames: data.childNames,
+        give: blocks.give,
+        take: blocks.take,
+        note: typeof note === 'string' && note.trim() ? note.trim().slice(0, 500) : null,
+      },
+      counterOf: approval,
+    });
+
+    return sendSwapResult(res, result, 201, 'Counter-proposal sent');
+  } catch (err) {
+    console.error('Respond to swap request error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to respond to swap request',
+      error: err.message,
+    });
+  }
+}
+
+module.exports = {
+  createSwapRequest,
+  getSwapRequests,
+  respondToSwapRequest,
+  parseBlocks, // Export for testing
+};
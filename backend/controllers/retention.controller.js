@@ -0,0 +1,314 @@
+/**
+ * Retention Controller
+ *
+ * Lets admins choose how long the group keeps messages, media and call
+ * recordings, for the whole group or per message group. Retention deletes
+ * data for good, so every change goes through admin approval (it passes
+ * straight away in single-admin groups). jobs/enforceRetention.js applies the
+ * policies.
+ */
+
+const { prisma } = require('../config/database');
+const { createApprovalRequest, notifyApprovalRequested } = require('../services/approval.service');
+const {
+  RETENTION_FIELDS,
+  MESSAGE_GROUP_RETENTION_FIELDS,
+  MIN_RETENTION_DAYS,
+  MAX_RETENTION_DAYS,
+  validateRetentionPolicy,
+  resolveRetention,
+  getLegalHoldRanges,
+  describeRetention,
+} = require('../utils/retention');
+
+const retentionSelect = {
+  messageRetentionDays: true,
+  mediaRetentionDays: true,
+  recordingRetentionDays: true,
+};
+
+/**
+ * Load the current member and check they are an admin
+ * Sends the error response itself and returns null when not allowed.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} GroupMember (with user)
+ */
+async function getAdminMembership(req, res) {
+  const userId = req.user?.userId;
+  const { groupId } = req.params;
+
+  if (!userId) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return null;
+  }
+
+  const groupMembership = await prisma.groupMember.findFirst({
+    where: {
+      groupId: groupId,
+      user: { userId: userId },
+    },
+    include: {
+      user: { select: { email: true, displayName: true } },
+    },
+  });
+
+  if (!groupMembership) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'You are not a member of this group',
+    });
+    return null;
+  }
+
+  if (groupMembership.role !== 'admin') {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'Only admins can manage retention policies',
+    });
+    return null;
+  }
+
+  return groupMembership;
+}
+
+/**
+ * Save a retention policy and log it
+ *
+ * @param {Object} options
+ * @param {string} options.groupId
+ * @param {string} [options.messageGroupId] - Set for a message group's own policy
+ * @param {string} [options.messageGroupName]
+ * @param {Object} options.policy - Validated retention fields
+ * @param {Object} options.performer - GroupMember making the change (user included when available)
+ * @param {boolean} [options.viaApproval] - Whether admins approved the change
+ */
+async function applyRetentionPolicy({ groupId, messageGroupId = null, messageGroupName = null, policy, performer, viaApproval = false }) {
+  if (messageGroupId) {
+    await prisma.messageGroup.update({
+      where: { messageGroupId: messageGroupId },
+      data: policy,
+    });
+  } else {
+    await prisma.groupSettings.upsert({
+      where: { groupId: groupId },
+      update: policy,
+      create: { groupId: groupId, ...policy },
+    });
+  }
+
+  const scope = messageGroupId ? ` for message group "${messageGroupName}"` : '';
+
+  await prisma.auditLog.create({
+    data: {
+      groupId: groupId,
+      action: 'update_retention_policy',
+      performedBy: performer.groupMemberId,
+      performedByName: performer.user?.displayName || performer.displayName,
+      performedByEmail: performer.user?.email || performer.email || 'N/A',
+      actionLocation: 'group_settings',
+      messageContent: `${viaApproval ? 'Retention policy updated via approval' : 'Updated retention policy'}${scope}: ${describeRetention(policy, !!messageGroupId)}`,
+      logData: { messageGroupId, policy },
+    },
+  });
+}
+
+/**
+ * Request a retention change, applying it when it passes straight away
+ * Sends the response.
+ */
+async function requestRetentionChange(res, { groupId, membership, messageGroup = null, policy }) {
+  const relatedEntityId = messageGroup ? messageGroup.messageGroupId : groupId;
+
+  const existing = await prisma.approval.findFirst({
+    where: {
+      groupId: groupId,
+      approvalType: 'change_retention_policy',
+      relatedEntityId: relatedEntityId,
+      status: 'pending',
+    },
+  });
+
+  if (existing) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: 'A retention change is already waiting for approval',
+      approvalId: existing.approvalId,
+    });
+  }
+
+  const description = messageGroup
+    ? `change retention for message group "${messageGroup.name}" (${describeRetention(policy, true)})`
+    : `change the group's retention policy (${describeRetention(policy)})`;
+
+  const { approval, passed } = await createApprovalRequest({
+    groupId,
+    membership,
+    approvalType: 'change_retention_policy',
+    permissionField: 'autoApproveChangeGroupSettings',
+    relatedEntityType: messageGroup ? 'message_group' : 'group',
+    relatedEntityId: relatedEntityId,
+    data: {
+      messageGroupId: messageGroup?.messageGroupId || null,
+      messageGroupName: messageGroup?.name || null,
+      policy,
+    },
+  });
+
+  if (!passed) {
+    await notifyApprovalRequested({
+      groupId,
+      membership,
+      approval,
+      actionLocation: 'group_settings',
+      description,
+    });
+
+    return res.json({
+      success: true,
+      requiresApproval: true,
+      approvalId: approval.approvalId,
+      message: 'Retention changes need approval from more than 50% of admins',
+    });
+  }
+
+  await applyRetentionPolicy({
+    groupId,
+    messageGroupId: messageGroup?.messageGroupId,
+    messageGroupName: messageGroup?.name,
+    policy,
+    performer: membership,
+  });
+
+  return res.json({
+    success: true,
+    policy,
+  });
+}
+
+/**
+ * GET /groups/:groupId/retention-policy
+ * Get the group's retention policy, message group overrides and legal holds (admin only)
+ */
+async function getRetentionPolicy(req, res) {
+  try {
+    const { groupId } = req.params;
+
+    const membership = await getAdminMembership(req, res);
+    if (!membership) return;
+
+    const [settings, messageGroups, logExports] = await Promise.all([
+      prisma.groupSettings.findUnique({
+        where: { groupId: groupId },
+        select: retentionSelect,
+      }),
+      prisma.messageGroup.findMany({
+        where: { groupId: groupId, isHidden: false },
+        select: {
+          messageGroupId: true,
+          name: true,
+          messageRetentionDays: true,
+          mediaRetentionDays: true,
+        },
+        orderBy: { name: 'asc' },
+      }),
+      prisma.logExport.findMany({
+        where: { groupId: groupId, isHidden: false },
+        select: { exportId: true, fileName: true, createdAt: true, filters: true },
+        orderBy: { createdAt: 'desc' },
+      }),
+    ]);
+
+    const policy = {};
+    Object.keys(RETENTION_FIELDS).forEach(field => {
+      policy[field] = settings?.[field] ?? null;
+    });
+
+    const holdRanges = getLegalHoldRanges(logExports);
+
+    res.json({
+      success: true,
+      policy,
+      limits: { minDays: MIN_RETENTION_DAYS, maxDays: MAX_RETENTION_DAYS },
+      messageGroups: messageGroups.map(messageGroup => ({
+        ...messageGroup,
+        effective: resolveRetention(settings, messageGroup),
+      })),
+      legalHolds: logExports.map((logExport, index) => ({
+        exportId: logExport.exportId,
+        fileName: logExport.fileName,
+        from: holdRanges[index].from,
+        to: holdRanges[index].to,
+      })),
+    });
+  } catch (error) {
+    console.error('Get retention policy error:', error);
+    res.status(500).json({ error: 'Failed to get retention policy', message: error.message });
+  }
+}
+
+/**
+ * PUT /groups/:groupId/retention-policy
+ * Change the group's retention policy (admin only, needs approval)
+ */
+async function updateRetentionPolicy(req, res) {
+  try {
+    const { groupId } = req.params;
+
+    const membership = await getAdminMembership(req, res);
+    if (!membership) return;
+
+    const { policy, error } = validateRetentionPolicy(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: 'Bad Request', message: error });
+    }
+
+    await requestRetentionChange(res, { groupId, membership, policy });
+  } catch (error) {
+    console.error('Update retention policy error:', error);
+    res.status(500).json({ error: 'Failed to update retention policy', message: error.message });
+  }
+}
+
+/**
+ * PUT /groups/:groupId/message-groups/:messageGroupId/retention-policy
+ * Change a message group's own retention (admin only, needs approval)
+ */
+async function updateMessageGroupRetention(req, res) {
+  try {
+    const { groupId, messageGroupId } = req.params;
+
+    const membership = await getAdminMembership(req, res);
+    if (!membership) return;
+
+    const { policy, error } = validateRetentionPolicy(req.body || {}, MESSAGE_GROUP_RETENTION_FIELDS);
+    if (error) {
+      return res.status(400).json({ error: 'Bad Request', message: error });
+    }
+
+    const messageGroup = await prisma.messageGroup.findUnique({
+      where: { messageGroupId: messageGroupId },
+      select: { messageGroupId: true, groupId: true, name: true },
+    });
+
+    if (!messageGroup || messageGroup.groupId !== groupId) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Message group not found',
+      });
+    }
+
+    await requestRetentionChange(res, { groupId, membership, messageGroup, policy });
+  } catch (error) {
+    console.error('Update message group retention error:', error);
+    res.status(500).json({ error: 'Failed to update retention policy', message: error.message });
+  }
+}
+
+module.exports = {
+  getRetentionPolicy,
+  updateRetentionPolicy,
+  updateMessageGroupRetention,
+  applyRetentionPolicy,
+};
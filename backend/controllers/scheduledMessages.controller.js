@@ -0,0 +1,607 @@
+/**
+ * Scheduled Messages Controller
+ *
+ * Drafts and scheduled messages for message groups. A draft is a member's
+ * unsent composer text, kept server-side so it follows them across devices.
+ * A scheduled message is sent later by jobs/deliverScheduledMessages.js
+ * through the same send path as the messages endpoint; until then the sender
+ * can edit or cancel it. Both are encrypted like messages.
+ */
+
+const { prisma } = require('../config/database');
+const encryptionService = require('../services/encryption.service');
+const groupKeysService = require('../services/groupKeys.service');
+const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissions');
+const { validateScheduledFor, isEditable } = require('../utils/scheduledMessages');
+
+/**
+ * Load the current member and check they can post in the message group
+ * Sends the error response itself and returns null when not allowed.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {boolean} [isWrite] - Also check the group is not read-only
+ * @returns {Promise<Object|null>} GroupMember
+ */
+async function getSenderAccess(req, res, isWrite = true) {
+  const userId = req.user?.userId;
+  const { groupId, messageGroupId } = req.params;
+
+  if (!userId) {
+    res.status(401).json({
+      error: 'Unauthorized',
+      message: 'User not authenticated',
+    });
+    return null;
+  }
+
+  const groupMembership = await prisma.groupMember.findUnique({
+    where: {
+      groupId_userId: {
+        groupId: groupId,
+        userId: userId,
+      },
+    },
+  });
+
+  if (!groupMembership) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'You are not a member of this group',
+    });
+    return null;
+  }
+
+  // Supervisors cannot send messages, so they have nothing to draft or schedule
+  if (groupMembership.role === 'supervisor') {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'Supervisors cannot send messages',
+    });
+    return null;
+  }
+
+  if (isWrite) {
+    const group = await prisma.group.findUnique({
+      where: { groupId: groupId },
+      select: { readOnlyUntil: true, hasActiveAdmin: true },
+    });
+
+    if (isGroupReadOnly(group)) {
+      res.status(403).json(getReadOnlyErrorResponse(group));
+      return null;
+    }
+  }
+
+  const messageGroupMembership = await prisma.messageGroupMember.findFirst({
+    where: {
+      messageGroupId: messageGroupId,
+      groupMemberId: groupMembership.groupMemberId,
+    },
+    include: {
+      messageGroup: {
+        select: { groupId: true, name: true },
+      },
+    },
+  });
+
+  if (!messageGroupMembership || messageGroupMembership.messageGroup.groupId !== groupId) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'You are not a member of this message group',
+    });
+    return null;
+  }
+
+  return { ...groupMembership, messageGroupName: messageGroupMembership.messageGroup.name };
+}
+
+/**
+ * Keep only mentions of members of the message group
+ */
+async function filterMentions(messageGroupId, mentions) {
+  if (!Array.isArray(mentions) || mentions.length === 0) {
+    return [];
+  }
+
+  const members = await prisma.messageGroupMember.findMany({
+    where: {
+      messageGroupId: messageGroupId,
+      groupMemberId: { in: mentions },
+    },
+    select: { groupMemberId: true },
+  });
+
+  return members.map(m => m.groupMemberId);
+}
+
+/**
+ * Format a scheduled message for clients
+ */
+function formatScheduledMessage(scheduled, groupKeyring) {
+  return {
+    scheduledMessageId: scheduled.scheduledMessageId,
+    messageGroupId: scheduled.messageGroupId,
+    content: encryptionService.decrypt(scheduled.content, groupKeyring),
+    mentions: scheduled.mentions,
+    mediaFiles: scheduled.mediaFiles || [],
+    replyToId: scheduled.replyToId,
+    scheduledFor: scheduled.scheduledFor,
+    status: scheduled.status,
+    failureReason: scheduled.failureReason,
+    sentMessageId: scheduled.sentMessageId,
+    createdAt: scheduled.createdAt,
+    updatedAt: scheduled.updatedAt,
+  };
+}
+
+/**
+ * Create a messages audit log entry for a scheduled message
+ */
+async function logScheduledMessage(membership, action, scheduledMessageId, details) {
+  let auditLogContent = `Message Group: "${membership.messageGroupName}" (ID: ${details.messageGroupId})\n`;
+  auditLogContent += `Scheduled message ID: ${scheduledMessageId}\n`;
+  if (details.scheduledFor) {
+    auditLogContent += `Scheduled for: ${details.scheduledFor.toISOString()}\n`;
+  }
+  if (details.content !== undefined) {
+    auditLogContent += `Content: "${details.content}"\n`;
+  }
+
+  await prisma.auditLog.create({
+    data: {
+      groupId: membership.groupId,
+      action: action,
+      performedBy: membership.groupMemberId,
+      performedByName: membership.displayName,
+      performedByEmail: membership.email || 'N/A',
+      actionLocation: 'messages',
+      messageContent: auditLogContent,
+    },
+  });
+}
+
+/**
+ * Get your draft for a message group
+ * GET /groups/:groupId/message-groups/:messageGroupId/draft
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getDraft(req, res) {
+  try {
+    const membership = await getSenderAccess(req, res, false);
+    if (!membership) return;
+
+    const { groupId, messageGroupId } = req.params;
+
+    const draft = await prisma.messageDraft.findUnique({
+      where: {
+        messageGroupId_groupMemberId: {
+          messageGroupId: messageGroupId,
+          groupMemberId: membership.groupMemberId,
+        },
+      },
+    });
+
+    if (!draft) {
+      return res.status(200).json({ success: true, draft: null });
+    }
+
+    const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
+
+    res.status(200).json({
+      success: true,
+      draft: {
+        content: encryptionService.decrypt(draft.content, groupKeyring),
+        mentions: draft.mentions,
+        replyToId: draft.replyToId,
+        updatedAt: draft.updatedAt,
+      },
+    });
+  } catch (error) {
+    console.error('Get draft error:', error);
+    res.status(500).json({
+      error: 'Failed to get draft',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Save your draft for a message group (empty content clears it)
+ * PUT /groups/:groupId/message-groups/:messageGroupId/draft
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function saveDraft(req, res) {
+  try {
+    const { groupId, messageGroupId } = req.params;
+    const { content, mentions, replyToId } = req.body;
+
+    if (content !== undefined && typeof content !== 'string') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'content must be a string',
+      });
+    }
+
+    const membership = await getSenderAccess(req, res, false);
+    if (!membership) return;
+
+    const where = {
+      messageGroupId_groupMemberId: {
+        messageGroupId: messageGroupId,
+        groupMemberId: membership.groupMemberId,
+      },
+    };
+
+    if (!content || content.trim().length === 0) {
+      await prisma.messageDraft.deleteMany({ where: where.messageGroupId_groupMemberId });
+      return res.status(200).json({ success: true, draft: null });
+    }
+
+    const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
+    const data = {
+      content: encryptionService.encrypt(content, groupKeyring),
+      mentions: await filterMentions(messageGroupId, mentions),
+      replyToId: replyToId || null,
+    };
+
+    const draft = await prisma.messageDraft.upsert({
+      where: where,
+      update: data,
+      create: {
+        ...data,
+        messageGroupId: messageGroupId,
+        groupMemberId: membership.groupMemberId,
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      draft: {
+        content: content,
+        mentions: draft.mentions,
+        replyToId: draft.replyToId,
+        updatedAt: draft.updatedAt,
+      },
+    });
+  } catch (error) {
+    console.error('Save draft error:', error);
+    res.status(500).json({
+      error: 'Failed to save draft',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Discard your draft for a message group
+ * DELETE /groups/:groupId/message-groups/:messageGroupId/draft
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function deleteDraft(req, res) {
+  try {
+    const membership = await getSenderAccess(req, res, false);
+    if (!membership) return;
+
+    await prisma.messageDraft.deleteMany({
+      where: {
+        messageGroupId: req.params.messageGroupId,
+        groupMemberId: membership.groupMemberId,
+      },
+    });
+
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Delete draft error:', error);
+    res.status(500).json({
+      error: 'Failed to delete draft',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Get your scheduled messages for a message group that haven't been sent
+ * GET /groups/:groupId/message-groups/:messageGroupId/scheduled-messages
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getScheduledMessages(req, res) {
+  try {
+    const membership = await getSenderAccess(req, res, false);
+    if (!membership) return;
+
+    const { groupId, messageGroupId } = req.params;
+
+    const scheduledMessages = await prisma.scheduledMessage.findMany({
+      where: {
+        messageGroupId: messageGroupId,
+        senderId: membership.groupMemberId,
+        status: { in: ['scheduled', 'sending', 'failed'] },
+      },
+      orderBy: { scheduledFor: 'asc' },
+    });
+
+    const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
+
+    res.status(200).json({
+      success: true,
+      scheduledMessages: scheduledMessages.map(s => formatScheduledMessage(s, groupKeyring)),
+    });
+  } catch (error) {
+    console.error('Get scheduled messages error:', error);
+    res.status(500).json({
+      error: 'Failed to get scheduled messages',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Schedule a message to be sent later
+ * POST /groups/:groupId/message-groups/:messageGroupId/scheduled-messages
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createScheduledMessage(req, res) {
+  try {
+    const { groupId, messageGroupId } = req.params;
+    const { content, mentions, mediaFiles, replyToId, scheduledFor: scheduledForInput } = req.body;
+
+    const hasMedia = Array.isArray(mediaFiles) && mediaFiles.length > 0;
+    if ((typeof content !== 'string' || content.trim().length === 0) && !hasMedia) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Message must have content or media attachments',
+      });
+    }
+
+    const { scheduledFor, error: scheduleError } = validateScheduledFor(scheduledForInput);
+    if (scheduleError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: scheduleError,
+      });
+    }
+
+    const membership = await getSenderAccess(req, res);
+    if (!membership) return;
+
+    const messageContent = typeof content === 'string' && content.trim().length > 0 ? content.trim() : ' ';
+    const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
+
+    const scheduled = await prisma.scheduledMessage.create({
+      data: {
+        messageGroupId: messageGroupId,
+        senderId: membership.groupMemberId,
+        content: encryptionService.encrypt(messageContent, groupKeyring),
+        mentions: await filterMentions(messageGroupId, mentions),
+        mediaFiles: hasMedia ? mediaFiles : undefined,
+        replyToId: replyToId || null,
+        scheduledFor: scheduledFor,
+      },
+    });
+
+    // The composer's draft is now scheduled
+    await prisma.messageDraft.deleteMany({
+      where: {
+        messageGroupId: messageGroupId,
+        groupMemberId: membership.groupMemberId,
+      },
+    });
+
+    await logScheduledMessage(membership, 'schedule_message', scheduled.scheduledMessageId, {
+      messageGroupId,
+      scheduledFor,
+      content: messageContent,
+    });
+
+    res.status(201).json({
+      success: true,
+      scheduledMessage: formatScheduledMessage(scheduled, groupKeyring),
+    });
+  } catch (error) {
+    console.error('Create scheduled message error:', error);
+    res.status(500).json({
+      error: 'Failed to schedule message',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Load one of your scheduled messages
+ * Sends the error response itself and returns null when not found.
+ */
+async function findOwnScheduledMessage(req, res, membership) {
+  const { messageGroupId, scheduledMessageId } = req.params;
+
+  const scheduled = await prisma.scheduledMessage.findUnique({
+    where: { scheduledMessageId: scheduledMessageId },
+  });
+
+  if (!scheduled || scheduled.messageGroupId !== messageGroupId || scheduled.senderId !== membership.groupMemberId) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Scheduled message not found',
+    });
+    return null;
+  }
+
+  if (!isEditable(scheduled)) {
+    res.status(409).json({
+      error: 'Conflict',
+      message: `This message can no longer be changed (${scheduled.status})`,
+    });
+    return null;
+  }
+
+  return scheduled;
+}
+
+/**
+ * Edit a scheduled message before it is sent
+ * PUT /groups/:groupId/message-groups/:messageGroupId/scheduled-messages/:scheduledMessageId
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updateScheduledMessage(req, res) {
+  try {
+    const { groupId, messageGroupId } = req.params;
+    const { content, mentions, scheduledFor: scheduledForInput } = req.body;
+
+    if (content === undefined && mentions === undefined && scheduledForInput === undefined) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'At least one field (content, mentions or scheduledFor) is required',
+      });
+    }
+
+    if (content !== undefined && typeof content !== 'string') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'content must be a string',
+      });
+    }
+
+    let scheduledFor;
+    if (scheduledForInput !== undefined) {
+      const validation = validateScheduledFor(scheduledForInput);
+      if (validation.error) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: validation.error,
+        });
+      }
+      scheduledFor = validation.scheduledFor;
+    }
+
+    const membership = await getSenderAccess(req, res);
+    if (!membership) return;
+
+    const scheduled = await findOwnScheduledMessage(req, res, membership);
+    if (!scheduled) return;
+
+    const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
+    const data = {};
+    let messageContent;
+
+    if (content !== undefined) {
+      messageContent = content.trim().length > 0 ? content.trim() : ' ';
+      const hasMedia = Array.isArray(scheduled.mediaFiles) && scheduled.mediaFiles.length > 0;
+      if (messageContent === ' ' && !hasMedia) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Message must have content or media attachments',
+        });
+      }
+      data.content = encryptionService.encrypt(messageContent, groupKeyring);
+    }
+    if (mentions !== undefined) {
+      data.mentions = await filterMentions(messageGroupId, mentions);
+    }
+    if (scheduledFor) {
+      data.scheduledFor = scheduledFor;
+    }
+
+    // Only while still waiting - the delivery job may have claimed it meanwhile
+    const updated = await prisma.scheduledMessage.updateMany({
+      where: { scheduledMessageId: scheduled.scheduledMessageId, status: 'scheduled' },
+      data: data,
+    });
+
+    if (updated.count === 0) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'This message is already being sent',
+      });
+    }
+
+    await logScheduledMessage(membership, 'update_scheduled_message', scheduled.scheduledMessageId, {
+      messageGroupId,
+      scheduledFor: scheduledFor || scheduled.scheduledFor,
+      content: messageContent,
+    });
+
+    const result = await prisma.scheduledMessage.findUnique({
+      where: { scheduledMessageId: scheduled.scheduledMessageId },
+    });
+
+    res.status(200).json({
+      success: true,
+      scheduledMessage: formatScheduledMessage(result, groupKeyring),
+    });
+  } catch (error) {
+    console.error('Update scheduled message error:', error);
+    res.status(500).json({
+      error: 'Failed to update scheduled message',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Cancel a scheduled message before it is sent
+ * DELETE /groups/:groupId/message-groups/:messageGroupId/scheduled-messages/:scheduledMessageId
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function cancelScheduledMessage(req, res) {
+  try {
+    const { messageGroupId } = req.params;
+
+    const membership = await getSenderAccess(req, res, false);
+    if (!membership) return;
+
+    const scheduled = await findOwnScheduledMessage(req, res, membership);
+    if (!scheduled) return;
+
+    const cancelled = await prisma.scheduledMessage.updateMany({
+      where: { scheduledMessageId: scheduled.scheduledMessageId, status: 'scheduled' },
+      data: { status: 'cancelled' },
+    });
+
+    if (cancelled.count === 0) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'This message is already being sent',
+      });
+    }
+
+    await logScheduledMessage(membership, 'cancel_scheduled_message', scheduled.scheduledMessageId, {
+      messageGroupId,
+      scheduledFor: scheduled.scheduledFor,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled message cancelled',
+    });
+  } catch (error) {
+    console.error('Cancel scheduled message error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel scheduled message',
+      message: error.message,
+    });
+  }
+}
+
+module.exports = {
+  getDraft,
+  saveDraft,
+  deleteDraft,
+  getScheduledMessages,
+  createScheduledMessage,
+  updateScheduledMessage,
+  cancelScheduledMessage,
+};
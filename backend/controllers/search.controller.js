@@ -0,0 +1,413 @@
+/**
+ * Search Controller
+ *
+ * Unified search within a group across messages, wiki documents, group
+ * document file names, calendar events and finance matters.
+ *
+ * Messages and wiki documents are encrypted at rest, so they are found through
+ * the blind keyword index (services/searchIndex.service.js) and confirmed after
+ * decryption. The other sources are stored in plaintext and are matched in the
+ * database. Every word of the query must match (by word prefix for indexed
+ * content, anywhere in the text otherwise).
+ *
+ * Each source follows the role visibility in GroupSettings, and every search
+ * is recorded in the audit log.
+ */
+
+const { prisma } = require('../config/database');
+const encryptionService = require('../services/encryption.service');
+const groupKeysService = require('../services/groupKeys.service');
+const searchIndexService = require('../services/searchIndex.service');
+
+// Searchable sources and the GroupSettings prefix that controls their visibility
+const SEARCH_TYPES = {
+  messages: 'messageGroups',
+  wiki: 'wiki',
+  documents: 'documents',
+  calendar: 'calendar',
+  finance: 'finance',
+};
+
+// GroupSettings field suffix for each role
+const ROLE_SUFFIXES = {
+  admin: 'Admins',
+  parent: 'Parents',
+  adult: 'Adults',
+  caregiver: 'Caregivers',
+  child: 'Children',
+  supervisor: 'Supervisors',
+};
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_RESULTS_PER_TYPE = 25;
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Safely decrypt content
+ * Falls back to original content if decryption fails (for unencrypted legacy data)
+ */
+function safeDecrypt(encryptedText, keyring) {
+  if (!encryptedText) return encryptedText;
+  try {
+    return encryptionService.decrypt(encryptedText, keyring);
+  } catch (error) {
+    return encryptedText;
+  }
+}
+
+/**
+ * Check whether a role can see a source
+ *
+ * @param {string} type - SEARCH_TYPES key
+ * @param {string} role - GroupMember role
+ * @param {Object|null} groupSettings
+ * @returns {boolean}
+ */
+function canSearchType(type, role, groupSettings) {
+  const suffix = ROLE_SUFFIXES[role];
+  if (!suffix || !groupSettings) {
+    return false;
+  }
+  return groupSettings[`${SEARCH_TYPES[type]}VisibleTo${suffix}`] === true;
+}
+
+/**
+ * Build a short snippet of text around the first matching word
+ *
+ * @param {string} text
+ * @param {string[]} queryWords - Normalised query words
+ * @returns {string}
+ */
+function buildSnippet(text, queryWords) {
+  if (!text) {
+    return '';
+  }
+
+  const flat = text.replace(/\s+/g, ' ').trim();
+  if (flat.length <= SNIPPET_LENGTH) {
+    return flat;
+  }
+
+  const lower = flat.toLowerCase();
+  const positions = queryWords
+    .map(word => lower.indexOf(word))
+    .filter(index => index >= 0);
+  const matchAt = positions.length > 0 ? Math.min(...positions) : 0;
+
+  const start = Math.max(0, matchAt - Math.floor(SNIPPET_LENGTH / 3));
+  const end = Math.min(flat.length, start + SNIPPET_LENGTH);
+
+  return `${start > 0 ? '…' : ''}${flat.slice(start, end).trim()}${end < flat.length ? '…' : ''}`;
+}
+
+/**
+ * Prisma filter requiring every query word in at least one of the fields
+ *
+ * @param {string[]} fields
+ * @param {string[]} terms
+ * @returns {Object}
+ */
+function containsAllTerms(fields, terms) {
+  return {
+    AND: terms.map(term => ({
+      OR: fields.map(field => ({ [field]: { contains: term, mode: 'insensitive' } })),
+    })),
+  };
+}
+
+/**
+ * Search messages in the message groups the member can access
+ * Admins can read every message group; others only those they belong to.
+ */
+async function searchMessages(groupId, membership, query, queryWords) {
+  const messageGroups = await prisma.messageGroup.findMany({
+    where: {
+      groupId,
+      ...(membership.role !== 'admin' && {
+        isHidden: false,
+        members: { some: { groupMemberId: membership.groupMemberId } },
+      }),
+    },
+    select: { messageGroupId: true, name: true },
+  });
+
+  const messageIds = await searchIndexService.findEntities({
+    groupId,
+    entityType: searchIndexService.ENTITY_TYPES.MESSAGE,
+    query,
+    scopeIds: messageGroups.map(mg => mg.messageGroupId),
+  });
+
+  if (messageIds.length === 0) {
+    return [];
+  }
+
+  const messages = await prisma.message.findMany({
+    where: {
+      messageId: { in: messageIds },
+      messageGroupId: { in: messageGroups.map(mg => mg.messageGroupId) },
+      isHidden: false,
+    },
+    include: {
+      sender: {
+        select: {
+          displayName: true,
+          user: { select: { displayName: true } },
+        },
+      },
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  const groupNames = new Map(messageGroups.map(mg => [mg.messageGroupId, mg.name]));
+  const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
+
+  return messages
+    .map(message => ({ message, content: safeDecrypt(message.content, groupKeyring) }))
+    .filter(({ content }) => searchIndexService.textMatchesQuery([content], queryWords))
+    .slice(0, MAX_RESULTS_PER_TYPE)
+    .map(({ message, content }) => ({
+      type: 'messages',
+      id: message.messageId,
+      title: groupNames.get(message.messageGroupId),
+      snippet: buildSnippet(content, queryWords),
+      date: message.createdAt,
+      messageGroupId: message.messageGroupId,
+      sender: message.sender.user?.displayName || message.sender.displayName,
+    }));
+}
+
+/**
+ * Search wiki documents
+ */
+async function searchWiki(groupId, query, queryWords) {
+  const documentIds = await searchIndexService.findEntities({
+    groupId,
+    entityType: searchIndexService.ENTITY_TYPES.WIKI,
+    query,
+  });
+
+  if (documentIds.length === 0) {
+    return [];
+  }
+
+  const documents = await prisma.wikiDocument.findMany({
+    where: {
+      groupId,
+      documentId: { in: documentIds },
+      isHidden: false,
+    },
+    orderBy: { updatedAt: 'desc' },
+  });
+  const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
+
+  return documents
+    .map(doc => ({ doc, title: safeDecrypt(doc.title, groupKeyring), content: safeDecrypt(doc.content, groupKeyring) }))
+    .filter(({ title, content }) => searchIndexService.textMatchesQuery([title, content], queryWords))
+    .slice(0, MAX_RESULTS_PER_TYPE)
+    .map(({ doc, title, content }) => ({
+      type: 'wiki',
+      id: doc.documentId,
+      title,
+      snippet: buildSnippet(content, queryWords),
+      date: doc.updatedAt,
+    }));
+}
+
+/**
+ * Search group document file names
+ */
+async function searchDocuments(groupId, terms) {
+  const documents = await prisma.groupDocument.findMany({
+    where: {
+      groupId,
+      isHidden: false,
+      ...containsAllTerms(['fileName'], terms),
+    },
+    orderBy: { uploadedAt: 'desc' },
+    take: MAX_RESULTS_PER_TYPE,
+  });
+
+  return documents.map(doc => ({
+    type: 'documents',
+    id: doc.documentId,
+    title: doc.fileName,
+    snippet: doc.mimeType,
+    date: doc.uploadedAt,
+  }));
+}
+
+/**
+ * Search calendar events by title and notes
+ */
+async function searchCalendar(groupId, terms, queryWords) {
+  const events = await prisma.calendarEvent.findMany({
+    where: {
+      groupId,
+      ...containsAllTerms(['title', 'notes'], terms),
+    },
+    orderBy: { startTime: 'desc' },
+    take: MAX_RESULTS_PER_TYPE,
+  });
+
+  return events.map(event => ({
+    type: 'calendar',
+    id: event.eventId,
+    title: event.title,
+    snippet: buildSnippet(event.notes, queryWords),
+    date: event.startTime,
+    isRecurring: event.isRecurring,
+  }));
+}
+
+/**
+ * Search finance matters by name and description
+ * Like the finance list, non-admins only find matters they belong to.
+ */
+async function searchFinance(groupId, membership, terms, queryWords) {
+  const matters = await prisma.financeMatter.findMany({
+    where: {
+      groupId,
+      ...(membership.role !== 'admin' && {
+        members: { some: { groupMemberId: membership.groupMemberId } },
+      }),
+      ...containsAllTerms(['name', 'description'], terms),
+    },
+    orderBy: { createdAt: 'desc' },
+    take: MAX_RESULTS_PER_TYPE,
+  });
+
+  return matters.map(matter => ({
+    type: 'finance',
+    id: matter.financeMatterId,
+    title: matter.name,
+    snippet: buildSnippet(matter.description, queryWords) ||
+      `${matter.currency} ${parseFloat(matter.totalAmount).toFixed(2)}`,
+    date: matter.createdAt,
+  }));
+}
+
+/**
+ * Search a group
+ * GET /groups/:groupId/search?q=&types=messages,wiki,documents,calendar,finance
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function searchGroup(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId } = req.params;
+    const query = (req.query.q || '').trim();
+
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'User not authenticated',
+      });
+    }
+
+    const queryWords = searchIndexService.normalizeWords(query);
+    if (queryWords.length === 0) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Search query is required',
+      });
+    }
+
+    if (query.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Search query must be ${MAX_QUERY_LENGTH} characters or less`,
+      });
+    }
+
+    const requestedTypes = req.query.types
+      ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+      : Object.keys(SEARCH_TYPES);
+
+    const unknownTypes = requestedTypes.filter(type => !SEARCH_TYPES[type]);
+    if (unknownTypes.length > 0) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Unknown search types: ${unknownTypes.join(', ')}. Use ${Object.keys(SEARCH_TYPES).join(', ')}`,
+      });
+    }
+
+    // Check membership
+    const membership = await prisma.groupMember.findFirst({
+      where: {
+        groupId,
+        userId,
+        isRegistered: true,
+      },
+    });
+
+    if (!membership) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You are not a member of this group',
+      });
+    }
+
+    const groupSettings = await prisma.groupSettings.findUnique({
+      where: { groupId },
+    });
+
+    const types = requestedTypes.filter(type => canSearchType(type, membership.role, groupSettings));
+
+    // Plaintext sources match the raw query words, not the normalised ones
+    const terms = query.split(/\s+/).filter(Boolean);
+
+    const searches = {
+      messages: () => searchMessages(groupId, membership, query, queryWords),
+      wiki: () => searchWiki(groupId, query, queryWords),
+      documents: () => searchDocuments(groupId, terms),
+      calendar: () => searchCalendar(groupId, terms, queryWords),
+      finance: () => searchFinance(groupId, membership, terms, queryWords),
+    };
+
+    const results = [];
+    for (const type of types) {
+      results.push(...await searches[type]());
+    }
+
+    results.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    const counts = Object.fromEntries(types.map(type => [
+      type,
+      results.filter(result => result.type === type).length,
+    ]));
+
+    await prisma.auditLog.create({
+      data: {
+        groupId,
+        action: 'search',
+        performedBy: membership.groupMemberId,
+        performedByName: membership.displayName,
+        performedByEmail: membership.email || 'N/A',
+        actionLocation: 'search',
+        messageContent: `Searched for "${query}" in ${types.join(', ') || 'no accessible sections'} (${results.length} results)`,
+        logData: { types, counts },
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      query,
+      types,
+      counts,
+      results,
+    });
+  } catch (error) {
+    console.error('Search group error:', error);
+    res.status(500).json({
+      error: 'Failed to search',
+      message: error.message,
+    });
+  }
+}
+
+module.exports = {
+  searchGroup,
+};
@@ -0,0 +1,123 @@
+/**
+ * SFU Controller
+ *
+ * Delivers the SFU's signalling messages (services/sfu.service.js) to call
+ * participants and the recorder, the same way participants' signals are
+ * delivered to each other: pushed over the realtime channel, and stored for
+ * the polling fallback.
+ */
+
+const { prisma } = require('../config/database');
+const realtimeService = require('../services/realtime.service');
+const sfuService = require('../services/sfu.service');
+
+const CALL_MODELS = { phone: 'phoneCall', video: 'videoCall' };
+
+/**
+ * Deliver a signal from the SFU
+ * POST /sfu/signal
+ *
+ * Protected by X-API-Key header (SFU_API_KEY env var, required)
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function receiveSignal(req, res) {
+  try {
+    if (!sfuService.isEnabled()) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'SFU is not configured',
+      });
+    }
+
+    if (!process.env.SFU_API_KEY) {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'SFU_API_KEY is not configured',
+      });
+    }
+
+    if (!sfuService.isValidApiKey(req.headers['x-api-key'])) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid API key',
+      });
+    }
+
+    const { callType, callId, toPeerId, type, data } = req.body;
+
+    if (!CALL_MODELS[callType] || !callId || !toPeerId || !data) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'callType, callId, toPeerId and data are required',
+      });
+    }
+
+    if (!['offer', 'answer', 'ice-candidate'].includes(type)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Invalid signal type',
+      });
+    }
+
+    const call = await prisma[CALL_MODELS[callType]].findUnique({
+      where: { callId },
+      include: { participants: true },
+    });
+
+    if (!call || call.topology !== sfuService.TOPOLOGIES.SFU || call.status === 'ended') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Call not found',
+      });
+    }
+
+    const isInCall = toPeerId === 'recorder'
+      || call.initiatedBy === toPeerId
+      || call.participants.some(p => p.groupMemberId === toPeerId);
+
+    if (!isInCall) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Peer is not part of this call',
+      });
+    }
+
+    // Pending until the client acks it, so polling picks it up if the push is lost
+    const signal = await prisma.webRTCSignal.create({
+      data: {
+        callId,
+        callType,
+        fromPeerId: sfuService.SFU_PEER_ID,
+        toPeerId,
+        signalType: type,
+        signalData: data,
+      },
+    });
+
+    realtimeService.publish(
+      realtimeService.callPeerTopic(callType, callId, toPeerId),
+      realtimeService.EVENTS.CALL_SIGNAL,
+      {
+        signalId: signal.signalId,
+        type,
+        data,
+        from: sfuService.SFU_PEER_ID,
+        timestamp: signal.createdAt.getTime(),
+      }
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Receive SFU signal error:', error);
+    res.status(500).json({
+      error: 'Failed to deliver signal',
+      message: error.message,
+    });
+  }
+}
+
+module.exports = {
+  receiveSignal,
+};
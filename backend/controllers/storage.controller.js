@@ -1649,6 +1649,162 @@ function formatFileSize(bytes) {
   return `${bytes} bytes`;
 }
 
+/**
+ * Recalculate a group's storage usage from the files it still has
+ * Every admin of the group is charged for all of its files, so each admin's
+ * storage_usage rows for the group are reset to the totals and their overall
+ * storage is summed again.
+ *
+ * @param {string} groupId
+ * @returns {Promise<number>} Number of admins updated
+ */
+async function recalculateGroupStorage(groupId) {
+  let adminsUpdated = 0;
+
+  // Get all non-deleted media files in this group's messages
+  const mediaFiles = await prisma.messageMedia.findMany({
+    where: {
+      isHidden: false, // Only count non-deleted files
+      message: {
+        messageGroup: {
+          groupId: groupId,
+        },
+      },
+    },
+    select: {
+      mediaType: true,
+      fileSizeBytes: true,
+    },
+  });
+
+  // Get all non-deleted secure documents (GroupDocument) in this group
+  const secureDocuments = await prisma.groupDocument.findMany({
+    where: {
+      groupId: groupId,
+      isHidden: false,
+    },
+    select: {
+      fileSizeBytes: true,
+    },
+  });
+
+  // Calculate totals by media type
+  const totals = {
+    image: { count: 0, bytes: BigInt(0) },
+    video: { count: 0, bytes: BigInt(0) },
+    audio: { count: 0, bytes: BigInt(0) },
+    document: { count: 0, bytes: BigInt(0) },
+    phonecall: { count: 0, bytes: BigInt(0) },
+    videocall: { count: 0, bytes: BigInt(0) },
+  };
+
+  // Count message media files
+  for (const file of mediaFiles) {
+    let mediaType = 'document';
+    if (file.mediaType === 'image' || file.mediaType?.startsWith('image/')) {
+      mediaType = 'image';
+    } else if (file.mediaType === 'video' || file.mediaType?.startsWith('video/')) {
+      mediaType = 'video';
+    } else if (file.mediaType === 'audio' || file.mediaType?.startsWith('audio/')) {
+      mediaType = 'audio';
+    } else if (file.mediaType === 'phonecall') {
+      mediaType = 'phonecall';
+    } else if (file.mediaType === 'videocall') {
+      mediaType = 'videocall';
+    }
+
+    totals[mediaType].count += 1;
+    totals[mediaType].bytes += file.fileSizeBytes || BigInt(0);
+  }
+
+  // Count secure documents
+  for (const doc of secureDocuments) {
+    totals.document.count += 1;
+    totals.document.bytes += doc.fileSizeBytes || BigInt(0);
+  }
+
+  // Count call recordings that haven't been deleted (each chunk, or the legacy single file)
+  const recordingSelect = {
+    recordingUrl: true,
+    recordingSizeBytes: true,
+    recordingChunks: { select: { sizeBytes: true } },
+  };
+  const [phoneCalls, videoCalls] = await Promise.all([
+    prisma.phoneCall.findMany({ where: { groupId: groupId, recordingIsHidden: false }, select: recordingSelect }),
+    prisma.videoCall.findMany({ where: { groupId: groupId, recordingIsHidden: false }, select: recordingSelect }),
+  ]);
+
+  for (const [mediaType, calls] of [['phonecall', phoneCalls], ['videocall', videoCalls]]) {
+    for (const call of calls) {
+      if (call.recordingChunks.length > 0) {
+        for (const chunk of call.recordingChunks) {
+          totals[mediaType].count += 1;
+          totals[mediaType].bytes += chunk.sizeBytes || BigInt(0);
+        }
+      } else if (call.recordingUrl) {
+        totals[mediaType].count += 1;
+        totals[mediaType].bytes += call.recordingSizeBytes || BigInt(0);
+      }
+    }
+  }
+
+  // Get all admins for this group
+  const admins = await prisma.groupMember.findMany({
+    where: {
+      groupId: groupId,
+      role: 'admin',
+    },
+    select: { userId: true },
+  });
+
+  // Update storage_usage for each admin and media type
+  for (const admin of admins) {
+    if (!admin.userId) continue;
+
+    for (const [mediaType, data] of Object.entries(totals)) {
+      // Upsert the storage usage record
+      await prisma.storageUsage.upsert({
+        where: {
+          userId_groupId_mediaType: {
+            userId: admin.userId,
+            groupId: groupId,
+            mediaType: mediaType,
+          },
+        },
+        update: {
+          fileCount: data.count,
+          totalBytes: data.bytes,
+          lastCalculatedAt: new Date(),
+        },
+        create: {
+          userId: admin.userId,
+          groupId: groupId,
+          mediaType: mediaType,
+          fileCount: data.count,
+          totalBytes: data.bytes,
+        },
+      });
+    }
+
+    // Recalculate total user storage
+    const allUserStorage = await prisma.storageUsage.aggregate({
+      where: { userId: admin.userId },
+      _sum: { totalBytes: true },
+    });
+
+    await prisma.user.update({
+      where: { userId: admin.userId },
+      data: {
+        storageUsedBytes: allUserStorage._sum.totalBytes || BigInt(0),
+      },
+    });
+
+    adminsUpdated++;
+  }
+
+  return adminsUpdated;
+}
+
 /**
  * POST /storage/recalculate
  * Recalculate storage usage based on actual non-deleted files
@@ -1689,121 +1845,7 @@ async function recalculateStorage(req, res) {
 
     // For each group, recalculate storage based on actual files
     for (const groupId of groupIds) {
-      // Get all non-deleted media files in this group's messages
-      const mediaFiles = await prisma.messageMedia.findMany({
-        where: {
-          isHidden: false, // Only count non-deleted files
-          message: {
-            messageGroup: {
-              groupId: groupId,
-            },
-          },
-        },
-        select: {
-          mediaType: true,
-          fileSizeBytes: true,
-        },
-      });
-
-      // Get all non-deleted secure documents (GroupDocument) in this group
-      const secureDocuments = await prisma.groupDocument.findMany({
-        where: {
-          groupId: groupId,
-          isHidden: false,
-        },
-        select: {
-          fileSizeBytes: true,
-        },
-      });
-
-      // Calculate totals by media type
-      const totals = {
-        image: { count: 0, bytes: BigInt(0) },
-        video: { count: 0, bytes: BigInt(0) },
-        audio: { count: 0, bytes: BigInt(0) },
-        document: { count: 0, bytes: BigInt(0) },
-        phonecall: { count: 0, bytes: BigInt(0) },
-        videocall: { count: 0, bytes: BigInt(0) },
-      };
-
-      // Count message media files
-      for (const file of mediaFiles) {
-        let mediaType = 'document';
-        if (file.mediaType === 'image' || file.mediaType?.startsWith('image/')) {
-          mediaType = 'image';
-        } else if (file.mediaType === 'video' || file.mediaType?.startsWith('video/')) {
-          mediaType = 'video';
-        } else if (file.mediaType === 'audio' || file.mediaType?.startsWith('audio/')) {
-          mediaType = 'audio';
-        } else if (file.mediaType === 'phonecall') {
-          mediaType = 'phonecall';
-        } else if (file.mediaType === 'videocall') {
-          mediaType = 'videocall';
-        }
-
-        totals[mediaType].count += 1;
-        totals[mediaType].bytes += file.fileSizeBytes || BigInt(0);
-      }
-
-      // Count secure documents
-      for (const doc of secureDocuments) {
-        totals.document.count += 1;
-        totals.document.bytes += doc.fileSizeBytes || BigInt(0);
-      }
-
-      // Get all admins for this group
-      const admins = await prisma.groupMember.findMany({
-        where: {
-          groupId: groupId,
-          role: 'admin',
-        },
-        select: { userId: true },
-      });
-
-      // Update storage_usage for each admin and media type
-      for (const admin of admins) {
-        if (!admin.userId) continue;
-
-        for (const [mediaType, data] of Object.entries(totals)) {
-          // Upsert the storage usage record
-          await prisma.storageUsage.upsert({
-            where: {
-              userId_groupId_mediaType: {
-                userId: admin.userId,
-                groupId: groupId,
-                mediaType: mediaType,
-              },
-            },
-            update: {
-              fileCount: data.count,
-              totalBytes: data.bytes,
-              lastCalculatedAt: new Date(),
-            },
-            create: {
-              userId: admin.userId,
-              groupId: groupId,
-              mediaType: mediaType,
-              fileCount: data.count,
-              totalBytes: data.bytes,
-            },
-          });
-        }
-
-        // Recalculate total user storage
-        const allUserStorage = await prisma.storageUsage.aggregate({
-          where: { userId: admin.userId },
-          _sum: { totalBytes: true },
-        });
-
-        await prisma.user.update({
-          where: { userId: admin.userId },
-          data: {
-            storageUsedBytes: allUserStorage._sum.totalBytes || BigInt(0),
-          },
-        });
-
-        totalRecalculated++;
-      }
+      totalRecalculated += await recalculateGroupStorage(groupId);
     }
 
     console.log(`[recalculateStorage] Recalculated storage for ${totalRecalculated} admin(s) across ${groupIds.length} group(s)`);
@@ -1827,4 +1869,5 @@ module.exports = {
   getGroupFiles,
   requestFileDeletion,
   recalculateStorage,
+  recalculateGroupStorage,
 };
@@ -7,6 +7,7 @@
 
 const { stripe } = require('../config/stripe');
 const billingService = require('../services/billing.service');
+const jobScheduler = require('../services/jobScheduler.service');
 
 /**
  * Create SetupIntent for saving payment method
@@ -818,17 +819,18 @@ async function getBillingHistory(req, res) {
 }
 
 /**
- * Process renewals (called by scheduled job)
+ * Process renewals now
  * POST /subscriptions/process-renewals
  *
- * This endpoint should be protected and only called by EventBridge/Lambda scheduler.
+ * Runs the 'billing-renewals' job straight away. The job runs daily on its
+ * own (jobs/billing.js); this endpoint is for running it by hand.
  *
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
 async function processRenewals(req, res) {
   try {
-    // Verify this is called from Lambda scheduler (check for API key or internal call)
+    // Only callable with the billing API key
     const apiKey = req.headers['x-api-key'];
     const expectedKey = process.env.BILLING_API_KEY;
 
@@ -839,13 +841,25 @@ async function processRenewals(req, res) {
       });
     }
 
-    const results = await billingService.processRenewals();
+    const run = await jobScheduler.runJobNow('billing-renewals');
+    if (run.status === 'failed') {
+      return res.status(500).json({
+        error: 'Failed to process renewals',
+        message: run.error,
+      });
+    }
 
     res.status(200).json({
       success: true,
-      results,
+      results: run.result,
     });
   } catch (error) {
+    if (error.code === 'JOB_RUNNING') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Renewals are already being processed',
+      });
+    }
     console.error('Process renewals error:', error);
     res.status(500).json({
       error: 'Failed to process renewals',
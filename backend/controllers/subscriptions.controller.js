@@ -10,6 +10,7 @@
 const { prisma } = require('../config/database');
 const billingService = require('../services/billing.service');
 const { emailService } = require('../services/email');
+const jobScheduler = require('../services/jobScheduler.service');
 
 // Base pricing constants (in cents)
 const BASE_SUBSCRIPTION_CENTS = 300; // $3.00 USD
@@ -979,17 +980,15 @@ async function regenerateBill(req, res) {
 }
 
 /**
- * Send billing reminders to users due soon (scheduled job)
- * POST /subscriptions/send-billing-reminders
- *
- * Called daily by AWS EventBridge to send reminders at 5 days and 1 day before due
+ * Send billing reminders to users due soon
+ * Sends reminders at 5 days and 1 day before due. Run daily by the
+ * 'billing-reminders' job (jobs/billing.js).
  *
- * @param {Object} req - Express request
- * @param {Object} res - Express response
+ * @param {Date} [now]
+ * @returns {Promise<Object>} Summary of reminders sent
  */
-async function sendBillingReminders(req, res) {
+async function runBillingReminders(now = new Date()) {
   try {
-    const now = new Date();
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
 
     // Calculate target dates for reminders (5 days and 1 day before)
@@ -1143,11 +1142,56 @@ async function sendBillingReminders(req, res) {
 
     console.log(`[Billing] Reminders complete: ${results.sent} sent, ${results.skipped} skipped, ${results.errors.length} errors`);
 
+    return results;
+  } catch (error) {
+    console.error('[Billing] Critical error sending billing reminders:', error);
+    throw error;
+  }
+}
+
+/**
+ * Send billing reminders now
+ * POST /subscriptions/send-billing-reminders
+ *
+ * Runs the 'billing-reminders' job straight away. The job runs daily on its
+ * own; this endpoint is for running it by hand.
+ *
+ * Protected by X-API-Key header (BILLING_API_KEY env var)
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function sendBillingReminders(req, res) {
+  try {
+    const apiKey = req.headers['x-api-key'];
+    const expectedKey = process.env.BILLING_API_KEY;
+
+    if (expectedKey && apiKey !== expectedKey) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid API key',
+      });
+    }
+
+    const run = await jobScheduler.runJobNow('billing-reminders');
+    if (run.status === 'failed') {
+      return res.status(500).json({
+        error: 'Failed to send billing reminders',
+        message: run.error,
+      });
+    }
+
     res.status(200).json({
       success: true,
-      results: results,
+      results: run.result,
     });
   } catch (error) {
+    if (error.code === 'JOB_RUNNING') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Billing reminders are already being sent',
+      });
+    }
     console.error('Send billing reminders error:', error);
     res.status(500).json({
       error: 'Failed to send billing reminders',
@@ -1156,6 +1200,7 @@ async function sendBillingReminders(req, res) {
   }
 }
 
+
 module.exports = {
   getSubscriptionStatus,
   getPricing,
@@ -1166,4 +1211,5 @@ module.exports = {
   payNow,
   regenerateBill,
   sendBillingReminders,
+  runBillingReminders,
 };
@@ -15,8 +15,12 @@ const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissi
 const videoConverter = require('../services/videoConverter');
 const recorderService = require('../services/recorder.service');
 const pushNotificationService = require('../services/pushNotification.service');
+const realtimeService = require('../services/realtime.service');
+const sfuService = require('../services/sfu.service');
 const { storageService } = require('../services/storage');
 const fileEncryption = require('../services/fileEncryption.service');
+const groupKeysService = require('../services/groupKeys.service');
+const transcriptService = require('../services/transcript.service');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs').promises;
 const path = require('path');
@@ -51,6 +55,50 @@ async function cleanupOldSignals() {
 // Run cleanup on first invocation
 cleanupOldSignals();
 
+/**
+ * Tell connected call clients to refresh their peer list
+ * Replaces the 1-second peer polling when the realtime channel is connected.
+ *
+ * @param {string} callId - The call ID
+ * @param {string} reason - What changed (e.g. 'participant_left', 'recording_started')
+ */
+function notifyPeersChanged(callId, reason) {
+  realtimeService.publish(
+    realtimeService.callTopic('video', callId),
+    realtimeService.EVENTS.CALL_PEERS_CHANGED,
+    { callId, reason }
+  );
+}
+
+/**
+ * Push a stored signal to its peer over the realtime channel
+ * The signal stays pending until the client acks its signalId, so a push
+ * that never arrives is still picked up by polling.
+ * @param {Object} signal - webrtc_signals row
+ */
+function pushSignal(signal) {
+  realtimeService.publish(
+    realtimeService.callPeerTopic('video', signal.callId, signal.toPeerId),
+    realtimeService.EVENTS.CALL_SIGNAL,
+    formatSignal(signal)
+  );
+}
+
+/**
+ * Format a stored signal for clients
+ * @param {Object} signal - webrtc_signals row
+ * @returns {Object} { signalId, type, data, from, timestamp }
+ */
+function formatSignal(signal) {
+  return {
+    signalId: signal.signalId,
+    type: signal.signalType,
+    data: signal.signalData,
+    from: signal.fromPeerId,
+    timestamp: signal.createdAt.getTime(),
+  };
+}
+
 /**
  * Check if user has permission to use video calls
  * @param {Object} membership - The group membership object
@@ -248,6 +296,7 @@ async function getVideoCalls(req, res) {
       callId: call.callId,
       groupId: call.groupId,
       status: call.status,
+      topology: call.topology,
       startedAt: call.startedAt,
       connectedAt: call.connectedAt,
       endedAt: call.endedAt,
@@ -284,6 +333,8 @@ async function getVideoCalls(req, res) {
         url: call.recordingUrl,
         durationMs: call.recordingDurationMs,
         sizeBytes: call.recordingSizeBytes ? Number(call.recordingSizeBytes) : null,
+        // Participant join/leave chapters, once the chunks are merged into one file
+        chapters: call.recordingChapters || [],
         // Include recording chunks if available
         chunks: call.recordingChunks?.map(chunk => ({
           chunkId: chunk.chunkId,
@@ -430,6 +481,7 @@ async function getActiveCalls(req, res) {
         callId: call.callId,
         groupId: call.groupId,
         status: call.status,
+        topology: call.topology,
         startedAt: call.startedAt,
         connectedAt: call.connectedAt,
         initiator: {
@@ -566,12 +618,16 @@ async function initiateCall(req, res) {
       });
     }
 
+    // Larger calls go through the SFU when one is available
+    const topology = await sfuService.chooseTopology(participantIds.length + 1);
+
     // Create the call
     const call = await prisma.videoCall.create({
       data: {
         groupId: groupId,
         initiatedBy: membership.groupMemberId,
         status: 'ringing',
+        topology,
         participants: {
           create: participantIds.map(id => ({
             groupMemberId: id,
@@ -670,7 +726,12 @@ async function initiateCall(req, res) {
         callType: 'video',
         authToken,
         apiUrl,
-      }).then(() => {
+        userId,
+      }).then((result) => {
+        if (result?.atCapacity) {
+          console.warn('[Video Call] Recording capacity reached, call will not be recorded');
+          return;
+        }
         // Update call record to indicate recording is active
         prisma.videoCall.update({
           where: { callId: call.callId },
@@ -693,6 +754,7 @@ async function initiateCall(req, res) {
       callId: call.callId,
       groupId: call.groupId,
       status: call.status,
+      topology: call.topology,
       startedAt: call.startedAt,
       recordingStatus: shouldRecord ? 'recording' : 'disabled',
       initiator: {
@@ -875,6 +937,8 @@ async function respondToCall(req, res) {
       },
     });
 
+    notifyPeersChanged(callId, 'participant_responded');
+
     return res.json({
       success: true,
       message: action === 'accept' ? 'Call accepted' : 'Call rejected',
@@ -1002,6 +1066,12 @@ async function endCall(req, res) {
       },
     });
 
+    if (call.topology === sfuService.TOPOLOGIES.SFU) {
+      await sfuService.closeRoom('video', callId);
+    }
+
+    notifyPeersChanged(callId, 'call_ended');
+
     return res.json({
       success: true,
       message: 'Call ended',
@@ -1125,6 +1195,108 @@ async function hideRecording(req, res) {
   }
 }
 
+/**
+ * Get the transcript of a call recording
+ * GET /groups/:groupId/video-calls/:callId/transcript
+ *
+ * Transcripts are created by jobs/transcribeRecordings.js after the call ends.
+ * transcript is null until then. Hidden recordings have no transcript.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getRecordingTranscript(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId, callId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not authenticated',
+      });
+    }
+
+    // Check if user is a member of this group
+    const membership = await prisma.groupMember.findUnique({
+      where: {
+        groupId_userId: {
+          groupId: groupId,
+          userId: userId,
+        },
+      },
+    });
+
+    if (!membership || !membership.isRegistered) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this group',
+      });
+    }
+
+    const settings = await prisma.groupSettings.findUnique({
+      where: { groupId },
+    });
+
+    if (!canSeeVideoCalls(membership, settings)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view video calls',
+      });
+    }
+
+    const call = await prisma.videoCall.findUnique({
+      where: { callId },
+      include: { participants: true },
+    });
+
+    if (!call || call.groupId !== groupId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Call not found',
+      });
+    }
+
+    // Admins see all calls, others only calls they took part in
+    const isInitiator = call.initiatedBy === membership.groupMemberId;
+    const isParticipant = call.participants.some(
+      p => p.groupMemberId === membership.groupMemberId
+    );
+
+    if (membership.role !== 'admin' && !isInitiator && !isParticipant) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not part of this call',
+      });
+    }
+
+    if (call.recordingIsHidden) {
+      return res.status(404).json({
+        success: false,
+        message: 'This recording has been deleted',
+      });
+    }
+
+    const transcript = await prisma.callTranscript.findUnique({
+      where: { callType_callId: { callType: 'video', callId } },
+    });
+
+    return res.json({
+      success: true,
+      transcript: transcript
+        ? transcriptService.formatTranscript(transcript, await groupKeysService.getGroupKeyring(groupId))
+        : null,
+    });
+  } catch (error) {
+    console.error('Get recording transcript error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get transcript',
+      error: error.message,
+    });
+  }
+}
+
 /**
  * Upload a video call recording
  * POST /groups/:groupId/video-calls/:callId/recording
@@ -1239,7 +1411,7 @@ async function uploadRecording(req, res) {
       // Encrypt the recording before upload
       if (fileEncryption.isAvailable()) {
         console.log('[Video Recording] Encrypting recording before upload...');
-        fileBuffer = fileEncryption.encryptFile(fileBuffer);
+        fileBuffer = fileEncryption.encryptFile(fileBuffer, await groupKeysService.getGroupKeyring(groupId));
         fileSize = fileBuffer.length;
         console.log(`[Video Recording] Encrypted. New size: ${(fileSize / 1024 / 1024).toFixed(2)} MB`);
       } else {
@@ -1444,7 +1616,7 @@ async function uploadRecordingChunk(req, res) {
       // Encrypt the recording before upload
       if (fileEncryption.isAvailable()) {
         console.log(`[Video Recording Chunk ${chunkIndex}] Encrypting before upload...`);
-        fileBuffer = fileEncryption.encryptFile(fileBuffer);
+        fileBuffer = fileEncryption.encryptFile(fileBuffer, await groupKeysService.getGroupKeyring(groupId));
         fileSize = fileBuffer.length;
       }
 
@@ -1645,6 +1817,12 @@ async function leaveCall(req, res) {
         },
       });
 
+      if (call.topology === sfuService.TOPOLOGIES.SFU) {
+        await sfuService.closeRoom('video', callId);
+      }
+
+      notifyPeersChanged(callId, 'call_ended');
+
       return res.json({
         success: true,
         message: 'Video call ended (initiator left)',
@@ -1702,6 +1880,12 @@ async function leaveCall(req, res) {
         },
       });
 
+      if (call.topology === sfuService.TOPOLOGIES.SFU) {
+        await sfuService.closeRoom('video', callId);
+      }
+
+      notifyPeersChanged(callId, 'call_ended');
+
       return res.json({
         success: true,
         message: 'Video call ended (last participant left)',
@@ -1723,6 +1907,12 @@ async function leaveCall(req, res) {
       },
     });
 
+    if (call.topology === sfuService.TOPOLOGIES.SFU) {
+      await sfuService.removePeer('video', callId, membership.groupMemberId);
+    }
+
+    notifyPeersChanged(callId, 'participant_left');
+
     return res.json({
       success: true,
       message: 'You have left the video call',
@@ -1817,6 +2007,31 @@ async function sendSignal(req, res) {
       });
     }
 
+    // Through the SFU, every signal goes to the SFU whoever it was addressed to
+    if (call.topology === sfuService.TOPOLOGIES.SFU) {
+      try {
+        await sfuService.relaySignal({
+          callType: 'video',
+          callId,
+          peerId: membership.groupMemberId,
+          type,
+          data,
+        });
+      } catch (error) {
+        console.error(`[WebRTC Signal] Failed to relay ${type} from ${membership.groupMemberId} to SFU in call ${callId}:`, error.message);
+        return res.status(502).json({
+          success: false,
+          message: 'Failed to reach the call server',
+        });
+      }
+
+      console.log(`[WebRTC Signal] ${type} from ${membership.groupMemberId} to sfu in call ${callId}`);
+      return res.json({
+        success: true,
+        message: 'Signal sent',
+      });
+    }
+
     // Store the signal in database
     // If targetPeerId is specified, send only to that peer
     // Otherwise, broadcast to all other participants
@@ -1834,8 +2049,9 @@ async function sendSignal(req, res) {
       }
     }
 
-    // Create signal records for each target peer
-    await prisma.webRTCSignal.createMany({
+    // Create signal records for each target peer, then push them to peers
+    // connected over the realtime channel
+    const signals = await prisma.webRTCSignal.createManyAndReturn({
       data: targetPeers.map(toPeerId => ({
         callId: callId,
         callType: 'video',
@@ -1845,6 +2061,7 @@ async function sendSignal(req, res) {
         signalData: data,
       })),
     });
+    signals.forEach(pushSignal);
 
     console.log(`[WebRTC Signal] ${type} from ${membership.groupMemberId} to ${targetPeers.join(', ')} in call ${callId}`);
 
@@ -1955,16 +2172,17 @@ async function getSignals(req, res) {
     }
 
     // Convert to the format expected by frontend
-    const mySignals = pendingSignals.map(s => ({
-      type: s.signalType,
-      data: s.signalData,
-      from: s.fromPeerId,
-      timestamp: s.createdAt.getTime(),
-    }));
+    const mySignals = pendingSignals.map(formatSignal);
 
     // Also return peer info for establishing connections
     const peers = [];
-    if (isInitiator) {
+    if (call.topology === sfuService.TOPOLOGIES.SFU) {
+      // Everyone, including the recorder, connects to the SFU only
+      peers.push({
+        peerId: sfuService.SFU_PEER_ID,
+        status: 'sfu',
+      });
+    } else if (isInitiator) {
       // Initiator connects to accepted/joined participants
       for (const p of call.participants) {
         if (['accepted', 'joined'].includes(p.status)) {
@@ -1998,6 +2216,7 @@ async function getSignals(req, res) {
       signals: mySignals,
       peers,
       myPeerId: membership.groupMemberId,
+      topology: call.topology,
       recordingStatus, // Array of status messages from recorder
     });
   } catch (error) {
@@ -2111,20 +2330,31 @@ async function startServerRecording(req, res) {
     const apiUrl = process.env.API_BASE_URL || `${protocol}://${req.get('host')}`;
 
     // Start the ghost recorder
-    await recorderService.startRecording({
+    const result = await recorderService.startRecording({
       groupId,
       callId,
       callType: 'video',
       authToken,
       apiUrl,
+      userId,
     });
 
+    if (result?.atCapacity) {
+      return res.status(503).json({
+        success: false,
+        message: 'All recording slots are in use. Please try again shortly.',
+        isRecording: false,
+      });
+    }
+
     // Update call record
     await prisma.videoCall.update({
       where: { callId },
       data: { recordingStatus: 'recording' },
     });
 
+    notifyPeersChanged(callId, 'recording_started');
+
     return res.json({ success: true, message: 'Server-side recording started', isRecording: true });
   } catch (error) {
     console.error('Start server recording error:', error);
@@ -2143,11 +2373,17 @@ async function stopServerRecording(req, res) {
     const result = await recorderService.stopRecording(callId, 'video');
 
     // Update call record
-    await prisma.videoCall.update({
+    const call = await prisma.videoCall.update({
       where: { callId },
       data: { recordingStatus: 'completed' },
     });
 
+    if (call.topology === sfuService.TOPOLOGIES.SFU) {
+      await sfuService.removePeer('video', callId, 'recorder');
+    }
+
+    notifyPeersChanged(callId, 'recording_stopped');
+
     return res.json({ success: true, ...result });
   } catch (error) {
     console.error('Stop server recording error:', error);
@@ -2222,15 +2458,12 @@ async function getRecorderSignals(req, res) {
     }
 
     // Convert to the format expected
-    const recorderSignals = pendingSignals.map(s => ({
-      type: s.signalType,
-      data: s.signalData,
-      from: s.fromPeerId,
-    }));
+    const recorderSignals = pendingSignals.map(formatSignal);
 
     return res.json({
       success: true,
       signals: recorderSignals,
+      topology: call.topology,
     });
   } catch (error) {
     console.error('Get recorder signals error:', error);
@@ -2281,6 +2514,31 @@ async function broadcastRecordingStatus(req, res) {
       callStore.messages = callStore.messages.slice(-20);
     }
 
+    // Push to connected peers and mark it delivered for them, so the
+    // polling fallback in getSignals doesn't hand it out a second time
+    const delivered = realtimeService.publish(
+      realtimeService.callTopic('video', callId),
+      realtimeService.EVENTS.RECORDING_STATUS,
+      { message }
+    );
+    if (delivered > 0) {
+      const call = await prisma.videoCall.findUnique({
+        where: { callId },
+        select: { initiatedBy: true, participants: { select: { groupMemberId: true } } },
+      });
+      const peerIds = call ? [call.initiatedBy, ...call.participants.map(p => p.groupMemberId)] : [];
+      for (const peerId of peerIds) {
+        if (realtimeService.hasSubscribers(realtimeService.callPeerTopic('video', callId, peerId))) {
+          let deliveredIds = callStore.deliveredTo.get(peerId);
+          if (!deliveredIds) {
+            deliveredIds = new Set();
+            callStore.deliveredTo.set(peerId, deliveredIds);
+          }
+          deliveredIds.add(statusMessage.id);
+        }
+      }
+    }
+
     return res.json({ success: true });
   } catch (error) {
     console.error('Broadcast recording status error:', error);
@@ -2335,8 +2593,16 @@ async function sendRecorderSignal(req, res) {
       return res.status(404).json({ success: false, message: 'Call not found' });
     }
 
+    // Through the SFU, the recorder is one more subscriber
+    if (call.topology === sfuService.TOPOLOGIES.SFU && targetPeerId === sfuService.SFU_PEER_ID) {
+      await sfuService.relaySignal({ callType: 'video', callId, peerId: 'recorder', type, data });
+
+      console.log(`[WebRTC Video Signal] ${type} from recorder to sfu in call ${callId}`);
+      return res.json({ success: true });
+    }
+
     // Store signal in database for target participant
-    await prisma.webRTCSignal.create({
+    const signal = await prisma.webRTCSignal.create({
       data: {
         callId: callId,
         callType: 'video',
@@ -2346,6 +2612,7 @@ async function sendRecorderSignal(req, res) {
         signalData: data,
       },
     });
+    pushSignal(signal);
 
     console.log(`[WebRTC Video Signal] ${type} from recorder to ${targetPeerId} in call ${callId}`);
 
@@ -2364,6 +2631,7 @@ module.exports = {
   endCall,
   leaveCall,
   hideRecording,
+  getRecordingTranscript,
   uploadRecording,
   uploadRecordingChunk,
   sendSignal,
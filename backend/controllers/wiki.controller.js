@@ -2,21 +2,24 @@
  * Wiki Controller
  *
  * Handles wiki document CRUD operations within groups.
- * All wiki content (title and content) is encrypted at rest using AES-256-GCM.
+ * All wiki content (title and content) is encrypted at rest using AES-256-GCM
+ * with the group's data key.
  */
 
 const { prisma } = require('../config/database');
 const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissions');
 const encryptionService = require('../services/encryption.service');
+const groupKeysService = require('../services/groupKeys.service');
+const searchIndexService = require('../services/searchIndex.service');
 
 /**
  * Safely decrypt wiki content
  * Falls back to original content if decryption fails (for unencrypted legacy data)
  */
-function safeDecrypt(encryptedText) {
+function safeDecrypt(encryptedText, keyring) {
   if (!encryptedText) return encryptedText;
   try {
-    return encryptionService.decrypt(encryptedText);
+    return encryptionService.decrypt(encryptedText, keyring);
   } catch (error) {
     // If decryption fails, assume it's unencrypted legacy content
     return encryptedText;
@@ -122,11 +125,13 @@ async function getWikiDocuments(req, res) {
       orderBy: { updatedAt: 'desc' },
     });
 
+    const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
+
     // Merge user profile data with group member data and decrypt content
     let formattedDocuments = documents.map(doc => ({
       documentId: doc.documentId,
-      title: safeDecrypt(doc.title),
-      content: safeDecrypt(doc.content),
+      title: safeDecrypt(doc.title, groupKeyring),
+      content: safeDecrypt(doc.content, groupKeyring),
       createdAt: doc.createdAt,
       updatedAt: doc.updatedAt,
       creator: {
@@ -253,11 +258,13 @@ async function getWikiDocument(req, res) {
       });
     }
 
+    const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
+
     // Format response with decrypted content
     const formattedDocument = {
       documentId: document.documentId,
-      title: safeDecrypt(document.title),
-      content: safeDecrypt(document.content),
+      title: safeDecrypt(document.title, groupKeyring),
+      content: safeDecrypt(document.content, groupKeyring),
       createdAt: document.createdAt,
       updatedAt: document.updatedAt,
       creator: {
@@ -271,7 +278,7 @@ async function getWikiDocument(req, res) {
       },
       revisions: document.revisions.map(rev => ({
         revisionId: rev.revisionId,
-        title: safeDecrypt(rev.title),
+        title: safeDecrypt(rev.title, groupKeyring),
         editedAt: rev.editedAt,
         changeNote: rev.changeNote,
         editor: {
@@ -353,9 +360,11 @@ async function createWikiDocument(req, res) {
       return res.status(403).json(getReadOnlyErrorResponse(group));
     }
 
+    const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
+
     // Encrypt title and content
-    const encryptedTitle = encryptionService.encrypt(title.trim());
-    const encryptedContent = encryptionService.encrypt(content || '');
+    const encryptedTitle = encryptionService.encrypt(title.trim(), groupKeyring);
+    const encryptedContent = encryptionService.encrypt(content || '', groupKeyring);
 
     // Create document with encrypted content
     const document = await prisma.wikiDocument.create({
@@ -385,6 +394,14 @@ async function createWikiDocument(req, res) {
       },
     });
 
+    // Update the group's blind search index
+    searchIndexService.queueIndexEntity({
+      groupId,
+      entityType: searchIndexService.ENTITY_TYPES.WIKI,
+      entityId: document.documentId,
+      texts: [title, content || ''],
+    });
+
     // Create audit log
     await prisma.auditLog.create({
       data: {
@@ -400,8 +417,8 @@ async function createWikiDocument(req, res) {
 
     const formattedDocument = {
       documentId: document.documentId,
-      title: safeDecrypt(document.title),
-      content: safeDecrypt(document.content),
+      title: safeDecrypt(document.title, groupKeyring),
+      content: safeDecrypt(document.content, groupKeyring),
       createdAt: document.createdAt,
       updatedAt: document.updatedAt,
       creator: {
@@ -509,9 +526,11 @@ async function updateWikiDocument(req, res) {
       },
     });
 
+    const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
+
     // Encrypt new title and content
-    const encryptedTitle = encryptionService.encrypt(title.trim());
-    const encryptedContent = encryptionService.encrypt(content || '');
+    const encryptedTitle = encryptionService.encrypt(title.trim(), groupKeyring);
+    const encryptedContent = encryptionService.encrypt(content || '', groupKeyring);
 
     // Update document
     const document = await prisma.wikiDocument.update({
@@ -540,6 +559,14 @@ async function updateWikiDocument(req, res) {
       },
     });
 
+    // Update the group's blind search index
+    searchIndexService.queueIndexEntity({
+      groupId,
+      entityType: searchIndexService.ENTITY_TYPES.WIKI,
+      entityId: document.documentId,
+      texts: [title, content || ''],
+    });
+
     // Create audit log
     await prisma.auditLog.create({
       data: {
@@ -555,8 +582,8 @@ async function updateWikiDocument(req, res) {
 
     const formattedDocument = {
       documentId: document.documentId,
-      title: safeDecrypt(document.title),
-      content: safeDecrypt(document.content),
+      title: safeDecrypt(document.title, groupKeyring),
+      content: safeDecrypt(document.content, groupKeyring),
       createdAt: document.createdAt,
       updatedAt: document.updatedAt,
       creator: {
@@ -661,6 +688,8 @@ async function deleteWikiDocument(req, res) {
       data: { isHidden: true },
     });
 
+    const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
+
     // Create audit log with decrypted title
     await prisma.auditLog.create({
       data: {
@@ -670,7 +699,7 @@ async function deleteWikiDocument(req, res) {
         performedByName: membership.displayName,
         performedByEmail: membership.email || 'N/A',
         actionLocation: 'wiki',
-        messageContent: `Deleted wiki document: ${safeDecrypt(document.title)}`,
+        messageContent: `Deleted wiki document: ${safeDecrypt(document.title, groupKeyring)}`,
       },
     });
 
@@ -691,6 +720,9 @@ async function deleteWikiDocument(req, res) {
  * Search wiki documents
  * GET /groups/:groupId/wiki-documents/search
  *
+ * Uses the blind search index, so every word of the query must start a word
+ * in the title or content.
+ *
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
@@ -730,10 +762,17 @@ async function searchWikiDocuments(req, res) {
       });
     }
 
-    // Fetch all documents (encrypted content can't be searched in database)
+    // Look up matching documents in the blind search index
+    const documentIds = await searchIndexService.findEntities({
+      groupId,
+      entityType: searchIndexService.ENTITY_TYPES.WIKI,
+      query: q,
+    });
+
     const documents = await prisma.wikiDocument.findMany({
       where: {
         groupId,
+        documentId: { in: documentIds },
         isHidden: false,
       },
       include: {
@@ -757,13 +796,15 @@ async function searchWikiDocuments(req, res) {
       orderBy: { updatedAt: 'desc' },
     });
 
-    // Decrypt and filter in memory
-    const searchTerm = q.toLowerCase();
+    const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
+
+    // Decrypt and confirm the match (the document may have changed since it was indexed)
+    const queryWords = searchIndexService.normalizeWords(q);
     const formattedDocuments = documents
       .map(doc => ({
         documentId: doc.documentId,
-        title: safeDecrypt(doc.title),
-        content: safeDecrypt(doc.content),
+        title: safeDecrypt(doc.title, groupKeyring),
+        content: safeDecrypt(doc.content, groupKeyring),
         createdAt: doc.createdAt,
         updatedAt: doc.updatedAt,
         creator: {
@@ -776,10 +817,7 @@ async function searchWikiDocuments(req, res) {
             : null,
         },
       }))
-      .filter(doc =>
-        doc.title.toLowerCase().includes(searchTerm) ||
-        doc.content.toLowerCase().includes(searchTerm)
-      );
+      .filter(doc => searchIndexService.textMatchesQuery([doc.title, doc.content], queryWords));
 
     res.status(200).json({
       success: true,
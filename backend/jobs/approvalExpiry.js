@@ -0,0 +1,370 @@
+/**
+ * Approval Expiry Job
+ *
+ * Keeps pending approvals from waiting forever. Following each group's
+ * expiry policy (see utils/approvalExpiry.js), it:
+ * - reminds admins who haven't voted, by push notification and email
+ * - rejects, approves or escalates approvals whose time has run out
+ * - decides escalated approvals by the votes cast once their final window ends
+ *
+ * Every reminder, escalation and expiry is written to the audit log.
+ * Swap requests are answered by their counterparty and are left alone.
+ *
+ * Runs every 15 minutes.
+ */
+
+const { prisma } = require('../config/database');
+const jobScheduler = require('../services/jobScheduler.service');
+const pushNotificationService = require('../services/pushNotification.service');
+const { emailService } = require('../services/email');
+const { SWAP_APPROVAL_TYPE } = require('../services/responsibilitySwap.service');
+const { executeApprovedAction, describeApproval } = require('../controllers/approvals.controller');
+const {
+  resolvePolicy,
+  getDeadline,
+  isReminderDue,
+  decideExpiredApproval,
+} = require('../utils/approvalExpiry');
+
+/**
+ * Format a deadline for notifications
+ */
+function formatDeadline(date) {
+  return date.toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+  });
+}
+
+/**
+ * Explain what happens when a pending approval runs out of time
+ */
+function getExpiryNote(approval, policy) {
+  if (approval.requiresAllAdmins) {
+    return 'If not every admin has approved by then, it will be rejected.';
+  }
+  if (approval.escalatedAt) {
+    return `After that, it will be decided by more than ${policy.fallbackPercentage}% of the votes cast.`;
+  }
+  switch (policy.outcome) {
+    case 'approve':
+      return 'If enough admins haven\'t rejected it by then, it will be approved.';
+    case 'escalate':
+      return `If it is still undecided then, admins get a final ${policy.escalationHours} hours before the votes cast decide.`;
+    default:
+      return 'If enough admins haven\'t approved it by then, it will be rejected.';
+  }
+}
+
+/**
+ * Parse approvalData (stored as JSON, older rows as a string)
+ */
+function getApprovalData(approval) {
+  try {
+    return typeof approval.approvalData === 'string'
+      ? JSON.parse(approval.approvalData)
+      : approval.approvalData || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Create a System audit log entry for an approval
+ */
+async function logApprovalEvent(approval, action, messageContent, logData) {
+  await prisma.auditLog.create({
+    data: {
+      groupId: approval.groupId,
+      action: action,
+      performedBy: null,
+      performedByName: 'System',
+      performedByEmail: null,
+      actionLocation: 'approvals',
+      messageContent: messageContent,
+      logData: {
+        approvalId: approval.approvalId,
+        approvalType: approval.approvalType,
+        ...logData,
+      },
+    },
+  });
+}
+
+/**
+ * Remind admins who haven't voted yet
+ */
+async function sendReminders(approval, policy, admins, description, now) {
+  const votedIds = approval.votes.map(v => v.adminId);
+  const waitingOn = admins.filter(admin =>
+    !votedIds.includes(admin.groupMemberId) && admin.groupMemberId !== approval.requestedBy);
+
+  // Claim the reminder so an overlapping run doesn't send it twice
+  const claimed = await prisma.approval.updateMany({
+    where: { approvalId: approval.approvalId, status: 'pending', lastReminderAt: approval.lastReminderAt },
+    data: { lastReminderAt: now, reminderCount: { increment: 1 } },
+  });
+  if (claimed.count === 0 || waitingOn.length === 0) {
+    return { sent: 0 };
+  }
+
+  const deadline = getDeadline(approval, policy);
+
+  await pushNotificationService.sendApprovalNotification(
+    approval.groupId,
+    [approval.requestedBy, ...votedIds],
+    approval.approvalType,
+    deadline
+      ? `Reminder: ${description}. Please vote by ${formatDeadline(deadline)}`
+      : `Reminder: ${description}`,
+    approval.approvalId
+  );
+
+  const appUrl = process.env.APP_URL || 'https://familyhelperapp.com';
+  for (const admin of waitingOn) {
+    const email = admin.user?.email || admin.email;
+    if (!admin.userId || admin.isMuted || !email) continue;
+
+    try {
+      await emailService.sendTemplate('approval_reminder', email, {
+        recipientName: admin.user?.displayName || admin.displayName,
+        groupName: approval.group?.name || 'your group',
+        description: description,
+        deadline: deadline ? formatDeadline(deadline) : null,
+        expiryNote: getExpiryNote(approval, policy),
+        appUrl: appUrl,
+      });
+    } catch (emailError) {
+      console.error(`[ApprovalExpiry] Failed to email reminder to ${email}:`, emailError.message);
+    }
+  }
+
+  await logApprovalEvent(
+    approval,
+    'approval_reminder_sent',
+    `Reminder sent for ${description}. Waiting on: ${waitingOn.map(admin => admin.displayName).join(', ')}`,
+    {
+      reminderCount: approval.reminderCount + 1,
+      remindedAdminIds: waitingOn.map(admin => admin.groupMemberId),
+      deadline: deadline ? deadline.toISOString() : null,
+    }
+  );
+
+  return { sent: waitingOn.length };
+}
+
+/**
+ * Give admins a final window, after which the votes cast decide
+ */
+async function escalateApproval(approval, policy, admins, description, now) {
+  const claimed = await prisma.approval.updateMany({
+    where: { approvalId: approval.approvalId, status: 'pending', escalatedAt: null },
+    data: { escalatedAt: now, lastReminderAt: now },
+  });
+  if (claimed.count === 0) {
+    return;
+  }
+
+  const deadline = getDeadline({ ...approval, escalatedAt: now }, policy);
+  const votedIds = approval.votes.map(v => v.adminId);
+
+  await logApprovalEvent(
+    approval,
+    'approval_escalated',
+    `Approval escalated: ${description}. No decision after ${policy.expiryHours} hours; it will be decided by more than ${policy.fallbackPercentage}% of the votes cast by ${formatDeadline(deadline)}`,
+    {
+      deadline: deadline.toISOString(),
+      fallbackPercentage: policy.fallbackPercentage,
+      waitingOnAdminIds: admins
+        .map(admin => admin.groupMemberId)
+        .filter(id => !votedIds.includes(id)),
+    }
+  );
+
+  await pushNotificationService.sendApprovalNotification(
+    approval.groupId,
+    [approval.requestedBy, ...votedIds],
+    approval.approvalType,
+    `Final call: ${description}. Vote by ${formatDeadline(deadline)} or the votes already cast will decide`,
+    approval.approvalId
+  );
+}
+
+/**
+ * Reject or approve an approval that has run out of time
+ */
+async function expireApproval(approval, policy, admins, description, decision, now) {
+  const newStatus = decision === 'approve' ? 'approved' : 'rejected';
+  const approveVotes = approval.votes.filter(v => v.vote === 'approve').length;
+  const rejectVotes = approval.votes.filter(v => v.vote === 'reject').length;
+
+  // Only expire it if a vote hasn't decided it in the meantime
+  const claimed = await prisma.approval.updateMany({
+    where: { approvalId: approval.approvalId, status: 'pending' },
+    data: { status: newStatus, completedAt: now },
+  });
+  if (claimed.count === 0) {
+    return;
+  }
+
+  const outcome = approval.escalatedAt ? 'fallback_majority' : policy.outcome;
+
+  await logApprovalEvent(
+    approval,
+    'approval_expired',
+    `Approval ${newStatus} on expiry: ${description}. Final vote: ${approveVotes} approve, ${rejectVotes} reject (${admins.length} total admins)`,
+    {
+      finalStatus: newStatus,
+      outcome: outcome,
+      approveVotes: approveVotes,
+      rejectVotes: rejectVotes,
+      totalAdmins: admins.length,
+    }
+  );
+
+  if (newStatus === 'approved') {
+    await executeApprovedAction(approval);
+  }
+
+  if (approval.requester?.userId) {
+    await pushNotificationService.sendToUser(
+      approval.requester.userId,
+      `Request ${newStatus}: ${approval.group?.name || 'Group'}`,
+      `Your request ran out of time and was ${newStatus}`,
+      {
+        type: 'approval_expired',
+        approvalType: approval.approvalType,
+        groupId: approval.groupId,
+        approvalId: approval.approvalId,
+      }
+    );
+  }
+}
+
+/**
+ * Process a single pending approval
+ */
+async function processApproval(approval, policy, admins, now) {
+  try {
+    const description = describeApproval(approval, getApprovalData(approval));
+    const deadline = getDeadline(approval, policy);
+
+    if (deadline && now >= deadline) {
+      const decision = decideExpiredApproval(approval, policy, {
+        approveVotes: approval.votes.filter(v => v.vote === 'approve').length,
+        rejectVotes: approval.votes.filter(v => v.vote === 'reject').length,
+      });
+
+      if (decision === 'escalate') {
+        await escalateApproval(approval, policy, admins, description, now);
+        return { reminded: 0, expired: 0, escalated: 1 };
+      }
+
+      await expireApproval(approval, policy, admins, description, decision, now);
+      return { reminded: 0, expired: 1, escalated: 0 };
+    }
+
+    if (isReminderDue(approval, policy, now)) {
+      const result = await sendReminders(approval, policy, admins, description, now);
+      return { reminded: result.sent, expired: 0, escalated: 0 };
+    }
+
+    return { reminded: 0, expired: 0, escalated: 0 };
+  } catch (error) {
+    console.error(`[ApprovalExpiry] Error processing approval ${approval.approvalId}:`, error.message);
+    return { reminded: 0, expired: 0, escalated: 0 };
+  }
+}
+
+/**
+ * Main job function - reminds, escalates and expires pending approvals
+ */
+async function runApprovalExpiryJob(now = new Date()) {
+  try {
+    const approvals = await prisma.approval.findMany({
+      where: {
+        status: 'pending',
+        approvalType: { not: SWAP_APPROVAL_TYPE },
+        group: { isHidden: false },
+      },
+      include: {
+        votes: true,
+        requester: {
+          include: {
+            user: { select: { email: true, displayName: true } },
+          },
+        },
+        group: {
+          select: { name: true },
+        },
+      },
+      orderBy: { requestedAt: 'asc' },
+    });
+
+    if (approvals.length === 0) {
+      return { reminded: 0, expired: 0, escalated: 0 };
+    }
+
+    const groupIds = [...new Set(approvals.map(a => a.groupId))];
+    const [policies, admins] = await Promise.all([
+      prisma.approvalExpiryPolicy.findMany({
+        where: { groupId: { in: groupIds } },
+      }),
+      prisma.groupMember.findMany({
+        where: { groupId: { in: groupIds }, role: 'admin' },
+        include: {
+          user: { select: { email: true, displayName: true } },
+        },
+      }),
+    ]);
+
+    const totals = { reminded: 0, expired: 0, escalated: 0 };
+    for (const approval of approvals) {
+      const policy = resolvePolicy(
+        approval.approvalType,
+        policies.filter(p => p.groupId === approval.groupId)
+      );
+      const result = await processApproval(
+        approval,
+        policy,
+        admins.filter(admin => admin.groupId === approval.groupId),
+        now
+      );
+      totals.reminded += result.reminded;
+      totals.expired += result.expired;
+      totals.escalated += result.escalated;
+    }
+
+    if (totals.reminded + totals.expired + totals.escalated > 0) {
+      console.log(`[ApprovalExpiry] Completed: reminded ${totals.reminded} admin(s), expired ${totals.expired}, escalated ${totals.escalated}`);
+    }
+    return totals;
+  } catch (error) {
+    console.error('[ApprovalExpiry] Critical error in approval expiry job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Initialize the approval expiry job
+ * Runs every 15 minutes to send reminders and expire approvals
+ */
+function initApprovalExpiryJob() {
+  jobScheduler.defineJob({
+    name: 'approval-expiry',
+    schedule: '*/15 * * * *',
+    description: 'Reminds admins about pending approvals and expires or escalates overdue ones',
+    handler: runApprovalExpiryJob,
+  });
+
+  console.log('[ApprovalExpiry] Approval expiry job initialized (runs every 15 minutes)');
+}
+
+module.exports = {
+  initApprovalExpiryJob,
+  runApprovalExpiryJob,
+};
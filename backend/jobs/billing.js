@@ -0,0 +1,45 @@
+/**
+ * Billing Jobs
+ *
+ * - Renewals: charges subscribers whose renewal date has come
+ *   (services/billing.service.js). Runs daily at 9 AM.
+ * - Reminders: emails users 5 days and 1 day before their bill is due
+ *   (controllers/subscriptions.controller.js). Runs daily at 10 AM.
+ *
+ * Both used to be triggered by an external scheduler calling
+ * POST /subscriptions/process-renewals and
+ * POST /subscriptions/send-billing-reminders; those endpoints now run these
+ * jobs straight away.
+ */
+
+const jobScheduler = require('../services/jobScheduler.service');
+const billingService = require('../services/billing.service');
+const { runBillingReminders } = require('../controllers/subscriptions.controller');
+
+/**
+ * Initialize the billing jobs
+ */
+function initBillingJobs() {
+  // Not retried: a run interrupted part-way may have charged some
+  // subscribers without recording it, so it waits for the next day's run
+  jobScheduler.defineJob({
+    name: 'billing-renewals',
+    schedule: '0 9 * * *',
+    description: 'Charges subscribers whose renewal is due',
+    handler: () => billingService.processRenewals(),
+    maxAttempts: 1,
+  });
+
+  jobScheduler.defineJob({
+    name: 'billing-reminders',
+    schedule: '0 10 * * *',
+    description: 'Emails billing reminders 5 days and 1 day before the due date',
+    handler: runBillingReminders,
+  });
+
+  console.log('[Billing] Billing jobs initialized (renewals daily at 9 AM, reminders daily at 10 AM)');
+}
+
+module.exports = {
+  initBillingJobs,
+};
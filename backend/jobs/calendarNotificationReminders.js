@@ -8,8 +8,8 @@
  * Runs every minute to check for events that need reminders.
  */
 
-const cron = require('node-cron');
 const { prisma } = require('../config/database');
+const jobScheduler = require('../services/jobScheduler.service');
 const pushNotificationService = require('../services/pushNotification.service');
 
 /**
@@ -122,6 +122,7 @@ async function processEventReminder(event) {
 
 /**
  * Main job function - finds and processes events due for reminders
+ * @returns {Promise<{events: number, sent: number}>}
  */
 async function runReminderJob() {
   const now = new Date();
@@ -152,7 +153,7 @@ async function runReminderJob() {
     });
 
     if (eventsToProcess.length === 0) {
-      return; // No events need reminders
+      return { events: 0, sent: 0 }; // No events need reminders
     }
 
     console.log(`[CalendarReminder] Processing ${eventsToProcess.length} events for reminders`);
@@ -167,8 +168,10 @@ async function runReminderJob() {
       console.log(`[CalendarReminder] Completed: sent ${totalSent} reminders`);
     }
 
+    return { events: eventsToProcess.length, sent: totalSent };
   } catch (error) {
     console.error('[CalendarReminder] Critical error in reminder job:', error);
+    throw error;
   }
 }
 
@@ -178,21 +181,14 @@ async function runReminderJob() {
  */
 function initCalendarReminderJob() {
   // Run every minute
-  cron.schedule('* * * * *', () => {
-    runReminderJob().catch(error => {
-      console.error('[CalendarReminder] Unhandled error:', error);
-    });
+  jobScheduler.defineJob({
+    name: 'calendar-reminders',
+    schedule: '* * * * *',
+    description: 'Sends push reminders for upcoming calendar events',
+    handler: runReminderJob,
   });
 
   console.log('[CalendarReminder] Calendar notification reminder job initialized (runs every minute)');
-
-  // Run once on startup after a short delay
-  setTimeout(() => {
-    console.log('[CalendarReminder] Running initial reminder check...');
-    runReminderJob().catch(error => {
-      console.error('[CalendarReminder] Initial check error:', error);
-    });
-  }, 5000); // 5 second delay
 }
 
 module.exports = {
@@ -0,0 +1,183 @@
+/**
+ * Deliver Scheduled Messages Job
+ *
+ * Sends scheduled messages once their time comes, through the same send path
+ * as the messages endpoint (services/messageSend.service.js), so they are
+ * encrypted, audited, mention members and notify the message group exactly
+ * like a message sent by hand.
+ *
+ * A message the send checks refuse (e.g. the sender left the message group or
+ * the group went read-only) is marked failed and the sender is notified, as
+ * is one whose delivery was interrupted.
+ *
+ * Runs every minute.
+ */
+
+const { prisma } = require('../config/database');
+const jobScheduler = require('../services/jobScheduler.service');
+const encryptionService = require('../services/encryption.service');
+const groupKeysService = require('../services/groupKeys.service');
+const pushNotificationService = require('../services/pushNotification.service');
+const messageSendService = require('../services/messageSend.service');
+
+// A message left in 'sending' this long was interrupted (e.g. a restart).
+// It is failed rather than sent again, since it may already have gone out.
+const STUCK_SENDING_MINUTES = 10;
+
+// Sender and message group, as failScheduledMessage needs them
+const SCHEDULED_MESSAGE_INCLUDE = {
+  sender: true,
+  messageGroup: {
+    select: { groupId: true, name: true },
+  },
+};
+
+/**
+ * Mark a scheduled message failed and tell the sender
+ * Only a message that is being sent is failed, so the sender is told once.
+ *
+ * @returns {Promise<boolean>} Whether it was failed
+ */
+async function failScheduledMessage(scheduled, reason) {
+  const failed = await prisma.scheduledMessage.updateMany({
+    where: { scheduledMessageId: scheduled.scheduledMessageId, status: 'sending' },
+    data: { status: 'failed', failureReason: reason },
+  });
+  if (failed.count === 0) {
+    return false;
+  }
+
+  if (scheduled.sender.userId) {
+    await pushNotificationService.sendToUser(
+      scheduled.sender.userId,
+      'Scheduled message not sent',
+      `Your message to ${scheduled.messageGroup.name} could not be sent: ${reason}`,
+      {
+        type: 'scheduled_message_failed',
+        groupId: scheduled.messageGroup.groupId,
+        messageGroupId: scheduled.messageGroupId,
+        scheduledMessageId: scheduled.scheduledMessageId,
+      }
+    ).catch(err => console.error('[ScheduledMessages] Failed to notify sender:', err));
+  }
+  return true;
+}
+
+/**
+ * Deliver one claimed scheduled message
+ * @returns {Promise<boolean>} Whether it was sent
+ */
+async function deliverScheduledMessage(scheduled) {
+  const groupId = scheduled.messageGroup.groupId;
+
+  try {
+    const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
+    const content = encryptionService.decrypt(scheduled.content, groupKeyring);
+
+    const result = await messageSendService.sendMessageGroupMessage({
+      groupId,
+      messageGroupId: scheduled.messageGroupId,
+      membership: scheduled.sender,
+      content,
+      mentions: scheduled.mentions,
+      mediaFiles: scheduled.mediaFiles || [],
+      replyToId: scheduled.replyToId,
+      scheduledMessageId: scheduled.scheduledMessageId,
+    });
+
+    if (result.error) {
+      await failScheduledMessage(scheduled, result.error);
+      return false;
+    }
+
+    await prisma.scheduledMessage.update({
+      where: { scheduledMessageId: scheduled.scheduledMessageId },
+      data: { status: 'sent', sentMessageId: result.message.messageId },
+    });
+    return true;
+  } catch (error) {
+    console.error(`[ScheduledMessages] Error sending ${scheduled.scheduledMessageId}:`, error);
+    await failScheduledMessage(scheduled, 'Something went wrong while sending');
+    return false;
+  }
+}
+
+/**
+ * Send scheduled messages that are due
+ * @param {Date} [now]
+ * @returns {Promise<Object>} Counts of sent, failed and interrupted messages
+ */
+async function runScheduledMessagesJob(now = new Date()) {
+  try {
+    const stuck = await prisma.scheduledMessage.findMany({
+      where: {
+        status: 'sending',
+        updatedAt: { lt: new Date(now.getTime() - STUCK_SENDING_MINUTES * 60 * 1000) },
+      },
+      include: SCHEDULED_MESSAGE_INCLUDE,
+    });
+
+    let interrupted = 0;
+    for (const scheduled of stuck) {
+      if (await failScheduledMessage(scheduled, 'Delivery was interrupted')) {
+        interrupted++;
+      }
+    }
+
+    const due = await prisma.scheduledMessage.findMany({
+      where: {
+        status: 'scheduled',
+        scheduledFor: { lte: now },
+      },
+      include: SCHEDULED_MESSAGE_INCLUDE,
+      orderBy: { scheduledFor: 'asc' },
+    });
+
+    let sent = 0;
+    let failed = 0;
+    for (const scheduled of due) {
+      // Claim it, unless the sender edited or cancelled it meanwhile
+      const claimed = await prisma.scheduledMessage.updateMany({
+        where: { scheduledMessageId: scheduled.scheduledMessageId, status: 'scheduled' },
+        data: { status: 'sending' },
+      });
+      if (claimed.count === 0) {
+        continue;
+      }
+
+      if (await deliverScheduledMessage(scheduled)) {
+        sent++;
+      } else {
+        failed++;
+      }
+    }
+
+    if (sent + failed + interrupted > 0) {
+      console.log(`[ScheduledMessages] Completed: sent ${sent}, failed ${failed}, interrupted ${interrupted}`);
+    }
+    return { sent, failed, interrupted };
+  } catch (error) {
+    console.error('[ScheduledMessages] Critical error in scheduled messages job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Initialize the scheduled messages job
+ * Runs every minute to send messages that are due
+ */
+function initScheduledMessagesJob() {
+  jobScheduler.defineJob({
+    name: 'deliver-scheduled-messages',
+    schedule: '* * * * *',
+    description: 'Sends scheduled messages that are due',
+    handler: runScheduledMessagesJob,
+  });
+
+  console.log('[ScheduledMessages] Scheduled messages job initialized (runs every minute)');
+}
+
+module.exports = {
+  initScheduledMessagesJob,
+  runScheduledMessagesJob,
+};
@@ -0,0 +1,383 @@
+/**
+ * Enforce Retention Job
+ *
+ * Deletes what has outlived its group's retention policy (see
+ * utils/retention.js):
+ * - messages, with their media, reactions, read receipts and edit history
+ * - media files (the message stays, with the "deleted" placeholder)
+ * - call recordings and their transcripts (the call stays in the call history)
+ *
+ * Anything in a period covered by a log export is under a legal hold and is
+ * kept, as is media linked from an export. Audit log entries are never
+ * deleted. Each deletion is written to the audit log, and the group's storage
+ * usage is recalculated afterwards.
+ *
+ * Runs daily at 3:30 AM.
+ */
+
+const { prisma } = require('../config/database');
+const jobScheduler = require('../services/jobScheduler.service');
+const { storageService } = require('../services/storage');
+const { recalculateGroupStorage } = require('../controllers/storage.controller');
+const {
+  resolveRetention,
+  getCutoff,
+  getLegalHoldRanges,
+} = require('../utils/retention');
+
+// Rows deleted per query
+const BATCH_SIZE = 200;
+
+/**
+ * Prisma filter that leaves out anything created during a legal hold
+ * @param {string} field - Date field, e.g. 'createdAt'
+ * @param {{from: Date|null, to: Date}[]} holdRanges
+ */
+function notHeld(field, holdRanges) {
+  if (holdRanges.length === 0) {
+    return {};
+  }
+
+  return {
+    NOT: holdRanges.map(range => ({
+      [field]: {
+        ...(range.from && { gte: range.from }),
+        lte: range.to,
+      },
+    })),
+  };
+}
+
+/**
+ * Delete a stored file, carrying on if it is already gone
+ */
+async function deleteStoredFile(fileId) {
+  if (!fileId) return;
+
+  try {
+    await storageService.hardDeleteFile(fileId);
+  } catch (error) {
+    console.error(`[Retention] Storage deletion error for ${fileId} (continuing): ${error.message}`);
+  }
+}
+
+/**
+ * Create a System audit log entry for a retention deletion
+ */
+async function logRetentionDeletion(groupId, action, messageContent, logData) {
+  await prisma.auditLog.create({
+    data: {
+      groupId: groupId,
+      action: action,
+      performedBy: null,
+      performedByName: 'System',
+      performedByEmail: null,
+      actionLocation: 'storage',
+      messageContent: messageContent,
+      logData: logData,
+    },
+  });
+}
+
+/**
+ * Delete a message group's messages older than the cutoff
+ * @returns {Promise<number>} Messages deleted
+ */
+async function deleteExpiredMessages(groupId, messageGroup, days, cutoff, holdRanges) {
+  const deletedIds = [];
+
+  for (;;) {
+    const messages = await prisma.message.findMany({
+      where: {
+        messageGroupId: messageGroup.messageGroupId,
+        createdAt: { lt: cutoff },
+        // Media linked from a log export is held, and so is its message
+        media: { none: { mediaLogLinks: { some: {} } } },
+        ...notHeld('createdAt', holdRanges),
+      },
+      select: {
+        messageId: true,
+        media: {
+          where: { isHidden: false },
+          select: { url: true },
+        },
+      },
+      orderBy: { createdAt: 'asc' },
+      take: BATCH_SIZE,
+    });
+
+    if (messages.length === 0) break;
+
+    for (const message of messages) {
+      for (const media of message.media) {
+        await deleteStoredFile(media.url);
+      }
+    }
+
+    const messageIds = messages.map(m => m.messageId);
+    await prisma.searchToken.deleteMany({
+      where: { entityType: 'message', entityId: { in: messageIds } },
+    });
+    const deleted = await prisma.message.deleteMany({
+      where: { messageId: { in: messageIds } },
+    });
+
+    deletedIds.push(...messageIds);
+    if (deleted.count === 0) break;
+  }
+
+  if (deletedIds.length > 0) {
+    await logRetentionDeletion(
+      groupId,
+      'retention_delete_messages',
+      `Message Group: "${messageGroup.name}" (ID: ${messageGroup.messageGroupId})\nDeleted ${deletedIds.length} message(s) older than ${days} days (sent before ${cutoff.toISOString()}) under the retention policy.`,
+      { messageGroupId: messageGroup.messageGroupId, retentionDays: days, messageIds: deletedIds }
+    );
+  }
+
+  return deletedIds.length;
+}
+
+/**
+ * Delete a message group's media files older than the cutoff
+ * @returns {Promise<number>} Files deleted
+ */
+async function deleteExpiredMedia(groupId, messageGroup, days, cutoff, holdRanges) {
+  const deletedIds = [];
+
+  for (;;) {
+    const mediaFiles = await prisma.messageMedia.findMany({
+      where: {
+        isHidden: false,
+        uploadedAt: { lt: cutoff },
+        mediaLogLinks: { none: {} },
+        message: {
+          messageGroupId: messageGroup.messageGroupId,
+          ...notHeld('createdAt', holdRanges),
+        },
+      },
+      select: { mediaId: true, url: true },
+      take: BATCH_SIZE,
+    });
+
+    if (mediaFiles.length === 0) break;
+
+    for (const media of mediaFiles) {
+      await deleteStoredFile(media.url);
+    }
+
+    // Keep the records so messages show the "deleted" placeholder
+    const mediaIds = mediaFiles.map(m => m.mediaId);
+    const hidden = await prisma.messageMedia.updateMany({
+      where: { mediaId: { in: mediaIds } },
+      data: { isHidden: true, hiddenAt: new Date() },
+    });
+
+    deletedIds.push(...mediaIds);
+    if (hidden.count === 0) break;
+  }
+
+  if (deletedIds.length > 0) {
+    await logRetentionDeletion(
+      groupId,
+      'retention_delete_media',
+      `Message Group: "${messageGroup.name}" (ID: ${messageGroup.messageGroupId})\nDeleted ${deletedIds.length} media file(s) older than ${days} days (uploaded before ${cutoff.toISOString()}) under the retention policy.`,
+      { messageGroupId: messageGroup.messageGroupId, retentionDays: days, mediaIds: deletedIds }
+    );
+  }
+
+  return deletedIds.length;
+}
+
+/**
+ * Delete a group's call recordings older than the cutoff
+ * @returns {Promise<number>} Recordings deleted
+ */
+async function deleteExpiredRecordings(groupId, days, cutoff, holdRanges) {
+  let total = 0;
+
+  for (const [model, callType] of [['phoneCall', 'phone'], ['videoCall', 'video']]) {
+    const calls = await prisma[model].findMany({
+      where: {
+        groupId: groupId,
+        recordingIsHidden: false,
+        startedAt: { lt: cutoff },
+        OR: [
+          { recordingFileId: { not: null } },
+          { recordingChunks: { some: {} } },
+        ],
+        ...notHeld('startedAt', holdRanges),
+      },
+      select: {
+        callId: true,
+        recordingFileId: true,
+        recordingChunks: { select: { fileId: true } },
+      },
+    });
+
+    for (const call of calls) {
+      await deleteStoredFile(call.recordingFileId);
+      for (const chunk of call.recordingChunks) {
+        await deleteStoredFile(chunk.fileId);
+      }
+
+      // The call stays in the history; the recording shows as deleted
+      await prisma[model].update({
+        where: { callId: call.callId },
+        data: { recordingIsHidden: true, recordingHiddenAt: new Date() },
+      });
+    }
+
+    // Transcripts go with their recordings
+    if (calls.length > 0) {
+      await prisma.callTranscript.deleteMany({
+        where: { callType, callId: { in: calls.map(c => c.callId) } },
+      });
+    }
+
+    if (calls.length > 0) {
+      await logRetentionDeletion(
+        groupId,
+        'retention_delete_recordings',
+        `Deleted ${calls.length} ${callType} call recording(s) older than ${days} days (calls before ${cutoff.toISOString()}) under the retention policy.`,
+        { callType, retentionDays: days, callIds: calls.map(c => c.callId) }
+      );
+    }
+    total += calls.length;
+  }
+
+  return total;
+}
+
+/**
+ * Apply a group's retention policies
+ * @returns {Promise<{messages: number, media: number, recordings: number}>}
+ */
+async function enforceGroupRetention(group, now) {
+  const holdRanges = getLegalHoldRanges(group.logExports);
+  const totals = { messages: 0, media: 0, recordings: 0 };
+
+  for (const messageGroup of group.messageGroups) {
+    const { messageRetentionDays, mediaRetentionDays } = resolveRetention(group.settings, messageGroup);
+
+    const messageCutoff = getCutoff(messageRetentionDays, now);
+    if (messageCutoff) {
+      totals.messages += await deleteExpiredMessages(group.groupId, messageGroup, messageRetentionDays, messageCutoff, holdRanges);
+    }
+
+    const mediaCutoff = getCutoff(mediaRetentionDays, now);
+    if (mediaCutoff) {
+      totals.media += await deleteExpiredMedia(group.groupId, messageGroup, mediaRetentionDays, mediaCutoff, holdRanges);
+    }
+  }
+
+  const recordingRetentionDays = group.settings?.recordingRetentionDays ?? null;
+  const recordingCutoff = getCutoff(recordingRetentionDays, now);
+  if (recordingCutoff) {
+    totals.recordings += await deleteExpiredRecordings(group.groupId, recordingRetentionDays, recordingCutoff, holdRanges);
+  }
+
+  return totals;
+}
+
+/**
+ * Delete everything past its retention period
+ * @param {Date} [now]
+ * @returns {Promise<Object>} Counts of deleted messages, media and recordings
+ */
+async function runRetentionJob(now = new Date()) {
+  try {
+    const groups = await prisma.group.findMany({
+      where: {
+        isHidden: false,
+        OR: [
+          {
+            settings: {
+              OR: [
+                { messageRetentionDays: { not: null } },
+                { mediaRetentionDays: { not: null } },
+                { recordingRetentionDays: { not: null } },
+              ],
+            },
+          },
+          {
+            messageGroups: {
+              some: {
+                OR: [
+                  { messageRetentionDays: { not: null } },
+                  { mediaRetentionDays: { not: null } },
+                ],
+              },
+            },
+          },
+        ],
+      },
+      select: {
+        groupId: true,
+        settings: {
+          select: {
+            messageRetentionDays: true,
+            mediaRetentionDays: true,
+            recordingRetentionDays: true,
+          },
+        },
+        messageGroups: {
+          select: {
+            messageGroupId: true,
+            name: true,
+            messageRetentionDays: true,
+            mediaRetentionDays: true,
+          },
+        },
+        logExports: {
+          where: { isHidden: false },
+          select: { createdAt: true, filters: true },
+        },
+      },
+    });
+
+    const totals = { messages: 0, media: 0, recordings: 0 };
+    for (const group of groups) {
+      try {
+        const result = await enforceGroupRetention(group, now);
+        totals.messages += result.messages;
+        totals.media += result.media;
+        totals.recordings += result.recordings;
+
+        if (result.messages + result.media + result.recordings > 0) {
+          await recalculateGroupStorage(group.groupId);
+        }
+      } catch (error) {
+        console.error(`[Retention] Error enforcing retention for group ${group.groupId}:`, error);
+      }
+    }
+
+    if (totals.messages + totals.media + totals.recordings > 0) {
+      console.log(`[Retention] Completed: deleted ${totals.messages} message(s), ${totals.media} media file(s), ${totals.recordings} recording(s)`);
+    }
+    return totals;
+  } catch (error) {
+    console.error('[Retention] Critical error in retention job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Initialize the retention job
+ * Runs daily at 3:30 AM to delete expired data
+ */
+function initRetentionJob() {
+  jobScheduler.defineJob({
+    name: 'enforce-retention',
+    schedule: '30 3 * * *',
+    description: 'Deletes messages, media and recordings past their group retention policy',
+    handler: runRetentionJob,
+  });
+
+  console.log('[Retention] Retention job initialized (runs daily at 3:30 AM)');
+}
+
+module.exports = {
+  initRetentionJob,
+  runRetentionJob,
+};
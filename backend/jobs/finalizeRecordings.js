@@ -0,0 +1,278 @@
+/**
+ * Finalize Recordings Job
+ *
+ * Once a call has ended and its last chunk has had time to upload, merges
+ * its recording chunks into one encrypted, seekable file with chapter
+ * markers (services/recordingMerge.service.js): M4A for phone calls, MP4 for
+ * video calls. The merged file becomes the call's recording, its transcript
+ * is moved onto it, and the chunks are deleted and the group's storage
+ * recalculated.
+ *
+ * A merge that fails or doesn't match its chunks leaves the chunks in place
+ * and marks the recording 'merge_failed', so it isn't tried again. Calls
+ * still being transcribed wait for the next run. Does nothing unless the
+ * worker service can merge recordings.
+ *
+ * Runs every 5 minutes.
+ */
+
+const { prisma } = require('../config/database');
+const jobScheduler = require('../services/jobScheduler.service');
+const mediaProcessor = require('../services/mediaProcessor.service');
+const recordingMergeService = require('../services/recordingMerge.service');
+const { storageService } = require('../services/storage');
+const { recalculateGroupStorage } = require('../controllers/storage.controller');
+const { CALL_TYPES } = require('../utils/transcripts');
+const { FINALIZE_AFTER_MS } = require('../utils/recordingMerge');
+
+// Calls merged per run
+const BATCH_SIZE = 3;
+
+const CALL_MODELS = { phone: 'phoneCall', video: 'videoCall' };
+const CHUNK_MODELS = { phone: 'phoneCallRecordingChunk', video: 'videoCallRecordingChunk' };
+
+const memberSelect = {
+  displayName: true,
+  userId: true,
+  user: { select: { displayName: true } },
+};
+
+/**
+ * Ended calls whose chunks are ready to merge, oldest first
+ * @returns {Promise<{callType: string, call: Object}[]>}
+ */
+async function findCallsToFinalize(now) {
+  const candidates = [];
+
+  for (const callType of CALL_TYPES) {
+    if (candidates.length >= BATCH_SIZE) break;
+
+    const calls = await prisma[CALL_MODELS[callType]].findMany({
+      where: {
+        status: 'ended',
+        endedAt: { lt: new Date(now.getTime() - FINALIZE_AFTER_MS) },
+        recordingFileId: null,
+        recordingIsHidden: false,
+        // Chunks still uploading, being merged, or failed to merge before
+        OR: [
+          { recordingStatus: null },
+          { recordingStatus: { notIn: ['recording', 'merging', 'merge_failed'] } },
+        ],
+        recordingChunks: {
+          some: { status: 'ready' },
+          none: { status: 'processing' },
+        },
+        group: { isHidden: false },
+      },
+      select: {
+        callId: true,
+        groupId: true,
+        startedAt: true,
+        connectedAt: true,
+        recordingStatus: true,
+        initiator: { select: memberSelect },
+        participants: {
+          select: {
+            joinedAt: true,
+            leftAt: true,
+            participant: { select: memberSelect },
+          },
+        },
+        recordingChunks: {
+          select: { chunkIndex: true, fileId: true, startedAt: true, durationMs: true, status: true },
+        },
+      },
+      orderBy: { endedAt: 'asc' },
+      take: BATCH_SIZE - candidates.length,
+    });
+
+    if (calls.length === 0) continue;
+
+    // Chunks are still being read
+    const transcribing = await prisma.callTranscript.findMany({
+      where: { callType, callId: { in: calls.map(c => c.callId) }, status: 'pending' },
+      select: { callId: true },
+    });
+    const transcribingIds = new Set(transcribing.map(t => t.callId));
+
+    for (const call of calls) {
+      if (!transcribingIds.has(call.callId)) {
+        candidates.push({ callType, call });
+      }
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Claim a call for merging
+ * @returns {Promise<boolean>} Whether it was claimed
+ */
+async function claimCall(callType, call) {
+  const claimed = await prisma[CALL_MODELS[callType]].updateMany({
+    where: { callId: call.callId, recordingFileId: null, recordingStatus: call.recordingStatus },
+    data: { recordingStatus: 'merging' },
+  });
+  return claimed.count > 0;
+}
+
+/**
+ * Swap a call's chunks for its merged recording
+ */
+async function replaceChunks(callType, call, merged) {
+  const transcript = await prisma.callTranscript.findUnique({
+    where: { callType_callId: { callType, callId: call.callId } },
+  });
+  const segments = transcript?.status === 'ready' && transcript.segments
+    ? await recordingMergeService.remapTranscript(transcript, merged.plan, call.groupId)
+    : null;
+
+  const chunkFileIds = call.recordingChunks.map(chunk => chunk.fileId);
+
+  await prisma.$transaction([
+    prisma[CALL_MODELS[callType]].update({
+      where: { callId: call.callId },
+      data: {
+        recordingFileId: merged.fileId,
+        recordingUrl: merged.url,
+        recordingStatus: 'ready',
+        recordingDurationMs: merged.durationMs,
+        recordingSizeBytes: BigInt(merged.sizeBytes),
+        recordingChapters: merged.chapters,
+      },
+    }),
+    prisma[CHUNK_MODELS[callType]].deleteMany({ where: { callId: call.callId } }),
+    ...(segments ? [prisma.callTranscript.update({
+      where: { transcriptId: transcript.transcriptId },
+      data: { segments },
+    })] : []),
+  ]);
+
+  for (const fileId of chunkFileIds) {
+    try {
+      await storageService.hardDeleteFile(fileId);
+    } catch (error) {
+      console.error(`[Recordings] Failed to delete chunk file ${fileId} (continuing): ${error.message}`);
+    }
+  }
+
+  return chunkFileIds.length;
+}
+
+/**
+ * Leave a call's chunks in place after a failed merge
+ */
+async function markMergeFailed(callType, call, error) {
+  console.error(`[Recordings] Failed to merge ${callType} call ${call.callId}:`, error.message);
+
+  await prisma[CALL_MODELS[callType]].update({
+    where: { callId: call.callId },
+    data: { recordingStatus: 'merge_failed' },
+  });
+}
+
+/**
+ * Merge one claimed call's recording
+ * @returns {Promise<boolean>} Whether it succeeded
+ */
+async function finalizeClaimedCall(callType, call) {
+  let merged;
+  try {
+    merged = await recordingMergeService.mergeCallRecording(callType, call);
+  } catch (error) {
+    await markMergeFailed(callType, call, error);
+    return false;
+  }
+
+  let chunkCount;
+  try {
+    chunkCount = await replaceChunks(callType, call, merged);
+  } catch (error) {
+    await storageService.hardDeleteFile(merged.fileId).catch(() => {});
+    await markMergeFailed(callType, call, error);
+    return false;
+  }
+
+  await recalculateGroupStorage(call.groupId);
+
+  await prisma.auditLog.create({
+    data: {
+      groupId: call.groupId,
+      action: 'merge_call_recording',
+      actionLocation: callType === 'phone' ? 'phone_calls' : 'video_calls',
+      performedBy: null,
+      performedByName: 'System',
+      performedByEmail: null,
+      messageContent: `Merged ${chunkCount} ${callType} call recording chunk(s) into one file. Duration: ${Math.round(merged.durationMs / 1000)}s, Size: ${Math.round(merged.sizeBytes / 1024)}KB, Chapters: ${merged.chapters.length}`,
+      logData: { callType, callId: call.callId, fileId: merged.fileId, chunkCount, durationMs: merged.durationMs, sizeBytes: merged.sizeBytes },
+    },
+  });
+
+  return true;
+}
+
+/**
+ * Merge the recordings of calls that have ended
+ * @param {Date} [now]
+ * @returns {Promise<Object>} Counts of merged, failed and interrupted recordings
+ */
+async function runFinalizeRecordingsJob(now = new Date()) {
+  try {
+    // The job runs on one instance at a time, so anything still merging was interrupted
+    let interrupted = 0;
+    for (const callType of CALL_TYPES) {
+      const reset = await prisma[CALL_MODELS[callType]].updateMany({
+        where: { recordingStatus: 'merging', recordingFileId: null },
+        data: { recordingStatus: 'completed' },
+      });
+      interrupted += reset.count;
+    }
+
+    if (!(await mediaProcessor.isMergeAvailable())) {
+      return { merged: 0, failed: 0, interrupted, available: false };
+    }
+
+    const candidates = await findCallsToFinalize(now);
+    let merged = 0;
+    let failed = 0;
+
+    for (const { callType, call } of candidates) {
+      if (!(await claimCall(callType, call))) continue;
+
+      if (await finalizeClaimedCall(callType, call)) {
+        merged++;
+      } else {
+        failed++;
+      }
+    }
+
+    if (merged + failed + interrupted > 0) {
+      console.log(`[Recordings] Completed: merged ${merged}, failed ${failed}, interrupted ${interrupted}`);
+    }
+    return { merged, failed, interrupted };
+  } catch (error) {
+    console.error('[Recordings] Critical error in finalize recordings job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Initialize the finalize recordings job
+ * Runs every 5 minutes to merge the recordings of calls that have ended
+ */
+function initFinalizeRecordingsJob() {
+  jobScheduler.defineJob({
+    name: 'finalize-recordings',
+    schedule: '*/5 * * * *',
+    description: 'Merges the recording chunks of calls that have ended into one file',
+    handler: runFinalizeRecordingsJob,
+  });
+
+  console.log('[Recordings] Finalize recordings job initialized (runs every 5 minutes)');
+}
+
+module.exports = {
+  initFinalizeRecordingsJob,
+  runFinalizeRecordingsJob,
+};
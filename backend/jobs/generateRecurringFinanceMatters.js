@@ -0,0 +1,244 @@
+/**
+ * Recurring Finance Matter Job
+ *
+ * Creates a FinanceMatter for each new period of every active recurring
+ * finance matter template (child support, allowances, subscriptions) and
+ * notifies its members by email and push notification.
+ *
+ * Runs every hour. Periods are unique per template, so a period is only
+ * generated once even if a run is retried.
+ */
+
+const { prisma } = require('../config/database');
+const jobScheduler = require('../services/jobScheduler.service');
+const { isGroupReadOnly } = require('../utils/permissions');
+const { emailService } = require('../services/email');
+const emailTemplates = require('../services/email/templates');
+const pushNotificationService = require('../services/pushNotification.service');
+const { getDuePeriods, splitAmount, formatPeriodName } = require('../utils/recurringFinance');
+
+/**
+ * Email and push-notify the members of a generated finance matter
+ */
+async function notifyMembers(template, financeMatter) {
+  const memberIds = template.members.map(m => m.groupMemberId);
+  const formattedAmount = `${template.currency} ${parseFloat(template.totalAmount).toFixed(2)}`;
+
+  try {
+    const appUrl = process.env.APP_URL || 'https://familyhelperapp.com';
+    const membersToNotify = await prisma.groupMember.findMany({
+      where: {
+        groupMemberId: { in: memberIds },
+        email: { not: null },
+      },
+      include: {
+        user: {
+          select: {
+            email: true,
+            displayName: true,
+          },
+        },
+      },
+    });
+
+    for (const member of membersToNotify) {
+      const recipientEmail = member.user?.email || member.email;
+      const recipientName = member.user?.displayName || member.displayName;
+
+      try {
+        const emailContent = emailTemplates.finance_matter_added({
+          recipientName: recipientName,
+          groupName: template.group.name,
+          matterTitle: financeMatter.name,
+          matterType: 'Recurring Expense',
+          amount: formattedAmount,
+          createdBy: template.creator.displayName,
+          appUrl: appUrl,
+        });
+        await emailService.sendEmail({
+          to: recipientEmail,
+          subject: emailContent.subject,
+          text: emailContent.text,
+          html: emailContent.html,
+        });
+      } catch (emailError) {
+        console.error(`[RecurringFinance] Failed to send email to ${recipientEmail}:`, emailError.message);
+      }
+    }
+  } catch (error) {
+    console.error('[RecurringFinance] Error sending notification emails:', error.message);
+  }
+
+  await pushNotificationService.sendToGroupMembersWithPreferences(
+    memberIds,
+    'finance',
+    `New Finance: ${financeMatter.name}`,
+    `${formattedAmount} is due for ${template.name}`,
+    {
+      type: 'new_finance_matter',
+      groupId: template.groupId,
+      financeMatterId: financeMatter.financeMatterId,
+    }
+  ).catch(err => console.error('[RecurringFinance] Failed to send push notifications:', err));
+}
+
+/**
+ * Create the finance matter for one period of a template
+ *
+ * @returns {Promise<Object|null>} The new FinanceMatter, or null if this period already exists
+ */
+async function generatePeriod(template, periodStart) {
+  const name = formatPeriodName(template, periodStart);
+  const dueDate = template.dueAfterDays !== null && template.dueAfterDays !== undefined
+    ? new Date(periodStart.getTime() + template.dueAfterDays * 24 * 60 * 60 * 1000)
+    : null;
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const matter = await tx.financeMatter.create({
+        data: {
+          groupId: template.groupId,
+          name: name,
+          description: template.description,
+          totalAmount: template.totalAmount,
+          currency: template.currency,
+          dueDate: dueDate,
+          createdBy: template.createdBy,
+          recurringFinanceMatterId: template.recurringFinanceMatterId,
+          periodStart: periodStart,
+        },
+      });
+
+      await tx.financeMatterMember.createMany({
+        data: splitAmount(template.totalAmount, template.members).map(share => ({
+          financeMatterId: matter.financeMatterId,
+          groupMemberId: share.groupMemberId,
+          expectedPercentage: share.expectedPercentage,
+          expectedAmount: share.expectedAmount,
+          paidAmount: 0,
+        })),
+      });
+
+      await tx.recurringFinanceMatter.update({
+        where: { recurringFinanceMatterId: template.recurringFinanceMatterId },
+        data: { lastPeriodStart: periodStart },
+      });
+
+      await tx.auditLog.create({
+        data: {
+          groupId: template.groupId,
+          action: 'generate_recurring_finance_matter',
+          performedBy: null,
+          performedByName: 'System',
+          performedByEmail: 'system',
+          actionLocation: 'finance',
+          messageContent: `Created finance matter "${name}" (${template.currency} ${parseFloat(template.totalAmount).toFixed(2)}) from recurring finance matter "${template.name}"`,
+        },
+      });
+
+      return matter;
+    });
+  } catch (error) {
+    // Unique (template, period): another server already generated it
+    if (error.code === 'P2002') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Generate all due periods of one template
+ */
+async function processTemplate(template, now) {
+  const periods = getDuePeriods(template, now);
+  if (periods.length === 0) {
+    return { generated: 0 };
+  }
+
+  // Read-only groups cannot create finance matters; skip these periods
+  if (isGroupReadOnly(template.group)) {
+    await prisma.recurringFinanceMatter.update({
+      where: { recurringFinanceMatterId: template.recurringFinanceMatterId },
+      data: { lastPeriodStart: periods[periods.length - 1] },
+    });
+    console.log(`[RecurringFinance] Skipped ${periods.length} period(s) of "${template.name}" (group is read-only)`);
+    return { generated: 0 };
+  }
+
+  let generated = 0;
+  for (const periodStart of periods) {
+    try {
+      const matter = await generatePeriod(template, periodStart);
+      if (matter) {
+        generated++;
+        await notifyMembers(template, matter);
+      }
+    } catch (error) {
+      console.error(`[RecurringFinance] Error generating "${template.name}" for ${periodStart.toISOString()}:`, error.message);
+      break; // Retry from this period on the next run
+    }
+  }
+
+  return { generated };
+}
+
+/**
+ * Main job function - generates finance matters for due periods
+ */
+async function runRecurringFinanceJob(now = new Date()) {
+  try {
+    const templates = await prisma.recurringFinanceMatter.findMany({
+      where: {
+        isPaused: false,
+        endedAt: null,
+        startDate: { lte: now },
+        group: { isHidden: false },
+      },
+      include: {
+        members: true,
+        group: {
+          select: { name: true, readOnlyUntil: true, hasActiveAdmin: true },
+        },
+        creator: {
+          select: { displayName: true },
+        },
+      },
+    });
+
+    let totalGenerated = 0;
+    for (const template of templates) {
+      const result = await processTemplate(template, now);
+      totalGenerated += result.generated;
+    }
+
+    if (totalGenerated > 0) {
+      console.log(`[RecurringFinance] Completed: created ${totalGenerated} finance matter(s)`);
+    }
+    return { generated: totalGenerated };
+  } catch (error) {
+    console.error('[RecurringFinance] Critical error in recurring finance job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Initialize the recurring finance job
+ * Runs every hour to generate finance matters for new periods
+ */
+function initRecurringFinanceJob() {
+  // Run at the start of every hour
+  jobScheduler.defineJob({
+    name: 'recurring-finance',
+    schedule: '0 * * * *',
+    description: 'Creates finance matters for new periods of recurring finance matters',
+    handler: runRecurringFinanceJob,
+  });
+
+  console.log('[RecurringFinance] Recurring finance job initialized (runs hourly)');
+}
+
+module.exports = {
+  initRecurringFinanceJob,
+  runRecurringFinanceJob,
+};
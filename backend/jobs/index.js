@@ -0,0 +1,38 @@
+/**
+ * Background Jobs
+ *
+ * Registers every job with the job scheduler (services/jobScheduler.service.js).
+ * Both entry points call initJobs(): server.js, which then polls for due jobs,
+ * and lambda.js, where EventBridge runs them through POST /jobs/run-due and
+ * the billing endpoints run them with runJobNow.
+ */
+
+const { initSyncJob } = require('./syncImportedCalendars');
+const { initCalendarReminderJob } = require('./calendarNotificationReminders');
+const { initRecurringFinanceJob } = require('./generateRecurringFinanceMatters');
+const { initApprovalExpiryJob } = require('./approvalExpiry');
+const { initScheduledMessagesJob } = require('./deliverScheduledMessages');
+const { initRetentionJob } = require('./enforceRetention');
+const { initTranscriptionJob } = require('./transcribeRecordings');
+const { initFinalizeRecordingsJob } = require('./finalizeRecordings');
+const { initBillingJobs } = require('./billing');
+
+/**
+ * Register all background jobs
+ * Safe to call more than once; a job registered again replaces itself.
+ */
+function initJobs() {
+  initSyncJob();
+  initCalendarReminderJob();
+  initRecurringFinanceJob();
+  initApprovalExpiryJob();
+  initScheduledMessagesJob();
+  initRetentionJob();
+  initTranscriptionJob();
+  initFinalizeRecordingsJob();
+  initBillingJobs();
+}
+
+module.exports = {
+  initJobs,
+};
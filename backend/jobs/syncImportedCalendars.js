@@ -8,8 +8,8 @@
  * 4. Recording sync status and errors
  */
 
-const cron = require('node-cron');
 const { prisma } = require('../config/database');
+const jobScheduler = require('../services/jobScheduler.service');
 const { parseIcalUrl } = require('../utils/parseIcal');
 
 /**
@@ -49,6 +49,8 @@ async function syncSingleCalendar(calendar) {
             endTime: event.endTime,
             isAllDay: event.isAllDay,
             recurrenceRule: event.recurrenceRule,
+            timeZone: event.timeZone,
+            exceptions: event.exceptions,
           })),
         });
       }
@@ -93,6 +95,7 @@ async function syncSingleCalendar(calendar) {
 
 /**
  * Run the sync job - finds and syncs all calendars due for sync
+ * @returns {Promise<{synced: number, failed: number}>}
  */
 async function runSyncJob() {
   console.log(`[SyncJob] Starting imported calendar sync check at ${new Date().toISOString()}`);
@@ -124,7 +127,7 @@ async function runSyncJob() {
 
     if (dueCalendars.length === 0) {
       console.log('[SyncJob] No calendars need syncing');
-      return;
+      return { synced: 0, failed: 0 };
     }
 
     console.log(`[SyncJob] Found ${dueCalendars.length} calendars to sync`);
@@ -143,8 +146,10 @@ async function runSyncJob() {
     }
 
     console.log(`[SyncJob] Completed: ${successCount} succeeded, ${errorCount} failed`);
+    return { synced: successCount, failed: errorCount };
   } catch (error) {
     console.error('[SyncJob] Critical error in sync job:', error);
+    throw error;
   }
 }
 
@@ -154,21 +159,14 @@ async function runSyncJob() {
  */
 function initSyncJob() {
   // Run every hour at minute 0
-  cron.schedule('0 * * * *', () => {
-    runSyncJob().catch((error) => {
-      console.error('[SyncJob] Unhandled error:', error);
-    });
+  jobScheduler.defineJob({
+    name: 'sync-imported-calendars',
+    schedule: '0 * * * *',
+    description: 'Syncs URL-based imported calendars that are due',
+    handler: runSyncJob,
   });
 
   console.log('[SyncJob] Imported calendar sync job initialized (runs hourly)');
-
-  // Also run once on startup after a short delay
-  setTimeout(() => {
-    console.log('[SyncJob] Running initial sync check...');
-    runSyncJob().catch((error) => {
-      console.error('[SyncJob] Initial sync error:', error);
-    });
-  }, 10000); // 10 second delay to let server fully start
 }
 
 module.exports = {
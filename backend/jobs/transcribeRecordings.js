@@ -0,0 +1,253 @@
+/**
+ * Transcribe Recordings Job
+ *
+ * Transcribes phone and video call recordings once the call has ended and
+ * its last chunk has had time to upload (services/transcript.service.js).
+ * Failed transcriptions are retried on later runs, up to
+ * MAX_TRANSCRIPTION_ATTEMPTS. Hidden recordings, and calls that ended more
+ * than TRANSCRIBE_WITHIN_DAYS ago, are skipped.
+ *
+ * Does nothing unless the worker service has a speech model installed.
+ * Transcription is heavy, so each run handles a few calls at a time.
+ *
+ * Runs every 10 minutes.
+ */
+
+const { prisma } = require('../config/database');
+const jobScheduler = require('../services/jobScheduler.service');
+const mediaProcessor = require('../services/mediaProcessor.service');
+const transcriptService = require('../services/transcript.service');
+const {
+  CALL_TYPES,
+  MAX_TRANSCRIPTION_ATTEMPTS,
+  TRANSCRIBE_AFTER_MS,
+  needsTranscription,
+} = require('../utils/transcripts');
+
+// Calls transcribed per run
+const BATCH_SIZE = 5;
+
+// Only recent calls are transcribed
+const TRANSCRIBE_WITHIN_DAYS = 30;
+
+// A transcript left 'pending' this long was interrupted (e.g. a restart)
+const STUCK_PENDING_MINUTES = 60;
+
+const CALL_MODELS = { phone: 'phoneCall', video: 'videoCall' };
+
+/**
+ * Ended, recorded calls that don't have a finished transcript yet, oldest first
+ * @returns {Promise<{callType: string, call: Object, transcript: Object|null}[]>}
+ */
+async function findCallsToTranscribe(now) {
+  const endedAt = {
+    gte: new Date(now.getTime() - TRANSCRIBE_WITHIN_DAYS * 24 * 60 * 60 * 1000),
+    lt: new Date(now.getTime() - TRANSCRIBE_AFTER_MS),
+  };
+  const candidates = [];
+
+  for (const callType of CALL_TYPES) {
+    if (candidates.length >= BATCH_SIZE) break;
+
+    const calls = await prisma[CALL_MODELS[callType]].findMany({
+      where: {
+        status: 'ended',
+        endedAt,
+        recordingIsHidden: false,
+        AND: [
+          // Chunks still uploading, or being merged (jobs/finalizeRecordings.js)
+          { OR: [{ recordingStatus: null }, { recordingStatus: { notIn: ['recording', 'merging'] } }] },
+          {
+            OR: [
+              { recordingFileId: { not: null } },
+              { recordingChunks: { some: { status: 'ready' } } },
+            ],
+          },
+        ],
+        group: { isHidden: false },
+      },
+      select: { callId: true },
+      orderBy: { endedAt: 'asc' },
+    });
+
+    if (calls.length === 0) continue;
+
+    const transcripts = await prisma.callTranscript.findMany({
+      where: { callType, callId: { in: calls.map(c => c.callId) } },
+    });
+    const transcriptsByCall = new Map(transcripts.map(t => [t.callId, t]));
+
+    const due = calls
+      .map(call => ({ callId: call.callId, transcript: transcriptsByCall.get(call.callId) || null }))
+      .filter(({ transcript }) => needsTranscription(transcript))
+      .slice(0, BATCH_SIZE - candidates.length);
+
+    if (due.length === 0) continue;
+
+    const details = await prisma[CALL_MODELS[callType]].findMany({
+      where: { callId: { in: due.map(d => d.callId) } },
+      select: {
+        callId: true,
+        groupId: true,
+        startedAt: true,
+        connectedAt: true,
+        recordingFileId: true,
+        recordingChunks: {
+          select: { chunkIndex: true, fileId: true, startedAt: true, status: true },
+        },
+      },
+    });
+    const detailsByCall = new Map(details.map(call => [call.callId, call]));
+
+    for (const { callId, transcript } of due) {
+      candidates.push({ callType, call: detailsByCall.get(callId), transcript });
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Claim a call for transcription
+ * @returns {Promise<Object|null>} The pending CallTranscript, or null if another run has it
+ */
+async function claimTranscript({ callType, call, transcript }) {
+  if (!transcript) {
+    try {
+      return await prisma.callTranscript.create({
+        data: {
+          groupId: call.groupId,
+          callType,
+          callId: call.callId,
+          status: 'pending',
+          attempts: 1,
+        },
+      });
+    } catch (error) {
+      // Created meanwhile by another run
+      if (error.code === 'P2002') return null;
+      throw error;
+    }
+  }
+
+  const claimed = await prisma.callTranscript.updateMany({
+    where: {
+      transcriptId: transcript.transcriptId,
+      status: 'failed',
+      attempts: { lt: MAX_TRANSCRIPTION_ATTEMPTS },
+    },
+    data: { status: 'pending', attempts: { increment: 1 }, error: null },
+  });
+
+  return claimed.count > 0 ? { ...transcript, attempts: transcript.attempts + 1 } : null;
+}
+
+/**
+ * Transcribe one claimed call
+ * @returns {Promise<boolean>} Whether it succeeded
+ */
+async function transcribeClaimedCall(callType, call, transcript) {
+  try {
+    const result = await transcriptService.transcribeCall(call);
+
+    await prisma.callTranscript.update({
+      where: { transcriptId: transcript.transcriptId },
+      data: {
+        status: 'ready',
+        segments: result.segments,
+        language: result.language,
+        model: result.model,
+        error: null,
+      },
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        groupId: call.groupId,
+        action: 'transcribe_call_recording',
+        actionLocation: callType === 'phone' ? 'phone_calls' : 'video_calls',
+        performedBy: null,
+        performedByName: 'System',
+        performedByEmail: null,
+        messageContent: `Transcribed ${callType} call recording (${result.segmentCount} segment(s)${result.language ? `, language: ${result.language}` : ''})`,
+        logData: { callType, callId: call.callId, transcriptId: transcript.transcriptId, model: result.model },
+      },
+    });
+
+    return true;
+  } catch (error) {
+    console.error(`[Transcripts] Failed to transcribe ${callType} call ${call.callId} (attempt ${transcript.attempts}):`, error.message);
+
+    await prisma.callTranscript.update({
+      where: { transcriptId: transcript.transcriptId },
+      data: { status: 'failed', error: error.message },
+    });
+
+    return false;
+  }
+}
+
+/**
+ * Transcribe recordings that are ready
+ * @param {Date} [now]
+ * @returns {Promise<Object>} Counts of transcribed, failed and interrupted transcripts
+ */
+async function runTranscriptionJob(now = new Date()) {
+  try {
+    // Fail transcripts interrupted mid-way so they are retried
+    const interrupted = await prisma.callTranscript.updateMany({
+      where: {
+        status: 'pending',
+        updatedAt: { lt: new Date(now.getTime() - STUCK_PENDING_MINUTES * 60 * 1000) },
+      },
+      data: { status: 'failed', error: 'Transcription was interrupted' },
+    });
+
+    if (!(await mediaProcessor.isTranscriptionAvailable())) {
+      return { transcribed: 0, failed: 0, interrupted: interrupted.count, available: false };
+    }
+
+    const candidates = await findCallsToTranscribe(now);
+    let transcribed = 0;
+    let failed = 0;
+
+    for (const candidate of candidates) {
+      const transcript = await claimTranscript(candidate);
+      if (!transcript) continue;
+
+      if (await transcribeClaimedCall(candidate.callType, candidate.call, transcript)) {
+        transcribed++;
+      } else {
+        failed++;
+      }
+    }
+
+    if (transcribed + failed + interrupted.count > 0) {
+      console.log(`[Transcripts] Completed: transcribed ${transcribed}, failed ${failed}, interrupted ${interrupted.count}`);
+    }
+    return { transcribed, failed, interrupted: interrupted.count };
+  } catch (error) {
+    console.error('[Transcripts] Critical error in transcription job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Initialize the transcription job
+ * Runs every 10 minutes to transcribe new call recordings
+ */
+function initTranscriptionJob() {
+  jobScheduler.defineJob({
+    name: 'transcribe-recordings',
+    schedule: '*/10 * * * *',
+    description: 'Transcribes call recordings of calls that have ended',
+    handler: runTranscriptionJob,
+  });
+
+  console.log('[Transcripts] Transcription job initialized (runs every 10 minutes)');
+}
+
+module.exports = {
+  initTranscriptionJob,
+  runTranscriptionJob,
+};
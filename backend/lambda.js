@@ -7,6 +7,13 @@
 
 const serverless = require('serverless-http');
 const app = require('./server');
+const { initJobs } = require('./jobs');
+const jobWorker = require('./services/jobWorker.service');
+const realtimeService = require('./services/realtime.service');
+
+// Register the jobs so the jobs function and the billing endpoints can run
+// them. Instances don't live long enough to poll, so the scheduler isn't started.
+initJobs();
 
 // Wrap Express app with serverless-http
 const handler = serverless(app, {
@@ -30,6 +37,8 @@ module.exports.handler = async (event, context) => {
 
   try {
     const response = await handler(event, context);
+    // Relay realtime events before the instance can freeze
+    await realtimeService.flush();
     return response;
   } catch (error) {
     console.error('Lambda Handler Error:', error);
@@ -46,3 +55,18 @@ module.exports.handler = async (event, context) => {
     };
   }
 };
+
+/**
+ * Handler of the jobs function (see services/jobWorker.service.js)
+ * Invoked every minute by EventBridge, and once per due job by itself.
+ */
+module.exports.jobsHandler = async (event, context) => {
+  context.callbackWaitsForEmptyEventLoop = false;
+
+  try {
+    return await jobWorker.handleJobsEvent(event);
+  } catch (error) {
+    console.error('Jobs Handler Error:', error);
+    throw error;
+  }
+};
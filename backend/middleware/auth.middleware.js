@@ -11,6 +11,94 @@
 
 const authService = require('../services/auth.service');
 
+/**
+ * Resolve the user for an access token (Kinde or custom JWT)
+ * Shared by requireAuth and the realtime WebSocket server, which cannot
+ * send an Authorization header and authenticates with its first message.
+ *
+ * @param {string} token - Raw access token
+ * @returns {Promise<Object>} The authenticated user
+ * @throws {Error} Error with status 401 if the token is invalid or the user is unknown
+ */
+async function authenticateToken(token) {
+  const unauthorized = (message) => {
+    const error = new Error(message);
+    error.status = 401;
+    return error;
+  };
+
+  if (!token) {
+    throw unauthorized('No authentication token provided');
+  }
+
+  let user;
+
+  // Check if this is a Kinde token or our custom JWT
+  if (authService.isKindeToken(token)) {
+    // Kinde token - validate via JWKS
+    let kindePayload;
+    try {
+      kindePayload = await authService.verifyKindeToken(token);
+    } catch (error) {
+      throw unauthorized(error.message);
+    }
+
+    // Get or create user by Kinde ID (sub claim)
+    const kindeId = kindePayload.sub;
+    user = await authService.getUserByKindeId(kindeId);
+
+    if (!user) {
+      // User doesn't exist yet - create them
+      // This handles the case where someone uses Kinde token without going through /auth/exchange
+      let email = kindePayload.email;
+      let givenName = kindePayload.given_name;
+      let familyName = kindePayload.family_name;
+
+      // If email is missing from token, fetch from Kinde userinfo endpoint
+      if (!email) {
+        try {
+          const userInfo = await authService.fetchKindeUserInfo(token);
+          email = userInfo.email;
+          givenName = givenName || userInfo.given_name;
+          familyName = familyName || userInfo.family_name;
+        } catch (fetchError) {
+          console.error('Failed to fetch user info from Kinde:', fetchError.message);
+          throw unauthorized('Could not retrieve user email from Kinde');
+        }
+      }
+
+      user = await authService.findOrCreateUser({
+        id: kindeId,
+        email: email,
+        given_name: givenName,
+        family_name: familyName,
+      });
+    }
+  } else {
+    // Custom JWT (legacy) - validate with our secret
+    let decoded;
+    try {
+      decoded = authService.verifyToken(token);
+    } catch (error) {
+      throw unauthorized(error.message);
+    }
+
+    // Check if refresh token (shouldn't be used for API access)
+    if (decoded.type === 'refresh') {
+      throw unauthorized('Cannot use refresh token for API access');
+    }
+
+    // Get user from database by userId
+    user = await authService.getUserById(decoded.userId);
+  }
+
+  if (!user) {
+    throw unauthorized('User not found');
+  }
+
+  return user;
+}
+
 /**
  * Middleware to require authentication
  * Verifies JWT token (Kinde or custom) and attaches user to req.user
@@ -25,91 +113,17 @@ async function requireAuth(req, res, next) {
     const authHeader = req.headers.authorization;
     const token = authService.extractTokenFromHeader(authHeader);
 
-    if (!token) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'No authentication token provided',
-      });
-    }
-
     let user;
-
-    // Check if this is a Kinde token or our custom JWT
-    if (authService.isKindeToken(token)) {
-      // Kinde token - validate via JWKS
-      let kindePayload;
-      try {
-        kindePayload = await authService.verifyKindeToken(token);
-      } catch (error) {
+    try {
+      user = await authenticateToken(token);
+    } catch (error) {
+      if (error.status === 401) {
         return res.status(401).json({
           error: 'Unauthorized',
           message: error.message,
         });
       }
-
-      // Get or create user by Kinde ID (sub claim)
-      const kindeId = kindePayload.sub;
-      user = await authService.getUserByKindeId(kindeId);
-
-      if (!user) {
-        // User doesn't exist yet - create them
-        // This handles the case where someone uses Kinde token without going through /auth/exchange
-        let email = kindePayload.email;
-        let givenName = kindePayload.given_name;
-        let familyName = kindePayload.family_name;
-
-        // If email is missing from token, fetch from Kinde userinfo endpoint
-        if (!email) {
-          try {
-            const userInfo = await authService.fetchKindeUserInfo(token);
-            email = userInfo.email;
-            givenName = givenName || userInfo.given_name;
-            familyName = familyName || userInfo.family_name;
-          } catch (fetchError) {
-            console.error('Failed to fetch user info from Kinde:', fetchError.message);
-            return res.status(401).json({
-              error: 'Unauthorized',
-              message: 'Could not retrieve user email from Kinde',
-            });
-          }
-        }
-
-        user = await authService.findOrCreateUser({
-          id: kindeId,
-          email: email,
-          given_name: givenName,
-          family_name: familyName,
-        });
-      }
-    } else {
-      // Custom JWT (legacy) - validate with our secret
-      let decoded;
-      try {
-        decoded = authService.verifyToken(token);
-      } catch (error) {
-        return res.status(401).json({
-          error: 'Unauthorized',
-          message: error.message,
-        });
-      }
-
-      // Check if refresh token (shouldn't be used for API access)
-      if (decoded.type === 'refresh') {
-        return res.status(401).json({
-          error: 'Unauthorized',
-          message: 'Cannot use refresh token for API access',
-        });
-      }
-
-      // Get user from database by userId
-      user = await authService.getUserById(decoded.userId);
-    }
-
-    if (!user) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'User not found',
-      });
+      throw error;
     }
 
     // Attach user to request
@@ -219,6 +233,7 @@ async function optionalAuth(req, res, next) {
 }
 
 module.exports = {
+  authenticateToken,
   requireAuth,
   requireSubscription,
   optionalAuth,
@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "calendar_event_exceptions" (
+    "exception_id" UUID NOT NULL,
+    "event_id" UUID NOT NULL,
+    "original_start_time" TIMESTAMP(6) NOT NULL,
+    "is_cancelled" BOOLEAN NOT NULL DEFAULT false,
+    "title" VARCHAR(255),
+    "notes" TEXT,
+    "start_time" TIMESTAMP(6),
+    "end_time" TIMESTAMP(6),
+    "created_by" UUID NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "calendar_event_exceptions_pkey" PRIMARY KEY ("exception_id")
+);
+
+-- CreateIndex
+CREATE INDEX "calendar_event_exceptions_event_id_idx" ON "calendar_event_exceptions"("event_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "calendar_event_exceptions_event_id_original_start_time_key" ON "calendar_event_exceptions"("event_id", "original_start_time");
+
+-- AddForeignKey
+ALTER TABLE "calendar_event_exceptions" ADD CONSTRAINT "calendar_event_exceptions_event_id_fkey" FOREIGN KEY ("event_id") REFERENCES "calendar_events"("event_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "calendar_event_exceptions" ADD CONSTRAINT "calendar_event_exceptions_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "group_members"("group_member_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AlterTable
+ALTER TABLE "calendar_events" ALTER COLUMN "recurrence_pattern" SET DATA TYPE TEXT;
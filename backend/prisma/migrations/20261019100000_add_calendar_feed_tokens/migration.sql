@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "calendar_feed_tokens" (
+    "feed_token_id" UUID NOT NULL,
+    "group_id" UUID NOT NULL,
+    "group_member_id" UUID NOT NULL,
+    "token_hash" VARCHAR(64) NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_accessed_at" TIMESTAMP(6),
+    "revoked_at" TIMESTAMP(6),
+
+    CONSTRAINT "calendar_feed_tokens_pkey" PRIMARY KEY ("feed_token_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "calendar_feed_tokens_group_member_id_key" ON "calendar_feed_tokens"("group_member_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "calendar_feed_tokens_token_hash_key" ON "calendar_feed_tokens"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "calendar_feed_tokens_group_id_idx" ON "calendar_feed_tokens"("group_id");
+
+-- AddForeignKey
+ALTER TABLE "calendar_feed_tokens" ADD CONSTRAINT "calendar_feed_tokens_group_id_fkey" FOREIGN KEY ("group_id") REFERENCES "groups"("group_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "calendar_feed_tokens" ADD CONSTRAINT "calendar_feed_tokens_group_member_id_fkey" FOREIGN KEY ("group_member_id") REFERENCES "group_members"("group_member_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "finance_payments" ALTER COLUMN "to_member_id" DROP NOT NULL;
@@ -0,0 +1,62 @@
+-- AlterTable
+ALTER TABLE "finance_matters" ADD COLUMN     "period_start" TIMESTAMP(6),
+ADD COLUMN     "recurring_finance_matter_id" UUID;
+
+-- CreateTable
+CREATE TABLE "recurring_finance_matters" (
+    "recurring_finance_matter_id" UUID NOT NULL,
+    "group_id" UUID NOT NULL,
+    "name" VARCHAR(255) NOT NULL,
+    "description" TEXT,
+    "total_amount" DECIMAL(12,2) NOT NULL,
+    "currency" VARCHAR(3) NOT NULL,
+    "recurrence_pattern" VARCHAR(255) NOT NULL,
+    "start_date" TIMESTAMP(6) NOT NULL,
+    "end_date" TIMESTAMP(6),
+    "due_after_days" INTEGER,
+    "last_period_start" TIMESTAMP(6),
+    "is_paused" BOOLEAN NOT NULL DEFAULT false,
+    "paused_at" TIMESTAMP(6),
+    "ended_at" TIMESTAMP(6),
+    "created_by" UUID NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "recurring_finance_matters_pkey" PRIMARY KEY ("recurring_finance_matter_id")
+);
+
+-- CreateTable
+CREATE TABLE "recurring_finance_matter_members" (
+    "recurring_finance_matter_id" UUID NOT NULL,
+    "group_member_id" UUID NOT NULL,
+    "expected_percentage" DECIMAL(5,2) NOT NULL,
+
+    CONSTRAINT "recurring_finance_matter_members_pkey" PRIMARY KEY ("recurring_finance_matter_id","group_member_id")
+);
+
+-- CreateIndex
+CREATE INDEX "recurring_finance_matters_group_id_idx" ON "recurring_finance_matters"("group_id");
+
+-- CreateIndex
+CREATE INDEX "recurring_finance_matters_is_paused_ended_at_idx" ON "recurring_finance_matters"("is_paused", "ended_at");
+
+-- CreateIndex
+CREATE INDEX "recurring_finance_matter_members_group_member_id_idx" ON "recurring_finance_matter_members"("group_member_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "finance_matters_recurring_finance_matter_id_period_start_key" ON "finance_matters"("recurring_finance_matter_id", "period_start");
+
+-- AddForeignKey
+ALTER TABLE "finance_matters" ADD CONSTRAINT "finance_matters_recurring_finance_matter_id_fkey" FOREIGN KEY ("recurring_finance_matter_id") REFERENCES "recurring_finance_matters"("recurring_finance_matter_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recurring_finance_matters" ADD CONSTRAINT "recurring_finance_matters_group_id_fkey" FOREIGN KEY ("group_id") REFERENCES "groups"("group_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recurring_finance_matters" ADD CONSTRAINT "recurring_finance_matters_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "group_members"("group_member_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recurring_finance_matter_members" ADD CONSTRAINT "recurring_finance_matter_members_recurring_finance_matter_id_fkey" FOREIGN KEY ("recurring_finance_matter_id") REFERENCES "recurring_finance_matters"("recurring_finance_matter_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recurring_finance_matter_members" ADD CONSTRAINT "recurring_finance_matter_members_group_member_id_fkey" FOREIGN KEY ("group_member_id") REFERENCES "group_members"("group_member_id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "search_tokens" (
+    "entity_type" VARCHAR(20) NOT NULL,
+    "entity_id" UUID NOT NULL,
+    "token" CHAR(32) NOT NULL,
+    "group_id" UUID NOT NULL,
+    "scope_id" UUID,
+
+    CONSTRAINT "search_tokens_pkey" PRIMARY KEY ("entity_type","entity_id","token")
+);
+
+-- CreateIndex
+CREATE INDEX "search_tokens_group_id_token_idx" ON "search_tokens"("group_id", "token");
+
+-- AddForeignKey
+ALTER TABLE "search_tokens" ADD CONSTRAINT "search_tokens_group_id_fkey" FOREIGN KEY ("group_id") REFERENCES "groups"("group_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+-- Encrypted titles now carry a key ID, which no longer fits VARCHAR(255) for longer titles
+ALTER TABLE "wiki_documents" ALTER COLUMN "title" SET DATA TYPE TEXT;
+
+-- AlterTable
+ALTER TABLE "wiki_revisions" ALTER COLUMN "title" SET DATA TYPE TEXT;
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "group_data_keys" (
+    "group_id" UUID NOT NULL,
+    "key_id" VARCHAR(16) NOT NULL,
+    "wrapped_key" TEXT NOT NULL,
+    "kms_provider" VARCHAR(20) NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "group_data_keys_pkey" PRIMARY KEY ("group_id")
+);
+
+-- AddForeignKey
+ALTER TABLE "group_data_keys" ADD CONSTRAINT "group_data_keys_group_id_fkey" FOREIGN KEY ("group_id") REFERENCES "groups"("group_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "group_settings" ADD COLUMN "calendar_changes_require_approval" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "settings_changes_require_approval" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "approvals" ADD COLUMN "last_reminder_at" TIMESTAMP(6),
+ADD COLUMN "reminder_count" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "escalated_at" TIMESTAMP(6);
+
+-- CreateTable
+CREATE TABLE "approval_expiry_policies" (
+    "policy_id" UUID NOT NULL,
+    "group_id" UUID NOT NULL,
+    "approval_type" VARCHAR(50) NOT NULL,
+    "expiry_hours" INTEGER,
+    "reminder_interval_hours" INTEGER,
+    "outcome" VARCHAR(20) NOT NULL DEFAULT 'reject',
+    "escalation_hours" INTEGER NOT NULL DEFAULT 48,
+    "fallback_percentage" DECIMAL(5,2) NOT NULL DEFAULT 50.00,
+    "updated_by" UUID,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "approval_expiry_policies_pkey" PRIMARY KEY ("policy_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "approval_expiry_policies_group_id_approval_type_key" ON "approval_expiry_policies"("group_id", "approval_type");
+
+-- AddForeignKey
+ALTER TABLE "approval_expiry_policies" ADD CONSTRAINT "approval_expiry_policies_group_id_fkey" FOREIGN KEY ("group_id") REFERENCES "groups"("group_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "message_groups" ADD COLUMN "edit_window_minutes" INTEGER NOT NULL DEFAULT 15;
+
+-- CreateTable
+CREATE TABLE "message_revisions" (
+    "revision_id" UUID NOT NULL,
+    "message_id" UUID NOT NULL,
+    "revision_number" INTEGER NOT NULL,
+    "content" TEXT NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL,
+    "replaced_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "message_revisions_pkey" PRIMARY KEY ("revision_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "message_revisions_message_id_revision_number_key" ON "message_revisions"("message_id", "revision_number");
+
+-- AddForeignKey
+ALTER TABLE "message_revisions" ADD CONSTRAINT "message_revisions_message_id_fkey" FOREIGN KEY ("message_id") REFERENCES "messages"("message_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN "reply_to_id" UUID,
+ADD COLUMN "thread_root_id" UUID;
+
+-- CreateIndex
+CREATE INDEX "messages_thread_root_id_created_at_idx" ON "messages"("thread_root_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "messages" ADD CONSTRAINT "messages_reply_to_id_fkey" FOREIGN KEY ("reply_to_id") REFERENCES "messages"("message_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "messages" ADD CONSTRAINT "messages_thread_root_id_fkey" FOREIGN KEY ("thread_root_id") REFERENCES "messages"("message_id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,52 @@
+-- CreateTable
+CREATE TABLE "message_drafts" (
+    "draft_id" UUID NOT NULL,
+    "message_group_id" UUID NOT NULL,
+    "group_member_id" UUID NOT NULL,
+    "content" TEXT NOT NULL,
+    "mentions" UUID[],
+    "reply_to_id" UUID,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "message_drafts_pkey" PRIMARY KEY ("draft_id")
+);
+
+-- CreateTable
+CREATE TABLE "scheduled_messages" (
+    "scheduled_message_id" UUID NOT NULL,
+    "message_group_id" UUID NOT NULL,
+    "sender_id" UUID NOT NULL,
+    "content" TEXT NOT NULL,
+    "mentions" UUID[],
+    "media_files" JSONB,
+    "reply_to_id" UUID,
+    "scheduled_for" TIMESTAMP(6) NOT NULL,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+    "sent_message_id" UUID,
+    "failure_reason" TEXT,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "scheduled_messages_pkey" PRIMARY KEY ("scheduled_message_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "message_drafts_message_group_id_group_member_id_key" ON "message_drafts"("message_group_id", "group_member_id");
+
+-- CreateIndex
+CREATE INDEX "scheduled_messages_status_scheduled_for_idx" ON "scheduled_messages"("status", "scheduled_for");
+
+-- CreateIndex
+CREATE INDEX "scheduled_messages_message_group_id_sender_id_idx" ON "scheduled_messages"("message_group_id", "sender_id");
+
+-- AddForeignKey
+ALTER TABLE "message_drafts" ADD CONSTRAINT "message_drafts_message_group_id_fkey" FOREIGN KEY ("message_group_id") REFERENCES "message_groups"("message_group_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "message_drafts" ADD CONSTRAINT "message_drafts_group_member_id_fkey" FOREIGN KEY ("group_member_id") REFERENCES "group_members"("group_member_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "scheduled_messages" ADD CONSTRAINT "scheduled_messages_message_group_id_fkey" FOREIGN KEY ("message_group_id") REFERENCES "message_groups"("message_group_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "scheduled_messages" ADD CONSTRAINT "scheduled_messages_sender_id_fkey" FOREIGN KEY ("sender_id") REFERENCES "group_members"("group_member_id") ON DELETE CASCADE ON UPDATE CASCADE;
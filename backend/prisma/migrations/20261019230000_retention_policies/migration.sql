@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "group_settings" ADD COLUMN "message_retention_days" INTEGER,
+ADD COLUMN "media_retention_days" INTEGER,
+ADD COLUMN "recording_retention_days" INTEGER;
+
+-- AlterTable
+ALTER TABLE "message_groups" ADD COLUMN "message_retention_days" INTEGER,
+ADD COLUMN "media_retention_days" INTEGER;
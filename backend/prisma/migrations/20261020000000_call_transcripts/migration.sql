@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "call_transcripts" (
+    "transcript_id" UUID NOT NULL,
+    "group_id" UUID NOT NULL,
+    "call_type" VARCHAR(10) NOT NULL,
+    "call_id" UUID NOT NULL,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'pending',
+    "segments" TEXT,
+    "language" VARCHAR(10),
+    "model" VARCHAR(50),
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL,
+
+    CONSTRAINT "call_transcripts_pkey" PRIMARY KEY ("transcript_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "call_transcripts_call_type_call_id_key" ON "call_transcripts"("call_type", "call_id");
+
+-- CreateIndex
+CREATE INDEX "call_transcripts_group_id_idx" ON "call_transcripts"("group_id");
+
+-- CreateIndex
+CREATE INDEX "call_transcripts_status_idx" ON "call_transcripts"("status");
+
+-- AddForeignKey
+ALTER TABLE "call_transcripts" ADD CONSTRAINT "call_transcripts_group_id_fkey" FOREIGN KEY ("group_id") REFERENCES "groups"("group_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,46 @@
+-- CreateTable
+CREATE TABLE "recording_queue_entries" (
+    "queue_id" UUID NOT NULL,
+    "sequence" SERIAL NOT NULL,
+    "user_id" UUID NOT NULL,
+    "group_id" UUID NOT NULL,
+    "call_type" VARCHAR(10) NOT NULL,
+    "participant_ids" TEXT[],
+    "user_display_name" VARCHAR(255) NOT NULL,
+    "user_email" VARCHAR(255),
+    "joined_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_seen_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "recording_queue_entries_pkey" PRIMARY KEY ("queue_id")
+);
+
+-- CreateTable
+CREATE TABLE "recording_leases" (
+    "lease_id" UUID NOT NULL,
+    "status" VARCHAR(20) NOT NULL,
+    "user_id" UUID,
+    "group_id" UUID,
+    "call_type" VARCHAR(10) NOT NULL,
+    "call_id" UUID,
+    "holder" VARCHAR(255),
+    "acquired_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "heartbeat_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expires_at" TIMESTAMP(6) NOT NULL,
+
+    CONSTRAINT "recording_leases_pkey" PRIMARY KEY ("lease_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "recording_queue_entries_sequence_key" ON "recording_queue_entries"("sequence");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "recording_queue_entries_user_id_call_type_key" ON "recording_queue_entries"("user_id", "call_type");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "recording_leases_call_type_call_id_key" ON "recording_leases"("call_type", "call_id");
+
+-- CreateIndex
+CREATE INDEX "recording_leases_expires_at_idx" ON "recording_leases"("expires_at");
+
+-- CreateIndex
+CREATE INDEX "recording_leases_holder_idx" ON "recording_leases"("holder");
@@ -0,0 +1,48 @@
+-- CreateTable
+CREATE TABLE "scheduled_jobs" (
+    "name" VARCHAR(100) NOT NULL,
+    "description" VARCHAR(500),
+    "schedule" VARCHAR(100) NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "next_run_at" TIMESTAMP(6) NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "run_requested_at" TIMESTAMP(6),
+    "locked_by" VARCHAR(255),
+    "locked_until" TIMESTAMP(6),
+    "last_run_at" TIMESTAMP(6),
+    "last_status" VARCHAR(20),
+    "last_error" TEXT,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "scheduled_jobs_pkey" PRIMARY KEY ("name")
+);
+
+-- CreateTable
+CREATE TABLE "job_runs" (
+    "run_id" UUID NOT NULL,
+    "job_name" VARCHAR(100) NOT NULL,
+    "trigger" VARCHAR(20) NOT NULL,
+    "attempt" INTEGER NOT NULL DEFAULT 1,
+    "status" VARCHAR(20) NOT NULL,
+    "instance_id" VARCHAR(255) NOT NULL,
+    "started_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finished_at" TIMESTAMP(6),
+    "duration_ms" INTEGER,
+    "result" JSONB,
+    "error" TEXT,
+
+    CONSTRAINT "job_runs_pkey" PRIMARY KEY ("run_id")
+);
+
+-- CreateIndex
+CREATE INDEX "scheduled_jobs_next_run_at_idx" ON "scheduled_jobs"("next_run_at");
+
+-- CreateIndex
+CREATE INDEX "job_runs_job_name_started_at_idx" ON "job_runs"("job_name", "started_at");
+
+-- CreateIndex
+CREATE INDEX "job_runs_status_idx" ON "job_runs"("status");
+
+-- AddForeignKey
+ALTER TABLE "job_runs" ADD CONSTRAINT "job_runs_job_name_fkey" FOREIGN KEY ("job_name") REFERENCES "scheduled_jobs"("name") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "phone_calls" ADD COLUMN "recording_chapters" JSONB;
+
+-- AlterTable
+ALTER TABLE "video_calls" ADD COLUMN "recording_chapters" JSONB;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "phone_calls" ADD COLUMN "topology" VARCHAR(10) NOT NULL DEFAULT 'mesh';
+
+-- AlterTable
+ALTER TABLE "video_calls" ADD COLUMN "topology" VARCHAR(10) NOT NULL DEFAULT 'mesh';
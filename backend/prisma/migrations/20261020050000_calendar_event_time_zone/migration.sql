@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "calendar_events" ADD COLUMN "time_zone" VARCHAR(64);
+
+-- AlterTable
+ALTER TABLE "imported_calendar_events" ADD COLUMN "time_zone" VARCHAR(64);
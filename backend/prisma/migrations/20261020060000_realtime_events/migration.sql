@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "realtime_events" (
+    "event_id" UUID NOT NULL,
+    "topic" VARCHAR(255) NOT NULL,
+    "event" VARCHAR(50) NOT NULL,
+    "data" JSONB NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "realtime_events_pkey" PRIMARY KEY ("event_id")
+);
+
+-- CreateIndex
+CREATE INDEX "realtime_events_created_at_idx" ON "realtime_events"("created_at");
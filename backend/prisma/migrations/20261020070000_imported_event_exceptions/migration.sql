@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "imported_calendar_events" ADD COLUMN "exceptions" JSONB NOT NULL DEFAULT '[]';
@@ -0,0 +1,15 @@
+/**
+ * Calendar Feed Routes
+ *
+ * Public iCal feed of a group calendar (no auth required).
+ * The feed token in the URL identifies the member; see calendarFeed.controller.
+ */
+
+const express = require('express');
+const router = express.Router();
+const calendarFeedController = require('../controllers/calendarFeed.controller');
+
+// GET - Calendar feed for subscription from external calendar apps
+router.get('/feed/:token.ics', calendarFeedController.getCalendarFeed);
+
+module.exports = router;
@@ -13,9 +13,15 @@ const messageGroupsRouter = require('./messageGroups.routes');
 const wishListsRouter = require('./wishLists.routes');
 const krisKringleRouter = require('./krisKringle.routes');
 const approvalsController = require('../controllers/approvals.controller');
+const relationshipsController = require('../controllers/relationships.controller');
 const financeController = require('../controllers/finance.controller');
+const recurringFinanceController = require('../controllers/recurringFinance.controller');
 const calendarController = require('../controllers/calendar.controller');
 const calendarLayersController = require('../controllers/calendarLayers.controller');
+const calendarFeedController = require('../controllers/calendarFeed.controller');
+const custodySchedulesController = require('../controllers/custodySchedules.controller');
+const parentingTimeController = require('../controllers/parentingTime.controller');
+const responsibilitySwapsController = require('../controllers/responsibilitySwaps.controller');
 const importedCalendarsController = require('../controllers/importedCalendars.controller');
 const giftRegistryController = require('../controllers/giftRegistry.controller');
 const itemRegistryController = require('../controllers/itemRegistry.controller');
@@ -24,6 +30,8 @@ const wikiRouter = require('./wiki.routes');
 const groupDocumentsRouter = require('./groupDocuments.routes');
 const phoneCallsController = require('../controllers/phoneCalls.controller');
 const videoCallsController = require('../controllers/videoCalls.controller');
+const searchController = require('../controllers/search.controller');
+const retentionController = require('../controllers/retention.controller');
 const { requireAuth } = require('../middleware/auth.middleware');
 
 // Configure multer for call recording uploads
@@ -174,6 +182,54 @@ router.post('/:groupId/approvals/:approvalId/vote', requireAuth, approvalsContro
  */
 router.post('/:groupId/approvals/:approvalId/cancel', requireAuth, approvalsController.cancelApproval);
 
+/**
+ * GET /groups/:groupId/approval-policies
+ * Get approval expiry policies
+ */
+router.get('/:groupId/approval-policies', requireAuth, approvalsController.getApprovalPolicies);
+
+/**
+ * PUT /groups/:groupId/approval-policies/:approvalType
+ * Update the expiry policy for an approval type (admin only)
+ */
+router.put('/:groupId/approval-policies/:approvalType', requireAuth, approvalsController.updateApprovalPolicy);
+
+/**
+ * GET /groups/:groupId/retention-policy
+ * Get the retention policy, message group overrides and legal holds (admin only)
+ */
+router.get('/:groupId/retention-policy', requireAuth, retentionController.getRetentionPolicy);
+
+/**
+ * PUT /groups/:groupId/retention-policy
+ * Change how long messages, media and call recordings are kept (admin only, needs approval)
+ */
+router.put('/:groupId/retention-policy', requireAuth, retentionController.updateRetentionPolicy);
+
+/**
+ * GET /groups/:groupId/relationships
+ * Get member relationships and the family tree
+ */
+router.get('/:groupId/relationships', requireAuth, relationshipsController.getRelationships);
+
+/**
+ * POST /groups/:groupId/relationships
+ * Set the relationship between two members (may require approval)
+ */
+router.post('/:groupId/relationships', requireAuth, relationshipsController.createRelationship);
+
+/**
+ * PUT /groups/:groupId/relationships/:relationshipId
+ * Change a relationship (may require approval)
+ */
+router.put('/:groupId/relationships/:relationshipId', requireAuth, relationshipsController.updateRelationship);
+
+/**
+ * DELETE /groups/:groupId/relationships/:relationshipId
+ * Remove a relationship (may require approval)
+ */
+router.delete('/:groupId/relationships/:relationshipId', requireAuth, relationshipsController.deleteRelationship);
+
 /**
  * GET /groups/:groupId/finance-matters
  * Get all finance matters for a group (admins see all, non-admins see only their own)
@@ -218,22 +274,84 @@ router.post('/:groupId/finance-matters/:financeMatterId/messages', requireAuth,
 
 /**
  * PUT /groups/:groupId/finance-matters/:financeMatterId/record-payment
- * Record a payment for a finance matter member (admin or self)
+ * Record a (partial) payment for a finance matter member (admin or self)
+ * Omit toMemberId for a payment made directly to the payee
  */
 router.put('/:groupId/finance-matters/:financeMatterId/record-payment', requireAuth, financeController.recordPayment);
 
 /**
  * POST /groups/:groupId/finance-matters/:financeMatterId/payments/:paymentId/confirm
- * Confirm a payment (recipient only)
+ * Confirm a payment (recipient, or another matter member for direct payments)
  */
 router.post('/:groupId/finance-matters/:financeMatterId/payments/:paymentId/confirm', requireAuth, financeController.confirmPayment);
 
 /**
  * POST /groups/:groupId/finance-matters/:financeMatterId/payments/:paymentId/reject
- * Reject a payment (recipient only)
+ * Reject a payment (recipient, or another matter member for direct payments)
  */
 router.post('/:groupId/finance-matters/:financeMatterId/payments/:paymentId/reject', requireAuth, financeController.rejectPayment);
 
+/**
+ * GET /groups/:groupId/finance/balances
+ * Get each member's running balance across finance matters (per currency)
+ */
+router.get('/:groupId/finance/balances', requireAuth, financeController.getFinanceBalances);
+
+/**
+ * GET /groups/:groupId/finance/statement
+ * Get a finance statement for a date range as JSON, CSV or PDF (?from=&to=&format=)
+ */
+router.get('/:groupId/finance/statement', requireAuth, financeController.getFinanceStatement);
+
+/**
+ * GET /groups/:groupId/finance/settle-up
+ * Get the fewest transfers that settle open finance balances (per currency)
+ */
+router.get('/:groupId/finance/settle-up', requireAuth, financeController.getSettleUpPlan);
+
+/**
+ * POST /groups/:groupId/finance/settle-up
+ * Record a settle-up payment applied across several finance matters
+ * (confirmed or rejected through the payment confirm/reject routes)
+ */
+router.post('/:groupId/finance/settle-up', requireAuth, financeController.recordSettlement);
+
+/**
+ * GET /groups/:groupId/finance/recurring
+ * Get recurring finance matters (admins see all, non-admins see their own)
+ */
+router.get('/:groupId/finance/recurring', requireAuth, recurringFinanceController.getRecurringFinanceMatters);
+
+/**
+ * POST /groups/:groupId/finance/recurring
+ * Create a recurring finance matter (same permissions as finance matters)
+ */
+router.post('/:groupId/finance/recurring', requireAuth, recurringFinanceController.createRecurringFinanceMatter);
+
+/**
+ * PUT /groups/:groupId/finance/recurring/:recurringFinanceMatterId
+ * Edit a recurring finance matter; applies to future periods only (admin or creator)
+ */
+router.put('/:groupId/finance/recurring/:recurringFinanceMatterId', requireAuth, recurringFinanceController.updateRecurringFinanceMatter);
+
+/**
+ * POST /groups/:groupId/finance/recurring/:recurringFinanceMatterId/pause
+ * Pause a recurring finance matter (admin or creator)
+ */
+router.post('/:groupId/finance/recurring/:recurringFinanceMatterId/pause', requireAuth, recurringFinanceController.pauseRecurringFinanceMatter);
+
+/**
+ * POST /groups/:groupId/finance/recurring/:recurringFinanceMatterId/resume
+ * Resume a paused recurring finance matter, skipping paused periods (admin or creator)
+ */
+router.post('/:groupId/finance/recurring/:recurringFinanceMatterId/resume', requireAuth, recurringFinanceController.resumeRecurringFinanceMatter);
+
+/**
+ * POST /groups/:groupId/finance/recurring/:recurringFinanceMatterId/end
+ * End a recurring finance matter series (admin or creator)
+ */
+router.post('/:groupId/finance/recurring/:recurringFinanceMatterId/end', requireAuth, recurringFinanceController.endRecurringFinanceMatter);
+
 /**
  * GET /groups/:groupId/calendar/events
  * Get calendar events for a group (with date range filtering)
@@ -270,6 +388,48 @@ router.delete('/:groupId/calendar/events/:eventId', requireAuth, calendarControl
  */
 router.post('/:groupId/calendar/responsibility-events', requireAuth, calendarController.createResponsibilityEvent);
 
+/**
+ * GET /groups/:groupId/calendar/custody-patterns
+ * List the named custody patterns (2-2-3, week on/week off, ...)
+ */
+router.get('/:groupId/calendar/custody-patterns', requireAuth, custodySchedulesController.getCustodyPatterns);
+
+/**
+ * POST /groups/:groupId/calendar/custody-schedules/preview
+ * Preview the responsibility timeline a custody schedule would produce
+ */
+router.post('/:groupId/calendar/custody-schedules/preview', requireAuth, custodySchedulesController.previewCustodySchedule);
+
+/**
+ * POST /groups/:groupId/calendar/custody-schedules
+ * Create the responsibility events of a custody schedule
+ */
+router.post('/:groupId/calendar/custody-schedules', requireAuth, custodySchedulesController.createCustodySchedule);
+
+/**
+ * GET /groups/:groupId/calendar/parenting-time
+ * Get custody time-share per child as JSON or PDF (?from=&to=&childIds=&timeZone=&format=)
+ */
+router.get('/:groupId/calendar/parenting-time', requireAuth, parentingTimeController.getParentingTime);
+
+/**
+ * POST /groups/:groupId/calendar/events/:eventId/swap-requests
+ * Request a swap of responsibility time on a child responsibility event
+ */
+router.post('/:groupId/calendar/events/:eventId/swap-requests', requireAuth, responsibilitySwapsController.createSwapRequest);
+
+/**
+ * GET /groups/:groupId/calendar/swap-requests
+ * Get swap requests sent or received by the current member
+ */
+router.get('/:groupId/calendar/swap-requests', requireAuth, responsibilitySwapsController.getSwapRequests);
+
+/**
+ * POST /groups/:groupId/calendar/swap-requests/:approvalId/respond
+ * Accept, decline or counter-propose a swap request
+ */
+router.post('/:groupId/calendar/swap-requests/:approvalId/respond', requireAuth, responsibilitySwapsController.respondToSwapRequest);
+
 /**
  * POST /groups/:groupId/calendar/mark-viewed
  * Mark calendar as viewed (clears calendar notification badge)
@@ -302,6 +462,24 @@ router.get('/:groupId/calendar/check-reminders', requireAuth, calendarLayersCont
  */
 router.post('/:groupId/calendar/mark-reminded', requireAuth, calendarLayersController.markEventsReminded);
 
+/**
+ * GET /groups/:groupId/calendar/feed
+ * Get the current member's calendar feed (ICS subscription) status
+ */
+router.get('/:groupId/calendar/feed', requireAuth, calendarFeedController.getFeedStatus);
+
+/**
+ * POST /groups/:groupId/calendar/feed
+ * Create or rotate the current member's calendar feed link
+ */
+router.post('/:groupId/calendar/feed', requireAuth, calendarFeedController.rotateFeedToken);
+
+/**
+ * DELETE /groups/:groupId/calendar/feed
+ * Revoke the current member's calendar feed link
+ */
+router.delete('/:groupId/calendar/feed', requireAuth, calendarFeedController.revokeFeedToken);
+
 // ============================================
 // IMPORTED CALENDARS ROUTES
 // ============================================
@@ -481,6 +659,13 @@ router.use('/:groupId/wiki-documents', wikiRouter);
  */
 router.use('/:groupId/documents', groupDocumentsRouter);
 
+/**
+ * GET /groups/:groupId/search
+ * Search messages, wiki documents, document names, calendar events and finance matters
+ * (?q=&types=messages,wiki,documents,calendar,finance)
+ */
+router.get('/:groupId/search', requireAuth, searchController.searchGroup);
+
 // ============================================
 // PHONE CALLS ROUTES
 // ============================================
@@ -527,6 +712,12 @@ router.put('/:groupId/phone-calls/:callId/leave', requireAuth, phoneCallsControl
  */
 router.put('/:groupId/phone-calls/:callId/hide-recording', requireAuth, phoneCallsController.hideRecording);
 
+/**
+ * GET /groups/:groupId/phone-calls/:callId/transcript
+ * Get the timestamped transcript of a call recording
+ */
+router.get('/:groupId/phone-calls/:callId/transcript', requireAuth, phoneCallsController.getRecordingTranscript);
+
 /**
  * POST /groups/:groupId/phone-calls/:callId/recording
  * Upload a phone call recording (converts to MP3)
@@ -634,6 +825,12 @@ router.put('/:groupId/video-calls/:callId/end', requireAuth, videoCallsControlle
  */
 router.put('/:groupId/video-calls/:callId/hide-recording', requireAuth, videoCallsController.hideRecording);
 
+/**
+ * GET /groups/:groupId/video-calls/:callId/transcript
+ * Get the timestamped transcript of a call recording
+ */
+router.get('/:groupId/video-calls/:callId/transcript', requireAuth, videoCallsController.getRecordingTranscript);
+
 /**
  * PUT /groups/:groupId/video-calls/:callId/leave
  * Leave a video call without ending it for others
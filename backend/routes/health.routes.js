@@ -8,6 +8,7 @@
 const express = require('express');
 const router = express.Router();
 const { prisma } = require('../config/database');
+const realtimeService = require('../services/realtime.service');
 
 /**
  * GET /health
@@ -85,6 +86,17 @@ router.get('/app-version', (req, res) => {
   res.status(200).json(response);
 });
 
+/**
+ * GET /health/realtime
+ * Whether the realtime WebSocket channel is served, and where.
+ * Apps check this before connecting and poll when it is off (e.g. on Lambda).
+ *
+ * Response: { enabled: boolean, url: string|null } (null: this server's /realtime)
+ */
+router.get('/realtime', (req, res) => {
+  res.status(200).json(realtimeService.getClientConfig());
+});
+
 /**
  * POST /health/migrate
  * Add missing database columns via raw SQL (protected by API key)
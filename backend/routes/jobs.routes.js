@@ -0,0 +1,78 @@
+/**
+ * Jobs Routes
+ *
+ * Admin view of the background jobs (support users only), and the
+ * endpoint that runs due jobs on deployments without a long-running server.
+ *
+ * @module routes/jobs
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth.middleware');
+const { requireSupportUser } = require('../controllers/support.controller');
+const jobsController = require('../controllers/jobs.controller');
+
+/**
+ * POST /jobs/run-due
+ * Run the jobs that are due (called every minute by EventBridge)
+ *
+ * Protected by X-API-Key header (JOBS_API_KEY env var, or BILLING_API_KEY)
+ *
+ * Response:
+ * - 200: { success: true, runs: [...] }
+ * - 401: Invalid API key
+ */
+router.post('/run-due', jobsController.runDueJobs);
+
+/**
+ * GET /jobs
+ * List all jobs with their schedule, next run and last result
+ *
+ * Response:
+ * - 200: { success: true, jobs: [...] }
+ * - 403: Support access required
+ */
+router.get('/', requireAuth, requireSupportUser, jobsController.listJobs);
+
+/**
+ * GET /jobs/:name/runs
+ * Run history of a job, newest first
+ *
+ * Query Parameters:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20, max: 100)
+ *
+ * Response:
+ * - 200: { success: true, runs: [...], pagination: {...} }
+ * - 403: Support access required
+ */
+router.get('/:name/runs', requireAuth, requireSupportUser, jobsController.getJobRuns);
+
+/**
+ * POST /jobs/:name/run
+ * Run a job as soon as possible, on whichever instance picks it up
+ *
+ * Response:
+ * - 202: { success: true, message: string }
+ * - 403: Support access required
+ * - 404: Job not found
+ */
+router.post('/:name/run', requireAuth, requireSupportUser, jobsController.runJob);
+
+/**
+ * PUT /jobs/:name
+ * Enable or disable a job
+ *
+ * Request Body:
+ * - enabled: boolean
+ *
+ * Response:
+ * - 200: { success: true, message: string }
+ * - 400: enabled must be true or false
+ * - 403: Support access required
+ * - 404: Job not found
+ */
+router.put('/:name', requireAuth, requireSupportUser, jobsController.updateJob);
+
+module.exports = router;
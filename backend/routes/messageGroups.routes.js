@@ -8,6 +8,8 @@ const express = require('express');
 const router = express.Router({ mergeParams: true }); // mergeParams to access groupId from parent router
 const messageGroupsController = require('../controllers/messageGroups.controller');
 const messagesController = require('../controllers/messages.controller');
+const scheduledMessagesController = require('../controllers/scheduledMessages.controller');
+const retentionController = require('../controllers/retention.controller');
 const { requireAuth } = require('../middleware/auth.middleware');
 
 /**
@@ -70,6 +72,12 @@ router.put('/:messageGroupId/mute', requireAuth, messageGroupsController.muteMes
  */
 router.put('/:messageGroupId/unmute', requireAuth, messageGroupsController.unmuteMessageGroup);
 
+/**
+ * PUT /groups/:groupId/message-groups/:messageGroupId/retention-policy
+ * Change how long this message group keeps messages and media (admin only, needs approval)
+ */
+router.put('/:messageGroupId/retention-policy', requireAuth, retentionController.updateMessageGroupRetention);
+
 /**
  * GET /groups/:groupId/message-groups/:messageGroupId/messages
  * Get all messages for a message group
@@ -100,6 +108,18 @@ router.put('/:messageGroupId/messages/:messageId/hide', requireAuth, messagesCon
  */
 router.put('/:messageGroupId/messages/:messageId/unhide', requireAuth, messagesController.unhideMessage);
 
+/**
+ * PUT /groups/:groupId/message-groups/:messageGroupId/messages/:messageId
+ * Edit a message (sender only, within the message group's edit window)
+ */
+router.put('/:messageGroupId/messages/:messageId', requireAuth, messagesController.editMessage);
+
+/**
+ * GET /groups/:groupId/message-groups/:messageGroupId/messages/:messageId/revisions
+ * Get a message's edit history
+ */
+router.get('/:messageGroupId/messages/:messageId/revisions', requireAuth, messagesController.getMessageRevisions);
+
 /**
  * GET /groups/:groupId/message-groups/:messageGroupId/messages/:messageId/reactions
  * Get all reactions for a message
@@ -118,4 +138,46 @@ router.post('/:messageGroupId/messages/:messageId/reactions', requireAuth, messa
  */
 router.delete('/:messageGroupId/messages/:messageId/reactions/:emoji', requireAuth, messagesController.removeReaction);
 
+/**
+ * GET /groups/:groupId/message-groups/:messageGroupId/draft
+ * Get your draft for a message group
+ */
+router.get('/:messageGroupId/draft', requireAuth, scheduledMessagesController.getDraft);
+
+/**
+ * PUT /groups/:groupId/message-groups/:messageGroupId/draft
+ * Save your draft for a message group (empty content clears it)
+ */
+router.put('/:messageGroupId/draft', requireAuth, scheduledMessagesController.saveDraft);
+
+/**
+ * DELETE /groups/:groupId/message-groups/:messageGroupId/draft
+ * Discard your draft for a message group
+ */
+router.delete('/:messageGroupId/draft', requireAuth, scheduledMessagesController.deleteDraft);
+
+/**
+ * GET /groups/:groupId/message-groups/:messageGroupId/scheduled-messages
+ * Get your scheduled messages that haven't been sent
+ */
+router.get('/:messageGroupId/scheduled-messages', requireAuth, scheduledMessagesController.getScheduledMessages);
+
+/**
+ * POST /groups/:groupId/message-groups/:messageGroupId/scheduled-messages
+ * Schedule a message to be sent later
+ */
+router.post('/:messageGroupId/scheduled-messages', requireAuth, scheduledMessagesController.createScheduledMessage);
+
+/**
+ * PUT /groups/:groupId/message-groups/:messageGroupId/scheduled-messages/:scheduledMessageId
+ * Edit a scheduled message before it is sent
+ */
+router.put('/:messageGroupId/scheduled-messages/:scheduledMessageId', requireAuth, scheduledMessagesController.updateScheduledMessage);
+
+/**
+ * DELETE /groups/:groupId/message-groups/:messageGroupId/scheduled-messages/:scheduledMessageId
+ * Cancel a scheduled message before it is sent
+ */
+router.delete('/:messageGroupId/scheduled-messages/:scheduledMessageId', requireAuth, scheduledMessagesController.cancelScheduledMessage);
+
 module.exports = router;
@@ -0,0 +1,34 @@
+/**
+ * SFU Routes
+ *
+ * Callback for the self-hosted SFU used by group calls
+ * (sfu-service/, services/sfu.service.js).
+ *
+ * @module routes/sfu
+ */
+
+const express = require('express');
+const router = express.Router();
+const sfuController = require('../controllers/sfu.controller');
+
+/**
+ * POST /sfu/signal
+ * Deliver a signalling message from the SFU to a call participant or the recorder
+ *
+ * Protected by X-API-Key header (SFU_API_KEY env var)
+ *
+ * Request body:
+ * - callType: 'phone' or 'video'
+ * - callId: Call ID
+ * - toPeerId: Group member ID, or 'recorder'
+ * - type: 'offer', 'answer' or 'ice-candidate'
+ * - data: Signal payload (SFU offers include `tracks`: mid -> publishing peer ID)
+ *
+ * Response:
+ * - 200: { success: true }
+ * - 401: Invalid API key
+ * - 404: SFU not configured, or call/peer not found
+ */
+router.post('/signal', sfuController.receiveSignal);
+
+module.exports = router;
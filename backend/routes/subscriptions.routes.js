@@ -111,7 +111,7 @@ router.get('/billing-history', requireAuth, subscriptionController.getBillingHis
 
 /**
  * POST /subscriptions/process-renewals
- * Process due renewals (called by EventBridge scheduler)
+ * Process due renewals now (also runs daily as the 'billing-renewals' job)
  *
  * Protected by X-API-Key header (BILLING_API_KEY env var)
  */
@@ -141,7 +141,8 @@ router.post('/regenerate-bill', requireAuth, subscriptionsController.regenerateB
 
 /**
  * POST /subscriptions/send-billing-reminders
- * Send billing reminders to users due soon (scheduled job)
+ * Send billing reminders to users due soon now (also runs daily as the
+ * 'billing-reminders' job)
  *
  * Protected by X-API-Key header (BILLING_API_KEY env var)
  */
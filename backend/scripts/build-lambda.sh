@@ -27,6 +27,7 @@ cp -r middleware lambda-build/
 cp -r config lambda-build/
 cp -r prisma lambda-build/
 cp -r utils lambda-build/ 2>/dev/null || true
+cp -r jobs lambda-build/
 cp server.js lambda-build/
 cp lambda.js lambda-build/
 cp package.json lambda-build/
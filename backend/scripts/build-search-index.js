@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Search Index Build Script
+ *
+ * Builds the blind search index for existing messages and wiki documents
+ * (new and edited content is indexed as it is saved).
+ *
+ * Safe to run multiple times - each entity's entries are replaced. Also run it
+ * after changing SEARCH_INDEX_KEY, since old tokens no longer match.
+ *
+ * Usage:
+ *   DATABASE_URL="..." node scripts/build-search-index.js
+ *
+ * Or with .env file:
+ *   node scripts/build-search-index.js
+ */
+
+require('dotenv').config();
+const { prisma } = require('../config/database');
+const encryptionService = require('../services/encryption.service');
+const groupKeysService = require('../services/groupKeys.service');
+const searchIndexService = require('../services/searchIndex.service');
+
+// Rows loaded per query
+const BATCH_SIZE = 500;
+
+/**
+ * Decrypt content, falling back to the stored text for unencrypted legacy data
+ */
+function safeDecrypt(text, keyring) {
+  if (!text) return '';
+  try {
+    return encryptionService.decrypt(text, keyring);
+  } catch (error) {
+    return text;
+  }
+}
+
+async function indexMessages() {
+  let cursor = null;
+  let indexed = 0;
+
+  for (;;) {
+    const messages = await prisma.message.findMany({
+      // Deleted groups have no data key (and need no index)
+      where: { messageGroup: { group: { isHidden: false } } },
+      take: BATCH_SIZE,
+      ...(cursor && { skip: 1, cursor: { messageId: cursor } }),
+      orderBy: { messageId: 'asc' },
+      select: {
+        messageId: true,
+        messageGroupId: true,
+        content: true,
+        messageGroup: { select: { groupId: true } },
+      },
+    });
+
+    if (messages.length === 0) {
+      break;
+    }
+
+    for (const message of messages) {
+      const groupKeyring = await groupKeysService.getGroupKeyring(message.messageGroup.groupId);
+      await searchIndexService.indexEntity({
+        groupId: message.messageGroup.groupId,
+        entityType: searchIndexService.ENTITY_TYPES.MESSAGE,
+        entityId: message.messageId,
+        scopeId: message.messageGroupId,
+        texts: [safeDecrypt(message.content, groupKeyring)],
+      });
+      indexed++;
+    }
+
+    cursor = messages[messages.length - 1].messageId;
+    console.log(`  💬 Indexed ${indexed} messages...`);
+  }
+
+  return indexed;
+}
+
+async function indexWikiDocuments() {
+  const documents = await prisma.wikiDocument.findMany({
+    where: { group: { isHidden: false } },
+    select: {
+      documentId: true,
+      groupId: true,
+      title: true,
+      content: true,
+    },
+  });
+
+  for (const doc of documents) {
+    const groupKeyring = await groupKeysService.getGroupKeyring(doc.groupId);
+    await searchIndexService.indexEntity({
+      groupId: doc.groupId,
+      entityType: searchIndexService.ENTITY_TYPES.WIKI,
+      entityId: doc.documentId,
+      texts: [safeDecrypt(doc.title, groupKeyring), safeDecrypt(doc.content, groupKeyring)],
+    });
+  }
+
+  return documents.length;
+}
+
+async function main() {
+  console.log('\n🔎 Search Index Build\n');
+
+  if (!process.env.MESSAGE_ENCRYPTION_KEY) {
+    console.error('❌ MESSAGE_ENCRYPTION_KEY environment variable is not set.');
+    console.log('   It is needed to decrypt content before indexing.\n');
+    process.exit(1);
+  }
+
+  try {
+    const messageCount = await indexMessages();
+    console.log(`\n💬 Messages: ${messageCount} indexed.\n`);
+
+    const documentCount = await indexWikiDocuments();
+    console.log(`📄 Wiki documents: ${documentCount} indexed.\n`);
+
+    console.log('✅ Search index build complete!\n');
+  } catch (error) {
+    console.error('❌ Error building search index:', error.message);
+    process.exit(1);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main();
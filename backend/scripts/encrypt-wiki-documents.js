@@ -3,7 +3,8 @@
  * Wiki Encryption Migration Script
  *
  * Encrypts all existing wiki document titles and content that are not yet encrypted.
- * Also encrypts wiki revision titles and content.
+ * Also encrypts wiki revision titles and content. Content is encrypted with the
+ * data key of the document's group.
  *
  * This script is safe to run multiple times - it only encrypts unencrypted content.
  *
@@ -17,6 +18,7 @@
 require('dotenv').config();
 const { PrismaClient } = require('@prisma/client');
 const encryptionService = require('../services/encryption.service');
+const groupKeysService = require('../services/groupKeys.service');
 
 const prisma = new PrismaClient();
 
@@ -32,10 +34,12 @@ async function main() {
   }
 
   try {
-    // Get all wiki documents
+    // Get all wiki documents (deleted groups have no data key)
     const documents = await prisma.wikiDocument.findMany({
+      where: { group: { isHidden: false } },
       select: {
         documentId: true,
+        groupId: true,
         title: true,
         content: true,
       },
@@ -55,14 +59,15 @@ async function main() {
         continue;
       }
 
+      const groupKeyring = await groupKeysService.getGroupKeyring(doc.groupId);
       const updateData = {};
 
       if (!titleEncrypted && doc.title) {
-        updateData.title = encryptionService.encrypt(doc.title);
+        updateData.title = encryptionService.encrypt(doc.title, groupKeyring);
       }
 
       if (!contentEncrypted && doc.content) {
-        updateData.content = encryptionService.encrypt(doc.content);
+        updateData.content = encryptionService.encrypt(doc.content, groupKeyring);
       }
 
       if (Object.keys(updateData).length > 0) {
@@ -79,10 +84,12 @@ async function main() {
 
     // Get all wiki revisions
     const revisions = await prisma.wikiRevision.findMany({
+      where: { document: { group: { isHidden: false } } },
       select: {
         revisionId: true,
         title: true,
         content: true,
+        document: { select: { groupId: true } },
       },
     });
 
@@ -100,14 +107,15 @@ async function main() {
         continue;
       }
 
+      const groupKeyring = await groupKeysService.getGroupKeyring(rev.document.groupId);
       const updateData = {};
 
       if (!titleEncrypted && rev.title) {
-        updateData.title = encryptionService.encrypt(rev.title);
+        updateData.title = encryptionService.encrypt(rev.title, groupKeyring);
       }
 
       if (!contentEncrypted && rev.content) {
-        updateData.content = encryptionService.encrypt(rev.content);
+        updateData.content = encryptionService.encrypt(rev.content, groupKeyring);
       }
 
       if (Object.keys(updateData).length > 0) {
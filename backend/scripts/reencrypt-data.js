@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+/**
+ * Re-encryption Script
+ *
+ * Re-encrypts stored data with the group's data key (see
+ * services/groupKeys.service.js): message content, edit history, drafts and
+ * scheduled messages, wiki documents, wiki revisions, call transcripts and call recordings (full recordings and recording chunks). Data
+ * written before per-group keys existed is moved off the master keys, which
+ * is also what makes it crypto-shreddable when its group is deleted.
+ *
+ * The groupKeys target wraps group data keys again with the active KMS and
+ * master key. The group data itself does not change when the master key does.
+ *
+ * Rotating a master key without downtime:
+ *   1. Generate a new key (openssl rand -hex 32).
+ *   2. Move the old key to MESSAGE_ENCRYPTION_PREVIOUS_KEYS (and/or
+ *      FILE_ENCRYPTION_PREVIOUS_KEYS) and set the new key as
+ *      MESSAGE_ENCRYPTION_KEY (and/or FILE_ENCRYPTION_KEY). Deploy.
+ *   3. Run this script until it reports nothing left to re-encrypt.
+ *   4. Remove the old key from the *_PREVIOUS_KEYS variables. Deploy.
+ *
+ * The script is resumable: rows already using the active key are skipped, and
+ * progress is saved to a state file so an interrupted run continues where it
+ * stopped. Rows that change while the script runs are left alone (the app
+ * already saved them with the active key). Unencrypted legacy content is not
+ * touched - use scripts/encrypt-wiki-documents.js for that. Deleted groups are
+ * skipped, since their data key was destroyed.
+ *
+ * Usage:
+ *   DATABASE_URL="..." node scripts/reencrypt-data.js [options]
+ *
+ * Options:
+ *   --only=groupKeys,messages,messageRevisions,drafts,scheduledMessages,wiki,revisions,callTranscripts,recordings   Only process these targets
+ *   --dry-run                                                                                                       Count what would be re-encrypted
+ *   --restart                                                                                                       Ignore saved progress
+ *   --state-file=path                                                                                               Progress file (default: .reencrypt-state.json)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { prisma } = require('../config/database');
+const encryptionService = require('../services/encryption.service');
+const fileEncryption = require('../services/fileEncryption.service');
+const groupKeysService = require('../services/groupKeys.service');
+const { TEXT_TARGETS, FILE_TARGETS, reencryptTextRow, reencryptFileRow } = require('../services/reencryption.service');
+
+// Rows loaded per query
+const BATCH_SIZE = 200;
+
+// Group data keys (wrapped by the KMS)
+const GROUP_KEYS_TARGET = 'groupKeys';
+
+// Key rings by group - null for deleted groups, whose data key was destroyed
+const groupKeyrings = new Map();
+
+async function getGroupKeyring(groupId) {
+  if (!groupKeyrings.has(groupId)) {
+    const group = await prisma.group.findUnique({
+      where: { groupId },
+      select: { isHidden: true },
+    });
+    groupKeyrings.set(groupId, group && !group.isHidden ? await groupKeysService.getGroupKeyring(groupId) : null);
+  }
+  return groupKeyrings.get(groupId);
+}
+
+/**
+ * Parse command line options
+ */
+function parseArgs(argv) {
+  const options = {
+    only: null,
+    dryRun: false,
+    restart: false,
+    stateFile: path.join(__dirname, '..', '.reencrypt-state.json'),
+  };
+
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--restart') {
+      options.restart = true;
+    } else if (arg.startsWith('--only=')) {
+      options.only = arg.slice('--only='.length).split(',').map(s => s.trim()).filter(Boolean);
+    } else if (arg.startsWith('--state-file=')) {
+      options.stateFile = path.resolve(arg.slice('--state-file='.length));
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  const known = [GROUP_KEYS_TARGET, ...Object.keys(TEXT_TARGETS), ...Object.keys(FILE_TARGETS)];
+  const unknown = (options.only || []).filter(target => !known.includes(target));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown targets: ${unknown.join(', ')}. Use ${known.join(', ')}`);
+  }
+
+  return options;
+}
+
+/**
+ * Load saved progress
+ * Progress only applies while the active keys are unchanged.
+ */
+function loadState(options, keyIds) {
+  if (options.restart || options.dryRun || !fs.existsSync(options.stateFile)) {
+    return { keyIds, cursors: {} };
+  }
+
+  const state = JSON.parse(fs.readFileSync(options.stateFile, 'utf8'));
+  if (state.keyIds?.message !== keyIds.message || state.keyIds?.file !== keyIds.file) {
+    console.log('ℹ️  Active keys changed since the last run - starting from the beginning.\n');
+    return { keyIds, cursors: {} };
+  }
+
+  return state;
+}
+
+function saveState(options, state) {
+  if (!options.dryRun) {
+    fs.writeFileSync(options.stateFile, JSON.stringify(state, null, 2));
+  }
+}
+
+/**
+ * Wrap group data keys again with the active KMS and master key
+ */
+async function rewrapGroupKeys(options, state) {
+  const counts = { reencrypted: 0, changed: 0, failed: 0 };
+
+  for (;;) {
+    const cursor = state.cursors[GROUP_KEYS_TARGET];
+    const rows = await prisma.groupDataKey.findMany({
+      where: cursor ? { groupId: { gt: cursor } } : {},
+      orderBy: { groupId: 'asc' },
+      take: BATCH_SIZE,
+    });
+
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const row of rows) {
+      try {
+        if (!groupKeysService.needsRewrap(row)) {
+          continue;
+        }
+
+        if (options.dryRun || await groupKeysService.rewrapGroupKey(row)) {
+          counts.reencrypted++;
+        } else {
+          counts.changed++;
+        }
+      } catch (error) {
+        counts.failed++;
+        console.error(`  ❌ group key ${row.groupId}: ${error.message}`);
+      }
+    }
+
+    state.cursors[GROUP_KEYS_TARGET] = rows[rows.length - 1].groupId;
+    saveState(options, state);
+    console.log(`  🔁 group keys: ${counts.reencrypted} re-wrapped so far...`);
+  }
+
+  return counts;
+}
+
+/**
+ * Re-encrypt the text columns of one table
+ */
+async function reencryptText(name, target, options, state) {
+  const { model, idField, fields, groupSelect, getGroupId } = target;
+  const counts = { reencrypted: 0, changed: 0, failed: 0 };
+
+  for (;;) {
+    const cursor = state.cursors[name];
+    const rows = await prisma[model].findMany({
+      where: cursor ? { [idField]: { gt: cursor } } : {},
+      select: {
+        ...Object.fromEntries([idField, ...fields].map(field => [field, true])),
+        ...groupSelect,
+      },
+      orderBy: { [idField]: 'asc' },
+      take: BATCH_SIZE,
+    });
+
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const row of rows) {
+      try {
+        const keyring = await getGroupKeyring(getGroupId(row));
+        if (!keyring) {
+          continue;
+        }
+
+        const outcome = await reencryptTextRow(target, row, keyring, options.dryRun);
+        if (outcome !== 'skipped') {
+          counts[outcome]++;
+        }
+      } catch (error) {
+        counts.failed++;
+        console.error(`  ❌ ${name} ${row[idField]}: ${error.message}`);
+      }
+    }
+
+    state.cursors[name] = rows[rows.length - 1][idField];
+    saveState(options, state);
+    console.log(`  🔁 ${name}: ${counts.reencrypted} re-encrypted so far...`);
+  }
+
+  return counts;
+}
+
+/**
+ * Re-encrypt the stored files referenced by one table
+ */
+async function reencryptFiles(name, target, options, state, storageService) {
+  const { model, idField, fileField, groupSelect, getGroupId } = target;
+  const cursorKey = `${name}.${model}`;
+  const counts = { reencrypted: 0, changed: 0, failed: 0 };
+
+  for (;;) {
+    const cursor = state.cursors[cursorKey];
+    const rows = await prisma[model].findMany({
+      where: cursor ? { [idField]: { gt: cursor } } : {},
+      select: { [idField]: true, [fileField]: true, ...groupSelect },
+      orderBy: { [idField]: 'asc' },
+      take: BATCH_SIZE,
+    });
+
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const row of rows) {
+      try {
+        const keyring = await getGroupKeyring(getGroupId(row));
+        if (!keyring) {
+          continue;
+        }
+
+        if (await reencryptFileRow(target, row, keyring, storageService, options.dryRun) === 'reencrypted') {
+          counts.reencrypted++;
+        }
+      } catch (error) {
+        counts.failed++;
+        console.error(`  ❌ ${model} ${row[idField]} (file ${row[fileField]}): ${error.message}`);
+      }
+    }
+
+    state.cursors[cursorKey] = rows[rows.length - 1][idField];
+    saveState(options, state);
+    console.log(`  🔁 ${model}: ${counts.reencrypted} files re-encrypted so far...`);
+  }
+
+  return counts;
+}
+
+async function main() {
+  console.log('\n🔐 Data Re-encryption\n');
+
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    process.exit(1);
+  }
+
+  const targets = options.only || [GROUP_KEYS_TARGET, ...Object.keys(TEXT_TARGETS), ...Object.keys(FILE_TARGETS)];
+  const keyIds = {
+    message: encryptionService.getActiveKeyId(),
+    file: fileEncryption.isAvailable() ? fileEncryption.getActiveKeyId() : null,
+  };
+
+  console.log(`Active message key: ${keyIds.message}`);
+  console.log(`Active file key:    ${keyIds.file || 'not configured'}`);
+  console.log(`Targets:            ${targets.join(', ')}${options.dryRun ? ' (dry run)' : ''}\n`);
+
+  const state = loadState(options, keyIds);
+  const totals = { reencrypted: 0, changed: 0, failed: 0 };
+
+  const addCounts = (label, counts) => {
+    console.log(`\n${label}: ${counts.reencrypted} re-encrypted, ${counts.changed} changed during the run, ${counts.failed} failed.\n`);
+    totals.reencrypted += counts.reencrypted;
+    totals.changed += counts.changed;
+    totals.failed += counts.failed;
+  };
+
+  try {
+    for (const name of targets) {
+      if (name === GROUP_KEYS_TARGET) {
+        addCounts('🔑 group keys', await rewrapGroupKeys(options, state));
+        continue;
+      }
+
+      if (TEXT_TARGETS[name]) {
+        addCounts(`📝 ${name}`, await reencryptText(name, TEXT_TARGETS[name], options, state));
+        continue;
+      }
+
+      if (!keyIds.file) {
+        console.log(`⏭️  Skipping ${name}: file encryption is not configured.\n`);
+        continue;
+      }
+
+      // Loaded here so text-only runs don't need storage configured
+      const { storageService } = require('../services/storage');
+      for (const target of FILE_TARGETS[name]) {
+        addCounts(`🎙️ ${target.model}`, await reencryptFiles(name, target, options, state, storageService));
+      }
+    }
+
+    // The run finished, so the next one starts over (retrying any failures)
+    if (!options.dryRun && fs.existsSync(options.stateFile)) {
+      fs.unlinkSync(options.stateFile);
+    }
+
+    if (totals.failed > 0) {
+      console.log(`⚠️  ${totals.failed} items could not be re-encrypted. Keep the previous keys until they are resolved.\n`);
+    } else if (options.dryRun) {
+      console.log(`✅ Dry run complete: ${totals.reencrypted} items would be re-encrypted.\n`);
+    } else {
+      console.log('✅ Re-encryption complete! Previous keys can now be removed.\n');
+    }
+
+    if (!process.env.SEARCH_INDEX_KEY) {
+      console.log('ℹ️  SEARCH_INDEX_KEY is not set, so the search index follows MESSAGE_ENCRYPTION_KEY.');
+      console.log('   Rebuild it after rotating: node scripts/build-search-index.js\n');
+    }
+  } catch (error) {
+    console.error('❌ Error during re-encryption:', error.message);
+    console.log('   Run the script again to continue from the last completed batch.\n');
+    process.exit(1);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main();
@@ -16,6 +16,7 @@
  * - /groups - Group management
  * - /logs - Audit log exports
  * - /files - File uploads
+ * - /realtime - WebSocket push channel (messages, reactions, call signalling)
  */
 
 // Load environment variables
@@ -40,8 +41,9 @@ const { validateKindeConfig } = require('./config/auth');
 const { validateStripeConfig } = require('./config/stripe');
 const { emailService } = require('./services/email');
 const mediaProcessor = require('./services/mediaProcessor.service');
-const { initSyncJob } = require('./jobs/syncImportedCalendars');
-const { initCalendarReminderJob } = require('./jobs/calendarNotificationReminders');
+const realtimeService = require('./services/realtime.service');
+const { initJobs } = require('./jobs');
+const jobScheduler = require('./services/jobScheduler.service');
 
 // Import routes
 const healthRoutes = require('./routes/health.routes');
@@ -55,11 +57,14 @@ const logsRoutes = require('./routes/logs.routes');
 const personalRegistriesRoutes = require('./routes/personalRegistries.routes');
 const secretSantaRoutes = require('./routes/secretSanta.routes');
 const publicRegistriesRoutes = require('./routes/publicRegistries.routes');
+const calendarFeedRoutes = require('./routes/calendarFeed.routes');
 const feedbackRoutes = require('./routes/feedback.routes');
 const storageRoutes = require('./routes/storage.routes');
 const supportRoutes = require('./routes/support.routes');
 const mediaProcessingRoutes = require('./routes/mediaProcessing.routes');
 const recordingQueueRoutes = require('./routes/recordingQueue.routes');
+const jobsRoutes = require('./routes/jobs.routes');
+const sfuRoutes = require('./routes/sfu.routes');
 const notificationsRoutes = require('./routes/notifications.routes');
 
 // Middleware
@@ -102,11 +107,14 @@ app.use('/invitations', invitationsRoutes);
 app.use('/logs', logsRoutes);
 app.use('/secret-santa', secretSantaRoutes);
 app.use('/public', publicRegistriesRoutes);
+app.use('/calendar', calendarFeedRoutes);
 app.use('/feedback', feedbackRoutes);
 app.use('/storage', storageRoutes);
 app.use('/support', supportRoutes);
 app.use('/media', mediaProcessingRoutes);
 app.use('/recording-queue', recordingQueueRoutes);
+app.use('/jobs', jobsRoutes);
+app.use('/sfu', sfuRoutes);
 app.use('/notifications', notificationsRoutes);
 
 // 404 handler
@@ -131,7 +139,8 @@ app.use((err, req, res, next) => {
 });
 
 // Only start server if not running in test mode
-if (process.env.NODE_ENV !== 'test') {
+// In Lambda, lambda.js serves requests instead and EventBridge runs the jobs
+if (process.env.NODE_ENV !== 'test' && !process.env.AWS_LAMBDA_FUNCTION_NAME) {
   // Start server
   const PORT = process.env.PORT || 3000;
   const server = app.listen(PORT, () => {
@@ -141,6 +150,7 @@ if (process.env.NODE_ENV !== 'test') {
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`Server: http://localhost:${PORT}`);
     console.log(`Health Check: http://localhost:${PORT}/health`);
+    console.log(`Realtime: ws://localhost:${PORT}${realtimeService.REALTIME_PATH}`);
     console.log('');
     console.log('Services:');
     console.log(`- PostgreSQL: localhost:5432`);
@@ -157,17 +167,25 @@ if (process.env.NODE_ENV !== 'test') {
     mediaProcessor.checkAndLogStatus();
 
     // Initialize background jobs
-    initSyncJob();
-    initCalendarReminderJob();
+    // Jobs run on one instance at a time, however many are running
+    initJobs();
+    jobScheduler.start().catch((error) => {
+      console.error('[JobScheduler] Failed to start:', error);
+    });
 
     console.log('');
     console.log('Press Ctrl+C to stop');
     console.log('================================');
   });
 
+  // Realtime push channel shares the HTTP server (upgrade on /realtime)
+  realtimeService.attach(server);
+
   // Graceful shutdown
   process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully...');
+    realtimeService.close();
+    jobScheduler.stop();
     server.close(() => {
       console.log('Server closed');
       process.exit(0);
@@ -0,0 +1,186 @@
+/**
+ * Approval Service Tests
+ *
+ * Tests starting approval requests: the requester's and auto-approvers'
+ * votes, the >50% threshold, and the change diffs shown to approvers
+ */
+
+// In-memory stand-in for the tables used by the service
+jest.mock('../../config/database', () => {
+  const db = {
+    admins: [],
+    adminPermissions: [],
+    approvals: [],
+    votes: [],
+    auditLogs: [],
+  };
+
+  const prisma = {
+    groupMember: {
+      findMany: jest.fn(async () => db.admins.map(groupMemberId => ({ groupMemberId }))),
+    },
+    adminPermission: {
+      findMany: jest.fn(async ({ where }) => {
+        const field = Object.keys(where).find(key => key.startsWith('autoApprove'));
+        return db.adminPermissions
+          .filter(permission =>
+            permission.receivingAdminId === where.receivingAdminId &&
+            where.grantingAdminId.in.includes(permission.grantingAdminId) &&
+            permission[field])
+          .map(({ grantingAdminId }) => ({ grantingAdminId }));
+      }),
+    },
+    approval: {
+      create: jest.fn(async ({ data }) => {
+        const approval = { ...data, approvalId: `approval-${db.approvals.length + 1}` };
+        db.approvals.push(approval);
+        return approval;
+      }),
+    },
+    approvalVote: {
+      createMany: jest.fn(async ({ data }) => {
+        db.votes.push(...data);
+        return { count: data.length };
+      }),
+    },
+    auditLog: {
+      create: jest.fn(async ({ data }) => {
+        db.auditLogs.push(data);
+        return data;
+      }),
+    },
+  };
+
+  return { prisma, db };
+});
+
+jest.mock('../pushNotification.service', () => ({
+  sendApprovalNotification: jest.fn(() => Promise.resolve()),
+}));
+
+const { db } = require('../../config/database');
+const pushNotificationService = require('../pushNotification.service');
+const { createApprovalRequest, notifyApprovalRequested, diffChanges } = require('../approval.service');
+
+const GROUP = 'group-1';
+const mum = { groupMemberId: 'member-mum', displayName: 'Mum', email: 'mum@example.com', role: 'admin' };
+const dad = { groupMemberId: 'member-dad', displayName: 'Dad', email: 'dad@example.com', role: 'admin' };
+const nan = { groupMemberId: 'member-nan', displayName: 'Nan', email: null, role: 'adult' };
+
+const request = (membership) => createApprovalRequest({
+  groupId: GROUP,
+  membership,
+  approvalType: 'create_calendar_event',
+  permissionField: 'autoApproveCalendarEntries',
+  relatedEntityType: 'calendar_event',
+  data: { eventTitle: 'Dentist' },
+});
+
+beforeEach(() => {
+  db.admins = [mum.groupMemberId, dad.groupMemberId];
+  db.adminPermissions = [];
+  db.approvals = [];
+  db.votes = [];
+  db.auditLogs = [];
+  jest.clearAllMocks();
+});
+
+describe('createApprovalRequest', () => {
+  it('should pass straight away for the only admin', async () => {
+    db.admins = [mum.groupMemberId];
+
+    const { approval, passed } = await request(mum);
+
+    expect(passed).toBe(true);
+    expect(approval.status).toBe('approved');
+    expect(approval.approvalData).toEqual({ eventTitle: 'Dentist', allAdminIds: [mum.groupMemberId] });
+    expect(db.votes).toEqual([
+      expect.objectContaining({ adminId: mum.groupMemberId, vote: 'approve', isAutoApproved: false }),
+    ]);
+  });
+
+  it('should wait for the other admin when half the admins approve', async () => {
+    const { approval, passed } = await request(mum);
+
+    expect(passed).toBe(false);
+    expect(approval.status).toBe('pending');
+    expect(approval.completedAt).toBeNull();
+  });
+
+  it('should count auto-approvals from admins who granted the permission', async () => {
+    db.adminPermissions = [
+      { grantingAdminId: dad.groupMemberId, receivingAdminId: mum.groupMemberId, autoApproveCalendarEntries: true },
+    ];
+
+    const { passed, autoApprovedCount } = await request(mum);
+
+    expect(passed).toBe(true);
+    expect(autoApprovedCount).toBe(1);
+    expect(db.votes).toContainEqual(expect.objectContaining({ adminId: dad.groupMemberId, isAutoApproved: true }));
+  });
+
+  it('should ignore auto-approve permissions for other kinds of change', async () => {
+    db.adminPermissions = [
+      { grantingAdminId: dad.groupMemberId, receivingAdminId: mum.groupMemberId, autoApproveChangeGroupSettings: true },
+    ];
+
+    const { passed } = await request(mum);
+
+    expect(passed).toBe(false);
+  });
+
+  it('should not vote for non-admin requesters', async () => {
+    db.admins = [mum.groupMemberId];
+
+    const { passed } = await request(nan);
+
+    expect(passed).toBe(false);
+    expect(db.votes).toEqual([]);
+  });
+});
+
+describe('notifyApprovalRequested', () => {
+  it('should log the request and notify the admins', async () => {
+    const { approval } = await request(nan);
+
+    await notifyApprovalRequested({
+      groupId: GROUP,
+      membership: nan,
+      approval,
+      actionLocation: 'calendar',
+      description: 'add the event "Dentist"',
+    });
+
+    expect(db.auditLogs).toEqual([expect.objectContaining({
+      action: 'request_approval',
+      performedByEmail: 'N/A',
+      actionLocation: 'calendar',
+      messageContent: 'Requested approval to add the event "Dentist"',
+    })]);
+    expect(pushNotificationService.sendApprovalNotification).toHaveBeenCalledWith(
+      GROUP,
+      nan.groupMemberId,
+      'create_calendar_event',
+      'Nan wants to add the event "Dentist"',
+      approval.approvalId
+    );
+  });
+});
+
+describe('diffChanges', () => {
+  it('should list only fields that change', () => {
+    const changes = diffChanges(
+      { title: 'Dentist', notificationMinutes: 15, recordPhoneCalls: true },
+      { title: 'Orthodontist', notificationMinutes: 15, recordPhoneCalls: undefined },
+      { title: 'Title' }
+    );
+
+    expect(changes).toEqual([{ field: 'title', label: 'Title', from: 'Dentist', to: 'Orthodontist' }]);
+  });
+
+  it('should show every field as new when creating', () => {
+    expect(diffChanges(null, { title: 'Dentist', notes: null }, {})).toEqual([
+      { field: 'title', label: 'title', from: null, to: 'Dentist' },
+    ]);
+  });
+});
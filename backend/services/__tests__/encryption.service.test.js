@@ -4,6 +4,7 @@
  * Tests AES-256-GCM encryption/decryption functionality
  */
 
+const crypto = require('crypto');
 const encryptionService = require('../encryption.service');
 
 // Set a test encryption key before running tests
@@ -18,7 +19,8 @@ describe('Encryption Service', () => {
       expect(encrypted).toBeDefined();
       expect(typeof encrypted).toBe('string');
       expect(encrypted).not.toBe(plaintext);
-      expect(encrypted.split(':').length).toBe(3); // iv:authTag:ciphertext
+      expect(encrypted.split(':').length).toBe(5); // v2:keyId:iv:authTag:ciphertext
+      expect(encrypted.startsWith(`v2:${encryptionService.getActiveKeyId()}:`)).toBe(true);
     });
 
     it('should produce different ciphertext for same plaintext (random IV)', () => {
@@ -187,3 +189,74 @@ describe('Encryption Service - Missing Key', () => {
     process.env.MESSAGE_ENCRYPTION_KEY = originalKey;
   });
 });
+
+describe('Encryption Service - Key Rotation', () => {
+  const OLD_KEY = 'a'.repeat(64);
+  const NEW_KEY = 'b'.repeat(64);
+  let originalKey;
+
+  beforeEach(() => {
+    originalKey = process.env.MESSAGE_ENCRYPTION_KEY;
+  });
+
+  afterEach(() => {
+    process.env.MESSAGE_ENCRYPTION_KEY = originalKey;
+    delete process.env.MESSAGE_ENCRYPTION_PREVIOUS_KEYS;
+  });
+
+  /**
+   * Encrypt in the legacy iv:authTag:ciphertext format (no key ID)
+   */
+  function legacyEncrypt(plaintext, keyHex) {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(keyHex, 'hex'), iv);
+    const ciphertext = cipher.update(plaintext, 'utf8', 'base64') + cipher.final('base64');
+    return `${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext}`;
+  }
+
+  it('should decrypt with a previous key after rotation', () => {
+    process.env.MESSAGE_ENCRYPTION_KEY = OLD_KEY;
+    const encrypted = encryptionService.encrypt('Before rotation');
+    const oldKeyId = encryptionService.getKeyId(encrypted);
+
+    process.env.MESSAGE_ENCRYPTION_KEY = NEW_KEY;
+    expect(() => encryptionService.decrypt(encrypted)).toThrow('Failed to decrypt');
+
+    process.env.MESSAGE_ENCRYPTION_PREVIOUS_KEYS = OLD_KEY;
+    expect(encryptionService.decrypt(encrypted)).toBe('Before rotation');
+    expect(encryptionService.getActiveKeyId()).not.toBe(oldKeyId);
+  });
+
+  it('should decrypt legacy ciphertexts with any known key', () => {
+    process.env.MESSAGE_ENCRYPTION_KEY = NEW_KEY;
+    process.env.MESSAGE_ENCRYPTION_PREVIOUS_KEYS = OLD_KEY;
+
+    const legacy = legacyEncrypt('Legacy message', OLD_KEY);
+
+    expect(encryptionService.isEncrypted(legacy)).toBe(true);
+    expect(encryptionService.getKeyId(legacy)).toBeNull();
+    expect(encryptionService.decrypt(legacy)).toBe('Legacy message');
+  });
+
+  it('should re-encrypt old ciphertexts with the active key', () => {
+    process.env.MESSAGE_ENCRYPTION_KEY = NEW_KEY;
+    process.env.MESSAGE_ENCRYPTION_PREVIOUS_KEYS = OLD_KEY;
+
+    const legacy = legacyEncrypt('Rotate me', OLD_KEY);
+    expect(encryptionService.needsReencryption(legacy)).toBe(true);
+
+    const reencrypted = encryptionService.reencrypt(legacy);
+    expect(encryptionService.getKeyId(reencrypted)).toBe(encryptionService.getActiveKeyId());
+    expect(encryptionService.needsReencryption(reencrypted)).toBe(false);
+
+    // Works once the previous key is removed
+    delete process.env.MESSAGE_ENCRYPTION_PREVIOUS_KEYS;
+    expect(encryptionService.decrypt(reencrypted)).toBe('Rotate me');
+  });
+
+  it('should reject invalid previous keys', () => {
+    process.env.MESSAGE_ENCRYPTION_PREVIOUS_KEYS = `${OLD_KEY},not-a-key`;
+
+    expect(() => encryptionService.encrypt('test')).toThrow('MESSAGE_ENCRYPTION_PREVIOUS_KEYS');
+  });
+});
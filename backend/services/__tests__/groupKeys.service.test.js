@@ -0,0 +1,254 @@
+/**
+ * Group Keys Service Tests
+ *
+ * Tests per-group data keys, KMS wrapping and crypto-shredding (including data
+ * still encrypted with the master key)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// In-memory stand-in for the tables used by the service
+jest.mock('../../config/database', () => {
+  const dataKeys = new Map();
+  const groups = new Map();
+  const searchTokens = [];
+  const messages = [];
+
+  // Group data tables re-encrypted when a group is deleted, messages in memory
+  const emptyTable = () => ({ findMany: jest.fn(async () => []) });
+
+  return {
+    groups,
+    dataKeys,
+    searchTokens,
+    messages,
+    prisma: {
+      message: {
+        findMany: jest.fn(async ({ where }) => (where.messageId
+          ? []
+          : messages.filter(row => row.groupId === where.messageGroup.groupId))),
+        updateMany: jest.fn(async ({ where, data }) => {
+          const row = messages.find(m => m.messageId === where.messageId && m.content === where.content);
+          if (!row) {
+            return { count: 0 };
+          }
+          Object.assign(row, data);
+          return { count: 1 };
+        }),
+      },
+      messageRevision: emptyTable(),
+      messageDraft: emptyTable(),
+      scheduledMessage: emptyTable(),
+      wikiDocument: emptyTable(),
+      wikiRevision: emptyTable(),
+      callTranscript: emptyTable(),
+      phoneCall: emptyTable(),
+      videoCall: emptyTable(),
+      phoneCallRecordingChunk: emptyTable(),
+      videoCallRecordingChunk: emptyTable(),
+      $transaction: jest.fn(async (operations) => Promise.all(operations)),
+      group: {
+        findUnique: jest.fn(async ({ where }) => groups.get(where.groupId) || null),
+      },
+      groupDataKey: {
+        findUnique: jest.fn(async ({ where }) => dataKeys.get(where.groupId) || null),
+        upsert: jest.fn(async ({ where, create }) => {
+          if (!dataKeys.has(where.groupId)) {
+            dataKeys.set(where.groupId, { ...create });
+          }
+          return dataKeys.get(where.groupId);
+        }),
+        deleteMany: jest.fn(async ({ where }) => ({ count: dataKeys.delete(where.groupId) ? 1 : 0 })),
+        updateMany: jest.fn(async ({ where, data }) => {
+          const row = dataKeys.get(where.groupId);
+          if (!row || row.wrappedKey !== where.wrappedKey) {
+            return { count: 0 };
+          }
+          Object.assign(row, data);
+          return { count: 1 };
+        }),
+      },
+      searchToken: {
+        deleteMany: jest.fn(async ({ where }) => {
+          const remaining = searchTokens.filter(row => row.groupId !== where.groupId);
+          const count = searchTokens.length - remaining.length;
+          searchTokens.splice(0, searchTokens.length, ...remaining);
+          return { count };
+        }),
+      },
+    },
+  };
+});
+
+const { groups, dataKeys, searchTokens, messages } = require('../../config/database');
+const encryptionService = require('../encryption.service');
+const groupKeysService = require('../groupKeys.service');
+const LocalKmsService = require('../kms/localKmsService');
+const MasterKeyKmsService = require('../kms/masterKeyKmsService');
+
+const GROUP_A = '11111111-1111-1111-1111-111111111111';
+const GROUP_B = '22222222-2222-2222-2222-222222222222';
+const DELETED_GROUP = '33333333-3333-3333-3333-333333333333';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kms-test-'));
+
+process.env.MESSAGE_ENCRYPTION_KEY = '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef';
+process.env.KMS_PROVIDER = 'local';
+process.env.KMS_LOCAL_KEY_FILE = path.join(tmpDir, 'local-kms.json');
+
+describe('Group Keys Service', () => {
+  beforeEach(() => {
+    groups.set(GROUP_A, { isHidden: false });
+    groups.set(GROUP_B, { isHidden: false });
+    groups.set(DELETED_GROUP, { isHidden: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    delete process.env.KMS_PROVIDER;
+    delete process.env.KMS_LOCAL_KEY_FILE;
+  });
+
+  describe('KMS', () => {
+    it('should wrap and unwrap with the local KMS, creating its key file', async () => {
+      const kms = new LocalKmsService();
+      const dataKey = Buffer.alloc(32, 7);
+      const wrapped = await kms.wrapKey(dataKey);
+
+      expect(fs.existsSync(process.env.KMS_LOCAL_KEY_FILE)).toBe(true);
+      expect(wrapped.startsWith('local:')).toBe(true);
+      expect(wrapped).not.toContain(dataKey.toString('base64'));
+      expect((await kms.unwrapKey(wrapped)).equals(dataKey)).toBe(true);
+      expect(kms.needsRewrap(wrapped)).toBe(false);
+    });
+
+    it('should wrap and unwrap with the master key KMS', async () => {
+      const kms = new MasterKeyKmsService();
+      const dataKey = Buffer.alloc(32, 9);
+      const wrapped = await kms.wrapKey(dataKey);
+
+      expect(encryptionService.getKeyId(wrapped)).toBe(encryptionService.getActiveKeyId());
+      expect((await kms.unwrapKey(wrapped)).equals(dataKey)).toBe(true);
+    });
+  });
+
+  describe('getGroupKeyring', () => {
+    it('should create one wrapped data key per group', async () => {
+      const keyringA = await groupKeysService.getGroupKeyring(GROUP_A);
+      const keyringB = await groupKeysService.getGroupKeyring(GROUP_B);
+
+      expect(keyringA.activeKeyId).not.toBe(keyringB.activeKeyId);
+      expect(dataKeys.get(GROUP_A).keyId).toBe(keyringA.activeKeyId);
+      expect(dataKeys.get(GROUP_A).kmsProvider).toBe('local');
+      expect(await groupKeysService.getGroupKeyring(GROUP_A)).toBe(keyringA);
+    });
+
+    it('should not create a key for a deleted group', async () => {
+      await expect(groupKeysService.getGroupKeyring(DELETED_GROUP)).rejects.toThrow('deleted');
+    });
+  });
+
+  describe('Encryption with group keys', () => {
+    it('should encrypt with the group key and not decrypt with another group key', async () => {
+      const keyringA = await groupKeysService.getGroupKeyring(GROUP_A);
+      const keyringB = await groupKeysService.getGroupKeyring(GROUP_B);
+      const encrypted = encryptionService.encrypt('School pickup at 3pm', keyringA);
+
+      expect(encryptionService.getKeyId(encrypted)).toBe(keyringA.activeKeyId);
+      expect(encryptionService.decrypt(encrypted, keyringA)).toBe('School pickup at 3pm');
+      expect(() => encryptionService.decrypt(encrypted, keyringB)).toThrow();
+      expect(() => encryptionService.decrypt(encrypted)).toThrow();
+    });
+
+    it('should still decrypt master key data and flag it for re-encryption', async () => {
+      const keyring = await groupKeysService.getGroupKeyring(GROUP_A);
+      const encrypted = encryptionService.encrypt('Older message');
+
+      expect(encryptionService.decrypt(encrypted, keyring)).toBe('Older message');
+      expect(encryptionService.needsReencryption(encrypted, keyring)).toBe(true);
+
+      const reencrypted = encryptionService.reencrypt(encrypted, keyring);
+      expect(encryptionService.needsReencryption(reencrypted, keyring)).toBe(false);
+      expect(encryptionService.decrypt(reencrypted, keyring)).toBe('Older message');
+    });
+  });
+
+  describe('destroyGroupKeys', () => {
+    it('should crypto-shred the group data', async () => {
+      const keyring = await groupKeysService.getGroupKeyring(GROUP_B);
+      const encrypted = encryptionService.encrypt('Shred me', keyring);
+
+      expect(await groupKeysService.destroyGroupKeys(GROUP_B)).toEqual({ destroyed: true, remaining: 0 });
+      expect(dataKeys.has(GROUP_B)).toBe(false);
+
+      // The deleted group gets no replacement key, so the data stays unreadable
+      groups.set(GROUP_B, { isHidden: true });
+      await expect(groupKeysService.getGroupKeyring(GROUP_B)).rejects.toThrow();
+      expect(() => encryptionService.decrypt(encrypted)).toThrow();
+      expect(await groupKeysService.destroyGroupKeys(GROUP_B)).toEqual({ destroyed: false, remaining: 0 });
+    });
+
+    it('should shred data still encrypted with the master key', async () => {
+      await groupKeysService.getGroupKeyring(GROUP_B);
+      messages.push(
+        { messageId: 'message-1', groupId: GROUP_B, content: encryptionService.encrypt('From before group keys') },
+        { messageId: 'message-2', groupId: GROUP_B, content: 'not:valid:ciphertext' }
+      );
+
+      // The unreadable row can't be moved, so the group is not reported as fully shredded
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      expect(await groupKeysService.destroyGroupKeys(GROUP_B)).toEqual({ destroyed: true, remaining: 1 });
+      console.error.mockRestore();
+
+      expect(encryptionService.needsReencryption(messages[0].content)).toBe(true);
+      expect(() => encryptionService.decrypt(messages[0].content)).toThrow();
+      messages.length = 0;
+    });
+
+    it('should shred master-key data of a group that never had a key', async () => {
+      messages.push({ messageId: 'message-1', groupId: GROUP_A, content: encryptionService.encrypt('Legacy only') });
+      dataKeys.delete(GROUP_A);
+
+      expect(await groupKeysService.destroyGroupKeys(GROUP_A)).toEqual({ destroyed: false, remaining: 0 });
+      expect(() => encryptionService.decrypt(messages[0].content)).toThrow();
+      messages.length = 0;
+    });
+
+    it('should delete the group search index with the key', async () => {
+      await groupKeysService.getGroupKeyring(GROUP_B);
+      searchTokens.push(
+        { groupId: GROUP_A, entityType: 'message', entityId: 'message-a', token: 'a'.repeat(32) },
+        { groupId: GROUP_B, entityType: 'message', entityId: 'message-b', token: 'b'.repeat(32) },
+        { groupId: GROUP_B, entityType: 'wiki', entityId: 'wiki-b', token: 'c'.repeat(32) }
+      );
+
+      expect(await groupKeysService.destroyGroupKeys(GROUP_B)).toEqual({ destroyed: true, remaining: 0 });
+      expect(searchTokens).toEqual([expect.objectContaining({ groupId: GROUP_A })]);
+    });
+  });
+
+  describe('Rewrapping', () => {
+    it('should rewrap a key for another KMS without changing the data key', async () => {
+      const keyring = await groupKeysService.getGroupKeyring(GROUP_A);
+      const row = { ...dataKeys.get(GROUP_A), groupId: GROUP_A };
+
+      process.env.KMS_PROVIDER = 'master';
+      try {
+        expect(groupKeysService.needsRewrap(row)).toBe(true);
+        expect(await groupKeysService.rewrapGroupKey(row)).toBe(true);
+        expect(dataKeys.get(GROUP_A).kmsProvider).toBe('master');
+        expect(groupKeysService.needsRewrap(dataKeys.get(GROUP_A))).toBe(false);
+
+        // A stale row is not written over
+        expect(await groupKeysService.rewrapGroupKey(row)).toBe(false);
+
+        const unwrapped = await new MasterKeyKmsService().unwrapKey(dataKeys.get(GROUP_A).wrappedKey);
+        expect(unwrapped.equals(keyring.activeKey)).toBe(true);
+      } finally {
+        process.env.KMS_PROVIDER = 'local';
+      }
+    });
+  });
+});
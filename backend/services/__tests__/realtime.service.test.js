@@ -0,0 +1,244 @@
+/**
+ * Realtime Service Tests
+ *
+ * Tests the WebSocket subscription protocol using an in-memory socket,
+ * signal acks and relaying events between instances
+ */
+
+const { EventEmitter } = require('events');
+
+jest.mock('../../config/database', () => ({
+  prisma: {
+    messageGroup: { findUnique: jest.fn() },
+    messageGroupMember: { findFirst: jest.fn() },
+    groupMember: { findUnique: jest.fn() },
+    videoCall: { findUnique: jest.fn() },
+    webRTCSignal: { updateMany: jest.fn() },
+    realtimeEvent: { create: jest.fn(), findUnique: jest.fn(), deleteMany: jest.fn() },
+    $executeRaw: jest.fn(),
+  },
+}));
+
+jest.mock('../../middleware/auth.middleware', () => ({
+  authenticateToken: jest.fn(),
+}));
+
+const { prisma } = require('../../config/database');
+const { authenticateToken } = require('../../middleware/auth.middleware');
+const realtimeService = require('../realtime.service');
+
+/**
+ * Minimal stand-in for a ws WebSocket
+ */
+function createSocket() {
+  const socket = new EventEmitter();
+  socket.readyState = 1;
+  socket.OPEN = 1;
+  socket.sent = [];
+  socket.send = (payload) => socket.sent.push(JSON.parse(payload));
+  socket.close = jest.fn();
+  return socket;
+}
+
+async function sendFrame(socket, frame) {
+  socket.emit('message', Buffer.from(JSON.stringify(frame)));
+  // Let the async frame handler settle (mocks resolve as microtasks)
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+}
+
+describe('Realtime Service', () => {
+  let socket;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    socket = createSocket();
+    realtimeService.handleConnection(socket);
+  });
+
+  afterEach(() => {
+    socket.emit('close');
+  });
+
+  describe('topics', () => {
+    it('should build topic names', () => {
+      expect(realtimeService.messageGroupTopic('mg-1')).toBe('message-group:mg-1');
+      expect(realtimeService.callTopic('video', 'c-1')).toBe('call:video:c-1');
+      expect(realtimeService.callPeerTopic('phone', 'c-1', 'p-1')).toBe('call:phone:c-1:peer:p-1');
+    });
+
+    it('should report zero deliveries for topics without subscribers', () => {
+      expect(realtimeService.publish('message-group:none', 'new_message', {})).toBe(0);
+      expect(realtimeService.hasSubscribers('message-group:none')).toBe(false);
+    });
+  });
+
+  describe('auth', () => {
+    it('should reject subscriptions before authentication', async () => {
+      await sendFrame(socket, { type: 'subscribe', channel: 'message-group', requestId: 'r1' });
+
+      expect(socket.sent[0]).toMatchObject({ type: 'error', code: 'UNAUTHORIZED', requestId: 'r1' });
+    });
+
+    it('should close the socket when the token is invalid', async () => {
+      const error = new Error('Invalid or expired token');
+      error.status = 401;
+      authenticateToken.mockRejectedValue(error);
+
+      await sendFrame(socket, { type: 'auth', token: 'bad' });
+
+      expect(socket.close).toHaveBeenCalledWith(4401, 'Unauthorized');
+    });
+  });
+
+  describe('message-group channel', () => {
+    beforeEach(async () => {
+      authenticateToken.mockResolvedValue({ userId: 'user-1' });
+      await sendFrame(socket, { type: 'auth', token: 'good' });
+    });
+
+    it('should deliver events to subscribed members', async () => {
+      prisma.groupMember.findUnique.mockResolvedValue({ groupMemberId: 'gm-1', role: 'parent' });
+      prisma.messageGroup.findUnique.mockResolvedValue({ groupId: 'g-1' });
+      prisma.messageGroupMember.findFirst.mockResolvedValue({ groupMemberId: 'gm-1' });
+
+      await sendFrame(socket, { type: 'subscribe', channel: 'message-group', groupId: 'g-1', messageGroupId: 'mg-1' });
+      const delivered = realtimeService.publish('message-group:mg-1', 'new_message', { message: { messageId: 'm-1' } });
+
+      expect(delivered).toBe(1);
+      expect(socket.sent).toContainEqual({
+        type: 'event',
+        topic: 'message-group:mg-1',
+        event: 'new_message',
+        data: { message: { messageId: 'm-1' } },
+      });
+    });
+
+    it('should refuse non-members', async () => {
+      prisma.groupMember.findUnique.mockResolvedValue({ groupMemberId: 'gm-1', role: 'parent' });
+      prisma.messageGroup.findUnique.mockResolvedValue({ groupId: 'g-1' });
+      prisma.messageGroupMember.findFirst.mockResolvedValue(null);
+
+      await sendFrame(socket, { type: 'subscribe', channel: 'message-group', groupId: 'g-1', messageGroupId: 'mg-2' });
+
+      expect(socket.sent[socket.sent.length - 1]).toMatchObject({ type: 'error', code: 'FORBIDDEN' });
+      expect(realtimeService.hasSubscribers('message-group:mg-2')).toBe(false);
+    });
+  });
+
+  describe('signal acks', () => {
+    beforeEach(async () => {
+      authenticateToken.mockResolvedValue({ userId: 'user-1' });
+      await sendFrame(socket, { type: 'auth', token: 'good' });
+    });
+
+    it('should mark acked signals consumed for the socket\'s own peer only', async () => {
+      prisma.groupMember.findUnique.mockResolvedValue({ groupMemberId: 'gm-1', isRegistered: true });
+      prisma.videoCall.findUnique.mockResolvedValue({
+        callId: 'c-1',
+        groupId: 'g-1',
+        initiatedBy: 'gm-1',
+        participants: [],
+      });
+      prisma.webRTCSignal.updateMany.mockResolvedValue({ count: 1 });
+
+      await sendFrame(socket, { type: 'subscribe', channel: 'call', callType: 'video', groupId: 'g-1', callId: 'c-1' });
+      await sendFrame(socket, { type: 'ack', signalIds: ['s-1'] });
+
+      expect(prisma.webRTCSignal.updateMany).toHaveBeenCalledWith({
+        where: {
+          signalId: { in: ['s-1'] },
+          isConsumed: false,
+          OR: [{ callType: 'video', callId: 'c-1', toPeerId: 'gm-1' }],
+        },
+        data: { isConsumed: true, consumedAt: expect.any(Date) },
+      });
+    });
+
+    it('should ignore acks without a call subscription', async () => {
+      await sendFrame(socket, { type: 'ack', signalIds: ['s-1'] });
+
+      expect(prisma.webRTCSignal.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('fan-out', () => {
+    const originalUrl = process.env.REALTIME_URL;
+
+    beforeEach(async () => {
+      authenticateToken.mockResolvedValue({ userId: 'user-1' });
+      prisma.groupMember.findUnique.mockResolvedValue({ groupMemberId: 'gm-1', role: 'parent' });
+      prisma.messageGroup.findUnique.mockResolvedValue({ groupId: 'g-1' });
+      prisma.messageGroupMember.findFirst.mockResolvedValue({ groupMemberId: 'gm-1' });
+      await sendFrame(socket, { type: 'auth', token: 'good' });
+      await sendFrame(socket, { type: 'subscribe', channel: 'message-group', groupId: 'g-1', messageGroupId: 'mg-1' });
+    });
+
+    afterEach(() => {
+      if (originalUrl === undefined) {
+        delete process.env.REALTIME_URL;
+      } else {
+        process.env.REALTIME_URL = originalUrl;
+      }
+    });
+
+    it('should deliver events relayed by other instances', async () => {
+      await realtimeService.handleNotification(JSON.stringify({
+        origin: 'other-instance',
+        topic: 'message-group:mg-1',
+        event: 'message_hidden',
+        data: { messageId: 'm-1' },
+      }));
+
+      expect(socket.sent).toContainEqual({
+        type: 'event',
+        topic: 'message-group:mg-1',
+        event: 'message_hidden',
+        data: { messageId: 'm-1' },
+      });
+    });
+
+    it('should load large relayed events from realtime_events', async () => {
+      prisma.realtimeEvent.findUnique.mockResolvedValue({
+        topic: 'message-group:mg-1',
+        event: 'new_message',
+        data: { message: { messageId: 'm-2' } },
+      });
+
+      await realtimeService.handleNotification(JSON.stringify({ origin: 'other-instance', eventId: 'e-1' }));
+
+      expect(prisma.realtimeEvent.findUnique).toHaveBeenCalledWith({ where: { eventId: 'e-1' } });
+      expect(socket.sent[socket.sent.length - 1]).toMatchObject({ event: 'new_message', data: { message: { messageId: 'm-2' } } });
+    });
+
+    it('should only relay when realtime is served somewhere', async () => {
+      delete process.env.REALTIME_URL;
+      realtimeService.publish('message-group:mg-1', 'message_unhidden', { messageId: 'm-1' });
+      await realtimeService.flush();
+      expect(prisma.$executeRaw).not.toHaveBeenCalled();
+      expect(realtimeService.getClientConfig()).toEqual({ enabled: false, url: null });
+
+      process.env.REALTIME_URL = 'wss://realtime.example.com/realtime';
+      realtimeService.publish('message-group:mg-1', 'message_unhidden', { messageId: 'm-1' });
+      await realtimeService.flush();
+      expect(prisma.$executeRaw).toHaveBeenCalledTimes(1);
+      expect(realtimeService.getClientConfig()).toEqual({ enabled: true, url: 'wss://realtime.example.com/realtime' });
+    });
+
+    it('should store events too large for a notification', async () => {
+      process.env.REALTIME_URL = 'wss://realtime.example.com/realtime';
+      prisma.realtimeEvent.create.mockResolvedValue({ eventId: 'e-1' });
+
+      realtimeService.publish('message-group:mg-1', 'new_message', { message: { content: 'x'.repeat(10000) } });
+      await realtimeService.flush();
+
+      expect(prisma.realtimeEvent.create).toHaveBeenCalledWith({
+        data: { topic: 'message-group:mg-1', event: 'new_message', data: { message: { content: 'x'.repeat(10000) } } },
+        select: { eventId: true },
+      });
+      const [, , payload] = prisma.$executeRaw.mock.calls[0];
+      expect(JSON.parse(payload)).toMatchObject({ eventId: 'e-1' });
+    });
+  });
+});
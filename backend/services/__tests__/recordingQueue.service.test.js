@@ -0,0 +1,98 @@
+/**
+ * Recording Queue Service Tests
+ *
+ * Tests the lease heartbeat: recordings keep their slot while running, and
+ * while the recorder can't be asked, up to LEASE_CHECK_MAX_FAILURES times
+ */
+
+jest.mock('../../config/database', () => ({
+  prisma: {
+    recordingLease: {
+      findMany: jest.fn(),
+      updateMany: jest.fn(async () => ({ count: 1 })),
+      deleteMany: jest.fn(async () => ({ count: 1 })),
+    },
+  },
+}));
+
+jest.mock('../email', () => ({
+  emailService: { sendEmail: jest.fn() },
+}));
+
+jest.mock('../recorder.service', () => ({
+  checkRecording: jest.fn(),
+}));
+
+const { prisma } = require('../../config/database');
+const recorderService = require('../recorder.service');
+const config = require('../../config/recordingQueue.config');
+const recordingQueue = require('../recordingQueue.service');
+
+const lease = {
+  leaseId: 'lease-1',
+  callType: 'video',
+  callId: 'call-1',
+  // Past the grace period for starting to record
+  acquiredAt: new Date(Date.now() - 10 * 60 * 1000),
+};
+
+describe('Recording Lease Heartbeat', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    prisma.recordingLease.findMany.mockResolvedValue([lease]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should renew the lease of a running recording', async () => {
+    recorderService.checkRecording.mockResolvedValue(true);
+
+    await recordingQueue.renewHeldLeases();
+
+    expect(prisma.recordingLease.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ leaseId: 'lease-1' }),
+    }));
+    expect(prisma.recordingLease.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('should release the lease once the recorder says the recording stopped', async () => {
+    recorderService.checkRecording.mockResolvedValue(false);
+
+    await recordingQueue.renewHeldLeases();
+
+    expect(prisma.recordingLease.deleteMany).toHaveBeenCalledWith({
+      where: { callType: 'video', callId: 'call-1' },
+    });
+    expect(prisma.recordingLease.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('should keep renewing while the recorder fails to answer, up to the limit', async () => {
+    recorderService.checkRecording.mockResolvedValue(null);
+
+    for (let i = 1; i < config.LEASE_CHECK_MAX_FAILURES; i++) {
+      await recordingQueue.renewHeldLeases();
+    }
+    expect(prisma.recordingLease.updateMany).toHaveBeenCalledTimes(config.LEASE_CHECK_MAX_FAILURES - 1);
+    expect(prisma.recordingLease.deleteMany).not.toHaveBeenCalled();
+
+    await recordingQueue.renewHeldLeases();
+    expect(prisma.recordingLease.deleteMany).toHaveBeenCalledTimes(1);
+  });
+
+  it('should start counting failures again after the recorder answers', async () => {
+    recorderService.checkRecording.mockResolvedValue(null);
+    for (let i = 1; i < config.LEASE_CHECK_MAX_FAILURES; i++) {
+      await recordingQueue.renewHeldLeases();
+    }
+
+    recorderService.checkRecording.mockResolvedValueOnce(true);
+    await recordingQueue.renewHeldLeases();
+    await recordingQueue.renewHeldLeases();
+
+    expect(prisma.recordingLease.deleteMany).not.toHaveBeenCalled();
+  });
+});
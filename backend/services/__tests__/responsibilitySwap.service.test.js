@@ -0,0 +1,329 @@
+/**
+ * Responsibility Swap Service Tests
+ *
+ * Tests swap requests between responsible adults: proposing, accepting,
+ * declining, counter-proposing and auto-accepting
+ */
+
+// In-memory stand-in for the tables used by the service
+jest.mock('../../config/database', () => {
+  const db = {
+    events: [],
+    approvals: new Map(),
+    votes: [],
+    auditLogs: [],
+    adminPermissions: [],
+  };
+  let sequence = 0;
+
+  const createEvent = async ({ data }) => {
+    sequence += 1;
+    const eventId = `event-${sequence}`;
+    const { responsibilityEvents, ...fields } = data;
+    const event = {
+      ...fields,
+      eventId,
+      isRecurring: false,
+      exceptions: [],
+      createdAt: new Date(Date.UTC(2026, 0, 1) + sequence * 1000),
+      responsibilityEvents: responsibilityEvents.create.map(re => ({
+        ...re,
+        eventId,
+        startResponsibleMember: { displayName: re.startResponsibleMemberId },
+      })),
+    };
+    db.events.push(event);
+    return event;
+  };
+
+  const approvalMatches = (approval, where) =>
+    Object.entries(where).every(([key, value]) => approval[key] === value);
+
+  const prisma = {
+    calendarEvent: {
+      create: jest.fn(createEvent),
+      findMany: jest.fn(async ({ where }) => db.events
+        .filter(event =>
+          event.groupId === where.groupId &&
+          event.startTime <= where.startTime.lte &&
+          event.endTime >= where.OR[1].endTime.gte &&
+          event.responsibilityEvents.some(re => where.responsibilityEvents.some.childId.in.includes(re.childId)))
+        .sort((a, b) => a.createdAt - b.createdAt)),
+    },
+    approval: {
+      create: jest.fn(async ({ data }) => {
+        sequence += 1;
+        const approval = { ...data, approvalId: `approval-${sequence}`, status: 'pending' };
+        db.approvals.set(approval.approvalId, approval);
+        return { ...approval };
+      }),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const matched = Array.from(db.approvals.values()).filter(approval => approvalMatches(approval, where));
+        matched.forEach(approval => Object.assign(approval, data));
+        return { count: matched.length };
+      }),
+      update: jest.fn(async ({ where, data }) => {
+        const approval = db.approvals.get(where.approvalId);
+        Object.assign(approval, data);
+        return { ...approval };
+      }),
+      findUnique: jest.fn(async ({ where }) => {
+        const approval = db.approvals.get(where.approvalId);
+        return approval ? { ...approval } : null;
+      }),
+    },
+    approvalVote: {
+      create: jest.fn(async ({ data }) => {
+        db.votes.push(data);
+        return data;
+      }),
+    },
+    auditLog: {
+      create: jest.fn(async ({ data }) => {
+        db.auditLogs.push(data);
+        return data;
+      }),
+    },
+    adminPermission: {
+      findFirst: jest.fn(async ({ where }) => db.adminPermissions.find(permission =>
+        Object.entries(where).every(([key, value]) => permission[key] === value)) || null),
+    },
+    $queryRaw: jest.fn(async () => []),
+    $transaction: jest.fn(async (fn) => fn(prisma)),
+  };
+
+  return { prisma, db, createEvent };
+});
+
+jest.mock('../pushNotification.service', () => ({
+  sendToGroupMembersWithPreferences: jest.fn(() => Promise.resolve()),
+}));
+
+const { prisma, db, createEvent } = require('../../config/database');
+const pushNotificationService = require('../pushNotification.service');
+const {
+  SWAP_APPROVAL_TYPE,
+  describeSwap,
+  holdsBlock,
+  proposeSwap,
+  respondToSwap,
+} = require('../responsibilitySwap.service');
+
+const GROUP = 'group-1';
+const CHILD = 'member-child';
+const mum = { groupMemberId: 'member-mum', displayName: 'Mum', email: 'mum@example.com', role: 'parent' };
+const dad = { groupMemberId: 'member-dad', displayName: 'Dad', email: 'dad@example.com', role: 'parent' };
+
+const block = (startTime, endTime) => ({ startTime, endTime });
+const weekendWithMum = block('2026-12-04T17:00:00.000Z', '2026-12-06T17:00:00.000Z');
+const weekendWithDad = block('2026-12-11T17:00:00.000Z', '2026-12-13T17:00:00.000Z');
+
+/**
+ * Add a responsibility event for the child
+ */
+function addEvent(member, startTime, endTime) {
+  return createEvent({
+    data: {
+      groupId: GROUP,
+      title: `Week with ${member.displayName}`,
+      startTime: new Date(startTime),
+      endTime: new Date(endTime),
+      responsibilityEvents: {
+        create: [{
+          childId: CHILD,
+          startResponsibilityType: 'member',
+          startResponsibleMemberId: member.groupMemberId,
+        }],
+      },
+    },
+  });
+}
+
+const swap = (give, take) => ({
+  eventId: 'event-1',
+  eventTitle: 'Week with Mum',
+  childIds: [CHILD],
+  childNames: ['Sam'],
+  give,
+  take,
+  note: null,
+});
+
+beforeEach(async () => {
+  db.events.length = 0;
+  db.approvals.clear();
+  db.votes.length = 0;
+  db.auditLogs.length = 0;
+  db.adminPermissions.length = 0;
+  pushNotificationService.sendToGroupMembersWithPreferences.mockClear();
+
+  await addEvent(mum, '2026-11-30T17:00:00.000Z', '2026-12-07T17:00:00.000Z');
+  await addEvent(dad, '2026-12-07T17:00:00.000Z', '2026-12-14T17:00:00.000Z');
+});
+
+describe('Responsibility Swap Service', () => {
+  it('should describe a swap from the requester\'s side', () => {
+    expect(describeSwap({
+      requesterName: 'Mum',
+      counterpartyName: 'Dad',
+      childNames: ['Sam', 'Alex'],
+      give: block('2026-12-04T17:00:00.000Z', '2026-12-06T17:00:00.000Z'),
+      take: null,
+      counterOf: null,
+    })).toMatch(/^Mum requested to give Dad Sam, Alex for .+ - .+$/);
+  });
+
+  it('should check who holds a block', async () => {
+    expect(await holdsBlock(GROUP, [CHILD], mum.groupMemberId, weekendWithMum)).toBe(true);
+    expect(await holdsBlock(GROUP, [CHILD], dad.groupMemberId, weekendWithMum)).toBe(false);
+
+    // Straddles the handover
+    expect(await holdsBlock(GROUP, [CHILD], mum.groupMemberId,
+      block('2026-12-06T17:00:00.000Z', '2026-12-08T17:00:00.000Z'))).toBe(false);
+  });
+
+  it('should reject a request for time the requester does not hold', async () => {
+    const result = await proposeSwap({ groupId: GROUP, requester: mum, counterparty: dad, swap: swap(weekendWithDad, null) });
+
+    expect(result.status).toBe(400);
+    expect(result.error).toMatch(/Mum is not responsible for Sam/);
+    expect(db.approvals.size).toBe(0);
+  });
+
+  it('should create a pending request and notify the counterparty', async () => {
+    const { approval, events } = await proposeSwap({
+      groupId: GROUP,
+      requester: mum,
+      counterparty: dad,
+      swap: swap(weekendWithMum, weekendWithDad),
+    });
+
+    expect(events).toBeNull();
+    expect(approval).toMatchObject({
+      approvalType: SWAP_APPROVAL_TYPE,
+      requestedBy: mum.groupMemberId,
+      status: 'pending',
+      approvalData: expect.objectContaining({ counterpartyId: dad.groupMemberId, allAdminIds: [dad.groupMemberId] }),
+    });
+    expect(db.auditLogs.map(log => log.action)).toEqual(['request_responsibility_swap']);
+    expect(pushNotificationService.sendToGroupMembersWithPreferences).toHaveBeenCalledWith(
+      [dad.groupMemberId], 'request', 'Swap Request', expect.any(String), expect.objectContaining({ approvalId: approval.approvalId })
+    );
+  });
+
+  it('should swap both blocks when the counterparty accepts', async () => {
+    const { approval } = await proposeSwap({
+      groupId: GROUP,
+      requester: mum,
+      counterparty: dad,
+      swap: swap(weekendWithMum, weekendWithDad),
+    });
+
+    const result = await respondToSwap({ approval, respondent: dad, response: 'accept' });
+
+    expect(result.approval.status).toBe('approved');
+    expect(result.events.map(event => event.title)).toEqual(['Swap: Dad', 'Swap: Mum']);
+    expect(result.approval.approvalData.createdEventIds).toEqual(result.events.map(event => event.eventId));
+    expect(db.votes).toEqual([expect.objectContaining({ adminId: dad.groupMemberId, vote: 'approve', isAutoApproved: false })]);
+
+    expect(await holdsBlock(GROUP, [CHILD], dad.groupMemberId, weekendWithMum)).toBe(true);
+    expect(await holdsBlock(GROUP, [CHILD], mum.groupMemberId, weekendWithDad)).toBe(true);
+  });
+
+  it('should only let the counterparty respond', async () => {
+    const { approval } = await proposeSwap({ groupId: GROUP, requester: mum, counterparty: dad, swap: swap(weekendWithMum, null) });
+
+    const result = await respondToSwap({ approval, respondent: mum, response: 'accept' });
+
+    expect(result.status).toBe(403);
+    expect(db.approvals.get(approval.approvalId).status).toBe('pending');
+  });
+
+  it('should decline without changing the calendar', async () => {
+    const { approval } = await proposeSwap({ groupId: GROUP, requester: mum, counterparty: dad, swap: swap(weekendWithMum, null) });
+
+    const result = await respondToSwap({ approval, respondent: dad, response: 'decline' });
+
+    expect(result.approval.status).toBe('rejected');
+    expect(db.events).toHaveLength(2);
+    expect(db.auditLogs.map(log => log.action)).toContain('decline_responsibility_swap');
+  });
+
+  it('should refuse to accept when the calendar changed in the meantime', async () => {
+    const { approval } = await proposeSwap({ groupId: GROUP, requester: mum, counterparty: dad, swap: swap(weekendWithMum, null) });
+    await addEvent(dad, '2026-12-05T09:00:00.000Z', '2026-12-05T12:00:00.000Z');
+
+    const result = await respondToSwap({ approval, respondent: dad, response: 'accept' });
+
+    expect(result.status).toBe(409);
+    expect(db.approvals.get(approval.approvalId).status).toBe('pending');
+  });
+
+  it('should re-check the blocks after locking their events', async () => {
+    const { approval } = await proposeSwap({ groupId: GROUP, requester: mum, counterparty: dad, swap: swap(weekendWithMum, null) });
+
+    // Another swap over the weekend commits while this one waits for the lock
+    prisma.$queryRaw.mockImplementationOnce(async () => {
+      await addEvent(dad, '2026-12-05T09:00:00.000Z', '2026-12-05T12:00:00.000Z');
+      return [];
+    });
+
+    const result = await respondToSwap({ approval, respondent: dad, response: 'accept' });
+
+    expect(result.status).toBe(409);
+    expect(prisma.$queryRaw.mock.calls[0][0].join('?')).toMatch(/FOR UPDATE OF e$/);
+    expect(db.approvals.get(approval.approvalId).status).toBe('pending');
+    expect(db.events).toHaveLength(3);
+  });
+
+  it('should replace a request with a counter-proposal', async () => {
+    const { approval: original } = await proposeSwap({
+      groupId: GROUP,
+      requester: mum,
+      counterparty: dad,
+      swap: swap(weekendWithMum, weekendWithDad),
+    });
+
+    const { approval: counter } = await proposeSwap({
+      groupId: GROUP,
+      requester: dad,
+      counterparty: mum,
+      swap: swap(null, weekendWithMum),
+      counterOf: original,
+    });
+
+    expect(db.approvals.get(original.approvalId).status).toBe('countered');
+    expect(db.votes).toEqual([expect.objectContaining({ approvalId: original.approvalId, vote: 'counter' })]);
+    expect(counter.approvalData).toMatchObject({ requesterId: dad.groupMemberId, counterOf: original.approvalId });
+    expect(describeSwap(counter.approvalData)).toMatch(/^Dad counter-proposed to take Sam for/);
+
+    const staleCounter = await proposeSwap({
+      groupId: GROUP,
+      requester: dad,
+      counterparty: mum,
+      swap: swap(null, weekendWithMum),
+      counterOf: { ...original, status: 'countered' },
+    });
+    expect(staleCounter.status).toBe(400);
+  });
+
+  it('should accept automatically with the assign children auto-approve permission', async () => {
+    const mumAdmin = { ...mum, role: 'admin' };
+    const dadAdmin = { ...dad, role: 'admin' };
+    db.adminPermissions.push({
+      groupId: GROUP,
+      grantingAdminId: dad.groupMemberId,
+      receivingAdminId: mum.groupMemberId,
+      autoApproveAssignChildrenToEvents: true,
+    });
+
+    const result = await proposeSwap({ groupId: GROUP, requester: mumAdmin, counterparty: dadAdmin, swap: swap(weekendWithMum, null) });
+
+    expect(result.approval.status).toBe('approved');
+    expect(result.events).toHaveLength(1);
+    expect(db.votes).toEqual([expect.objectContaining({ vote: 'approve', isAutoApproved: true })]);
+    expect(pushNotificationService.sendToGroupMembersWithPreferences).toHaveBeenCalledWith(
+      [mum.groupMemberId], 'request', 'Swap Accepted', 'Dad automatically accepted your swap request', expect.any(Object)
+    );
+  });
+});
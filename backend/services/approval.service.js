@@ -0,0 +1,157 @@
+/**
+ * Approval Service
+ *
+ * Starts approval requests the way APPROVAL_WORKFLOW.md describes: the
+ * approval is always created (for the audit trail) with a snapshot of the
+ * group's admins, an admin requester approves by requesting, and admins who
+ * granted the requester the matching auto-approve permission approve
+ * automatically. The caller applies the change straight away when the request
+ * passed; otherwise executeApprovedAction applies it once the remaining admins
+ * vote it through.
+ *
+ * @module services/approval
+ */
+
+const { prisma } = require('../config/database');
+const pushNotificationService = require('./pushNotification.service');
+
+/**
+ * Create an approval request with the requester's and auto-approvers' votes
+ *
+ * @param {Object} options
+ * @param {string} options.groupId
+ * @param {Object} options.membership - Requesting GroupMember
+ * @param {string} options.approvalType - e.g. 'assign_relationship'
+ * @param {string} options.permissionField - AdminPermission auto-approve field
+ * @param {string} [options.relatedEntityType]
+ * @param {string} [options.relatedEntityId]
+ * @param {Object} options.data - approvalData (allAdminIds is added)
+ * @returns {Promise<{approval: Object, passed: boolean, autoApprovedCount: number}>}
+ */
+async function createApprovalRequest({
+  groupId,
+  membership,
+  approvalType,
+  permissionField,
+  relatedEntityType = null,
+  relatedEntityId = null,
+  data,
+}) {
+  const isAdmin = membership.role === 'admin';
+
+  const admins = await prisma.groupMember.findMany({
+    where: {
+      groupId: groupId,
+      role: 'admin',
+    },
+    select: { groupMemberId: true },
+  });
+  const allAdminIds = admins.map(admin => admin.groupMemberId);
+
+  // Admins who pre-approved this kind of change for the requester
+  const autoApprovals = isAdmin
+    ? await prisma.adminPermission.findMany({
+        where: {
+          groupId: groupId,
+          receivingAdminId: membership.groupMemberId,
+          grantingAdminId: { in: allAdminIds.filter(id => id !== membership.groupMemberId) },
+          [permissionField]: true,
+        },
+        select: { grantingAdminId: true },
+      })
+    : [];
+
+  const approveVotes = (isAdmin ? 1 : 0) + autoApprovals.length;
+  const approvePercentage = allAdminIds.length > 0 ? (approveVotes / allAdminIds.length) * 100 : 0;
+  const passed = approvePercentage > 50 || approvePercentage === 100;
+
+  const approval = await prisma.approval.create({
+    data: {
+      groupId: groupId,
+      requestedBy: membership.groupMemberId,
+      approvalType: approvalType,
+      requiresAllAdmins: false,
+      requiredApprovalPercentage: '50.00',
+      status: passed ? 'approved' : 'pending',
+      completedAt: passed ? new Date() : null,
+      relatedEntityType: relatedEntityType,
+      relatedEntityId: relatedEntityId,
+      approvalData: { ...data, allAdminIds },
+    },
+  });
+
+  if (isAdmin) {
+    await prisma.approvalVote.createMany({
+      data: [
+        { approvalId: approval.approvalId, adminId: membership.groupMemberId, vote: 'approve', isAutoApproved: false },
+        ...autoApprovals.map(permission => ({
+          approvalId: approval.approvalId,
+          adminId: permission.grantingAdminId,
+          vote: 'approve',
+          isAutoApproved: true,
+        })),
+      ],
+    });
+  }
+
+  return { approval, passed, autoApprovedCount: autoApprovals.length };
+}
+
+/**
+ * Log a pending approval request and notify the admins who need to vote
+ *
+ * @param {Object} options
+ * @param {string} options.groupId
+ * @param {Object} options.membership - Requesting GroupMember
+ * @param {Object} options.approval - Pending approval
+ * @param {string} options.actionLocation - Audit log location, e.g. 'calendar'
+ * @param {string} options.description - What was requested, e.g. 'add the event "Dentist"'
+ */
+async function notifyApprovalRequested({ groupId, membership, approval, actionLocation, description }) {
+  await prisma.auditLog.create({
+    data: {
+      groupId: groupId,
+      action: 'request_approval',
+      performedBy: membership.groupMemberId,
+      performedByName: membership.displayName,
+      performedByEmail: membership.email || 'N/A',
+      actionLocation: actionLocation,
+      messageContent: `Requested approval to ${description}`,
+      logData: { approvalId: approval.approvalId, approvalType: approval.approvalType },
+    },
+  });
+
+  pushNotificationService.sendApprovalNotification(
+    groupId,
+    membership.groupMemberId,
+    approval.approvalType,
+    `${membership.displayName} wants to ${description}`,
+    approval.approvalId
+  ).catch(err => console.error('[Approvals] Failed to send approval notification:', err));
+}
+
+/**
+ * List the fields a change would alter, for showing approvers a diff
+ *
+ * @param {Object|null} before - Current values (null when creating)
+ * @param {Object} after - Proposed values; undefined fields are left alone
+ * @param {Object<string, string>} labels - Field name to display label
+ * @returns {Array<{field: string, label: string, from: *, to: *}>}
+ */
+function diffChanges(before, after, labels) {
+  return Object.keys(after)
+    .filter(field => after[field] !== undefined)
+    .map(field => ({
+      field,
+      label: labels[field] || field,
+      from: before ? (before[field] ?? null) : null,
+      to: after[field],
+    }))
+    .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+}
+
+module.exports = {
+  createApprovalRequest,
+  notifyApprovalRequested,
+  diffChanges,
+};
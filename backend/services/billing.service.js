@@ -17,7 +17,7 @@ const PRICING = {
 
 /**
  * Process all renewals that are due today
- * This should be called daily by a scheduled job (AWS EventBridge)
+ * Run daily by the 'billing-renewals' job (jobs/billing.js)
  *
  * @returns {Object} Summary of processed renewals
  */
@@ -4,7 +4,7 @@
  * Tests for email template rendering (HTML and plain text)
  */
 
-const { welcome, trial_reminder, log_export } = require('../templates');
+const { welcome, trial_reminder, log_export, approval_reminder } = require('../templates');
 
 describe('Email Templates', () => {
   describe('Welcome Template', () => {
@@ -238,6 +238,31 @@ describe('Email Templates', () => {
     });
   });
 
+  describe('Approval Reminder Template', () => {
+    const data = {
+      recipientName: 'Sam',
+      groupName: 'Smith Family',
+      description: 'alex@example.com requested to delete file "old-photo.jpg"',
+      deadline: 'Mon, Mar 2, 9:00 AM',
+      expiryNote: 'If enough admins haven\'t approved it by then, it will be rejected.',
+      appUrl: 'https://familyhelperapp.com',
+    };
+
+    test('should name the group and the request waiting for a vote', () => {
+      const result = approval_reminder(data);
+
+      expect(result.subject).toBe('Reminder: your vote is needed in Smith Family');
+      expect(result.text).toContain('delete file "old-photo.jpg"');
+      expect(result.html).toContain('delete file "old-photo.jpg"');
+    });
+
+    test('should include the deadline only when the request expires', () => {
+      expect(approval_reminder(data).text).toContain('Please vote by Mon, Mar 2, 9:00 AM');
+      expect(approval_reminder({ ...data, deadline: null }).text).not.toContain('Please vote by');
+      expect(approval_reminder({ ...data, deadline: null }).html).not.toContain('Please vote by');
+    });
+  });
+
   describe('Template Structure', () => {
     test('all templates should return object with subject, text, and html', () => {
       const welcomeResult = welcome({
@@ -1074,6 +1074,79 @@ Reply to: ${userEmail}
   return { subject, text, html };
 }
 
+/**
+ * Approval reminder email template
+ * Sent to admins who haven't voted on a pending approval
+ *
+ * @param {Object} data - Template data
+ * @param {string} data.recipientName - Admin's display name
+ * @param {string} data.groupName - Name of the group
+ * @param {string} data.description - What is waiting for approval
+ * @param {string} data.deadline - Formatted time the request runs out, or null if it never does
+ * @param {string} data.expiryNote - What happens when it runs out
+ * @param {string} data.appUrl - URL to open the app
+ * @returns {Object} Email content {subject, text, html}
+ */
+function approval_reminder(data) {
+  const { recipientName, groupName, description, deadline, expiryNote, appUrl } = data;
+
+  const subject = `Reminder: your vote is needed in ${groupName}`;
+
+  const text = `
+Hi ${recipientName},
+
+A request in ${groupName} is still waiting for your vote:
+
+${description}
+${deadline ? `
+Please vote by ${deadline}. ${expiryNote}
+` : ''}
+Open Approvals in Family Helper to approve or reject it: ${appUrl}
+
+Best regards,
+The Family Helper Team
+`.trim();
+
+  const html = `
+<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+  <div style="background: linear-gradient(135deg, #6200ee 0%, #9c4dcc 100%); padding: 30px; text-align: center;">
+    <h1 style="color: #ffffff; margin: 0; font-size: 24px;">Your Vote Is Needed</h1>
+    <p style="color: #e1bee7; margin: 10px 0 0 0; font-size: 16px;">${groupName}</p>
+  </div>
+
+  <div style="padding: 30px;">
+    <p style="font-size: 16px; color: #333;">Hi ${recipientName},</p>
+
+    <p style="font-size: 16px; color: #333;">A request is still waiting for your vote:</p>
+
+    <div style="background: #f5f5f5; border-radius: 8px; padding: 20px; margin: 25px 0; font-size: 16px; color: #333;">
+      ${description}
+    </div>
+${deadline ? `
+    <div style="background: #fff3e0; border-left: 4px solid #ff9800; padding: 15px; margin: 25px 0;">
+      <p style="margin: 0; color: #666; font-size: 14px;">
+        Please vote by <strong>${deadline}</strong>. ${expiryNote}
+      </p>
+    </div>
+` : ''}
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${appUrl}" style="display: inline-block; background: #6200ee; color: white; padding: 16px 40px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 18px;">
+        Open Approvals
+      </a>
+    </div>
+  </div>
+
+  <div style="background: #f5f5f5; padding: 20px; text-align: center; border-top: 1px solid #eee;">
+    <p style="color: #999; font-size: 12px; margin: 0;">
+      <strong>Family Helper App</strong>
+    </p>
+  </div>
+</div>
+`.trim();
+
+  return { subject, text, html };
+}
+
 module.exports = {
   welcome,
   trial_reminder,
@@ -1084,4 +1157,5 @@ module.exports = {
   secret_santa_match,
   billing_reminder,
   support_ticket,
+  approval_reminder,
 };
@@ -2,12 +2,23 @@
  * Encryption Service
  *
  * Provides AES-256-GCM encryption/decryption for sensitive data (messages).
- * Uses a single master key stored in environment variables.
+ * New data is encrypted with MESSAGE_ENCRYPTION_KEY. Keys listed in
+ * MESSAGE_ENCRYPTION_PREVIOUS_KEYS can still decrypt, so keys can be rotated
+ * without downtime while scripts/reencrypt-data.js re-encrypts stored data.
+ *
+ * Group data is encrypted with the group's own data key instead: pass the key
+ * ring from services/groupKeys.service.js. Decryption falls back to the master
+ * keys for data encrypted before the group had a key.
+ *
+ * Ciphertext formats:
+ * - v2:keyId:iv:authTag:ciphertext (current, keyId from utils/encryptionKeys)
+ * - iv:authTag:ciphertext (legacy, decrypted by trying each known key)
  *
  * @module services/encryption
  */
 
 const crypto = require('crypto');
+const { buildKeyring, parseKeyList } = require('../utils/encryptionKeys');
 
 // Encryption configuration
 const ALGORITHM = 'aes-256-gcm';
@@ -15,6 +26,13 @@ const IV_LENGTH = 16; // 128 bits
 const AUTH_TAG_LENGTH = 16; // 128 bits
 const KEY_LENGTH = 32; // 256 bits
 
+// Prefix of versioned ciphertexts
+const FORMAT_VERSION = 'v2';
+
+// Key ring cache, keyed by the environment values it was built from
+let cachedKeyring = null;
+let cachedKeyringSource = null;
+
 /**
  * Get encryption key from environment variable
  * @returns {Buffer} 32-byte encryption key
@@ -35,26 +53,79 @@ function getEncryptionKey() {
   return Buffer.from(key, 'hex');
 }
 
+/**
+ * Get the active key and the previous keys still accepted for decryption
+ * @returns {{activeKeyId: string, activeKey: Buffer, keys: Map<string, Buffer>}}
+ * @throws {Error} If a key is missing or invalid
+ */
+function getKeyring() {
+  const source = `${process.env.MESSAGE_ENCRYPTION_KEY}|${process.env.MESSAGE_ENCRYPTION_PREVIOUS_KEYS || ''}`;
+
+  if (cachedKeyringSource !== source) {
+    cachedKeyring = buildKeyring(
+      getEncryptionKey(),
+      parseKeyList(process.env.MESSAGE_ENCRYPTION_PREVIOUS_KEYS, 'MESSAGE_ENCRYPTION_PREVIOUS_KEYS')
+    );
+    cachedKeyringSource = source;
+  }
+
+  return cachedKeyring;
+}
+
+/**
+ * Decrypt one ciphertext with a key
+ * @param {Buffer} key
+ * @param {string} ivText - Base64 IV
+ * @param {string} authTagText - Base64 auth tag
+ * @param {string} ciphertext - Base64 ciphertext
+ * @returns {string}
+ */
+function decryptWithKey(key, ivText, authTagText, ciphertext) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(ivText, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTagText, 'base64'));
+
+  let plaintext = decipher.update(ciphertext, 'base64', 'utf8');
+  plaintext += decipher.final('utf8');
+
+  return plaintext;
+}
+
+/**
+ * Get the keys that may decrypt a ciphertext, group keys first
+ * @param {string|null} keyId - Key ID from the ciphertext, null for legacy ciphertexts
+ * @param {Object} [keyring] - Group key ring
+ * @returns {Buffer[]}
+ */
+function getDecryptionKeys(keyId, keyring) {
+  const keyrings = keyring ? [keyring, getKeyring()] : [getKeyring()];
+
+  if (keyId) {
+    return keyrings.map(ring => ring.keys.get(keyId)).filter(Boolean);
+  }
+  return keyrings.flatMap(ring => Array.from(ring.keys.values()));
+}
+
 /**
  * Encrypt a message using AES-256-GCM
  *
  * @param {string} plaintext - The message to encrypt
- * @returns {string} Base64-encoded encrypted message format: iv:authTag:ciphertext
+ * @param {Object} [keyring] - Group key ring (defaults to the master keys)
+ * @returns {string} Encrypted message format: v2:keyId:iv:authTag:ciphertext (base64 parts)
  * @throws {Error} If encryption fails
  */
-function encrypt(plaintext) {
+function encrypt(plaintext, keyring = null) {
   if (!plaintext || typeof plaintext !== 'string') {
     throw new Error('Plaintext must be a non-empty string');
   }
 
   try {
-    const key = getEncryptionKey();
+    const { activeKeyId, activeKey } = keyring || getKeyring();
 
     // Generate random IV (initialization vector)
     const iv = crypto.randomBytes(IV_LENGTH);
 
     // Create cipher
-    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const cipher = crypto.createCipheriv(ALGORITHM, activeKey, iv);
 
     // Encrypt the plaintext
     let ciphertext = cipher.update(plaintext, 'utf8', 'base64');
@@ -63,11 +134,11 @@ function encrypt(plaintext) {
     // Get authentication tag (ensures integrity)
     const authTag = cipher.getAuthTag();
 
-    // Return format: iv:authTag:ciphertext (all base64 encoded)
-    return `${iv.toString('base64')}:${authTag.toString('base64')}:${ciphertext}`;
+    // Return format: v2:keyId:iv:authTag:ciphertext
+    return `${FORMAT_VERSION}:${activeKeyId}:${iv.toString('base64')}:${authTag.toString('base64')}:${ciphertext}`;
   } catch (error) {
     // Re-throw specific errors (key validation)
-    if (error.message.includes('MESSAGE_ENCRYPTION_KEY')) {
+    if (error.message.includes('MESSAGE_ENCRYPTION_')) {
       throw error;
     }
     console.error('Encryption error:', error);
@@ -78,37 +149,43 @@ function encrypt(plaintext) {
 /**
  * Decrypt a message using AES-256-GCM
  *
- * @param {string} encryptedMessage - Base64-encoded encrypted message (iv:authTag:ciphertext)
+ * @param {string} encryptedMessage - Encrypted message (v2:keyId:iv:authTag:ciphertext or legacy iv:authTag:ciphertext)
+ * @param {Object} [keyring] - Group key ring (master keys are also tried)
  * @returns {string} Decrypted plaintext message
  * @throws {Error} If decryption fails or message is tampered with
  */
-function decrypt(encryptedMessage) {
+function decrypt(encryptedMessage, keyring = null) {
   if (!encryptedMessage || typeof encryptedMessage !== 'string') {
     throw new Error('Encrypted message must be a non-empty string');
   }
 
   try {
-    const key = getEncryptionKey();
-
-    // Parse the encrypted message format: iv:authTag:ciphertext
     const parts = encryptedMessage.split(':');
-    if (parts.length !== 3) {
+    let keyId = null;
+
+    // Versioned format names its key; legacy iv:authTag:ciphertext tries each key
+    if (parts.length === 5 && parts[0] === FORMAT_VERSION) {
+      keyId = parts[1];
+      parts.splice(0, 2);
+    } else if (parts.length !== 3) {
       throw new Error('Invalid encrypted message format');
     }
 
-    const iv = Buffer.from(parts[0], 'base64');
-    const authTag = Buffer.from(parts[1], 'base64');
-    const ciphertext = parts[2];
-
-    // Create decipher
-    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
-    decipher.setAuthTag(authTag);
-
-    // Decrypt the ciphertext
-    let plaintext = decipher.update(ciphertext, 'base64', 'utf8');
-    plaintext += decipher.final('utf8');
+    const keys = getDecryptionKeys(keyId, keyring);
+    if (keys.length === 0) {
+      throw new Error(`Unknown encryption key ID: ${keyId}`);
+    }
 
-    return plaintext;
+    // GCM rejects the wrong keys
+    let lastError = null;
+    for (const key of keys) {
+      try {
+        return decryptWithKey(key, parts[0], parts[1], parts[2]);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
   } catch (error) {
     console.error('Decryption error:', error);
     throw new Error('Failed to decrypt message - data may be corrupted or tampered with');
@@ -126,11 +203,63 @@ function isEncrypted(text) {
     return false;
   }
 
-  // Check if it matches the format: base64:base64:base64
   const parts = text.split(':');
+
+  // Versioned format: v2:keyId:base64:base64:base64
+  if (parts.length === 5 && parts[0] === FORMAT_VERSION) {
+    return /^[0-9a-f]+$/.test(parts[1]) && parts.slice(2).every(part => /^[A-Za-z0-9+/=]+$/.test(part));
+  }
+
+  // Legacy format: base64:base64:base64
   return parts.length === 3 && parts.every(part => /^[A-Za-z0-9+/=]+$/.test(part));
 }
 
+/**
+ * Get the ID of the key a message was encrypted with
+ *
+ * @param {string} encryptedMessage
+ * @returns {string|null} Key ID, or null for legacy (or unencrypted) text
+ */
+function getKeyId(encryptedMessage) {
+  if (!isEncrypted(encryptedMessage)) {
+    return null;
+  }
+  const parts = encryptedMessage.split(':');
+  return parts.length === 5 ? parts[1] : null;
+}
+
+/**
+ * Get the ID of the key new messages are encrypted with
+ * @returns {string}
+ */
+function getActiveKeyId() {
+  return getKeyring().activeKeyId;
+}
+
+/**
+ * Check if an encrypted message should be re-encrypted with the active key
+ *
+ * @param {string} encryptedMessage
+ * @param {Object} [keyring] - Group key ring (defaults to the master keys)
+ * @returns {boolean} True for legacy ciphertexts and those using another key
+ */
+function needsReencryption(encryptedMessage, keyring = null) {
+  const activeKeyId = keyring ? keyring.activeKeyId : getActiveKeyId();
+  return isEncrypted(encryptedMessage) && getKeyId(encryptedMessage) !== activeKeyId;
+}
+
+/**
+ * Re-encrypt a message with the active key
+ *
+ * @param {string} encryptedMessage
+ * @param {Object} [keyring] - Group key ring (defaults to the master keys)
+ * @returns {string}
+ * @throws {Error} If the message cannot be decrypted with any known key
+ */
+function reencrypt(encryptedMessage, keyring = null) {
+  return encrypt(decrypt(encryptedMessage, keyring), keyring);
+}
+
 /**
  * Generate a new random encryption key (for initial setup)
  * Run this once and store the output in MESSAGE_ENCRYPTION_KEY
@@ -142,8 +271,13 @@ function generateKey() {
 }
 
 module.exports = {
+  FORMAT_VERSION,
   encrypt,
   decrypt,
   isEncrypted,
+  getKeyId,
+  getActiveKeyId,
+  needsReencryption,
+  reencrypt,
   generateKey,
 };
@@ -2,12 +2,18 @@
  * File Encryption Service
  *
  * Provides AES-256-GCM encryption/decryption for binary files (recordings).
- * Uses a single master key stored in environment variables.
+ * New files are encrypted with FILE_ENCRYPTION_KEY (or MESSAGE_ENCRYPTION_KEY).
+ * Keys listed in FILE_ENCRYPTION_PREVIOUS_KEYS can still decrypt, so keys can
+ * be rotated while scripts/reencrypt-data.js re-encrypts stored recordings.
+ *
+ * Group recordings are encrypted with the group's own data key instead: pass
+ * the key ring from services/groupKeys.service.js.
  *
  * @module services/fileEncryption
  */
 
 const crypto = require('crypto');
+const { KEY_ID_LENGTH, buildKeyring, parseKeyList } = require('../utils/encryptionKeys');
 
 // Encryption configuration
 const ALGORITHM = 'aes-256-gcm';
@@ -16,7 +22,13 @@ const AUTH_TAG_LENGTH = 16; // 128 bits
 const KEY_LENGTH = 32; // 256 bits
 
 // Magic bytes to identify encrypted files
-const ENCRYPTED_HEADER = Buffer.from('FHENC01'); // Family Helper Encrypted v01
+const ENCRYPTED_HEADER = Buffer.from('FHENC02'); // Family Helper Encrypted v02 (followed by the key ID)
+const LEGACY_ENCRYPTED_HEADER = Buffer.from('FHENC01'); // Family Helper Encrypted v01 (no key ID)
+const HEADER_LENGTH = ENCRYPTED_HEADER.length;
+
+// Key ring cache, keyed by the environment values it was built from
+let cachedKeyring = null;
+let cachedKeyringSource = null;
 
 /**
  * Get encryption key from environment variable
@@ -39,28 +51,91 @@ function getEncryptionKey() {
   return Buffer.from(key, 'hex');
 }
 
+/**
+ * Get the active key and the previous keys still accepted for decryption
+ *
+ * Previous keys come from FILE_ENCRYPTION_PREVIOUS_KEYS, or from
+ * MESSAGE_ENCRYPTION_PREVIOUS_KEYS when files use the message key.
+ *
+ * @returns {{activeKeyId: string, activeKey: Buffer, keys: Map<string, Buffer>}}
+ * @throws {Error} If a key is missing or invalid
+ */
+function getKeyring() {
+  const previousName = process.env.FILE_ENCRYPTION_KEY
+    ? 'FILE_ENCRYPTION_PREVIOUS_KEYS'
+    : 'MESSAGE_ENCRYPTION_PREVIOUS_KEYS';
+  const source = [
+    process.env.FILE_ENCRYPTION_KEY,
+    process.env.MESSAGE_ENCRYPTION_KEY,
+    process.env[previousName] || '',
+  ].join('|');
+
+  if (cachedKeyringSource !== source) {
+    cachedKeyring = buildKeyring(getEncryptionKey(), parseKeyList(process.env[previousName], previousName));
+    cachedKeyringSource = source;
+  }
+
+  return cachedKeyring;
+}
+
+/**
+ * Decrypt file parts with a key
+ * @param {Buffer} key
+ * @param {Buffer} body - IV + AUTH_TAG + CIPHERTEXT
+ * @returns {Buffer}
+ */
+function decryptWithKey(key, body) {
+  const iv = body.subarray(0, IV_LENGTH);
+  const authTag = body.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH);
+  const ciphertext = body.subarray(IV_LENGTH + AUTH_TAG_LENGTH);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]);
+}
+
+/**
+ * Get the keys that may decrypt a file, group keys first
+ * @param {string|null} keyId - Key ID from the header, null for legacy files
+ * @param {Object} [keyring] - Group key ring
+ * @returns {Buffer[]}
+ */
+function getDecryptionKeys(keyId, keyring) {
+  const keyrings = keyring ? [keyring, getKeyring()] : [getKeyring()];
+
+  if (keyId) {
+    return keyrings.map(ring => ring.keys.get(keyId)).filter(Boolean);
+  }
+  return keyrings.flatMap(ring => Array.from(ring.keys.values()));
+}
+
 /**
  * Encrypt a file buffer using AES-256-GCM
  *
- * Format: HEADER (7 bytes) + IV (16 bytes) + AUTH_TAG (16 bytes) + CIPHERTEXT
+ * Format: HEADER (7 bytes) + KEY_ID (8 bytes) + IV (16 bytes) + AUTH_TAG (16 bytes) + CIPHERTEXT
  *
  * @param {Buffer} fileBuffer - The file data to encrypt
- * @returns {Buffer} Encrypted file buffer with header, IV, auth tag, and ciphertext
+ * @param {Object} [keyring] - Group key ring (defaults to the master keys)
+ * @returns {Buffer} Encrypted file buffer with header, key ID, IV, auth tag, and ciphertext
  * @throws {Error} If encryption fails
  */
-function encryptFile(fileBuffer) {
+function encryptFile(fileBuffer, keyring = null) {
   if (!fileBuffer || !Buffer.isBuffer(fileBuffer)) {
     throw new Error('File buffer must be a non-empty Buffer');
   }
 
   try {
-    const key = getEncryptionKey();
+    const { activeKeyId, activeKey } = keyring || getKeyring();
 
     // Generate random IV (initialization vector)
     const iv = crypto.randomBytes(IV_LENGTH);
 
     // Create cipher
-    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const cipher = crypto.createCipheriv(ALGORITHM, activeKey, iv);
 
     // Encrypt the file
     const ciphertext = Buffer.concat([
@@ -71,11 +146,11 @@ function encryptFile(fileBuffer) {
     // Get authentication tag (ensures integrity)
     const authTag = cipher.getAuthTag();
 
-    // Return format: HEADER + IV + AUTH_TAG + CIPHERTEXT
-    return Buffer.concat([ENCRYPTED_HEADER, iv, authTag, ciphertext]);
+    // Return format: HEADER + KEY_ID + IV + AUTH_TAG + CIPHERTEXT
+    return Buffer.concat([ENCRYPTED_HEADER, Buffer.from(activeKeyId), iv, authTag, ciphertext]);
   } catch (error) {
     // Re-throw specific errors (key validation)
-    if (error.message.includes('ENCRYPTION_KEY')) {
+    if (error.message.includes('ENCRYPTION_')) {
       throw error;
     }
     console.error('[FileEncryption] Encryption error:', error);
@@ -86,11 +161,12 @@ function encryptFile(fileBuffer) {
 /**
  * Decrypt a file buffer using AES-256-GCM
  *
- * @param {Buffer} encryptedBuffer - Encrypted file buffer (HEADER + IV + AUTH_TAG + CIPHERTEXT)
+ * @param {Buffer} encryptedBuffer - Encrypted file buffer (HEADER + [KEY_ID] + IV + AUTH_TAG + CIPHERTEXT)
+ * @param {Object} [keyring] - Group key ring (master keys are also tried)
  * @returns {Buffer} Decrypted file buffer
  * @throws {Error} If decryption fails or file is tampered with
  */
-function decryptFile(encryptedBuffer) {
+function decryptFile(encryptedBuffer, keyring = null) {
   if (!encryptedBuffer || !Buffer.isBuffer(encryptedBuffer)) {
     throw new Error('Encrypted buffer must be a non-empty Buffer');
   }
@@ -103,25 +179,25 @@ function decryptFile(encryptedBuffer) {
   }
 
   try {
-    const key = getEncryptionKey();
-
-    // Parse the encrypted buffer
-    const headerLength = ENCRYPTED_HEADER.length;
-    const iv = encryptedBuffer.slice(headerLength, headerLength + IV_LENGTH);
-    const authTag = encryptedBuffer.slice(headerLength + IV_LENGTH, headerLength + IV_LENGTH + AUTH_TAG_LENGTH);
-    const ciphertext = encryptedBuffer.slice(headerLength + IV_LENGTH + AUTH_TAG_LENGTH);
-
-    // Create decipher
-    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
-    decipher.setAuthTag(authTag);
-
-    // Decrypt the ciphertext
-    const plaintext = Buffer.concat([
-      decipher.update(ciphertext),
-      decipher.final(),
-    ]);
+    // Versioned files name their key; legacy files try each key
+    const keyId = getKeyId(encryptedBuffer);
+    const body = encryptedBuffer.subarray(keyId ? HEADER_LENGTH + KEY_ID_LENGTH : HEADER_LENGTH);
 
-    return plaintext;
+    const keys = getDecryptionKeys(keyId, keyring);
+    if (keys.length === 0) {
+      throw new Error(`Unknown encryption key ID: ${keyId}`);
+    }
+
+    // GCM rejects the wrong keys
+    let lastError = null;
+    for (const key of keys) {
+      try {
+        return decryptWithKey(key, body);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
   } catch (error) {
     console.error('[FileEncryption] Decryption error:', error);
     throw new Error('Failed to decrypt file - data may be corrupted or tampered with');
@@ -132,14 +208,48 @@ function decryptFile(encryptedBuffer) {
  * Check if a buffer is an encrypted file (has our header)
  *
  * @param {Buffer} buffer - Buffer to check
- * @returns {boolean} True if buffer starts with our encrypted file header
+ * @returns {boolean} True if buffer starts with one of our encrypted file headers
  */
 function isEncrypted(buffer) {
-  if (!buffer || !Buffer.isBuffer(buffer) || buffer.length < ENCRYPTED_HEADER.length) {
+  if (!buffer || !Buffer.isBuffer(buffer) || buffer.length < HEADER_LENGTH) {
     return false;
   }
 
-  return buffer.slice(0, ENCRYPTED_HEADER.length).equals(ENCRYPTED_HEADER);
+  const header = buffer.subarray(0, HEADER_LENGTH);
+  return header.equals(ENCRYPTED_HEADER) || header.equals(LEGACY_ENCRYPTED_HEADER);
+}
+
+/**
+ * Get the ID of the key a file was encrypted with
+ *
+ * @param {Buffer} buffer - Encrypted file buffer (only the first 15 bytes are read)
+ * @returns {string|null} Key ID, or null for legacy (or unencrypted) files
+ */
+function getKeyId(buffer) {
+  if (!isEncrypted(buffer) || !buffer.subarray(0, HEADER_LENGTH).equals(ENCRYPTED_HEADER)) {
+    return null;
+  }
+  return buffer.subarray(HEADER_LENGTH, HEADER_LENGTH + KEY_ID_LENGTH).toString();
+}
+
+/**
+ * Get the ID of the key new files are encrypted with
+ * @returns {string}
+ */
+function getActiveKeyId() {
+  return getKeyring().activeKeyId;
+}
+
+/**
+ * Check if an encrypted file should be re-encrypted with the active key
+ *
+ * @param {Buffer} buffer
+ * @param {Object} [keyring] - Group key ring (defaults to the master keys)
+ * @returns {boolean} True for legacy files and those using another key
+ */
+function needsReencryption(buffer, keyring = null) {
+  const activeKeyId = keyring ? keyring.activeKeyId : getActiveKeyId();
+  return isEncrypted(buffer) && getKeyId(buffer) !== activeKeyId;
 }
 
 /**
@@ -159,5 +269,8 @@ module.exports = {
   encryptFile,
   decryptFile,
   isEncrypted,
+  getKeyId,
+  getActiveKeyId,
+  needsReencryption,
   isAvailable,
 };
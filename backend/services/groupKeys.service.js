@@ -0,0 +1,165 @@
+/**
+ * Group Keys Service
+ *
+ * Envelope encryption: every group has its own random data encryption key,
+ * stored wrapped by the KMS (services/kms). Messages, wiki documents and
+ * recordings of the group are encrypted with that key, so a leaked key only
+ * exposes one family, and destroying it crypto-shreds the group's data.
+ *
+ * Keys are returned as key rings (see utils/encryptionKeys) that can be passed
+ * to the encryption services. Data encrypted before per-group keys existed is
+ * still decrypted with the master keys, until scripts/reencrypt-data.js (or
+ * deleting the group) moves it onto the group's key.
+ *
+ * @module services/groupKeys
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const { buildKeyring } = require('../utils/encryptionKeys');
+const { getKmsService, getActiveKmsService } = require('./kms');
+const reencryptionService = require('./reencryption.service');
+
+// Unwrapped keys are cached so most requests skip the KMS.
+// Kept short so a key destroyed on another instance stops working soon after.
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const cache = new Map();
+
+/**
+ * Unwrap a stored data key into a key ring
+ * @param {Object} row - GroupDataKey
+ * @returns {Promise<{activeKeyId: string, activeKey: Buffer, keys: Map<string, Buffer>}>}
+ */
+async function unwrapRow(row) {
+  const dataKey = await getKmsService(row.kmsProvider).unwrapKey(row.wrappedKey);
+  return buildKeyring(dataKey);
+}
+
+/**
+ * Get the key ring of a group, creating its data key on first use
+ *
+ * @param {string} groupId
+ * @returns {Promise<{activeKeyId: string, activeKey: Buffer, keys: Map<string, Buffer>}>}
+ * @throws {Error} If the group does not exist or was deleted (and its key destroyed)
+ */
+async function getGroupKeyring(groupId) {
+  const cached = cache.get(groupId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.keyring;
+  }
+
+  let row = await prisma.groupDataKey.findUnique({
+    where: { groupId },
+  });
+
+  if (!row) {
+    // A deleted group's key was destroyed on purpose - never replace it
+    const group = await prisma.group.findUnique({
+      where: { groupId },
+      select: { isHidden: true },
+    });
+    if (!group || group.isHidden) {
+      throw new Error('Group not found or deleted - no data key available');
+    }
+
+    const kms = getActiveKmsService();
+    const dataKey = crypto.randomBytes(32);
+    const keyring = buildKeyring(dataKey);
+
+    // Upsert so concurrent first uses agree on one key (the stored one wins)
+    row = await prisma.groupDataKey.upsert({
+      where: { groupId },
+      create: {
+        groupId,
+        keyId: keyring.activeKeyId,
+        wrappedKey: await kms.wrapKey(dataKey),
+        kmsProvider: kms.name,
+      },
+      update: {},
+    });
+  }
+
+  const keyring = await unwrapRow(row);
+  cache.set(groupId, { keyring, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  return keyring;
+}
+
+/**
+ * Destroy a group's data key (crypto-shredding)
+ *
+ * Everything encrypted with it becomes permanently unreadable. Data still
+ * encrypted with the master keys would survive that, so it is moved onto the
+ * group's key first (or onto a throwaway key if the group never had one).
+ * After scripts/reencrypt-data.js has run there is nothing left to move.
+ *
+ * The group's search index goes with it: its tokens are keyed by a master
+ * key, not the data key, so they would otherwise still give away the words of
+ * the shredded content to anyone holding that key.
+ *
+ * @param {string} groupId
+ * @returns {Promise<{destroyed: boolean, remaining: number}>} Whether a key was
+ *   destroyed, and how many items could not be moved off the master keys (so
+ *   are still readable). The group is only fully shredded when remaining is 0.
+ */
+async function destroyGroupKeys(groupId) {
+  cache.delete(groupId);
+
+  const row = await prisma.groupDataKey.findUnique({
+    where: { groupId },
+  });
+  const keyring = row ? await unwrapRow(row) : buildKeyring(crypto.randomBytes(32));
+  const { failed } = await reencryptionService.reencryptGroupData(groupId, keyring);
+
+  const [result] = await prisma.$transaction([
+    prisma.groupDataKey.deleteMany({
+      where: { groupId },
+    }),
+    prisma.searchToken.deleteMany({
+      where: { groupId },
+    }),
+  ]);
+
+  return { destroyed: result.count > 0, remaining: failed };
+}
+
+/**
+ * Check if a stored data key should be wrapped again (master key rotated,
+ * or a different KMS is now active)
+ *
+ * @param {Object} row - GroupDataKey
+ * @returns {boolean}
+ */
+function needsRewrap(row) {
+  const kms = getActiveKmsService();
+  return row.kmsProvider !== kms.name || kms.needsRewrap(row.wrappedKey);
+}
+
+/**
+ * Wrap a stored data key again with the active KMS and master key
+ * The data key itself (and so the group's data) is unchanged.
+ *
+ * @param {Object} row - GroupDataKey
+ * @returns {Promise<boolean>} False if the key changed in the meantime
+ */
+async function rewrapGroupKey(row) {
+  const kms = getActiveKmsService();
+  const dataKey = await getKmsService(row.kmsProvider).unwrapKey(row.wrappedKey);
+
+  const result = await prisma.groupDataKey.updateMany({
+    where: { groupId: row.groupId, wrappedKey: row.wrappedKey },
+    data: {
+      wrappedKey: await kms.wrapKey(dataKey),
+      kmsProvider: kms.name,
+    },
+  });
+
+  return result.count === 1;
+}
+
+module.exports = {
+  getGroupKeyring,
+  destroyGroupKeys,
+  needsRewrap,
+  rewrapGroupKey,
+};
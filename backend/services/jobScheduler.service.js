@@ -0,0 +1,528 @@
+/**
+ * Job Scheduler Service
+ *
+ * Runs the backend's periodic work (jobs/*.js, billing renewals and
+ * reminders) once per schedule, however many backend instances are running.
+ *
+ * Each job has a row in scheduled_jobs with its next run time. Every instance
+ * polls for due jobs and claims one by locking its row - a conditional update
+ * that only one instance can win - so a run happens on one instance only. The
+ * lock is renewed while the job runs; if the instance dies the lock expires
+ * and another instance picks the job up, counting the lost run as a failed
+ * attempt.
+ *
+ * Failed runs are retried with exponential backoff, up to the job's
+ * maxAttempts (see utils/jobSchedule.js). Every run is recorded in job_runs
+ * for the admin view (GET /jobs), and kept for JOB_HISTORY_DAYS.
+ *
+ * Jobs missed while no instance was running run as soon as one starts.
+ */
+
+const os = require('os');
+const { prisma } = require('../config/database');
+const { getNextRunTime, getNextRunAfterFailure, parseCronExpression } = require('../utils/jobSchedule');
+
+// Identifies this process in job locks and run history
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+
+// How often each instance looks for due jobs
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 15 * 1000;
+
+// A job lock expires this long after its last renewal
+const LOCK_TTL_MS = parseInt(process.env.JOB_LOCK_TTL_MS, 10) || 2 * 60 * 1000;
+const LOCK_RENEW_INTERVAL_MS = Math.floor(LOCK_TTL_MS / 3);
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const JOB_HISTORY_DAYS = 30;
+
+// Job definitions registered by this process, by name
+const jobs = new Map();
+
+// Whether the scheduled_jobs rows match the registered jobs
+let definitionsSynced = false;
+
+let pollIntervalHandle = null;
+
+/**
+ * Register a job
+ * Called from each job module's init function (jobs/index.js), before start().
+ * @param {Object} definition
+ * @param {string} definition.name - Unique job name, e.g. 'calendar-reminders'
+ * @param {string} definition.schedule - Cron expression
+ * @param {string} [definition.description]
+ * @param {function(Date): Promise<Object|void>} definition.handler - Does the work; throws to fail the run. What it returns is stored as the run result.
+ * @param {number} [definition.maxAttempts] - Attempts before waiting for the next scheduled run
+ */
+function defineJob({ name, schedule, description = null, handler, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  parseCronExpression(schedule);
+  jobs.set(name, { name, schedule, description, handler, maxAttempts });
+  definitionsSynced = false;
+}
+
+/**
+ * Get a registered job definition
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function getJobDefinition(name) {
+  return jobs.get(name) || null;
+}
+
+/**
+ * Create or update the rows of the registered jobs
+ * A changed schedule takes effect from now; the enabled flag and run state
+ * are left alone.
+ */
+async function syncJobDefinitions() {
+  const now = new Date();
+
+  for (const definition of jobs.values()) {
+    const existing = await prisma.scheduledJob.findUnique({
+      where: { name: definition.name },
+    });
+
+    if (!existing) {
+      await prisma.scheduledJob.upsert({
+        where: { name: definition.name },
+        create: {
+          name: definition.name,
+          description: definition.description,
+          schedule: definition.schedule,
+          nextRunAt: getNextRunTime(definition.schedule, now),
+        },
+        update: {},
+      });
+      continue;
+    }
+
+    if (existing.schedule !== definition.schedule || existing.description !== definition.description) {
+      await prisma.scheduledJob.update({
+        where: { name: definition.name },
+        data: {
+          description: definition.description,
+          schedule: definition.schedule,
+          ...(existing.schedule !== definition.schedule && {
+            nextRunAt: getNextRunTime(definition.schedule, now),
+          }),
+        },
+      });
+    }
+  }
+
+  definitionsSynced = true;
+}
+
+/**
+ * Where-clause for jobs that are due and not locked
+ * Disabled jobs only run when a run was requested from the admin view.
+ * @param {Date} now
+ * @returns {Object}
+ */
+function dueJobsWhere(now) {
+  return {
+    nextRunAt: { lte: now },
+    AND: [
+      { OR: [{ enabled: true }, { runRequestedAt: { not: null } }] },
+      { OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }] },
+    ],
+  };
+}
+
+/**
+ * Lock a job's row for this instance
+ * @param {string} name
+ * @param {Date} now
+ * @param {boolean} force - Claim even if the job isn't due, as a first attempt (runJobNow)
+ * @returns {Promise<Object|null>} The claimed job, or null if it isn't due or another instance has it
+ */
+async function claimJob(name, now, force) {
+  const claimed = await prisma.scheduledJob.updateMany({
+    where: force
+      ? { name, OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }] }
+      : { name, ...dueJobsWhere(now) },
+    data: {
+      lockedBy: INSTANCE_ID,
+      lockedUntil: new Date(now.getTime() + LOCK_TTL_MS),
+      attempts: force ? 1 : { increment: 1 },
+    },
+  });
+
+  if (claimed.count === 0) {
+    return null;
+  }
+
+  return prisma.scheduledJob.findUnique({ where: { name } });
+}
+
+/**
+ * Unlock a job and set its next run
+ * Only if this instance still holds the lock.
+ * @param {string} name
+ * @param {Object} data
+ */
+async function releaseJob(name, data) {
+  await prisma.scheduledJob.updateMany({
+    where: { name, lockedBy: INSTANCE_ID },
+    data: { ...data, lockedBy: null, lockedUntil: null },
+  });
+}
+
+/**
+ * Fail runs left 'running' by an instance that lost the lock
+ * @param {string} name
+ * @param {Date} now
+ * @returns {Promise<number>} Runs failed
+ */
+async function failInterruptedRuns(name, now) {
+  const interrupted = await prisma.jobRun.updateMany({
+    where: { jobName: name, status: 'running' },
+    data: { status: 'failed', finishedAt: now, error: 'Run was interrupted' },
+  });
+  return interrupted.count;
+}
+
+/**
+ * Run a claimed job and record the run
+ * @param {Object} job - ScheduledJob row, locked by this instance
+ * @param {Object} definition - From defineJob
+ * @param {string} [trigger] - Overrides the trigger recorded for the run
+ * @returns {Promise<Object|null>} The finished JobRun, or null if interrupted runs used up the attempts
+ */
+async function executeJob(job, definition, trigger) {
+  const startedAt = new Date();
+  const attempt = job.attempts;
+
+  if (await failInterruptedRuns(job.name, startedAt) > 0) {
+    console.warn(`[JobScheduler] ${job.name}: previous run was interrupted`);
+  }
+
+  // Crashed runs used up the attempts; wait for the next scheduled run
+  if (attempt > definition.maxAttempts) {
+    console.error(`[JobScheduler] ${job.name}: giving up after ${definition.maxAttempts} attempt(s)`);
+    await releaseJob(job.name, {
+      attempts: 0,
+      runRequestedAt: null,
+      nextRunAt: getNextRunTime(definition.schedule, startedAt),
+      lastStatus: 'failed',
+      lastError: 'Run was interrupted',
+    });
+    return null;
+  }
+
+  const run = await prisma.jobRun.create({
+    data: {
+      jobName: job.name,
+      trigger: trigger || (job.runRequestedAt ? 'manual' : attempt > 1 ? 'retry' : 'schedule'),
+      attempt,
+      status: 'running',
+      instanceId: INSTANCE_ID,
+      startedAt,
+    },
+  });
+
+  const renewHandle = setInterval(() => {
+    prisma.scheduledJob.updateMany({
+      where: { name: job.name, lockedBy: INSTANCE_ID },
+      data: { lockedUntil: new Date(Date.now() + LOCK_TTL_MS) },
+    }).catch(error => {
+      console.error(`[JobScheduler] ${job.name}: failed to renew lock:`, error.message);
+    });
+  }, LOCK_RENEW_INTERVAL_MS);
+
+  let result = null;
+  let error = null;
+  try {
+    result = await definition.handler(startedAt);
+  } catch (err) {
+    error = err;
+  } finally {
+    clearInterval(renewHandle);
+  }
+
+  const finishedAt = new Date();
+  const durationMs = finishedAt.getTime() - startedAt.getTime();
+
+  if (!error) {
+    await releaseJob(job.name, {
+      attempts: 0,
+      runRequestedAt: null,
+      nextRunAt: getNextRunTime(definition.schedule, finishedAt),
+      lastRunAt: startedAt,
+      lastStatus: 'succeeded',
+      lastError: null,
+    });
+    return prisma.jobRun.update({
+      where: { runId: run.runId },
+      data: {
+        status: 'succeeded',
+        finishedAt,
+        durationMs,
+        ...(result != null && { result }),
+      },
+    });
+  }
+
+  console.error(`[JobScheduler] ${job.name} failed (attempt ${attempt}/${definition.maxAttempts}):`, error);
+
+  const { nextRunAt, exhausted } = getNextRunAfterFailure({
+    schedule: definition.schedule,
+    attempt,
+    maxAttempts: definition.maxAttempts,
+    now: finishedAt,
+  });
+  await releaseJob(job.name, {
+    attempts: exhausted ? 0 : attempt,
+    runRequestedAt: null,
+    nextRunAt,
+    lastRunAt: startedAt,
+    lastStatus: 'failed',
+    lastError: error.message,
+  });
+  return prisma.jobRun.update({
+    where: { runId: run.runId },
+    data: {
+      status: 'failed',
+      finishedAt,
+      durationMs,
+      error: error.message,
+    },
+  });
+}
+
+/**
+ * Names of the registered jobs that are due and not running, oldest first
+ * @param {Date} [now]
+ * @returns {Promise<string[]>}
+ */
+async function getDueJobNames(now = new Date()) {
+  // Instances that don't poll (Lambda) never called start()
+  if (!definitionsSynced) {
+    await syncJobDefinitions();
+  }
+
+  const due = await prisma.scheduledJob.findMany({
+    where: {
+      name: { in: [...jobs.keys()] },
+      ...dueJobsWhere(now),
+    },
+    orderBy: { nextRunAt: 'asc' },
+    select: { name: true },
+  });
+
+  return due.map(job => job.name);
+}
+
+/**
+ * Run every due job this instance can claim
+ * Called on each poll by long-lived instances. Lambda runs each due job in
+ * its own invocation instead (services/jobWorker.service.js).
+ * @param {Date} [now]
+ * @returns {Promise<Array<Object>>} The finished runs
+ */
+async function runDueJobs(now = new Date()) {
+  const runs = [];
+  for (const name of await getDueJobNames(now)) {
+    const job = await claimJob(name, now, false);
+    if (job) {
+      runs.push(executeJob(job, jobs.get(name)));
+    }
+  }
+
+  const finished = await Promise.all(runs);
+  return finished.filter(Boolean);
+}
+
+/**
+ * Run one job if it is still due and this instance can claim it
+ * @param {string} name
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} The finished JobRun, or null if it wasn't due or another instance has it
+ * @throws {Error} code JOB_NOT_FOUND if the job isn't registered
+ */
+async function runDueJob(name, now = new Date()) {
+  const definition = jobs.get(name);
+  if (!definition) {
+    const error = new Error(`Unknown job: ${name}`);
+    error.code = 'JOB_NOT_FOUND';
+    throw error;
+  }
+
+  const job = await claimJob(name, now, false);
+  return job ? executeJob(job, definition) : null;
+}
+
+/**
+ * Run a job straight away
+ * Used by the endpoints that used to be called by an external scheduler.
+ * @param {string} name
+ * @returns {Promise<Object>} The finished JobRun
+ * @throws {Error} code JOB_NOT_FOUND if the job isn't registered, JOB_RUNNING if it is already running
+ */
+async function runJobNow(name) {
+  const definition = jobs.get(name);
+  if (!definition) {
+    const error = new Error(`Unknown job: ${name}`);
+    error.code = 'JOB_NOT_FOUND';
+    throw error;
+  }
+
+  await syncJobDefinitions();
+
+  const job = await claimJob(name, new Date(), true);
+  if (!job) {
+    const error = new Error(`Job ${name} is already running`);
+    error.code = 'JOB_RUNNING';
+    throw error;
+  }
+
+  return executeJob(job, definition, 'manual');
+}
+
+/**
+ * Ask for a job to run on the next poll, on whichever instance claims it
+ * @param {string} name
+ * @returns {Promise<boolean>} false if there is no such job
+ */
+async function requestRun(name) {
+  const now = new Date();
+  const updated = await prisma.scheduledJob.updateMany({
+    where: { name },
+    data: { nextRunAt: now, runRequestedAt: now },
+  });
+  return updated.count > 0;
+}
+
+/**
+ * Enable or disable a job
+ * A disabled job is not run on schedule; re-enabling it runs it at its next
+ * scheduled time.
+ * @param {string} name
+ * @param {boolean} enabled
+ * @returns {Promise<boolean>} false if there is no such job
+ */
+async function setJobEnabled(name, enabled) {
+  const job = await prisma.scheduledJob.findUnique({ where: { name } });
+  if (!job) {
+    return false;
+  }
+
+  await prisma.scheduledJob.update({
+    where: { name },
+    data: {
+      enabled,
+      ...(enabled && !job.enabled && {
+        attempts: 0,
+        nextRunAt: getNextRunTime(job.schedule, new Date()),
+      }),
+    },
+  });
+  return true;
+}
+
+/**
+ * List all jobs with their state
+ * @returns {Promise<Array<Object>>}
+ */
+async function listJobs() {
+  const now = new Date();
+  const rows = await prisma.scheduledJob.findMany({
+    orderBy: { name: 'asc' },
+  });
+
+  return rows.map(job => ({
+    ...job,
+    maxAttempts: jobs.get(job.name)?.maxAttempts ?? DEFAULT_MAX_ATTEMPTS,
+    running: !!job.lockedUntil && job.lockedUntil > now,
+  }));
+}
+
+/**
+ * Recent runs of a job, newest first
+ * @param {string} name
+ * @param {Object} options
+ * @param {number} options.page - 1-indexed
+ * @param {number} options.limit
+ * @returns {Promise<{runs: Array<Object>, total: number}>}
+ */
+async function getJobRuns(name, { page, limit }) {
+  const [runs, total] = await Promise.all([
+    prisma.jobRun.findMany({
+      where: { jobName: name },
+      orderBy: { startedAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.jobRun.count({ where: { jobName: name } }),
+  ]);
+  return { runs, total };
+}
+
+/**
+ * Delete run history older than JOB_HISTORY_DAYS
+ * @param {Date} now
+ * @returns {Promise<{deleted: number}>}
+ */
+async function pruneJobHistory(now) {
+  const deleted = await prisma.jobRun.deleteMany({
+    where: {
+      status: { not: 'running' },
+      startedAt: { lt: new Date(now.getTime() - JOB_HISTORY_DAYS * 24 * 60 * 60 * 1000) },
+    },
+  });
+  return { deleted: deleted.count };
+}
+
+defineJob({
+  name: 'prune-job-history',
+  schedule: '15 4 * * *',
+  description: `Deletes job run history older than ${JOB_HISTORY_DAYS} days`,
+  handler: pruneJobHistory,
+});
+
+/**
+ * Start polling for due jobs on this instance
+ * Call once, after the job modules have registered their jobs. Only for
+ * long-lived instances: Lambda runs each due job in its own invocation
+ * (services/jobWorker.service.js).
+ */
+async function start() {
+  await syncJobDefinitions();
+
+  if (pollIntervalHandle) {
+    clearInterval(pollIntervalHandle);
+  }
+  pollIntervalHandle = setInterval(() => {
+    runDueJobs().catch(error => {
+      console.error('[JobScheduler] Poll failed:', error.message);
+    });
+  }, POLL_INTERVAL_MS);
+
+  console.log(`[JobScheduler] Started with ${jobs.size} job(s) (instance ${INSTANCE_ID})`);
+}
+
+/**
+ * Stop polling for jobs
+ * Runs in progress finish; their locks expire if the process exits first.
+ */
+function stop() {
+  if (pollIntervalHandle) {
+    clearInterval(pollIntervalHandle);
+    pollIntervalHandle = null;
+  }
+}
+
+module.exports = {
+  INSTANCE_ID,
+  defineJob,
+  getJobDefinition,
+  getDueJobNames,
+  runDueJobs,
+  runDueJob,
+  runJobNow,
+  requestRun,
+  setJobEnabled,
+  listJobs,
+  getJobRuns,
+  start,
+  stop,
+};
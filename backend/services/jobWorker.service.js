@@ -0,0 +1,103 @@
+/**
+ * Job Worker Service
+ *
+ * Runs background jobs on the Lambda deployment, where no instance lives long
+ * enough to poll. The API function is limited to 30 seconds and 512 MB, too
+ * little for jobs like merging recordings, transcription, retention or
+ * calendar syncs, so jobs run in a separate jobs function (lambda.jobsHandler,
+ * 15 minutes and 2 GB; see infrastructure/main.tf).
+ *
+ * EventBridge invokes the jobs function every minute. That invocation only
+ * looks up the due jobs and starts one asynchronous invocation per job, which
+ * claims and runs just that job. A job run must finish within the jobs
+ * function's timeout; a run that is cut off is retried like any other
+ * interrupted run once its lock expires.
+ *
+ * @module services/jobWorker
+ */
+
+const jobScheduler = require('./jobScheduler.service');
+
+// AWS SDK (only used in Lambda)
+let LambdaClient, InvokeCommand;
+try {
+  const awsLambda = require('@aws-sdk/client-lambda');
+  LambdaClient = awsLambda.LambdaClient;
+  InvokeCommand = awsLambda.InvokeCommand;
+} catch (err) {
+  // AWS SDK not available in local development - expected behavior
+}
+
+const AWS_REGION = process.env.AWS_REGION || process.env.AWS_S3_REGION || 'ap-southeast-2';
+
+// Lambda client (initialized lazily)
+let lambdaClient = null;
+
+function getLambdaClient() {
+  if (!lambdaClient && LambdaClient) {
+    lambdaClient = new LambdaClient({ region: AWS_REGION });
+  }
+  return lambdaClient;
+}
+
+/**
+ * Name of the jobs function (JOBS_LAMBDA, set on both the API and jobs functions)
+ * @returns {string|null}
+ */
+function getJobsFunctionName() {
+  return process.env.JOBS_LAMBDA || null;
+}
+
+/**
+ * Start one asynchronous jobs function invocation per due job
+ * The job is claimed by the invocation that runs it, so a job dispatched
+ * twice still runs once.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<string[]>} Names of the dispatched jobs
+ * @throws {Error} If the Lambda client or JOBS_LAMBDA is missing
+ */
+async function dispatchDueJobs(now = new Date()) {
+  const client = getLambdaClient();
+  const functionName = getJobsFunctionName();
+  if (!client || !functionName) {
+    throw new Error('Jobs function not available');
+  }
+
+  const names = await jobScheduler.getDueJobNames(now);
+
+  for (const jobName of names) {
+    await client.send(new InvokeCommand({
+      FunctionName: functionName,
+      InvocationType: 'Event',
+      Payload: JSON.stringify({ jobName }),
+    }));
+  }
+
+  return names;
+}
+
+/**
+ * Handle a jobs function invocation
+ * A scheduled event dispatches the due jobs; a dispatched event ({ jobName })
+ * runs that one job.
+ *
+ * @param {Object} event - Lambda event
+ * @returns {Promise<Object>}
+ */
+async function handleJobsEvent(event) {
+  if (event && event.jobName) {
+    const run = await jobScheduler.runDueJob(event.jobName);
+    return {
+      jobName: event.jobName,
+      status: run ? run.status : 'not_claimed',
+    };
+  }
+
+  return { dispatched: await dispatchDueJobs() };
+}
+
+module.exports = {
+  dispatchDueJobs,
+  handleJobsEvent,
+};
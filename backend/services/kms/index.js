@@ -0,0 +1,52 @@
+/**
+ * KMS Service Factory
+ *
+ * Exports the KMS used to wrap per-group data encryption keys.
+ * Uses the local file KMS for development and tests (NODE_ENV other than
+ * production) and the master key KMS in production, unless KMS_PROVIDER is set.
+ *
+ * @module services/kms
+ */
+
+const MasterKeyKmsService = require('./masterKeyKmsService');
+const LocalKmsService = require('./localKmsService');
+
+// Providers by the name stored with each wrapped key
+const PROVIDERS = {
+  master: MasterKeyKmsService,
+  local: LocalKmsService,
+};
+
+const instances = new Map();
+
+/**
+ * Get a KMS by provider name
+ * @param {string} name - 'master' | 'local'
+ * @returns {KmsInterface}
+ * @throws {Error} If the provider is unknown
+ */
+function getKmsService(name) {
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown KMS provider: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, new PROVIDERS[name]());
+  }
+  return instances.get(name);
+}
+
+/**
+ * Get the KMS new data keys are wrapped with
+ * @returns {KmsInterface}
+ */
+function getActiveKmsService() {
+  const isLambda = !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+  const isProduction = process.env.NODE_ENV === 'production';
+  return getKmsService(process.env.KMS_PROVIDER || (isLambda || isProduction ? 'master' : 'local'));
+}
+
+module.exports = {
+  getKmsService,
+  getActiveKmsService,
+};
@@ -0,0 +1,52 @@
+/**
+ * KMS Service Interface
+ *
+ * A KMS wraps (encrypts) and unwraps per-group data encryption keys with a
+ * master key that never leaves it. All implementations (master key, local
+ * file) must implement these methods.
+ *
+ * @module services/kms/kmsInterface
+ */
+
+/**
+ * KMS Service Interface
+ * All implementations must provide these methods
+ */
+class KmsInterface {
+  /**
+   * Provider name stored with each wrapped key
+   * @returns {string}
+   */
+  get name() {
+    throw new Error('name must be implemented');
+  }
+
+  /**
+   * Wrap a data key with the active master key
+   * @param {Buffer} dataKey - 32-byte data key
+   * @returns {Promise<string>} Wrapped key
+   */
+  async wrapKey(dataKey) {
+    throw new Error('wrapKey() must be implemented');
+  }
+
+  /**
+   * Unwrap a data key
+   * @param {string} wrappedKey - From wrapKey()
+   * @returns {Promise<Buffer>} 32-byte data key
+   */
+  async unwrapKey(wrappedKey) {
+    throw new Error('unwrapKey() must be implemented');
+  }
+
+  /**
+   * Check if a wrapped key uses a master key other than the active one
+   * @param {string} wrappedKey
+   * @returns {boolean}
+   */
+  needsRewrap(wrappedKey) {
+    throw new Error('needsRewrap() must be implemented');
+  }
+}
+
+module.exports = KmsInterface;
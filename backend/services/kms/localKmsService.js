@@ -0,0 +1,93 @@
+/**
+ * Local KMS Service
+ *
+ * File-based KMS stand-in for development and tests. Master keys are kept in
+ * a JSON file (KMS_LOCAL_KEY_FILE, default backend/.kms/local-kms.json) that
+ * is created with a random key on first use. Deleting the file makes every
+ * wrapped data key - and so all group data - unreadable.
+ *
+ * Do not use in production: the master key sits on disk next to the app.
+ *
+ * @module services/kms/localKmsService
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getKeyId } = require('../../utils/encryptionKeys');
+const KmsInterface = require('./kmsInterface');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+// Prefix of keys wrapped by this KMS
+const WRAP_PREFIX = 'local';
+
+/**
+ * Local file KMS implementation
+ * @extends KmsInterface
+ */
+class LocalKmsService extends KmsInterface {
+  constructor() {
+    super();
+    this.keyFile = process.env.KMS_LOCAL_KEY_FILE || path.join(__dirname, '../../.kms/local-kms.json');
+    this.keyring = null;
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  /**
+   * Load the master keys, creating the key file on first use
+   * @returns {{activeKeyId: string, keys: Object<string, string>}}
+   */
+  _loadKeys() {
+    if (this.keyring) {
+      return this.keyring;
+    }
+
+    if (fs.existsSync(this.keyFile)) {
+      this.keyring = JSON.parse(fs.readFileSync(this.keyFile, 'utf8'));
+    } else {
+      const key = crypto.randomBytes(32);
+      const keyId = getKeyId(key);
+      this.keyring = { activeKeyId: keyId, keys: { [keyId]: key.toString('hex') } };
+
+      fs.mkdirSync(path.dirname(this.keyFile), { recursive: true });
+      fs.writeFileSync(this.keyFile, JSON.stringify(this.keyring, null, 2), { mode: 0o600 });
+      console.log(`[LocalKMS] Created master key ${keyId} in ${this.keyFile}`);
+    }
+
+    return this.keyring;
+  }
+
+  async wrapKey(dataKey) {
+    const { activeKeyId, keys } = this._loadKeys();
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, Buffer.from(keys[activeKeyId], 'hex'), iv);
+    const ciphertext = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return [WRAP_PREFIX, activeKeyId, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+  }
+
+  async unwrapKey(wrappedKey) {
+    const [prefix, keyId, iv, authTag, ciphertext] = wrappedKey.split(':');
+    const masterKey = this._loadKeys().keys[keyId];
+
+    if (prefix !== WRAP_PREFIX || !masterKey) {
+      throw new Error(`Unknown local KMS master key: ${keyId}`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, Buffer.from(masterKey, 'hex'), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+  }
+
+  needsRewrap(wrappedKey) {
+    return wrappedKey.split(':')[1] !== this._loadKeys().activeKeyId;
+  }
+}
+
+module.exports = LocalKmsService;
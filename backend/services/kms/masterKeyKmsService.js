@@ -0,0 +1,36 @@
+/**
+ * Master Key KMS Service
+ *
+ * Wraps data keys with MESSAGE_ENCRYPTION_KEY using the message encryption
+ * format, so wrapped keys carry the master key ID and master key rotation
+ * (MESSAGE_ENCRYPTION_PREVIOUS_KEYS) works the same way as for messages.
+ *
+ * @module services/kms/masterKeyKmsService
+ */
+
+const encryptionService = require('../encryption.service');
+const KmsInterface = require('./kmsInterface');
+
+/**
+ * Master key KMS implementation
+ * @extends KmsInterface
+ */
+class MasterKeyKmsService extends KmsInterface {
+  get name() {
+    return 'master';
+  }
+
+  async wrapKey(dataKey) {
+    return encryptionService.encrypt(dataKey.toString('base64'));
+  }
+
+  async unwrapKey(wrappedKey) {
+    return Buffer.from(encryptionService.decrypt(wrappedKey), 'base64');
+  }
+
+  needsRewrap(wrappedKey) {
+    return encryptionService.needsReencryption(wrappedKey);
+  }
+}
+
+module.exports = MasterKeyKmsService;
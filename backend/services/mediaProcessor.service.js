@@ -6,7 +6,9 @@
  * - Production: AWS Lambda (ECR container)
  *
  * Handles: video/audio conversion (ffmpeg), image conversion (sharp),
- * PDF generation, and call recording (puppeteer).
+ * PDF generation and call recording (puppeteer). Call transcription
+ * (whisper.cpp) and merging recording chunks (ffmpeg) run in the worker
+ * service container only.
  *
  * This abstraction allows the same backend code to work
  * in both development and production environments.
@@ -145,6 +147,68 @@ async function callLocalProcessorWithFile(endpoint, filePath, additionalFields =
   }
 }
 
+/**
+ * Call local worker service with several file uploads
+ * @param {string} endpoint - Endpoint path
+ * @param {string[]} filePaths - Paths to files to upload, in order
+ * @param {Object} additionalFields - Additional form fields
+ * @param {number} [timeout] - Request timeout in ms
+ * @returns {Promise<Object>} Response data
+ */
+async function callLocalProcessorWithFiles(endpoint, filePaths, additionalFields = {}, timeout = 300000) {
+  const url = `${WORKER_SERVICE_URL}${endpoint}`;
+
+  const form = new FormData();
+  for (const filePath of filePaths) {
+    form.append('files', fs.createReadStream(filePath));
+  }
+
+  for (const [key, value] of Object.entries(additionalFields)) {
+    form.append(key, value);
+  }
+
+  try {
+    const response = await axios.post(url, form, {
+      headers: form.getHeaders(),
+      timeout,
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+    });
+
+    if (!response.data.success) {
+      throw new Error(response.data.error || 'Media processing failed');
+    }
+
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      throw new Error(error.response.data?.error || `HTTP ${error.response.status}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Download an output file from the local worker service, then delete it there
+ * @param {string} fileName - Output file name returned by the worker
+ * @returns {Promise<Buffer>}
+ */
+async function takeLocalProcessorFile(fileName) {
+  const url = `${WORKER_SERVICE_URL}/files/${encodeURIComponent(fileName)}`;
+
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: 300000,
+    maxContentLength: Infinity,
+  });
+
+  await axios.delete(url, { timeout: 30000 }).catch((error) => {
+    console.warn(`[MediaProcessor] Failed to delete ${fileName} from the worker service:`, error.message);
+  });
+
+  return Buffer.from(response.data);
+}
+
 // ============================================
 // Public API
 // ============================================
@@ -280,6 +344,108 @@ async function generatePDF(options) {
   });
 }
 
+/**
+ * Transcribe a call recording to timestamped text
+ *
+ * Runs the speech model inside the worker service container, so the audio
+ * never leaves our infrastructure. Not available on the Lambda deployment.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Local path to the decrypted audio or video
+ * @returns {Promise<{language: string|null, model: string, segments: {startMs: number, endMs: number, text: string}[]}>}
+ */
+async function transcribeAudio(options) {
+  console.log('[MediaProcessor] Transcribing audio...', { isProduction });
+
+  if (isProduction) {
+    throw new Error('Transcription needs the worker service container');
+  }
+
+  if (!options.filePath) {
+    throw new Error('filePath is required for transcription');
+  }
+
+  return callLocalProcessorWithFile('/transcribe', options.filePath);
+}
+
+/**
+ * Check if the worker service can transcribe recordings
+ * @returns {Promise<boolean>}
+ */
+async function isTranscriptionAvailable() {
+  if (isProduction) {
+    return false;
+  }
+
+  try {
+    const response = await axios.get(`${WORKER_SERVICE_URL}/health`, {
+      timeout: 5000,
+    });
+    return response.data.status === 'healthy' && (response.data.capabilities || []).includes('transcription');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Merge a call recording's chunks into one file with chapter markers
+ *
+ * Audio is merged into M4A and video into MP4, both seekable. Runs in the
+ * worker service container; not available on the Lambda deployment.
+ *
+ * @param {Object} options
+ * @param {string[]} options.filePaths - Local paths to the decrypted chunks, in order
+ * @param {number[]} options.trims - Ms to trim from the start of each chunk
+ * @param {string} options.mediaType - 'audio' or 'video'
+ * @param {{startMs: number, endMs: number, title: string}[]} options.chapters
+ * @param {string} [options.title] - Recording title
+ * @returns {Promise<{buffer: Buffer, mimeType: string, durationMs: number, chapterCount: number}>}
+ */
+async function mergeRecording(options) {
+  console.log('[MediaProcessor] Merging recording chunks...', { isProduction, chunks: options.filePaths?.length });
+
+  if (isProduction) {
+    throw new Error('Merging recordings needs the worker service container');
+  }
+
+  if (!options.filePaths || options.filePaths.length === 0) {
+    throw new Error('filePaths are required to merge a recording');
+  }
+
+  const result = await callLocalProcessorWithFiles('/recording/merge', options.filePaths, {
+    mediaType: options.mediaType,
+    trims: JSON.stringify(options.trims || []),
+    chapters: JSON.stringify(options.chapters || []),
+    title: options.title || '',
+  }, 30 * 60 * 1000);
+
+  return {
+    buffer: await takeLocalProcessorFile(result.outputFileName),
+    mimeType: result.mimeType,
+    durationMs: result.durationMs,
+    chapterCount: result.chapterCount,
+  };
+}
+
+/**
+ * Check if the worker service can merge recordings
+ * @returns {Promise<boolean>}
+ */
+async function isMergeAvailable() {
+  if (isProduction) {
+    return false;
+  }
+
+  try {
+    const response = await axios.get(`${WORKER_SERVICE_URL}/health`, {
+      timeout: 5000,
+    });
+    return response.data.status === 'healthy' && (response.data.capabilities || []).includes('merge');
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * Check if worker service is available
  * @returns {Promise<boolean>}
@@ -344,6 +510,7 @@ async function checkAndLogStatus() {
     image: false,
     pdf: false,
     callRecording: false,
+    transcription: false,
   };
 
   let statusMessage = '';
@@ -373,6 +540,7 @@ async function checkAndLogStatus() {
         capabilities.image = caps.includes('image');
         capabilities.pdf = caps.includes('pdf');
         capabilities.callRecording = caps.includes('recording') || caps.includes('puppeteer');
+        capabilities.transcription = caps.includes('transcription');
 
         // Build status message
         const enabledCaps = [];
@@ -381,6 +549,7 @@ async function checkAndLogStatus() {
         if (capabilities.image) enabledCaps.push('image');
         if (capabilities.pdf) enabledCaps.push('PDF');
         if (capabilities.callRecording) enabledCaps.push('call recording');
+        if (capabilities.transcription) enabledCaps.push('transcription');
 
         statusMessage = `✅ Worker Service (Docker) - ${enabledCaps.join(', ')} ready`;
       } else {
@@ -406,6 +575,10 @@ module.exports = {
   convertAudio,
   convertImage,
   generatePDF,
+  transcribeAudio,
+  isTranscriptionAvailable,
+  mergeRecording,
+  isMergeAvailable,
   isAvailable,
   getHealth,
   checkAndLogStatus,
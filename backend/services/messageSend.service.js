@@ -0,0 +1,477 @@
+/**
+ * Message Send Service
+ *
+ * Sends a message to a message group: checks the sender may post, encrypts
+ * and stores the message, indexes it for search, writes the send_message
+ * audit entry, pushes it to open clients and sends push notifications.
+ * Used by the send endpoint and by the scheduled message job, so scheduled
+ * messages go through exactly the same checks.
+ *
+ * @module services/messageSend
+ */
+
+const { prisma } = require('../config/database');
+const encryptionService = require('./encryption.service');
+const groupKeysService = require('./groupKeys.service');
+const pushNotificationService = require('./pushNotification.service');
+const realtimeService = require('./realtime.service');
+const searchIndexService = require('./searchIndex.service');
+const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissions');
+const { MAX_CHAIN_DEPTH, quoteSnippet, getThreadRootId, formatReplyChain } = require('../utils/messageThreads');
+
+// Fields of a replied-to message needed to show it as a quote
+const REPLY_TO_SELECT = {
+  messageId: true,
+  content: true,
+  isHidden: true,
+  replyToId: true,
+  sender: {
+    select: {
+      groupMemberId: true,
+      displayName: true,
+      user: {
+        select: {
+          displayName: true,
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Decrypt message content, falling back to the stored text
+ * (old unencrypted messages or corrupted data)
+ */
+function decryptContent(message, groupKeyring) {
+  try {
+    return encryptionService.decrypt(message.content, groupKeyring);
+  } catch (error) {
+    console.warn(`Failed to decrypt message ${message.messageId}:`, error.message);
+    return message.content;
+  }
+}
+
+/**
+ * Format a replied-to message as a quote for clients
+ * Non-admins don't get the text of hidden messages
+ *
+ * @param {Object|null} replyTo - Message selected with REPLY_TO_SELECT
+ * @param {Object} groupKeyring
+ * @param {boolean} isAdmin
+ * @returns {Object|null}
+ */
+function formatReplyQuote(replyTo, groupKeyring, isAdmin) {
+  if (!replyTo) {
+    return null;
+  }
+
+  return {
+    messageId: replyTo.messageId,
+    senderId: replyTo.sender.groupMemberId,
+    senderName: replyTo.sender.user?.displayName || replyTo.sender.displayName,
+    content: replyTo.isHidden && !isAdmin ? null : quoteSnippet(decryptContent(replyTo, groupKeyring)),
+    isHidden: replyTo.isHidden,
+  };
+}
+
+/**
+ * Load the messages a reply answers, nearest first, for the audit log
+ *
+ * @param {Object} parent - Replied-to message selected with REPLY_TO_SELECT
+ * @param {Object} groupKeyring
+ * @returns {Promise<{chain: Object[], truncated: boolean}>}
+ */
+async function loadReplyChain(parent, groupKeyring) {
+  const chain = [];
+  let current = parent;
+
+  while (current && chain.length < MAX_CHAIN_DEPTH) {
+    chain.push({
+      messageId: current.messageId,
+      senderName: current.sender.user?.displayName || current.sender.displayName,
+      content: decryptContent(current, groupKeyring),
+      isHidden: current.isHidden,
+    });
+
+    current = current.replyToId
+      ? await prisma.message.findUnique({
+          where: { messageId: current.replyToId },
+          select: REPLY_TO_SELECT,
+        })
+      : null;
+  }
+
+  return { chain, truncated: Boolean(current) };
+}
+
+/**
+ * Build a failed send result
+ */
+function fail(status, errorType, message, code) {
+  return { error: message, errorType, status, ...(code && { code }) };
+}
+
+/**
+ * Send a message to a message group
+ *
+ * @param {Object} options
+ * @param {string} options.groupId
+ * @param {string} options.messageGroupId
+ * @param {Object} options.membership - Sender's GroupMember
+ * @param {string} [options.content]
+ * @param {string[]} [options.mentions] - Group member IDs
+ * @param {Object[]} [options.mediaFiles] - Uploaded files: { fileId, mimeType, fileSizeBytes, durationMs }
+ * @param {string} [options.replyToId] - Message being replied to
+ * @param {string} [options.scheduledMessageId] - Set when delivering a scheduled message
+ * @returns {Promise<{message: Object}|{error: string, errorType: string, status: number, code?: string}>}
+ */
+async function sendMessageGroupMessage({
+  groupId,
+  messageGroupId,
+  membership,
+  content,
+  mentions,
+  mediaFiles: mediaFilesInput,
+  replyToId,
+  scheduledMessageId = null,
+}) {
+  // Validate content (allow empty if media files are provided)
+  if ((!content || content.trim().length === 0) && (!mediaFilesInput || mediaFilesInput.length === 0)) {
+    return fail(400, 'Validation Error', 'Message must have content or media attachments');
+  }
+
+  // Supervisors cannot send messages (per appplan.md line 91)
+  if (membership.role === 'supervisor') {
+    return fail(403, 'Forbidden', 'Supervisors cannot send messages');
+  }
+
+  // Check if group is in read-only mode (all admins unsubscribed)
+  const group = await prisma.group.findUnique({
+    where: { groupId: groupId },
+    select: { readOnlyUntil: true, hasActiveAdmin: true },
+  });
+
+  if (isGroupReadOnly(group)) {
+    const readOnly = getReadOnlyErrorResponse(group);
+    return fail(403, readOnly.error, readOnly.message, readOnly.code);
+  }
+
+  // Check if user is a member of this message group
+  const messageGroupMembership = await prisma.messageGroupMember.findFirst({
+    where: {
+      messageGroupId: messageGroupId,
+      groupMemberId: membership.groupMemberId,
+    },
+  });
+
+  if (!messageGroupMembership) {
+    return fail(403, 'Forbidden', 'You are not a member of this message group');
+  }
+
+  // Validate the message being replied to, if any
+  let replyTo = null;
+  if (replyToId) {
+    replyTo = await prisma.message.findUnique({
+      where: { messageId: replyToId },
+      select: { ...REPLY_TO_SELECT, messageGroupId: true, threadRootId: true },
+    });
+
+    if (!replyTo || replyTo.messageGroupId !== messageGroupId) {
+      return fail(404, 'Not Found', 'The message you are replying to was not found in this message group');
+    }
+
+    if (replyTo.isHidden) {
+      return fail(400, 'Bad Request', 'You cannot reply to a hidden message');
+    }
+  }
+
+  // Validate mentions if provided
+  let validMentions = [];
+  if (mentions && Array.isArray(mentions) && mentions.length > 0) {
+    // Verify all mentioned members are in the message group
+    const messageGroupMembers = await prisma.messageGroupMember.findMany({
+      where: {
+        messageGroupId: messageGroupId,
+        groupMemberId: {
+          in: mentions,
+        },
+      },
+      select: {
+        groupMemberId: true,
+      },
+    });
+
+    validMentions = messageGroupMembers.map(m => m.groupMemberId);
+  }
+
+  // Validate media files if provided
+  let mediaFiles = [];
+  if (mediaFilesInput && Array.isArray(mediaFilesInput) && mediaFilesInput.length > 0) {
+    // Use media file info provided by client (includes mimeType, fileSizeBytes, durationMs)
+    mediaFiles = mediaFilesInput.map(file => ({
+      fileId: file.fileId,
+      mimeType: file.mimeType,
+      s3Key: file.fileId,
+      fileSizeBytes: file.fileSizeBytes || 0, // Use file size from upload response
+      durationMs: file.durationMs ? parseInt(file.durationMs, 10) : null, // Duration in ms for audio/video
+    }));
+  }
+
+  // Encrypt message content before storing (use space if content is empty)
+  const messageContent = content && content.trim().length > 0 ? content.trim() : ' ';
+  const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
+  const encryptedContent = encryptionService.encrypt(messageContent, groupKeyring);
+
+  // Create the message with media
+  const message = await prisma.message.create({
+    data: {
+      messageGroup: {
+        connect: {
+          messageGroupId: messageGroupId,
+        },
+      },
+      sender: {
+        connect: {
+          groupMemberId: membership.groupMemberId,
+        },
+      },
+      content: encryptedContent, // Store encrypted content
+      mentions: validMentions,
+      ...(replyTo && {
+        replyTo: { connect: { messageId: replyTo.messageId } },
+        threadRoot: { connect: { messageId: getThreadRootId(replyTo) } },
+      }),
+      media: {
+        create: mediaFiles.map(file => {
+          // Determine media type - default to 'image' for unknown types
+          let mediaType = 'image'; // Default to image
+          if (file.mimeType) {
+            if (file.mimeType.startsWith('audio/')) {
+              mediaType = 'audio';
+            } else if (file.mimeType.startsWith('video/')) {
+              mediaType = 'video';
+            } else if (file.mimeType.startsWith('image/')) {
+              mediaType = 'image';
+            }
+            // For other mimeTypes (e.g., application/octet-stream), keep default 'image'
+          }
+          return {
+            mediaType: mediaType,
+            mimeType: file.mimeType || null, // Full MIME type (e.g., audio/webm)
+            s3Key: file.s3Key,
+            url: file.fileId, // Store fileId as URL for retrieval
+            fileSizeBytes: file.fileSizeBytes,
+            durationMs: file.durationMs, // Duration for audio/video files
+          };
+        }),
+      },
+    },
+    include: {
+      sender: {
+        select: {
+          groupMemberId: true,
+          displayName: true,
+          iconLetters: true,
+          iconColor: true,
+          role: true,
+          user: {
+            select: {
+              displayName: true,
+              memberIcon: true,
+              iconColor: true,
+              profilePhotoFileId: true,
+            },
+          },
+        },
+      },
+      media: {
+        select: {
+          mediaId: true,
+          mediaType: true,
+          mimeType: true,
+          url: true,
+          thumbnailUrl: true,
+          fileSizeBytes: true,
+          durationMs: true,
+          uploadedAt: true,
+        },
+      },
+      replyTo: {
+        select: REPLY_TO_SELECT,
+      },
+    },
+  });
+
+  // Add the message to the group's blind search index
+  searchIndexService.queueIndexEntity({
+    groupId: groupId,
+    entityType: searchIndexService.ENTITY_TYPES.MESSAGE,
+    entityId: message.messageId,
+    scopeId: messageGroupId,
+    texts: [messageContent],
+  });
+
+  // Decrypt message content before sending to client
+  const decryptedContent = encryptionService.decrypt(message.content, groupKeyring);
+
+  // Merge User profile data with GroupMember data (prioritize User profile)
+  const messageWithLatestProfile = {
+    ...message,
+    content: decryptedContent, // Return decrypted content to client
+    replyTo: formatReplyQuote(message.replyTo, groupKeyring, false),
+    replyCount: 0,
+    sender: {
+      groupMemberId: message.sender.groupMemberId,
+      displayName: message.sender.user?.displayName || message.sender.displayName,
+      iconLetters: message.sender.user?.memberIcon || message.sender.iconLetters,
+      iconColor: message.sender.user?.iconColor || message.sender.iconColor,
+      profilePhotoUrl: message.sender.user?.profilePhotoFileId
+        ? `${process.env.API_BASE_URL || 'http://localhost:3000'}/files/${message.sender.user.profilePhotoFileId}`
+        : null,
+      role: message.sender.role,
+    },
+    // Convert BigInt fileSizeBytes to Number for JSON serialization
+    media: message.media?.map(m => ({
+      ...m,
+      fileSizeBytes: m.fileSizeBytes ? Number(m.fileSizeBytes) : 0,
+    })),
+  };
+
+  // Update lastMessageAt on the message group and get message group name for audit log
+  const messageGroup = await prisma.messageGroup.update({
+    where: {
+      messageGroupId: messageGroupId,
+    },
+    data: {
+      lastMessageAt: new Date(),
+    },
+    select: {
+      name: true,
+    },
+  });
+
+  // Create audit log for sent message with complete details
+  let auditLogContent = `Message Group: "${messageGroup.name}" (ID: ${messageGroupId})\n`;
+  auditLogContent += `Message ID: ${message.messageId}\n`;
+  auditLogContent += `Content: "${messageContent}"\n`;
+
+  if (scheduledMessageId) {
+    auditLogContent += `Scheduled message ID: ${scheduledMessageId}\n`;
+  }
+
+  // Spell out what the message replies to, so exports read as a conversation
+  if (replyTo) {
+    const { chain, truncated } = await loadReplyChain(replyTo, groupKeyring);
+    auditLogContent += formatReplyChain(chain, truncated);
+  }
+
+  if (message.media && message.media.length > 0) {
+    auditLogContent += `Media Files (${message.media.length}):\n`;
+    message.media.forEach((media, index) => {
+      auditLogContent += `  ${index + 1}. ${media.mediaType} - Media ID: ${media.mediaId}\n`;
+    });
+  }
+
+  if (validMentions.length > 0) {
+    auditLogContent += `Mentions: ${validMentions.length} member(s)`;
+  }
+
+  await prisma.auditLog.create({
+    data: {
+      groupId: groupId,
+      action: 'send_message',
+      performedBy: membership.groupMemberId,
+      performedByName: membership.displayName,
+      performedByEmail: membership.email || 'N/A',
+      actionLocation: 'messages',
+      messageContent: auditLogContent,
+    },
+  });
+
+  // Push the new message to clients viewing this message group
+  realtimeService.publish(
+    realtimeService.messageGroupTopic(messageGroupId),
+    realtimeService.EVENTS.NEW_MESSAGE,
+    { message: { ...messageWithLatestProfile, readReceipts: [], reactions: [] } }
+  );
+
+  // Send push notifications to other message group members
+  // Fire and forget - don't block the response
+  (async () => {
+    try {
+      // Get all members of this message group except the sender
+      const messageGroupMembers = await prisma.messageGroupMember.findMany({
+        where: {
+          messageGroupId: messageGroupId,
+          groupMemberId: { not: membership.groupMemberId },
+        },
+        select: {
+          groupMemberId: true,
+        },
+      });
+
+      let memberIds = messageGroupMembers.map(m => m.groupMemberId);
+
+      // Get sender display name
+      const senderName = messageWithLatestProfile.sender.displayName;
+      const truncatedContent = messageContent.length > 100
+        ? messageContent.substring(0, 100) + '...'
+        : messageContent;
+
+      // A reply is like a mention for the author of the original message:
+      // they get a "replied to you" push if mention notifications are on,
+      // otherwise they are notified like everyone else
+      const repliedToId = replyTo?.sender.groupMemberId;
+      if (repliedToId && memberIds.includes(repliedToId)) {
+        const result = await pushNotificationService.sendToGroupMembersWithPreferences(
+          [repliedToId],
+          'mention',
+          `${senderName} replied to you in ${messageGroup.name}`,
+          truncatedContent,
+          {
+            type: 'new_message',
+            groupId: groupId,
+            messageGroupId: messageGroupId,
+            messageId: message.messageId,
+            threadRootId: message.threadRootId,
+          }
+        );
+
+        if (result?.sent > 0) {
+          memberIds = memberIds.filter(id => id !== repliedToId);
+        }
+      }
+
+      if (memberIds.length > 0) {
+        // Determine notification type based on mentions
+        const notificationType = validMentions.length > 0 ? 'mention' : 'message';
+
+        // Send to members who have notifications enabled for this type
+        await pushNotificationService.sendToGroupMembersWithPreferences(
+          memberIds,
+          notificationType,
+          `${senderName} in ${messageGroup.name}`,
+          truncatedContent,
+          {
+            type: 'new_message',
+            groupId: groupId,
+            messageGroupId: messageGroupId,
+            messageId: message.messageId,
+          }
+        );
+      }
+    } catch (notificationError) {
+      console.error('[Messages] Failed to send push notifications:', notificationError);
+      // Don't fail the request if notifications fail
+    }
+  })();
+
+  return { message: messageWithLatestProfile };
+}
+
+module.exports = {
+  REPLY_TO_SELECT,
+  decryptContent,
+  formatReplyQuote,
+  sendMessageGroupMessage,
+};
@@ -1,7 +1,8 @@
 /**
  * PDF Generation Service
  *
- * Generates PDF files for audit log exports.
+ * Generates PDF files for audit log exports, finance statements and
+ * parenting time reports.
  * Uses jsPDF and jspdf-autotable for table formatting.
  *
  * @module services/pdf
@@ -9,6 +10,45 @@
 
 const { jsPDF } = require('jspdf');
 const { autoTable } = require('jspdf-autotable');
+const { formatStatementDate } = require('../utils/financeStatement');
+const { formatReportDate } = require('../utils/parentingTime');
+const { formatOffset } = require('../utils/transcripts');
+
+// Shared table styling
+const TABLE_STYLES = {
+  styles: {
+    fontSize: 8,
+    cellPadding: 2,
+  },
+  headStyles: {
+    fillColor: [41, 128, 185],
+    textColor: 255,
+    fontStyle: 'bold',
+  },
+  alternateRowStyles: {
+    fillColor: [245, 245, 245],
+  },
+  margin: { top: 10, left: 14, right: 14 },
+  theme: 'striped',
+};
+
+/**
+ * Add "Page x of y" footers to every page
+ * @param {jsPDF} doc
+ */
+function addPageNumbers(doc) {
+  const pageCount = doc.internal.getNumberOfPages();
+  for (let i = 1; i <= pageCount; i++) {
+    doc.setPage(i);
+    doc.setFontSize(8);
+    doc.text(
+      `Page ${i} of ${pageCount}`,
+      doc.internal.pageSize.width / 2,
+      doc.internal.pageSize.height - 10,
+      { align: 'center' }
+    );
+  }
+}
 
 /**
  * Generate a PDF for audit log export
@@ -20,11 +60,13 @@ const { autoTable } = require('jspdf-autotable');
  * @param {Date} [options.filters.dateTo] - End date filter
  * @param {string[]} [options.filters.actionTypes] - Array of action types to filter
  * @param {string[]} [options.filters.userIds] - Array of user IDs to filter
+ * @param {boolean} [options.filters.includeTranscripts] - Add call transcripts
  * @param {Object[]} options.logs - Array of audit log entries
+ * @param {Object[]} [options.transcripts] - Call transcripts ({ callType, startedAt, participants, recordingHidden, segments })
  * @param {Date} options.createdAt - Export creation date
  * @returns {Buffer} PDF file as buffer
  */
-function generateAuditLogPDF({ groupName, filters, logs, createdAt }) {
+function generateAuditLogPDF({ groupName, filters, logs, transcripts = [], createdAt }) {
   // Create new PDF document
   const doc = new jsPDF({
     orientation: 'landscape',
@@ -93,6 +135,11 @@ function generateAuditLogPDF({ groupName, filters, logs, createdAt }) {
     yPosition += 6;
   }
 
+  if (filters.includeTranscripts) {
+    doc.text(`Call Transcripts: ${transcripts.length} included`, 14, yPosition);
+    yPosition += 6;
+  }
+
   yPosition += 4;
 
   // Add logs count
@@ -122,20 +169,7 @@ function generateAuditLogPDF({ groupName, filters, logs, createdAt }) {
     startY: yPosition,
     head: [['Date/Time', 'Action', 'Location', 'User Name', 'User Email', 'Content', 'Media Links']],
     body: tableData,
-    styles: {
-      fontSize: 8,
-      cellPadding: 2,
-    },
-    headStyles: {
-      fillColor: [41, 128, 185],
-      textColor: 255,
-      fontStyle: 'bold',
-    },
-    alternateRowStyles: {
-      fillColor: [245, 245, 245],
-    },
-    margin: { top: 10, left: 14, right: 14 },
-    theme: 'striped',
+    ...TABLE_STYLES,
     columnStyles: {
       0: { cellWidth: 35 }, // Date/Time
       1: { cellWidth: 30 }, // Action
@@ -147,23 +181,284 @@ function generateAuditLogPDF({ groupName, filters, logs, createdAt }) {
     },
   });
 
-  // Add footer with page numbers
-  const pageCount = doc.internal.getNumberOfPages();
-  for (let i = 1; i <= pageCount; i++) {
-    doc.setPage(i);
-    doc.setFontSize(8);
-    doc.text(
-      `Page ${i} of ${pageCount}`,
-      doc.internal.pageSize.width / 2,
-      doc.internal.pageSize.height - 10,
-      { align: 'center' }
-    );
+  if (filters.includeTranscripts) {
+    addCallTranscripts(doc, transcripts);
   }
 
+  addPageNumbers(doc);
+
   // Return PDF as buffer
   return Buffer.from(doc.output('arraybuffer'));
 }
 
+/**
+ * Add a "Call Transcripts" section, one table per call
+ * @param {jsPDF} doc
+ * @param {Object[]} transcripts
+ */
+function addCallTranscripts(doc, transcripts) {
+  doc.addPage();
+  doc.setFontSize(16);
+  doc.setFont(undefined, 'bold');
+  doc.text('Call Transcripts', 14, 20);
+  doc.setFont(undefined, 'normal');
+
+  let startY = 30;
+
+  if (transcripts.length === 0) {
+    doc.setFontSize(10);
+    doc.text('No transcribed calls in this period', 14, startY);
+    return;
+  }
+
+  for (const transcript of transcripts) {
+    // Keep each call's heading with its table
+    if (startY > doc.internal.pageSize.height - 40) {
+      doc.addPage();
+      startY = 20;
+    }
+
+    const startedAt = new Date(transcript.startedAt).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+    const type = transcript.callType === 'video' ? 'Video call' : 'Phone call';
+
+    doc.setFontSize(11);
+    doc.setFont(undefined, 'bold');
+    doc.text(`${type} - ${startedAt}${transcript.recordingHidden ? ' (recording hidden)' : ''}`, 14, startY);
+    doc.setFont(undefined, 'normal');
+    doc.setFontSize(9);
+    doc.text(`Participants: ${transcript.participants || '-'}`, 14, startY + 5);
+
+    autoTable(doc, {
+      startY: startY + 8,
+      head: [['Time', 'Transcript']],
+      body: transcript.segments.length > 0
+        ? transcript.segments.map((segment) => [formatOffset(segment.offsetMs), segment.text])
+        : [['-', 'No speech detected']],
+      ...TABLE_STYLES,
+      columnStyles: {
+        0: { cellWidth: 20 }, // Time
+      },
+    });
+
+    startY = doc.lastAutoTable.finalY + 12;
+  }
+}
+
+/**
+ * Generate a finance statement PDF
+ *
+ * @param {Object} options - PDF generation options
+ * @param {string} options.groupName - Name of the group
+ * @param {Object} options.statement - From utils/financeStatement buildFinanceStatement
+ * @param {Date} options.createdAt - Statement creation date
+ * @returns {Buffer} PDF file as buffer
+ */
+function generateFinanceStatementPDF({ groupName, statement, createdAt }) {
+  const doc = new jsPDF({
+    orientation: 'landscape',
+    unit: 'mm',
+    format: 'a4',
+  });
+
+  doc.setFontSize(20);
+  doc.text('Finance Statement', 14, 22);
+
+  doc.setFontSize(12);
+  doc.text(`Group: ${groupName}`, 14, 32);
+
+  const from = statement.from ? formatStatementDate(statement.from) : 'Beginning';
+  const to = statement.to ? formatStatementDate(statement.to) : 'Now';
+  doc.text(`Period: ${from} - ${to}`, 14, 38);
+  doc.text(`Generated: ${new Date(createdAt).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short',
+  })}`, 14, 44);
+
+  const sectionTitle = (title, y) => {
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'bold');
+    doc.text(title, 14, y);
+    doc.setFont(undefined, 'normal');
+    return y + 4;
+  };
+
+  // Totals per currency
+  autoTable(doc, {
+    startY: sectionTitle('Totals', 54),
+    head: [['Currency', 'Matters', 'Total Amount', 'Expected', 'Paid', 'Outstanding', 'Confirmed Payments', 'Pending Payments']],
+    body: statement.totals.length > 0
+      ? statement.totals.map((t) => [
+        t.currency,
+        t.matterCount,
+        t.totalAmount.toFixed(2),
+        t.expected.toFixed(2),
+        t.paid.toFixed(2),
+        t.outstanding.toFixed(2),
+        t.confirmedPayments.toFixed(2),
+        t.pendingPayments.toFixed(2),
+      ])
+      : [[{ content: 'No finance matters in this period', colSpan: 8 }]],
+    ...TABLE_STYLES,
+  });
+
+  // Expected versus paid per member
+  autoTable(doc, {
+    startY: sectionTitle('Finance Matters', doc.lastAutoTable.finalY + 10),
+    head: [['Finance Matter', 'Created', 'Due Date', 'Status', 'Member', 'Expected', 'Paid', 'Balance']],
+    body: statement.matters.flatMap((matter) => matter.members.map((member, index) => [
+      index === 0 ? `${matter.name} (${matter.currency} ${matter.totalAmount.toFixed(2)})` : '',
+      index === 0 ? formatStatementDate(matter.createdAt) : '',
+      index === 0 ? formatStatementDate(matter.dueDate) || '-' : '',
+      index === 0 ? matter.status : '',
+      member.displayName,
+      member.expected.toFixed(2),
+      member.paid.toFixed(2),
+      member.balance.toFixed(2),
+    ])),
+    ...TABLE_STYLES,
+  });
+
+  // Payments and confirmation status
+  const payments = statement.matters.flatMap((matter) => matter.payments.map((payment) => [
+    formatStatementDate(payment.reportedAt),
+    matter.name,
+    payment.from,
+    payment.to,
+    `${matter.currency} ${payment.amount.toFixed(2)}`,
+    payment.isSettleUp ? `${payment.status} (settle-up)` : payment.status,
+    formatStatementDate(payment.confirmedAt) || '-',
+  ]));
+
+  autoTable(doc, {
+    startY: sectionTitle('Payments', doc.lastAutoTable.finalY + 10),
+    head: [['Reported', 'Finance Matter', 'From', 'To', 'Amount', 'Status', 'Confirmed']],
+    body: payments.length > 0
+      ? payments
+      : [[{ content: 'No payments in this period', colSpan: 7 }]],
+    ...TABLE_STYLES,
+  });
+
+  addPageNumbers(doc);
+
+  return Buffer.from(doc.output('arraybuffer'));
+}
+
+/**
+ * Generate a parenting time report PDF
+ *
+ * @param {Object} options - PDF generation options
+ * @param {string} options.groupName - Name of the group
+ * @param {Object} options.report - From utils/parentingTime computeParentingTime, with child names
+ * @param {Date} options.createdAt - Report creation date
+ * @returns {Buffer} PDF file as buffer
+ */
+function generateParentingTimePDF({ groupName, report, createdAt }) {
+  const doc = new jsPDF({
+    orientation: 'portrait',
+    unit: 'mm',
+    format: 'a4',
+  });
+
+  doc.setFontSize(20);
+  doc.text('Parenting Time Report', 14, 22);
+
+  doc.setFontSize(12);
+  doc.text(`Group: ${groupName}`, 14, 32);
+
+  const from = formatReportDate(report.from, report.timeZone);
+  const to = formatReportDate(new Date(new Date(report.to).getTime() - 1), report.timeZone);
+  doc.text(`Period: ${from} - ${to} (${report.timeZone})`, 14, 38);
+  doc.text(`Generated: ${new Date(createdAt).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short',
+  })}`, 14, 44);
+
+  doc.setFontSize(9);
+  doc.text(
+    doc.splitTextToSize(
+      'Based on child responsibility events in the group calendar. Where events overlap, the most recently ' +
+      'created one counts. A night counts for whoever is responsible at midnight at the end of that day.',
+      182
+    ),
+    14,
+    52
+  );
+
+  let startY = 64;
+
+  if (report.children.length === 0) {
+    doc.setFontSize(12);
+    doc.text('No children in this report', 14, startY);
+  }
+
+  for (const child of report.children) {
+    // Keep each child's heading with its table
+    if (startY > doc.internal.pageSize.height - 50) {
+      doc.addPage();
+      startY = 20;
+    }
+
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'bold');
+    doc.text(child.name, 14, startY);
+    doc.setFont(undefined, 'normal');
+
+    const rows = child.parties.map((party) => [
+      party.name,
+      party.overnights,
+      `${party.overnightsPercentage.toFixed(1)}%`,
+      party.hours.toFixed(2),
+      `${party.hoursPercentage.toFixed(1)}%`,
+    ]);
+
+    if (child.unassigned.hours > 0 || child.unassigned.overnights > 0) {
+      rows.push([
+        'Unassigned',
+        child.unassigned.overnights,
+        `${child.unassigned.overnightsPercentage.toFixed(1)}%`,
+        child.unassigned.hours.toFixed(2),
+        `${child.unassigned.hoursPercentage.toFixed(1)}%`,
+      ]);
+    }
+
+    autoTable(doc, {
+      startY: startY + 4,
+      head: [['Responsible', 'Overnights', 'Overnights %', 'Hours', 'Hours %']],
+      body: rows,
+      foot: [['Total', child.totalOvernights, '', child.totalHours.toFixed(2), '']],
+      ...TABLE_STYLES,
+      styles: { ...TABLE_STYLES.styles, fontSize: 10 },
+      footStyles: {
+        fillColor: [230, 230, 230],
+        textColor: 0,
+        fontStyle: 'bold',
+      },
+    });
+
+    startY = doc.lastAutoTable.finalY + 12;
+  }
+
+  addPageNumbers(doc);
+
+  return Buffer.from(doc.output('arraybuffer'));
+}
+
 module.exports = {
   generateAuditLogPDF,
+  generateFinanceStatementPDF,
+  generateParentingTimePDF,
 };
@@ -411,7 +411,7 @@ async function getUserTokens(userId) {
  * Respects mute settings
  *
  * @param {string} groupId - Group ID
- * @param {string} excludeAdminId - Admin ID to exclude (the requester)
+ * @param {string|string[]} excludeAdminId - Admin ID(s) to exclude (the requester, or everyone who has voted)
  * @param {string} approvalType - Type of approval (add_member, remove_member, etc.)
  * @param {string} description - Human-readable description of what needs approval
  * @param {string} approvalId - The approval record ID
@@ -419,7 +419,7 @@ async function getUserTokens(userId) {
  */
 async function sendApprovalNotification(groupId, excludeAdminId, approvalType, description, approvalId) {
   try {
-    // Get all admins in the group except the requester, excluding muted members
+    // Get all admins in the group except the excluded ones, excluding muted members
     const admins = await prisma.groupMember.findMany({
       where: {
         groupId: groupId,
@@ -427,7 +427,7 @@ async function sendApprovalNotification(groupId, excludeAdminId, approvalType, d
         isRegistered: true,
         isHidden: false,
         isMuted: false, // Respect mute setting
-        groupMemberId: { not: excludeAdminId },
+        groupMemberId: Array.isArray(excludeAdminId) ? { notIn: excludeAdminId } : { not: excludeAdminId },
         userId: { not: null },
       },
       select: {
@@ -0,0 +1,719 @@
+/**
+ * Realtime Service
+ *
+ * WebSocket push channel that replaces client-side polling for messages and
+ * call signalling. Clients open a single socket to /realtime, authenticate with
+ * the same Kinde/JWT access token used for REST calls, then subscribe to the
+ * topics they are allowed to see.
+ *
+ * Protocol (JSON frames):
+ * - Client → server:
+ *   { type: 'auth', token }
+ *   { type: 'subscribe', channel: 'message-group', groupId, messageGroupId }
+ *   { type: 'subscribe', channel: 'call', callType, groupId, callId, asRecorder? }
+ *   { type: 'unsubscribe', topic }
+ *   { type: 'ack', signalIds }
+ *   { type: 'ping' }
+ * - Server → client:
+ *   { type: 'ready', userId }
+ *   { type: 'subscribed', topic, channel, requestId? }
+ *   { type: 'event', topic, event, data }
+ *   { type: 'error', message, requestId? }
+ *   { type: 'pong' }
+ *
+ * Call signals stay pending in webrtc_signals until the client acks them
+ * (an unacked signal is picked up by the next poll of the signal endpoint).
+ *
+ * Fan-out: each instance holds its own sockets, so events are relayed between
+ * instances with Postgres NOTIFY on the realtime_events channel; every
+ * instance serving /realtime LISTENs on it. The channel is served by
+ * long-lived servers (server.js) only. On Lambda, API functions can't hold
+ * sockets: they relay their events when REALTIME_URL points at a separate
+ * realtime server, and otherwise clients are told realtime is off
+ * (GET /health/realtime) and poll the REST endpoints.
+ */
+
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { prisma } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth.middleware');
+
+const REALTIME_PATH = '/realtime';
+
+// Sockets must authenticate within this window or they are closed
+const AUTH_TIMEOUT_MS = 10000;
+
+// Interval for ws-level ping frames (detects dead mobile connections)
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Maximum topics a single socket may subscribe to
+const MAX_SUBSCRIPTIONS_PER_SOCKET = 50;
+
+// Maximum signals acknowledged in one frame
+const MAX_ACK_SIGNALS = 100;
+
+// Postgres channel used to relay events between instances
+const FANOUT_CHANNEL = 'realtime_events';
+
+// NOTIFY payloads must be under 8000 bytes; larger events go through realtime_events rows
+const MAX_NOTIFY_BYTES = 7500;
+
+// How long realtime_events rows are kept for listeners to read
+const STORED_EVENT_TTL_MS = 60000;
+
+// Delay before reconnecting a dropped LISTEN connection
+const LISTEN_RETRY_MS = 5000;
+
+// Identifies this instance's own notifications (already delivered locally)
+const INSTANCE_ID = crypto.randomUUID();
+
+/**
+ * Event names pushed to clients
+ */
+const EVENTS = {
+  NEW_MESSAGE: 'new_message',
+  MESSAGE_HIDDEN: 'message_hidden',
+  MESSAGE_UNHIDDEN: 'message_unhidden',
+  MESSAGE_EDITED: 'message_edited',
+  REACTION_ADDED: 'reaction_added',
+  REACTION_REMOVED: 'reaction_removed',
+  MESSAGES_READ: 'messages_read',
+  CALL_SIGNAL: 'call_signal',
+  CALL_PEERS_CHANGED: 'call_peers_changed',
+  RECORDING_STATUS: 'recording_status',
+};
+
+// topic -> Set<WebSocket>
+const topics = new Map();
+
+let wss = null;
+let heartbeatHandle = null;
+
+// Dedicated pg connection for LISTEN (Prisma can't listen)
+let listener = null;
+let listenRetryHandle = null;
+
+// Relays not yet written, so Lambda can wait for them before freezing
+const pendingRelays = new Set();
+
+/**
+ * Topic for all events inside a message group
+ * @param {string} messageGroupId
+ * @returns {string}
+ */
+function messageGroupTopic(messageGroupId) {
+  return `message-group:${messageGroupId}`;
+}
+
+/**
+ * Topic for call-wide events (peer changes, recording status)
+ * @param {string} callType - 'phone' or 'video'
+ * @param {string} callId
+ * @returns {string}
+ */
+function callTopic(callType, callId) {
+  return `call:${callType}:${callId}`;
+}
+
+/**
+ * Topic for signals addressed to a single peer in a call
+ * @param {string} callType - 'phone' or 'video'
+ * @param {string} callId
+ * @param {string} peerId - groupMemberId or 'recorder'
+ * @returns {string}
+ */
+function callPeerTopic(callType, callId, peerId) {
+  return `call:${callType}:${callId}:peer:${peerId}`;
+}
+
+/**
+ * Send a JSON frame to a socket if it is still open
+ * @param {WebSocket} socket
+ * @param {Object} payload
+ * @returns {boolean} True if the frame was written
+ */
+function send(socket, payload) {
+  if (socket.readyState !== socket.OPEN) {
+    return false;
+  }
+
+  try {
+    socket.send(JSON.stringify(payload));
+    return true;
+  } catch (error) {
+    console.error('[Realtime] Failed to send frame:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Deliver an event to this instance's sockets subscribed to a topic
+ * @returns {number} Number of sockets the event was delivered to
+ */
+function deliver(topic, event, data) {
+  const subscribers = topics.get(topic);
+  if (!subscribers || subscribers.size === 0) {
+    return 0;
+  }
+
+  const frame = { type: 'event', topic, event, data };
+  let delivered = 0;
+  for (const socket of subscribers) {
+    if (send(socket, frame)) {
+      delivered++;
+    }
+  }
+  return delivered;
+}
+
+/**
+ * Check whether anyone on this instance is listening on a topic
+ * Used with the in-memory recording status store, which is per instance too.
+ *
+ * @param {string} topic
+ * @returns {boolean}
+ */
+function hasSubscribers(topic) {
+  const subscribers = topics.get(topic);
+  return !!subscribers && subscribers.size > 0;
+}
+
+/**
+ * Whether events are relayed to other instances
+ * Instances serving /realtime relay (and listen); other instances relay
+ * when a separate realtime server is configured (REALTIME_URL).
+ * @returns {boolean}
+ */
+function isFanoutEnabled() {
+  return !!wss || !!process.env.REALTIME_URL;
+}
+
+/**
+ * Relay an event to the other instances with NOTIFY
+ * @returns {Promise<void>}
+ */
+async function relay(topic, event, data) {
+  let payload = JSON.stringify({ origin: INSTANCE_ID, topic, event, data });
+
+  if (Buffer.byteLength(payload) > MAX_NOTIFY_BYTES) {
+    const stored = await prisma.realtimeEvent.create({
+      data: { topic, event, data },
+      select: { eventId: true },
+    });
+    payload = JSON.stringify({ origin: INSTANCE_ID, eventId: stored.eventId });
+
+    await prisma.realtimeEvent.deleteMany({
+      where: { createdAt: { lt: new Date(Date.now() - STORED_EVENT_TTL_MS) } },
+    });
+  }
+
+  await prisma.$executeRaw`SELECT pg_notify(${FANOUT_CHANNEL}, ${payload})`;
+}
+
+/**
+ * Publish an event to every socket subscribed to a topic, on every instance
+ *
+ * @param {string} topic - Topic name (use the *Topic helpers)
+ * @param {string} event - Event name (see EVENTS)
+ * @param {Object} data - JSON-serialisable payload
+ * @returns {number} Number of sockets on this instance the event was delivered to
+ */
+function publish(topic, event, data) {
+  const delivered = deliver(topic, event, data);
+
+  if (isFanoutEnabled()) {
+    const pending = relay(topic, event, data)
+      .catch(error => {
+        console.error(`[Realtime] Failed to relay ${event} on ${topic}:`, error.message);
+      })
+      .finally(() => {
+        pendingRelays.delete(pending);
+      });
+    pendingRelays.add(pending);
+  }
+
+  return delivered;
+}
+
+/**
+ * Wait for events published so far to be relayed
+ * Lambda calls this before returning, as the instance may freeze afterwards.
+ * @returns {Promise<void>}
+ */
+async function flush() {
+  await Promise.all([...pendingRelays]);
+}
+
+/**
+ * Deliver a notification relayed by another instance
+ * @param {string} payload - NOTIFY payload
+ */
+async function handleNotification(payload) {
+  const notification = JSON.parse(payload);
+  if (notification.origin === INSTANCE_ID) {
+    return;
+  }
+
+  if (notification.eventId) {
+    const stored = await prisma.realtimeEvent.findUnique({
+      where: { eventId: notification.eventId },
+    });
+    if (stored) {
+      deliver(stored.topic, stored.event, stored.data);
+    }
+    return;
+  }
+
+  deliver(notification.topic, notification.event, notification.data);
+}
+
+/**
+ * LISTEN for events relayed by other instances
+ * Reconnects when the connection drops; events relayed meanwhile are missed,
+ * and clients catch up through the REST endpoints.
+ */
+async function startListener() {
+  if (listener || !process.env.DATABASE_URL) {
+    return;
+  }
+
+  const { Client } = require('pg');
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  listener = client;
+
+  const retry = (error) => {
+    if (listener !== client) {
+      return;
+    }
+    console.error('[Realtime] Listen connection lost:', error.message);
+    listener = null;
+    client.end().catch(() => {});
+    listenRetryHandle = setTimeout(() => {
+      listenRetryHandle = null;
+      startListener();
+    }, LISTEN_RETRY_MS);
+  };
+
+  client.on('notification', (message) => {
+    handleNotification(message.payload).catch(error => {
+      console.error('[Realtime] Failed to deliver relayed event:', error.message);
+    });
+  });
+  client.on('error', retry);
+  client.on('end', () => retry(new Error('Connection ended')));
+
+  try {
+    await client.connect();
+    await client.query(`LISTEN ${FANOUT_CHANNEL}`);
+    console.log(`[Realtime] Listening for relayed events (instance ${INSTANCE_ID})`);
+  } catch (error) {
+    retry(error);
+  }
+}
+
+/**
+ * Stop listening for relayed events
+ */
+function stopListener() {
+  if (listenRetryHandle) {
+    clearTimeout(listenRetryHandle);
+    listenRetryHandle = null;
+  }
+  if (listener) {
+    const client = listener;
+    listener = null;
+    client.end().catch(() => {});
+  }
+}
+
+/**
+ * Where clients should connect, for GET /health/realtime
+ * @returns {{enabled: boolean, url: string|null}} url is null for this server's own /realtime
+ */
+function getClientConfig() {
+  if (process.env.REALTIME_URL) {
+    return { enabled: true, url: process.env.REALTIME_URL };
+  }
+  return { enabled: !!wss, url: null };
+}
+
+/**
+ * Authorise a message group subscription
+ * Mirrors getMessageGroupMessages: message group members, or group admins (read-only)
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} request - Subscribe request
+ * @returns {Promise<string[]>} Topics to subscribe to
+ */
+async function authoriseMessageGroup(user, { groupId, messageGroupId }) {
+  if (!groupId || !messageGroupId) {
+    throw new Error('groupId and messageGroupId are required');
+  }
+
+  const groupMembership = await prisma.groupMember.findUnique({
+    where: { groupId_userId: { groupId, userId: user.userId } },
+  });
+
+  if (!groupMembership) {
+    throw new Error('You are not a member of this group');
+  }
+
+  const messageGroup = await prisma.messageGroup.findUnique({
+    where: { messageGroupId },
+    select: { groupId: true },
+  });
+
+  if (!messageGroup || messageGroup.groupId !== groupId) {
+    throw new Error('Message group not found');
+  }
+
+  const messageGroupMembership = await prisma.messageGroupMember.findFirst({
+    where: {
+      messageGroupId: messageGroupId,
+      groupMemberId: groupMembership.groupMemberId,
+    },
+  });
+
+  if (!messageGroupMembership && groupMembership.role !== 'admin') {
+    throw new Error('You are not a member of this message group');
+  }
+
+  return [messageGroupTopic(messageGroupId)];
+}
+
+/**
+ * Whether the user started the call's running recording
+ * (the user holding its recording slot, see services/recordingQueue.service.js)
+ */
+async function isRecordingStarter(user, callType, callId) {
+  const lease = await prisma.recordingLease.findUnique({
+    where: { callType_callId: { callType, callId } },
+  });
+
+  return !!lease && lease.status === 'active' && lease.userId === user.userId;
+}
+
+/**
+ * Authorise a call subscription
+ * Participants receive their own signals plus call-wide events. The ghost
+ * recorder authenticates with the token of the member who started the
+ * recording and subscribes to the 'recorder' peer topic; only that member or
+ * a participant may subscribe to it.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} request - Subscribe request
+ * @returns {Promise<string[]>} Topics to subscribe to
+ */
+async function authoriseCall(user, { callType, groupId, callId, asRecorder }) {
+  if (!['phone', 'video'].includes(callType) || !groupId || !callId) {
+    throw new Error('callType, groupId and callId are required');
+  }
+
+  const membership = await prisma.groupMember.findUnique({
+    where: { groupId_userId: { groupId, userId: user.userId } },
+  });
+
+  if (!membership || !membership.isRegistered) {
+    throw new Error('You are not a member of this group');
+  }
+
+  const callModel = callType === 'phone' ? prisma.phoneCall : prisma.videoCall;
+  const call = await callModel.findUnique({
+    where: { callId },
+    include: { participants: true },
+  });
+
+  if (!call || call.groupId !== groupId) {
+    throw new Error('Call not found');
+  }
+
+  const isInitiator = call.initiatedBy === membership.groupMemberId;
+  const isParticipant = call.participants.some(p => p.groupMemberId === membership.groupMemberId);
+
+  if (asRecorder) {
+    if (!isInitiator && !isParticipant && !(await isRecordingStarter(user, callType, callId))) {
+      throw new Error('You are not part of this call');
+    }
+    return [callPeerTopic(callType, callId, 'recorder')];
+  }
+
+  if (!isInitiator && !isParticipant) {
+    throw new Error('You are not part of this call');
+  }
+
+  return [
+    callTopic(callType, callId),
+    callPeerTopic(callType, callId, membership.groupMemberId),
+  ];
+}
+
+const CHANNEL_AUTHORISERS = {
+  'message-group': authoriseMessageGroup,
+  call: authoriseCall,
+};
+
+/**
+ * Add a socket to a topic
+ * @param {WebSocket} socket
+ * @param {string} topic
+ */
+function addToTopic(socket, topic) {
+  let subscribers = topics.get(topic);
+  if (!subscribers) {
+    subscribers = new Set();
+    topics.set(topic, subscribers);
+  }
+  subscribers.add(socket);
+  socket.topics.add(topic);
+}
+
+/**
+ * Remove a socket from a topic
+ * @param {WebSocket} socket
+ * @param {string} topic
+ */
+function removeFromTopic(socket, topic) {
+  const subscribers = topics.get(topic);
+  if (subscribers) {
+    subscribers.delete(socket);
+    if (subscribers.size === 0) {
+      topics.delete(topic);
+    }
+  }
+  socket.topics.delete(topic);
+}
+
+/**
+ * Mark call signals as consumed once the client has processed them
+ * Only signals addressed to a peer topic this socket subscribed to are marked.
+ *
+ * @param {WebSocket} socket
+ * @param {string[]} signalIds
+ * @returns {Promise<number>} Number of signals marked
+ */
+async function acknowledgeSignals(socket, signalIds) {
+  if (!Array.isArray(signalIds) || signalIds.length === 0) {
+    return 0;
+  }
+
+  const recipients = [];
+  for (const topic of socket.topics) {
+    const match = topic.match(/^call:(phone|video):([^:]+):peer:(.+)$/);
+    if (match) {
+      recipients.push({ callType: match[1], callId: match[2], toPeerId: match[3] });
+    }
+  }
+  if (recipients.length === 0) {
+    return 0;
+  }
+
+  const result = await prisma.webRTCSignal.updateMany({
+    where: {
+      signalId: { in: signalIds.slice(0, MAX_ACK_SIGNALS).filter(id => typeof id === 'string') },
+      isConsumed: false,
+      OR: recipients,
+    },
+    data: {
+      isConsumed: true,
+      consumedAt: new Date(),
+    },
+  });
+  return result.count;
+}
+
+/**
+ * Handle a single client frame
+ * @param {WebSocket} socket
+ * @param {Object} frame - Parsed JSON frame
+ */
+async function handleFrame(socket, frame) {
+  const { type, requestId } = frame;
+
+  if (type === 'ping') {
+    send(socket, { type: 'pong' });
+    return;
+  }
+
+  if (type === 'auth') {
+    try {
+      socket.user = await authenticateToken(frame.token);
+      clearTimeout(socket.authTimer);
+      send(socket, { type: 'ready', userId: socket.user.userId });
+    } catch (error) {
+      send(socket, { type: 'error', code: 'UNAUTHORIZED', message: error.message });
+      socket.close(4401, 'Unauthorized');
+    }
+    return;
+  }
+
+  if (!socket.user) {
+    send(socket, { type: 'error', code: 'UNAUTHORIZED', message: 'Authenticate first', requestId });
+    return;
+  }
+
+  if (type === 'subscribe') {
+    const authorise = CHANNEL_AUTHORISERS[frame.channel];
+    if (!authorise) {
+      send(socket, { type: 'error', message: `Unknown channel: ${frame.channel}`, requestId });
+      return;
+    }
+
+    try {
+      const granted = await authorise(socket.user, frame);
+      if (socket.topics.size + granted.length > MAX_SUBSCRIPTIONS_PER_SOCKET) {
+        throw new Error('Too many subscriptions');
+      }
+      granted.forEach(topic => addToTopic(socket, topic));
+      // The first topic identifies the subscription for unsubscribe
+      send(socket, { type: 'subscribed', channel: frame.channel, topic: granted[0], topics: granted, requestId });
+    } catch (error) {
+      send(socket, { type: 'error', code: 'FORBIDDEN', message: error.message, requestId });
+    }
+    return;
+  }
+
+  if (type === 'ack') {
+    await acknowledgeSignals(socket, frame.signalIds);
+    return;
+  }
+
+  if (type === 'unsubscribe') {
+    // Unsubscribing from a call topic also drops the matching peer topic
+    for (const topic of [...socket.topics]) {
+      if (topic === frame.topic || topic.startsWith(`${frame.topic}:peer:`)) {
+        removeFromTopic(socket, topic);
+      }
+    }
+    send(socket, { type: 'unsubscribed', topic: frame.topic, requestId });
+    return;
+  }
+
+  send(socket, { type: 'error', message: `Unknown frame type: ${type}`, requestId });
+}
+
+/**
+ * Handle a new socket connection
+ * @param {WebSocket} socket
+ */
+function handleConnection(socket) {
+  socket.user = null;
+  socket.topics = new Set();
+  socket.isAlive = true;
+
+  socket.authTimer = setTimeout(() => {
+    if (!socket.user) {
+      socket.close(4401, 'Authentication timeout');
+    }
+  }, AUTH_TIMEOUT_MS);
+
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+
+  socket.on('message', (raw) => {
+    let frame;
+    try {
+      frame = JSON.parse(raw.toString());
+    } catch (error) {
+      send(socket, { type: 'error', message: 'Invalid JSON' });
+      return;
+    }
+
+    handleFrame(socket, frame).catch(error => {
+      console.error('[Realtime] Frame handling error:', error);
+      send(socket, { type: 'error', message: 'Internal error', requestId: frame.requestId });
+    });
+  });
+
+  socket.on('close', () => {
+    clearTimeout(socket.authTimer);
+    for (const topic of [...socket.topics]) {
+      removeFromTopic(socket, topic);
+    }
+  });
+
+  socket.on('error', (error) => {
+    console.error('[Realtime] Socket error:', error.message);
+  });
+}
+
+/**
+ * Attach the realtime WebSocket server to an HTTP server
+ * Called from server.js once the Express server is listening.
+ *
+ * @param {import('http').Server} server
+ * @returns {WebSocketServer}
+ */
+function attach(server) {
+  if (wss) {
+    return wss;
+  }
+
+  wss = new WebSocketServer({ server, path: REALTIME_PATH });
+  wss.on('connection', handleConnection);
+
+  heartbeatHandle = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  startListener();
+
+  console.log(`[Realtime] WebSocket server listening on ${REALTIME_PATH}`);
+  return wss;
+}
+
+/**
+ * Close all sockets and stop the heartbeat (graceful shutdown)
+ */
+function close() {
+  if (heartbeatHandle) {
+    clearInterval(heartbeatHandle);
+    heartbeatHandle = null;
+  }
+  if (wss) {
+    for (const socket of wss.clients) {
+      socket.close(1001, 'Server shutting down');
+    }
+    wss.close();
+    wss = null;
+  }
+  stopListener();
+  topics.clear();
+}
+
+/**
+ * Connection statistics for health checks
+ * @returns {{connections: number, topics: number}}
+ */
+function getStats() {
+  return {
+    connections: wss ? wss.clients.size : 0,
+    topics: topics.size,
+  };
+}
+
+module.exports = {
+  EVENTS,
+  REALTIME_PATH,
+  attach,
+  close,
+  publish,
+  flush,
+  hasSubscribers,
+  getClientConfig,
+  messageGroupTopic,
+  callTopic,
+  callPeerTopic,
+  getStats,
+  // Exported for tests
+  handleConnection,
+  handleNotification,
+  authoriseCall,
+};
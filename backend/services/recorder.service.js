@@ -7,9 +7,14 @@
  *
  * In unified Lightsail mode, recording happens directly in this process
  * using the local Puppeteer service.
+ *
+ * Every recording holds a slot from the recording queue
+ * (services/recordingQueue.service.js), which caps concurrent recordings
+ * across all backend instances.
  */
 
 const axios = require('axios');
+const recordingQueue = require('./recordingQueue.service');
 
 // Configuration
 // USE_LOCAL_RECORDER: Set to 'true' for unified Lightsail mode (direct Puppeteer)
@@ -64,17 +69,43 @@ async function isAvailable() {
 /**
  * Start recording a call
  *
+ * Takes a recording slot first. When none is free the call isn't recorded
+ * and { success: false, atCapacity: true } is returned.
+ *
  * @param {Object} options - Recording options
  * @param {string} options.groupId - Group ID
  * @param {string} options.callId - Call ID
  * @param {string} options.callType - 'phone' or 'video'
  * @param {string} options.authToken - Auth token for API access
  * @param {string} options.apiUrl - Backend API URL
+ * @param {string} [options.userId] - User starting the call (uses their reserved slot)
  * @returns {Promise<Object>} Recording session info
  */
-async function startRecording({ groupId, callId, callType, authToken, apiUrl }) {
+async function startRecording({ groupId, callId, callType, authToken, apiUrl, userId }) {
   console.log(`[Recorder] Starting recording for ${callType}-${callId}`);
 
+  const lease = await recordingQueue.acquireRecordingLease({ callType, callId, groupId, userId });
+  if (!lease) {
+    console.warn(`[Recorder] No recording slot free for ${callType}-${callId}`);
+    return { success: false, atCapacity: true, message: 'All recording slots are in use' };
+  }
+
+  try {
+    return await startRecorder({ groupId, callId, callType, authToken, apiUrl });
+  } catch (error) {
+    await recordingQueue.releaseRecordingLease(callType, callId).catch(err => {
+      console.error('[Recorder] Failed to release recording slot:', err.message);
+    });
+    throw error;
+  }
+}
+
+/**
+ * Start the recorder for a call that holds a recording slot
+ * @param {Object} options - See startRecording
+ * @returns {Promise<Object>} Recording session info
+ */
+async function startRecorder({ groupId, callId, callType, authToken, apiUrl }) {
   // Local Puppeteer mode (unified/Lightsail)
   if (USE_LOCAL_RECORDER) {
     console.log('[Recorder] Using local Puppeteer');
@@ -123,6 +154,22 @@ async function startRecording({ groupId, callId, callType, authToken, apiUrl })
 async function stopRecording(callId, callType) {
   console.log(`[Recorder] Stopping recording for ${callType}-${callId}`);
 
+  try {
+    return await stopRecorder(callId, callType);
+  } finally {
+    await recordingQueue.releaseRecordingLease(callType, callId).catch(err => {
+      console.error('[Recorder] Failed to release recording slot:', err.message);
+    });
+  }
+}
+
+/**
+ * Stop the recorder for a call
+ * @param {string} callId - Call ID
+ * @param {string} callType - 'phone' or 'video'
+ * @returns {Promise<Object>} Recording result
+ */
+async function stopRecorder(callId, callType) {
   // Local Puppeteer mode (unified/Lightsail)
   if (USE_LOCAL_RECORDER) {
     console.log('[Recorder] Using local Puppeteer');
@@ -159,9 +206,22 @@ async function stopRecording(callId, callType) {
  *
  * @param {string} callId - Call ID
  * @param {string} callType - 'phone' or 'video'
- * @returns {Promise<boolean>}
+ * @returns {Promise<boolean>} False too when the recorder can't be reached
+ *   (use checkRecording to tell the two apart)
  */
 async function isRecording(callId, callType) {
+  return (await checkRecording(callId, callType)) === true;
+}
+
+/**
+ * Check if a call is being recorded, telling "not recording" apart from
+ * "couldn't ask"
+ *
+ * @param {string} callId - Call ID
+ * @param {string} callType - 'phone' or 'video'
+ * @returns {Promise<boolean|null>} Null if the recorder service failed to answer
+ */
+async function checkRecording(callId, callType) {
   // Local Puppeteer mode
   if (USE_LOCAL_RECORDER) {
     const recorder = getLocalRecorder();
@@ -177,7 +237,7 @@ async function isRecording(callId, callType) {
     return response.data.isRecording === true;
   } catch (error) {
     console.log('[Recorder] isRecording check failed:', error.message);
-    return false;
+    return null;
   }
 }
 
@@ -232,6 +292,7 @@ module.exports = {
   startRecording,
   stopRecording,
   isRecording,
+  checkRecording,
   getRecordingStatus,
   stopAllRecordings,
   isAvailable,
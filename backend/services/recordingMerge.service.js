@@ -0,0 +1,160 @@
+/**
+ * Recording Merge Service
+ *
+ * Merges a call's recording chunks into one seekable file with chapter
+ * markers for participants joining and leaving (utils/recordingMerge.js).
+ * The chunks are decrypted, merged by the worker service (ffmpeg), and the
+ * merged file is encrypted and stored like the chunks were. Used by
+ * jobs/finalizeRecordings.js, which swaps the chunks for the merged file.
+ *
+ * @module services/recordingMerge
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { storageService } = require('./storage');
+const encryptionService = require('./encryption.service');
+const fileEncryption = require('./fileEncryption.service');
+const groupKeysService = require('./groupKeys.service');
+const mediaProcessor = require('./mediaProcessor.service');
+const transcriptService = require('./transcript.service');
+const {
+  planChunkMerge,
+  buildChapters,
+  remapTranscriptSegments,
+  isMergeVerified,
+} = require('../utils/recordingMerge');
+
+const MEDIA_TYPES = { phone: 'audio', video: 'video' };
+
+/**
+ * Display name of a call member
+ * @param {Object} member - GroupMember with user
+ * @returns {string}
+ */
+function getMemberName(member) {
+  return member?.user?.displayName || member?.displayName || 'Unknown';
+}
+
+/**
+ * Read a stored file, decrypting it if needed
+ * @returns {Promise<Buffer>}
+ */
+async function readFile(fileId, groupKeyring) {
+  const fileBuffer = await storageService.getFile(fileId);
+  if (fileEncryption.isEncrypted(fileBuffer)) {
+    return fileEncryption.decryptFile(fileBuffer, groupKeyring);
+  }
+  return fileBuffer;
+}
+
+/**
+ * Merge a call's ready recording chunks and store the result
+ *
+ * The merged file is only returned once it matches the chunks (duration and
+ * chapters) and reads back from storage intact; otherwise it is removed
+ * again and an error is thrown, leaving the chunks in place.
+ *
+ * @param {string} callType - 'phone' or 'video'
+ * @param {Object} call - PhoneCall/VideoCall with groupId, startedAt, initiator,
+ *   participants (with participant) and recordingChunks
+ * @returns {Promise<{fileId: string, url: string, durationMs: number, sizeBytes: number, chapters: Object[], plan: Object}>}
+ */
+async function mergeCallRecording(callType, call) {
+  const readyChunks = (call.recordingChunks || []).filter(chunk => chunk.status === 'ready');
+  const plan = planChunkMerge(readyChunks);
+  if (plan.parts.length === 0) {
+    throw new Error('Call has no recording chunks to merge');
+  }
+
+  // The initiator is on the call from the start; leaving ends it
+  const chapters = buildChapters(plan, [
+    { name: getMemberName(call.initiator), joinedAt: call.connectedAt || call.startedAt, leftAt: null },
+    ...call.participants.map(p => ({ name: getMemberName(p.participant), joinedAt: p.joinedAt, leftAt: p.leftAt })),
+  ]);
+
+  const groupKeyring = await groupKeysService.getGroupKeyring(call.groupId);
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), `merge_${call.callId}_`));
+  let merged;
+
+  try {
+    const filePaths = [];
+    for (const part of plan.parts) {
+      const filePath = path.join(tempDir, `chunk_${part.chunkIndex}`);
+      await fs.writeFile(filePath, await readFile(part.fileId, groupKeyring));
+      filePaths.push(filePath);
+    }
+
+    merged = await mediaProcessor.mergeRecording({
+      filePaths,
+      trims: plan.parts.map(part => part.trimStartMs),
+      mediaType: MEDIA_TYPES[callType],
+      chapters,
+      title: `${callType === 'phone' ? 'Phone' : 'Video'} call ${new Date(call.startedAt).toISOString()}`,
+    });
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+  }
+
+  if (!isMergeVerified({
+    expectedDurationMs: plan.durationMs,
+    durationMs: merged.durationMs,
+    expectedChapters: chapters.length,
+    chapterCount: merged.chapterCount,
+  })) {
+    throw new Error(`Merged recording doesn't match its chunks (${merged.durationMs}ms and ${merged.chapterCount} chapter(s), expected ${plan.durationMs}ms and ${chapters.length})`);
+  }
+
+  let fileBuffer = merged.buffer;
+  if (fileEncryption.isAvailable()) {
+    fileBuffer = fileEncryption.encryptFile(fileBuffer, groupKeyring);
+  }
+
+  const extension = merged.mimeType === 'video/mp4' ? 'mp4' : 'm4a';
+  const uploadResult = await storageService.uploadFile(fileBuffer, {
+    category: 'recordings',
+    userId: call.initiator.userId,
+    groupId: call.groupId,
+    originalName: `${callType}-call-${call.callId}.${extension}`,
+    mimeType: merged.mimeType,
+    size: fileBuffer.length,
+  });
+
+  try {
+    const stored = await readFile(uploadResult.fileId, groupKeyring);
+    if (!stored.equals(merged.buffer)) {
+      throw new Error('Stored recording does not match the merged file');
+    }
+  } catch (error) {
+    await storageService.hardDeleteFile(uploadResult.fileId).catch(() => {});
+    throw error;
+  }
+
+  return {
+    fileId: uploadResult.fileId,
+    url: uploadResult.url,
+    durationMs: merged.durationMs,
+    sizeBytes: fileBuffer.length,
+    chapters,
+    plan,
+  };
+}
+
+/**
+ * Move a call transcript's segments onto the merged recording
+ * @param {Object} transcript - Ready CallTranscript
+ * @param {Object} plan - From mergeCallRecording
+ * @param {string} groupId
+ * @returns {Promise<string>} The encrypted segments to store
+ */
+async function remapTranscript(transcript, plan, groupId) {
+  const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
+  const segments = remapTranscriptSegments(transcriptService.decryptSegments(transcript, groupKeyring), plan);
+  return encryptionService.encrypt(JSON.stringify(segments), groupKeyring);
+}
+
+module.exports = {
+  mergeCallRecording,
+  remapTranscript,
+};
@@ -5,113 +5,222 @@
  * Users who want to make recorded calls must wait in queue if the server
  * is at capacity.
  *
+ * The queue and the recording slots live in the database, so they survive
+ * restarts and are shared by every backend instance - the capacity limit
+ * holds however many instances run:
+ * - Each recording holds a lease (RecordingLease). The instance running the
+ *   recording renews it every LEASE_HEARTBEAT_INTERVAL_MS; if the instance
+ *   crashes, the lease expires after LEASE_TTL_MS and the slot frees up.
+ * - Waiting callers (RecordingQueueEntry) are served in the order they joined.
+ *   When it's their turn a slot is reserved for them until their call starts.
+ * - Slots are only handed out under a Postgres advisory lock, so two
+ *   instances can't both take the last one.
+ *
  * Features:
- * - Tracks active recordings count
+ * - Tracks active recordings across instances
  * - Queues users when at capacity
  * - Notifies support via email when users enter queue
- * - Auto-removes users after timeout
+ * - Auto-removes users after timeout, or when they stop polling
  * - Provides queue position to users
  */
 
+const os = require('os');
 const config = require('../config/recordingQueue.config');
+const { prisma } = require('../config/database');
 const { emailService } = require('./email');
+const jobScheduler = require('./jobScheduler.service');
+const {
+  countAvailableSlots,
+  isTurn,
+  canSkipQueue,
+  isQueueEntryStale,
+  estimateWaitTime,
+} = require('../utils/recordingQueue');
 
 /**
- * Queue entry structure
+ * Queue entry structure (RecordingQueueEntry)
  * @typedef {Object} QueueEntry
- * @property {string} odqueueId - Unique queue ID
- * @property {string} oduserId - User ID
- * @property {string} odgroupId - Group ID
- * @property {string} odcallType - 'video' or 'phone'
+ * @property {string} queueId - Unique queue ID
+ * @property {number} sequence - Join order across all instances
+ * @property {string} userId - User ID
+ * @property {string} groupId - Group ID
+ * @property {string} callType - 'video' or 'phone'
  * @property {string[]} participantIds - Intended call participants
  * @property {string} userDisplayName - Display name for notifications
- * @property {number} joinedAt - Timestamp when joined queue
- * @property {number} position - Position in queue (1-indexed)
+ * @property {Date} joinedAt - When joined queue
+ * @property {Date} lastSeenAt - When the caller last polled
  */
 
-// In-memory queue (ordered array)
-const recordingQueue = [];
+// Identifies the leases this instance holds. Set INSTANCE_ID to keep it
+// stable across restarts, so a restarted instance releases its old leases
+// on its first heartbeat instead of waiting for them to expire.
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
 
-// Track active recording count
-let activeRecordingCount = 0;
+// Key for the advisory lock that serialises slot hand-outs between instances
+const SLOT_LOCK_KEY = 7246130;
 
 // Last alert email timestamp (to prevent flooding)
 let lastAlertEmailTime = 0;
 
-// Cleanup interval handle
-let cleanupIntervalHandle = null;
+// Interval handle for lease heartbeats
+let heartbeatIntervalHandle = null;
+
+// Heartbeats in a row the recorder failed to answer, by lease ID
+const leaseCheckFailures = new Map();
 
 /**
  * Initialize the queue service
- * Sets up periodic cleanup of stale queue entries
+ * Registers the cleanup of stale queue entries as a scheduled job (once for
+ * all instances) and starts renewing this instance's leases
  */
 function initialize() {
-  if (cleanupIntervalHandle) {
-    clearInterval(cleanupIntervalHandle);
+  if (heartbeatIntervalHandle) {
+    clearInterval(heartbeatIntervalHandle);
   }
 
-  cleanupIntervalHandle = setInterval(() => {
-    cleanupStaleEntries();
-  }, config.QUEUE_CLEANUP_INTERVAL_MS);
+  jobScheduler.defineJob({
+    name: 'recording-queue-cleanup',
+    schedule: '* * * * *',
+    description: 'Removes timed-out recording queue entries and expired recording slots',
+    handler: cleanupStaleEntries,
+  });
+
+  heartbeatIntervalHandle = setInterval(() => {
+    renewHeldLeases().catch(error => {
+      console.error('[RecordingQueue] Lease heartbeat failed:', error.message);
+    });
+  }, config.LEASE_HEARTBEAT_INTERVAL_MS);
 
-  console.log(`[RecordingQueue] Initialized. Max concurrent recordings: ${config.MAX_CONCURRENT_RECORDINGS}`);
+  console.log(`[RecordingQueue] Initialized. Max concurrent recordings: ${config.MAX_CONCURRENT_RECORDINGS} (instance ${INSTANCE_ID})`);
 }
 
 /**
- * Clean up entries that have been in queue too long
+ * Where-clause for queue entries that are still waiting
+ * @param {Date} now
+ * @returns {Object}
  */
-function cleanupStaleEntries() {
-  const now = Date.now();
-  const cutoff = now - config.QUEUE_TIMEOUT_MS;
+function liveEntriesWhere(now) {
+  return {
+    joinedAt: { gt: new Date(now.getTime() - config.QUEUE_TIMEOUT_MS) },
+    lastSeenAt: { gt: new Date(now.getTime() - config.QUEUE_HEARTBEAT_TIMEOUT_MS) },
+  };
+}
 
-  const staleEntries = recordingQueue.filter(entry => entry.joinedAt < cutoff);
+/**
+ * Whether a queue entry is still waiting
+ * @param {Object|null} entry
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isLive(entry, now) {
+  return !!entry && !isQueueEntryStale(entry, now, {
+    timeoutMs: config.QUEUE_TIMEOUT_MS,
+    heartbeatTimeoutMs: config.QUEUE_HEARTBEAT_TIMEOUT_MS,
+  });
+}
 
-  if (staleEntries.length > 0) {
-    console.log(`[RecordingQueue] Removing ${staleEntries.length} stale queue entries`);
+/**
+ * Run a function while holding the slot lock
+ * @param {function(Object): Promise<*>} fn - Called with the transaction client
+ * @returns {Promise<*>}
+ */
+function withSlotLock(fn) {
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(${SLOT_LOCK_KEY}::bigint)`;
+    return fn(tx);
+  });
+}
 
-    for (const entry of staleEntries) {
-      const index = recordingQueue.findIndex(e => e.queueId === entry.queueId);
-      if (index !== -1) {
-        recordingQueue.splice(index, 1);
-      }
-    }
+/**
+ * Count unexpired leases and waiting callers
+ * @param {Object} client - Prisma client or transaction
+ * @param {Date} now
+ * @returns {Promise<{liveLeases: number, waiting: number, availableSlots: number}>}
+ */
+async function countSlots(client, now) {
+  const [liveLeases, waiting] = await Promise.all([
+    client.recordingLease.count({ where: { expiresAt: { gt: now } } }),
+    client.recordingQueueEntry.count({ where: liveEntriesWhere(now) }),
+  ]);
 
-    // Update positions for remaining entries
-    updatePositions();
-  }
+  return {
+    liveLeases,
+    waiting,
+    availableSlots: countAvailableSlots(config.MAX_CONCURRENT_RECORDINGS, liveLeases),
+  };
 }
 
 /**
- * Update position numbers for all queue entries
+ * 1-indexed position of an entry among the callers still waiting
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} entry
+ * @param {Date} now
+ * @returns {Promise<number>}
  */
-function updatePositions() {
-  recordingQueue.forEach((entry, index) => {
-    entry.position = index + 1;
+function getPosition(client, entry, now) {
+  return client.recordingQueueEntry.count({
+    where: { ...liveEntriesWhere(now), sequence: { lte: entry.sequence } },
   });
 }
 
+/**
+ * Remove queue entries that timed out or whose caller stopped polling,
+ * and leases that expired (reservations not used, crashed instances)
+ * @returns {Promise<{staleEntries: number, expiredLeases: number}>}
+ */
+async function cleanupStaleEntries() {
+  const now = new Date();
+
+  const [staleEntries, expiredLeases] = await Promise.all([
+    prisma.recordingQueueEntry.deleteMany({
+      where: {
+        OR: [
+          { joinedAt: { lte: new Date(now.getTime() - config.QUEUE_TIMEOUT_MS) } },
+          { lastSeenAt: { lte: new Date(now.getTime() - config.QUEUE_HEARTBEAT_TIMEOUT_MS) } },
+        ],
+      },
+    }),
+    prisma.recordingLease.deleteMany({
+      where: { expiresAt: { lte: now } },
+    }),
+  ]);
+
+  if (staleEntries.count > 0) {
+    console.log(`[RecordingQueue] Removed ${staleEntries.count} stale queue entries`);
+  }
+  if (expiredLeases.count > 0) {
+    console.log(`[RecordingQueue] Released ${expiredLeases.count} expired recording slot(s)`);
+  }
+
+  return { staleEntries: staleEntries.count, expiredLeases: expiredLeases.count };
+}
+
 /**
  * Get current queue status
- * @returns {Object} Queue status information
+ * @returns {Promise<Object>} Queue status information
  */
-function getQueueStatus() {
+async function getQueueStatus() {
+  const { liveLeases, waiting, availableSlots } = await countSlots(prisma, new Date());
+
   return {
-    activeRecordings: activeRecordingCount,
+    activeRecordings: liveLeases,
     maxConcurrent: config.MAX_CONCURRENT_RECORDINGS,
-    queueLength: recordingQueue.length,
-    availableSlots: Math.max(0, config.MAX_CONCURRENT_RECORDINGS - activeRecordingCount),
-    isAtCapacity: activeRecordingCount >= config.MAX_CONCURRENT_RECORDINGS,
+    queueLength: waiting,
+    availableSlots,
+    // Also true while others are waiting for the free slots
+    isAtCapacity: !canSkipQueue(availableSlots, waiting),
   };
 }
 
 /**
  * Check if a user needs to queue for a recorded call
  * @param {string} callType - 'video' or 'phone'
- * @returns {boolean} True if user needs to queue
+ * @returns {Promise<boolean>} True if user needs to queue
  */
-function needsToQueue(callType) {
+async function needsToQueue(callType) {
   // Only recorded calls need to queue
-  return activeRecordingCount >= config.MAX_CONCURRENT_RECORDINGS;
+  const status = await getQueueStatus();
+  return status.isAtCapacity;
 }
 
 /**
@@ -123,73 +232,98 @@ function needsToQueue(callType) {
  * @param {string[]} options.participantIds - Intended call participants
  * @param {string} options.userDisplayName - Display name for notifications
  * @param {string} options.userEmail - User's email address
- * @returns {Object} Queue entry with position
+ * @returns {Promise<Object>} Queue entry with position
  */
 async function joinQueue({ userId, groupId, callType, participantIds, userDisplayName, userEmail }) {
+  const now = new Date();
+
   // Check if user is already in queue
-  const existingEntry = recordingQueue.find(
-    e => e.userId === userId && e.callType === callType
-  );
+  const existingEntry = await prisma.recordingQueueEntry.findUnique({
+    where: { userId_callType: { userId, callType } },
+  });
+
+  if (isLive(existingEntry, now)) {
+    await prisma.recordingQueueEntry.update({
+      where: { queueId: existingEntry.queueId },
+      data: { lastSeenAt: now },
+    });
 
-  if (existingEntry) {
     return {
       success: true,
       queueId: existingEntry.queueId,
-      position: existingEntry.position,
-      totalInQueue: recordingQueue.length,
+      position: await getPosition(prisma, existingEntry, now),
+      totalInQueue: await prisma.recordingQueueEntry.count({ where: liveEntriesWhere(now) }),
       message: 'Already in queue',
     };
   }
 
-  const queueId = `queue-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-
-  const entry = {
-    queueId,
-    userId,
-    groupId,
-    callType,
-    participantIds,
-    userDisplayName,
-    userEmail,
-    joinedAt: Date.now(),
-    position: recordingQueue.length + 1,
-  };
+  // Rejoining after timing out goes to the back of the queue
+  if (existingEntry) {
+    await prisma.recordingQueueEntry.deleteMany({ where: { queueId: existingEntry.queueId } });
+  }
 
-  recordingQueue.push(entry);
+  let entry;
+  try {
+    entry = await prisma.recordingQueueEntry.create({
+      data: {
+        userId,
+        groupId,
+        callType,
+        participantIds: participantIds || [],
+        userDisplayName,
+        userEmail: userEmail || null,
+        joinedAt: now,
+        lastSeenAt: now,
+      },
+    });
+  } catch (error) {
+    // Joined meanwhile from another request
+    if (error.code !== 'P2002') throw error;
+    entry = await prisma.recordingQueueEntry.findUnique({
+      where: { userId_callType: { userId, callType } },
+    });
+  }
+
+  const position = await getPosition(prisma, entry, now);
+  const totalInQueue = await prisma.recordingQueueEntry.count({ where: liveEntriesWhere(now) });
 
-  console.log(`[RecordingQueue] User ${userDisplayName} joined queue. Position: ${entry.position}. Queue length: ${recordingQueue.length}`);
+  console.log(`[RecordingQueue] User ${userDisplayName} joined queue. Position: ${position}. Queue length: ${totalInQueue}`);
 
   // Send alert email (throttled)
-  await sendQueueAlertEmail(entry);
+  await sendQueueAlertEmail({ ...entry, position });
 
   return {
     success: true,
     queueId: entry.queueId,
-    position: entry.position,
-    totalInQueue: recordingQueue.length,
-    estimatedWaitMinutes: estimateWaitTime(entry.position),
+    position,
+    totalInQueue,
+    estimatedWaitMinutes: estimateWaitTime(position, config.MAX_CONCURRENT_RECORDINGS),
   };
 }
 
 /**
  * Remove a user from the queue
+ * Also gives back a slot reserved for them that they didn't use.
  * @param {string} queueId - Queue entry ID
- * @returns {Object} Result
+ * @param {string} userId - User ID (must own the entry)
+ * @returns {Promise<Object>} Result
  */
-function leaveQueue(queueId) {
-  const index = recordingQueue.findIndex(e => e.queueId === queueId);
+async function leaveQueue(queueId, userId) {
+  const entry = await prisma.recordingQueueEntry.findUnique({ where: { queueId } });
 
-  if (index === -1) {
-    return { success: false, message: 'Queue entry not found' };
+  if (!entry || entry.userId !== userId) {
+    // Their turn may already have come - give back the reserved slot
+    const released = await prisma.recordingLease.deleteMany({
+      where: { leaseId: queueId, userId, status: 'reserved' },
+    });
+    return released.count > 0
+      ? { success: true, message: 'Reserved slot released' }
+      : { success: false, message: 'Queue entry not found' };
   }
 
-  const entry = recordingQueue[index];
-  recordingQueue.splice(index, 1);
-
-  // Update positions for remaining entries
-  updatePositions();
+  await prisma.recordingQueueEntry.deleteMany({ where: { queueId } });
 
-  console.log(`[RecordingQueue] User ${entry.userDisplayName} left queue. Remaining: ${recordingQueue.length}`);
+  console.log(`[RecordingQueue] User ${entry.userDisplayName} left queue`);
 
   return { success: true, message: 'Removed from queue' };
 }
@@ -198,39 +332,52 @@ function leaveQueue(queueId) {
  * Leave queue by user ID (for when user navigates away)
  * @param {string} userId - User ID
  * @param {string} callType - 'video' or 'phone'
- * @returns {Object} Result
+ * @returns {Promise<Object>} Result
  */
-function leaveQueueByUser(userId, callType) {
-  const entry = recordingQueue.find(
-    e => e.userId === userId && e.callType === callType
-  );
+async function leaveQueueByUser(userId, callType) {
+  const entry = await prisma.recordingQueueEntry.findUnique({
+    where: { userId_callType: { userId, callType } },
+  });
 
   if (!entry) {
     return { success: false, message: 'Not in queue' };
   }
 
-  return leaveQueue(entry.queueId);
+  return leaveQueue(entry.queueId, userId);
 }
 
 /**
  * Get a user's queue position
+ * Counts as the caller still waiting.
  * @param {string} queueId - Queue entry ID
- * @returns {Object|null} Queue status or null if not found
+ * @param {string} userId - User ID (must own the entry)
+ * @returns {Promise<Object|null>} Queue status or null if not found
  */
-function getQueuePosition(queueId) {
-  const entry = recordingQueue.find(e => e.queueId === queueId);
+async function getQueuePosition(queueId, userId) {
+  const now = new Date();
+  const entry = await prisma.recordingQueueEntry.findUnique({ where: { queueId } });
 
-  if (!entry) {
+  if (!isLive(entry, now) || entry.userId !== userId) {
     return null;
   }
 
+  await prisma.recordingQueueEntry.update({
+    where: { queueId },
+    data: { lastSeenAt: now },
+  });
+
+  const [position, { liveLeases, waiting }] = await Promise.all([
+    getPosition(prisma, entry, now),
+    countSlots(prisma, now),
+  ]);
+
   return {
     queueId: entry.queueId,
-    position: entry.position,
-    totalInQueue: recordingQueue.length,
-    joinedAt: entry.joinedAt,
-    estimatedWaitMinutes: estimateWaitTime(entry.position),
-    activeRecordings: activeRecordingCount,
+    position,
+    totalInQueue: waiting,
+    joinedAt: entry.joinedAt.getTime(),
+    estimatedWaitMinutes: estimateWaitTime(position, config.MAX_CONCURRENT_RECORDINGS),
+    activeRecordings: liveLeases,
     maxConcurrent: config.MAX_CONCURRENT_RECORDINGS,
   };
 }
@@ -239,89 +386,235 @@ function getQueuePosition(queueId) {
  * Get queue entry by user
  * @param {string} userId - User ID
  * @param {string} callType - 'video' or 'phone'
- * @returns {Object|null} Queue entry or null
- */
-function getQueueEntryByUser(userId, callType) {
-  return recordingQueue.find(
-    e => e.userId === userId && e.callType === callType
-  ) || null;
-}
-
-/**
- * Check if it's the user's turn (first in queue and slot available)
- * @param {string} queueId - Queue entry ID
- * @returns {Object} Turn status
+ * @returns {Promise<Object|null>} Queue entry (with position) or null
  */
-function checkTurn(queueId) {
-  const entry = recordingQueue.find(e => e.queueId === queueId);
+async function getQueueEntryByUser(userId, callType) {
+  const now = new Date();
+  const entry = await prisma.recordingQueueEntry.findUnique({
+    where: { userId_callType: { userId, callType } },
+  });
 
-  if (!entry) {
-    return { isYourTurn: false, error: 'Not in queue' };
+  if (!isLive(entry, now)) {
+    return null;
   }
 
-  const isFirstInQueue = entry.position === 1;
-  const hasAvailableSlot = activeRecordingCount < config.MAX_CONCURRENT_RECORDINGS;
-
   return {
-    isYourTurn: isFirstInQueue && hasAvailableSlot,
-    position: entry.position,
-    totalInQueue: recordingQueue.length,
-    activeRecordings: activeRecordingCount,
-    maxConcurrent: config.MAX_CONCURRENT_RECORDINGS,
+    ...entry,
+    joinedAt: entry.joinedAt.getTime(),
+    position: await getPosition(prisma, entry, now),
   };
 }
 
 /**
- * Called when a recorded call starts - increment active count
- * Also removes the user from queue if they were in it
- * @param {string} userId - User ID (optional, to remove from queue)
- * @param {string} callType - 'video' or 'phone'
+ * Check if it's the user's turn, and if so reserve a slot for them
+ *
+ * The reservation has the entry's queueId as its leaseId and lasts
+ * RESERVATION_TTL_MS; starting the call's recording turns it into the
+ * recording's lease. Counts as the caller still waiting.
+ *
+ * @param {string} queueId - Queue entry ID
+ * @param {string} userId - User ID (must own the entry)
+ * @returns {Promise<Object>} Turn status
  */
-function recordingStarted(userId, callType) {
-  activeRecordingCount++;
-  console.log(`[RecordingQueue] Recording started. Active: ${activeRecordingCount}/${config.MAX_CONCURRENT_RECORDINGS}`);
+async function checkTurn(queueId, userId) {
+  return withSlotLock(async (tx) => {
+    const now = new Date();
+    const entry = await tx.recordingQueueEntry.findUnique({ where: { queueId } });
+
+    if (!isLive(entry, now) || entry.userId !== userId) {
+      // Already reserved by an earlier check
+      const reservation = await tx.recordingLease.findFirst({
+        where: { leaseId: queueId, userId, status: 'reserved', expiresAt: { gt: now } },
+      });
+      if (reservation) {
+        return {
+          isYourTurn: true,
+          position: 0,
+          totalInQueue: await tx.recordingQueueEntry.count({ where: liveEntriesWhere(now) }),
+          maxConcurrent: config.MAX_CONCURRENT_RECORDINGS,
+        };
+      }
+      return { isYourTurn: false, error: 'Not in queue' };
+    }
 
-  // Remove user from queue if they were in it
-  if (userId) {
-    leaveQueueByUser(userId, callType);
-  }
+    await tx.recordingQueueEntry.update({
+      where: { queueId },
+      data: { lastSeenAt: now },
+    });
+
+    const position = await getPosition(tx, entry, now);
+    const { liveLeases, waiting, availableSlots } = await countSlots(tx, now);
+
+    if (isTurn(position, availableSlots)) {
+      await tx.recordingLease.create({
+        data: {
+          leaseId: entry.queueId,
+          status: 'reserved',
+          userId: entry.userId,
+          groupId: entry.groupId,
+          callType: entry.callType,
+          acquiredAt: now,
+          heartbeatAt: now,
+          expiresAt: new Date(now.getTime() + config.RESERVATION_TTL_MS),
+        },
+      });
+      await tx.recordingQueueEntry.delete({ where: { queueId } });
+
+      console.log(`[RecordingQueue] Reserved a recording slot for ${entry.userDisplayName}`);
+
+      return {
+        isYourTurn: true,
+        position,
+        totalInQueue: waiting - 1,
+        activeRecordings: liveLeases + 1,
+        maxConcurrent: config.MAX_CONCURRENT_RECORDINGS,
+      };
+    }
+
+    return {
+      isYourTurn: false,
+      position,
+      totalInQueue: waiting,
+      activeRecordings: liveLeases,
+      maxConcurrent: config.MAX_CONCURRENT_RECORDINGS,
+    };
+  });
 }
 
 /**
- * Called when a recorded call ends - decrement active count
+ * Take a recording slot for a call that is starting to record
+ *
+ * Uses the slot reserved for the user when their turn came, if any.
+ * Otherwise takes a free slot, unless callers in the queue are waiting for it.
+ * Taking a slot for a call that already has one returns the existing lease.
+ *
+ * @param {Object} options
+ * @param {string} options.callType - 'video' or 'phone'
+ * @param {string} options.callId - Call ID
+ * @param {string} options.groupId - Group ID
+ * @param {string} [options.userId] - User starting the call
+ * @returns {Promise<Object|null>} The RecordingLease, or null when at capacity
  */
-function recordingEnded() {
-  activeRecordingCount = Math.max(0, activeRecordingCount - 1);
-  console.log(`[RecordingQueue] Recording ended. Active: ${activeRecordingCount}/${config.MAX_CONCURRENT_RECORDINGS}`);
+async function acquireRecordingLease({ callType, callId, groupId, userId }) {
+  return withSlotLock(async (tx) => {
+    const now = new Date();
+    const active = {
+      status: 'active',
+      callId,
+      groupId,
+      holder: INSTANCE_ID,
+      heartbeatAt: now,
+      expiresAt: new Date(now.getTime() + config.LEASE_TTL_MS),
+    };
+
+    const existing = await tx.recordingLease.findUnique({
+      where: { callType_callId: { callType, callId } },
+    });
+    if (existing && existing.expiresAt > now) {
+      return existing;
+    }
+    if (existing) {
+      await tx.recordingLease.delete({ where: { leaseId: existing.leaseId } });
+    }
+
+    if (userId) {
+      const reservation = await tx.recordingLease.findFirst({
+        where: { status: 'reserved', userId, callType, expiresAt: { gt: now } },
+        orderBy: { acquiredAt: 'asc' },
+      });
+      if (reservation) {
+        return tx.recordingLease.update({
+          where: { leaseId: reservation.leaseId },
+          data: active,
+        });
+      }
+    }
+
+    const { availableSlots, waiting } = await countSlots(tx, now);
+    if (!canSkipQueue(availableSlots, waiting)) {
+      return null;
+    }
+
+    const lease = await tx.recordingLease.create({
+      data: { ...active, userId: userId || null, callType, acquiredAt: now },
+    });
+
+    // Got a slot without waiting for their turn
+    if (userId) {
+      await tx.recordingQueueEntry.deleteMany({ where: { userId, callType } });
+    }
+
+    return lease;
+  });
 }
 
 /**
- * Sync active recording count with actual puppeteer sessions
- * Call this on server startup and periodically
- * @param {number} actualCount - Actual number of active recordings
+ * Give back a call's recording slot
+ * @param {string} callType - 'video' or 'phone'
+ * @param {string} callId - Call ID
+ * @returns {Promise<void>}
  */
-function syncActiveCount(actualCount) {
-  const previousCount = activeRecordingCount;
-  activeRecordingCount = actualCount;
+async function releaseRecordingLease(callType, callId) {
+  const released = await prisma.recordingLease.deleteMany({
+    where: { callType, callId },
+  });
 
-  if (previousCount !== actualCount) {
-    console.log(`[RecordingQueue] Synced active count: ${previousCount} -> ${actualCount}`);
+  if (released.count > 0) {
+    console.log(`[RecordingQueue] Released recording slot for ${callType}-${callId}`);
   }
 }
 
 /**
- * Estimate wait time based on queue position
- * @param {number} position - Position in queue
- * @returns {number} Estimated minutes to wait
+ * Heartbeat the leases of recordings running on this instance
+ *
+ * Renews leases whose recording is still running and releases the rest -
+ * recordings that ended without being stopped through the API, and leases
+ * left over from before a restart. A lease gets LEASE_TTL_MS to start
+ * recording before it can be released.
+ *
+ * When the recorder can't be asked (timeout, HTTP error) the lease is renewed
+ * anyway, and only released after LEASE_CHECK_MAX_FAILURES such heartbeats
+ * in a row.
  */
-function estimateWaitTime(position) {
-  // Rough estimate: assume average call duration of 10 minutes
-  // and that slots become available as calls end
-  const averageCallMinutes = 10;
-  const slotsAvailable = config.MAX_CONCURRENT_RECORDINGS;
-
-  // Simplified estimate: (position / slots) * average call duration
-  return Math.ceil((position / slotsAvailable) * averageCallMinutes);
+async function renewHeldLeases() {
+  // Lazy loaded: recorder.service uses this service
+  const recorderService = require('./recorder.service');
+  const now = new Date();
+
+  const leases = await prisma.recordingLease.findMany({
+    where: { holder: INSTANCE_ID, status: 'active' },
+  });
+
+  // Forget leases that were released in the meantime
+  const heldIds = new Set(leases.map(lease => lease.leaseId));
+  for (const leaseId of leaseCheckFailures.keys()) {
+    if (!heldIds.has(leaseId)) {
+      leaseCheckFailures.delete(leaseId);
+    }
+  }
+
+  for (const lease of leases) {
+    let stillRecording = await recorderService.checkRecording(lease.callId, lease.callType);
+
+    if (stillRecording === null) {
+      const failures = (leaseCheckFailures.get(lease.leaseId) || 0) + 1;
+      leaseCheckFailures.set(lease.leaseId, failures);
+      console.warn(`[RecordingQueue] Could not check recording ${lease.callType}-${lease.callId} (${failures}/${config.LEASE_CHECK_MAX_FAILURES})`);
+      stillRecording = failures < config.LEASE_CHECK_MAX_FAILURES;
+    } else {
+      leaseCheckFailures.delete(lease.leaseId);
+    }
+
+    if (stillRecording) {
+      await prisma.recordingLease.updateMany({
+        where: { leaseId: lease.leaseId, holder: INSTANCE_ID },
+        data: { heartbeatAt: now, expiresAt: new Date(now.getTime() + config.LEASE_TTL_MS) },
+      });
+    } else if (lease.acquiredAt.getTime() <= now.getTime() - config.LEASE_TTL_MS) {
+      leaseCheckFailures.delete(lease.leaseId);
+      await releaseRecordingLease(lease.callType, lease.callId);
+    }
+  }
 }
 
 /**
@@ -331,7 +624,7 @@ function estimateWaitTime(position) {
 async function sendQueueAlertEmail(entry) {
   const now = Date.now();
 
-  // Check cooldown to prevent email flooding
+  // Check cooldown to prevent email flooding (per instance)
   if (now - lastAlertEmailTime < config.QUEUE_ALERT_COOLDOWN_MS) {
     console.log('[RecordingQueue] Skipping alert email (cooldown active)');
     return;
@@ -339,12 +632,12 @@ async function sendQueueAlertEmail(entry) {
 
   lastAlertEmailTime = now;
 
-  const status = getQueueStatus();
+  const status = await getQueueStatus();
 
   try {
     await emailService.sendEmail({
       to: config.QUEUE_ALERT_EMAIL,
-      subject: `[Family Helper] Recording Queue Alert - ${recordingQueue.length} user(s) waiting`,
+      subject: `[Family Helper] Recording Queue Alert - ${status.queueLength} user(s) waiting`,
       text: `
 Recording Queue Alert
 =====================
@@ -420,23 +713,48 @@ Current setting: ${config.MAX_CONCURRENT_RECORDINGS} concurrent recordings
 
 /**
  * Get full queue info (for admin/debugging)
- * @returns {Object} Full queue state
+ * @returns {Promise<Object>} Full queue state
  */
-function getFullQueueInfo() {
+async function getFullQueueInfo() {
+  const now = new Date();
+  const [status, entries, leases] = await Promise.all([
+    getQueueStatus(),
+    prisma.recordingQueueEntry.findMany({
+      where: liveEntriesWhere(now),
+      orderBy: { sequence: 'asc' },
+    }),
+    prisma.recordingLease.findMany({
+      where: { expiresAt: { gt: now } },
+      orderBy: { acquiredAt: 'asc' },
+    }),
+  ]);
+
   return {
     config: {
       maxConcurrent: config.MAX_CONCURRENT_RECORDINGS,
       alertEmail: config.QUEUE_ALERT_EMAIL,
       timeoutMs: config.QUEUE_TIMEOUT_MS,
+      leaseTtlMs: config.LEASE_TTL_MS,
     },
-    status: getQueueStatus(),
-    queue: recordingQueue.map(e => ({
+    instanceId: INSTANCE_ID,
+    status,
+    queue: entries.map((e, index) => ({
       queueId: e.queueId,
-      position: e.position,
+      position: index + 1,
       callType: e.callType,
       userDisplayName: e.userDisplayName,
-      joinedAt: e.joinedAt,
-      waitingMs: Date.now() - e.joinedAt,
+      joinedAt: e.joinedAt.getTime(),
+      waitingMs: now.getTime() - e.joinedAt.getTime(),
+    })),
+    leases: leases.map(l => ({
+      leaseId: l.leaseId,
+      status: l.status,
+      callType: l.callType,
+      callId: l.callId,
+      holder: l.holder,
+      acquiredAt: l.acquiredAt.getTime(),
+      heartbeatAt: l.heartbeatAt.getTime(),
+      expiresAt: l.expiresAt.getTime(),
     })),
   };
 }
@@ -453,9 +771,10 @@ module.exports = {
   getQueuePosition,
   getQueueEntryByUser,
   checkTurn,
-  recordingStarted,
-  recordingEnded,
-  syncActiveCount,
+  acquireRecordingLease,
+  releaseRecordingLease,
+  renewHeldLeases,
+  cleanupStaleEntries,
   getFullQueueInfo,
   initialize,
 };
@@ -0,0 +1,252 @@
+/**
+ * Re-encryption Service
+ *
+ * Moves stored group data onto the group's data key: message content, edit
+ * history, drafts and scheduled messages, wiki documents, wiki revisions, call
+ * transcripts and call recordings (full recordings and recording chunks).
+ *
+ * scripts/reencrypt-data.js runs it over every group after upgrading or
+ * rotating keys. Deleting a group runs it over that group before its key is
+ * destroyed (see services/groupKeys.service.js), so data still encrypted with
+ * the master keys is shredded with the rest.
+ *
+ * @module services/reencryption
+ */
+
+const { prisma } = require('../config/database');
+const encryptionService = require('./encryption.service');
+const fileEncryption = require('./fileEncryption.service');
+
+// Rows loaded per query
+const BATCH_SIZE = 200;
+
+// Encrypted text columns, with how to find each row's group
+const TEXT_TARGETS = {
+  messages: {
+    model: 'message',
+    idField: 'messageId',
+    fields: ['content'],
+    groupSelect: { messageGroup: { select: { groupId: true } } },
+    getGroupId: row => row.messageGroup.groupId,
+    groupWhere: groupId => ({ messageGroup: { groupId } }),
+  },
+  messageRevisions: {
+    model: 'messageRevision',
+    idField: 'revisionId',
+    fields: ['content'],
+    groupSelect: { message: { select: { messageGroup: { select: { groupId: true } } } } },
+    getGroupId: row => row.message.messageGroup.groupId,
+    groupWhere: groupId => ({ message: { messageGroup: { groupId } } }),
+  },
+  drafts: {
+    model: 'messageDraft',
+    idField: 'draftId',
+    fields: ['content'],
+    groupSelect: { messageGroup: { select: { groupId: true } } },
+    getGroupId: row => row.messageGroup.groupId,
+    groupWhere: groupId => ({ messageGroup: { groupId } }),
+  },
+  scheduledMessages: {
+    model: 'scheduledMessage',
+    idField: 'scheduledMessageId',
+    fields: ['content'],
+    groupSelect: { messageGroup: { select: { groupId: true } } },
+    getGroupId: row => row.messageGroup.groupId,
+    groupWhere: groupId => ({ messageGroup: { groupId } }),
+  },
+  wiki: {
+    model: 'wikiDocument',
+    idField: 'documentId',
+    fields: ['title', 'content'],
+    groupSelect: { groupId: true },
+    getGroupId: row => row.groupId,
+    groupWhere: groupId => ({ groupId }),
+  },
+  revisions: {
+    model: 'wikiRevision',
+    idField: 'revisionId',
+    fields: ['title', 'content'],
+    groupSelect: { document: { select: { groupId: true } } },
+    getGroupId: row => row.document.groupId,
+    groupWhere: groupId => ({ document: { groupId } }),
+  },
+  callTranscripts: {
+    model: 'callTranscript',
+    idField: 'transcriptId',
+    fields: ['segments'],
+    groupSelect: { groupId: true },
+    getGroupId: row => row.groupId,
+    groupWhere: groupId => ({ groupId }),
+  },
+};
+
+// Rows that reference encrypted files in storage
+const callGroup = {
+  groupSelect: { groupId: true },
+  getGroupId: row => row.groupId,
+  groupWhere: groupId => ({ groupId }),
+};
+const chunkGroup = {
+  groupSelect: { call: { select: { groupId: true } } },
+  getGroupId: row => row.call.groupId,
+  groupWhere: groupId => ({ call: { groupId } }),
+};
+const FILE_TARGETS = {
+  recordings: [
+    { model: 'phoneCall', idField: 'callId', fileField: 'recordingFileId', ...callGroup },
+    { model: 'videoCall', idField: 'callId', fileField: 'recordingFileId', ...callGroup },
+    { model: 'phoneCallRecordingChunk', idField: 'chunkId', fileField: 'fileId', ...chunkGroup },
+    { model: 'videoCallRecordingChunk', idField: 'chunkId', fileField: 'fileId', ...chunkGroup },
+  ],
+};
+
+/**
+ * Re-encrypt the text columns of one row with a group's key ring
+ * A row that changed since it was loaded is left alone (the app already saved
+ * it with the active key).
+ *
+ * @param {Object} target - Entry of TEXT_TARGETS
+ * @param {Object} row - Row with the target's ID and fields
+ * @param {Object} keyring - Group key ring
+ * @param {boolean} [dryRun] - Only check whether the row needs it
+ * @returns {Promise<'reencrypted'|'changed'|'skipped'>}
+ * @throws {Error} If a field cannot be decrypted
+ */
+async function reencryptTextRow(target, row, keyring, dryRun = false) {
+  const { model, idField, fields } = target;
+
+  const data = {};
+  for (const field of fields) {
+    if (encryptionService.needsReencryption(row[field], keyring)) {
+      data[field] = encryptionService.reencrypt(row[field], keyring);
+    }
+  }
+
+  if (Object.keys(data).length === 0) {
+    return 'skipped';
+  }
+  if (dryRun) {
+    return 'reencrypted';
+  }
+
+  // Only update if the row still holds the values that were re-encrypted
+  const result = await prisma[model].updateMany({
+    where: {
+      [idField]: row[idField],
+      ...Object.fromEntries(Object.keys(data).map(field => [field, row[field]])),
+    },
+    data,
+  });
+
+  return result.count === 1 ? 'reencrypted' : 'changed';
+}
+
+/**
+ * Re-encrypt the stored file of one row with a group's key ring
+ *
+ * @param {Object} target - Entry of FILE_TARGETS
+ * @param {Object} row - Row with the target's ID and file field
+ * @param {Object} keyring - Group key ring
+ * @param {Object} storageService
+ * @param {boolean} [dryRun] - Only check whether the file needs it
+ * @returns {Promise<'reencrypted'|'skipped'>}
+ * @throws {Error} If the file cannot be read, decrypted or replaced
+ */
+async function reencryptFileRow(target, row, keyring, storageService, dryRun = false) {
+  const fileId = row[target.fileField];
+  if (!fileId) {
+    return 'skipped';
+  }
+
+  const fileBuffer = await storageService.getFile(fileId);
+  if (!fileEncryption.needsReencryption(fileBuffer, keyring)) {
+    return 'skipped';
+  }
+
+  if (!dryRun) {
+    const decrypted = fileEncryption.decryptFile(fileBuffer, keyring);
+    await storageService.replaceFile(fileId, fileEncryption.encryptFile(decrypted, keyring));
+  }
+  return 'reencrypted';
+}
+
+/**
+ * Call a function for each of a group's rows of one table, in batches
+ * Rows it fails on are counted and logged, and the rest carry on.
+ *
+ * @param {Object} target - Entry of TEXT_TARGETS or FILE_TARGETS
+ * @param {string} groupId
+ * @param {string[]} fields - Fields to load besides the ID
+ * @param {Function} handle - Called with each row, returns an outcome
+ * @param {{reencrypted: number, changed: number, failed: number}} counts - Updated in place
+ */
+async function forEachGroupRow(target, groupId, fields, handle, counts) {
+  const { model, idField } = target;
+  let cursor = null;
+
+  for (;;) {
+    const rows = await prisma[model].findMany({
+      where: {
+        ...target.groupWhere(groupId),
+        ...(cursor && { [idField]: { gt: cursor } }),
+      },
+      select: Object.fromEntries([idField, ...fields].map(field => [field, true])),
+      orderBy: { [idField]: 'asc' },
+      take: BATCH_SIZE,
+    });
+
+    if (rows.length === 0) {
+      return;
+    }
+
+    for (const row of rows) {
+      try {
+        const outcome = await handle(row);
+        if (outcome !== 'skipped') {
+          counts[outcome]++;
+        }
+      } catch (error) {
+        counts.failed++;
+        console.error(`[reencryption] ${model} ${row[idField]}: ${error.message}`);
+      }
+    }
+
+    cursor = rows[rows.length - 1][idField];
+  }
+}
+
+/**
+ * Re-encrypt all of one group's data with a key ring
+ * Recordings are only checked when file encryption is configured.
+ *
+ * @param {string} groupId
+ * @param {Object} keyring - Key ring to move the data onto
+ * @returns {Promise<{reencrypted: number, changed: number, failed: number}>}
+ */
+async function reencryptGroupData(groupId, keyring) {
+  const counts = { reencrypted: 0, changed: 0, failed: 0 };
+
+  for (const target of Object.values(TEXT_TARGETS)) {
+    await forEachGroupRow(target, groupId, target.fields,
+      row => reencryptTextRow(target, row, keyring), counts);
+  }
+
+  if (fileEncryption.isAvailable()) {
+    // Loaded here so text-only callers don't need storage configured
+    const { storageService } = require('./storage');
+    for (const target of Object.values(FILE_TARGETS).flat()) {
+      await forEachGroupRow(target, groupId, [target.fileField],
+        row => reencryptFileRow(target, row, keyring, storageService), counts);
+    }
+  }
+
+  return counts;
+}
+
+module.exports = {
+  TEXT_TARGETS,
+  FILE_TARGETS,
+  reencryptTextRow,
+  reencryptFileRow,
+  reencryptGroupData,
+};
@@ -0,0 +1,103 @@
+/**
+ * Relationship Service
+ *
+ * Applies relationship changes between group members. Changes are applied
+ * straight away when no admin approval is needed, or by executeApprovedAction
+ * once an 'assign_relationship' or 'change_relationship' approval passes, so
+ * both paths share the same approvalData shape:
+ *   { operation: 'create' | 'update' | 'delete', relationshipId?, memberId1,
+ *     memberId2, relationshipType, member1Name, member2Name, previousType? }
+ *
+ * @module services/relationship
+ */
+
+const { prisma } = require('../config/database');
+const { normalizeMembers, describeRelationship } = require('../utils/relationships');
+
+/**
+ * Find the relationship between two members, in either order
+ *
+ * @param {string} groupId
+ * @param {string} memberIdA
+ * @param {string} memberIdB
+ * @returns {Promise<Object|null>} Relationship
+ */
+async function findRelationship(groupId, memberIdA, memberIdB) {
+  return prisma.relationship.findFirst({
+    where: {
+      groupId: groupId,
+      OR: [
+        { memberId1: memberIdA, memberId2: memberIdB },
+        { memberId1: memberIdB, memberId2: memberIdA },
+      ],
+    },
+  });
+}
+
+/**
+ * Describe a relationship change for approvals lists and audit logs
+ * @param {Object} data - Relationship approvalData
+ * @returns {string}
+ */
+function describeRelationshipChange(data) {
+  const relationship = describeRelationship(data.relationshipType, data.member1Name, data.member2Name);
+
+  switch (data.operation) {
+    case 'create':
+      return `set ${relationship}`;
+    case 'update':
+      return `change ${data.member1Name} and ${data.member2Name}'s relationship to: ${relationship}`;
+    default:
+      return `remove the relationship "${relationship}"`;
+  }
+}
+
+/**
+ * Apply a relationship change
+ *
+ * A create for a pair that gained a relationship in the meantime updates that
+ * relationship instead; updates and deletes of a relationship that no longer
+ * exists do nothing.
+ *
+ * @param {string} groupId
+ * @param {Object} data - Relationship approvalData
+ * @returns {Promise<Object|null>} The created or updated relationship (null for deletes)
+ */
+async function applyRelationshipChange(groupId, data) {
+  if (data.operation === 'delete') {
+    await prisma.relationship.deleteMany({
+      where: { relationshipId: data.relationshipId, groupId: groupId },
+    });
+    return null;
+  }
+
+  const members = normalizeMembers(data.memberId1, data.memberId2, data.relationshipType);
+  const existing = data.operation === 'update'
+    ? await prisma.relationship.findFirst({ where: { relationshipId: data.relationshipId, groupId: groupId } })
+    : await findRelationship(groupId, data.memberId1, data.memberId2);
+
+  if (existing) {
+    return prisma.relationship.update({
+      where: { relationshipId: existing.relationshipId },
+      data: { ...members, relationshipType: data.relationshipType },
+    });
+  }
+
+  if (data.operation === 'update') {
+    return null;
+  }
+
+  return prisma.relationship.create({
+    data: {
+      groupId: groupId,
+      ...members,
+      relationshipType: data.relationshipType,
+    },
+  });
+}
+
+module.exports = {
+  findRelationship,
+  describeRelationshipChange,
+  applyRelationshipChange,
+};
@@ -0,0 +1,469 @@
+/**
+ * Responsibility Swap Service
+ *
+ * Swap requests between the responsible members of children, stored as
+ * approvals (approvalType 'swap_responsibility'). The requester offers a block
+ * of their time to the other member (give), asks for a block of the other
+ * member's time (take), or both. Only that other member responds, with an
+ * ApprovalVote: 'approve' (accept), 'reject' (decline) or 'counter' (the
+ * request is closed as 'countered' and replaced by their counter-proposal).
+ *
+ * An accepted swap creates one responsibility event per block, in the same
+ * transaction that marks the approval approved. Being newer than everything
+ * underneath, the calendar's layering rule (later-created events override
+ * earlier ones) makes them win for exactly those blocks.
+ *
+ * Admins who granted the requester autoApproveAssignChildrenToEvents accept
+ * their swap requests automatically.
+ *
+ * @module services/responsibilitySwap
+ */
+
+const { prisma } = require('../config/database');
+const pushNotificationService = require('./pushNotification.service');
+const { getResponsibilityLayers, resolveTimelines } = require('./responsibilityTimeline.service');
+
+const SWAP_APPROVAL_TYPE = 'swap_responsibility';
+
+/**
+ * Parse the approvalData of a swap approval
+ * @param {Object} approval
+ * @returns {Object}
+ */
+function getSwapData(approval) {
+  return typeof approval.approvalData === 'string'
+    ? JSON.parse(approval.approvalData)
+    : approval.approvalData;
+}
+
+/**
+ * Get a member's display name (user profile first)
+ * @param {Object} member - GroupMember, optionally with user
+ * @returns {string}
+ */
+function getMemberName(member) {
+  return member.user?.displayName || member.displayName;
+}
+
+/**
+ * Format a block for descriptions, e.g. "Fri, Dec 4, 5:00 PM - Sun, Dec 6, 5:00 PM"
+ * @param {{startTime: string|Date, endTime: string|Date}} block
+ * @returns {string}
+ */
+function formatBlock(block) {
+  const format = date => new Date(date).toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+  return `${format(block.startTime)} - ${format(block.endTime)}`;
+}
+
+/**
+ * Describe a swap for approvals lists and notifications
+ * @param {Object} data - Swap approvalData
+ * @returns {string}
+ */
+function describeSwap(data) {
+  const children = data.childNames.join(', ');
+  const parts = [];
+  if (data.give) {
+    parts.push(`give ${data.counterpartyName} ${children} for ${formatBlock(data.give)}`);
+  }
+  if (data.take) {
+    parts.push(`take ${children} for ${formatBlock(data.take)}`);
+  }
+  return `${data.requesterName} ${data.counterOf ? 'counter-proposed' : 'requested'} to ${parts.join(' and ')}`;
+}
+
+/**
+ * Check that a member is responsible for every child for a whole block
+ *
+ * @param {string} groupId
+ * @param {string[]} childIds
+ * @param {string} memberId
+ * @param {{startTime: string|Date, endTime: string|Date}} block
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<boolean>}
+ */
+async function holdsBlock(groupId, childIds, memberId, block, client = prisma) {
+  const window = { start: new Date(block.startTime), end: new Date(block.endTime) };
+  const timelines = resolveTimelines(await getResponsibilityLayers(groupId, childIds, window, client), window);
+
+  return timelines.every(({ segments }) => {
+    if (segments.length === 0 ||
+      segments[0].startTime.getTime() !== window.start.getTime() ||
+      segments[segments.length - 1].endTime.getTime() !== window.end.getTime()) {
+      return false;
+    }
+    return segments.every((segment, index) =>
+      segment.memberId === memberId &&
+      (index === 0 || segment.startTime.getTime() === segments[index - 1].endTime.getTime())
+    );
+  });
+}
+
+/**
+ * Check that both sides still hold the blocks they are swapping
+ * @param {string} groupId
+ * @param {Object} data - Swap approvalData
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<string|null>} Error message, or null when the swap can go ahead
+ */
+async function checkSwapBlocks(groupId, data, client = prisma) {
+  if (data.give && !(await holdsBlock(groupId, data.childIds, data.requesterId, data.give, client))) {
+    return `${data.requesterName} is not responsible for ${data.childNames.join(', ')} for the whole of ${formatBlock(data.give)}`;
+  }
+  if (data.take && !(await holdsBlock(groupId, data.childIds, data.counterpartyId, data.take, client))) {
+    return `${data.counterpartyName} is not responsible for ${data.childNames.join(', ')} for the whole of ${formatBlock(data.take)}`;
+  }
+  return null;
+}
+
+/**
+ * Lock the children's responsibility events under a swap's blocks until the
+ * transaction ends (SELECT ... FOR UPDATE)
+ *
+ * Accepting two swaps over the same time then happens one after the other,
+ * and the second sees the events the first created when it checks the blocks.
+ *
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} groupId
+ * @param {Object} data - Swap approvalData
+ * @returns {Promise<void>}
+ */
+async function lockSwapEvents(tx, groupId, data) {
+  const blocks = [data.give, data.take].filter(Boolean);
+  const start = new Date(Math.min(...blocks.map(block => new Date(block.startTime).getTime())));
+  const end = new Date(Math.max(...blocks.map(block => new Date(block.endTime).getTime())));
+
+  await tx.$queryRaw`
+    SELECT e.event_id
+    FROM calendar_events e
+    WHERE e.group_id = ${groupId}::uuid
+      AND e.is_responsibility_event = true
+      AND e.start_time <= ${end}
+      AND (e.is_recurring = true OR e.end_time >= ${start})
+      AND EXISTS (
+        SELECT 1 FROM child_responsibility_events r
+        WHERE r.event_id = e.event_id AND r.child_id = ANY(${data.childIds}::uuid[])
+      )
+    ORDER BY e.event_id
+    FOR UPDATE OF e`;
+}
+
+/**
+ * Notify one member about a swap request (respects request notification preferences)
+ */
+function notifySwap(groupId, groupMemberId, title, body, approvalId) {
+  pushNotificationService.sendToGroupMembersWithPreferences(
+    [groupMemberId],
+    'request',
+    title,
+    body,
+    {
+      type: 'responsibility_swap',
+      groupId: groupId,
+      approvalId: approvalId,
+    }
+  ).catch(err => console.error('[ResponsibilitySwap] Failed to send push notification:', err));
+}
+
+/**
+ * Check whether the counterparty accepts the requester's swaps automatically
+ * (an admin who granted the requesting admin autoApproveAssignChildrenToEvents)
+ */
+async function isAutoAccepted(groupId, requester, counterparty) {
+  if (requester.role !== 'admin' || counterparty.role !== 'admin') {
+    return false;
+  }
+
+  const permission = await prisma.adminPermission.findFirst({
+    where: {
+      groupId: groupId,
+      grantingAdminId: counterparty.groupMemberId,
+      receivingAdminId: requester.groupMemberId,
+      autoApproveAssignChildrenToEvents: true,
+    },
+  });
+
+  return !!permission;
+}
+
+/**
+ * Create a swap request (or a counter-proposal to one)
+ *
+ * @param {Object} options
+ * @param {string} options.groupId
+ * @param {Object} options.requester - GroupMember making the request
+ * @param {Object} options.counterparty - GroupMember asked to respond
+ * @param {Object} options.swap - { eventId, eventTitle, childIds, childNames, give, take, note }
+ *   where give and take are {startTime, endTime} blocks or null
+ * @param {Object} [options.counterOf] - Pending swap approval this counter-proposal replaces
+ * @returns {Promise<{error: string, status: number}|{approval: Object, events: Object[]|null}>}
+ *   events is set when the swap was accepted automatically
+ */
+async function proposeSwap({ groupId, requester, counterparty, swap, counterOf = null }) {
+  if (counterOf) {
+    const original = getSwapData(counterOf);
+    if (original.counterpartyId !== requester.groupMemberId) {
+      return { error: `Only ${original.counterpartyName} can respond to this swap request`, status: 403 };
+    }
+    if (counterOf.status !== 'pending') {
+      return { error: 'This swap request is no longer pending', status: 400 };
+    }
+  }
+
+  const data = {
+    ...swap,
+    requesterId: requester.groupMemberId,
+    requesterName: getMemberName(requester),
+    counterpartyId: counterparty.groupMemberId,
+    counterpartyName: getMemberName(counterparty),
+    counterOf: counterOf ? counterOf.approvalId : null,
+    // Only the counterparty responds (shown like an admin vote in approvals lists)
+    allAdminIds: [counterparty.groupMemberId],
+  };
+
+  const blockError = await checkSwapBlocks(groupId, data);
+  if (blockError) {
+    return { error: blockError, status: 400 };
+  }
+
+  const description = describeSwap(data);
+
+  const approval = await prisma.$transaction(async (tx) => {
+    if (counterOf) {
+      const closed = await tx.approval.updateMany({
+        where: { approvalId: counterOf.approvalId, status: 'pending' },
+        data: { status: 'countered', completedAt: new Date() },
+      });
+      if (closed.count === 0) {
+        return null;
+      }
+
+      await tx.approvalVote.create({
+        data: {
+          approvalId: counterOf.approvalId,
+          adminId: requester.groupMemberId,
+          vote: 'counter',
+        },
+      });
+    }
+
+    const created = await tx.approval.create({
+      data: {
+        groupId: groupId,
+        approvalType: SWAP_APPROVAL_TYPE,
+        requestedBy: requester.groupMemberId,
+        relatedEntityType: 'calendar_event',
+        relatedEntityId: swap.eventId,
+        approvalData: data,
+      },
+    });
+
+    await tx.auditLog.create({
+      data: {
+        groupId: groupId,
+        action: counterOf ? 'counter_responsibility_swap' : 'request_responsibility_swap',
+        performedBy: requester.groupMemberId,
+        performedByName: requester.displayName,
+        performedByEmail: requester.email || 'N/A',
+        actionLocation: 'calendar',
+        messageContent: `${description}${swap.note ? ` (note: ${swap.note})` : ''}`,
+        logData: {
+          approvalId: created.approvalId,
+          eventId: swap.eventId,
+          counterOf: data.counterOf,
+        },
+      },
+    });
+
+    return created;
+  });
+
+  if (!approval) {
+    return { error: 'This swap request is no longer pending', status: 400 };
+  }
+
+  if (await isAutoAccepted(groupId, requester, counterparty)) {
+    return respondToSwap({ approval, respondent: counterparty, response: 'accept', isAutoApproved: true });
+  }
+
+  notifySwap(groupId, counterparty.groupMemberId, 'Swap Request', description, approval.approvalId);
+
+  return { approval, events: null };
+}
+
+/**
+ * Accept or decline a pending swap request
+ *
+ * Accepting locks the events under the blocks, re-checks that both sides
+ * still hold them, then marks the approval approved and creates the swap's
+ * responsibility events, all in one transaction.
+ *
+ * @param {Object} options
+ * @param {Object} options.approval - Swap approval
+ * @param {Object} options.respondent - GroupMember responding (must be the counterparty)
+ * @param {'accept'|'decline'} options.response
+ * @param {boolean} [options.isAutoApproved] - Accepted through autoApproveAssignChildrenToEvents
+ * @returns {Promise<{error: string, status: number}|{approval: Object, events: Object[]|null}>}
+ */
+async function respondToSwap({ approval, respondent, response, isAutoApproved = false }) {
+  const data = getSwapData(approval);
+  const { groupId, approvalId } = approval;
+
+  if (respondent.groupMemberId !== data.counterpartyId) {
+    return { error: `Only ${data.counterpartyName} can respond to this swap request`, status: 403 };
+  }
+
+  if (approval.status !== 'pending') {
+    return { error: 'This swap request is no longer pending', status: 400 };
+  }
+
+  const description = describeSwap(data);
+
+  if (response === 'decline') {
+    const updated = await prisma.$transaction(async (tx) => {
+      const closed = await tx.approval.updateMany({
+        where: { approvalId, status: 'pending' },
+        data: { status: 'rejected', completedAt: new Date() },
+      });
+      if (closed.count === 0) {
+        return null;
+      }
+
+      await tx.approvalVote.create({
+        data: { approvalId, adminId: respondent.groupMemberId, vote: 'reject' },
+      });
+
+      await tx.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: 'decline_responsibility_swap',
+          performedBy: respondent.groupMemberId,
+          performedByName: respondent.displayName,
+          performedByEmail: respondent.email || 'N/A',
+          actionLocation: 'calendar',
+          messageContent: `Declined: ${description}`,
+          logData: { approvalId },
+        },
+      });
+
+      return tx.approval.findUnique({ where: { approvalId } });
+    });
+
+    if (!updated) {
+      return { error: 'This swap request is no longer pending', status: 400 };
+    }
+
+    notifySwap(groupId, data.requesterId, 'Swap Declined', `${data.counterpartyName} declined your swap request`, approvalId);
+    return { approval: updated, events: null };
+  }
+
+  // Each block goes to the other side and hands back at its end
+  const blocks = [
+    data.give && { ...data.give, memberId: data.counterpartyId, endMemberId: data.requesterId, holder: data.counterpartyName },
+    data.take && { ...data.take, memberId: data.requesterId, endMemberId: data.counterpartyId, holder: data.requesterName },
+  ].filter(Boolean);
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Checked under the lock, so a swap accepted meanwhile can't be overlapped
+    await lockSwapEvents(tx, groupId, data);
+    const blockError = await checkSwapBlocks(groupId, data, tx);
+    if (blockError) {
+      return { blockError };
+    }
+
+    const claimed = await tx.approval.updateMany({
+      where: { approvalId, status: 'pending' },
+      data: { status: 'approved', completedAt: new Date() },
+    });
+    if (claimed.count === 0) {
+      return null;
+    }
+
+    await tx.approvalVote.create({
+      data: { approvalId, adminId: respondent.groupMemberId, vote: 'approve', isAutoApproved },
+    });
+
+    const events = [];
+    for (const block of blocks) {
+      events.push(await tx.calendarEvent.create({
+        data: {
+          groupId: groupId,
+          title: `Swap: ${block.holder}`,
+          startTime: new Date(block.startTime),
+          endTime: new Date(block.endTime),
+          notes: data.note || null,
+          createdBy: data.requesterId,
+          isResponsibilityEvent: true,
+          responsibilityEvents: {
+            create: data.childIds.map(childId => ({
+              childId: childId,
+              startResponsibilityType: 'member',
+              startResponsibleMemberId: block.memberId,
+              endResponsibilityType: 'member',
+              endResponsibleMemberId: block.endMemberId,
+            })),
+          },
+        },
+        include: { responsibilityEvents: true },
+      }));
+    }
+
+    const updated = await tx.approval.update({
+      where: { approvalId },
+      data: {
+        approvalData: { ...data, createdEventIds: events.map(event => event.eventId) },
+      },
+    });
+
+    await tx.auditLog.create({
+      data: {
+        groupId: groupId,
+        action: 'accept_responsibility_swap',
+        performedBy: respondent.groupMemberId,
+        performedByName: respondent.displayName,
+        performedByEmail: respondent.email || 'N/A',
+        actionLocation: 'calendar',
+        messageContent: `${isAutoApproved ? 'Auto-accepted' : 'Accepted'}: ${description}`,
+        logData: {
+          approvalId,
+          createdEventIds: events.map(event => event.eventId),
+          isAutoApproved,
+        },
+      },
+    });
+
+    return { approval: updated, events };
+  });
+
+  if (!result) {
+    return { error: 'This swap request is no longer pending', status: 400 };
+  }
+  if (result.blockError) {
+    return { error: `The calendar has changed since this swap was proposed: ${result.blockError}`, status: 409 };
+  }
+
+  notifySwap(
+    groupId,
+    data.requesterId,
+    'Swap Accepted',
+    `${data.counterpartyName} ${isAutoApproved ? 'automatically accepted' : 'accepted'} your swap request`,
+    approvalId
+  );
+
+  return result;
+}
+
+module.exports = {
+  SWAP_APPROVAL_TYPE,
+  getSwapData,
+  describeSwap,
+  holdsBlock,
+  proposeSwap,
+  respondToSwap,
+};
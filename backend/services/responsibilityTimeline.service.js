@@ -0,0 +1,119 @@
+/**
+ * Responsibility Timeline Service
+ *
+ * Loads child responsibility events (expanding recurring ones) and resolves
+ * them per child into who is responsible when, using the calendar's
+ * layering rule (later-created events override earlier ones).
+ *
+ * During an event the child is with its start responsible party; the end
+ * responsible party only takes over at the handoff.
+ *
+ * @module services/responsibilityTimeline
+ */
+
+const { prisma } = require('../config/database');
+const recurrence = require('../utils/recurrence');
+const { resolveLayers } = require('../utils/responsibilityLayers');
+
+const memberSelect = {
+  select: {
+    groupMemberId: true,
+    displayName: true,
+    iconColor: true,
+    user: { select: { displayName: true, iconColor: true } },
+  },
+};
+
+/**
+ * Build a layer from one responsibility event (or occurrence)
+ * @param {Object} event - Calendar event or occurrence
+ * @param {Object} respEvent - ChildResponsibilityEvent
+ * @returns {Object}
+ */
+function toLayer(event, respEvent) {
+  const member = respEvent.startResponsibleMember;
+
+  return {
+    startTime: event.startTime,
+    endTime: event.endTime,
+    eventId: event.eventId,
+    title: event.title,
+    responsibilityType: respEvent.startResponsibilityType,
+    memberId: respEvent.startResponsibleMemberId || null,
+    name: member
+      ? member.user?.displayName || member.displayName
+      : respEvent.startResponsibleOtherName,
+    color: member
+      ? member.user?.iconColor || member.iconColor
+      : respEvent.startResponsibleOtherColor,
+  };
+}
+
+/**
+ * Load the responsibility layers of children inside a window
+ *
+ * @param {string} groupId
+ * @param {string[]} childIds - Child groupMemberIds
+ * @param {{start: Date, end: Date}} window
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<Map<string, Object[]>>} Layers by childId, oldest first
+ */
+async function getResponsibilityLayers(groupId, childIds, window, client = prisma) {
+  const events = await client.calendarEvent.findMany({
+    where: {
+      groupId,
+      isResponsibilityEvent: true,
+      responsibilityEvents: { some: { childId: { in: childIds } } },
+      startTime: { lte: window.end },
+      OR: [
+        { isRecurring: true },
+        { endTime: { gte: window.start } },
+      ],
+    },
+    include: {
+      responsibilityEvents: {
+        where: { childId: { in: childIds } },
+        include: { startResponsibleMember: memberSelect },
+      },
+      exceptions: true,
+    },
+    orderBy: {
+      createdAt: 'asc', // Layering order
+    },
+  });
+
+  const layersByChild = new Map(childIds.map(childId => [childId, []]));
+
+  for (const event of recurrence.expandEvents(events, window)) {
+    for (const respEvent of event.responsibilityEvents) {
+      layersByChild.get(respEvent.childId)?.push(toLayer(event, respEvent));
+    }
+  }
+
+  return layersByChild;
+}
+
+/**
+ * Resolve who is responsible for each child inside a window
+ *
+ * @param {Map<string, Object[]>} layersByChild - From getResponsibilityLayers,
+ *   optionally with extra (newer) layers appended
+ * @param {{start: Date, end: Date}} window
+ * @returns {Array<{childId: string, segments: Object[]}>}
+ *   Segments are {startTime, endTime, ...layer} without overlaps
+ */
+function resolveTimelines(layersByChild, window) {
+  return Array.from(layersByChild, ([childId, layers]) => ({
+    childId,
+    segments: resolveLayers(layers, window).map(({ startTime, endTime, layer }) => ({
+      ...layer,
+      startTime,
+      endTime,
+    })),
+  }));
+}
+
+module.exports = {
+  getResponsibilityLayers,
+  resolveTimelines,
+};
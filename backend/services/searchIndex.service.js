@@ -0,0 +1,235 @@
+/**
+ * Search Index Service
+ *
+ * Blind keyword index for content that is encrypted at rest (messages and
+ * wiki documents). Each word is stored as truncated HMAC-SHA256 tokens of its
+ * prefixes, so the database can match search terms without holding any
+ * plaintext. Tokens are keyed per group (derived from SEARCH_INDEX_KEY, or
+ * MESSAGE_ENCRYPTION_KEY when not set), so the same word gives different
+ * tokens in different groups.
+ *
+ * Matching is by word prefix: "dent" finds "dentist". Prefixes shorter than
+ * MIN_PREFIX_LENGTH are not indexed, so shorter terms only match whole words.
+ *
+ * @module services/searchIndex
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+
+// Bytes of each HMAC kept as the token (stored as hex)
+const TOKEN_BYTES = 16;
+
+// Shortest word prefix that is indexed
+const MIN_PREFIX_LENGTH = 3;
+
+// Longer words are indexed (and searched) by their first characters only
+const MAX_WORD_LENGTH = 24;
+
+// Entity types stored in the index
+const ENTITY_TYPES = {
+  MESSAGE: 'message',
+  WIKI: 'wiki',
+};
+
+// Derived per-group keys
+const keyCache = new Map();
+
+/**
+ * Get the master key the index keys are derived from
+ * @returns {Buffer}
+ * @throws {Error} If neither SEARCH_INDEX_KEY nor MESSAGE_ENCRYPTION_KEY is set
+ */
+function getMasterKey() {
+  const key = process.env.SEARCH_INDEX_KEY || process.env.MESSAGE_ENCRYPTION_KEY;
+
+  if (!key) {
+    throw new Error('SEARCH_INDEX_KEY or MESSAGE_ENCRYPTION_KEY environment variable must be set');
+  }
+
+  return Buffer.from(key, 'hex');
+}
+
+/**
+ * Get the index key for a group
+ * @param {string} groupId
+ * @returns {Buffer} 32-byte HMAC key
+ */
+function getGroupKey(groupId) {
+  if (!keyCache.has(groupId)) {
+    const derived = crypto.hkdfSync('sha256', getMasterKey(), Buffer.from(groupId), 'search-index', 32);
+    keyCache.set(groupId, Buffer.from(derived));
+  }
+  return keyCache.get(groupId);
+}
+
+/**
+ * Split text into normalised words (lowercase, accents removed)
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function normalizeWords(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  return (text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [])
+    .map(word => word.slice(0, MAX_WORD_LENGTH));
+}
+
+/**
+ * Create the blind token for a word or word prefix
+ * @param {Buffer} key - Group key
+ * @param {string} term
+ * @returns {string} 32 hex characters
+ */
+function blindToken(key, term) {
+  return crypto.createHmac('sha256', key).update(term).digest().subarray(0, TOKEN_BYTES).toString('hex');
+}
+
+/**
+ * Get the index tokens for some text
+ *
+ * @param {string} groupId
+ * @param {string[]} texts - Plaintext fields of one entity
+ * @returns {string[]} Unique tokens
+ */
+function getTextTokens(groupId, texts) {
+  const key = getGroupKey(groupId);
+  const terms = new Set();
+
+  for (const word of texts.flatMap(normalizeWords)) {
+    for (let length = Math.min(MIN_PREFIX_LENGTH, word.length); length <= word.length; length++) {
+      terms.add(word.slice(0, length));
+    }
+  }
+
+  return Array.from(terms, term => blindToken(key, term));
+}
+
+/**
+ * Get the tokens to look up for a search query (one per distinct word)
+ *
+ * @param {string} groupId
+ * @param {string} query
+ * @returns {string[]}
+ */
+function getQueryTokens(groupId, query) {
+  const key = getGroupKey(groupId);
+  return Array.from(new Set(normalizeWords(query)), word => blindToken(key, word));
+}
+
+/**
+ * Check that decrypted text contains every word of a query (by prefix)
+ *
+ * Used to confirm index matches after decryption, e.g. when an entity changed
+ * after it was indexed.
+ *
+ * @param {string[]} texts
+ * @param {string[]} queryWords - From normalizeWords
+ * @returns {boolean}
+ */
+function textMatchesQuery(texts, queryWords) {
+  const words = texts.flatMap(normalizeWords);
+  return queryWords.every(queryWord => words.some(word => word.startsWith(queryWord)));
+}
+
+/**
+ * Replace the index entries of an entity
+ *
+ * @param {Object} entry
+ * @param {string} entry.groupId
+ * @param {string} entry.entityType - ENTITY_TYPES value
+ * @param {string} entry.entityId
+ * @param {string} [entry.scopeId] - Message group of a message
+ * @param {string[]} entry.texts - Plaintext fields to index
+ * @returns {Promise<void>}
+ */
+async function indexEntity({ groupId, entityType, entityId, scopeId = null, texts }) {
+  const tokens = getTextTokens(groupId, texts);
+
+  await prisma.$transaction([
+    prisma.searchToken.deleteMany({
+      where: { entityType, entityId },
+    }),
+    prisma.searchToken.createMany({
+      data: tokens.map(token => ({ groupId, entityType, entityId, scopeId, token })),
+      skipDuplicates: true,
+    }),
+  ]);
+}
+
+/**
+ * Index an entity without blocking or failing the request that changed it
+ * (run scripts/build-search-index.js to fill any gaps)
+ *
+ * @param {Object} entry - See indexEntity
+ */
+function queueIndexEntity(entry) {
+  indexEntity(entry).catch(error => {
+    console.error(`[SearchIndex] Failed to index ${entry.entityType} ${entry.entityId}:`, error.message);
+  });
+}
+
+/**
+ * Remove an entity from the index
+ *
+ * @param {string} entityType
+ * @param {string} entityId
+ * @returns {Promise<void>}
+ */
+async function removeEntity(entityType, entityId) {
+  await prisma.searchToken.deleteMany({
+    where: { entityType, entityId },
+  });
+}
+
+/**
+ * Find indexed entities that contain every word of a query
+ *
+ * @param {Object} options
+ * @param {string} options.groupId
+ * @param {string} options.entityType
+ * @param {string} options.query
+ * @param {string[]} [options.scopeIds] - Only entities in these scopes (message groups)
+ * @returns {Promise<string[]>} Entity IDs
+ */
+async function findEntities({ groupId, entityType, query, scopeIds }) {
+  const tokens = getQueryTokens(groupId, query);
+  if (tokens.length === 0 || (scopeIds && scopeIds.length === 0)) {
+    return [];
+  }
+
+  const matches = await prisma.searchToken.groupBy({
+    by: ['entityId'],
+    where: {
+      groupId,
+      entityType,
+      token: { in: tokens },
+      ...(scopeIds && { scopeId: { in: scopeIds } }),
+    },
+    having: {
+      token: { _count: { equals: tokens.length } },
+    },
+  });
+
+  return matches.map(match => match.entityId);
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  MIN_PREFIX_LENGTH,
+  normalizeWords,
+  getTextTokens,
+  getQueryTokens,
+  textMatchesQuery,
+  indexEntity,
+  queueIndexEntity,
+  removeEntity,
+  findEntities,
+};
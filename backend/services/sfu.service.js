@@ -0,0 +1,181 @@
+/**
+ * SFU Service
+ *
+ * Client for the self-hosted selective forwarding unit (sfu-service/).
+ * Calls normally connect every participant to every other one (mesh).
+ * Larger calls started while an SFU is configured (SFU_URL) and reachable
+ * use it instead: each participant, and the recorder, has a single
+ * connection to the SFU, which forwards everyone's audio and video to
+ * everyone else. A call keeps its topology until it ends.
+ *
+ * The call controllers relay participants' signals to the SFU here; the
+ * SFU's own signals come back through POST /sfu/signal
+ * (controllers/sfu.controller.js).
+ *
+ * @module services/sfu
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Peer ID of the SFU in a call's signalling
+const SFU_PEER_ID = 'sfu';
+
+const TOPOLOGIES = { MESH: 'mesh', SFU: 'sfu' };
+
+// Smaller calls stay peer-to-peer: mesh copes fine and skips the extra hop
+const DEFAULT_MIN_PARTICIPANTS = 3;
+
+function getSfuUrl() {
+  return process.env.SFU_URL || null;
+}
+
+function getMinParticipants() {
+  return parseInt(process.env.SFU_MIN_PARTICIPANTS, 10) || DEFAULT_MIN_PARTICIPANTS;
+}
+
+function getHeaders() {
+  return process.env.SFU_API_KEY ? { 'X-API-Key': process.env.SFU_API_KEY } : {};
+}
+
+/**
+ * Whether an SFU is configured
+ * @returns {boolean}
+ */
+function isEnabled() {
+  return !!getSfuUrl();
+}
+
+/**
+ * Check an X-API-Key from the SFU against SFU_API_KEY (in constant time)
+ * Fails when SFU_API_KEY is not set: without it anyone could send signals
+ * "from the SFU" to participants.
+ * @param {string} [apiKey]
+ * @returns {boolean}
+ */
+function isValidApiKey(apiKey) {
+  const expectedKey = process.env.SFU_API_KEY;
+  if (!expectedKey || typeof apiKey !== 'string') {
+    return false;
+  }
+
+  // Hash both so keys of different lengths can be compared
+  const expected = crypto.createHash('sha256').update(expectedKey).digest();
+  const actual = crypto.createHash('sha256').update(apiKey).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Whether the SFU is configured and healthy
+ * Calls don't use an SFU without SFU_API_KEY, since its signals would be rejected.
+ * @returns {Promise<boolean>}
+ */
+async function isAvailable() {
+  if (!isEnabled()) {
+    return false;
+  }
+
+  if (!process.env.SFU_API_KEY) {
+    console.error('[SFU] SFU_URL is set but SFU_API_KEY is not - not using the SFU');
+    return false;
+  }
+
+  try {
+    const response = await axios.get(`${getSfuUrl()}/health`, { timeout: 3000 });
+    return response.data.status === 'healthy';
+  } catch (error) {
+    console.error('[SFU] Health check failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Topology for a new call
+ * Calls with at least SFU_MIN_PARTICIPANTS people (default 3, including the
+ * initiator) use the SFU when it is available; everything else is mesh.
+ * @param {number} participantCount - People on the call, including the initiator
+ * @returns {Promise<string>} 'sfu' or 'mesh'
+ */
+async function chooseTopology(participantCount) {
+  if (participantCount < getMinParticipants()) {
+    return TOPOLOGIES.MESH;
+  }
+  return (await isAvailable()) ? TOPOLOGIES.SFU : TOPOLOGIES.MESH;
+}
+
+function getRoomUrl(callType, callId) {
+  return `${getSfuUrl()}/rooms/${callType}/${encodeURIComponent(callId)}`;
+}
+
+/**
+ * Pass a participant's signal on to the SFU
+ * @param {Object} signal
+ * @param {string} signal.callType - 'phone' or 'video'
+ * @param {string} signal.callId
+ * @param {string} signal.peerId - Group member ID of the sender, or 'recorder'
+ * @param {string} signal.type - 'offer', 'answer' or 'ice-candidate'
+ * @param {Object} signal.data
+ * @returns {Promise<void>}
+ * @throws {Error} If the SFU rejected the signal or is unreachable
+ */
+async function relaySignal({ callType, callId, peerId, type, data }) {
+  if (!isEnabled()) {
+    throw new Error('SFU is not configured');
+  }
+
+  await axios.post(
+    `${getRoomUrl(callType, callId)}/peers/${encodeURIComponent(peerId)}/signal`,
+    { type, data },
+    { headers: getHeaders(), timeout: 10000 }
+  );
+}
+
+/**
+ * Disconnect a participant who left the call
+ * Failures are logged; the SFU also drops connections that go away.
+ * @param {string} callType
+ * @param {string} callId
+ * @param {string} peerId
+ */
+async function removePeer(callType, callId, peerId) {
+  if (!isEnabled()) return;
+
+  try {
+    await axios.delete(`${getRoomUrl(callType, callId)}/peers/${encodeURIComponent(peerId)}`, {
+      headers: getHeaders(),
+      timeout: 5000,
+    });
+  } catch (error) {
+    console.error(`[SFU] Failed to remove ${peerId} from ${callType} call ${callId}:`, error.message);
+  }
+}
+
+/**
+ * Close a call's room once the call has ended
+ * @param {string} callType
+ * @param {string} callId
+ */
+async function closeRoom(callType, callId) {
+  if (!isEnabled()) return;
+
+  try {
+    await axios.delete(getRoomUrl(callType, callId), {
+      headers: getHeaders(),
+      timeout: 5000,
+    });
+  } catch (error) {
+    console.error(`[SFU] Failed to close room for ${callType} call ${callId}:`, error.message);
+  }
+}
+
+module.exports = {
+  SFU_PEER_ID,
+  TOPOLOGIES,
+  isEnabled,
+  isValidApiKey,
+  isAvailable,
+  chooseTopology,
+  relaySignal,
+  removePeer,
+  closeRoom,
+};
@@ -159,6 +159,30 @@ class LocalStorageService extends StorageInterface {
     return metadata.url;
   }
 
+  /**
+   * Replace the stored data of a file, keeping its ID and metadata
+   * Storage usage is not adjusted (re-encryption only changes the size by a few bytes).
+   * @param {string} fileId - File ID
+   * @param {Buffer} fileBuffer - New file data
+   * @returns {Promise<Object>} Updated file metadata
+   */
+  async replaceFile(fileId, fileBuffer) {
+    try {
+      const { url, ...metadata } = await this.getFileMetadata(fileId);
+
+      await fs.writeFile(metadata.storagePath, fileBuffer);
+
+      metadata.size = fileBuffer.length;
+      const metadataPath = path.join(this.baseUploadPath, metadata.category, `${fileId}.json`);
+      await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+
+      return { ...metadata, url };
+    } catch (error) {
+      console.error('Replace file error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete a file (soft delete)
    * @param {string} fileId - File ID
@@ -202,6 +202,46 @@ class S3StorageService extends StorageInterface {
     }
   }
 
+  /**
+   * Replace the stored data of a file, keeping its ID and metadata
+   * Storage usage is not adjusted (re-encryption only changes the size by a few bytes).
+   * @param {string} fileId - File ID
+   * @param {Buffer} fileBuffer - New file data
+   * @returns {Promise<Object>} Updated file metadata
+   */
+  async replaceFile(fileId, fileBuffer) {
+    try {
+      const { url, ...metadata } = await this.getFileMetadata(fileId);
+
+      await this.s3Client.send(new PutObjectCommand({
+        Bucket: this.bucketName,
+        Key: metadata.s3Key,
+        Body: fileBuffer,
+        ContentType: metadata.mimeType,
+        Metadata: {
+          'file-id': fileId,
+          'original-name': encodeURIComponent(metadata.originalName),
+          'user-id': metadata.userId,
+          'group-id': metadata.groupId || '',
+          'category': metadata.category,
+        },
+      }));
+
+      metadata.size = fileBuffer.length;
+      await this.s3Client.send(new PutObjectCommand({
+        Bucket: this.bucketName,
+        Key: `uploads/${metadata.category}/${fileId}.json`,
+        Body: JSON.stringify(metadata, null, 2),
+        ContentType: 'application/json',
+      }));
+
+      return { ...metadata, url };
+    } catch (error) {
+      console.error('Replace file error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete a file (soft delete)
    * @param {string} fileId - File ID
@@ -74,6 +74,17 @@ class StorageInterface {
     throw new Error('getFileUrl() must be implemented');
   }
 
+  /**
+   * Replace the stored data of a file, keeping its ID and metadata
+   * (used to re-encrypt files after a key rotation)
+   * @param {string} fileId - File ID
+   * @param {Buffer} fileBuffer - New file data
+   * @returns {Promise<FileMetadata>} Updated file metadata
+   */
+  async replaceFile(fileId, fileBuffer) {
+    throw new Error('replaceFile() must be implemented');
+  }
+
   /**
    * Delete a file (soft delete - sets is_hidden flag)
    * @param {string} fileId - File ID
@@ -0,0 +1,205 @@
+/**
+ * Transcript Service
+ *
+ * Transcribes call recordings with the worker service's offline speech model
+ * (services/mediaProcessor.service.js) and reads stored transcripts back.
+ *
+ * Recording files are encrypted at rest, so each chunk is decrypted into a
+ * temporary file for the worker and removed straight after. Transcripts are
+ * stored encrypted with the group's data key, like message content.
+ *
+ * @module services/transcript
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { prisma } = require('../config/database');
+const { storageService } = require('./storage');
+const encryptionService = require('./encryption.service');
+const fileEncryption = require('./fileEncryption.service');
+const groupKeysService = require('./groupKeys.service');
+const mediaProcessor = require('./mediaProcessor.service');
+const { mergeChunkSegments } = require('../utils/transcripts');
+
+/**
+ * The audio files that make up a call's recording, in order
+ * @param {Object} call - PhoneCall/VideoCall with recordingChunks
+ * @returns {{chunkIndex: number|null, startedAt: Date, fileId: string}[]}
+ */
+function getRecordingParts(call) {
+  const readyChunks = (call.recordingChunks || []).filter(chunk => chunk.status === 'ready');
+
+  if (readyChunks.length > 0) {
+    return [...readyChunks]
+      .sort((a, b) => a.chunkIndex - b.chunkIndex)
+      .map(chunk => ({ chunkIndex: chunk.chunkIndex, startedAt: chunk.startedAt, fileId: chunk.fileId }));
+  }
+
+  if (call.recordingFileId) {
+    return [{ chunkIndex: null, startedAt: call.connectedAt || call.startedAt, fileId: call.recordingFileId }];
+  }
+
+  return [];
+}
+
+/**
+ * Transcribe one stored recording file
+ * @returns {Promise<Object>} Worker service result
+ */
+async function transcribeFile(fileId, groupKeyring) {
+  let fileBuffer = await storageService.getFile(fileId);
+  if (fileEncryption.isEncrypted(fileBuffer)) {
+    fileBuffer = fileEncryption.decryptFile(fileBuffer, groupKeyring);
+  }
+
+  const tempPath = path.join(os.tmpdir(), `transcribe_${Date.now()}_${uuidv4()}`);
+  await fs.writeFile(tempPath, fileBuffer);
+
+  try {
+    return await mediaProcessor.transcribeAudio({ filePath: tempPath });
+  } finally {
+    await fs.unlink(tempPath).catch(() => {});
+  }
+}
+
+/**
+ * Transcribe a call's recording
+ *
+ * @param {Object} call - PhoneCall/VideoCall with groupId, startedAt, recordingFileId and recordingChunks
+ * @returns {Promise<{segments: string, segmentCount: number, language: string|null, model: string|null}>}
+ *   segments is the encrypted JSON to store
+ */
+async function transcribeCall(call) {
+  const parts = getRecordingParts(call);
+  if (parts.length === 0) {
+    throw new Error('Call has no recording to transcribe');
+  }
+
+  const groupKeyring = await groupKeysService.getGroupKeyring(call.groupId);
+  const transcribed = [];
+  let language = null;
+  let model = null;
+
+  for (const part of parts) {
+    const result = await transcribeFile(part.fileId, groupKeyring);
+    language = language || result.language || null;
+    model = model || result.model || null;
+    transcribed.push({ chunkIndex: part.chunkIndex, startedAt: part.startedAt, segments: result.segments || [] });
+  }
+
+  const segments = mergeChunkSegments(transcribed);
+
+  return {
+    segments: encryptionService.encrypt(JSON.stringify(segments), groupKeyring),
+    segmentCount: segments.length,
+    language,
+    model,
+  };
+}
+
+/**
+ * Decrypt a transcript's segments
+ * @param {Object} transcript - CallTranscript
+ * @param {Object} groupKeyring
+ * @returns {Object[]} From utils/transcripts mergeChunkSegments
+ */
+function decryptSegments(transcript, groupKeyring) {
+  if (!transcript.segments) {
+    return [];
+  }
+  return JSON.parse(encryptionService.decrypt(transcript.segments, groupKeyring));
+}
+
+/**
+ * Format a transcript for the API
+ * @param {Object} transcript - CallTranscript
+ * @param {Object} groupKeyring
+ * @returns {Object}
+ */
+function formatTranscript(transcript, groupKeyring) {
+  return {
+    transcriptId: transcript.transcriptId,
+    status: transcript.status,
+    language: transcript.language,
+    model: transcript.model,
+    segments: transcript.status === 'ready' ? decryptSegments(transcript, groupKeyring) : [],
+    createdAt: transcript.createdAt,
+    updatedAt: transcript.updatedAt,
+  };
+}
+
+/**
+ * Decrypted transcripts of a group's calls for an audit log export, oldest first
+ *
+ * @param {string} groupId
+ * @param {Object} filters - Export filters
+ * @param {Date|string} [filters.dateFrom] - Calls started on or after
+ * @param {Date|string} [filters.dateTo] - Calls started on or before
+ * @returns {Promise<{callType: string, callId: string, startedAt: Date, participants: string, recordingHidden: boolean, segments: Object[]}[]>}
+ */
+async function getTranscriptsForExport(groupId, filters = {}) {
+  const transcripts = await prisma.callTranscript.findMany({
+    where: { groupId, status: 'ready' },
+  });
+  if (transcripts.length === 0) {
+    return [];
+  }
+
+  const startedAt = {};
+  if (filters.dateFrom) startedAt.gte = new Date(filters.dateFrom);
+  if (filters.dateTo) startedAt.lte = new Date(filters.dateTo);
+
+  const callSelect = {
+    callId: true,
+    startedAt: true,
+    recordingIsHidden: true,
+    initiator: { select: { displayName: true } },
+    participants: { select: { participant: { select: { displayName: true } } } },
+  };
+
+  const calls = {};
+  for (const [callType, model] of [['phone', 'phoneCall'], ['video', 'videoCall']]) {
+    const callIds = transcripts.filter(t => t.callType === callType).map(t => t.callId);
+    if (callIds.length === 0) continue;
+
+    const rows = await prisma[model].findMany({
+      where: { callId: { in: callIds }, startedAt },
+      select: callSelect,
+    });
+    for (const call of rows) {
+      calls[`${callType}:${call.callId}`] = call;
+    }
+  }
+
+  const groupKeyring = await groupKeysService.getGroupKeyring(groupId);
+
+  return transcripts
+    .filter(transcript => calls[`${transcript.callType}:${transcript.callId}`])
+    .map(transcript => {
+      const call = calls[`${transcript.callType}:${transcript.callId}`];
+      const names = [
+        call.initiator?.displayName,
+        ...call.participants.map(p => p.participant?.displayName),
+      ].filter(Boolean);
+
+      return {
+        callType: transcript.callType,
+        callId: transcript.callId,
+        startedAt: call.startedAt,
+        participants: [...new Set(names)].join(', '),
+        recordingHidden: call.recordingIsHidden,
+        segments: decryptSegments(transcript, groupKeyring),
+      };
+    })
+    .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+}
+
+module.exports = {
+  getRecordingParts,
+  transcribeCall,
+  decryptSegments,
+  formatTranscript,
+  getTranscriptsForExport,
+};
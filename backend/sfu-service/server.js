@@ -0,0 +1,159 @@
+/**
+ * SFU Service HTTP Server
+ *
+ * Selective forwarding unit for group calls (services/room.service.js).
+ * Self-hosted next to the backend and only used by calls started while it
+ * is configured (SFU_URL). Participants never call this server directly:
+ * the backend relays their signalling messages here and this server sends
+ * its own back through the backend (POST /sfu/signal). Media flows directly
+ * between the participants and this server over WebRTC.
+ *
+ * Endpoints:
+ * - POST   /rooms/:callType/:callId/peers/:peerId/signal - Signal from a participant
+ * - DELETE /rooms/:callType/:callId/peers/:peerId        - Participant left the call
+ * - DELETE /rooms/:callType/:callId                      - Call ended
+ * - GET    /health                                        - Health check
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const roomService = require('./services/room.service');
+
+const app = express();
+const PORT = process.env.PORT || 3002;
+const SFU_API_KEY = process.env.SFU_API_KEY;
+
+const CALL_TYPES = ['phone', 'video'];
+const SIGNAL_TYPES = ['offer', 'answer', 'ice-candidate'];
+
+// Middleware
+app.use(express.json({ limit: '1mb' }));
+
+/**
+ * Check an X-API-Key against SFU_API_KEY in constant time
+ */
+function isValidApiKey(apiKey) {
+  if (typeof apiKey !== 'string') {
+    return false;
+  }
+
+  // Hash both so keys of different lengths can be compared
+  const expected = crypto.createHash('sha256').update(SFU_API_KEY).digest();
+  const actual = crypto.createHash('sha256').update(apiKey).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Only the backend may signal (X-API-Key header)
+ * Without SFU_API_KEY the rooms are closed to everyone.
+ */
+function requireApiKey(req, res, next) {
+  if (!SFU_API_KEY) {
+    return res.status(503).json({ success: false, error: 'SFU_API_KEY is not configured' });
+  }
+  if (!isValidApiKey(req.headers['x-api-key'])) {
+    return res.status(401).json({ success: false, error: 'Invalid API key' });
+  }
+  next();
+}
+
+/**
+ * Reject unknown call types
+ */
+function validateCallType(req, res, next) {
+  if (!CALL_TYPES.includes(req.params.callType)) {
+    return res.status(400).json({ success: false, error: 'callType must be phone or video' });
+  }
+  next();
+}
+
+// ============================================
+// Health Check
+// ============================================
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    service: 'sfu-service',
+    version: '1.0.0',
+    ...roomService.getStats(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// ============================================
+// Signal: POST /rooms/:callType/:callId/peers/:peerId/signal
+// ============================================
+app.post('/rooms/:callType/:callId/peers/:peerId/signal', requireApiKey, validateCallType, async (req, res) => {
+  const { callType, callId, peerId } = req.params;
+  const { type, data } = req.body;
+
+  if (!SIGNAL_TYPES.includes(type) || !data) {
+    return res.status(400).json({ success: false, error: 'type and data are required' });
+  }
+
+  try {
+    await roomService.handleSignal({ callType, callId, peerId, type, data });
+    res.json({ success: true });
+  } catch (error) {
+    console.error(`[SFU] Failed to handle ${type} from ${peerId} in ${callType} call ${callId}:`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================
+// Leave: DELETE /rooms/:callType/:callId/peers/:peerId
+// ============================================
+app.delete('/rooms/:callType/:callId/peers/:peerId', requireApiKey, validateCallType, async (req, res) => {
+  const { callType, callId, peerId } = req.params;
+
+  const removed = await roomService.leaveRoom(callType, callId, peerId);
+  res.json({ success: true, removed });
+});
+
+// ============================================
+// Close: DELETE /rooms/:callType/:callId
+// ============================================
+app.delete('/rooms/:callType/:callId', requireApiKey, validateCallType, (req, res) => {
+  const { callType, callId } = req.params;
+
+  const closed = roomService.closeRoom(callType, callId);
+  res.json({ success: true, closed });
+});
+
+// ============================================
+// Error Handler
+// ============================================
+app.use((err, req, res, _next) => {
+  console.error('[SFU] Unhandled error:', err);
+  res.status(500).json({
+    success: false,
+    error: err.message || 'Internal server error',
+  });
+});
+
+// ============================================
+// Start Server
+// ============================================
+app.listen(PORT, () => {
+  console.log('');
+  console.log('============================================');
+  console.log('  SFU Service (Group Call Forwarding)');
+  console.log('============================================');
+  console.log(`  Status:  Running`);
+  console.log(`  Port:    ${PORT}`);
+  console.log(`  Backend: ${process.env.BACKEND_URL || 'http://localhost:3000'}`);
+  if (!SFU_API_KEY) {
+    console.log('  WARNING: SFU_API_KEY is not set - all signalling is rejected');
+  }
+  console.log(`  Media:   ${process.env.SFU_RTC_MIN_PORT ? `UDP ${process.env.SFU_RTC_MIN_PORT}-${process.env.SFU_RTC_MAX_PORT}` : 'any UDP port'}`);
+  console.log('');
+  console.log('  Endpoints:');
+  console.log('    POST   /rooms/:callType/:callId/peers/:peerId/signal');
+  console.log('    DELETE /rooms/:callType/:callId/peers/:peerId');
+  console.log('    DELETE /rooms/:callType/:callId');
+  console.log('    GET    /health');
+  console.log('============================================');
+  console.log('');
+});
+
+module.exports = app;
@@ -0,0 +1,45 @@
+/**
+ * Backend Service for the SFU
+ *
+ * Sends the SFU's signalling messages (offers, answers, ICE candidates) back
+ * to the backend, which delivers them to the participant like any other
+ * call signal (POST /sfu/signal).
+ */
+
+const axios = require('axios');
+
+const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:3000';
+const SFU_API_KEY = process.env.SFU_API_KEY;
+
+/**
+ * Send a signal to a participant through the backend
+ * @param {Object} signal
+ * @param {string} signal.callType - 'phone' or 'video'
+ * @param {string} signal.callId
+ * @param {string} signal.toPeerId - Group member ID, or 'recorder'
+ * @param {string} signal.type - 'offer', 'answer' or 'ice-candidate'
+ * @param {Object} signal.data
+ * @returns {Promise<boolean>} Whether the backend accepted it
+ */
+async function sendSignal({ callType, callId, toPeerId, type, data }) {
+  try {
+    await axios.post(`${BACKEND_URL}/sfu/signal`, {
+      callType,
+      callId,
+      toPeerId,
+      type,
+      data,
+    }, {
+      headers: SFU_API_KEY ? { 'X-API-Key': SFU_API_KEY } : {},
+      timeout: 10000,
+    });
+    return true;
+  } catch (error) {
+    console.error(`[SFU] Failed to send ${type} to ${toPeerId} in ${callType} call ${callId}:`, error.response?.data?.message || error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  sendSignal,
+};
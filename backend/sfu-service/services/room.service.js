@@ -0,0 +1,450 @@
+/**
+ * Room Service
+ *
+ * Selective forwarding for group calls. Each participant (and the recorder)
+ * has one peer connection to the SFU: it publishes its own audio and video
+ * on it and receives every other participant's tracks on it. Packets are
+ * forwarded as they arrive - nothing is decoded or mixed.
+ *
+ * A participant opens its connection with an offer. After that the SFU makes
+ * the offers, whenever tracks are added or removed; each one carries
+ * `tracks` (mid -> publishing peer ID) so the participant can tell whose
+ * tracks are whose. Only VP8 and Opus are negotiated, so packets can be
+ * forwarded between any two participants unchanged.
+ */
+
+const {
+  RTCPeerConnection,
+  RTCRtpCodecParameters,
+  RtpPacket,
+  useNACK,
+  usePLI,
+  useREMB,
+} = require('werift');
+const backendService = require('./backend.service');
+
+// Ask publishers for a fresh keyframe this often, so packet loss doesn't freeze video
+const KEYFRAME_INTERVAL_MS = 5000;
+
+const RTC_MIN_PORT = parseInt(process.env.SFU_RTC_MIN_PORT, 10) || null;
+const RTC_MAX_PORT = parseInt(process.env.SFU_RTC_MAX_PORT, 10) || null;
+const ANNOUNCED_IP = process.env.SFU_ANNOUNCED_IP || null;
+
+// Active rooms, keyed by `${callType}:${callId}`
+const rooms = new Map();
+
+/**
+ * Peer connection settings
+ * @returns {Object}
+ */
+function getPeerConnectionConfig() {
+  const config = {
+    bundlePolicy: 'max-bundle',
+    codecs: {
+      audio: [
+        new RTCRtpCodecParameters({ mimeType: 'audio/opus', clockRate: 48000, channels: 2 }),
+      ],
+      video: [
+        new RTCRtpCodecParameters({
+          mimeType: 'video/VP8',
+          clockRate: 90000,
+          rtcpFeedback: [useNACK(), usePLI(), useREMB()],
+        }),
+      ],
+    },
+  };
+
+  if (RTC_MIN_PORT && RTC_MAX_PORT) {
+    config.icePortRange = [RTC_MIN_PORT, RTC_MAX_PORT];
+  }
+  // Public address of the server when it runs behind NAT (e.g. in Docker)
+  if (ANNOUNCED_IP) {
+    config.iceAdditionalHostAddresses = [ANNOUNCED_IP];
+  }
+
+  return config;
+}
+
+function getRoomKey(callType, callId) {
+  return `${callType}:${callId}`;
+}
+
+/**
+ * Get a room, creating it if needed
+ */
+function getOrCreateRoom(callType, callId) {
+  const key = getRoomKey(callType, callId);
+  let room = rooms.get(key);
+
+  if (!room) {
+    room = {
+      key,
+      callType,
+      callId,
+      peers: new Map(),
+      // ICE candidates that arrived before their peer's offer
+      pendingCandidates: new Map(),
+      // Signals are handled one at a time per room
+      queue: Promise.resolve(),
+      keyframeTimer: null,
+    };
+    room.keyframeTimer = setInterval(() => requestKeyframes(room), KEYFRAME_INTERVAL_MS);
+    rooms.set(key, room);
+    console.log(`[SFU] Room ${key} opened`);
+  }
+
+  return room;
+}
+
+/**
+ * Run a task after the room's earlier signals have been handled
+ */
+function enqueue(room, task) {
+  const run = room.queue.then(task);
+  room.queue = run.catch(() => {});
+  return run;
+}
+
+function sendSignal(room, peer, type, data) {
+  return backendService.sendSignal({
+    callType: room.callType,
+    callId: room.callId,
+    toPeerId: peer.peerId,
+    type,
+    data,
+  });
+}
+
+/**
+ * Ask a publisher for a keyframe so new subscribers can start decoding
+ */
+function requestKeyframe(published) {
+  if (published.track.kind !== 'video' || !published.track.ssrc) return;
+
+  try {
+    published.transceiver.receiver.sendRtcpPLI(published.track.ssrc);
+  } catch (error) {
+    console.error('[SFU] Failed to request keyframe:', error.message);
+  }
+}
+
+function requestKeyframes(room) {
+  for (const peer of room.peers.values()) {
+    for (const published of peer.published) {
+      if (published.subscriberCount > 0) {
+        requestKeyframe(published);
+      }
+    }
+  }
+}
+
+/**
+ * Mid of each track a peer receives, mapped to the peer publishing it
+ * @returns {Object<string, string>}
+ */
+function getTrackMap(peer) {
+  const tracks = {};
+  for (const subscription of peer.subscriptions) {
+    if (subscription.transceiver.mid) {
+      tracks[subscription.transceiver.mid] = subscription.publisherId;
+    }
+  }
+  return tracks;
+}
+
+/**
+ * Send a peer an offer with its current subscriptions
+ * Waits for the answer to an earlier offer before making another.
+ */
+async function negotiate(room, peer) {
+  if (peer.negotiating) {
+    peer.needsNegotiation = true;
+    return;
+  }
+
+  peer.negotiating = true;
+  peer.needsNegotiation = false;
+
+  try {
+    const offer = await peer.pc.createOffer();
+    await peer.pc.setLocalDescription(offer);
+    await sendSignal(room, peer, 'offer', {
+      type: 'offer',
+      sdp: peer.pc.localDescription.sdp,
+      tracks: getTrackMap(peer),
+    });
+  } catch (error) {
+    peer.negotiating = false;
+    console.error(`[SFU] Failed to negotiate with ${peer.peerId} in room ${room.key}:`, error.message);
+  }
+}
+
+/**
+ * Forward a published track to a subscriber
+ */
+function subscribe(subscriber, publisher, published) {
+  const transceiver = subscriber.pc.addTransceiver(published.track.kind, { direction: 'sendonly' });
+
+  const { unSubscribe } = published.track.onReceiveRtp.subscribe(rtp => {
+    // Not negotiated yet
+    const payloadType = transceiver.sender.codec?.payloadType;
+    if (payloadType === undefined) return;
+
+    const packet = RtpPacket.deSerialize(rtp.serialize());
+    packet.header.payloadType = payloadType;
+    transceiver.sender.sendRtp(packet);
+  });
+
+  subscriber.subscriptions.push({
+    publisherId: publisher.peerId,
+    published,
+    transceiver,
+    unSubscribe,
+  });
+  published.subscriberCount++;
+}
+
+/**
+ * Stop forwarding a subscription
+ */
+function unsubscribe(subscriber, subscription) {
+  subscription.unSubscribe();
+  subscription.published.subscriberCount--;
+
+  try {
+    subscriber.pc.removeTrack(subscription.transceiver.sender);
+  } catch (error) {
+    // Already closed
+  }
+}
+
+/**
+ * A peer started sending a track: forward it to everyone else
+ */
+function handleTrack(room, publisher, { track, transceiver }) {
+  const published = { track, transceiver, subscriberCount: 0 };
+  publisher.published.push(published);
+
+  console.log(`[SFU] ${publisher.peerId} published ${track.kind} in room ${room.key}`);
+
+  for (const subscriber of room.peers.values()) {
+    if (subscriber === publisher || !subscriber.connected) continue;
+
+    subscribe(subscriber, publisher, published);
+    negotiate(room, subscriber);
+  }
+}
+
+/**
+ * Remove a peer, its connection and everything it published
+ * @param {boolean} [closeIfEmpty=true] - Close the room if it was the last peer
+ */
+function removePeer(room, peerId, closeIfEmpty = true) {
+  const peer = room.peers.get(peerId);
+  if (!peer) return false;
+
+  room.peers.delete(peerId);
+  room.pendingCandidates.delete(peerId);
+
+  for (const subscription of peer.subscriptions) {
+    subscription.unSubscribe();
+    subscription.published.subscriberCount--;
+  }
+
+  for (const subscriber of room.peers.values()) {
+    const removed = subscriber.subscriptions.filter(s => s.publisherId === peerId);
+    if (removed.length === 0) continue;
+
+    for (const subscription of removed) {
+      unsubscribe(subscriber, subscription);
+    }
+    subscriber.subscriptions = subscriber.subscriptions.filter(s => s.publisherId !== peerId);
+    negotiate(room, subscriber);
+  }
+
+  peer.pc.close().catch(() => {});
+  console.log(`[SFU] ${peerId} left room ${room.key} (${room.peers.size} remaining)`);
+
+  if (closeIfEmpty && room.peers.size === 0) {
+    closeRoom(room.callType, room.callId);
+  }
+  return true;
+}
+
+/**
+ * Open a peer's connection from its offer
+ * An offer from a peer that is already connected replaces its connection
+ * (e.g. after the app reconnected).
+ */
+async function handleOffer(room, peerId, data) {
+  removePeer(room, peerId, false);
+
+  const pc = new RTCPeerConnection(getPeerConnectionConfig());
+  const peer = {
+    peerId,
+    pc,
+    published: [],
+    subscriptions: [],
+    connected: false,
+    negotiating: false,
+    needsNegotiation: false,
+  };
+  room.peers.set(peerId, peer);
+
+  pc.onIceCandidate.subscribe(candidate => {
+    if (candidate && room.peers.get(peerId) === peer) {
+      sendSignal(room, peer, 'ice-candidate', candidate.toJSON());
+    }
+  });
+
+  pc.ontrack = event => handleTrack(room, peer, event);
+
+  pc.connectionStateChange.subscribe(state => {
+    if ((state === 'failed' || state === 'closed') && room.peers.get(peerId) === peer) {
+      console.log(`[SFU] Connection to ${peerId} ${state} in room ${room.key}`);
+      enqueue(room, () => removePeer(room, peerId));
+    }
+  });
+
+  await pc.setRemoteDescription({ type: 'offer', sdp: data.sdp });
+  const answer = await pc.createAnswer();
+  await pc.setLocalDescription(answer);
+  await sendSignal(room, peer, 'answer', { type: 'answer', sdp: pc.localDescription.sdp });
+
+  for (const candidate of room.pendingCandidates.get(peerId) || []) {
+    await pc.addIceCandidate(candidate).catch(() => {});
+  }
+  room.pendingCandidates.delete(peerId);
+
+  // Receive everything already being published
+  peer.connected = true;
+  for (const publisher of room.peers.values()) {
+    if (publisher === peer) continue;
+    for (const published of publisher.published) {
+      subscribe(peer, publisher, published);
+    }
+  }
+
+  console.log(`[SFU] ${peerId} joined room ${room.key} (${room.peers.size} peer(s))`);
+
+  if (peer.subscriptions.length > 0) {
+    await negotiate(room, peer);
+  }
+}
+
+/**
+ * A peer answered one of the SFU's offers
+ */
+async function handleAnswer(room, peerId, data) {
+  const peer = room.peers.get(peerId);
+  if (!peer) {
+    throw new Error(`Unknown peer ${peerId}`);
+  }
+
+  await peer.pc.setRemoteDescription({ type: 'answer', sdp: data.sdp });
+  peer.negotiating = false;
+
+  for (const subscription of peer.subscriptions) {
+    requestKeyframe(subscription.published);
+  }
+
+  if (peer.needsNegotiation) {
+    await negotiate(room, peer);
+  }
+}
+
+async function handleIceCandidate(room, peerId, data) {
+  if (!data?.candidate) return;
+
+  const peer = room.peers.get(peerId);
+  if (!peer) {
+    if (!room.pendingCandidates.has(peerId)) {
+      room.pendingCandidates.set(peerId, []);
+    }
+    room.pendingCandidates.get(peerId).push(data);
+    return;
+  }
+
+  await peer.pc.addIceCandidate(data);
+}
+
+/**
+ * Handle a signal from a participant or the recorder
+ * @param {Object} signal
+ * @param {string} signal.callType - 'phone' or 'video'
+ * @param {string} signal.callId
+ * @param {string} signal.peerId - Group member ID, or 'recorder'
+ * @param {string} signal.type - 'offer', 'answer' or 'ice-candidate'
+ * @param {Object} signal.data
+ * @returns {Promise<void>}
+ */
+function handleSignal({ callType, callId, peerId, type, data }) {
+  const room = getOrCreateRoom(callType, callId);
+
+  return enqueue(room, async () => {
+    switch (type) {
+      case 'offer':
+        return handleOffer(room, peerId, data);
+      case 'answer':
+        return handleAnswer(room, peerId, data);
+      case 'ice-candidate':
+        return handleIceCandidate(room, peerId, data);
+      default:
+        throw new Error(`Unknown signal type: ${type}`);
+    }
+  });
+}
+
+/**
+ * Remove a peer that left the call
+ * @returns {Promise<boolean>} Whether the peer was in the room
+ */
+function leaveRoom(callType, callId, peerId) {
+  const room = rooms.get(getRoomKey(callType, callId));
+  if (!room) return Promise.resolve(false);
+
+  return enqueue(room, () => removePeer(room, peerId));
+}
+
+/**
+ * Close a room and every connection in it
+ * @returns {boolean} Whether the room was open
+ */
+function closeRoom(callType, callId) {
+  const key = getRoomKey(callType, callId);
+  const room = rooms.get(key);
+  if (!room) return false;
+
+  rooms.delete(key);
+  clearInterval(room.keyframeTimer);
+
+  for (const peer of room.peers.values()) {
+    for (const subscription of peer.subscriptions) {
+      subscription.unSubscribe();
+    }
+    peer.pc.close().catch(() => {});
+  }
+  room.peers.clear();
+
+  console.log(`[SFU] Room ${key} closed`);
+  return true;
+}
+
+/**
+ * Counts of open rooms and peers
+ * @returns {{rooms: number, peers: number}}
+ */
+function getStats() {
+  let peers = 0;
+  for (const room of rooms.values()) {
+    peers += room.peers.size;
+  }
+  return { rooms: rooms.size, peers };
+}
+
+module.exports = {
+  handleSignal,
+  leaveRoom,
+  closeRoom,
+  getStats,
+};
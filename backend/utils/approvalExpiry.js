@@ -0,0 +1,213 @@
+/**
+ * Approval Expiry Utility
+ *
+ * Expiry policies for pending approvals. Each group can set, per approval
+ * type, how long admins have to vote, how often admins who haven't voted are
+ * reminded, and what happens when time runs out:
+ * - reject: the request is rejected (the status quo wins)
+ * - approve: the request is approved and carried out
+ * - escalate: admins get a final window, after which a fallback majority of
+ *   the votes actually cast decides
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Approval types with an expiry policy (swap requests are answered by their counterparty)
+const APPROVAL_TYPES = [
+  'add_member',
+  'remove_member',
+  'change_role_to_admin',
+  'change_role_from_admin',
+  'delete_group',
+  'delete_file',
+  'delete_call_recording',
+  'delete_log_export',
+  'change_recording_settings',
+  'change_group_settings',
+  'change_approval_policy',
+  'change_retention_policy',
+  'assign_relationship',
+  'change_relationship',
+  'create_calendar_event',
+  'edit_calendar_event',
+  'delete_calendar_event',
+  'create_responsibility_event',
+  'create_custody_schedule',
+];
+
+const EXPIRY_OUTCOMES = ['reject', 'approve', 'escalate'];
+
+// Used for approval types a group hasn't configured
+const DEFAULT_POLICY = {
+  expiryHours: 168,
+  reminderIntervalHours: 24,
+  outcome: 'reject',
+  escalationHours: 48,
+  fallbackPercentage: 50,
+};
+
+const MAX_EXPIRY_HOURS = 90 * 24;
+const MAX_INTERVAL_HOURS = 30 * 24;
+
+/**
+ * Pick the policy for an approval type, falling back to the default
+ *
+ * @param {string} approvalType
+ * @param {Object[]} policies - The group's ApprovalExpiryPolicy rows
+ * @returns {Object} Policy with numeric fields
+ */
+function resolvePolicy(approvalType, policies) {
+  const policy = policies.find(p => p.approvalType === approvalType);
+  if (!policy) {
+    return { approvalType, ...DEFAULT_POLICY, isDefault: true };
+  }
+
+  return {
+    approvalType,
+    expiryHours: policy.expiryHours,
+    reminderIntervalHours: policy.reminderIntervalHours,
+    outcome: policy.outcome,
+    escalationHours: policy.escalationHours,
+    fallbackPercentage: parseFloat(policy.fallbackPercentage),
+    isDefault: false,
+  };
+}
+
+/**
+ * When a pending approval runs out of time
+ *
+ * @param {Object} approval - Approval with requestedAt and escalatedAt
+ * @param {Object} policy - Resolved policy
+ * @returns {Date|null} null when the approval never expires
+ */
+function getDeadline(approval, policy) {
+  if (approval.escalatedAt) {
+    return new Date(new Date(approval.escalatedAt).getTime() + policy.escalationHours * HOUR_MS);
+  }
+  if (policy.expiryHours === null || policy.expiryHours === undefined) {
+    return null;
+  }
+  return new Date(new Date(approval.requestedAt).getTime() + policy.expiryHours * HOUR_MS);
+}
+
+/**
+ * Whether admins who haven't voted are due another reminder
+ *
+ * @param {Object} approval - Approval with requestedAt and lastReminderAt
+ * @param {Object} policy - Resolved policy
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isReminderDue(approval, policy, now) {
+  if (!policy.reminderIntervalHours) {
+    return false;
+  }
+  const since = new Date(approval.lastReminderAt || approval.requestedAt).getTime();
+  return now.getTime() - since >= policy.reminderIntervalHours * HOUR_MS;
+}
+
+/**
+ * Decide what happens to an approval that has run out of time
+ *
+ * Requests needing every admin (promoting to admin) are never approved by
+ * default. An escalated request is approved when more than the fallback
+ * percentage of the votes cast are approvals; with no votes it is rejected.
+ *
+ * @param {Object} approval - Approval with requiresAllAdmins and escalatedAt
+ * @param {Object} policy - Resolved policy
+ * @param {{approveVotes: number, rejectVotes: number}} votes
+ * @returns {'approve'|'reject'|'escalate'}
+ */
+function decideExpiredApproval(approval, policy, { approveVotes, rejectVotes }) {
+  if (approval.requiresAllAdmins) {
+    return 'reject';
+  }
+
+  if (approval.escalatedAt) {
+    const votesCast = approveVotes + rejectVotes;
+    return votesCast > 0 && (approveVotes / votesCast) * 100 > policy.fallbackPercentage
+      ? 'approve'
+      : 'reject';
+  }
+
+  return policy.outcome;
+}
+
+/**
+ * Describe a policy for audit logs
+ *
+ * @param {Object} policy
+ * @returns {string} e.g. 'expires after 168 hours and is rejected; reminders every 24 hours'
+ */
+function describePolicy(policy) {
+  let expiry = 'never expires';
+  if (policy.expiryHours !== null) {
+    const outcome = {
+      reject: 'is rejected',
+      approve: 'is approved',
+      escalate: `is escalated for ${policy.escalationHours} hours, then decided by more than ${policy.fallbackPercentage}% of the votes cast`,
+    }[policy.outcome];
+    expiry = `expires after ${policy.expiryHours} hours and ${outcome}`;
+  }
+
+  const reminders = policy.reminderIntervalHours
+    ? `reminders every ${policy.reminderIntervalHours} hours`
+    : 'no reminders';
+
+  return `${expiry}; ${reminders}`;
+}
+
+/**
+ * Validate a policy from a request body
+ *
+ * @param {string} approvalType
+ * @param {Object} body - { expiryHours, reminderIntervalHours, outcome, escalationHours, fallbackPercentage }
+ * @returns {{policy?: Object, error?: string}}
+ */
+function validatePolicy(approvalType, body) {
+  if (!APPROVAL_TYPES.includes(approvalType)) {
+    return { error: `Unknown approval type: ${approvalType}` };
+  }
+
+  const policy = { ...DEFAULT_POLICY };
+  for (const field of Object.keys(DEFAULT_POLICY)) {
+    if (body[field] !== undefined) {
+      policy[field] = body[field];
+    }
+  }
+
+  const isWholeHours = (value, max) => Number.isInteger(value) && value >= 1 && value <= max;
+
+  if (policy.expiryHours !== null && !isWholeHours(policy.expiryHours, MAX_EXPIRY_HOURS)) {
+    return { error: `expiryHours must be a whole number of hours from 1 to ${MAX_EXPIRY_HOURS}, or null to never expire` };
+  }
+  if (policy.reminderIntervalHours !== null && !isWholeHours(policy.reminderIntervalHours, MAX_INTERVAL_HOURS)) {
+    return { error: `reminderIntervalHours must be a whole number of hours from 1 to ${MAX_INTERVAL_HOURS}, or null for no reminders` };
+  }
+  if (!EXPIRY_OUTCOMES.includes(policy.outcome)) {
+    return { error: `outcome must be one of: ${EXPIRY_OUTCOMES.join(', ')}` };
+  }
+  if (!isWholeHours(policy.escalationHours, MAX_INTERVAL_HOURS)) {
+    return { error: `escalationHours must be a whole number of hours from 1 to ${MAX_INTERVAL_HOURS}` };
+  }
+  if (typeof policy.fallbackPercentage !== 'number' || policy.fallbackPercentage < 0 || policy.fallbackPercentage >= 100) {
+    return { error: 'fallbackPercentage must be at least 0 and less than 100' };
+  }
+  if (approvalType === 'change_role_to_admin' && policy.outcome !== 'reject') {
+    return { error: 'Promoting to admin needs every admin, so it can only be rejected on expiry' };
+  }
+
+  return { policy };
+}
+
+module.exports = {
+  APPROVAL_TYPES,
+  EXPIRY_OUTCOMES,
+  DEFAULT_POLICY,
+  resolvePolicy,
+  getDeadline,
+  isReminderDue,
+  decideExpiredApproval,
+  describePolicy,
+  validatePolicy,
+};
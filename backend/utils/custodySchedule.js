@@ -0,0 +1,119 @@
+/**
+ * Custody Schedule Utility
+ *
+ * Named custody patterns and the responsibility event series they generate.
+ * A pattern is a repeating cycle of blocks; each block is one recurring
+ * responsibility event (repeating every cycle) for one of the pattern's
+ * members, handing the children over to the next block's member at its end.
+ */
+
+const { toWallClock, fromWallClock } = require('./timeZone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Slot 0 is the first responsible member, slot 1 the second
+const CUSTODY_PATTERNS = {
+  'week-on-week-off': {
+    label: 'Week on / week off',
+    description: 'Each member has the children for a full week at a time.',
+    blocks: [[0, 7], [1, 7]],
+  },
+  '2-2-3': {
+    label: '2-2-3',
+    description: '2 days, 2 days, 3 days, swapping every week.',
+    blocks: [[0, 2], [1, 2], [0, 3], [1, 2], [0, 2], [1, 3]],
+  },
+  '2-2-5-5': {
+    label: '2-2-5-5',
+    description: '2 days each, then 5 days each.',
+    blocks: [[0, 2], [1, 2], [0, 5], [1, 5]],
+  },
+  '3-4-4-3': {
+    label: '3-4-4-3',
+    description: '3 days and 4 days, swapping every week.',
+    blocks: [[0, 3], [1, 4], [0, 4], [1, 3]],
+  },
+  'alternating-weekends': {
+    label: 'Alternating weekends',
+    description: 'The first member has every other weekend (start on a Friday), the second member the rest.',
+    blocks: [[0, 2], [1, 12]],
+  },
+};
+
+// Members each pattern divides time between
+const PATTERN_MEMBER_COUNT = 2;
+
+/**
+ * List the patterns for clients
+ * @returns {Array<{key: string, label: string, description: string, cycleDays: number}>}
+ */
+function listPatterns() {
+  return Object.entries(CUSTODY_PATTERNS).map(([key, pattern]) => ({
+    key,
+    label: pattern.label,
+    description: pattern.description,
+    cycleDays: getCycleDays(pattern),
+    memberCount: PATTERN_MEMBER_COUNT,
+  }));
+}
+
+function getCycleDays(pattern) {
+  return pattern.blocks.reduce((total, [, days]) => total + days, 0);
+}
+
+/**
+ * Build the recurring series of a custody schedule
+ *
+ * @param {Object} options
+ * @param {string} options.pattern - Key of CUSTODY_PATTERNS
+ * @param {Date} options.startTime - First handover (start of the first block)
+ * @param {Date} [options.endDate] - Last day of the schedule (open-ended if not set)
+ * @param {string[]} options.memberIds - Responsible groupMemberIds by slot
+ * @param {string} [options.timeZone] - Time zone handovers keep their local time in (UTC if not set)
+ * @returns {Array<{startTime: Date, endTime: Date, rule: string, memberId: string, nextMemberId: string}>}
+ *   One series per block of the cycle, in cycle order
+ * @throws {Error} If the pattern is unknown
+ */
+function buildScheduleSeries({ pattern, startTime, endDate = null, memberIds, timeZone = 'UTC' }) {
+  const definition = CUSTODY_PATTERNS[pattern];
+  if (!definition) {
+    throw new Error(`Unknown custody pattern: ${pattern}`);
+  }
+
+  const cycleDays = getCycleDays(definition);
+  const until = endDate ? `;UNTIL=${toUntil(endDate)}` : '';
+  const firstStart = toWallClock(new Date(startTime).getTime(), timeZone);
+
+  let offsetDays = 0;
+  return definition.blocks.map(([slot, days], index) => {
+    const [nextSlot] = definition.blocks[(index + 1) % definition.blocks.length];
+    const blockStart = firstStart + offsetDays * DAY_MS;
+    offsetDays += days;
+
+    return {
+      startTime: fromWallClock(blockStart, timeZone),
+      endTime: fromWallClock(blockStart + days * DAY_MS, timeZone),
+      rule: `FREQ=DAILY;INTERVAL=${cycleDays}${until}`,
+      memberId: memberIds[slot],
+      nextMemberId: memberIds[nextSlot],
+    };
+  });
+}
+
+/**
+ * Format an UNTIL value (end of the given day, UTC)
+ * @param {Date} date
+ * @returns {string} e.g. 20270131T235959Z
+ */
+function toUntil(date) {
+  const d = new Date(date);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T235959Z`;
+}
+
+module.exports = {
+  CUSTODY_PATTERNS,
+  PATTERN_MEMBER_COUNT,
+  listPatterns,
+  buildScheduleSeries,
+};
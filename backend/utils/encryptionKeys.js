@@ -0,0 +1,75 @@
+/**
+ * Encryption key ring helpers
+ *
+ * Shared by the message and file encryption services. A key ring has one
+ * active key (used to encrypt) and any number of previous keys that are still
+ * accepted for decryption while data is re-encrypted after a key rotation.
+ *
+ * Every key is identified by a short fingerprint (the key ID), which is stored
+ * with each ciphertext so the right key can be found without trial decryption.
+ */
+
+const crypto = require('crypto');
+
+// Hex characters of the SHA-256 fingerprint used as the key ID
+const KEY_ID_LENGTH = 8;
+
+/**
+ * Get the ID of a key
+ *
+ * @param {Buffer} key
+ * @returns {string} 8 hex characters
+ */
+function getKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, KEY_ID_LENGTH);
+}
+
+/**
+ * Parse a comma-separated list of 64-character hex keys
+ *
+ * @param {string} [value] - Environment variable value
+ * @param {string} name - Environment variable name (for error messages)
+ * @returns {Buffer[]}
+ * @throws {Error} If a key is not 64 hex characters
+ */
+function parseKeyList(value, name) {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',').map(key => key.trim()).filter(Boolean).map((key) => {
+    if (!/^[0-9a-fA-F]{64}$/.test(key)) {
+      throw new Error(`${name} must be a comma-separated list of 64 hex character keys`);
+    }
+    return Buffer.from(key, 'hex');
+  });
+}
+
+/**
+ * Build a key ring
+ *
+ * @param {Buffer} activeKey - Key used for new ciphertexts
+ * @param {Buffer[]} previousKeys - Keys only used for decryption
+ * @returns {{activeKeyId: string, activeKey: Buffer, keys: Map<string, Buffer>}}
+ *   keys holds every key by ID, active key first
+ */
+function buildKeyring(activeKey, previousKeys = []) {
+  const activeKeyId = getKeyId(activeKey);
+  const keys = new Map([[activeKeyId, activeKey]]);
+
+  for (const key of previousKeys) {
+    const keyId = getKeyId(key);
+    if (!keys.has(keyId)) {
+      keys.set(keyId, key);
+    }
+  }
+
+  return { activeKeyId, activeKey, keys };
+}
+
+module.exports = {
+  KEY_ID_LENGTH,
+  getKeyId,
+  parseKeyList,
+  buildKeyring,
+};
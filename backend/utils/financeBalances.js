@@ -0,0 +1,170 @@
+/**
+ * Finance Balance Utility
+ *
+ * Derives outstanding amounts, overdue status and running balances from
+ * FinanceMatter / FinanceMatterMember rows.
+ *
+ * A member's balance in a matter is paidAmount - expectedAmount:
+ * - negative: they still owe (to the payee or to members who paid extra)
+ * - positive: they paid more than their share and are owed money
+ */
+
+// Allow small rounding differences when comparing amounts
+const BALANCE_TOLERANCE = 0.01;
+
+/**
+ * Round an amount to cents
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Summarise one member's share of a matter
+ * @param {Object} member - FinanceMatterMember
+ * @returns {{groupMemberId: string, expected: number, paid: number, balance: number, outstanding: number}}
+ */
+function summarizeMemberShare(member) {
+  const expected = parseFloat(member.expectedAmount);
+  const paid = parseFloat(member.paidAmount || 0);
+  const balance = roundAmount(paid - expected);
+
+  return {
+    groupMemberId: member.groupMemberId,
+    expected: roundAmount(expected),
+    paid: roundAmount(paid),
+    balance,
+    outstanding: balance < -BALANCE_TOLERANCE ? -balance : 0,
+  };
+}
+
+/**
+ * Derive the status of a finance matter
+ *
+ * @param {Object} matter - FinanceMatter with members
+ * @param {Date} [now]
+ * @returns {'canceled'|'settled'|'overdue'|'open'}
+ */
+function getMatterStatus(matter, now = new Date()) {
+  if (matter.isCanceled) {
+    return 'canceled';
+  }
+  if (matter.isSettled) {
+    return 'settled';
+  }
+
+  const hasOutstanding = (matter.members || [])
+    .some(member => summarizeMemberShare(member).outstanding > 0);
+
+  if (matter.dueDate && new Date(matter.dueDate) < now && hasOutstanding) {
+    return 'overdue';
+  }
+  return 'open';
+}
+
+/**
+ * Summarise a finance matter's payment progress
+ *
+ * @param {Object} matter - FinanceMatter with members
+ * @param {Date} [now]
+ * @returns {{status: string, isOverdue: boolean, totalPaid: number, outstandingAmount: number}}
+ *   outstandingAmount is the sum of unpaid shares (what members still owe)
+ */
+function summarizeMatter(matter, now = new Date()) {
+  const shares = (matter.members || []).map(summarizeMemberShare);
+  const status = getMatterStatus(matter, now);
+
+  return {
+    status,
+    isOverdue: status === 'overdue',
+    totalPaid: roundAmount(shares.reduce((sum, share) => sum + share.paid, 0)),
+    outstandingAmount: roundAmount(shares.reduce((sum, share) => sum + share.outstanding, 0)),
+  };
+}
+
+/**
+ * Calculate each member's running balance across finance matters
+ *
+ * Balances are kept per currency. Canceled matters are ignored; settled
+ * matters are included so the history is complete. Each member's matters are
+ * listed oldest first with the cumulative balance after each one.
+ *
+ * @param {Object[]} matters - FinanceMatters with members
+ * @param {Date} [now]
+ * @returns {Object[]} One entry per member:
+ *   { groupMemberId, currencies: [{ currency, expected, paid, balance,
+ *     outstanding, overdue, matters: [{ financeMatterId, name, createdAt,
+ *     dueDate, status, expected, paid, balance, runningBalance }] }] }
+ */
+function calculateMemberBalances(matters, now = new Date()) {
+  const byMember = new Map();
+
+  const ordered = matters
+    .filter(matter => !matter.isCanceled)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  for (const matter of ordered) {
+    const status = getMatterStatus(matter, now);
+
+    for (const member of matter.members || []) {
+      const share = summarizeMemberShare(member);
+
+      if (!byMember.has(share.groupMemberId)) {
+        byMember.set(share.groupMemberId, new Map());
+      }
+      const currencies = byMember.get(share.groupMemberId);
+
+      if (!currencies.has(matter.currency)) {
+        currencies.set(matter.currency, {
+          currency: matter.currency,
+          expected: 0,
+          paid: 0,
+          balance: 0,
+          outstanding: 0,
+          overdue: 0,
+          matters: [],
+        });
+      }
+      const totals = currencies.get(matter.currency);
+
+      // Settled matters no longer count as owed, even if shares were forgiven
+      const outstanding = status === 'settled' ? 0 : share.outstanding;
+
+      totals.expected = roundAmount(totals.expected + share.expected);
+      totals.paid = roundAmount(totals.paid + share.paid);
+      totals.balance = roundAmount(totals.balance + (status === 'settled' ? 0 : share.balance));
+      totals.outstanding = roundAmount(totals.outstanding + outstanding);
+      if (status === 'overdue') {
+        totals.overdue = roundAmount(totals.overdue + outstanding);
+      }
+
+      totals.matters.push({
+        financeMatterId: matter.financeMatterId,
+        name: matter.name,
+        createdAt: matter.createdAt,
+        dueDate: matter.dueDate,
+        status,
+        expected: share.expected,
+        paid: share.paid,
+        balance: share.balance,
+        runningBalance: totals.balance,
+      });
+    }
+  }
+
+  return Array.from(byMember.entries()).map(([groupMemberId, currencies]) => ({
+    groupMemberId,
+    currencies: Array.from(currencies.values()),
+  }));
+}
+
+module.exports = {
+  BALANCE_TOLERANCE,
+  roundAmount,
+  summarizeMemberShare,
+  getMatterStatus,
+  summarizeMatter,
+  calculateMemberBalances,
+};
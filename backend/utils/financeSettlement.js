@@ -0,0 +1,325 @@
+/**
+ * Finance Settlement Utility
+ *
+ * Debt simplification ("settle up") across open finance matters.
+ *
+ * Within a matter, members who paid more than their share are owed by members
+ * who paid less. When the payee has not been paid in full, debtors owe the
+ * members only in proportion to what the members overpaid; the rest is owed
+ * to the payee and is not part of settling up.
+ *
+ * Pending (unconfirmed) payments are treated as already made so members are
+ * not asked to pay twice. All arithmetic is done in cents.
+ */
+
+// Above this many members with a balance, fall back to the greedy plan
+// (the exact plan is exponential in the number of members)
+const MAX_EXACT_MEMBERS = 12;
+
+/**
+ * Convert an amount to integer cents
+ * @param {number|string} amount
+ * @returns {number}
+ */
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+/**
+ * Convert integer cents to an amount
+ * @param {number} cents
+ * @returns {number}
+ */
+function fromCents(cents) {
+  return cents / 100;
+}
+
+/**
+ * Get each member's balance in a matter, in cents, including pending payments
+ *
+ * @param {Object} matter - FinanceMatter with members
+ * @param {Object[]} pendingPayments - Unconfirmed FinancePayments of the matter
+ * @returns {Map<string, number>} groupMemberId -> paid - expected
+ */
+function getEffectiveBalances(matter, pendingPayments) {
+  const balances = new Map();
+
+  for (const member of matter.members || []) {
+    balances.set(
+      member.groupMemberId,
+      toCents(member.paidAmount || 0) - toCents(member.expectedAmount)
+    );
+  }
+
+  for (const payment of pendingPayments) {
+    const amount = toCents(payment.amount);
+    if (balances.has(payment.fromMemberId)) {
+      balances.set(payment.fromMemberId, balances.get(payment.fromMemberId) + amount);
+    }
+    if (payment.toMemberId && balances.has(payment.toMemberId)) {
+      balances.set(payment.toMemberId, balances.get(payment.toMemberId) - amount);
+    }
+  }
+
+  return balances;
+}
+
+/**
+ * Split a matter's balances into who owes whom
+ *
+ * Each debtor owes each creditor in proportion to both balances. Amounts are
+ * rounded down to whole cents, so member debts never exceed what is owed.
+ *
+ * @param {Map<string, number>} balances - From getEffectiveBalances
+ * @returns {{fromMemberId: string, toMemberId: string, amount: number}[]} amounts in cents
+ */
+function getPairwiseDebts(balances) {
+  const debtors = [];
+  const creditors = [];
+  for (const [groupMemberId, balance] of balances) {
+    if (balance < 0) {
+      debtors.push({ groupMemberId, amount: -balance });
+    } else if (balance > 0) {
+      creditors.push({ groupMemberId, amount: balance });
+    }
+  }
+
+  const totalOwed = debtors.reduce((sum, d) => sum + d.amount, 0);
+  const totalOverpaid = creditors.reduce((sum, c) => sum + c.amount, 0);
+  const scale = Math.max(totalOwed, totalOverpaid);
+
+  const debts = [];
+  for (const debtor of debtors) {
+    for (const creditor of creditors) {
+      const amount = Math.floor((debtor.amount * creditor.amount) / scale);
+      if (amount > 0) {
+        debts.push({ fromMemberId: debtor.groupMemberId, toMemberId: creditor.groupMemberId, amount });
+      }
+    }
+  }
+  return debts;
+}
+
+/**
+ * Collect open matters of one currency, oldest first, with their member debts
+ *
+ * @param {Object[]} matters - FinanceMatters with members
+ * @param {Object[]} pendingPayments - Unconfirmed FinancePayments of those matters
+ * @param {string} currency
+ * @returns {{financeMatterId: string, memberIds: string[], debts: Object[]}[]}
+ */
+function getOpenMatterDebts(matters, pendingPayments, currency) {
+  return matters
+    .filter(matter => matter.currency === currency && !matter.isSettled && !matter.isCanceled)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map(matter => ({
+      financeMatterId: matter.financeMatterId,
+      memberIds: (matter.members || []).map(member => member.groupMemberId),
+      debts: getPairwiseDebts(getEffectiveBalances(
+        matter,
+        pendingPayments.filter(p => p.financeMatterId === matter.financeMatterId)
+      )),
+    }));
+}
+
+/**
+ * Partition members into the largest number of groups that each net to zero
+ *
+ * Settling a zero-sum group of k members takes k - 1 transfers, so the most
+ * groups gives the fewest transfers overall.
+ *
+ * @param {number[]} amounts - Net balances in cents (non-zero, summing to zero)
+ * @returns {number[][]} Groups of indexes into amounts
+ */
+function partitionZeroSumGroups(amounts) {
+  const n = amounts.length;
+  const full = (1 << n) - 1;
+  const sums = new Array(full + 1).fill(0);
+  for (let mask = 1; mask <= full; mask++) {
+    const low = mask & -mask;
+    sums[mask] = sums[mask ^ low] + amounts[31 - Math.clz32(low)];
+  }
+
+  const best = new Array(full + 1).fill(0);
+  const choice = new Array(full + 1).fill(0);
+  for (let mask = 1; mask <= full; mask++) {
+    if (sums[mask] !== 0) {
+      continue;
+    }
+    // Every partition has a group containing the lowest member
+    const low = mask & -mask;
+    const rest = mask ^ low;
+    for (let sub = rest; ; sub = (sub - 1) & rest) {
+      const group = sub | low;
+      if (sums[group] === 0 && 1 + best[mask ^ group] > best[mask]) {
+        best[mask] = 1 + best[mask ^ group];
+        choice[mask] = group;
+      }
+      if (sub === 0) {
+        break;
+      }
+    }
+  }
+
+  const groups = [];
+  for (let mask = full; mask; mask ^= choice[mask]) {
+    const group = [];
+    for (let i = 0; i < n; i++) {
+      if (choice[mask] & (1 << i)) {
+        group.push(i);
+      }
+    }
+    groups.push(group);
+  }
+  return groups;
+}
+
+/**
+ * Settle a set of net balances by repeatedly paying the largest creditor
+ * from the largest debtor
+ *
+ * @param {{groupMemberId: string, amount: number}[]} entries - Net balances in cents
+ * @returns {{fromMemberId: string, toMemberId: string, amount: number}[]}
+ */
+function settleGreedily(entries) {
+  const debtors = entries.filter(e => e.amount < 0).map(e => ({ ...e, amount: -e.amount }));
+  const creditors = entries.filter(e => e.amount > 0).map(e => ({ ...e }));
+  const transfers = [];
+
+  while (debtors.length && creditors.length) {
+    debtors.sort((a, b) => b.amount - a.amount);
+    creditors.sort((a, b) => b.amount - a.amount);
+    const debtor = debtors[0];
+    const creditor = creditors[0];
+    const amount = Math.min(debtor.amount, creditor.amount);
+
+    transfers.push({ fromMemberId: debtor.groupMemberId, toMemberId: creditor.groupMemberId, amount });
+    debtor.amount -= amount;
+    creditor.amount -= amount;
+    if (debtor.amount === 0) {
+      debtors.shift();
+    }
+    if (creditor.amount === 0) {
+      creditors.shift();
+    }
+  }
+  return transfers;
+}
+
+/**
+ * Find the fewest transfers that bring every net balance to zero
+ *
+ * @param {Map<string, number>} netBalances - groupMemberId -> cents, summing to zero
+ * @returns {{fromMemberId: string, toMemberId: string, amount: number}[]} amounts in cents
+ */
+function simplifyDebts(netBalances) {
+  const entries = Array.from(netBalances, ([groupMemberId, amount]) => ({ groupMemberId, amount }))
+    .filter(e => e.amount !== 0);
+
+  if (entries.length > MAX_EXACT_MEMBERS) {
+    return settleGreedily(entries);
+  }
+
+  return partitionZeroSumGroups(entries.map(e => e.amount))
+    .flatMap(group => settleGreedily(group.map(i => entries[i])));
+}
+
+/**
+ * Build the settle-up plan for a group
+ *
+ * @param {Object[]} matters - FinanceMatters with members
+ * @param {Object[]} pendingPayments - Unconfirmed FinancePayments of those matters
+ * @returns {Object[]} One entry per currency with open balances:
+ *   { currency, balances: [{ groupMemberId, balance }],
+ *     transfers: [{ fromMemberId, toMemberId, amount }] }
+ *   A positive balance means the member is owed money.
+ */
+function planSettlement(matters, pendingPayments) {
+  const currencies = [...new Set(matters.map(matter => matter.currency))].sort();
+  const plans = [];
+
+  for (const currency of currencies) {
+    const netBalances = new Map();
+    for (const matter of getOpenMatterDebts(matters, pendingPayments, currency)) {
+      for (const debt of matter.debts) {
+        netBalances.set(debt.fromMemberId, (netBalances.get(debt.fromMemberId) || 0) - debt.amount);
+        netBalances.set(debt.toMemberId, (netBalances.get(debt.toMemberId) || 0) + debt.amount);
+      }
+    }
+
+    const transfers = simplifyDebts(netBalances);
+    if (transfers.length === 0) {
+      continue;
+    }
+
+    plans.push({
+      currency,
+      balances: Array.from(netBalances, ([groupMemberId, balance]) => ({
+        groupMemberId,
+        balance: fromCents(balance),
+      })).filter(b => b.balance !== 0),
+      transfers: transfers.map(t => ({ ...t, amount: fromCents(t.amount) })),
+    });
+  }
+
+  return plans;
+}
+
+/**
+ * Total a member owes another directly, across open matters of one currency
+ *
+ * @param {Object[]} matters - FinanceMatters with members
+ * @param {Object[]} pendingPayments - Unconfirmed FinancePayments of those matters
+ * @param {string} currency
+ * @param {string} fromMemberId - Member paying
+ * @param {string} toMemberId - Member receiving
+ * @returns {number}
+ */
+function getDirectDebt(matters, pendingPayments, currency, fromMemberId, toMemberId) {
+  const cents = getOpenMatterDebts(matters, pendingPayments, currency)
+    .flatMap(matter => matter.debts)
+    .filter(debt => debt.fromMemberId === fromMemberId && debt.toMemberId === toMemberId)
+    .reduce((sum, debt) => sum + debt.amount, 0);
+  return fromCents(cents);
+}
+
+/**
+ * Split a settle-up payment into one payment per matter
+ *
+ * The amount is applied only to what the payer owes the recipient directly,
+ * oldest matter first. Other members' balances are never touched, since only
+ * the recipient confirms the payment; anything that can't be applied is
+ * returned as unallocated for the caller to reject.
+ *
+ * @param {Object} options
+ * @param {Object[]} options.matters - FinanceMatters with members
+ * @param {Object[]} options.pendingPayments - Unconfirmed FinancePayments of those matters
+ * @param {string} options.currency
+ * @param {string} options.fromMemberId - Member paying
+ * @param {string} options.toMemberId - Member receiving
+ * @param {number} options.amount
+ * @returns {{allocations: {financeMatterId: string, fromMemberId: string, toMemberId: string, amount: number}[], unallocated: number}}
+ */
+function allocateSettlement({ matters, pendingPayments, currency, fromMemberId, toMemberId, amount }) {
+  const allocations = [];
+  let remaining = toCents(amount);
+
+  for (const matter of getOpenMatterDebts(matters, pendingPayments, currency)) {
+    const debt = matter.debts.find(d => d.fromMemberId === fromMemberId && d.toMemberId === toMemberId);
+    const used = debt ? Math.min(debt.amount, remaining) : 0;
+    if (used > 0) {
+      allocations.push({ financeMatterId: matter.financeMatterId, fromMemberId, toMemberId, amount: fromCents(used) });
+      remaining -= used;
+    }
+  }
+
+  return { allocations, unallocated: fromCents(remaining) };
+}
+
+module.exports = {
+  getPairwiseDebts,
+  simplifyDebts,
+  planSettlement,
+  getDirectDebt,
+  allocateSettlement,
+};
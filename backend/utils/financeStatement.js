@@ -0,0 +1,234 @@
+/**
+ * Finance Statement Utility
+ *
+ * Builds a finance statement for a group and date range (for mediators,
+ * lawyers and tax time) and formats it as CSV. The PDF version is built by
+ * services/pdf.service.js from the same statement.
+ *
+ * A matter is included when it was created, is due, or had a payment reported
+ * within the range. Member expected/paid amounts are the matter's current
+ * amounts; payments are those reported within the range.
+ */
+
+const { roundAmount, summarizeMemberShare, getMatterStatus } = require('./financeBalances');
+
+/**
+ * Check whether a date falls within a range (either end may be open)
+ * @param {Date|string|null} date
+ * @param {Date|null} from
+ * @param {Date|null} to
+ * @returns {boolean}
+ */
+function isWithinRange(date, from, to) {
+  if (!date) {
+    return false;
+  }
+  const time = new Date(date).getTime();
+  return (!from || time >= from.getTime()) && (!to || time <= to.getTime());
+}
+
+/**
+ * Build a finance statement
+ *
+ * Canceled matters are listed but left out of the currency totals.
+ *
+ * @param {Object} options
+ * @param {Object[]} options.matters - FinanceMatters with members and payments
+ * @param {Map<string, Object>} options.memberMap - groupMemberId -> { displayName }
+ * @param {Date|null} [options.from]
+ * @param {Date|null} [options.to]
+ * @param {Date} [options.now]
+ * @returns {{from: Date|null, to: Date|null, matters: Object[], totals: Object[]}}
+ */
+function buildFinanceStatement({ matters, memberMap, from = null, to = null, now = new Date() }) {
+  const nameOf = (groupMemberId) => memberMap.get(groupMemberId)?.displayName || 'Former member';
+
+  const statementMatters = matters
+    .map((matter) => ({
+      matter,
+      payments: (matter.payments || []).filter(payment => isWithinRange(payment.reportedAt, from, to)),
+    }))
+    .filter(({ matter, payments }) =>
+      isWithinRange(matter.createdAt, from, to) ||
+      isWithinRange(matter.dueDate, from, to) ||
+      payments.length > 0
+    )
+    .sort((a, b) => new Date(a.matter.createdAt) - new Date(b.matter.createdAt))
+    .map(({ matter, payments }) => ({
+      financeMatterId: matter.financeMatterId,
+      name: matter.name,
+      currency: matter.currency,
+      totalAmount: roundAmount(parseFloat(matter.totalAmount)),
+      createdAt: matter.createdAt,
+      dueDate: matter.dueDate,
+      status: getMatterStatus(matter, now),
+      members: (matter.members || []).map((member) => ({
+        ...summarizeMemberShare(member),
+        displayName: nameOf(member.groupMemberId),
+      })),
+      payments: payments
+        .sort((a, b) => new Date(a.reportedAt) - new Date(b.reportedAt))
+        .map((payment) => ({
+          paymentId: payment.paymentId,
+          reportedAt: payment.reportedAt,
+          from: nameOf(payment.fromMemberId),
+          to: payment.toMemberId ? nameOf(payment.toMemberId) : 'Payee',
+          amount: roundAmount(parseFloat(payment.amount)),
+          status: payment.isConfirmed ? 'confirmed' : 'pending',
+          confirmedAt: payment.confirmedAt,
+          isSettleUp: !!payment.settlementId,
+        })),
+    }));
+
+  const totalsByCurrency = new Map();
+  for (const matter of statementMatters) {
+    if (matter.status === 'canceled') {
+      continue;
+    }
+    if (!totalsByCurrency.has(matter.currency)) {
+      totalsByCurrency.set(matter.currency, {
+        currency: matter.currency,
+        matterCount: 0,
+        totalAmount: 0,
+        expected: 0,
+        paid: 0,
+        outstanding: 0,
+        confirmedPayments: 0,
+        pendingPayments: 0,
+      });
+    }
+    const totals = totalsByCurrency.get(matter.currency);
+
+    totals.matterCount++;
+    totals.totalAmount = roundAmount(totals.totalAmount + matter.totalAmount);
+    for (const member of matter.members) {
+      totals.expected = roundAmount(totals.expected + member.expected);
+      totals.paid = roundAmount(totals.paid + member.paid);
+      if (matter.status !== 'settled') {
+        totals.outstanding = roundAmount(totals.outstanding + member.outstanding);
+      }
+    }
+    for (const payment of matter.payments) {
+      const field = payment.status === 'confirmed' ? 'confirmedPayments' : 'pendingPayments';
+      totals[field] = roundAmount(totals[field] + payment.amount);
+    }
+  }
+
+  return {
+    from,
+    to,
+    matters: statementMatters,
+    totals: Array.from(totalsByCurrency.values()).sort((a, b) => a.currency.localeCompare(b.currency)),
+  };
+}
+
+/**
+ * Format a date as YYYY-MM-DD (UTC)
+ * @param {Date|string|null} date
+ * @returns {string}
+ */
+function formatStatementDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : '';
+}
+
+/**
+ * Escape one CSV field
+ *
+ * Text starting with =, +, - or @ is prefixed with ' so spreadsheets do not
+ * run it as a formula. Numbers are written as they are.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'number') {
+    return value.toFixed(2);
+  }
+
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Format a finance statement as CSV
+ *
+ * The file has three sections (members per matter, payments, totals), each
+ * with a title row and its own header row, separated by a blank line.
+ *
+ * @param {Object} statement - From buildFinanceStatement
+ * @returns {string}
+ */
+function toStatementCSV(statement) {
+  const rows = [];
+
+  rows.push(['Finance Matters']);
+  rows.push(['Finance Matter', 'Created', 'Due Date', 'Status', 'Currency', 'Total Amount', 'Member', 'Expected', 'Paid', 'Balance']);
+  for (const matter of statement.matters) {
+    for (const member of matter.members) {
+      rows.push([
+        matter.name,
+        formatStatementDate(matter.createdAt),
+        formatStatementDate(matter.dueDate),
+        matter.status,
+        matter.currency,
+        matter.totalAmount,
+        member.displayName,
+        member.expected,
+        member.paid,
+        member.balance,
+      ]);
+    }
+  }
+
+  rows.push([]);
+  rows.push(['Payments']);
+  rows.push(['Finance Matter', 'Reported', 'Currency', 'From', 'To', 'Amount', 'Status', 'Confirmed', 'Settle-Up']);
+  for (const matter of statement.matters) {
+    for (const payment of matter.payments) {
+      rows.push([
+        matter.name,
+        formatStatementDate(payment.reportedAt),
+        matter.currency,
+        payment.from,
+        payment.to,
+        payment.amount,
+        payment.status,
+        formatStatementDate(payment.confirmedAt),
+        payment.isSettleUp ? 'yes' : 'no',
+      ]);
+    }
+  }
+
+  rows.push([]);
+  rows.push(['Totals']);
+  rows.push(['Currency', 'Matters', 'Total Amount', 'Expected', 'Paid', 'Outstanding', 'Confirmed Payments', 'Pending Payments']);
+  for (const totals of statement.totals) {
+    rows.push([
+      totals.currency,
+      String(totals.matterCount),
+      totals.totalAmount,
+      totals.expected,
+      totals.paid,
+      totals.outstanding,
+      totals.confirmedPayments,
+      totals.pendingPayments,
+    ]);
+  }
+
+  return rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildFinanceStatement,
+  formatStatementDate,
+  toStatementCSV,
+};
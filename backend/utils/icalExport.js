@@ -0,0 +1,246 @@
+/**
+ * iCal Export Utility
+ *
+ * Builds iCal (.ics) documents from group calendar events so they can be
+ * subscribed to from Google, Apple or Outlook calendars.
+ * Uses ical.js (the same library as parseIcal) for escaping and line folding.
+ *
+ * Recurring series are exported as a master VEVENT with RRULE/EXDATE plus one
+ * VEVENT per overridden occurrence (RECURRENCE-ID), so subscribers expand
+ * them the same way the app does.
+ */
+
+const ICAL = require('ical.js');
+const recurrence = require('./recurrence');
+
+const PRODUCT_ID = '-//Family Helper//Calendar Feed//EN';
+
+// Domain used in UIDs so they stay globally unique across calendars
+const UID_DOMAIN = 'familyhelper.app';
+
+/**
+ * Resolve a display name for a group member, preferring the user's profile name
+ * @param {Object|null} member - GroupMember with optional user relation
+ * @returns {string|null}
+ */
+function getMemberName(member) {
+  if (!member) {
+    return null;
+  }
+  return member.user?.displayName || member.displayName;
+}
+
+/**
+ * Resolve who is responsible at the start or end of a responsibility event
+ * @param {Object} re - ChildResponsibilityEvent with member relations
+ * @param {'start'|'end'} edge
+ * @returns {string|null}
+ */
+function getResponsibleName(re, edge) {
+  if (re[`${edge}ResponsibilityType`] === 'other') {
+    return re[`${edge}ResponsibleOtherName`] || null;
+  }
+  return getMemberName(re[`${edge}ResponsibleMember`]);
+}
+
+/**
+ * Build a readable summary for a child responsibility event (e.g. "Mum has Sam")
+ *
+ * @param {Object} re - ChildResponsibilityEvent with child and member relations
+ * @returns {{summary: string, handoverTo: string|null}}
+ *   handoverTo is set when someone else takes over at the end of the event
+ */
+function getResponsibilitySummary(re) {
+  const childName = getMemberName(re.child) || 'Child';
+  const startName = getResponsibleName(re, 'start');
+  const endName = getResponsibleName(re, 'end');
+
+  return {
+    summary: startName ? `${startName} has ${childName}` : `${childName} (responsibility)`,
+    handoverTo: endName && endName !== startName ? endName : null,
+  };
+}
+
+/**
+ * Check if an event is visible under a member's calendar layer preferences
+ *
+ * Mirrors the calendar screen: an event is visible if ANY attendee, child or
+ * responsible adult has a visible layer. Members without a preference are
+ * visible by default, as are events with no attendees or responsibilities.
+ *
+ * @param {Object} event - CalendarEvent with attendees and responsibilityEvents
+ * @param {Object[]} layerPreferences - CalendarLayerPreference rows for the member
+ * @returns {boolean}
+ */
+function isEventVisibleForLayers(event, layerPreferences) {
+  if (!layerPreferences || layerPreferences.length === 0) {
+    return true;
+  }
+
+  const hidden = new Set(
+    layerPreferences.filter(pref => !pref.isVisible).map(pref => pref.memberLayerId)
+  );
+  const isMemberVisible = (groupMemberId) => !groupMemberId || !hidden.has(groupMemberId);
+
+  const attendees = event.attendees || [];
+  const responsibilityEvents = event.responsibilityEvents || [];
+
+  if (attendees.length === 0 && responsibilityEvents.length === 0) {
+    return true;
+  }
+
+  if (attendees.some(attendee => isMemberVisible(attendee.groupMemberId))) {
+    return true;
+  }
+
+  return responsibilityEvents.some(re =>
+    isMemberVisible(re.childId) ||
+    (re.startResponsibleMemberId && isMemberVisible(re.startResponsibleMemberId)) ||
+    (re.endResponsibleMemberId && isMemberVisible(re.endResponsibleMemberId))
+  );
+}
+
+/**
+ * Convert a Date to a UTC ICAL.Time
+ * @param {Date} date
+ * @returns {ICAL.Time}
+ */
+function toIcalTime(date) {
+  return ICAL.Time.fromJSDate(new Date(date), true);
+}
+
+/**
+ * Build one VEVENT component
+ *
+ * @param {Object} fields
+ * @param {string} fields.uid
+ * @param {string} fields.summary
+ * @param {string|null} [fields.description]
+ * @param {Date} fields.startTime
+ * @param {Date} fields.endTime
+ * @param {Date} [fields.updatedAt]
+ * @param {string|null} [fields.rule] - RRULE body for series masters
+ * @param {Date[]} [fields.exdates] - Cancelled occurrences of a series
+ * @param {Date|null} [fields.recurrenceId] - Original start of an overridden occurrence
+ * @returns {ICAL.Component}
+ */
+function buildVevent({ uid, summary, description, startTime, endTime, updatedAt, rule, exdates = [], recurrenceId }) {
+  const vevent = new ICAL.Component('vevent');
+  vevent.addPropertyWithValue('uid', uid);
+  vevent.addPropertyWithValue('dtstamp', toIcalTime(updatedAt || new Date()));
+  if (recurrenceId) {
+    vevent.addPropertyWithValue('recurrence-id', toIcalTime(recurrenceId));
+  }
+  vevent.addPropertyWithValue('dtstart', toIcalTime(startTime));
+  vevent.addPropertyWithValue('dtend', toIcalTime(endTime));
+  vevent.addPropertyWithValue('summary', summary);
+  if (description) {
+    vevent.addPropertyWithValue('description', description);
+  }
+  if (rule) {
+    vevent.addPropertyWithValue('rrule', ICAL.Recur.fromString(rule));
+  }
+  for (const exdate of exdates) {
+    vevent.addPropertyWithValue('exdate', toIcalTime(exdate));
+  }
+  return vevent;
+}
+
+/**
+ * Build the VEVENTs for one calendar event
+ *
+ * Responsibility events produce one VEVENT per child so each reads as
+ * "<adult> has <child>"; other events use their title and notes.
+ *
+ * @param {Object} event - CalendarEvent with responsibilityEvents and exceptions
+ * @returns {ICAL.Component[]}
+ */
+function buildEventComponents(event) {
+  const rule = event.isRecurring
+    ? recurrence.normalizeRule(event.recurrencePattern, {
+      interval: event.recurrenceInterval,
+      until: event.recurrenceEndDate,
+    })
+    : null;
+  const exceptions = rule ? (event.exceptions || []) : [];
+
+  const entries = event.isResponsibilityEvent && event.responsibilityEvents?.length
+    ? event.responsibilityEvents.map(re => {
+      const { summary, handoverTo } = getResponsibilitySummary(re);
+      const notes = [handoverTo && `Handover to ${handoverTo} at the end`, event.notes].filter(Boolean);
+      return {
+        uid: `${re.responsibilityEventId}@${UID_DOMAIN}`,
+        summary,
+        description: notes.join('\n\n') || null,
+        usesEventTitle: false,
+      };
+    })
+    : [{
+      uid: `${event.eventId}@${UID_DOMAIN}`,
+      summary: event.title,
+      description: event.notes || null,
+      usesEventTitle: true,
+    }];
+
+  const components = [];
+  for (const entry of entries) {
+    components.push(buildVevent({
+      uid: entry.uid,
+      summary: entry.summary,
+      description: entry.description,
+      startTime: event.startTime,
+      endTime: event.endTime,
+      updatedAt: event.updatedAt,
+      rule,
+      exdates: exceptions.filter(e => e.isCancelled).map(e => e.originalStartTime),
+    }));
+
+    const durationMs = new Date(event.endTime) - new Date(event.startTime);
+    for (const exception of exceptions.filter(e => !e.isCancelled)) {
+      const originalStart = new Date(exception.originalStartTime);
+      components.push(buildVevent({
+        uid: entry.uid,
+        // Responsibility summaries describe who has the child, not the title
+        summary: entry.usesEventTitle ? (exception.title ?? entry.summary) : entry.summary,
+        description: entry.usesEventTitle ? (exception.notes ?? entry.description) : entry.description,
+        startTime: exception.startTime || originalStart,
+        endTime: exception.endTime || new Date(originalStart.getTime() + durationMs),
+        updatedAt: exception.updatedAt,
+        recurrenceId: originalStart,
+      }));
+    }
+  }
+
+  return components;
+}
+
+/**
+ * Build an iCal document for a group calendar
+ *
+ * @param {Object} options
+ * @param {string} options.calendarName - Shown by clients as the calendar name
+ * @param {Object[]} options.events - CalendarEvents with responsibilityEvents and exceptions
+ * @returns {string} RFC 5545 text (CRLF line endings)
+ */
+function buildCalendarFeed({ calendarName, events }) {
+  const vcalendar = new ICAL.Component(['vcalendar', [], []]);
+  vcalendar.addPropertyWithValue('prodid', PRODUCT_ID);
+  vcalendar.addPropertyWithValue('version', '2.0');
+  vcalendar.addPropertyWithValue('calscale', 'GREGORIAN');
+  vcalendar.addPropertyWithValue('method', 'PUBLISH');
+  vcalendar.addPropertyWithValue('x-wr-calname', calendarName);
+
+  for (const event of events) {
+    for (const component of buildEventComponents(event)) {
+      vcalendar.addSubcomponent(component);
+    }
+  }
+
+  return `${vcalendar.toString()}\r\n`;
+}
+
+module.exports = {
+  buildCalendarFeed,
+  getResponsibilitySummary,
+  isEventVisibleForLayers,
+};
@@ -0,0 +1,205 @@
+/**
+ * Job Schedule Utility
+ *
+ * Cron expressions and retry timing for the job scheduler
+ * (services/jobScheduler.service.js). Schedules use the five-field cron
+ * syntax node-cron accepted - minute, hour, day of month, month, day of
+ * week - with '*', numbers, ranges, lists and steps, evaluated in the
+ * server's local time.
+ */
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+// Give up looking for the next run after this many days (e.g. '0 0 31 2 *')
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} part - e.g. '*', '5', '1-5', '0,30', '*\/15'
+ * @param {Object} field - Entry from CRON_FIELDS
+ * @returns {Set<number>}
+ */
+function parseCronField(part, field) {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(item);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} in cron expression: "${part}"`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (match[1] !== '*') {
+      const [from, to] = match[1].split('-').map(Number);
+      start = from;
+      // A single value with a step ('5/15') runs from that value to the maximum
+      end = to !== undefined ? to : (match[2] ? field.max : from);
+    }
+    const step = match[2] ? Number(match[2]) : 1;
+
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw new Error(`Invalid ${field.name} in cron expression: "${part}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression - e.g. '30 3 * * *'
+ * @returns {Object} { minutes, hours, daysOfMonth, months, daysOfWeek, anyDayOfMonth, anyDayOfWeek }
+ * @throws {Error} If the expression is invalid
+ */
+function parseCronExpression(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression must have ${CRON_FIELDS.length} fields: "${expression}"`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map(
+    (part, index) => parseCronField(part, CRON_FIELDS[index])
+  );
+
+  // Sunday can be written as 0 or 7
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.delete(7);
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*',
+  };
+}
+
+/**
+ * Whether a schedule runs on a date
+ * As in cron, when both the day of month and the day of week are restricted,
+ * either one matching is enough.
+ * @param {Object} schedule - From parseCronExpression
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function matchesDay(schedule, date) {
+  if (!schedule.months.has(date.getMonth() + 1)) {
+    return false;
+  }
+
+  const dayOfMonth = schedule.daysOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getDay());
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Next time a schedule runs, strictly after a given time
+ * @param {string} expression - Cron expression
+ * @param {Date} after
+ * @returns {Date}
+ * @throws {Error} If the expression is invalid or never runs
+ */
+function getNextRunTime(expression, after) {
+  const schedule = parseCronExpression(expression);
+
+  const next = new Date(after.getTime());
+  next.setSeconds(0, 0);
+  next.setMinutes(next.getMinutes() + 1);
+
+  const limit = after.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+  while (next.getTime() <= limit) {
+    if (!matchesDay(schedule, next)) {
+      next.setDate(next.getDate() + 1);
+      next.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hours.has(next.getHours())) {
+      next.setHours(next.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minutes.has(next.getMinutes())) {
+      next.setMinutes(next.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return next;
+  }
+
+  throw new Error(`Cron expression never runs: "${expression}"`);
+}
+
+/**
+ * Whether a cron expression is valid
+ * @param {string} expression
+ * @returns {boolean}
+ */
+function isValidCronExpression(expression) {
+  try {
+    getNextRunTime(expression, new Date());
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Delay before retrying a failed run
+ * Doubles with each attempt: 1, 2, 4, 8... minutes, up to an hour.
+ * @param {number} attempt - The attempt that failed (1 for the first run)
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(attempt) {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempt - 1), RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * When a job runs after a failed attempt
+ * Retries back off, but never wait past the next scheduled run - that run
+ * counts as the retry. Once the attempts are used up the job waits for its
+ * next scheduled run and starts counting again.
+ * @param {Object} options
+ * @param {string} options.schedule - Cron expression
+ * @param {number} options.attempt - The attempt that failed
+ * @param {number} options.maxAttempts
+ * @param {Date} options.now
+ * @returns {{nextRunAt: Date, exhausted: boolean}}
+ */
+function getNextRunAfterFailure({ schedule, attempt, maxAttempts, now }) {
+  const scheduled = getNextRunTime(schedule, now);
+  if (attempt >= maxAttempts) {
+    return { nextRunAt: scheduled, exhausted: true };
+  }
+
+  const retryAt = new Date(now.getTime() + getRetryDelay(attempt));
+  return { nextRunAt: retryAt < scheduled ? retryAt : scheduled, exhausted: false };
+}
+
+module.exports = {
+  RETRY_BASE_DELAY_MS,
+  RETRY_MAX_DELAY_MS,
+  parseCronExpression,
+  getNextRunTime,
+  isValidCronExpression,
+  getRetryDelay,
+  getNextRunAfterFailure,
+};
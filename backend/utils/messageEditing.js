@@ -0,0 +1,68 @@
+/**
+ * Message Editing Utility
+ *
+ * Senders can edit their own messages for a while after sending. The window
+ * is set per message group (editWindowMinutes, 0 = no editing) and counts
+ * from when the message was sent, so repeated edits don't extend it.
+ */
+
+// A day is plenty for fixing typos; older messages stay as they were
+const MAX_EDIT_WINDOW_MINUTES = 24 * 60;
+
+/**
+ * Validate an edit window from a request body
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidEditWindow(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_EDIT_WINDOW_MINUTES;
+}
+
+/**
+ * When a message can no longer be edited
+ *
+ * @param {Object} message - Message with createdAt
+ * @param {number} editWindowMinutes
+ * @returns {Date|null} null when the message group doesn't allow editing
+ */
+function getEditDeadline(message, editWindowMinutes) {
+  if (!editWindowMinutes) {
+    return null;
+  }
+  return new Date(new Date(message.createdAt).getTime() + editWindowMinutes * 60 * 1000);
+}
+
+/**
+ * Check whether a member may edit a message now
+ *
+ * @param {Object} message - Message with senderId, createdAt and isHidden
+ * @param {string} groupMemberId - The member editing
+ * @param {number} editWindowMinutes
+ * @param {Date} [now]
+ * @returns {{allowed: boolean, reason?: string}}
+ */
+function checkCanEdit(message, groupMemberId, editWindowMinutes, now = new Date()) {
+  if (message.senderId !== groupMemberId) {
+    return { allowed: false, reason: 'You can only edit your own messages' };
+  }
+  if (message.isHidden) {
+    return { allowed: false, reason: 'Hidden messages cannot be edited' };
+  }
+
+  const deadline = getEditDeadline(message, editWindowMinutes);
+  if (!deadline) {
+    return { allowed: false, reason: 'Messages cannot be edited in this message group' };
+  }
+  if (now > deadline) {
+    return { allowed: false, reason: `Messages can only be edited within ${editWindowMinutes} minutes of sending` };
+  }
+
+  return { allowed: true };
+}
+
+module.exports = {
+  MAX_EDIT_WINDOW_MINUTES,
+  isValidEditWindow,
+  getEditDeadline,
+  checkCanEdit,
+};
@@ -0,0 +1,68 @@
+/**
+ * Message Threads Utility
+ *
+ * A reply points at the message it answers (replyToId) and at the first
+ * message of its thread (threadRootId), so a whole side-conversation can be
+ * loaded with one query however deep the replies go.
+ */
+
+// Quoted text shown above a reply
+const MAX_QUOTE_LENGTH = 140;
+
+// How many ancestors the audit log spells out for a reply
+const MAX_CHAIN_DEPTH = 5;
+
+/**
+ * Shorten message text for a quote
+ * @param {string} text
+ * @returns {string}
+ */
+function quoteSnippet(text) {
+  const flattened = (text || '').replace(/\s+/g, ' ').trim();
+  if (flattened.length <= MAX_QUOTE_LENGTH) {
+    return flattened;
+  }
+  return `${flattened.substring(0, MAX_QUOTE_LENGTH - 3).trimEnd()}...`;
+}
+
+/**
+ * The thread a reply to this message belongs to
+ * @param {Object} parent - Message being replied to, with messageId and threadRootId
+ * @returns {string}
+ */
+function getThreadRootId(parent) {
+  return parent.threadRootId || parent.messageId;
+}
+
+/**
+ * Render a reply chain for the audit log, nearest message first
+ *
+ * @param {Object[]} chain - Ancestors, each { messageId, senderName, content, isHidden }
+ * @param {boolean} [truncated] - Whether older ancestors were left out
+ * @returns {string} e.g. 'In reply to:\n  > Message ID: x from "Jane": "See you at 3"\n'
+ */
+function formatReplyChain(chain, truncated = false) {
+  if (!chain || chain.length === 0) {
+    return '';
+  }
+
+  let text = 'In reply to:\n';
+  chain.forEach((ancestor, index) => {
+    const indent = '  '.repeat(index + 1);
+    const hidden = ancestor.isHidden ? ' [hidden]' : '';
+    text += `${indent}> Message ID: ${ancestor.messageId} from "${ancestor.senderName}"${hidden}: "${quoteSnippet(ancestor.content)}"\n`;
+  });
+  if (truncated) {
+    text += `${'  '.repeat(chain.length + 1)}> ...\n`;
+  }
+
+  return text;
+}
+
+module.exports = {
+  MAX_QUOTE_LENGTH,
+  MAX_CHAIN_DEPTH,
+  quoteSnippet,
+  getThreadRootId,
+  formatReplyChain,
+};
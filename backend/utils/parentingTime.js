@@ -0,0 +1,206 @@
+/**
+ * Parenting Time Utility
+ *
+ * Computes custody time-share from resolved responsibility timelines (see
+ * services/responsibilityTimeline.service.js): for each child, the hours and
+ * overnights each responsible party had over a date range, and their share of
+ * the range. The PDF report is built by services/pdf.service.js from the same
+ * figures.
+ *
+ * A night counts for whoever has the child at midnight (in the report's time
+ * zone) at the end of that day, so a range covers the nights starting on each
+ * of its days. Time nobody is responsible for is reported as unassigned, so
+ * percentages always add up to the whole range.
+ */
+
+const { isValidTimeZone, getZonedParts, fromWallClock } = require('./timeZone');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Get the instant of midnight at the start of a calendar day in a time zone
+ *
+ * @param {number} year
+ * @param {number} month - Zero-based; out of range values roll over like Date.UTC
+ * @param {number} day - Out of range values roll over like Date.UTC
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function getZonedMidnight(year, month, day, timeZone) {
+  return fromWallClock(Date.UTC(year, month, day), timeZone);
+}
+
+/**
+ * Parse a report date query parameter
+ *
+ * A plain date (YYYY-MM-DD) is a calendar day in the report's time zone: as
+ * the start of the range it means midnight at the start of that day, as the
+ * end it covers that whole day.
+ *
+ * @param {string} value
+ * @param {string} timeZone
+ * @param {boolean} isEnd
+ * @returns {Date|null|undefined} null when not given, undefined when invalid
+ */
+function parseReportDate(value, timeZone, isEnd) {
+  if (!value) {
+    return null;
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (match) {
+    const [, year, month, day] = match.map(Number);
+    return getZonedMidnight(year, month - 1, day + (isEnd ? 1 : 0), timeZone);
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Format an instant as a calendar date (YYYY-MM-DD) in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function formatReportDate(date, timeZone) {
+  const { year, month, day } = getZonedParts(new Date(date).getTime(), timeZone);
+  const pad = n => String(n).padStart(2, '0');
+  return `${year}-${pad(month + 1)}-${pad(day)}`;
+}
+
+/**
+ * List the midnights that end the nights of a window
+ * @param {{start: Date, end: Date}} window
+ * @param {string} timeZone
+ * @returns {number[]} Milliseconds since epoch, in order (after start, up to and including end)
+ */
+function listMidnights(window, timeZone) {
+  const start = new Date(window.start).getTime();
+  const end = new Date(window.end).getTime();
+  const { year, month, day } = getZonedParts(start, timeZone);
+
+  const midnights = [];
+  for (let offset = 0; ; offset++) {
+    const midnight = getZonedMidnight(year, month, day + offset, timeZone).getTime();
+    if (midnight > end) {
+      break;
+    }
+    if (midnight > start) {
+      midnights.push(midnight);
+    }
+  }
+  return midnights;
+}
+
+const roundHours = value => Math.round(value * 100) / 100;
+const roundPercentage = value => Math.round(value * 10) / 10;
+
+/**
+ * Get the key of the responsible party of a segment
+ * Members are keyed by groupMemberId, other (non-member) parties by name.
+ */
+function getPartyKey(segment) {
+  return segment.memberId || `other:${segment.name || 'Unknown'}`;
+}
+
+/**
+ * Compute parenting time for one child
+ *
+ * @param {Object[]} segments - Resolved segments ordered by time (no overlaps)
+ * @param {{start: Date, end: Date}} window - Hours are counted inside the window only
+ * @param {number[]} midnights - From listMidnights
+ * @returns {{totalHours: number, totalOvernights: number, parties: Object[], unassigned: Object}}
+ */
+function computeChildParentingTime(segments, window, midnights) {
+  const windowStart = new Date(window.start).getTime();
+  const windowEnd = new Date(window.end).getTime();
+  const totalMs = Math.max(windowEnd - windowStart, 0);
+  const parties = new Map();
+
+  const getParty = (segment) => {
+    const key = getPartyKey(segment);
+    if (!parties.has(key)) {
+      parties.set(key, {
+        memberId: segment.memberId || null,
+        name: segment.name || 'Unknown',
+        color: segment.color || null,
+        ms: 0,
+        overnights: 0,
+      });
+    }
+    return parties.get(key);
+  };
+
+  let assignedMs = 0;
+  for (const segment of segments) {
+    const ms = Math.min(new Date(segment.endTime).getTime(), windowEnd) -
+      Math.max(new Date(segment.startTime).getTime(), windowStart);
+    if (ms > 0) {
+      getParty(segment).ms += ms;
+      assignedMs += ms;
+    }
+  }
+
+  let assignedOvernights = 0;
+  let index = 0;
+  for (const midnight of midnights) {
+    while (index < segments.length && new Date(segments[index].endTime).getTime() <= midnight) {
+      index++;
+    }
+    const segment = segments[index];
+    if (segment && new Date(segment.startTime).getTime() <= midnight) {
+      getParty(segment).overnights++;
+      assignedOvernights++;
+    }
+  }
+
+  const share = (ms, overnights) => ({
+    hours: roundHours(ms / HOUR_MS),
+    hoursPercentage: totalMs > 0 ? roundPercentage((ms / totalMs) * 100) : 0,
+    overnights,
+    overnightsPercentage: midnights.length > 0 ? roundPercentage((overnights / midnights.length) * 100) : 0,
+  });
+
+  return {
+    totalHours: roundHours(totalMs / HOUR_MS),
+    totalOvernights: midnights.length,
+    parties: Array.from(parties.values())
+      .sort((a, b) => b.ms - a.ms)
+      .map(({ ms, overnights, ...party }) => ({ ...party, ...share(ms, overnights) })),
+    unassigned: share(totalMs - assignedMs, midnights.length - assignedOvernights),
+  };
+}
+
+/**
+ * Compute parenting time for each child
+ *
+ * @param {Object} options
+ * @param {Array<{childId: string, segments: Object[]}>} options.timelines - From resolveTimelines,
+ *   resolved up to a day past the end of the window so the last night can be counted
+ * @param {{start: Date, end: Date}} options.window - The report's date range
+ * @param {string} [options.timeZone] - Time zone used to count overnights
+ * @returns {{from: Date, to: Date, timeZone: string, children: Object[]}}
+ */
+function computeParentingTime({ timelines, window, timeZone = 'UTC' }) {
+  const midnights = listMidnights(window, timeZone);
+
+  return {
+    from: new Date(window.start),
+    to: new Date(window.end),
+    timeZone,
+    children: timelines.map(({ childId, segments }) => ({
+      childId,
+      ...computeChildParentingTime(segments, window, midnights),
+    })),
+  };
+}
+
+module.exports = {
+  isValidTimeZone,
+  getZonedMidnight,
+  parseReportDate,
+  formatReportDate,
+  listMidnights,
+  computeParentingTime,
+};
@@ -6,9 +6,78 @@
  */
 
 const ICAL = require('ical.js');
+const { isValidTimeZone } = require('./timeZone');
+
+/**
+ * Get the IANA time zone of an event's start, if it has one
+ * Recurring events repeat at the same local time in it. TZIDs Intl doesn't
+ * know (e.g. Windows zone names) are ignored and the series repeats in UTC.
+ *
+ * @param {ICAL.Time} startDate
+ * @returns {string|null}
+ */
+function getTimeZone(startDate) {
+  const tzid = startDate.zone?.tzid || startDate.timezone;
+  if (!tzid || tzid === 'floating' || tzid === 'UTC' || startDate.isDate) {
+    return null;
+  }
+  return isValidTimeZone(tzid) ? tzid : null;
+}
+
+/**
+ * Get the start and end of an event
+ * Events without an end last for their DURATION, or an hour without one.
+ *
+ * @param {ICAL.Event} event
+ * @returns {{startTime: Date, endTime: Date, isAllDay: boolean, timeZone: string|null}|null}
+ *   Null if the event has no start
+ */
+function getEventTimes(event) {
+  if (!event.startDate) {
+    return null;
+  }
+
+  const startTime = event.startDate.toJSDate();
+  let endTime;
+  if (event.endDate) {
+    endTime = event.endDate.toJSDate();
+  } else if (event.duration) {
+    endTime = new Date(startTime.getTime() + event.duration.toSeconds() * 1000);
+  } else {
+    endTime = new Date(startTime.getTime() + 60 * 60 * 1000);
+  }
+
+  return {
+    startTime,
+    endTime,
+    isAllDay: event.startDate.isDate,
+    timeZone: getTimeZone(event.startDate),
+  };
+}
+
+/**
+ * Get the occurrences a series skips (EXDATE) as cancelled exceptions
+ * @param {ICAL.Component} vevent
+ * @returns {Object[]} Exceptions in the shape recurrence.expandEvent takes
+ */
+function getExcludedDates(vevent) {
+  const exceptions = [];
+  for (const prop of vevent.getAllProperties('exdate')) {
+    for (const value of prop.getValues()) {
+      exceptions.push({ originalStartTime: value.toJSDate(), isCancelled: true });
+    }
+  }
+  return exceptions;
+}
 
 /**
  * Parse iCal data from a string
+ *
+ * Occurrences a series moves or edits come as extra VEVENTs with the series'
+ * UID and a RECURRENCE-ID. They are returned as exceptions of the series,
+ * together with its EXDATEs, so each UID is one event. An override whose
+ * series isn't in the feed is returned as a single event.
+ *
  * @param {string} icalData - Raw iCal data string
  * @returns {Object[]} Array of parsed events
  */
@@ -19,6 +88,7 @@ function parseIcalString(icalData) {
     const vevents = comp.getAllSubcomponents('vevent');
 
     const events = [];
+    const overrides = [];
 
     for (const vevent of vevents) {
       const event = new ICAL.Event(vevent);
@@ -35,32 +105,26 @@ function parseIcalString(icalData) {
       // Get location
       const location = event.location || null;
 
-      // Get start and end times
-      let startTime, endTime;
-      let isAllDay = false;
-
-      if (event.startDate) {
-        isAllDay = event.startDate.isDate;
-        startTime = event.startDate.toJSDate();
-      }
-
-      if (event.endDate) {
-        endTime = event.endDate.toJSDate();
-      } else if (event.duration && startTime) {
-        // Calculate end time from duration
-        const durationMs = event.duration.toSeconds() * 1000;
-        endTime = new Date(startTime.getTime() + durationMs);
-      } else if (startTime) {
-        // Default to 1 hour duration
-        endTime = new Date(startTime.getTime() + 60 * 60 * 1000);
-      }
-
       // Skip events without valid dates
-      if (!startTime || !endTime) {
+      const times = getEventTimes(event);
+      if (!times) {
         console.warn(`Skipping event "${title}" - missing dates`);
         continue;
       }
 
+      if (event.isRecurrenceException()) {
+        overrides.push({
+          uid,
+          recurrenceId: event.recurrenceId.toJSDate(),
+          isCancelled: vevent.getFirstPropertyValue('status') === 'CANCELLED',
+          title,
+          description,
+          location,
+          ...times,
+        });
+        continue;
+      }
+
       // Get recurrence rule if present
       let recurrenceRule = null;
       const rruleProp = vevent.getFirstProperty('rrule');
@@ -73,13 +137,40 @@ function parseIcalString(icalData) {
         title,
         description,
         location,
-        startTime,
-        endTime,
-        isAllDay,
+        ...times,
         recurrenceRule,
+        exceptions: getExcludedDates(vevent),
       });
     }
 
+    const series = new Map(
+      events.filter(event => event.recurrenceRule).map(event => [event.externalUid, event])
+    );
+
+    for (const { uid, recurrenceId, isCancelled, ...override } of overrides) {
+      const master = series.get(uid);
+      if (master) {
+        master.exceptions.push(isCancelled
+          ? { originalStartTime: recurrenceId, isCancelled: true }
+          : {
+            originalStartTime: recurrenceId,
+            isCancelled: false,
+            startTime: override.startTime,
+            endTime: override.endTime,
+            title: override.title,
+            description: override.description,
+            location: override.location,
+          });
+      } else if (!isCancelled) {
+        events.push({
+          ...override,
+          externalUid: `${uid}#${recurrenceId.toISOString()}`,
+          recurrenceRule: null,
+          exceptions: [],
+        });
+      }
+    }
+
     return events;
   } catch (error) {
     console.error('Error parsing iCal data:', error);
@@ -0,0 +1,201 @@
+/**
+ * Recording Merge Utility
+ *
+ * Once a call has ended, its recording chunks are merged into one seekable
+ * file (jobs/finalizeRecordings.js). Chunks overlap slightly to keep the
+ * audio gapless, so each chunk is trimmed where it overlaps the one before;
+ * gaps between chunks (e.g. a dropped upload) are closed up. Positions in
+ * the merged file therefore differ from wall-clock offsets, and everything
+ * placed on the timeline - participant chapters, transcript segments - is
+ * mapped through the merge plan.
+ */
+
+// Wait for the last chunk to upload before merging
+const FINALIZE_AFTER_MS = 5 * 60 * 1000;
+
+// How far the merged file's duration may drift from the plan and still be trusted
+const MIN_DURATION_TOLERANCE_MS = 5000;
+const DURATION_TOLERANCE_RATIO = 0.02;
+
+/**
+ * Work out how a recording's chunks fit together
+ *
+ * @param {Object[]} chunks - Ready chunks, in any order
+ * @param {number} chunks[].chunkIndex
+ * @param {string} chunks[].fileId
+ * @param {Date|string} chunks[].startedAt - When the chunk's recording started
+ * @param {number} chunks[].durationMs
+ * @returns {{parts: {chunkIndex: number, fileId: string, startedAt: number, trimStartMs: number, durationMs: number, positionMs: number}[], durationMs: number}}
+ *   Each part's startedAt is epoch ms, durationMs is what is kept after
+ *   trimming and positionMs is where it starts in the merged file
+ */
+function planChunkMerge(chunks) {
+  const sorted = [...chunks].sort((a, b) => a.chunkIndex - b.chunkIndex);
+  const parts = [];
+  let positionMs = 0;
+  let coveredUntil = null;
+
+  for (const chunk of sorted) {
+    const startedAt = new Date(chunk.startedAt).getTime();
+    const durationMs = Math.max(0, chunk.durationMs || 0);
+    const trimStartMs = coveredUntil === null
+      ? 0
+      : Math.min(Math.max(0, coveredUntil - startedAt), durationMs);
+
+    // Entirely inside the previous chunk
+    if (trimStartMs >= durationMs) continue;
+
+    parts.push({
+      chunkIndex: chunk.chunkIndex,
+      fileId: chunk.fileId,
+      startedAt,
+      trimStartMs,
+      durationMs: durationMs - trimStartMs,
+      positionMs,
+    });
+
+    positionMs += durationMs - trimStartMs;
+    coveredUntil = Math.max(coveredUntil === null ? 0 : coveredUntil, startedAt + durationMs);
+  }
+
+  return { parts, durationMs: positionMs };
+}
+
+/**
+ * Position in the merged file of a moment during the call
+ * Moments before the recording map to its start, moments in a gap to the
+ * start of the next chunk and moments after it to its end.
+ * @param {Object} plan - From planChunkMerge
+ * @param {Date|string} time
+ * @returns {number} Ms from the start of the merged file
+ */
+function toRecordingPosition(plan, time) {
+  const at = new Date(time).getTime();
+
+  for (const part of plan.parts) {
+    const keptFrom = part.startedAt + part.trimStartMs;
+    if (at < keptFrom) {
+      return part.positionMs;
+    }
+    if (at < keptFrom + part.durationMs) {
+      return part.positionMs + (at - keptFrom);
+    }
+  }
+
+  return plan.durationMs;
+}
+
+/**
+ * Chapter markers for participants joining and leaving
+ *
+ * Events at the same position share a chapter. The first chapter always
+ * starts at 0 - people already on the call when recording started are
+ * listed there - and each chapter runs until the next one.
+ *
+ * @param {Object} plan - From planChunkMerge
+ * @param {{name: string, joinedAt: Date|string|null, leftAt: Date|string|null}[]} participants
+ * @returns {{startMs: number, endMs: number, title: string}[]}
+ */
+function buildChapters(plan, participants) {
+  if (plan.durationMs <= 0) {
+    return [];
+  }
+
+  const events = [];
+  for (const participant of participants) {
+    if (participant.joinedAt) {
+      events.push({ time: new Date(participant.joinedAt).getTime(), order: 0, title: `${participant.name} joined` });
+    }
+    if (participant.leftAt) {
+      events.push({ time: new Date(participant.leftAt).getTime(), order: 1, title: `${participant.name} left` });
+    }
+  }
+  events.sort((a, b) => a.time - b.time || a.order - b.order);
+
+  const titlesByPosition = new Map();
+  for (const event of events) {
+    const positionMs = toRecordingPosition(plan, event.time);
+    // After the recording ended
+    if (positionMs >= plan.durationMs) continue;
+
+    if (!titlesByPosition.has(positionMs)) {
+      titlesByPosition.set(positionMs, []);
+    }
+    titlesByPosition.get(positionMs).push(event.title);
+  }
+
+  if (!titlesByPosition.has(0)) {
+    titlesByPosition.set(0, ['Recording started']);
+  }
+
+  const positions = [...titlesByPosition.keys()].sort((a, b) => a - b);
+  return positions.map((startMs, index) => ({
+    startMs,
+    endMs: index < positions.length - 1 ? positions[index + 1] : plan.durationMs,
+    title: titlesByPosition.get(startMs).join(', '),
+  }));
+}
+
+/**
+ * Move a transcript's segments onto the merged file
+ * Segments are given no chunk, like those of a single-file recording, and
+ * their offset becomes their position in the file.
+ * @param {Object[]} segments - From utils/transcripts mergeChunkSegments
+ * @param {Object} plan - From planChunkMerge
+ * @returns {{chunkIndex: null, startMs: number, endMs: number, offsetMs: number, text: string}[]}
+ */
+function remapTranscriptSegments(segments, plan) {
+  const partsByChunk = new Map(plan.parts.map(part => [part.chunkIndex, part]));
+  const remapped = [];
+
+  for (const segment of segments) {
+    if (segment.chunkIndex === null || segment.chunkIndex === undefined) {
+      remapped.push({ ...segment, chunkIndex: null });
+      continue;
+    }
+
+    const part = partsByChunk.get(segment.chunkIndex);
+    // Its chunk wasn't merged
+    if (!part) continue;
+
+    const toPosition = ms => part.positionMs + Math.min(Math.max(0, ms - part.trimStartMs), part.durationMs);
+    const startMs = toPosition(segment.startMs);
+
+    remapped.push({
+      chunkIndex: null,
+      startMs,
+      endMs: Math.max(startMs, toPosition(segment.endMs)),
+      offsetMs: startMs,
+      text: segment.text,
+    });
+  }
+
+  return remapped;
+}
+
+/**
+ * Whether a merged file matches its plan closely enough to replace the chunks
+ * @param {Object} options
+ * @param {number} options.expectedDurationMs - From planChunkMerge
+ * @param {number} options.durationMs - Of the merged file
+ * @param {number} options.expectedChapters
+ * @param {number} options.chapterCount - In the merged file
+ * @returns {boolean}
+ */
+function isMergeVerified({ expectedDurationMs, durationMs, expectedChapters, chapterCount }) {
+  if (!durationMs || durationMs <= 0) {
+    return false;
+  }
+
+  const toleranceMs = Math.max(MIN_DURATION_TOLERANCE_MS, expectedDurationMs * DURATION_TOLERANCE_RATIO);
+  return Math.abs(durationMs - expectedDurationMs) <= toleranceMs && chapterCount === expectedChapters;
+}
+
+module.exports = {
+  FINALIZE_AFTER_MS,
+  planChunkMerge,
+  toRecordingPosition,
+  buildChapters,
+  remapTranscriptSegments,
+  isMergeVerified,
+};
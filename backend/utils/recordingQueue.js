@@ -0,0 +1,76 @@
+/**
+ * Recording Queue Utility
+ *
+ * Slot arithmetic for the recording queue (services/recordingQueue.service.js).
+ * Every recording slot in use is a lease - an active recording, or a slot
+ * reserved for a queued caller whose turn has come - and leases count against
+ * MAX_CONCURRENT_RECORDINGS across all backend instances. Callers waiting in
+ * the queue go first: nobody skips the queue while someone is waiting for the
+ * slot they would take.
+ */
+
+/**
+ * Slots free for new recordings
+ * @param {number} maxConcurrent - MAX_CONCURRENT_RECORDINGS
+ * @param {number} liveLeases - Unexpired leases, active or reserved
+ * @returns {number}
+ */
+function countAvailableSlots(maxConcurrent, liveLeases) {
+  return Math.max(0, maxConcurrent - liveLeases);
+}
+
+/**
+ * Whether a queued caller can take a slot now
+ * With several free slots, the first few callers in the queue go at once.
+ * @param {number} position - 1-indexed position in the queue
+ * @param {number} availableSlots
+ * @returns {boolean}
+ */
+function isTurn(position, availableSlots) {
+  return position >= 1 && position <= availableSlots;
+}
+
+/**
+ * Whether a caller who isn't queued can start recording straight away
+ * @param {number} availableSlots
+ * @param {number} waiting - Callers in the queue
+ * @returns {boolean}
+ */
+function canSkipQueue(availableSlots, waiting) {
+  return availableSlots > waiting;
+}
+
+/**
+ * Whether a queue entry has timed out, or its caller stopped polling
+ * @param {Object} entry - RecordingQueueEntry
+ * @param {Date} now
+ * @param {Object} limits
+ * @param {number} limits.timeoutMs - QUEUE_TIMEOUT_MS
+ * @param {number} limits.heartbeatTimeoutMs - QUEUE_HEARTBEAT_TIMEOUT_MS
+ * @returns {boolean}
+ */
+function isQueueEntryStale(entry, now, { timeoutMs, heartbeatTimeoutMs }) {
+  return new Date(entry.joinedAt).getTime() <= now.getTime() - timeoutMs ||
+    new Date(entry.lastSeenAt).getTime() <= now.getTime() - heartbeatTimeoutMs;
+}
+
+/**
+ * Estimate wait time based on queue position
+ * Rough estimate: assume average call duration of 10 minutes
+ * and that slots become available as calls end
+ * @param {number} position - Position in queue
+ * @param {number} maxConcurrent - MAX_CONCURRENT_RECORDINGS
+ * @returns {number} Estimated minutes to wait
+ */
+function estimateWaitTime(position, maxConcurrent) {
+  const averageCallMinutes = 10;
+  return Math.ceil((position / maxConcurrent) * averageCallMinutes);
+}
+
+module.exports = {
+  countAvailableSlots,
+  isTurn,
+  canSkipQueue,
+  isQueueEntryStale,
+  estimateWaitTime,
+};
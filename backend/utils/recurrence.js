@@ -0,0 +1,414 @@
+/**
+ * Recurrence Expansion Utility
+ *
+ * Expands RRULE-based recurring events into concrete occurrences inside a
+ * date window. Uses ical.js (the same library as parseIcal) so rules from
+ * imported calendars and rules created in the app follow RFC 5545.
+ *
+ * Series with a time zone repeat at the same wall clock time there, so a
+ * weekly 17:00 handover stays at 17:00 across DST changes; each occurrence is
+ * converted back to UTC, matching how event times are stored. Series without
+ * one are expanded in UTC.
+ */
+
+const ICAL = require('ical.js');
+const { isValidTimeZone, toWallClock, fromWallClock } = require('./timeZone');
+
+// Safety cap on occurrences generated per series in a single request
+const MAX_OCCURRENCES = 1000;
+
+// Hard stop on rule iterations (guards against sub-daily rules over long spans)
+const MAX_ITERATIONS = 100000;
+
+// How far ahead open-ended series are expanded when no endDate is requested
+const DEFAULT_EXPANSION_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Legacy recurrence patterns stored before RRULE strings were used
+const LEGACY_PATTERNS = {
+  daily: 'DAILY',
+  weekly: 'WEEKLY',
+  monthly: 'MONTHLY',
+  yearly: 'YEARLY',
+};
+
+/**
+ * Normalise a stored recurrence value into an RRULE body (no "RRULE:" prefix)
+ *
+ * @param {string} rule - RRULE string or legacy pattern (e.g. 'weekly')
+ * @param {Object} [options]
+ * @param {number} [options.interval] - Legacy recurrenceInterval
+ * @param {Date} [options.until] - Legacy recurrenceEndDate
+ * @returns {string|null} RRULE body, or null if the value is empty/invalid
+ */
+function normalizeRule(rule, { interval, until } = {}) {
+  if (!rule || typeof rule !== 'string') {
+    return null;
+  }
+
+  let body = rule.trim().replace(/^RRULE:/i, '');
+
+  const legacyFreq = LEGACY_PATTERNS[body.toLowerCase()];
+  if (legacyFreq) {
+    body = `FREQ=${legacyFreq}`;
+    if (interval && interval > 1) {
+      body += `;INTERVAL=${interval}`;
+    }
+  }
+
+  if (!/FREQ=/i.test(body)) {
+    return null;
+  }
+
+  if (until && !/;(UNTIL|COUNT)=/i.test(`;${body}`)) {
+    body += `;UNTIL=${toIcalUtc(until)}`;
+  }
+
+  return body;
+}
+
+/**
+ * Format a date as an iCal UTC date-time (e.g. 20260102T170000Z)
+ * @param {Date} date
+ * @returns {string}
+ */
+function toIcalUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Expand a recurring series into occurrences that overlap a window
+ *
+ * @param {Object} series
+ * @param {Date} series.startTime - Start of the first occurrence (DTSTART)
+ * @param {Date} series.endTime - End of the first occurrence
+ * @param {string} series.rule - RRULE body (see normalizeRule)
+ * @param {string|null} [series.timeZone] - IANA time zone the series repeats in (UTC if not set)
+ * @param {Object} window
+ * @param {Date} window.start - Window start (inclusive)
+ * @param {Date} window.end - Window end (inclusive)
+ * @returns {Array<{recurrenceId: Date, startTime: Date, endTime: Date}>}
+ *   recurrenceId is the occurrence's original start (RFC 5545 RECURRENCE-ID)
+ */
+function expandOccurrences({ startTime, endTime, rule, timeZone }, { start, end }) {
+  const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  const seriesStartMs = new Date(startTime).getTime();
+  const wallStart = toWallClock(seriesStartMs, zone);
+  // Wall clock length, so occurrences also end at the same local time
+  const wallDurationMs = toWallClock(new Date(endTime).getTime(), zone) - wallStart;
+  const windowStart = new Date(start).getTime();
+  const windowEnd = new Date(end).getTime();
+
+  let recur;
+  try {
+    recur = ICAL.Recur.fromString(rule);
+  } catch (error) {
+    console.warn(`[Recurrence] Invalid rule "${rule}": ${error.message}`);
+    return [];
+  }
+
+  // The rule is iterated in wall clock time, where ical.js can't compare
+  // UNTIL correctly, so UNTIL is applied to the converted occurrences instead.
+  // A UTC UNTIL is an instant; a date or local UNTIL is in the series' zone,
+  // and a date includes that whole day.
+  let untilMs = Infinity;
+  if (recur.until?.isDate) {
+    untilMs = fromWallClock(wallClockOf(recur.until) + DAY_MS, zone).getTime() - 1;
+  } else if (recur.until) {
+    untilMs = recur.until.zone === ICAL.Timezone.utcTimezone
+      ? recur.until.toJSDate().getTime()
+      : fromWallClock(wallClockOf(recur.until), zone).getTime();
+  }
+  recur.until = null;
+
+  const iterator = recur.iterator(toFloatingTime(wallStart));
+  const occurrences = [];
+  let generated = 0;
+  let iterations = 0;
+  let next;
+
+  while ((next = iterator.next()) && generated < MAX_OCCURRENCES && ++iterations <= MAX_ITERATIONS) {
+    const wallClock = wallClockOf(next);
+    const occurrenceStart = fromWallClock(wallClock, zone);
+    const occurrenceStartMs = occurrenceStart.getTime();
+
+    if (occurrenceStartMs > windowEnd || occurrenceStartMs > untilMs) {
+      break;
+    }
+
+    const occurrenceEnd = fromWallClock(wallClock + wallDurationMs, zone);
+
+    // Only count occurrences that reach the window towards the cap, so
+    // long-running daily series still expand in distant windows
+    if (occurrenceEnd.getTime() >= windowStart) {
+      occurrences.push({
+        recurrenceId: occurrenceStart,
+        startTime: occurrenceStart,
+        endTime: occurrenceEnd,
+      });
+      generated++;
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Build a floating (zoneless) ICAL.Time from a wall clock time
+ * @param {number} wallClock - Wall clock as milliseconds "as if UTC"
+ * @returns {ICAL.Time}
+ */
+function toFloatingTime(wallClock) {
+  const date = new Date(wallClock);
+  return new ICAL.Time({
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds(),
+    isDate: false,
+  });
+}
+
+/**
+ * Read the wall clock time of an ICAL.Time, ignoring its zone
+ * @param {ICAL.Time} time
+ * @returns {number} Wall clock as milliseconds "as if UTC"
+ */
+function wallClockOf(time) {
+  return Date.UTC(time.year, time.month - 1, time.day, time.hour, time.minute, time.second);
+}
+
+/**
+ * Resolve the expansion window for a request
+ * Missing bounds default to the start of each series and one year from now.
+ *
+ * @param {string} [startDate] - Query startDate
+ * @param {string} [endDate] - Query endDate
+ * @returns {{start: Date, end: Date}}
+ */
+function getExpansionWindow(startDate, endDate) {
+  return {
+    start: startDate ? new Date(startDate) : new Date(0),
+    end: endDate
+      ? new Date(endDate)
+      : new Date(Date.now() + DEFAULT_EXPANSION_DAYS * 24 * 60 * 60 * 1000),
+  };
+}
+
+/**
+ * Expand one event into concrete occurrence objects for a window
+ *
+ * Each occurrence is a copy of the event with its own start/end, plus:
+ * - occurrenceId: unique per occurrence (see occurrenceId)
+ * - recurrenceId: original start of the occurrence
+ * - isOccurrence: true
+ * - isException: true if an exception overrides this occurrence
+ *
+ * Exceptions may cancel an occurrence or override title/notes/start/end
+ * (and description/location, for events that have them);
+ * an occurrence moved into the window from outside it is included too.
+ *
+ * @param {Object} event - Event with eventId, startTime, endTime, title, notes
+ *   and optionally timeZone
+ * @param {string} rule - RRULE body (see normalizeRule)
+ * @param {{start: Date, end: Date}} window
+ * @param {Object[]} [exceptions] - CalendarEventException rows for this event,
+ *   or the exceptions of an imported event
+ * @returns {Object[]} Occurrences ordered by start time
+ */
+function expandEvent(event, rule, window, exceptions = []) {
+  const windowStart = new Date(window.start).getTime();
+  const windowEnd = new Date(window.end).getTime();
+  const exceptionMap = new Map(
+    exceptions.map(exception => [new Date(exception.originalStartTime).getTime(), exception])
+  );
+
+  const occurrences = expandOccurrences(
+    { startTime: event.startTime, endTime: event.endTime, rule, timeZone: event.timeZone },
+    window
+  );
+
+  // Moved occurrences whose original time falls outside the window
+  const seen = new Set(occurrences.map(o => o.recurrenceId.getTime()));
+  for (const exception of exceptions) {
+    const originalMs = new Date(exception.originalStartTime).getTime();
+    if (!seen.has(originalMs) && !exception.isCancelled && exception.startTime) {
+      const originalStart = new Date(originalMs);
+      occurrences.push({
+        recurrenceId: originalStart,
+        startTime: originalStart,
+        endTime: new Date(originalMs + (new Date(event.endTime) - new Date(event.startTime))),
+      });
+    }
+  }
+
+  const results = [];
+  for (const occurrence of occurrences) {
+    const exception = exceptionMap.get(occurrence.recurrenceId.getTime());
+    if (exception?.isCancelled) {
+      continue;
+    }
+
+    const startTime = exception?.startTime ? new Date(exception.startTime) : occurrence.startTime;
+    const endTime = exception?.endTime ? new Date(exception.endTime) : occurrence.endTime;
+    if (startTime.getTime() > windowEnd || endTime.getTime() < windowStart) {
+      continue;
+    }
+
+    results.push({
+      ...event,
+      startTime,
+      endTime,
+      title: exception?.title ?? event.title,
+      ...(event.notes !== undefined && { notes: exception?.notes ?? event.notes }),
+      ...(event.description !== undefined && { description: exception?.description ?? event.description }),
+      ...(event.location !== undefined && { location: exception?.location ?? event.location }),
+      occurrenceId: occurrenceId(event.eventId, occurrence.recurrenceId),
+      recurrenceId: occurrence.recurrenceId,
+      isOccurrence: true,
+      isException: !!exception,
+    });
+  }
+
+  return results.sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * Replace recurring events with their concrete occurrences in a window
+ * Keeps the createdAt ordering of the input (occurrences stay in their
+ * series' position) so the layering logic is unaffected.
+ *
+ * @param {Object[]} events - Events with exceptions included
+ * @param {{start: Date, end: Date}} window - Expansion window
+ * @returns {Object[]} Events and occurrences
+ */
+function expandEvents(events, window) {
+  const expanded = [];
+
+  for (const { exceptions = [], ...event } of events) {
+    const rule = event.isRecurring
+      ? normalizeRule(event.recurrencePattern, {
+        interval: event.recurrenceInterval,
+        until: event.recurrenceEndDate,
+      })
+      : null;
+
+    if (!rule) {
+      // Flagged recurring without a usable rule - treat as a single event
+      if (!event.isRecurring || new Date(event.endTime) >= window.start) {
+        expanded.push(event);
+      }
+      continue;
+    }
+
+    expanded.push(...expandEvent(event, rule, window, exceptions));
+  }
+
+  return expanded;
+}
+
+/**
+ * Check whether a date is an occurrence of a series
+ *
+ * @param {Object} series - { startTime, endTime, rule, timeZone? }
+ * @param {Date} occurrenceStart - Candidate original start
+ * @returns {boolean}
+ */
+function isOccurrence(series, occurrenceStart) {
+  const target = new Date(occurrenceStart).getTime();
+  return expandOccurrences(series, { start: target, end: target })
+    .some(o => o.recurrenceId.getTime() === target);
+}
+
+/**
+ * Split a rule so the series ends just before a given occurrence
+ * Used for "this and following" edits and deletes.
+ *
+ * @param {string} rule - RRULE body
+ * @param {Object} series - { startTime, endTime, timeZone? }
+ * @param {Date} splitAt - Original start of the first occurrence of the new series
+ * @returns {{ endingRule: string, followingRule: string }}
+ *   endingRule: rule for the original series (UNTIL just before splitAt)
+ *   followingRule: rule for the new series (COUNT reduced if the rule used COUNT)
+ */
+function splitRule(rule, series, splitAt) {
+  const recur = ICAL.Recur.fromString(rule);
+  const splitMs = new Date(splitAt).getTime();
+
+  let followingRule = rule;
+  if (recur.count) {
+    const before = expandOccurrences({ ...series, rule }, { start: series.startTime, end: new Date(splitMs - 1) })
+      .filter(o => o.recurrenceId.getTime() < splitMs).length;
+    followingRule = setRulePart(rule, 'COUNT', String(Math.max(recur.count - before, 1)));
+  }
+
+  const endingRule = setRulePart(removeRulePart(rule, 'COUNT'), 'UNTIL', toIcalUtc(new Date(splitMs - 1000)));
+
+  return { endingRule, followingRule };
+}
+
+/**
+ * Replace or append a part of an RRULE body
+ * @param {string} rule
+ * @param {string} name - Part name (e.g. 'UNTIL')
+ * @param {string} value
+ * @returns {string}
+ */
+function setRulePart(rule, name, value) {
+  return `${removeRulePart(rule, name)};${name}=${value}`;
+}
+
+/**
+ * Remove a part from an RRULE body
+ * @param {string} rule
+ * @param {string} name - Part name (e.g. 'COUNT')
+ * @returns {string}
+ */
+function removeRulePart(rule, name) {
+  return rule
+    .split(';')
+    .filter(part => part && part.split('=')[0].toUpperCase() !== name)
+    .join(';');
+}
+
+/**
+ * Read the UNTIL date from an RRULE body
+ * @param {string} rule
+ * @returns {Date|null}
+ */
+function getRuleUntil(rule) {
+  try {
+    const recur = ICAL.Recur.fromString(rule);
+    return recur.until ? recur.until.toJSDate() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build a stable identifier for one occurrence of a series
+ * @param {string} eventId - Series (master) event ID
+ * @param {Date} recurrenceId - Original start of the occurrence
+ * @returns {string}
+ */
+function occurrenceId(eventId, recurrenceId) {
+  return `${eventId}_${toIcalUtc(recurrenceId)}`;
+}
+
+module.exports = {
+  MAX_OCCURRENCES,
+  DEFAULT_EXPANSION_DAYS,
+  normalizeRule,
+  getExpansionWindow,
+  expandOccurrences,
+  expandEvent,
+  expandEvents,
+  isOccurrence,
+  splitRule,
+  getRuleUntil,
+  occurrenceId,
+  toIcalUtc,
+};
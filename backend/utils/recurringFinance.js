@@ -0,0 +1,153 @@
+/**
+ * Recurring Finance Utility
+ *
+ * Schedule helpers for recurring finance matter templates. Schedules are
+ * RRULE bodies expanded with the calendar's recurrence utility, with the
+ * template's startDate as the first period.
+ */
+
+const recurrence = require('./recurrence');
+const { roundAmount } = require('./financeBalances');
+
+// Periods generated per template in one job run (catch-up after downtime)
+const MAX_PERIODS_PER_RUN = 12;
+
+// How far ahead to look for the next period of a template
+const NEXT_PERIOD_LOOKAHEAD_DAYS = 5 * 366;
+
+// Finance periods are at least a day long
+const ALLOWED_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+/**
+ * Normalise a template schedule into an RRULE body
+ * @param {string} pattern - RRULE body or simple pattern ('weekly', 'monthly', ...)
+ * @returns {string|null} null when the pattern is not a supported schedule
+ */
+function normalizeSchedule(pattern) {
+  const rule = recurrence.normalizeRule(pattern);
+  const freq = rule && /(?:^|;)FREQ=([A-Z]+)/i.exec(rule);
+  if (!freq || !ALLOWED_FREQUENCIES.includes(freq[1].toUpperCase())) {
+    return null;
+  }
+  return rule;
+}
+
+/**
+ * List period starts of a template inside a window, honouring its end date
+ *
+ * @param {Object} template - RecurringFinanceMatter
+ * @param {Date} start - Window start (exclusive of lastPeriodStart)
+ * @param {Date} end - Window end (inclusive)
+ * @returns {Date[]}
+ */
+function listPeriods(template, start, end) {
+  const rule = normalizeSchedule(template.recurrencePattern);
+  if (!rule) {
+    return [];
+  }
+
+  const windowEnd = template.endDate && new Date(template.endDate) < end
+    ? new Date(template.endDate)
+    : end;
+  if (windowEnd < start) {
+    return [];
+  }
+
+  return recurrence.expandOccurrences(
+    { startTime: template.startDate, endTime: template.startDate, rule },
+    { start, end: windowEnd }
+  ).map(occurrence => occurrence.startTime);
+}
+
+/**
+ * Get the earliest period start that has not been generated yet
+ * @param {Object} template - RecurringFinanceMatter
+ * @returns {Date}
+ */
+function getUngeneratedFrom(template) {
+  return template.lastPeriodStart
+    ? new Date(new Date(template.lastPeriodStart).getTime() + 1)
+    : new Date(template.startDate);
+}
+
+/**
+ * Get the periods of a template that are due to be generated
+ *
+ * @param {Object} template - RecurringFinanceMatter
+ * @param {Date} [now]
+ * @param {number} [limit] - Maximum periods to return (oldest first)
+ * @returns {Date[]}
+ */
+function getDuePeriods(template, now = new Date(), limit = MAX_PERIODS_PER_RUN) {
+  return listPeriods(template, getUngeneratedFrom(template), now).slice(0, limit);
+}
+
+/**
+ * Get the start of the next period a template will generate
+ *
+ * @param {Object} template - RecurringFinanceMatter
+ * @param {Date} [now]
+ * @returns {Date|null} null when the series has ended or has no more periods
+ */
+function getNextPeriodStart(template, now = new Date()) {
+  if (template.endedAt) {
+    return null;
+  }
+  const from = getUngeneratedFrom(template);
+  const until = new Date(Math.max(from.getTime(), now.getTime()) + NEXT_PERIOD_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000);
+  return listPeriods(template, from, until)[0] || null;
+}
+
+/**
+ * Split a template's total between its members by percentage
+ *
+ * When the percentages add up to 100, rounding differences go to the first
+ * member so the shares add up to the total exactly.
+ *
+ * @param {number|string} totalAmount
+ * @param {Object[]} members - RecurringFinanceMatterMember rows
+ * @returns {{groupMemberId: string, expectedPercentage: number, expectedAmount: number}[]}
+ */
+function splitAmount(totalAmount, members) {
+  const total = parseFloat(totalAmount);
+  const shares = members.map(member => ({
+    groupMemberId: member.groupMemberId,
+    expectedPercentage: parseFloat(member.expectedPercentage),
+    expectedAmount: roundAmount((total * parseFloat(member.expectedPercentage)) / 100),
+  }));
+
+  const totalPercentage = shares.reduce((sum, share) => sum + share.expectedPercentage, 0);
+  if (shares.length > 0 && Math.abs(totalPercentage - 100) < 0.001) {
+    const difference = roundAmount(total - shares.reduce((sum, share) => sum + share.expectedAmount, 0));
+    shares[0].expectedAmount = roundAmount(shares[0].expectedAmount + difference);
+  }
+
+  return shares;
+}
+
+/**
+ * Name a generated finance matter after its period (e.g. "Child support - Jan 2026")
+ *
+ * @param {Object} template - RecurringFinanceMatter
+ * @param {Date} periodStart
+ * @returns {string}
+ */
+function formatPeriodName(template, periodStart) {
+  const rule = normalizeSchedule(template.recurrencePattern) || '';
+  const options = /FREQ=YEARLY/i.test(rule)
+    ? { year: 'numeric', timeZone: 'UTC' }
+    : /FREQ=MONTHLY/i.test(rule)
+      ? { month: 'short', year: 'numeric', timeZone: 'UTC' }
+      : { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' };
+
+  return `${template.name} - ${new Date(periodStart).toLocaleDateString('en-US', options)}`;
+}
+
+module.exports = {
+  MAX_PERIODS_PER_RUN,
+  normalizeSchedule,
+  getDuePeriods,
+  getNextPeriodStart,
+  splitAmount,
+  formatPeriodName,
+};
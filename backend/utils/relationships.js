@@ -0,0 +1,134 @@
+/**
+ * Relationships Utility
+ *
+ * Relationship types between group members and the family tree layout built
+ * from them. Directional types read "member 1 is member 2's <type>"; the
+ * member order of symmetric types carries no meaning.
+ */
+
+/**
+ * Supported relationship types
+ * generation is how many generations member 1 is above member 2 (null when
+ * the type says nothing about generations)
+ */
+const RELATIONSHIP_TYPES = {
+  spouse: { label: 'Spouse', symmetric: true, generation: 0 },
+  partner: { label: 'Partner', symmetric: true, generation: 0 },
+  ex_partner: { label: 'Ex-partner', symmetric: true, generation: 0 },
+  sibling: { label: 'Sibling', symmetric: true, generation: 0 },
+  parent: { label: 'Parent', inverseLabel: 'Child', symmetric: false, generation: 1 },
+  step_parent: { label: 'Step-parent', inverseLabel: 'Step-child', symmetric: false, generation: 1 },
+  guardian: { label: 'Guardian', inverseLabel: 'Ward', symmetric: false, generation: 1 },
+  grandparent: { label: 'Grandparent', inverseLabel: 'Grandchild', symmetric: false, generation: 2 },
+  other: { label: 'Other', symmetric: true, generation: null },
+};
+
+/**
+ * Check a relationship type
+ * @param {string} type
+ * @returns {boolean}
+ */
+function isValidRelationshipType(type) {
+  return Object.prototype.hasOwnProperty.call(RELATIONSHIP_TYPES, type);
+}
+
+/**
+ * Order the members of a relationship
+ * Symmetric types are stored with the lower id first, so each pair has one row.
+ *
+ * @param {string} memberId1
+ * @param {string} memberId2
+ * @param {string} type
+ * @returns {{memberId1: string, memberId2: string}}
+ */
+function normalizeMembers(memberId1, memberId2, type) {
+  if (RELATIONSHIP_TYPES[type].symmetric && memberId2 < memberId1) {
+    return { memberId1: memberId2, memberId2: memberId1 };
+  }
+  return { memberId1, memberId2 };
+}
+
+/**
+ * Describe a relationship, e.g. "Alex is Sam's parent"
+ *
+ * @param {string} type
+ * @param {string} name1 - Member 1's name
+ * @param {string} name2 - Member 2's name
+ * @returns {string}
+ */
+function describeRelationship(type, name1, name2) {
+  const label = RELATIONSHIP_TYPES[type]?.label || type;
+  return `${name1} is ${name2}'s ${label.toLowerCase()}`;
+}
+
+/**
+ * Lay members out in generations for a family tree
+ *
+ * Walks each connected group of members from its first member, placing
+ * relatives above or below by the generation of their relationship. Where
+ * relationships contradict each other, the first placement wins. Each
+ * connected group is shifted so its oldest generation is 0.
+ *
+ * @param {string[]} memberIds - Members in display order
+ * @param {Array<{memberId1: string, memberId2: string, relationshipType: string}>} relationships
+ * @returns {{generations: string[][], unconnected: string[]}}
+ *   generations[0] is the oldest; unconnected members have no placed relationship
+ */
+function buildFamilyTree(memberIds, relationships) {
+  const known = new Set(memberIds);
+  const edges = new Map(memberIds.map(id => [id, []]));
+
+  for (const { memberId1, memberId2, relationshipType } of relationships) {
+    const generation = RELATIONSHIP_TYPES[relationshipType]?.generation;
+    if (generation === null || generation === undefined || !known.has(memberId1) || !known.has(memberId2)) {
+      continue;
+    }
+    // Member 2 is `generation` levels below member 1
+    edges.get(memberId1).push({ to: memberId2, offset: generation });
+    edges.get(memberId2).push({ to: memberId1, offset: -generation });
+  }
+
+  const levels = new Map();
+  const unconnected = [];
+
+  for (const root of memberIds) {
+    if (levels.has(root)) continue;
+    if (edges.get(root).length === 0) {
+      unconnected.push(root);
+      continue;
+    }
+
+    const component = [root];
+    levels.set(root, 0);
+    for (let i = 0; i < component.length; i++) {
+      const from = component[i];
+      for (const { to, offset } of edges.get(from)) {
+        if (!levels.has(to)) {
+          levels.set(to, levels.get(from) + offset);
+          component.push(to);
+        }
+      }
+    }
+
+    const top = Math.min(...component.map(id => levels.get(id)));
+    component.forEach(id => levels.set(id, levels.get(id) - top));
+  }
+
+  const generations = [];
+  for (const id of memberIds) {
+    if (!levels.has(id)) continue;
+    const level = levels.get(id);
+    while (generations.length <= level) generations.push([]);
+    generations[level].push(id);
+  }
+
+  return { generations, unconnected };
+}
+
+module.exports = {
+  RELATIONSHIP_TYPES,
+  isValidRelationshipType,
+  normalizeMembers,
+  describeRelationship,
+  buildFamilyTree,
+};
@@ -0,0 +1,65 @@
+/**
+ * Responsibility Layers Utility
+ *
+ * Resolves child responsibility events into a single timeline using the
+ * calendar's layering rule: where events overlap, the later-created event
+ * wins (see calendar.controller.js).
+ */
+
+/**
+ * Resolve layered periods into a flat timeline
+ *
+ * @param {Object[]} layers - Periods with startTime and endTime, in layering
+ *   order (oldest first, as returned by the calendar events query)
+ * @param {{start: Date, end: Date}} [window] - Only resolve inside this window
+ * @returns {Array<{startTime: Date, endTime: Date, layer: Object}>}
+ *   Non-overlapping segments ordered by time. Adjacent segments of the same
+ *   layer are merged, and gaps (nobody responsible) are left out.
+ */
+function resolveLayers(layers, window = null) {
+  const windowStart = window ? new Date(window.start).getTime() : -Infinity;
+  const windowEnd = window ? new Date(window.end).getTime() : Infinity;
+
+  const periods = layers
+    .map((layer, index) => ({
+      layer,
+      index,
+      start: Math.max(new Date(layer.startTime).getTime(), windowStart),
+      end: Math.min(new Date(layer.endTime).getTime(), windowEnd),
+    }))
+    .filter(period => period.end > period.start);
+
+  const boundaries = [...new Set(periods.flatMap(period => [period.start, period.end]))]
+    .sort((a, b) => a - b);
+
+  const segments = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const start = boundaries[i];
+    const end = boundaries[i + 1];
+
+    // The latest layer covering this slice wins
+    let winner = null;
+    for (const period of periods) {
+      if (period.start <= start && period.end >= end && (!winner || period.index > winner.index)) {
+        winner = period;
+      }
+    }
+
+    if (!winner) {
+      continue;
+    }
+
+    const previous = segments[segments.length - 1];
+    if (previous && previous.layer === winner.layer && previous.endTime.getTime() === start) {
+      previous.endTime = new Date(end);
+    } else {
+      segments.push({ startTime: new Date(start), endTime: new Date(end), layer: winner.layer });
+    }
+  }
+
+  return segments;
+}
+
+module.exports = {
+  resolveLayers,
+};
@@ -0,0 +1,142 @@
+/**
+ * Retention Utility
+ *
+ * How long a group keeps messages, media and call recordings. The group
+ * policy lives on GroupSettings; a message group can set its own messages
+ * and media periods (null there means "follow the group"). Null at group
+ * level means keep forever.
+ *
+ * Log exports put a legal hold on the period they cover: nothing created
+ * between an export's dateFrom and its dateTo (or the export date) is deleted
+ * while the export exists.
+ */
+
+// Fields of the group policy, with how they read in the audit log
+const RETENTION_FIELDS = {
+  messageRetentionDays: 'Messages',
+  mediaRetentionDays: 'Media',
+  recordingRetentionDays: 'Call recordings',
+};
+
+// Fields a message group can override (recordings belong to the group's calls)
+const MESSAGE_GROUP_RETENTION_FIELDS = ['messageRetentionDays', 'mediaRetentionDays'];
+
+const MIN_RETENTION_DAYS = 30;
+const MAX_RETENTION_DAYS = 3650;
+
+/**
+ * Validate a retention policy change
+ *
+ * @param {Object} body - Request body; each field is a number of days or null
+ * @param {string[]} [fields] - Fields allowed for this scope
+ * @returns {{policy?: Object, error?: string}} policy holds only the fields given
+ */
+function validateRetentionPolicy(body, fields = Object.keys(RETENTION_FIELDS)) {
+  const policy = {};
+
+  for (const field of fields) {
+    if (body[field] === undefined) continue;
+
+    const value = body[field];
+    if (value !== null && (!Number.isInteger(value) || value < MIN_RETENTION_DAYS || value > MAX_RETENTION_DAYS)) {
+      return { error: `${field} must be null or a whole number of days from ${MIN_RETENTION_DAYS} to ${MAX_RETENTION_DAYS}` };
+    }
+    policy[field] = value;
+  }
+
+  if (Object.keys(policy).length === 0) {
+    return { error: `At least one of ${fields.join(', ')} is required` };
+  }
+
+  return { policy };
+}
+
+/**
+ * The periods that apply to a message group
+ *
+ * @param {Object|null} groupSettings - GroupSettings retention fields
+ * @param {Object|null} messageGroup - MessageGroup retention fields
+ * @returns {{messageRetentionDays: number|null, mediaRetentionDays: number|null}}
+ */
+function resolveRetention(groupSettings, messageGroup) {
+  return {
+    messageRetentionDays: messageGroup?.messageRetentionDays ?? groupSettings?.messageRetentionDays ?? null,
+    mediaRetentionDays: messageGroup?.mediaRetentionDays ?? groupSettings?.mediaRetentionDays ?? null,
+  };
+}
+
+/**
+ * Anything created before this date has expired
+ * @param {number|null} days
+ * @param {Date} [now]
+ * @returns {Date|null} null when kept forever
+ */
+function getCutoff(days, now = new Date()) {
+  if (days === null || days === undefined) {
+    return null;
+  }
+  return new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Periods covered by log exports
+ *
+ * @param {Object[]} logExports - LogExports with createdAt and filters
+ * @returns {{from: Date|null, to: Date}[]}
+ */
+function getLegalHoldRanges(logExports) {
+  return logExports.map(logExport => {
+    const filters = logExport.filters || {};
+    const createdAt = new Date(logExport.createdAt);
+    const dateTo = filters.dateTo ? new Date(filters.dateTo) : null;
+
+    return {
+      from: filters.dateFrom ? new Date(filters.dateFrom) : null,
+      to: dateTo && dateTo < createdAt ? dateTo : createdAt,
+    };
+  });
+}
+
+/**
+ * Whether something created at this date is under a legal hold
+ * @param {Date} date
+ * @param {{from: Date|null, to: Date}[]} ranges
+ * @returns {boolean}
+ */
+function isUnderLegalHold(date, ranges) {
+  const time = new Date(date).getTime();
+  return ranges.some(range => (!range.from || range.from.getTime() <= time) && time <= range.to.getTime());
+}
+
+/**
+ * Describe a retention policy for the audit log and approvals
+ * @param {Object} policy - Retention fields
+ * @param {boolean} [isMessageGroup] - Null means "group policy" rather than "keep forever"
+ * @returns {string} e.g. 'Messages: 365 days, Media: keep forever'
+ */
+function describeRetention(policy, isMessageGroup = false) {
+  return Object.keys(RETENTION_FIELDS)
+    .filter(field => policy[field] !== undefined)
+    .map(field => {
+      const value = policy[field];
+      let text = `${value} days`;
+      if (value === null) {
+        text = isMessageGroup ? 'group policy' : 'keep forever';
+      }
+      return `${RETENTION_FIELDS[field]}: ${text}`;
+    })
+    .join(', ');
+}
+
+module.exports = {
+  RETENTION_FIELDS,
+  MESSAGE_GROUP_RETENTION_FIELDS,
+  MIN_RETENTION_DAYS,
+  MAX_RETENTION_DAYS,
+  validateRetentionPolicy,
+  resolveRetention,
+  getCutoff,
+  getLegalHoldRanges,
+  isUnderLegalHold,
+  describeRetention,
+};
@@ -0,0 +1,57 @@
+/**
+ * Scheduled Messages Utility
+ *
+ * Rules for messages composed now and sent later. A scheduled message moves
+ * through these statuses:
+ * - scheduled: waiting; the sender can still edit or cancel it
+ * - sending: claimed by the delivery job
+ * - sent: delivered (sentMessageId points at the message)
+ * - failed: the send checks refused it, e.g. the sender left the message group
+ * - cancelled: cancelled by the sender
+ */
+
+const SCHEDULED_STATUSES = ['scheduled', 'sending', 'sent', 'failed', 'cancelled'];
+
+// Delivery runs every minute, so anything sooner is effectively "now"
+const MIN_LEAD_MINUTES = 1;
+const MAX_SCHEDULE_DAYS = 365;
+
+/**
+ * Validate a requested delivery time
+ *
+ * @param {*} value - ISO date string from the request body
+ * @param {Date} [now]
+ * @returns {{scheduledFor?: Date, error?: string}}
+ */
+function validateScheduledFor(value, now = new Date()) {
+  const scheduledFor = typeof value === 'string' ? new Date(value) : null;
+  if (!scheduledFor || isNaN(scheduledFor.getTime())) {
+    return { error: 'scheduledFor must be an ISO date and time' };
+  }
+
+  if (scheduledFor.getTime() < now.getTime() + MIN_LEAD_MINUTES * 60 * 1000) {
+    return { error: `Messages must be scheduled at least ${MIN_LEAD_MINUTES} minute ahead` };
+  }
+  if (scheduledFor.getTime() > now.getTime() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Messages can be scheduled up to ${MAX_SCHEDULE_DAYS} days ahead` };
+  }
+
+  return { scheduledFor };
+}
+
+/**
+ * Whether the sender can still change a scheduled message
+ * @param {Object} scheduledMessage - ScheduledMessage with status
+ * @returns {boolean}
+ */
+function isEditable(scheduledMessage) {
+  return scheduledMessage.status === 'scheduled';
+}
+
+module.exports = {
+  SCHEDULED_STATUSES,
+  MIN_LEAD_MINUTES,
+  MAX_SCHEDULE_DAYS,
+  validateScheduledFor,
+  isEditable,
+};
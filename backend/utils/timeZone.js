@@ -0,0 +1,113 @@
+/**
+ * Time Zone Utility
+ *
+ * Converts between instants and wall clock time in an IANA time zone using
+ * Intl, so no time zone database has to be bundled. Wall clock times are
+ * handled as milliseconds since epoch "as if UTC" (Date.UTC of the parts),
+ * which keeps calendar arithmetic DST-free.
+ */
+
+// Intl formatters are slow to create and recurrence expansion converts a lot
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Check whether a string is a time zone Intl understands
+ * @param {string} timeZone - IANA time zone, e.g. Australia/Sydney
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the wall clock parts of an instant in a time zone
+ * @param {number} time - Milliseconds since epoch
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ *   month is zero-based like Date
+ */
+function getZonedParts(time, timeZone) {
+  const parts = getFormatter(timeZone).formatToParts(new Date(time));
+
+  const value = type => parseInt(parts.find(p => p.type === type).value, 10);
+  return {
+    year: value('year'),
+    month: value('month') - 1,
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second'),
+  };
+}
+
+/**
+ * Get the wall clock time of an instant in a time zone
+ * @param {number} time - Milliseconds since epoch
+ * @param {string} timeZone
+ * @returns {number} Wall clock as milliseconds "as if UTC"
+ */
+function toWallClock(time, timeZone) {
+  if (timeZone === 'UTC') {
+    return time;
+  }
+
+  const p = getZonedParts(time, timeZone);
+  return Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second) + (time - Math.floor(time / 1000) * 1000);
+}
+
+/**
+ * Get the instant a wall clock time happens in a time zone
+ * Times skipped when clocks go forward are moved forward by the change;
+ * times repeated when clocks go back resolve to the second one.
+ *
+ * @param {number} wallClock - Wall clock as milliseconds "as if UTC"
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function fromWallClock(wallClock, timeZone) {
+  if (timeZone === 'UTC') {
+    return new Date(wallClock);
+  }
+
+  // Offset of the zone at a given instant (wall clock minus UTC)
+  const offsetAt = time => toWallClock(time, timeZone) - time;
+
+  // Correct once more in case the first guess crossed a DST change
+  let time = wallClock - offsetAt(wallClock);
+  time = wallClock - offsetAt(time);
+  return new Date(time);
+}
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  toWallClock,
+  fromWallClock,
+};
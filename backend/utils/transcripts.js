@@ -0,0 +1,98 @@
+/**
+ * Transcript Utility
+ *
+ * Call recordings are transcribed chunk by chunk (jobs/transcribeRecordings.js).
+ * Each segment keeps its chunk and its position in that chunk, so the app can
+ * seek straight to it, plus its offset from the start of the recording for
+ * display and exports. Chunks overlap slightly to keep the audio gapless, so
+ * speech in the overlap is transcribed twice; the later copy is dropped.
+ */
+
+const CALL_TYPES = ['phone', 'video'];
+
+// Failed transcriptions are retried this many times in total
+const MAX_TRANSCRIPTION_ATTEMPTS = 3;
+
+// Wait for the last chunk to upload before transcribing
+const TRANSCRIBE_AFTER_MS = 5 * 60 * 1000;
+
+/**
+ * Combine the transcribed chunks of a recording into one list of segments
+ *
+ * @param {Object[]} chunks - In chunk order
+ * @param {number|null} chunks[].chunkIndex - null for a single-file recording
+ * @param {Date|string} chunks[].startedAt - When the chunk's recording started
+ * @param {{startMs: number, endMs: number, text: string}[]} chunks[].segments - Times within the chunk
+ * @returns {{chunkIndex: number|null, startMs: number, endMs: number, offsetMs: number, text: string}[]}
+ */
+function mergeChunkSegments(chunks) {
+  if (chunks.length === 0) {
+    return [];
+  }
+
+  const recordingStart = new Date(chunks[0].startedAt).getTime();
+  const merged = [];
+  let lastEndOffset = -1;
+
+  for (const chunk of chunks) {
+    const chunkOffset = new Date(chunk.startedAt).getTime() - recordingStart;
+
+    for (const segment of chunk.segments) {
+      const text = (segment.text || '').trim();
+      const offsetMs = chunkOffset + segment.startMs;
+      const endOffset = chunkOffset + segment.endMs;
+
+      // Already transcribed at the end of the previous chunk
+      if (!text || endOffset <= lastEndOffset) continue;
+
+      merged.push({
+        chunkIndex: chunk.chunkIndex,
+        startMs: segment.startMs,
+        endMs: segment.endMs,
+        offsetMs: Math.max(0, offsetMs),
+        text,
+      });
+      lastEndOffset = Math.max(lastEndOffset, endOffset);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Whether a call's transcript should be (re)created
+ * @param {Object|null} transcript - Existing CallTranscript
+ * @returns {boolean}
+ */
+function needsTranscription(transcript) {
+  if (!transcript) {
+    return true;
+  }
+  return transcript.status === 'failed' && transcript.attempts < MAX_TRANSCRIPTION_ATTEMPTS;
+}
+
+/**
+ * Format a recording offset, e.g. 65000 -> '1:05', 3725000 -> '1:02:05'
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatOffset(ms) {
+  const totalSeconds = Math.floor((ms || 0) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`;
+  }
+  return `${minutes}:${seconds}`;
+}
+
+module.exports = {
+  CALL_TYPES,
+  MAX_TRANSCRIPTION_ATTEMPTS,
+  TRANSCRIBE_AFTER_MS,
+  mergeChunkSegments,
+  needsTranscription,
+  formatOffset,
+};
@@ -7,6 +7,7 @@
  * - Image conversion (sharp)
  * - PDF generation
  * - Call recording (puppeteer/headless Chrome)
+ * - Speech-to-text transcription of call recordings (whisper.cpp)
  *
  * In production, the main API Lambda invokes the Worker Service Lambda directly.
  * Locally, the backend calls this HTTP server instead.
@@ -16,6 +17,7 @@
  * - POST /convert/audio   - Convert audio to MP3
  * - POST /convert/image   - Convert image to PNG/JPEG
  * - POST /generate/pdf    - Generate PDF from data
+ * - POST /transcribe      - Transcribe audio to timestamped text
  * - POST /recording/start - Start call recording
  * - POST /recording/stop  - Stop call recording
  * - GET  /health          - Health check
@@ -33,6 +35,7 @@ const videoService = require('./services/video.service');
 const audioService = require('./services/audio.service');
 const imageService = require('./services/image.service');
 const pdfService = require('./services/pdf.service');
+const transcriptionService = require('./services/transcription.service');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -67,11 +70,16 @@ const upload = multer({
 // Health Check
 // ============================================
 app.get('/health', (req, res) => {
+  const capabilities = ['video', 'audio', 'image', 'pdf', 'recording', 'merge'];
+  if (transcriptionService.isAvailable()) {
+    capabilities.push('transcription');
+  }
+
   res.json({
     status: 'healthy',
     service: 'worker-service',
     version: '1.0.0',
-    capabilities: ['video', 'audio', 'image', 'pdf', 'recording'],
+    capabilities,
     timestamp: new Date().toISOString(),
   });
 });
@@ -255,6 +263,45 @@ app.post('/generate/pdf', async (req, res) => {
   }
 });
 
+// ============================================
+// Transcription: POST /transcribe
+// ============================================
+app.post('/transcribe', upload.single('file'), async (req, res) => {
+  const startTime = Date.now();
+  console.log('[MediaProcessor] Transcription request received');
+
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'No file uploaded' });
+  }
+
+  try {
+    const result = await transcriptionService.transcribe(req.file.path, UPLOADS_DIR);
+
+    // Clean up input file
+    await fs.unlink(req.file.path).catch(() => {});
+
+    console.log(`[MediaProcessor] Transcription complete in ${Date.now() - startTime}ms`);
+
+    res.json({
+      success: true,
+      language: result.language,
+      model: result.model,
+      segments: result.segments,
+      processingTimeMs: Date.now() - startTime,
+    });
+  } catch (error) {
+    console.error('[MediaProcessor] Transcription error:', error);
+
+    // Clean up input file on error
+    await fs.unlink(req.file.path).catch(() => {});
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 // ============================================
 // File Retrieval: GET /files/:filename
 // ============================================
@@ -361,6 +408,61 @@ app.post('/recording/stop', async (req, res) => {
   }
 });
 
+// Merge recording chunks: POST /recording/merge
+// Multipart: files (chunks, in order), mediaType, trims (JSON ms per chunk), chapters (JSON), title
+app.post('/recording/merge', upload.array('files'), async (req, res) => {
+  const startTime = Date.now();
+  console.log('[MediaProcessor] Merge recording request received');
+
+  const files = req.files || [];
+  const cleanupInputs = () => Promise.all(files.map(file => fs.unlink(file.path).catch(() => {})));
+
+  if (files.length === 0) {
+    return res.status(400).json({ success: false, error: 'No files uploaded' });
+  }
+
+  try {
+    const { mediaType, title } = req.body;
+    const trims = req.body.trims ? JSON.parse(req.body.trims) : [];
+    const chapters = req.body.chapters ? JSON.parse(req.body.chapters) : [];
+
+    if (mediaType !== 'audio' && mediaType !== 'video') {
+      await cleanupInputs();
+      return res.status(400).json({ success: false, error: 'mediaType must be audio or video' });
+    }
+
+    const result = await recorderService.mergeRecording({
+      inputs: files.map((file, index) => ({ path: file.path, trimStartMs: Number(trims[index]) || 0 })),
+      mediaType,
+      chapters,
+      title,
+      outputDir: UPLOADS_DIR,
+    });
+
+    await cleanupInputs();
+
+    console.log(`[MediaProcessor] Recording merge complete in ${Date.now() - startTime}ms`);
+
+    res.json({
+      success: true,
+      outputFileName: result.fileName,
+      mimeType: result.mimeType,
+      durationMs: result.durationMs,
+      chapterCount: result.chapterCount,
+      processingTimeMs: Date.now() - startTime,
+    });
+  } catch (error) {
+    console.error('[MediaProcessor] Recording merge error:', error);
+
+    await cleanupInputs();
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 // Get recording status: GET /recording/status/:callType/:callId
 app.get('/recording/status/:callType/:callId', (req, res) => {
   const { callType, callId } = req.params;
@@ -402,8 +504,10 @@ app.listen(PORT, () => {
   console.log('    POST /convert/audio   - Convert audio to MP3');
   console.log('    POST /convert/image   - Convert image to PNG/JPEG');
   console.log('    POST /generate/pdf    - Generate PDF');
+  console.log(`    POST /transcribe      - Transcribe audio${transcriptionService.isAvailable() ? '' : ' (model not installed)'}`);
   console.log('    POST /recording/start - Start call recording');
   console.log('    POST /recording/stop  - Stop call recording');
+  console.log('    POST /recording/merge - Merge recording chunks');
   console.log('    GET  /health          - Health check');
   console.log('============================================');
   console.log('');
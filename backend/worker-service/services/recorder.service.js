@@ -3,9 +3,13 @@
  *
  * Uses a headless browser to join calls as a "ghost" participant
  * and record all audio/video streams server-side.
+ *
+ * Also merges a finished recording's chunks into one seekable file
+ * with chapter markers (mergeRecording).
  */
 
 const puppeteer = require('puppeteer-core');
+const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
@@ -272,10 +276,160 @@ async function stopAllRecordings() {
   console.log(`[Recorder] All recordings stopped`);
 }
 
+/**
+ * Escape a value for an ffmpeg metadata file
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeMetadata(value) {
+  return String(value).replace(/[=;#\\\n]/g, char => `\\${char}`);
+}
+
+/**
+ * Build an ffmpeg metadata file with chapters
+ * @param {string} title - Recording title
+ * @param {{startMs: number, endMs: number, title: string}[]} chapters
+ * @returns {string}
+ */
+function buildChapterMetadata(title, chapters) {
+  const lines = [';FFMETADATA1'];
+  if (title) {
+    lines.push(`title=${escapeMetadata(title)}`);
+  }
+
+  for (const chapter of chapters) {
+    lines.push(
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(chapter.startMs)}`,
+      `END=${Math.round(chapter.endMs)}`,
+      `title=${escapeMetadata(chapter.title)}`
+    );
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Read the duration and chapter count of a media file
+ * @param {string} filePath
+ * @returns {Promise<{durationMs: number, chapterCount: number}>}
+ */
+function probeRecording(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, ['-show_chapters'], (err, metadata) => {
+      if (err) {
+        reject(new Error(`Failed to probe merged recording: ${err.message}`));
+        return;
+      }
+      resolve({
+        durationMs: Math.round((metadata.format?.duration || 0) * 1000),
+        chapterCount: (metadata.chapters || []).length,
+      });
+    });
+  });
+}
+
+/**
+ * Merge a recording's chunks into one file with chapter markers
+ *
+ * Each chunk's start is trimmed where it overlaps the previous chunk.
+ * Audio is merged into M4A (AAC); video into MP4 (H.264/AAC) scaled onto one
+ * canvas, since chunks can differ in size. Both are written with the index at
+ * the front so players can seek before the whole file has loaded.
+ *
+ * @param {Object} options
+ * @param {{path: string, trimStartMs: number}[]} options.inputs - Chunk files, in order
+ * @param {string} options.mediaType - 'audio' or 'video'
+ * @param {{startMs: number, endMs: number, title: string}[]} [options.chapters]
+ * @param {string} [options.title] - Recording title
+ * @param {string} options.outputDir - Directory to save the merged file
+ * @returns {Promise<{path: string, fileName: string, mimeType: string, durationMs: number, chapterCount: number}>}
+ */
+async function mergeRecording({ inputs, mediaType, chapters = [], title, outputDir }) {
+  if (inputs.length === 0) {
+    throw new Error('No recording chunks to merge');
+  }
+
+  const isVideo = mediaType === 'video';
+  const outputFileName = `${uuidv4()}.${isVideo ? 'mp4' : 'm4a'}`;
+  const outputPath = path.join(outputDir, outputFileName);
+  const metadataPath = path.join(outputDir, `chapters-${uuidv4()}.txt`);
+
+  await fs.writeFile(metadataPath, buildChapterMetadata(title, chapters));
+
+  try {
+    const command = ffmpeg();
+    for (const input of inputs) {
+      command.input(input.path);
+      if (input.trimStartMs > 0) {
+        command.inputOptions(['-ss', (input.trimStartMs / 1000).toFixed(3)]);
+      }
+    }
+    command.input(metadataPath);
+
+    const filters = [];
+    const concatInputs = [];
+    inputs.forEach((input, index) => {
+      if (isVideo) {
+        filters.push(`[${index}:v]scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=30,format=yuv420p[v${index}]`);
+        concatInputs.push(`[v${index}]`);
+      }
+      filters.push(`[${index}:a]aresample=48000,aformat=channel_layouts=stereo[a${index}]`);
+      concatInputs.push(`[a${index}]`);
+    });
+    filters.push(`${concatInputs.join('')}concat=n=${inputs.length}:v=${isVideo ? 1 : 0}:a=1${isVideo ? '[outv]' : ''}[outa]`);
+
+    const outputOptions = [
+      '-map_metadata', String(inputs.length),
+      '-map_chapters', String(inputs.length),
+      '-movflags', '+faststart',
+    ];
+    if (isVideo) {
+      outputOptions.push('-c:v', 'libx264', '-preset', 'fast', '-crf', '23', '-c:a', 'aac', '-b:a', '128k');
+    } else {
+      outputOptions.push('-c:a', 'aac', '-b:a', '96k');
+    }
+
+    await new Promise((resolve, reject) => {
+      command
+        .complexFilter(filters, isVideo ? ['outv', 'outa'] : ['outa'])
+        .outputOptions(outputOptions)
+        .format(isVideo ? 'mp4' : 'ipod')
+        .on('start', (commandLine) => {
+          console.log('[Recorder] FFmpeg merge command:', commandLine);
+        })
+        .on('error', (err, stdout, stderr) => {
+          console.error('[Recorder] FFmpeg merge stderr:', stderr);
+          reject(new Error(`Recording merge failed: ${err.message}`));
+        })
+        .on('end', resolve)
+        .save(outputPath);
+    });
+  } catch (err) {
+    await fs.unlink(outputPath).catch(() => {});
+    throw err;
+  } finally {
+    await fs.unlink(metadataPath).catch(() => {});
+  }
+
+  const { durationMs, chapterCount } = await probeRecording(outputPath);
+  console.log(`[Recorder] Merged ${inputs.length} chunk(s) into ${outputFileName} (${durationMs}ms, ${chapterCount} chapter(s))`);
+
+  return {
+    path: outputPath,
+    fileName: outputFileName,
+    mimeType: isVideo ? 'video/mp4' : 'audio/mp4',
+    durationMs,
+    chapterCount,
+  };
+}
+
 module.exports = {
   startRecording,
   stopRecording,
   isRecording,
   getRecordingStatus,
   stopAllRecordings,
+  mergeRecording,
 };
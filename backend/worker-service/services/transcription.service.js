@@ -0,0 +1,169 @@
+/**
+ * Transcription Service
+ *
+ * Offline speech-to-text for call recordings using whisper.cpp
+ * (https://github.com/ggml-org/whisper.cpp). Audio never leaves the
+ * container: ffmpeg resamples it to 16 kHz mono WAV and the whisper-cli binary
+ * transcribes it with a local ggml model.
+ *
+ * Configuration:
+ * - WHISPER_CLI_PATH: whisper-cli binary (default: whisper-cli on PATH)
+ * - WHISPER_MODEL_PATH: ggml model file (default: /app/models/ggml-model.bin)
+ * - WHISPER_MODEL_NAME: model name recorded with transcripts (default: file name)
+ * - WHISPER_LANGUAGE: spoken language, or 'auto' to detect (default: auto)
+ * - WHISPER_THREADS: CPU threads to use (default: 4)
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const { execFile } = require('child_process');
+const path = require('path');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const { v4: uuidv4 } = require('uuid');
+
+const WHISPER_CLI_PATH = process.env.WHISPER_CLI_PATH || 'whisper-cli';
+const WHISPER_MODEL_PATH = process.env.WHISPER_MODEL_PATH || '/app/models/ggml-model.bin';
+const WHISPER_MODEL_NAME = process.env.WHISPER_MODEL_NAME || path.basename(WHISPER_MODEL_PATH, '.bin');
+const WHISPER_LANGUAGE = process.env.WHISPER_LANGUAGE || 'auto';
+const WHISPER_THREADS = parseInt(process.env.WHISPER_THREADS || '4', 10);
+
+// Transcribing runs at a few times real time on CPU; give long chunks room
+const WHISPER_TIMEOUT_MS = 20 * 60 * 1000;
+
+/**
+ * Check whether the whisper binary and model are installed
+ * @returns {boolean}
+ */
+function isAvailable() {
+  if (!fsSync.existsSync(WHISPER_MODEL_PATH)) {
+    return false;
+  }
+
+  if (path.isAbsolute(WHISPER_CLI_PATH)) {
+    return fsSync.existsSync(WHISPER_CLI_PATH);
+  }
+
+  return (process.env.PATH || '').split(path.delimiter).some(dir =>
+    fsSync.existsSync(path.join(dir, WHISPER_CLI_PATH))
+  );
+}
+
+/**
+ * Name of the model in use, e.g. 'base'
+ * @returns {string}
+ */
+function getModelName() {
+  return WHISPER_MODEL_NAME;
+}
+
+/**
+ * Resample audio (or the audio track of a video) to the 16 kHz mono WAV whisper expects
+ * @param {string} inputPath - Path to input audio/video file
+ * @param {string} outputDir - Directory to save the WAV file
+ * @returns {Promise<string>} Path to WAV file
+ */
+function convertToWav(inputPath, outputDir) {
+  const outputPath = path.join(outputDir, `transcribe-${uuidv4()}.wav`);
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .noVideo()
+      .audioFrequency(16000)
+      .audioChannels(1)
+      .audioCodec('pcm_s16le')
+      .toFormat('wav')
+      .on('error', (err) => {
+        console.error('[TranscriptionService] FFmpeg error:', err);
+        reject(new Error(`Audio preparation failed: ${err.message}`));
+      })
+      .on('end', () => resolve(outputPath))
+      .save(outputPath);
+  });
+}
+
+/**
+ * Run whisper-cli and read its JSON output
+ * @param {string} wavPath - 16 kHz mono WAV file
+ * @returns {Promise<Object>} whisper.cpp JSON output
+ */
+async function runWhisper(wavPath) {
+  const outputBase = wavPath.replace(/\.wav$/, '');
+  const args = [
+    '-m', WHISPER_MODEL_PATH,
+    '-f', wavPath,
+    '-l', WHISPER_LANGUAGE,
+    '-t', String(WHISPER_THREADS),
+    '-oj',
+    '-of', outputBase,
+    '-np',
+  ];
+
+  await new Promise((resolve, reject) => {
+    execFile(WHISPER_CLI_PATH, args, { timeout: WHISPER_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        console.error('[TranscriptionService] whisper-cli stderr:', stderr);
+        reject(new Error(`Transcription failed: ${err.message}`));
+        return;
+      }
+      resolve();
+    });
+  });
+
+  const jsonPath = `${outputBase}.json`;
+  try {
+    return JSON.parse(await fs.readFile(jsonPath, 'utf8'));
+  } finally {
+    await fs.unlink(jsonPath).catch(() => {});
+  }
+}
+
+/**
+ * Convert whisper.cpp output to timestamped segments
+ * @param {Object} output - whisper.cpp JSON output
+ * @returns {{startMs: number, endMs: number, text: string}[]}
+ */
+function toSegments(output) {
+  return (output.transcription || [])
+    .map(item => ({
+      startMs: item.offsets?.from || 0,
+      endMs: item.offsets?.to || 0,
+      text: (item.text || '').trim(),
+    }))
+    // whisper marks silence and noise as e.g. [BLANK_AUDIO] or (music)
+    .filter(segment => segment.text && !/^[[(].*[\])]$/.test(segment.text));
+}
+
+/**
+ * Transcribe an audio or video file
+ * @param {string} inputPath - Path to input file
+ * @param {string} workDir - Directory for temporary files
+ * @returns {Promise<{language: string|null, model: string, segments: Object[]}>}
+ */
+async function transcribe(inputPath, workDir) {
+  if (!isAvailable()) {
+    throw new Error('Transcription is not available: whisper-cli or the model is not installed');
+  }
+
+  const wavPath = await convertToWav(inputPath, workDir);
+
+  try {
+    const output = await runWhisper(wavPath);
+    const segments = toSegments(output);
+
+    console.log(`[TranscriptionService] Transcribed ${segments.length} segment(s)`);
+
+    return {
+      language: output.result?.language || null,
+      model: getModelName(),
+      segments,
+    };
+  } finally {
+    await fs.unlink(wavPath).catch(() => {});
+  }
+}
+
+module.exports = {
+  isAvailable,
+  getModelName,
+  transcribe,
+};
@@ -552,7 +552,9 @@ resource "aws_iam_role_policy" "lambda_invoke_media" {
           "lambda:InvokeFunction"
         ]
         Resource = [
-          "arn:aws:lambda:${var.aws_region}:*:function:${var.project_name}-media-processor-${var.environment}"
+          "arn:aws:lambda:${var.aws_region}:*:function:${var.project_name}-media-processor-${var.environment}",
+          # API and jobs functions hand due jobs to the jobs function
+          "arn:aws:lambda:${var.aws_region}:*:function:${var.project_name}-jobs-${var.environment}"
         ]
       }
     ]
@@ -595,6 +597,36 @@ resource "aws_ecr_lifecycle_policy" "media_processor" {
   })
 }
 
+# Environment shared by the API and jobs functions
+locals {
+  lambda_environment = {
+    NODE_ENV                   = var.environment
+    DATABASE_URL               = "postgresql://${var.db_username}:${var.db_password}@${aws_db_instance.main.endpoint}/${var.db_name}"
+    JWT_SECRET                 = var.jwt_secret
+    MESSAGE_ENCRYPTION_KEY     = var.message_encryption_key
+    KINDE_DOMAIN               = var.kinde_domain
+    KINDE_CLIENT_ID            = var.kinde_client_id
+    KINDE_CLIENT_SECRET        = var.kinde_client_secret
+    KINDE_REDIRECT_URI         = "https://${aws_cloudfront_distribution.web_app.domain_name}/auth/callback"
+    STRIPE_SECRET_KEY          = var.stripe_secret_key
+    STRIPE_WEBHOOK_SECRET      = var.stripe_webhook_secret
+    BILLING_API_KEY            = var.billing_api_key
+    S3_BUCKET                  = aws_s3_bucket.file_storage.id
+    AWS_S3_REGION              = var.aws_region
+    CORS_ORIGINS               = join(",", concat(var.cors_allowed_origins, ["https://${aws_cloudfront_distribution.web_app.domain_name}"]))
+    MEDIA_PROCESSOR_LAMBDA     = "${var.project_name}-media-processor-${var.environment}"
+    # Background jobs run in their own function (services/jobWorker.service.js)
+    JOBS_LAMBDA                = "${var.project_name}-jobs-${var.environment}"
+    # API_BASE_URL constructed manually to avoid circular dependency with API Gateway stage
+    API_BASE_URL               = "https://${aws_apigatewayv2_api.main.id}.execute-api.${var.aws_region}.amazonaws.com/${var.environment}"
+    # Recorder Fargate service URL (via Service Discovery)
+    RECORDER_FARGATE_URL       = "http://recorder.recorder.${var.project_name}.local:3001"
+
+    # Previous keys stay valid for decryption while data is re-encrypted after a key rotation
+    MESSAGE_ENCRYPTION_PREVIOUS_KEYS = var.message_encryption_previous_keys
+  }
+}
+
 # ============================================
 # Lambda Function (Main API) - S3 Zip Deployment
 # ============================================
@@ -616,27 +648,7 @@ resource "aws_lambda_function" "api" {
   }
 
   environment {
-    variables = {
-      NODE_ENV                   = var.environment
-      DATABASE_URL               = "postgresql://${var.db_username}:${var.db_password}@${aws_db_instance.main.endpoint}/${var.db_name}"
-      JWT_SECRET                 = var.jwt_secret
-      MESSAGE_ENCRYPTION_KEY     = var.message_encryption_key
-      KINDE_DOMAIN               = var.kinde_domain
-      KINDE_CLIENT_ID            = var.kinde_client_id
-      KINDE_CLIENT_SECRET        = var.kinde_client_secret
-      KINDE_REDIRECT_URI         = "https://${aws_cloudfront_distribution.web_app.domain_name}/auth/callback"
-      STRIPE_SECRET_KEY          = var.stripe_secret_key
-      STRIPE_WEBHOOK_SECRET      = var.stripe_webhook_secret
-      BILLING_API_KEY            = var.billing_api_key
-      S3_BUCKET                  = aws_s3_bucket.file_storage.id
-      AWS_S3_REGION              = var.aws_region
-      CORS_ORIGINS               = join(",", concat(var.cors_allowed_origins, ["https://${aws_cloudfront_distribution.web_app.domain_name}"]))
-      MEDIA_PROCESSOR_LAMBDA     = "${var.project_name}-media-processor-${var.environment}"
-      # API_BASE_URL constructed manually to avoid circular dependency with API Gateway stage
-      API_BASE_URL               = "https://${aws_apigatewayv2_api.main.id}.execute-api.${var.aws_region}.amazonaws.com/${var.environment}"
-      # Recorder Fargate service URL (via Service Discovery)
-      RECORDER_FARGATE_URL       = "http://recorder.recorder.${var.project_name}.local:3001"
-    }
+    variables = local.lambda_environment
   }
 
   tags = {
@@ -644,6 +656,48 @@ resource "aws_lambda_function" "api" {
   }
 }
 
+# ============================================
+# Lambda Function (Background Jobs) - same package as the API
+# The API function's 30s/512MB is too little for jobs such as merging
+# recordings, transcription, retention and calendar syncs. Each due job runs
+# in its own invocation of this function and must finish within its timeout.
+# ============================================
+resource "aws_lambda_function" "jobs" {
+  function_name = "${var.project_name}-jobs-${var.environment}"
+  role          = aws_iam_role.lambda.arn
+  handler       = "lambda.jobsHandler"
+  runtime       = "nodejs20.x"
+  timeout       = 900  # Lambda maximum; longer runs are cut off and retried
+  memory_size   = 2048
+
+  s3_bucket = aws_s3_bucket.file_storage.id
+  s3_key    = "lambda/lambda.zip"
+
+  vpc_config {
+    subnet_ids         = aws_subnet.private[*].id
+    security_group_ids = [aws_security_group.lambda.id]
+  }
+
+  environment {
+    variables = local.lambda_environment
+  }
+
+  tags = {
+    Name = "${var.project_name}-jobs"
+  }
+}
+
+# The job scheduler retries failed runs itself
+resource "aws_lambda_function_event_invoke_config" "jobs" {
+  function_name          = aws_lambda_function.jobs.function_name
+  maximum_retry_attempts = 0
+}
+
+resource "aws_cloudwatch_log_group" "jobs" {
+  name              = "/aws/lambda/${var.project_name}-jobs-${var.environment}"
+  retention_in_days = 14
+}
+
 # ============================================
 # Lambda Function (Media Processor) - Container Image
 # Handles video/audio conversion with ffmpeg
@@ -749,39 +803,33 @@ resource "aws_cloudwatch_log_group" "lambda" {
 }
 
 # ============================================
-# Scheduled Billing (EventBridge)
-# Runs daily at 9 AM UTC to process renewals
+# Background Jobs (EventBridge)
+# Lambda instances don't run long enough to poll for due jobs, so EventBridge
+# invokes the jobs function every minute. That invocation starts one
+# invocation per due job (services/jobWorker.service.js). The job scheduler
+# runs each job on its own schedule (billing renewals daily at 9 AM UTC,
+# reminders, calendar syncs...) and only once, however many are running.
 # ============================================
-resource "aws_cloudwatch_event_rule" "daily_billing" {
-  name                = "${var.project_name}-daily-billing"
-  description         = "Process subscription renewals daily"
-  schedule_expression = "cron(0 9 * * ? *)" # 9 AM UTC daily (7 PM Sydney)
+resource "aws_cloudwatch_event_rule" "job_scheduler" {
+  name                = "${var.project_name}-job-scheduler"
+  description         = "Run due background jobs"
+  schedule_expression = "rate(1 minute)"
 
   tags = {
-    Name = "${var.project_name}-daily-billing"
+    Name = "${var.project_name}-job-scheduler"
   }
 }
 
-resource "aws_cloudwatch_event_target" "billing_lambda" {
-  rule      = aws_cloudwatch_event_rule.daily_billing.name
-  target_id = "ProcessRenewals"
-  arn       = aws_lambda_function.api.arn
-
-  input = jsonencode({
-    httpMethod = "POST"
-    path       = "/subscriptions/process-renewals"
-    headers = {
-      "X-API-Key"    = var.billing_api_key
-      "Content-Type" = "application/json"
-    }
-    body = "{}"
-  })
+resource "aws_cloudwatch_event_target" "job_scheduler_lambda" {
+  rule      = aws_cloudwatch_event_rule.job_scheduler.name
+  target_id = "DispatchDueJobs"
+  arn       = aws_lambda_function.jobs.arn
 }
 
-resource "aws_lambda_permission" "eventbridge_billing" {
+resource "aws_lambda_permission" "eventbridge_jobs" {
   statement_id  = "AllowEventBridgeInvoke"
   action        = "lambda:InvokeFunction"
-  function_name = aws_lambda_function.api.function_name
+  function_name = aws_lambda_function.jobs.function_name
   principal     = "events.amazonaws.com"
-  source_arn    = aws_cloudwatch_event_rule.daily_billing.arn
+  source_arn    = aws_cloudwatch_event_rule.job_scheduler.arn
 }
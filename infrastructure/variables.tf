@@ -101,6 +101,13 @@ variable "message_encryption_key" {
   sensitive   = true
 }
 
+variable "message_encryption_previous_keys" {
+  description = "Previous message encryption keys still accepted for decryption during a key rotation (comma-separated, 64 hex chars each)"
+  type        = string
+  default     = ""
+  sensitive   = true
+}
+
 variable "kinde_domain" {
   description = "Kinde authentication domain"
   type        = string
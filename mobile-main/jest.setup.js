@@ -290,6 +290,17 @@ jest.mock('./src/services/api', () => ({
   },
 }));
 
+// Mock realtime service (screens fall back to polling when disconnected)
+jest.mock('./src/services/realtime.service', () => ({
+  __esModule: true,
+  default: {
+    isConnected: jest.fn(() => false),
+    onConnectionChange: jest.fn(() => jest.fn()),
+    subscribe: jest.fn(() => jest.fn()),
+    acknowledgeSignals: jest.fn(),
+  },
+}));
+
 // Mock upload service
 jest.mock('./src/services/upload.service', () => ({
   uploadFile: jest.fn(),
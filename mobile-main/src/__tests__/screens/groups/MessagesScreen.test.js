@@ -6,6 +6,7 @@
  * - Read receipts (4-state diamond system)
  * - Message alignment
  * - Role-based permissions (supervisor cannot send)
+ * - Drafts and scheduled messages
  *
  * Based on USER_STORIES.md:
  * - US-MSG-003: Send Message with Text
@@ -78,6 +79,12 @@ jest.mock('../../../components/CustomNavigationHeader', () => {
   };
 });
 
+jest.mock('../../../components/DateTimeSelector', () => ({
+  __esModule: true,
+  default: () => null,
+  formatDateByType: (date) => date.toISOString(),
+}));
+
 describe('MessagesScreen', () => {
   const mockNavigation = {
     navigate: jest.fn(),
@@ -763,6 +770,172 @@ describe('MessagesScreen', () => {
     });
   });
 
+  describe('Edited Messages', () => {
+    it('should label edited messages and show their history', async () => {
+      api.get.mockImplementation((url) => {
+        if (url.includes('/revisions')) {
+          return Promise.resolve({
+            data: {
+              revisions: [
+                { revisionNumber: 1, content: 'Pick-up at 3pm', createdAt: new Date().toISOString() },
+                { revisionNumber: 2, content: 'Pick-up at 4pm', createdAt: new Date().toISOString(), isCurrent: true },
+              ],
+            },
+          });
+        }
+        if (url.includes('/message-groups/') && !url.includes('/messages')) {
+          return Promise.resolve({ data: mockMessageGroupResponse });
+        }
+        if (url.includes('/messages')) {
+          return Promise.resolve({
+            data: {
+              messages: [
+                {
+                  ...mockMessagesResponse.messages[1],
+                  content: 'Pick-up at 4pm',
+                  editedAt: new Date().toISOString(),
+                  revisionCount: 1,
+                },
+              ],
+              hasMore: false,
+            },
+          });
+        }
+        return Promise.reject(new Error('Unknown URL'));
+      });
+
+      const { getByText } = render(
+        <MessagesScreen navigation={mockNavigation} route={mockRoute} />
+      );
+
+      await waitFor(() => {
+        expect(getByText('edited')).toBeTruthy();
+      });
+
+      fireEvent.press(getByText('edited'));
+
+      await waitFor(() => {
+        expect(getByText('Edit History')).toBeTruthy();
+        expect(getByText('Pick-up at 3pm')).toBeTruthy();
+      });
+    });
+  });
+
+  describe('Replies and Threads', () => {
+    const reply = (messageId, content) => ({
+      ...mockMessagesResponse.messages[1],
+      messageId,
+      content,
+      replyToId: 'msg-1',
+      threadRootId: 'msg-1',
+      replyTo: { messageId: 'msg-1', senderName: 'John Doe', content: 'Hello everyone!', isHidden: false },
+    });
+
+    const mockThread = (messages) => {
+      api.get.mockImplementation((url) => {
+        if (url.includes('/message-groups/') && !url.includes('/messages')) {
+          return Promise.resolve({ data: mockMessageGroupResponse });
+        }
+        if (url.includes('/messages')) {
+          return Promise.resolve({ data: { messages, hasMore: false } });
+        }
+        return Promise.reject(new Error('Unknown URL'));
+      });
+    };
+
+    it('should show the quoted message above a reply', async () => {
+      mockThread([
+        { ...mockMessagesResponse.messages[0], replyCount: 1 },
+        reply('msg-reply-1', 'Hi there'),
+      ]);
+
+      const { getByText } = render(
+        <MessagesScreen navigation={mockNavigation} route={mockRoute} />
+      );
+
+      await waitFor(() => {
+        expect(getByText('Hi there')).toBeTruthy();
+        expect(getByText('1 reply')).toBeTruthy();
+      });
+    });
+
+    it('should collapse long threads to their latest reply', async () => {
+      mockThread([
+        { ...mockMessagesResponse.messages[0], replyCount: 4 },
+        reply('msg-reply-1', 'First reply'),
+        reply('msg-reply-2', 'Second reply'),
+        reply('msg-reply-3', 'Third reply'),
+        reply('msg-reply-4', 'Fourth reply'),
+      ]);
+
+      const { getByText, queryByText } = render(
+        <MessagesScreen navigation={mockNavigation} route={mockRoute} />
+      );
+
+      await waitFor(() => {
+        expect(getByText('Fourth reply')).toBeTruthy();
+        expect(getByText('3 earlier replies in thread')).toBeTruthy();
+      });
+      expect(queryByText('First reply')).toBeNull();
+    });
+  });
+
+  describe('Drafts and Scheduled Messages', () => {
+    const mockComposerState = ({ draft = null, scheduledMessages = [] }) => {
+      api.get.mockImplementation((url) => {
+        if (url.endsWith('/draft')) {
+          return Promise.resolve({ data: { success: true, draft } });
+        }
+        if (url.endsWith('/scheduled-messages')) {
+          return Promise.resolve({ data: { success: true, scheduledMessages } });
+        }
+        if (url.includes('/message-groups/') && !url.includes('/messages')) {
+          return Promise.resolve({ data: mockMessageGroupResponse });
+        }
+        if (url.includes('/messages')) {
+          return Promise.resolve({ data: mockMessagesResponse });
+        }
+        return Promise.reject(new Error('Unknown URL'));
+      });
+    };
+
+    it('should restore the saved draft into the message input', async () => {
+      mockComposerState({
+        draft: { content: 'Remember the swimming bag', mentions: [], replyToId: null },
+      });
+
+      const { getByDisplayValue } = render(
+        <MessagesScreen navigation={mockNavigation} route={mockRoute} />
+      );
+
+      await waitFor(() => {
+        expect(getByDisplayValue('Remember the swimming bag')).toBeTruthy();
+      });
+    });
+
+    it('should show how many messages are scheduled', async () => {
+      mockComposerState({
+        scheduledMessages: [
+          {
+            scheduledMessageId: 'scheduled-1',
+            content: 'Handover is at 5pm',
+            mediaFiles: [],
+            scheduledFor: '2030-01-01T17:00:00.000Z',
+            status: 'scheduled',
+          },
+        ],
+      });
+
+      const { getByText } = render(
+        <MessagesScreen navigation={mockNavigation} route={mockRoute} />
+      );
+
+      await waitFor(() => {
+        expect(getByText('1 scheduled message')).toBeTruthy();
+      });
+    });
+  });
+
   describe('Non-member Access', () => {
     it('should show read-only notice for non-members (admin viewing)', async () => {
       api.get.mockImplementation((url) => {
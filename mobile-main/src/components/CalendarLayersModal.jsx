@@ -4,6 +4,7 @@
  * Displays calendar layers in two sections:
  * 1. Member Calendars - One layer per group member
  * 2. Imported Calendars - External calendars (iCal URL or file)
+ * 3. Calendar Feed - The user's own ICS subscription link for this calendar
  *
  * Each layer has controls for:
  * - Visibility toggle (eye icon)
@@ -22,10 +23,12 @@ import {
   TouchableOpacity,
   Platform,
   ActivityIndicator,
+  Share,
 } from 'react-native';
 import { Title, Text, IconButton, Button } from 'react-native-paper';
 import ColorPickerModal from './ColorPickerModal';
 import ImportCalendarModal from './ImportCalendarModal';
+import { CustomAlert } from './CustomAlert';
 import api from '../services/api';
 
 /**
@@ -52,6 +55,15 @@ import api from '../services/api';
  * @property {string|null} customColor - Custom color override
  */
 
+/**
+ * @typedef {Object} CalendarFeed
+ * @property {boolean} isActive - Whether the user has an active feed link
+ * @property {string|null} createdAt - When the current link was created
+ * @property {string|null} lastAccessedAt - When a calendar app last fetched the feed
+ * @property {string} [feedUrl] - Feed URL (only returned when created or rotated)
+ * @property {string} [webcalUrl] - webcal:// variant of feedUrl
+ */
+
 /**
  * @typedef {Object} CalendarLayersModalProps
  * @property {boolean} visible - Whether modal is visible
@@ -81,6 +93,8 @@ export default function CalendarLayersModal({
   const [selectedItem, setSelectedItem] = useState(null);
   const [selectedItemType, setSelectedItemType] = useState(null); // 'member' or 'imported'
   const [importModalVisible, setImportModalVisible] = useState(false);
+  const [calendarFeed, setCalendarFeed] = useState(null);
+  const [feedUpdating, setFeedUpdating] = useState(false);
 
   // Fetch layers when modal opens
   useEffect(() => {
@@ -127,6 +141,17 @@ export default function CalendarLayersModal({
       } catch (importedError) {
         console.error('Error fetching imported calendars:', importedError);
       }
+
+      // Fetch calendar feed status (separate try/catch so layers still work if this fails)
+      try {
+        const feedResponse = await api.get(`/groups/${groupId}/calendar/feed`);
+        if (feedResponse.data.success) {
+          setCalendarFeed(feedResponse.data.feed);
+        }
+      } catch (feedError) {
+        console.error('Error fetching calendar feed status:', feedError);
+        setCalendarFeed(null);
+      }
     } finally {
       setLoading(false);
     }
@@ -352,6 +377,141 @@ export default function CalendarLayersModal({
     }
   };
 
+  /**
+   * Create or rotate the calendar feed link
+   * The link is only returned by this call, so it is shared straight away.
+   */
+  const createFeedLink = async () => {
+    try {
+      setFeedUpdating(true);
+      const response = await api.post(`/groups/${groupId}/calendar/feed`);
+      if (response.data.success) {
+        setCalendarFeed(response.data.feed);
+      }
+    } catch (error) {
+      console.error('Error creating calendar feed link:', error);
+      CustomAlert.alert('Error', error.response?.data?.message || 'Failed to create calendar feed link');
+    } finally {
+      setFeedUpdating(false);
+    }
+  };
+
+  /**
+   * Confirm and rotate the calendar feed link
+   */
+  const confirmRotateFeedLink = () => {
+    CustomAlert.alert(
+      'Get New Link',
+      'Calendars subscribed with your current link will stop updating. Continue?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Get New Link', onPress: createFeedLink },
+      ]
+    );
+  };
+
+  /**
+   * Confirm and revoke the calendar feed link
+   */
+  const confirmRevokeFeedLink = () => {
+    CustomAlert.alert(
+      'Revoke Link',
+      'Calendars subscribed with this link will stop updating. Continue?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Revoke',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setFeedUpdating(true);
+              const response = await api.delete(`/groups/${groupId}/calendar/feed`);
+              if (response.data.success) {
+                setCalendarFeed({ isActive: false, createdAt: null, lastAccessedAt: null });
+              }
+            } catch (error) {
+              console.error('Error revoking calendar feed link:', error);
+              CustomAlert.alert('Error', error.response?.data?.message || 'Failed to revoke calendar feed link');
+            } finally {
+              setFeedUpdating(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Open the share sheet with the calendar feed link
+   */
+  const shareFeedLink = async () => {
+    try {
+      await Share.share({ message: calendarFeed.feedUrl });
+    } catch (error) {
+      console.error('Error sharing calendar feed link:', error);
+    }
+  };
+
+  /**
+   * Render the calendar feed section
+   * @returns {JSX.Element|null}
+   */
+  const renderCalendarFeed = () => {
+    if (!calendarFeed) {
+      return null;
+    }
+
+    return (
+      <View style={styles.section}>
+        <Text style={styles.sectionHeader}>SUBSCRIBE FROM OTHER CALENDARS</Text>
+        <Text style={styles.feedDescription}>
+          A private link for Google, Apple or Outlook calendars. It shows the
+          member layers you have visible here. Anyone with the link can see
+          this calendar.
+        </Text>
+
+        {calendarFeed.feedUrl && (
+          <View style={styles.feedLinkBox}>
+            <Text selectable style={styles.feedLinkText}>{calendarFeed.feedUrl}</Text>
+            <Text style={styles.itemSubtitle}>
+              Copy this link now - it will not be shown again.
+            </Text>
+          </View>
+        )}
+
+        {calendarFeed.isActive && !calendarFeed.feedUrl && (
+          <Text style={styles.itemSubtitle}>
+            Link active{calendarFeed.lastAccessedAt
+              ? ` - last used ${new Date(calendarFeed.lastAccessedAt).toLocaleString()}`
+              : ' - not used yet'}
+          </Text>
+        )}
+
+        <View style={styles.feedActions}>
+          {calendarFeed.feedUrl && (
+            <Button mode="outlined" onPress={shareFeedLink} disabled={feedUpdating}>
+              Share Link
+            </Button>
+          )}
+          {calendarFeed.isActive ? (
+            <>
+              <Button mode="text" onPress={confirmRotateFeedLink} disabled={feedUpdating}>
+                Get New Link
+              </Button>
+              <Button mode="text" textColor="#d32f2f" onPress={confirmRevokeFeedLink} disabled={feedUpdating}>
+                Revoke
+              </Button>
+            </>
+          ) : (
+            <Button mode="outlined" onPress={createFeedLink} loading={feedUpdating} disabled={feedUpdating}>
+              Create Link
+            </Button>
+          )}
+        </View>
+      </View>
+    );
+  };
+
   /**
    * Render a member layer row
    * @param {MemberLayer} layer
@@ -562,6 +722,9 @@ export default function CalendarLayersModal({
                     <Text style={styles.importButtonText}>Import Calendar</Text>
                   </TouchableOpacity>
                 </View>
+
+                {/* Calendar Feed Section */}
+                {renderCalendarFeed()}
               </ScrollView>
             </>
           )}
@@ -739,6 +902,29 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
   },
+  feedDescription: {
+    fontSize: 13,
+    color: '#666',
+    paddingHorizontal: 4,
+    marginBottom: 8,
+  },
+  feedLinkBox: {
+    padding: 8,
+    marginBottom: 8,
+    borderRadius: 8,
+    backgroundColor: '#f9f6ff',
+  },
+  feedLinkText: {
+    fontSize: 12,
+    color: '#333',
+    marginBottom: 4,
+  },
+  feedActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
   closeButton: {
     marginTop: 16,
     paddingVertical: 12,
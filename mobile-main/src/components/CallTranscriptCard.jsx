@@ -0,0 +1,208 @@
+/**
+ * Call Transcript Card Component
+ *
+ * Shows the timestamped transcript of a phone or video call recording.
+ * Transcripts are created on the server a few minutes after the call ends.
+ *
+ * Tapping a line seeks the recording to it. Segments keep the recording
+ * chunk they came from (chunkIndex, null for single-file recordings) and
+ * their position in that chunk (startMs), so the screen can load the right
+ * chunk before seeking.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, TouchableOpacity } from 'react-native';
+import { Card, Title, Text, ActivityIndicator } from 'react-native-paper';
+import api from '../services/api';
+
+/**
+ * @typedef {Object} TranscriptSegment
+ * @property {number|null} chunkIndex - Recording chunk the segment is in
+ * @property {number} startMs - Start within the chunk
+ * @property {number} endMs - End within the chunk
+ * @property {number} offsetMs - Start from the beginning of the recording
+ * @property {string} text - Spoken text
+ */
+
+/**
+ * @typedef {Object} CallTranscriptCardProps
+ * @property {string} groupId - Group ID
+ * @property {string} callId - Call ID
+ * @property {'phone'|'video'} callType - Type of call
+ * @property {function(TranscriptSegment): void} onSeek - Called when a line is tapped
+ * @property {number|null} [currentChunkIndex] - chunkIndex of the chunk being played
+ * @property {number} [playbackPosition] - Position in the current chunk in ms
+ */
+
+/**
+ * Format a recording offset, e.g. 65000 -> '1:05'
+ * @param {number} ms
+ * @returns {string}
+ */
+const formatOffset = (ms) => {
+  const totalSeconds = Math.floor((ms || 0) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`;
+  }
+  return `${minutes}:${seconds}`;
+};
+
+/**
+ * CallTranscriptCard component
+ * @param {CallTranscriptCardProps} props
+ * @returns {JSX.Element|null}
+ */
+export default function CallTranscriptCard({
+  groupId,
+  callId,
+  callType,
+  onSeek,
+  currentChunkIndex = null,
+  playbackPosition = 0,
+}) {
+  const [transcript, setTranscript] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(false);
+
+  useEffect(() => {
+    if (groupId && callId) {
+      loadTranscript();
+    }
+  }, [groupId, callId]);
+
+  /**
+   * Fetch the transcript
+   */
+  const loadTranscript = async () => {
+    try {
+      setLoading(true);
+      setError(false);
+      const response = await api.get(`/groups/${groupId}/${callType}-calls/${callId}/transcript`);
+      setTranscript(response.data.transcript);
+    } catch (err) {
+      console.error('[CallTranscriptCard] Load transcript error:', err);
+      setError(true);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Whether a segment is being played
+   * @param {TranscriptSegment} segment
+   * @returns {boolean}
+   */
+  const isActive = (segment) =>
+    (segment.chunkIndex ?? null) === (currentChunkIndex ?? null) &&
+    playbackPosition >= segment.startMs &&
+    playbackPosition < segment.endMs;
+
+  const renderBody = () => {
+    if (loading) {
+      return <ActivityIndicator size="small" style={styles.loading} />;
+    }
+
+    if (error) {
+      return <Text style={styles.statusText}>Could not load the transcript</Text>;
+    }
+
+    if (!transcript || transcript.status === 'pending') {
+      return (
+        <Text style={styles.statusText}>
+          The transcript will be available once the recording has been processed.
+        </Text>
+      );
+    }
+
+    if (transcript.status === 'failed') {
+      return <Text style={styles.statusText}>This recording could not be transcribed.</Text>;
+    }
+
+    if (transcript.segments.length === 0) {
+      return <Text style={styles.statusText}>No speech was detected in this recording.</Text>;
+    }
+
+    return transcript.segments.map((segment, index) => {
+      const active = isActive(segment);
+      return (
+        <TouchableOpacity
+          key={`${segment.chunkIndex}-${segment.startMs}-${index}`}
+          testID="transcript-segment"
+          style={[styles.segment, active && styles.segmentActive]}
+          onPress={() => onSeek(segment)}
+        >
+          <Text style={[styles.segmentTime, active && styles.segmentTextActive]}>
+            {formatOffset(segment.offsetMs)}
+          </Text>
+          <Text style={[styles.segmentText, active && styles.segmentTextActive]}>
+            {segment.text}
+          </Text>
+        </TouchableOpacity>
+      );
+    });
+  };
+
+  return (
+    <Card style={styles.card}>
+      <Card.Content>
+        <Title style={styles.title}>Transcript</Title>
+        {transcript?.status === 'ready' && transcript.segments.length > 0 && (
+          <Text style={styles.hint}>Tap a line to play the recording from there</Text>
+        )}
+        <View>{renderBody()}</View>
+      </Card.Content>
+    </Card>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    margin: 16,
+    marginBottom: 8,
+    elevation: 2,
+  },
+  title: {
+    fontSize: 18,
+    marginBottom: 4,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#888',
+    marginBottom: 8,
+  },
+  loading: {
+    marginVertical: 12,
+  },
+  statusText: {
+    fontSize: 14,
+    color: '#666',
+    fontStyle: 'italic',
+    marginVertical: 8,
+  },
+  segment: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+  },
+  segmentActive: {
+    backgroundColor: '#e3f2fd',
+  },
+  segmentTime: {
+    width: 56,
+    fontSize: 13,
+    color: '#1976d2',
+    fontVariant: ['tabular-nums'],
+  },
+  segmentText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+  },
+  segmentTextActive: {
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,117 @@
+/**
+ * CallTranscriptCard Component Tests
+ *
+ * Tests for the call transcript card including:
+ * - Loading the transcript for phone and video calls
+ * - Pending, failed and empty transcripts
+ * - Tapping a line to seek the recording
+ */
+
+import React from 'react';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import CallTranscriptCard from '../CallTranscriptCard';
+import api from '../../services/api';
+
+describe('CallTranscriptCard', () => {
+  const mockOnSeek = jest.fn();
+
+  const mockSegments = [
+    { chunkIndex: 0, startMs: 0, endMs: 4000, offsetMs: 0, text: 'Hi, can you hear me?' },
+    { chunkIndex: 1, startMs: 2000, endMs: 6000, offsetMs: 65000, text: 'About the pickup on Friday' },
+  ];
+
+  const mockTranscript = (overrides = {}) => ({
+    data: {
+      success: true,
+      transcript: {
+        transcriptId: 'transcript-1',
+        status: 'ready',
+        language: 'en',
+        model: 'base',
+        segments: mockSegments,
+        ...overrides,
+      },
+    },
+  });
+
+  const renderCard = (props = {}) =>
+    render(
+      <CallTranscriptCard
+        groupId="test-group-id"
+        callId="test-call-id"
+        callType="phone"
+        onSeek={mockOnSeek}
+        {...props}
+      />
+    );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    api.get.mockResolvedValue(mockTranscript());
+  });
+
+  it('should load the transcript for the call type', async () => {
+    renderCard({ callType: 'video' });
+
+    await waitFor(() => {
+      expect(api.get).toHaveBeenCalledWith('/groups/test-group-id/video-calls/test-call-id/transcript');
+    });
+  });
+
+  it('should show each line with its time in the recording', async () => {
+    const { getByText } = renderCard();
+
+    await waitFor(() => {
+      expect(getByText('Hi, can you hear me?')).toBeTruthy();
+    });
+    expect(getByText('0:00')).toBeTruthy();
+    expect(getByText('1:05')).toBeTruthy();
+  });
+
+  it('should seek to a line when it is tapped', async () => {
+    const { getByText } = renderCard();
+
+    await waitFor(() => {
+      expect(getByText('About the pickup on Friday')).toBeTruthy();
+    });
+    fireEvent.press(getByText('About the pickup on Friday'));
+
+    expect(mockOnSeek).toHaveBeenCalledWith(mockSegments[1]);
+  });
+
+  it('should explain when the transcript is not ready yet', async () => {
+    api.get.mockResolvedValue({ data: { success: true, transcript: null } });
+    const { getByText } = renderCard();
+
+    await waitFor(() => {
+      expect(getByText(/will be available once the recording has been processed/)).toBeTruthy();
+    });
+  });
+
+  it('should explain when transcription failed', async () => {
+    api.get.mockResolvedValue(mockTranscript({ status: 'failed', segments: [] }));
+    const { getByText } = renderCard();
+
+    await waitFor(() => {
+      expect(getByText('This recording could not be transcribed.')).toBeTruthy();
+    });
+  });
+
+  it('should explain when no speech was detected', async () => {
+    api.get.mockResolvedValue(mockTranscript({ segments: [] }));
+    const { getByText } = renderCard();
+
+    await waitFor(() => {
+      expect(getByText('No speech was detected in this recording.')).toBeTruthy();
+    });
+  });
+
+  it('should show an error when the transcript cannot be loaded', async () => {
+    api.get.mockRejectedValue(new Error('Network error'));
+    const { getByText } = renderCard();
+
+    await waitFor(() => {
+      expect(getByText('Could not load the transcript')).toBeTruthy();
+    });
+  });
+});
@@ -3,11 +3,17 @@
  *
  * Manages WebRTC peer connections for video calls.
  * Supports both web (native WebRTC API) and mobile (react-native-webrtc).
+ *
+ * Calls use one of two topologies, chosen by the server when the call starts:
+ * - mesh: the initiator connects to each participant, and everyone to the recorder
+ * - sfu: everyone has a single connection to the SFU, which forwards every
+ *   participant's tracks; its offers map each track (by mid) to its sender
  */
 
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { Platform } from 'react-native';
 import api from '../services/api';
+import realtimeService from '../services/realtime.service';
 
 // Import WebRTC classes - on mobile, use react-native-webrtc
 let RTCPeerConnectionClass;
@@ -37,6 +43,9 @@ if (Platform.OS === 'web') {
   }
 }
 
+// Peer ID of the SFU in sfu-topology calls
+const SFU_PEER_ID = 'sfu';
+
 /**
  * @typedef {Object} PeerConnection
  * @property {string} peerId - The peer's group member ID
@@ -75,6 +84,7 @@ export function useWebRTC({ groupId, callId, isActive, isInitiator, audioOnly =
   const [connectionStates, setConnectionStates] = useState({}); // { peerId: state }
   const [cameraFacing, setCameraFacing] = useState('front'); // 'front' or 'back'
   const [recordingStatus, setRecordingStatus] = useState([]); // Recording status messages from server
+  const [realtimeConnected, setRealtimeConnected] = useState(realtimeService.isConnected());
 
   // Recording chunk tracking - parsed from status messages
   const [recordingChunks, setRecordingChunks] = useState({
@@ -86,7 +96,12 @@ export function useWebRTC({ groupId, callId, isActive, isInitiator, audioOnly =
   const peerConnectionsRef = useRef({}); // { peerId: RTCPeerConnection }
   const iceServersRef = useRef([]);
   const pollingRef = useRef(null);
+  const pollSignalsRef = useRef(null); // Latest pollSignals for realtime handlers
+  const handledSignalIdsRef = useRef(new Set()); // Signals arrive pushed and polled until acked
   const localStreamRef = useRef(null); // Ref to track localStream for cleanup
+  const sfuTrackMapRef = useRef({}); // { mid: peerId } from the SFU's latest offer
+  const sfuTracksRef = useRef({}); // { mid: MediaStreamTrack } received from the SFU
+  const sfuStreamsRef = useRef({}); // { peerId: { stream, trackIds } } built from the SFU's tracks
   // WebRTC is supported if we have the necessary classes (either native web or react-native-webrtc)
   const isWebRTCSupported = RTCPeerConnectionClass !== null && mediaDevicesAPI !== null;
 
@@ -95,6 +110,36 @@ export function useWebRTC({ groupId, callId, isActive, isInitiator, audioOnly =
     ? `/groups/${groupId}/phone-calls/${callId}`
     : `/groups/${groupId}/video-calls/${callId}`;
 
+  /**
+   * Group the tracks received from the SFU into one stream per participant
+   * Streams are reused while their tracks don't change, so views don't reload.
+   */
+  const updateSfuStreams = useCallback(() => {
+    const tracksByPeer = {};
+    for (const [mid, peerId] of Object.entries(sfuTrackMapRef.current)) {
+      const track = sfuTracksRef.current[mid];
+      if (track) {
+        tracksByPeer[peerId] = [...(tracksByPeer[peerId] || []), track];
+      }
+    }
+
+    const streams = {};
+    for (const [peerId, tracks] of Object.entries(tracksByPeer)) {
+      const trackIds = tracks.map(track => track.id).sort().join(',');
+      const previous = sfuStreamsRef.current[peerId];
+      streams[peerId] = previous?.trackIds === trackIds
+        ? previous
+        : { stream: new MediaStreamClass(tracks), trackIds };
+    }
+    sfuStreamsRef.current = streams;
+
+    const remote = {};
+    for (const [peerId, { stream }] of Object.entries(streams)) {
+      remote[peerId] = stream;
+    }
+    setRemoteStreams(remote);
+  }, []);
+
   /**
    * Create a new peer connection
    */
@@ -119,6 +164,16 @@ export function useWebRTC({ groupId, callId, isActive, isInitiator, audioOnly =
         return;
       }
 
+      // Every participant's tracks arrive on the SFU connection
+      if (peerId === SFU_PEER_ID) {
+        const mid = event.transceiver?.mid;
+        if (mid) {
+          sfuTracksRef.current[mid] = event.track;
+          updateSfuStreams();
+        }
+        return;
+      }
+
       const stream = event.streams[0];
       setRemoteStreams(prev => ({
         ...prev,
@@ -155,11 +210,20 @@ export function useWebRTC({ groupId, callId, isActive, isInitiator, audioOnly =
         ...prev,
         [peerId]: pc.connectionState,
       }));
+
+      // Everyone is reached through the SFU, so reconnect to it
+      if (peerId === SFU_PEER_ID && pc.connectionState === 'failed' && peerConnectionsRef.current[peerId] === pc) {
+        pc.close();
+        delete peerConnectionsRef.current[peerId];
+        sfuTracksRef.current = {};
+        updateSfuStreams();
+        pollSignalsRef.current?.();
+      }
     };
 
     peerConnectionsRef.current[peerId] = pc;
     return pc;
-  }, [groupId, callId, localStream, isWebRTCSupported]);
+  }, [groupId, callId, localStream, isWebRTCSupported, updateSfuStreams]);
 
   /**
    * Create and send an offer
@@ -202,10 +266,24 @@ export function useWebRTC({ groupId, callId, isActive, isInitiator, audioOnly =
     }
 
     try {
-      await pc.setRemoteDescription(new RTCSessionDescriptionClass(offer));
+      // The SFU's offers say whose tracks are whose; tracks it no longer sends are dropped
+      if (peerId === SFU_PEER_ID) {
+        sfuTrackMapRef.current = offer.tracks || {};
+        for (const mid of Object.keys(sfuTracksRef.current)) {
+          if (!sfuTrackMapRef.current[mid]) {
+            delete sfuTracksRef.current[mid];
+          }
+        }
+      }
+
+      await pc.setRemoteDescription(new RTCSessionDescriptionClass({ type: offer.type, sdp: offer.sdp }));
       const answer = await pc.createAnswer();
       await pc.setLocalDescription(answer);
 
+      if (peerId === SFU_PEER_ID) {
+        updateSfuStreams();
+      }
+
       await api.post(`${apiBasePath}/signal`, {
         type: 'answer',
         data: answer,
@@ -215,7 +293,7 @@ export function useWebRTC({ groupId, callId, isActive, isInitiator, audioOnly =
       console.error('[WebRTC] Answer error:', err.message);
       setError('Failed to handle offer');
     }
-  }, [groupId, callId, createPeerConnection, isWebRTCSupported]);
+  }, [groupId, callId, createPeerConnection, updateSfuStreams, isWebRTCSupported]);
 
   /**
    * Handle incoming answer
@@ -255,10 +333,15 @@ export function useWebRTC({ groupId, callId, isActive, isInitiator, audioOnly =
   }, [isWebRTCSupported]);
 
   /**
-   * Process incoming signals
+   * Process incoming signals, skipping any already handled
    */
   const processSignals = useCallback(async (signals) => {
     for (const signal of signals) {
+      if (signal.signalId) {
+        if (handledSignalIdsRef.current.has(signal.signalId)) continue;
+        handledSignalIdsRef.current.add(signal.signalId);
+      }
+
       switch (signal.type) {
         case 'offer':
           await handleOffer(signal.from, signal.data);
@@ -275,6 +358,46 @@ export function useWebRTC({ groupId, callId, isActive, isInitiator, audioOnly =
     }
   }, [handleOffer, handleAnswer, handleIceCandidate]);
 
+  /**
+   * Handle recording status messages from server
+   * Arrives either with polled signals or pushed over the realtime channel
+   */
+  const handleRecordingStatus = useCallback((newStatus) => {
+    if (!newStatus || newStatus.length === 0) return;
+
+    newStatus.forEach(msg => {
+      console.log(`[Recording] ${msg}`);
+
+      // Parse messages to track chunk progress
+      // "Recording X STARTED" - indicates there will be X chunks
+      const startedMatch = msg.match(/Recording (\d+) STARTED/);
+      if (startedMatch) {
+        const chunkNum = parseInt(startedMatch[1], 10);
+        setRecordingChunks(prev => ({
+          ...prev,
+          totalExpected: Math.max(prev.totalExpected, chunkNum),
+        }));
+      }
+
+      // "Recording X uploading to S3..." - upload in progress
+      const uploadingMatch = msg.match(/Recording \d+ uploading to S3/);
+      if (uploadingMatch) {
+        setRecordingChunks(prev => ({ ...prev, uploading: true }));
+      }
+
+      // "Recording X UPLOADED to S3 ✓" - upload complete
+      const uploadedMatch = msg.match(/Recording (\d+) UPLOADED to S3/);
+      if (uploadedMatch) {
+        setRecordingChunks(prev => ({
+          ...prev,
+          uploaded: prev.uploaded + 1,
+          uploading: false,
+        }));
+      }
+    });
+    setRecordingStatus(prev => [...prev, ...newStatus].slice(-20)); // Keep last 20 messages
+  }, []);
+
   /**
    * Poll for signals
    */
@@ -283,52 +406,28 @@ export function useWebRTC({ groupId, callId, isActive, isInitiator, audioOnly =
 
     try {
       const response = await api.get(`${apiBasePath}/signal`);
-      const { signals, peers, myPeerId: receivedPeerId, recordingStatus: newStatus } = response.data;
+      const { signals, peers, topology, myPeerId: receivedPeerId, recordingStatus: newStatus } = response.data;
 
       if (receivedPeerId && !myPeerId) {
         setMyPeerId(receivedPeerId);
       }
 
       // Handle recording status messages from server
-      if (newStatus && newStatus.length > 0) {
-        newStatus.forEach(msg => {
-          console.log(`[Recording] ${msg}`);
-
-          // Parse messages to track chunk progress
-          // "Recording X STARTED" - indicates there will be X chunks
-          const startedMatch = msg.match(/Recording (\d+) STARTED/);
-          if (startedMatch) {
-            const chunkNum = parseInt(startedMatch[1], 10);
-            setRecordingChunks(prev => ({
-              ...prev,
-              totalExpected: Math.max(prev.totalExpected, chunkNum),
-            }));
-          }
-
-          // "Recording X uploading to S3..." - upload in progress
-          const uploadingMatch = msg.match(/Recording \d+ uploading to S3/);
-          if (uploadingMatch) {
-            setRecordingChunks(prev => ({ ...prev, uploading: true }));
-          }
-
-          // "Recording X UPLOADED to S3 ✓" - upload complete
-          const uploadedMatch = msg.match(/Recording (\d+) UPLOADED to S3/);
-          if (uploadedMatch) {
-            setRecordingChunks(prev => ({
-              ...prev,
-              uploaded: prev.uploaded + 1,
-              uploading: false,
-            }));
-          }
-        });
-        setRecordingStatus(prev => [...prev, ...newStatus].slice(-20)); // Keep last 20 messages
-      }
+      handleRecordingStatus(newStatus);
 
       // Process any incoming signals
       if (signals && signals.length > 0) {
         await processSignals(signals);
       }
 
+      // Through the SFU, everyone (initiator or not) makes one connection to it
+      if (topology === 'sfu') {
+        if (!peerConnectionsRef.current[SFU_PEER_ID]) {
+          await createOffer(SFU_PEER_ID);
+        }
+        return;
+      }
+
       // If we're the initiator and there are new peers, send offers
       if (isInitiator && peers) {
         for (const peer of peers) {
@@ -350,7 +449,9 @@ export function useWebRTC({ groupId, callId, isActive, isInitiator, audioOnly =
     } catch (err) {
       console.error('[WebRTC] Signal poll error:', err.message);
     }
-  }, [groupId, callId, isActive, isInitiator, myPeerId, processSignals, createOffer, isWebRTCSupported]);
+  }, [groupId, callId, isActive, isInitiator, myPeerId, processSignals, createOffer, handleRecordingStatus, isWebRTCSupported]);
+
+  pollSignalsRef.current = pollSignals;
 
   /**
    * Initialize local stream
@@ -437,8 +538,9 @@ export function useWebRTC({ groupId, callId, isActive, isInitiator, audioOnly =
       // Initialize local stream
       await initializeLocalStream();
 
-      // Start polling for signals
-      pollingRef.current = setInterval(pollSignals, 1000);
+      // Initial sync of peers and pending signals - after this, updates are
+      // pushed over the realtime channel (or polled while it is down)
+      await pollSignals();
 
       setIsConnecting(false);
     } catch (err) {
@@ -463,6 +565,10 @@ export function useWebRTC({ groupId, callId, isActive, isInitiator, audioOnly =
       pc.close();
     }
     peerConnectionsRef.current = {};
+    sfuTrackMapRef.current = {};
+    sfuTracksRef.current = {};
+    handledSignalIdsRef.current = new Set();
+    sfuStreamsRef.current = {};
 
     // Stop local stream - use ref to ensure we always have access to current stream
     const stream = localStreamRef.current;
@@ -561,9 +667,51 @@ export function useWebRTC({ groupId, callId, isActive, isInitiator, audioOnly =
     };
   }, [isActive, isWebRTCSupported]);
 
-  // Poll signals while active
+  // Receive signals, peer changes and recording status over the realtime channel while active
+  useEffect(() => {
+    if (!isActive || !isWebRTCSupported) return undefined;
+
+    const unsubscribeConnection = realtimeService.onConnectionChange((connected) => {
+      setRealtimeConnected(connected);
+      // Catch up on anything missed while disconnected
+      if (connected) {
+        pollSignalsRef.current?.();
+      }
+    });
+    const unsubscribe = realtimeService.subscribe(
+      { channel: 'call', callType, groupId, callId },
+      (event, data) => {
+        switch (event) {
+          case 'call_signal':
+            // Ack once handled, so the server stops offering it to polling
+            processSignals([data])
+              .then(() => realtimeService.acknowledgeSignals([data.signalId]))
+              .catch(err => {
+                console.error('[WebRTC] Signal handling error:', err.message);
+              });
+            break;
+          case 'call_peers_changed':
+            // Peer list drives offers (initiator → new peers, everyone → recorder or the SFU)
+            pollSignalsRef.current?.();
+            break;
+          case 'recording_status':
+            handleRecordingStatus([data.message]);
+            break;
+          default:
+            break;
+        }
+      }
+    );
+
+    return () => {
+      unsubscribeConnection();
+      unsubscribe();
+    };
+  }, [isActive, callType, groupId, callId, processSignals, handleRecordingStatus, isWebRTCSupported]);
+
+  // Poll signals while active and the realtime channel is down
   useEffect(() => {
-    if (isActive && localStream && !pollingRef.current && isWebRTCSupported) {
+    if (isActive && localStream && !realtimeConnected && !pollingRef.current && isWebRTCSupported) {
       pollingRef.current = setInterval(pollSignals, 1000);
     }
 
@@ -573,7 +721,7 @@ export function useWebRTC({ groupId, callId, isActive, isInitiator, audioOnly =
         pollingRef.current = null;
       }
     };
-  }, [isActive, localStream, pollSignals, isWebRTCSupported]);
+  }, [isActive, localStream, realtimeConnected, pollSignals, isWebRTCSupported]);
 
   return {
     // State
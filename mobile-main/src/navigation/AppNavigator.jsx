@@ -23,6 +23,7 @@ import AddEditPersonalItemRegistryItemScreen from '../screens/account/AddEditPer
 import GroupsListScreen from '../screens/groups/GroupsListScreen';
 import CreateGroupScreen from '../screens/groups/CreateGroupScreen';
 import GroupDashboardScreen from '../screens/groups/GroupDashboardScreen';
+import SearchScreen from '../screens/groups/SearchScreen';
 import GroupSettingsScreen from '../screens/groups/GroupSettingsScreen';
 import InviteMemberScreen from '../screens/groups/InviteMemberScreen';
 import InvitesScreen from '../screens/groups/InvitesScreen';
@@ -32,14 +33,22 @@ import MessagesScreen from '../screens/groups/MessagesScreen';
 import MessageGroupSettingsScreen from '../screens/groups/MessageGroupSettingsScreen';
 import ApprovalsListScreen from '../screens/groups/ApprovalsListScreen';
 import AutoApproveSettingsScreen from '../screens/groups/AutoApproveSettingsScreen';
+import FamilyTreeScreen from '../screens/groups/FamilyTreeScreen';
 import CalendarScreen from '../screens/calendar/CalendarScreen';
 import CreateEventScreen from '../screens/calendar/CreateEventScreen';
 import CreateChildEventScreen from '../screens/calendar/CreateChildEventScreen';
+import CustodyScheduleScreen from '../screens/calendar/CustodyScheduleScreen';
+import ParentingTimeScreen from '../screens/calendar/ParentingTimeScreen';
+import SwapRequestScreen from '../screens/calendar/SwapRequestScreen';
+import SwapRequestsScreen from '../screens/calendar/SwapRequestsScreen';
 import EditEventScreen from '../screens/calendar/EditEventScreen';
 import EditChildEventScreen from '../screens/calendar/EditChildEventScreen';
 import FinanceListScreen from '../screens/groups/FinanceListScreen';
 import CreateFinanceMatterScreen from '../screens/finance/CreateFinanceMatterScreen';
 import FinanceMatterDetailsScreen from '../screens/finance/FinanceMatterDetailsScreen';
+import SettleUpScreen from '../screens/finance/SettleUpScreen';
+import RecurringFinanceScreen from '../screens/finance/RecurringFinanceScreen';
+import FinanceStatementScreen from '../screens/finance/FinanceStatementScreen';
 import GiftRegistryListScreen from '../screens/groups/GiftRegistryListScreen';
 import GiftRegistryDetailScreen from '../screens/groups/GiftRegistryDetailScreen';
 import AddEditRegistryScreen from '../screens/groups/AddEditRegistryScreen';
@@ -115,6 +124,7 @@ export default function AppNavigator({ isAuthenticated, onLoginSuccess, onLogout
             <Stack.Screen name="CreateGroup" component={CreateGroupScreen} />
             <Stack.Screen name="GroupDashboard" component={GroupDashboardScreen} />
             <Stack.Screen name="GroupSettings" component={GroupSettingsScreen} />
+            <Stack.Screen name="GroupSearch" component={SearchScreen} />
             <Stack.Screen name="InviteMember" component={InviteMemberScreen} />
             <Stack.Screen name="MessageGroupsList" component={MessageGroupsListScreen} />
             <Stack.Screen name="CreateMessageGroup" component={CreateMessageGroupScreen} />
@@ -124,11 +134,16 @@ export default function AppNavigator({ isAuthenticated, onLoginSuccess, onLogout
             {/* Approvals */}
             <Stack.Screen name="ApprovalsList" component={ApprovalsListScreen} />
             <Stack.Screen name="AutoApproveSettings" component={AutoApproveSettingsScreen} />
+            <Stack.Screen name="FamilyTree" component={FamilyTreeScreen} />
 
             {/* Calendar */}
             <Stack.Screen name="Calendar" component={CalendarScreen} />
             <Stack.Screen name="CreateEvent" component={CreateEventScreen} />
             <Stack.Screen name="CreateChildEvent" component={CreateChildEventScreen} />
+            <Stack.Screen name="CustodySchedule" component={CustodyScheduleScreen} />
+            <Stack.Screen name="ParentingTime" component={ParentingTimeScreen} />
+            <Stack.Screen name="SwapRequest" component={SwapRequestScreen} />
+            <Stack.Screen name="SwapRequests" component={SwapRequestsScreen} />
             <Stack.Screen name="EditEvent" component={EditEventScreen} />
             <Stack.Screen name="EditChildEvent" component={EditChildEventScreen} />
 
@@ -136,6 +151,9 @@ export default function AppNavigator({ isAuthenticated, onLoginSuccess, onLogout
             <Stack.Screen name="Finance" component={FinanceListScreen} />
             <Stack.Screen name="CreateFinanceMatter" component={CreateFinanceMatterScreen} />
             <Stack.Screen name="FinanceMatterDetails" component={FinanceMatterDetailsScreen} />
+            <Stack.Screen name="SettleUp" component={SettleUpScreen} />
+            <Stack.Screen name="RecurringFinance" component={RecurringFinanceScreen} />
+            <Stack.Screen name="FinanceStatement" component={FinanceStatementScreen} />
 
             {/* Gift Registry */}
             <Stack.Screen name="GiftRegistryList" component={GiftRegistryListScreen} />
@@ -77,6 +77,16 @@ function getSizes() {
   return { width, height, cellW, headerCellW, padL, padT, gridW, gridH };
 }
 
+// Navigation param identifying which occurrence of a recurring event was opened
+function getOccurrenceParam(event) {
+  if (!event.recurrenceId) return undefined;
+  return {
+    recurrenceId: new Date(event.recurrenceId).toISOString(),
+    startTime: new Date(event.startTime).toISOString(),
+    endTime: new Date(event.endTime).toISOString(),
+  };
+}
+
 // Convert target hour (0-23) and day offset to scroll floats
 function getXYFloatForProbeTarget(targetHour, targetDay) {
   const { cellW, padL, padT, gridW, gridH } = getSizes();
@@ -746,7 +756,8 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
             onLongPress={() => {
               navigation.navigate('EditEvent', {
                 groupId: groupId,
-                eventId: event.eventId,
+                eventId: event.seriesEventId || event.eventId,
+                occurrence: getOccurrenceParam(event),
               });
             }}
             delayLongPress={300}
@@ -786,6 +797,8 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
           allResponsibilityLines.push({
             responsibilityEventId: re.responsibilityEventId,
             eventId: event.eventId,
+            seriesEventId: event.seriesEventId,
+            recurrenceId: event.recurrenceId,
             title: event.title,
             startTime: event.startTime,
             endTime: event.endTime,
@@ -962,7 +975,8 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
             onLongPress={() => {
               navigation.navigate('EditChildEvent', {
                 groupId: groupId,
-                eventId: line.eventId,
+                eventId: line.seriesEventId || line.eventId,
+                occurrence: getOccurrenceParam(line),
               });
             }}
             delayLongPress={300}
@@ -1224,7 +1238,23 @@ export default function CalendarScreen({ navigation, route }) {
       const response = await API.get(`/groups/${groupId}/calendar/events`);
 
       if (response.data.success) {
-        setEvents(response.data.events || []);
+        // Recurring events arrive expanded into occurrences that share the
+        // series eventId. Give each occurrence its own IDs so layout maps and
+        // list keys stay unique, and keep the series ID for editing.
+        const expandedEvents = (response.data.events || []).map(event => (
+          event.isOccurrence
+            ? {
+              ...event,
+              eventId: event.occurrenceId,
+              seriesEventId: event.eventId,
+              responsibilityEvents: event.responsibilityEvents?.map(re => ({
+                ...re,
+                responsibilityEventId: `${re.responsibilityEventId}_${event.occurrenceId}`,
+              })),
+            }
+            : event
+        ));
+        setEvents(expandedEvents);
       }
     } catch (error) {
       console.error('Error fetching events:', error);
@@ -1388,7 +1418,7 @@ export default function CalendarScreen({ navigation, route }) {
       .filter(isImportedEventVisible)
       .map(importedEvent => ({
         // Map imported event to match regular event structure
-        eventId: `imported-${importedEvent.eventId}`,
+        eventId: `imported-${importedEvent.occurrenceId || importedEvent.eventId}`,
         title: importedEvent.title,
         description: importedEvent.description,
         location: importedEvent.location,
@@ -2059,6 +2089,14 @@ export default function CalendarScreen({ navigation, route }) {
           </TouchableOpacity>
         }
         rightButtons={[
+          {
+            icon: 'swap-horizontal',
+            onPress: () => navigation.navigate('SwapRequests', { groupId }),
+          },
+          {
+            icon: 'chart-pie',
+            onPress: () => navigation.navigate('ParentingTime', { groupId }),
+          },
           {
             icon: 'ear-hearing',
             onPress: () => setShowLayersModal(true),
@@ -2158,6 +2196,29 @@ export default function CalendarScreen({ navigation, route }) {
                 </Text>
               </View>
             </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.eventTypeButton}
+              onPress={() => {
+                setShowEventTypeModal(false);
+                // Calculate masterDateTime from probe position
+                const baseDate = new Date(2023, 9, 31); // Oct 31, 2023
+                const masterDateTime = new Date(baseDate);
+                masterDateTime.setDate(baseDate.getDate() + probeDay);
+                masterDateTime.setHours(probeHour24, 0, 0, 0);
+                navigation.navigate('CustodySchedule', {
+                  groupId,
+                  defaultStartDate: masterDateTime.toISOString()
+                });
+              }}
+            >
+              <Text style={styles.eventTypeIcon}>📆</Text>
+              <View style={styles.eventTypeTextContainer}>
+                <Text style={styles.eventTypeTitle}>Custody Schedule</Text>
+                <Text style={styles.eventTypeDescription}>
+                  A repeating pattern like 2-2-3 or week on/week off
+                </Text>
+              </View>
+            </TouchableOpacity>
             <TouchableOpacity
               style={[styles.cancelButton, { marginTop: 20 }]}
               onPress={() => setShowEventTypeModal(false)}
@@ -2218,12 +2279,14 @@ export default function CalendarScreen({ navigation, route }) {
                         if (isChildEvent) {
                           navigation.navigate('EditChildEvent', {
                             groupId: groupId,
-                            eventId: event.eventId,
+                            eventId: event.seriesEventId || event.eventId,
+                            occurrence: getOccurrenceParam(event),
                           });
                         } else {
                           navigation.navigate('EditEvent', {
                             groupId: groupId,
-                            eventId: event.eventId,
+                            eventId: event.seriesEventId || event.eventId,
+                            occurrence: getOccurrenceParam(event),
                           });
                         }
                       }}
@@ -12,6 +12,7 @@ import { CustomAlert } from '../../components/CustomAlert';
 import DateTimeSelector, { formatDateByType } from '../../components/DateTimeSelector';
 import API from '../../services/api';
 import CustomNavigationHeader from '../../components/CustomNavigationHeader';
+import { getDeviceTimeZone } from '../../utils/timeZone';
 
 export default function CreateChildEventScreen({ navigation, route }) {
   const { groupId, defaultStartDate } = route.params;
@@ -175,11 +176,16 @@ export default function CreateChildEventScreen({ navigation, route }) {
         isRecurring,
         recurrenceRule,
         recurrenceEndDate: recurrenceEndDate ? recurrenceEndDate.toISOString() : null,
+        timeZone: getDeviceTimeZone(),
         responsibilityEvents,
         notificationMinutes,
       });
 
-      if (response.data.success) {
+      if (response.data.requiresApproval) {
+        CustomAlert.alert('Approval Required', 'The event will be added once enough admins approve it', [
+          { text: 'OK', onPress: () => navigation.goBack() },
+        ]);
+      } else if (response.data.success) {
         CustomAlert.alert('Success', 'Child responsibility event created', [
           { text: 'OK', onPress: () => navigation.goBack() },
         ]);
@@ -11,6 +11,7 @@ import API from '../../services/api';
 import CustomNavigationHeader from '../../components/CustomNavigationHeader';
 import DateTimeSelector, { formatDateByType } from '../../components/DateTimeSelector';
 import UserAvatar from '../../components/shared/UserAvatar';
+import { getDeviceTimeZone } from '../../utils/timeZone';
 
 /**
  * CreateEventScreen component
@@ -187,11 +188,19 @@ export default function CreateEventScreen({ navigation, route }) {
         allDay: false,
         isRecurring: isRecurring,
         recurrenceRule: recurrenceRule,
+        timeZone: getDeviceTimeZone(),
         attendeeIds: selectedMemberIds, // Array of groupMemberIds
         notificationMinutes: notificationMinutes, // Minutes before event to send notification
       });
 
-      if (response.data.success) {
+      if (response.data.requiresApproval) {
+        CustomAlert.alert('Approval Required', 'The event will be added once enough admins approve it', [
+          {
+            text: 'OK',
+            onPress: () => navigation.goBack(),
+          },
+        ]);
+      } else if (response.data.success) {
         CustomAlert.alert('Success', 'Event created successfully', [
           {
             text: 'OK',
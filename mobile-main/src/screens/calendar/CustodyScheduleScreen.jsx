@@ -0,0 +1,619 @@
+/**
+ * Custody Schedule Screen
+ *
+ * Builds child responsibility events from a named custody pattern (2-2-3,
+ * week on/week off, alternating weekends, ...) with holiday overrides on top.
+ * The resulting timeline is previewed before anything is created, and must be
+ * previewed again after every change.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, ScrollView, StyleSheet, ActivityIndicator } from 'react-native';
+import { CustomAlert } from '../../components/CustomAlert';
+import DateTimeSelector, { formatDateByType } from '../../components/DateTimeSelector';
+import API from '../../services/api';
+import CustomNavigationHeader from '../../components/CustomNavigationHeader';
+import { getDeviceTimeZone } from '../../utils/timeZone';
+
+const ADULT_ROLES = ['admin', 'parent', 'adult', 'caregiver'];
+
+const SOURCE_LABELS = {
+  schedule: null,
+  holiday: 'Holiday',
+  existing: 'Existing event',
+};
+
+/**
+ * CustodyScheduleScreen component
+ *
+ * @param {Object} props
+ * @param {Object} props.navigation - React Navigation navigation object
+ * @param {Object} props.route - React Navigation route object with groupId and optional defaultStartDate
+ * @returns {JSX.Element}
+ */
+export default function CustodyScheduleScreen({ navigation, route }) {
+  const { groupId, defaultStartDate } = route.params;
+
+  const [patterns, setPatterns] = useState([]);
+  const [children, setChildren] = useState([]);
+  const [adults, setAdults] = useState([]);
+
+  // Schedule
+  const [pattern, setPattern] = useState('week-on-week-off');
+  const [title, setTitle] = useState('');
+  const [startDate, setStartDate] = useState(defaultStartDate ? new Date(defaultStartDate) : new Date());
+  const [endDate, setEndDate] = useState(null);
+  const [selectedChildren, setSelectedChildren] = useState([]);
+  const [firstMemberId, setFirstMemberId] = useState(null);
+  const [secondMemberId, setSecondMemberId] = useState(null);
+
+  // Holiday overrides
+  const [holidays, setHolidays] = useState([]);
+  const [holidayTitle, setHolidayTitle] = useState('');
+  const [holidayStart, setHolidayStart] = useState(new Date());
+  const [holidayEnd, setHolidayEnd] = useState(new Date(Date.now() + 24 * 60 * 60 * 1000));
+  const [holidayMemberId, setHolidayMemberId] = useState(null);
+  const [showHolidayForm, setShowHolidayForm] = useState(false);
+
+  // Which date picker is open: 'start' | 'end' | 'holidayStart' | 'holidayEnd' | null
+  const [activePicker, setActivePicker] = useState(null);
+
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  // Any change makes the preview stale
+  useEffect(() => {
+    setPreview(null);
+  }, [pattern, title, startDate, endDate, selectedChildren, firstMemberId, secondMemberId, holidays]);
+
+  const loadData = async () => {
+    try {
+      const [patternsResponse, groupResponse] = await Promise.all([
+        API.get(`/groups/${groupId}/calendar/custody-patterns`),
+        API.get(`/groups/${groupId}`),
+      ]);
+
+      setPatterns(patternsResponse.data.patterns || []);
+
+      const allMembers = groupResponse.data.group?.members || [];
+      setChildren(allMembers.filter(m => m.role === 'child'));
+      setAdults(allMembers.filter(m => ADULT_ROLES.includes(m.role)));
+    } catch (error) {
+      console.error('Error loading custody schedule data:', error);
+
+      if (error.isAuthError) {
+        return;
+      }
+
+      CustomAlert.alert('Error', error.response?.data?.message || 'Failed to load custody schedule options');
+    }
+  };
+
+  const buildRequest = () => ({
+    pattern,
+    title: title.trim() || undefined,
+    startTime: startDate.toISOString(),
+    endDate: endDate ? endDate.toISOString() : null,
+    childIds: selectedChildren,
+    responsibleMemberIds: [firstMemberId, secondMemberId],
+    holidays: holidays.map(holiday => ({
+      title: holiday.title,
+      startTime: holiday.startTime.toISOString(),
+      endTime: holiday.endTime.toISOString(),
+      responsibleMemberId: holiday.responsibleMemberId,
+    })),
+    timeZone: getDeviceTimeZone(),
+  });
+
+  const validate = () => {
+    if (selectedChildren.length === 0) {
+      CustomAlert.alert('Error', 'Please select at least one child');
+      return false;
+    }
+    if (!firstMemberId || !secondMemberId) {
+      CustomAlert.alert('Error', 'Please select both responsible adults');
+      return false;
+    }
+    if (firstMemberId === secondMemberId) {
+      CustomAlert.alert('Error', 'Please select two different adults');
+      return false;
+    }
+    return true;
+  };
+
+  const handlePreview = async () => {
+    if (!validate()) return;
+
+    try {
+      setLoading(true);
+      const response = await API.post(`/groups/${groupId}/calendar/custody-schedules/preview`, buildRequest());
+      setPreview(response.data.preview);
+    } catch (error) {
+      console.error('Error previewing custody schedule:', error);
+      CustomAlert.alert('Error', error.response?.data?.message || 'Failed to preview schedule');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const createSchedule = async () => {
+    try {
+      setSaving(true);
+      const response = await API.post(`/groups/${groupId}/calendar/custody-schedules`, buildRequest());
+
+      if (response.data.requiresApproval) {
+        CustomAlert.alert('Approval Required', 'The schedule will be added once enough admins approve it', [
+          { text: 'OK', onPress: () => navigation.goBack() },
+        ]);
+      } else if (response.data.success) {
+        CustomAlert.alert('Success', 'Custody schedule created', [
+          { text: 'OK', onPress: () => navigation.goBack() },
+        ]);
+      }
+    } catch (error) {
+      console.error('Error creating custody schedule:', error);
+      CustomAlert.alert('Error', error.response?.data?.message || 'Failed to create schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = () => {
+    const overridden = preview?.overriddenEvents || [];
+    if (overridden.length === 0) {
+      createSchedule();
+      return;
+    }
+
+    CustomAlert.alert(
+      'Override Existing Events?',
+      `This schedule will be layered on top of ${overridden.length} existing responsibility event${overridden.length > 1 ? 's' : ''}:\n\n${overridden.map(e => `• ${e.title}`).join('\n')}`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Create', onPress: createSchedule },
+      ]
+    );
+  };
+
+  const addHoliday = () => {
+    if (!holidayMemberId) {
+      CustomAlert.alert('Error', 'Please select who has the children for this holiday');
+      return;
+    }
+    if (holidayEnd <= holidayStart) {
+      CustomAlert.alert('Error', 'The holiday must end after it starts');
+      return;
+    }
+
+    setHolidays([...holidays, {
+      title: holidayTitle.trim() || 'Holiday',
+      startTime: holidayStart,
+      endTime: holidayEnd,
+      responsibleMemberId: holidayMemberId,
+    }]);
+    setHolidayTitle('');
+    setHolidayMemberId(null);
+    setShowHolidayForm(false);
+  };
+
+  const toggleChild = (childId) => {
+    setSelectedChildren(selectedChildren.includes(childId)
+      ? selectedChildren.filter(id => id !== childId)
+      : [...selectedChildren, childId]);
+  };
+
+  const getMemberName = (memberId) => {
+    const member = [...adults, ...children].find(m => m.groupMemberId === memberId);
+    return member?.displayName || 'Unknown';
+  };
+
+  const handlePickerChange = (date) => {
+    switch (activePicker) {
+      case 'start': setStartDate(date); break;
+      case 'end': setEndDate(date); break;
+      case 'holidayStart': setHolidayStart(date); break;
+      case 'holidayEnd': setHolidayEnd(date); break;
+      default: break;
+    }
+  };
+
+  const pickerValue = {
+    start: startDate,
+    end: endDate || startDate,
+    holidayStart,
+    holidayEnd,
+  }[activePicker] || new Date();
+
+  const renderMemberChoices = (selectedId, onSelect) => (
+    <View style={styles.chipRow}>
+      {adults.map(adult => (
+        <TouchableOpacity
+          key={adult.groupMemberId}
+          style={[styles.chip, selectedId === adult.groupMemberId && styles.chipActive]}
+          onPress={() => onSelect(adult.groupMemberId)}
+        >
+          <Text style={[styles.chipText, selectedId === adult.groupMemberId && styles.chipTextActive]}>
+            {adult.displayName}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const selectedPattern = patterns.find(p => p.key === pattern);
+
+  return (
+    <View style={styles.container}>
+      <CustomNavigationHeader
+        title="Custody Schedule"
+        onBack={() => navigation.goBack()}
+      />
+
+      <ScrollView style={styles.scrollView}>
+        <View style={styles.section}>
+          <Text style={styles.label}>Pattern</Text>
+          <View style={styles.chipRow}>
+            {patterns.map(p => (
+              <TouchableOpacity
+                key={p.key}
+                style={[styles.chip, pattern === p.key && styles.chipActive]}
+                onPress={() => setPattern(p.key)}
+              >
+                <Text style={[styles.chipText, pattern === p.key && styles.chipTextActive]}>{p.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {selectedPattern && (
+            <Text style={styles.hint}>
+              {selectedPattern.description} Repeats every {selectedPattern.cycleDays} days.
+            </Text>
+          )}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.label}>Title (Optional)</Text>
+          <TextInput
+            style={styles.input}
+            value={title}
+            onChangeText={setTitle}
+            placeholder={selectedPattern?.label || 'Custody schedule'}
+          />
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.label}>Children *</Text>
+          <View style={styles.chipRow}>
+            {children.map(child => (
+              <TouchableOpacity
+                key={child.groupMemberId}
+                style={[styles.chip, selectedChildren.includes(child.groupMemberId) && styles.chipActive]}
+                onPress={() => toggleChild(child.groupMemberId)}
+              >
+                <Text style={[styles.chipText, selectedChildren.includes(child.groupMemberId) && styles.chipTextActive]}>
+                  {child.displayName}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {children.length === 0 && <Text style={styles.hint}>This group has no children yet.</Text>}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.label}>First Block *</Text>
+          {renderMemberChoices(firstMemberId, setFirstMemberId)}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.label}>Second Block *</Text>
+          {renderMemberChoices(secondMemberId, setSecondMemberId)}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.label}>First Handover</Text>
+          <TouchableOpacity style={styles.picker} onPress={() => setActivePicker('start')}>
+            <Text style={styles.pickerText}>{formatDateByType(startDate, 1)}</Text>
+          </TouchableOpacity>
+          <Text style={styles.hint}>Every handover happens at this time of day.</Text>
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.label}>Repeat Until (Optional)</Text>
+          <View style={styles.row}>
+            <TouchableOpacity style={[styles.picker, styles.flex]} onPress={() => setActivePicker('end')}>
+              <Text style={styles.pickerText}>{endDate ? formatDateByType(endDate, 3) : 'Forever'}</Text>
+            </TouchableOpacity>
+            {endDate && (
+              <TouchableOpacity style={styles.clearButton} onPress={() => setEndDate(null)}>
+                <Text style={styles.clearButtonText}>Clear</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.label}>Holiday Overrides</Text>
+          {holidays.map((holiday, index) => (
+            <View key={`${holiday.title}-${index}`} style={styles.holidayItem}>
+              <View style={styles.flex}>
+                <Text style={styles.holidayTitle}>{holiday.title} · {getMemberName(holiday.responsibleMemberId)}</Text>
+                <Text style={styles.hint}>
+                  {formatDateByType(holiday.startTime, 1)} → {formatDateByType(holiday.endTime, 1)}
+                </Text>
+              </View>
+              <TouchableOpacity onPress={() => setHolidays(holidays.filter((_, i) => i !== index))}>
+                <Text style={styles.removeText}>Remove</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+
+          {showHolidayForm ? (
+            <View style={styles.holidayForm}>
+              <TextInput
+                style={styles.input}
+                value={holidayTitle}
+                onChangeText={setHolidayTitle}
+                placeholder="e.g., Christmas, Summer Holidays"
+              />
+              <TouchableOpacity style={[styles.picker, styles.spaced]} onPress={() => setActivePicker('holidayStart')}>
+                <Text style={styles.pickerText}>From {formatDateByType(holidayStart, 1)}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={[styles.picker, styles.spaced]} onPress={() => setActivePicker('holidayEnd')}>
+                <Text style={styles.pickerText}>To {formatDateByType(holidayEnd, 1)}</Text>
+              </TouchableOpacity>
+              <Text style={[styles.label, styles.spaced]}>With</Text>
+              {renderMemberChoices(holidayMemberId, setHolidayMemberId)}
+              <View style={[styles.row, styles.spaced]}>
+                <TouchableOpacity style={styles.secondaryButton} onPress={() => setShowHolidayForm(false)}>
+                  <Text style={styles.secondaryButtonText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.secondaryButton} onPress={addHoliday}>
+                  <Text style={styles.secondaryButtonText}>Add Holiday</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          ) : (
+            <TouchableOpacity style={styles.secondaryButton} onPress={() => setShowHolidayForm(true)}>
+              <Text style={styles.secondaryButtonText}>+ Add Holiday</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        <TouchableOpacity style={styles.previewButton} onPress={handlePreview} disabled={loading}>
+          {loading
+            ? <ActivityIndicator color="#6200ee" />
+            : <Text style={styles.previewButtonText}>Preview Timeline</Text>}
+        </TouchableOpacity>
+
+        {preview && (
+          <View style={styles.section}>
+            {preview.timelines.map(timeline => (
+              <View key={timeline.childId} style={styles.timeline}>
+                <Text style={styles.label}>{getMemberName(timeline.childId)}</Text>
+                {timeline.segments.map(segment => (
+                  <View key={`${segment.startTime}-${segment.title}`} style={styles.segment}>
+                    <View style={[styles.segmentColor, { backgroundColor: segment.color || '#6200ee' }]} />
+                    <View style={styles.flex}>
+                      <Text style={styles.segmentName}>
+                        {segment.name}
+                        {SOURCE_LABELS[segment.source] ? ` · ${SOURCE_LABELS[segment.source]}` : ''}
+                      </Text>
+                      <Text style={styles.hint}>
+                        {formatDateByType(new Date(segment.startTime), 1)} → {formatDateByType(new Date(segment.endTime), 1)}
+                      </Text>
+                    </View>
+                  </View>
+                ))}
+              </View>
+            ))}
+            {preview.overriddenEvents.length > 0 && (
+              <Text style={styles.warningText}>
+                Overrides {preview.overriddenEvents.length} existing responsibility event{preview.overriddenEvents.length > 1 ? 's' : ''} where they overlap.
+              </Text>
+            )}
+          </View>
+        )}
+
+        <TouchableOpacity
+          style={[styles.createButton, (!preview || saving) && styles.createButtonDisabled]}
+          onPress={handleCreate}
+          disabled={!preview || saving}
+        >
+          <Text style={styles.createButtonText}>
+            {preview ? 'Create Schedule' : 'Preview to Create'}
+          </Text>
+        </TouchableOpacity>
+      </ScrollView>
+
+      <DateTimeSelector
+        value={pickerValue}
+        onChange={handlePickerChange}
+        format={activePicker === 'end' ? 3 : 1}
+        visible={activePicker !== null}
+        onClose={() => setActivePicker(null)}
+        title={activePicker === 'end' ? 'Repeat Until' : 'Select Time'}
+        minimumDate={activePicker === 'end' ? startDate : undefined}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  scrollView: {
+    flex: 1,
+    padding: 16,
+  },
+  section: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#777',
+    marginTop: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: '#fafafa',
+  },
+  picker: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    backgroundColor: '#fafafa',
+  },
+  pickerText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  flex: {
+    flex: 1,
+  },
+  spaced: {
+    marginTop: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 16,
+  },
+  chipActive: {
+    backgroundColor: '#6200ee',
+    borderColor: '#6200ee',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  chipTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  clearButton: {
+    marginLeft: 8,
+    padding: 12,
+  },
+  clearButtonText: {
+    color: '#6200ee',
+    fontSize: 14,
+  },
+  holidayItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 10,
+    borderWidth: 1,
+    borderColor: '#eee',
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  holidayTitle: {
+    fontSize: 15,
+    color: '#333',
+  },
+  removeText: {
+    color: '#d32f2f',
+    fontSize: 14,
+    marginLeft: 8,
+  },
+  holidayForm: {
+    padding: 12,
+    borderWidth: 1,
+    borderColor: '#eee',
+    borderRadius: 8,
+  },
+  secondaryButton: {
+    padding: 12,
+    borderWidth: 1,
+    borderColor: '#6200ee',
+    borderRadius: 8,
+    alignItems: 'center',
+    minWidth: 120,
+  },
+  secondaryButtonText: {
+    color: '#6200ee',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  previewButton: {
+    padding: 16,
+    borderWidth: 1,
+    borderColor: '#6200ee',
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  previewButtonText: {
+    color: '#6200ee',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  timeline: {
+    marginBottom: 16,
+  },
+  segment: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  segmentColor: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginRight: 10,
+  },
+  segmentName: {
+    fontSize: 15,
+    color: '#333',
+  },
+  warningText: {
+    fontSize: 14,
+    color: '#e65100',
+  },
+  createButton: {
+    backgroundColor: '#6200ee',
+    padding: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 40,
+  },
+  createButtonDisabled: {
+    backgroundColor: '#b39ddb',
+  },
+  createButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -4,6 +4,7 @@ import { CustomAlert } from '../../components/CustomAlert';
 import DateTimeSelector, { formatDateByType } from '../../components/DateTimeSelector';
 import API from '../../services/api';
 import CustomNavigationHeader from '../../components/CustomNavigationHeader';
+import { getDeviceTimeZone } from '../../utils/timeZone';
 
 const RECURRENCE_OPTIONS = [
   { label: 'Daily', value: 'FREQ=DAILY' },
@@ -22,7 +23,7 @@ const PREDEFINED_COLORS = [
 ];
 
 export default function EditChildEventScreen({ route, navigation }) {
-  const { groupId, eventId } = route.params;
+  const { groupId, eventId, occurrence } = route.params;
 
   const [loading, setLoading] = useState(true);
   const [title, setTitle] = useState('');
@@ -30,6 +31,7 @@ export default function EditChildEventScreen({ route, navigation }) {
   const [startDate, setStartDate] = useState(new Date());
   const [endDate, setEndDate] = useState(new Date());
   const [isRecurring, setIsRecurring] = useState(false);
+  const [seriesStartTime, setSeriesStartTime] = useState(null); // Stored start of a recurring series
   const [recurrenceRule, setRecurrenceRule] = useState('FREQ=DAILY');
   const [recurrenceEndDate, setRecurrenceEndDate] = useState(null);
   const [isForever, setIsForever] = useState(true);
@@ -61,8 +63,10 @@ export default function EditChildEventScreen({ route, navigation }) {
 
       setTitle(event.title || '');
       setNotes(event.notes || '');
-      setStartDate(new Date(event.startTime));
-      setEndDate(new Date(event.endTime));
+      // For a recurring event, show the occurrence that was opened rather than the first one
+      setStartDate(new Date(occurrence?.startTime || event.startTime));
+      setEndDate(new Date(occurrence?.endTime || event.endTime));
+      setSeriesStartTime(new Date(event.startTime));
       setIsRecurring(event.isRecurring || false);
       setRecurrenceRule(event.recurrencePattern || 'FREQ=DAILY');
 
@@ -113,18 +117,57 @@ export default function EditChildEventScreen({ route, navigation }) {
       return;
     }
 
+    // Editing one occurrence of a recurring event - ask how much of the series to change
+    if (occurrence && isRecurring) {
+      CustomAlert.alert(
+        'Edit Recurring Event',
+        'Apply changes to:',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'This Event Only', onPress: () => submitUpdate('this') },
+          { text: 'This and Future Events', onPress: () => submitUpdate('following') },
+          { text: 'All Events', onPress: () => submitUpdate('all') },
+        ],
+        { cancelable: true }
+      );
+      return;
+    }
+
+    submitUpdate('all');
+  };
+
+  const submitUpdate = async (scope) => {
+    // Editing the whole series from an occurrence: shift the series start by the same amount
+    let seriesStart = startDate;
+    let seriesEnd = endDate;
+    if (scope === 'all' && occurrence && seriesStartTime) {
+      const shiftMs = startDate.getTime() - new Date(occurrence.startTime).getTime();
+      seriesStart = new Date(seriesStartTime.getTime() + shiftMs);
+      seriesEnd = new Date(seriesStart.getTime() + (endDate.getTime() - startDate.getTime()));
+    }
+
     try {
-      await API.put(`/groups/${groupId}/calendar/events/${eventId}`, {
+      const response = await API.put(`/groups/${groupId}/calendar/events/${eventId}`, {
         title: title.trim(),
         description: notes.trim() || null, // Backend expects 'description' which maps to 'notes'
-        startTime: startDate.toISOString(),
-        endTime: endDate.toISOString(),
+        startTime: seriesStart.toISOString(),
+        endTime: seriesEnd.toISOString(),
         isRecurring,
         recurrenceRule: isRecurring ? recurrenceRule : null,
         recurrenceEndDate: isRecurring && !isForever && recurrenceEndDate ? recurrenceEndDate.toISOString() : null,
+        timeZone: getDeviceTimeZone(),
         notificationMinutes,
+        scope,
+        occurrenceStart: occurrence?.recurrenceId,
       });
 
+      if (response.data.requiresApproval) {
+        CustomAlert.alert('Approval Required', 'Your changes will apply once enough admins approve them', [
+          { text: 'OK', onPress: () => navigation.goBack() }
+        ]);
+        return;
+      }
+
       CustomAlert.alert('Success', 'Event updated successfully', [
         { text: 'OK', onPress: () => navigation.goBack() }
       ]);
@@ -177,13 +220,19 @@ export default function EditChildEventScreen({ route, navigation }) {
   const confirmDelete = async (deleteSeries, fromDate) => {
     try {
       const params = new URLSearchParams();
-      if (deleteSeries) {
-        params.append('deleteSeries', 'true');
-      } else if (fromDate) {
-        params.append('fromDate', startDate.toISOString());
+      if (isRecurring && occurrence && !deleteSeries) {
+        params.append('scope', fromDate ? 'following' : 'this');
+        params.append('occurrenceStart', occurrence.recurrenceId);
       }
 
-      await API.delete(`/groups/${groupId}/calendar/events/${eventId}?${params.toString()}`);
+      const response = await API.delete(`/groups/${groupId}/calendar/events/${eventId}?${params.toString()}`);
+
+      if (response.data.requiresApproval) {
+        CustomAlert.alert('Approval Required', 'The event will be deleted once enough admins approve', [
+          { text: 'OK', onPress: () => navigation.goBack() }
+        ]);
+        return;
+      }
 
       CustomAlert.alert('Success', 'Event deleted successfully', [
         { text: 'OK', onPress: () => navigation.goBack() }
@@ -208,6 +257,27 @@ export default function EditChildEventScreen({ route, navigation }) {
     return `${minutes / 1440} days before`;
   };
 
+  /**
+   * Open a swap request for the occurrence being viewed
+   */
+  const handleRequestSwap = () => {
+    navigation.navigate('SwapRequest', {
+      groupId,
+      eventId,
+      eventTitle: title,
+      startTime: startDate.toISOString(),
+      endTime: endDate.toISOString(),
+      children: responsibilityEvents.map(re => ({
+        groupMemberId: re.childId,
+        displayName: getChildName(re.childId),
+      })),
+      members: allMembers.map(m => ({
+        groupMemberId: m.groupMemberId,
+        displayName: m.displayName,
+      })),
+    });
+  };
+
   const getChildName = (childId) => {
     const child = allChildren.find(c => c.groupMemberId === childId);
     return child ? child.displayName : 'Unknown Child';
@@ -384,6 +454,11 @@ export default function EditChildEventScreen({ route, navigation }) {
           <Text style={styles.submitButtonText}>Update Event</Text>
         </TouchableOpacity>
 
+        {/* Swap Button */}
+        <TouchableOpacity style={styles.swapButton} onPress={handleRequestSwap}>
+          <Text style={styles.swapButtonText}>Request Swap</Text>
+        </TouchableOpacity>
+
         {/* Delete Button */}
         <TouchableOpacity style={styles.deleteButton} onPress={handleDelete}>
           <Text style={styles.deleteButtonText}>Delete Event</Text>
@@ -510,6 +585,19 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: 'bold',
   },
+  swapButton: {
+    borderColor: '#6200ee',
+    borderWidth: 1,
+    padding: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  swapButtonText: {
+    color: '#6200ee',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
   scrollView: {
     flex: 1,
   },
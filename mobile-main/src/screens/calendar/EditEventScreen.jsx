@@ -11,17 +11,19 @@ import API from '../../services/api';
 import CustomNavigationHeader from '../../components/CustomNavigationHeader';
 import DateTimeSelector, { formatDateByType } from '../../components/DateTimeSelector';
 import UserAvatar from '../../components/shared/UserAvatar';
+import { getDeviceTimeZone } from '../../utils/timeZone';
 
 /**
  * EditEventScreen component
  *
  * @param {Object} props
  * @param {Object} props.navigation - React Navigation object
- * @param {Object} props.route - Route params including groupId, eventId
+ * @param {Object} props.route - Route params including groupId, eventId and, for
+ *   recurring events, the occurrence that was opened ({ recurrenceId, startTime, endTime })
  * @returns {JSX.Element}
  */
 export default function EditEventScreen({ navigation, route }) {
-  const { groupId, eventId } = route.params;
+  const { groupId, eventId, occurrence } = route.params;
 
   // Initialize dates - will be loaded from API
   const initialStartDate = new Date();
@@ -78,8 +80,9 @@ export default function EditEventScreen({ navigation, route }) {
         // Populate form with existing data
         setTitle(event.title || '');
         setDescription(event.notes || ''); // Backend uses 'notes', frontend uses 'description'
-        setStartDate(new Date(event.startTime));
-        setEndDate(new Date(event.endTime));
+        // For a recurring event, show the occurrence that was opened rather than the first one
+        setStartDate(new Date(occurrence?.startTime || event.startTime));
+        setEndDate(new Date(occurrence?.endTime || event.endTime));
         setIsRecurring(event.isRecurring || false);
 
         // Populate attendees from event data
@@ -225,6 +228,30 @@ export default function EditEventScreen({ navigation, route }) {
       return;
     }
 
+    // Editing one occurrence of a recurring event - ask how much of the series to change
+    if (occurrence && eventData?.isRecurring) {
+      CustomAlert.alert(
+        'Edit Recurring Event',
+        'Apply changes to:',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'This Event Only', onPress: () => submitUpdate('this') },
+          { text: 'This and Future Events', onPress: () => submitUpdate('following') },
+          { text: 'All Events', onPress: () => submitUpdate('all') },
+        ],
+        { cancelable: true }
+      );
+      return;
+    }
+
+    submitUpdate('all');
+  };
+
+  /**
+   * Send the update to the backend
+   * @param {string} scope - 'all' | 'this' | 'following' (recurring events only)
+   */
+  const submitUpdate = async (scope) => {
     setLoading(true);
 
     try {
@@ -251,20 +278,39 @@ export default function EditEventScreen({ navigation, route }) {
         // If no end date, it repeats forever (no UNTIL clause)
       }
 
+      // Editing the whole series from an occurrence: shift the series start by the same amount
+      let seriesStart = startDate;
+      let seriesEnd = endDate;
+      if (scope === 'all' && occurrence && eventData) {
+        const shiftMs = startDate.getTime() - new Date(occurrence.startTime).getTime();
+        seriesStart = new Date(new Date(eventData.startTime).getTime() + shiftMs);
+        seriesEnd = new Date(seriesStart.getTime() + (endDate.getTime() - startDate.getTime()));
+      }
+
       // Call backend API to UPDATE event
       const response = await API.put(`/groups/${groupId}/calendar/events/${eventId}`, {
         title: title.trim(),
         description: description.trim() || null,
-        startTime: startDate.toISOString(),
-        endTime: endDate.toISOString(),
+        startTime: seriesStart.toISOString(),
+        endTime: seriesEnd.toISOString(),
         allDay: false,
         isRecurring: isRecurring,
         recurrenceRule: recurrenceRule,
+        timeZone: getDeviceTimeZone(),
         attendeeIds: selectedMemberIds, // Array of groupMemberIds
         notificationMinutes: notificationMinutes, // Minutes before event to send notification
+        scope,
+        occurrenceStart: occurrence?.recurrenceId,
       });
 
-      if (response.data.success) {
+      if (response.data.requiresApproval) {
+        CustomAlert.alert('Approval Required', 'Your changes will apply once enough admins approve them', [
+          {
+            text: 'OK',
+            onPress: () => navigation.goBack(),
+          },
+        ]);
+      } else if (response.data.success) {
         CustomAlert.alert('Success', 'Event updated successfully', [
           {
             text: 'OK',
@@ -285,8 +331,14 @@ export default function EditEventScreen({ navigation, route }) {
 
   /**
    * Handle delete event
+   * For a recurring event opened from an occurrence, only that occurrence is deleted
    */
   const handleDelete = async () => {
+    const singleOccurrence = occurrence && eventData?.isRecurring;
+    const query = singleOccurrence
+      ? `?scope=this&occurrenceStart=${encodeURIComponent(occurrence.recurrenceId)}`
+      : '';
+
     CustomAlert.alert(
       'Delete Event',
       'Are you sure you want to delete this event?',
@@ -298,8 +350,12 @@ export default function EditEventScreen({ navigation, route }) {
           onPress: async () => {
             try {
               setLoading(true);
-              const response = await API.delete(`/groups/${groupId}/calendar/events/${eventId}`);
-              if (response.data.success) {
+              const response = await API.delete(`/groups/${groupId}/calendar/events/${eventId}${query}`);
+              if (response.data.requiresApproval) {
+                CustomAlert.alert('Approval Required', 'The event will be deleted once enough admins approve', [
+                  { text: 'OK', onPress: () => navigation.goBack() },
+                ]);
+              } else if (response.data.success) {
                 CustomAlert.alert('Success', 'Event deleted successfully', [
                   { text: 'OK', onPress: () => navigation.goBack() },
                 ]);
@@ -319,9 +375,13 @@ export default function EditEventScreen({ navigation, route }) {
   };
 
   /**
-   * Handle delete recurring series (all future events)
+   * Handle delete recurring series (this occurrence and all future events)
    */
   const handleDeleteSeries = async () => {
+    const query = occurrence
+      ? `?scope=following&occurrenceStart=${encodeURIComponent(occurrence.recurrenceId)}`
+      : '';
+
     CustomAlert.alert(
       'Delete Recurring Series',
       'Delete all future events in this recurring series?',
@@ -334,9 +394,13 @@ export default function EditEventScreen({ navigation, route }) {
             try {
               setLoading(true);
               const response = await API.delete(
-                `/groups/${groupId}/calendar/events/${eventId}?deleteSeries=true&fromDate=${new Date().toISOString()}`
+                `/groups/${groupId}/calendar/events/${eventId}${query}`
               );
-              if (response.data.success) {
+              if (response.data.requiresApproval) {
+                CustomAlert.alert('Approval Required', 'The events will be deleted once enough admins approve', [
+                  { text: 'OK', onPress: () => navigation.goBack() },
+                ]);
+              } else if (response.data.success) {
                 CustomAlert.alert('Success', 'Recurring series deleted successfully', [
                   { text: 'OK', onPress: () => navigation.goBack() },
                 ]);
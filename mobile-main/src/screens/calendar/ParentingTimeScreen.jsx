@@ -0,0 +1,332 @@
+/**
+ * Parenting Time Screen
+ *
+ * Dashboard of custody time-share per child for a date range: overnights,
+ * hours and percentages for each responsible party, from the child
+ * responsibility events in the calendar. Exports the same figures as a PDF
+ * report for courts and mediators.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView, Platform } from 'react-native';
+import { Card, Title, Text, Button, ActivityIndicator, Divider } from 'react-native-paper';
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import * as SecureStore from 'expo-secure-store';
+import api, { API_BASE_URL } from '../../services/api';
+import { CustomAlert } from '../../components/CustomAlert';
+import CustomNavigationHeader from '../../components/CustomNavigationHeader';
+import DateTimeSelector, { formatDateByType } from '../../components/DateTimeSelector';
+import { getDeviceTimeZone } from '../../utils/timeZone';
+
+const UNASSIGNED_COLOR = '#bdbdbd';
+
+/**
+ * Format a date as YYYY-MM-DD for the report query
+ */
+function toQueryDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * ParentingTimeScreen component
+ *
+ * @param {Object} props
+ * @param {Object} props.navigation - React Navigation navigation object
+ * @param {Object} props.route - React Navigation route object with groupId
+ * @returns {JSX.Element}
+ */
+export default function ParentingTimeScreen({ navigation, route }) {
+  const { groupId } = route.params;
+  const [fromDate, setFromDate] = useState(() => {
+    const date = new Date();
+    date.setMonth(date.getMonth() - 1);
+    return date;
+  });
+  const [toDate, setToDate] = useState(new Date());
+  const [pickerField, setPickerField] = useState(null); // 'from' | 'to' | null
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadReport();
+  }, [groupId, fromDate, toDate]);
+
+  const query = () =>
+    `from=${toQueryDate(fromDate)}&to=${toQueryDate(toDate)}&timeZone=${encodeURIComponent(getDeviceTimeZone())}`;
+
+  /**
+   * Load parenting time for the selected range
+   */
+  const loadReport = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await api.get(`/groups/${groupId}/calendar/parenting-time?${query()}`);
+      setReport(response.data.report);
+    } catch (err) {
+      console.error('Load parenting time error:', err);
+
+      if (err.isAuthError) {
+        return;
+      }
+
+      setError(err.response?.data?.message || 'Failed to load parenting time');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Download the report as a PDF and open the share sheet
+   */
+  const handleExport = async () => {
+    const fileName = `ParentingTime_${toQueryDate(fromDate)}_${toQueryDate(toDate)}.pdf`;
+
+    try {
+      setExporting(true);
+
+      if (Platform.OS === 'web') {
+        const response = await api.get(
+          `/groups/${groupId}/calendar/parenting-time?${query()}&format=pdf`,
+          { responseType: 'blob' }
+        );
+        const url = window.URL.createObjectURL(response.data);
+        const link = window.document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        window.document.body.appendChild(link);
+        link.click();
+        window.document.body.removeChild(link);
+        window.URL.revokeObjectURL(url);
+        return;
+      }
+
+      const accessToken = await SecureStore.getItemAsync('accessToken');
+      const downloadResult = await FileSystem.downloadAsync(
+        `${API_BASE_URL}/groups/${groupId}/calendar/parenting-time?${query()}&format=pdf`,
+        FileSystem.cacheDirectory + fileName,
+        { headers: { Authorization: `Bearer ${accessToken}` } }
+      );
+
+      if (downloadResult.status !== 200) {
+        CustomAlert.alert('Error', 'Failed to export parenting time report');
+        return;
+      }
+
+      if (await Sharing.isAvailableAsync()) {
+        await Sharing.shareAsync(downloadResult.uri, { mimeType: 'application/pdf' });
+      } else {
+        CustomAlert.alert('Success', 'Parenting time report downloaded to cache');
+      }
+    } catch (err) {
+      console.error('Export parenting time error:', err);
+      CustomAlert.alert('Error', err.response?.data?.message || 'Failed to export parenting time report');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  /**
+   * Apply a date from the picker to the range
+   */
+  const handleDateChange = (date) => {
+    if (pickerField === 'from') {
+      setFromDate(date);
+    } else {
+      setToDate(date);
+    }
+  };
+
+  /**
+   * Render one row of the time-share table with a percentage bar
+   */
+  const renderShare = (key, name, color, share) => (
+    <View key={key} style={styles.shareRow}>
+      <View style={styles.shareHeader}>
+        <Text style={styles.shareName}>{name}</Text>
+        <Text style={styles.sharePercentage}>{share.overnightsPercentage.toFixed(1)}%</Text>
+      </View>
+      <View style={styles.barTrack}>
+        <View style={[styles.barFill, { width: `${share.overnightsPercentage}%`, backgroundColor: color || '#6200ee' }]} />
+      </View>
+      <Text style={styles.shareDetail}>
+        {share.overnights} {share.overnights === 1 ? 'overnight' : 'overnights'} · {share.hours.toFixed(1)} hours ({share.hoursPercentage.toFixed(1)}%)
+      </Text>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <CustomNavigationHeader title="Parenting Time" onBack={() => navigation.goBack()} />
+
+      {error && (
+        <View style={styles.errorBanner}>
+          <Text style={styles.errorText}>{error}</Text>
+        </View>
+      )}
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Period</Title>
+            <View style={styles.dateRow}>
+              <Button mode="outlined" icon="calendar" onPress={() => setPickerField('from')} style={styles.dateButton}>
+                From: {formatDateByType(fromDate, 3)}
+              </Button>
+              <Button mode="outlined" icon="calendar" onPress={() => setPickerField('to')} style={styles.dateButton}>
+                To: {formatDateByType(toDate, 3)}
+              </Button>
+            </View>
+          </Card.Content>
+        </Card>
+
+        {loading ? (
+          <ActivityIndicator style={styles.loader} color="#6200ee" />
+        ) : !report || report.children.length === 0 ? (
+          <Card style={styles.card}>
+            <Card.Content>
+              <Text style={styles.emptySubtext}>There are no children in this group</Text>
+            </Card.Content>
+          </Card>
+        ) : (
+          report.children.map((child) => (
+            <Card key={child.childId} style={styles.card}>
+              <Card.Content>
+                <Title>{child.name}</Title>
+                <Text style={styles.totalsText}>
+                  {child.totalOvernights} {child.totalOvernights === 1 ? 'night' : 'nights'} · {child.totalHours.toFixed(1)} hours
+                </Text>
+                <Divider style={styles.divider} />
+                {child.parties.length === 0 && (
+                  <Text style={styles.emptySubtext}>No responsibility events in this period</Text>
+                )}
+                {child.parties.map((party) =>
+                  renderShare(party.memberId || party.name, party.name, party.color, party)
+                )}
+                {(child.unassigned.overnights > 0 || child.unassigned.hours > 0) &&
+                  renderShare('unassigned', 'Unassigned', UNASSIGNED_COLOR, child.unassigned)}
+              </Card.Content>
+            </Card>
+          ))
+        )}
+
+        <Text style={styles.noteText}>
+          Where responsibility events overlap, the most recently created one counts. A night counts for
+          whoever is responsible at midnight.
+        </Text>
+
+        <Button
+          mode="contained"
+          icon="file-pdf-box"
+          onPress={handleExport}
+          loading={exporting}
+          disabled={exporting || loading}
+          style={styles.exportButton}
+        >
+          Export PDF
+        </Button>
+      </ScrollView>
+
+      <DateTimeSelector
+        value={pickerField === 'from' ? fromDate : toDate}
+        onChange={handleDateChange}
+        format={3}
+        visible={!!pickerField}
+        onClose={() => setPickerField(null)}
+        title={pickerField === 'from' ? 'From' : 'To'}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  errorBanner: {
+    backgroundColor: '#ffebee',
+    padding: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ffcdd2',
+  },
+  errorText: {
+    color: '#d32f2f',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  content: {
+    padding: 16,
+  },
+  card: {
+    marginBottom: 12,
+    elevation: 2,
+  },
+  dateRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 8,
+  },
+  dateButton: {
+    flex: 1,
+  },
+  loader: {
+    marginVertical: 16,
+  },
+  divider: {
+    marginVertical: 8,
+  },
+  totalsText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  shareRow: {
+    marginBottom: 12,
+  },
+  shareHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  shareName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  sharePercentage: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  barTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#eee',
+    overflow: 'hidden',
+  },
+  barFill: {
+    height: 8,
+    borderRadius: 4,
+  },
+  shareDetail: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 4,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: '#999',
+  },
+  noteText: {
+    fontSize: 12,
+    color: '#777',
+    marginBottom: 12,
+  },
+  exportButton: {
+    marginBottom: 24,
+  },
+});
@@ -0,0 +1,366 @@
+/**
+ * Swap Request Screen
+ *
+ * Proposes a swap of responsibility time on a child responsibility event: a
+ * block to give the other responsible adult, a block to take from them, or
+ * both. Also used to counter-propose a swap request received from someone
+ * else, with the blocks swapped to the responder's side.
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+import { CustomAlert } from '../../components/CustomAlert';
+import DateTimeSelector, { formatDateByType } from '../../components/DateTimeSelector';
+import API from '../../services/api';
+import CustomNavigationHeader from '../../components/CustomNavigationHeader';
+
+const toBlock = (block) => block && { start: new Date(block.startTime), end: new Date(block.endTime) };
+
+/**
+ * SwapRequestScreen component
+ *
+ * @param {Object} props
+ * @param {Object} props.navigation - React Navigation navigation object
+ * @param {Object} props.route - React Navigation route object with groupId and either
+ *   the event (eventId, eventTitle, startTime, endTime, children, members) or
+ *   counterOf (the swap request being countered)
+ * @returns {JSX.Element}
+ */
+export default function SwapRequestScreen({ navigation, route }) {
+  const { groupId, eventId, eventTitle, startTime, endTime, children = [], members = [], counterOf } = route.params;
+
+  // A counter-proposal starts from the original with the sides reversed
+  const [give, setGive] = useState(() =>
+    counterOf ? toBlock(counterOf.take) : toBlock({ startTime, endTime })
+  );
+  const [take, setTake] = useState(() => (counterOf ? toBlock(counterOf.give) : null));
+  const [selectedChildren, setSelectedChildren] = useState(children.map(c => c.groupMemberId));
+  const [counterpartyId, setCounterpartyId] = useState(null); // null = the other adult on the event
+  const [note, setNote] = useState('');
+  const [activePicker, setActivePicker] = useState(null); // { block: 'give'|'take', field: 'start'|'end' }
+  const [saving, setSaving] = useState(false);
+
+  const blocks = { give: [give, setGive], take: [take, setTake] };
+
+  const toggleChild = (childId) => {
+    setSelectedChildren(selected =>
+      selected.includes(childId) ? selected.filter(id => id !== childId) : [...selected, childId]
+    );
+  };
+
+  /**
+   * Turn a block on (one day from the event start) or off
+   */
+  const toggleBlock = (name) => {
+    const [block, setBlock] = blocks[name];
+    if (block) {
+      setBlock(null);
+      return;
+    }
+    const start = new Date(startTime || counterOf?.give?.startTime || counterOf?.take?.startTime || Date.now());
+    setBlock({ start, end: new Date(start.getTime() + 24 * 60 * 60 * 1000) });
+  };
+
+  const handlePickerChange = (date) => {
+    const [block, setBlock] = blocks[activePicker.block];
+    if (activePicker.field === 'start') {
+      // Keep the block's length when its start moves
+      setBlock({ start: date, end: new Date(date.getTime() + (block.end - block.start)) });
+    } else {
+      setBlock({ ...block, end: date });
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (!give && !take) {
+      CustomAlert.alert('Validation Error', 'Choose a block to give, a block to take, or both');
+      return;
+    }
+
+    if ((give && give.end <= give.start) || (take && take.end <= take.start)) {
+      CustomAlert.alert('Validation Error', 'Each block must end after it starts');
+      return;
+    }
+
+    if (!counterOf && selectedChildren.length === 0) {
+      CustomAlert.alert('Validation Error', 'Please select at least one child');
+      return;
+    }
+
+    const body = {
+      give: give && { startTime: give.start.toISOString(), endTime: give.end.toISOString() },
+      take: take && { startTime: take.start.toISOString(), endTime: take.end.toISOString() },
+      note: note.trim() || undefined,
+    };
+
+    try {
+      setSaving(true);
+      const response = counterOf
+        ? await API.post(`/groups/${groupId}/calendar/swap-requests/${counterOf.approvalId}/respond`, {
+            ...body,
+            response: 'counter',
+          })
+        : await API.post(`/groups/${groupId}/calendar/events/${eventId}/swap-requests`, {
+            ...body,
+            childIds: selectedChildren,
+            counterpartyId: counterpartyId || undefined,
+          });
+
+      CustomAlert.alert(
+        'Success',
+        response.data.events.length > 0
+          ? 'The swap was accepted automatically and the calendar has been updated'
+          : counterOf ? 'Counter-proposal sent' : 'Swap request sent',
+        [{ text: 'OK', onPress: () => navigation.goBack() }]
+      );
+    } catch (err) {
+      console.error('Swap request error:', err);
+      CustomAlert.alert('Error', err.response?.data?.message || 'Failed to send swap request');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Render a block toggle with its start and end pickers
+   */
+  const renderBlock = (name, label, hint) => {
+    const [block] = blocks[name];
+    return (
+      <View style={styles.section}>
+        <View style={styles.row}>
+          <Text style={styles.label}>{label}</Text>
+          <TouchableOpacity onPress={() => toggleBlock(name)}>
+            <Text style={styles.linkText}>{block ? 'Remove' : 'Add'}</Text>
+          </TouchableOpacity>
+        </View>
+        {block ? (
+          <View style={styles.row}>
+            <TouchableOpacity style={[styles.picker, styles.flex]} onPress={() => setActivePicker({ block: name, field: 'start' })}>
+              <Text style={styles.pickerText}>{formatDateByType(block.start, 1)}</Text>
+            </TouchableOpacity>
+            <Text style={styles.arrow}>→</Text>
+            <TouchableOpacity style={[styles.picker, styles.flex]} onPress={() => setActivePicker({ block: name, field: 'end' })}>
+              <Text style={styles.pickerText}>{formatDateByType(block.end, 1)}</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <Text style={styles.hint}>{hint}</Text>
+        )}
+      </View>
+    );
+  };
+
+  const otherName = counterOf?.requesterName || 'them';
+  const pickerBlock = activePicker && blocks[activePicker.block][0];
+
+  return (
+    <View style={styles.container}>
+      <CustomNavigationHeader
+        title={counterOf ? 'Counter-Propose' : 'Request Swap'}
+        onBack={() => navigation.goBack()}
+      />
+
+      <ScrollView style={styles.scrollView}>
+        <View style={styles.section}>
+          <Text style={styles.eventTitle}>{counterOf ? counterOf.eventTitle : eventTitle}</Text>
+          {counterOf && <Text style={styles.hint}>{counterOf.description}</Text>}
+        </View>
+
+        {!counterOf && children.length > 1 && (
+          <View style={styles.section}>
+            <Text style={styles.label}>Children *</Text>
+            <View style={styles.chipRow}>
+              {children.map(child => (
+                <TouchableOpacity
+                  key={child.groupMemberId}
+                  style={[styles.chip, selectedChildren.includes(child.groupMemberId) && styles.chipActive]}
+                  onPress={() => toggleChild(child.groupMemberId)}
+                >
+                  <Text style={[styles.chipText, selectedChildren.includes(child.groupMemberId) && styles.chipTextActive]}>
+                    {child.displayName}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        )}
+
+        {!counterOf && (
+          <View style={styles.section}>
+            <Text style={styles.label}>Swap With</Text>
+            <View style={styles.chipRow}>
+              <TouchableOpacity
+                style={[styles.chip, !counterpartyId && styles.chipActive]}
+                onPress={() => setCounterpartyId(null)}
+              >
+                <Text style={[styles.chipText, !counterpartyId && styles.chipTextActive]}>Other adult on this event</Text>
+              </TouchableOpacity>
+              {members.map(member => (
+                <TouchableOpacity
+                  key={member.groupMemberId}
+                  style={[styles.chip, counterpartyId === member.groupMemberId && styles.chipActive]}
+                  onPress={() => setCounterpartyId(member.groupMemberId)}
+                >
+                  <Text style={[styles.chipText, counterpartyId === member.groupMemberId && styles.chipTextActive]}>
+                    {member.displayName}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        )}
+
+        {renderBlock('give', 'Time I Give', `Hand over some of your time to ${otherName}`)}
+        {renderBlock('take', 'Time I Take', `Ask for some of ${otherName === 'them' ? 'their' : `${otherName}'s`} time in return`)}
+
+        <View style={styles.section}>
+          <Text style={styles.label}>Note (Optional)</Text>
+          <TextInput
+            style={[styles.input, styles.noteInput]}
+            value={note}
+            onChangeText={setNote}
+            placeholder="e.g., Work trip that weekend"
+            multiline
+            maxLength={500}
+          />
+        </View>
+
+        <Text style={styles.hint}>
+          You must be responsible for the whole of the time you give, and they for the whole of the time you
+          take. Nothing changes in the calendar until the swap is accepted.
+        </Text>
+
+        <TouchableOpacity
+          style={[styles.submitButton, saving && styles.submitButtonDisabled]}
+          onPress={handleSubmit}
+          disabled={saving}
+        >
+          <Text style={styles.submitButtonText}>{counterOf ? 'Send Counter-Proposal' : 'Send Swap Request'}</Text>
+        </TouchableOpacity>
+      </ScrollView>
+
+      {pickerBlock && (
+        <DateTimeSelector
+          value={activePicker.field === 'start' ? pickerBlock.start : pickerBlock.end}
+          onChange={handlePickerChange}
+          format={1}
+          visible={!!activePicker}
+          onClose={() => setActivePicker(null)}
+          title={activePicker.field === 'start' ? 'Block Start' : 'Block End'}
+          minimumDate={activePicker.field === 'end' ? pickerBlock.start : undefined}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  scrollView: {
+    flex: 1,
+    padding: 16,
+  },
+  section: {
+    marginBottom: 20,
+  },
+  eventTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#777',
+    marginTop: 4,
+  },
+  linkText: {
+    color: '#6200ee',
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: '#fafafa',
+  },
+  noteInput: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  picker: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    backgroundColor: '#fafafa',
+  },
+  pickerText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  arrow: {
+    marginHorizontal: 8,
+    color: '#777',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  flex: {
+    flex: 1,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 16,
+  },
+  chipActive: {
+    backgroundColor: '#6200ee',
+    borderColor: '#6200ee',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  chipTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  submitButton: {
+    backgroundColor: '#6200ee',
+    padding: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 16,
+    marginBottom: 40,
+  },
+  submitButtonDisabled: {
+    backgroundColor: '#b39ddb',
+  },
+  submitButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,332 @@
+/**
+ * Swap Requests Screen
+ *
+ * Responsibility swap requests for the current member:
+ * 1. Incoming requests (Accept, Decline or Counter)
+ * 2. Outgoing requests awaiting the other adult (Cancel)
+ * 3. Accepted, declined, countered and canceled requests (read-only)
+ */
+
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView, RefreshControl } from 'react-native';
+import { Card, Text, Button, Chip, Divider, ActivityIndicator } from 'react-native-paper';
+import { useFocusEffect } from '@react-navigation/native';
+import api from '../../services/api';
+import { CustomAlert } from '../../components/CustomAlert';
+import CustomNavigationHeader from '../../components/CustomNavigationHeader';
+import { formatDateByType } from '../../components/DateTimeSelector';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  approved: 'Accepted',
+  rejected: 'Declined',
+  countered: 'Countered',
+  canceled: 'Canceled',
+};
+
+/**
+ * SwapRequestsScreen component
+ *
+ * @param {Object} props
+ * @param {Object} props.navigation - React Navigation navigation object
+ * @param {Object} props.route - React Navigation route object with groupId
+ * @returns {JSX.Element}
+ */
+export default function SwapRequestsScreen({ navigation, route }) {
+  const { groupId } = route.params;
+
+  const [swapRequests, setSwapRequests] = useState({ incoming: [], outgoing: [], completed: [] });
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [respondingId, setRespondingId] = useState(null);
+
+  useFocusEffect(
+    React.useCallback(() => {
+      loadSwapRequests();
+    }, [groupId])
+  );
+
+  /**
+   * Load swap requests sent or received by the current member
+   */
+  const loadSwapRequests = async () => {
+    try {
+      const response = await api.get(`/groups/${groupId}/calendar/swap-requests`);
+      setSwapRequests(response.data.swapRequests);
+    } catch (err) {
+      console.error('Load swap requests error:', err);
+      if (!err.isAuthError) {
+        CustomAlert.alert('Error', err.response?.data?.message || 'Failed to load swap requests');
+      }
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const handleRefresh = () => {
+    setRefreshing(true);
+    loadSwapRequests();
+  };
+
+  /**
+   * Accept or decline an incoming request
+   */
+  const handleRespond = async (swapRequest, response) => {
+    try {
+      setRespondingId(swapRequest.approvalId);
+      await api.post(`/groups/${groupId}/calendar/swap-requests/${swapRequest.approvalId}/respond`, { response });
+      CustomAlert.alert(
+        'Success',
+        response === 'accept' ? 'Swap accepted and the calendar has been updated' : 'Swap declined'
+      );
+      loadSwapRequests();
+    } catch (err) {
+      console.error('Respond to swap request error:', err);
+      if (!err.isAuthError) {
+        CustomAlert.alert('Error', err.response?.data?.message || `Failed to ${response} swap request`);
+      }
+    } finally {
+      setRespondingId(null);
+    }
+  };
+
+  /**
+   * Cancel an outgoing request
+   */
+  const handleCancel = (swapRequest) => {
+    CustomAlert.alert(
+      'Cancel Swap Request',
+      'Are you sure you want to cancel this swap request?',
+      [
+        { text: 'No', style: 'cancel' },
+        {
+          text: 'Yes',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await api.post(`/groups/${groupId}/approvals/${swapRequest.approvalId}/cancel`);
+              loadSwapRequests();
+            } catch (err) {
+              console.error('Cancel swap request error:', err);
+              if (!err.isAuthError) {
+                CustomAlert.alert('Error', err.response?.data?.message || 'Failed to cancel swap request');
+              }
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Render a block of time, e.g. "Fri 4 Dec 5:00 pm → Sun 6 Dec 5:00 pm"
+   */
+  const renderBlock = (label, block) => block && (
+    <Text style={styles.blockText}>
+      <Text style={styles.bold}>{label}: </Text>
+      {formatDateByType(new Date(block.startTime), 1)} → {formatDateByType(new Date(block.endTime), 1)}
+    </Text>
+  );
+
+  const renderSwapCard = (swapRequest, type) => {
+    const busy = respondingId === swapRequest.approvalId;
+
+    return (
+      <Card key={swapRequest.approvalId} style={styles.card}>
+        <Card.Content>
+          <View style={styles.cardHeader}>
+            <Text style={styles.eventTitle} numberOfLines={1}>{swapRequest.eventTitle}</Text>
+            <Chip mode="outlined" style={styles.statusChip} textStyle={styles.statusChipText}>
+              {STATUS_LABELS[swapRequest.status] || swapRequest.status}
+            </Chip>
+          </View>
+          <Text style={styles.subtitle}>
+            {swapRequest.childNames.join(', ')} · {swapRequest.requesterName} → {swapRequest.counterpartyName}
+          </Text>
+
+          <Divider style={styles.divider} />
+
+          {renderBlock(`${swapRequest.requesterName} gives`, swapRequest.give)}
+          {renderBlock(`${swapRequest.requesterName} takes`, swapRequest.take)}
+          {swapRequest.note && <Text style={styles.noteText}>"{swapRequest.note}"</Text>}
+          {swapRequest.counterOf && <Text style={styles.hint}>Counter-proposal</Text>}
+
+          {type === 'incoming' && (
+            <View style={styles.actionButtons}>
+              <Button
+                mode="outlined"
+                onPress={() => navigation.navigate('SwapRequest', { groupId, counterOf: swapRequest })}
+                disabled={busy}
+                style={styles.actionButton}
+              >
+                Counter
+              </Button>
+              <Button
+                mode="contained"
+                onPress={() => handleRespond(swapRequest, 'decline')}
+                buttonColor="#d32f2f"
+                disabled={busy}
+                style={styles.actionButton}
+              >
+                Decline
+              </Button>
+              <Button
+                mode="contained"
+                onPress={() => handleRespond(swapRequest, 'accept')}
+                buttonColor="#4caf50"
+                loading={busy}
+                disabled={busy}
+                style={styles.actionButton}
+              >
+                Accept
+              </Button>
+            </View>
+          )}
+
+          {type === 'outgoing' && (
+            <View style={styles.actionButtons}>
+              <Button
+                mode="outlined"
+                onPress={() => handleCancel(swapRequest)}
+                textColor="#d32f2f"
+                style={styles.actionButton}
+              >
+                Cancel
+              </Button>
+            </View>
+          )}
+        </Card.Content>
+      </Card>
+    );
+  };
+
+  const sections = [
+    { key: 'incoming', title: 'Awaiting Your Response' },
+    { key: 'outgoing', title: 'Awaiting Others' },
+    { key: 'completed', title: 'Completed' },
+  ];
+  const isEmpty = sections.every(section => swapRequests[section.key].length === 0);
+
+  return (
+    <View style={styles.container}>
+      <CustomNavigationHeader title="Swap Requests" onBack={() => navigation.goBack()} />
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#6200ee" />
+        </View>
+      ) : (
+        <ScrollView
+          style={styles.scrollView}
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />}
+        >
+          {isEmpty ? (
+            <View style={styles.emptyContainer}>
+              <Text style={styles.emptyText}>No swap requests yet</Text>
+              <Text style={styles.hint}>Open a child responsibility event and tap Request Swap</Text>
+            </View>
+          ) : (
+            sections.map(section => swapRequests[section.key].length > 0 && (
+              <View key={section.key} style={styles.section}>
+                <Text style={styles.sectionTitle}>
+                  {section.title} ({swapRequests[section.key].length})
+                </Text>
+                {swapRequests[section.key].map(swapRequest => renderSwapCard(swapRequest, section.key))}
+              </View>
+            ))
+          )}
+        </ScrollView>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyContainer: {
+    padding: 32,
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+  },
+  section: {
+    padding: 16,
+    paddingBottom: 0,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 12,
+  },
+  card: {
+    marginBottom: 12,
+    elevation: 2,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  eventTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  statusChip: {
+    height: 28,
+  },
+  statusChipText: {
+    fontSize: 12,
+    marginVertical: 0,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  divider: {
+    marginVertical: 8,
+  },
+  blockText: {
+    fontSize: 14,
+    color: '#333',
+    marginBottom: 4,
+  },
+  bold: {
+    fontWeight: 'bold',
+  },
+  noteText: {
+    fontSize: 14,
+    fontStyle: 'italic',
+    color: '#555',
+    marginTop: 4,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#777',
+    marginTop: 4,
+  },
+  actionButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 8,
+    marginTop: 12,
+  },
+  actionButton: {
+    minWidth: 80,
+  },
+});
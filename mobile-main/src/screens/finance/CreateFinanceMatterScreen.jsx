@@ -3,6 +3,7 @@
  *
  * Allows users to create a new finance matter for a group.
  * Includes name, description, total amount, currency, due date, and member allocations.
+ * A repeating finance matter creates a new matter every period, starting on its first due date.
  */
 
 import React, { useState, useEffect } from 'react';
@@ -41,6 +42,7 @@ export default function CreateFinanceMatterScreen({ navigation, route }) {
   const [dueDate, setDueDate] = useState(null);
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [currencyMenuVisible, setCurrencyMenuVisible] = useState(false);
+  const [repeat, setRepeat] = useState(null); // null, 'weekly', 'monthly' or 'yearly'
 
   // Members state
   const [members, setMembers] = useState([]);
@@ -228,6 +230,11 @@ export default function CreateFinanceMatterScreen({ navigation, route }) {
       return false;
     }
 
+    if (repeat && !dueDate) {
+      CustomAlert.alert('Validation Error', 'Please set the first due date for a repeating finance matter');
+      return false;
+    }
+
     if (selectedMembers.length === 0) {
       CustomAlert.alert('Validation Error', 'Please select at least one member');
       return false;
@@ -254,7 +261,7 @@ export default function CreateFinanceMatterScreen({ navigation, route }) {
     }, 0);
 
     const total = parseFloat(totalAmount);
-    if (totalPaid > total) {
+    if (!repeat && totalPaid > total) {
       CustomAlert.alert(
         'Validation Error',
         `Total paid amounts (${currency} ${totalPaid.toFixed(2)}) cannot exceed the total amount (${currency} ${total.toFixed(2)})`
@@ -276,6 +283,27 @@ export default function CreateFinanceMatterScreen({ navigation, route }) {
     setLoading(true);
 
     try {
+      if (repeat) {
+        await api.post(`/groups/${groupId}/finance/recurring`, {
+          name: name.trim(),
+          description: description.trim() || null,
+          totalAmount: parseFloat(totalAmount),
+          currency,
+          recurrencePattern: repeat,
+          startDate: dueDate.toISOString(),
+          dueAfterDays: 0,
+          members: selectedMembers.map(member => ({
+            groupMemberId: member.groupMemberId,
+            expectedPercentage: parseFloat(memberAllocations[member.groupMemberId].percentage),
+          })),
+        });
+
+        CustomAlert.alert('Success', `Repeating finance matter created. A new matter will be created ${repeat} from ${formatDateByType(dueDate, 3)}.`, [
+          { text: 'OK', onPress: () => navigation.goBack() },
+        ]);
+        return;
+      }
+
       // Prepare members data
       const membersData = selectedMembers.map(member => ({
         groupMemberId: member.groupMemberId,
@@ -408,9 +436,30 @@ export default function CreateFinanceMatterScreen({ navigation, route }) {
             icon="calendar"
             style={styles.input}
           >
-            {dueDate ? `Due: ${formatDateByType(dueDate, 3)}` : 'Set Due Date (Optional)'}
+            {dueDate
+              ? `${repeat ? 'First Due' : 'Due'}: ${formatDateByType(dueDate, 3)}`
+              : repeat ? 'Set First Due Date *' : 'Set Due Date (Optional)'}
           </Button>
 
+          <Text style={styles.inputLabel}>Repeat:</Text>
+          <View style={styles.chipsContainer}>
+            {[
+              { value: null, label: 'Does not repeat' },
+              { value: 'weekly', label: 'Weekly' },
+              { value: 'monthly', label: 'Monthly' },
+              { value: 'yearly', label: 'Yearly' },
+            ].map(option => (
+              <Chip
+                key={option.label}
+                onPress={() => setRepeat(option.value)}
+                style={[styles.chip, repeat === option.value && styles.chipSelected]}
+                textStyle={repeat === option.value && styles.chipTextSelected}
+              >
+                {option.label}
+              </Chip>
+            ))}
+          </View>
+
           <DateTimeSelector
             value={dueDate || new Date()}
             onChange={handleDateChange}
@@ -495,20 +544,24 @@ export default function CreateFinanceMatterScreen({ navigation, route }) {
                   />
                 </View>
 
-                {/* Already Paid Row */}
-                <Text style={styles.inputLabel}>Already Paid:</Text>
-                <View style={styles.allocationInputs}>
-                  <TextInput
-                    value={memberPaidAmounts[member.groupMemberId] || '0'}
-                    onChangeText={(value) => updateMemberPaidAmount(member.groupMemberId, value)}
-                    mode="outlined"
-                    keyboardType="decimal-pad"
-                    style={styles.paidInput}
-                    dense
-                    left={<TextInput.Affix text={currency} />}
-                    placeholder="0.00"
-                  />
-                </View>
+                {/* Already Paid Row (not used for repeating matters) */}
+                {!repeat && (
+                  <>
+                    <Text style={styles.inputLabel}>Already Paid:</Text>
+                    <View style={styles.allocationInputs}>
+                      <TextInput
+                        value={memberPaidAmounts[member.groupMemberId] || '0'}
+                        onChangeText={(value) => updateMemberPaidAmount(member.groupMemberId, value)}
+                        mode="outlined"
+                        keyboardType="decimal-pad"
+                        style={styles.paidInput}
+                        dense
+                        left={<TextInput.Affix text={currency} />}
+                        placeholder="0.00"
+                      />
+                    </View>
+                  </>
+                )}
               </View>
             ))}
 
@@ -532,7 +585,7 @@ export default function CreateFinanceMatterScreen({ navigation, route }) {
         style={styles.createButton}
         contentStyle={styles.createButtonContent}
       >
-        Create Finance Matter
+        {repeat ? 'Create Repeating Finance Matter' : 'Create Finance Matter'}
       </Button>
       </ScrollView>
     </View>
@@ -5,7 +5,7 @@
  * - Finance matter details (name, description, total, currency, due date)
  * - Member allocations (expected vs paid)
  * - Reimbursement calculations (who owes whom)
- * - Payment recording
+ * - Payment recording (to another member, or directly to the payee)
  * - Settlement status
  */
 
@@ -241,12 +241,7 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
       return;
     }
 
-    if (!selectedMember.recipient) {
-      CustomAlert.alert('Error', 'Payment recipient not found');
-      return;
-    }
-
-    // Validate against the specific reimbursement amount
+    // Validate against the specific reimbursement amount (or remaining share for direct payments)
     const maxAmount = parseFloat(selectedMember.reimbursementAmount || 0);
     if (amount > maxAmount + 0.01) { // Allow small rounding error
       CustomAlert.alert('Error', `Payment cannot exceed ${financeMatter.currency} ${maxAmount.toFixed(2)}`);
@@ -258,10 +253,16 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
       await api.put(`/groups/${groupId}/finance-matters/${financeMatterId}/record-payment`, {
         groupMemberId: selectedMember.groupMember.groupMemberId,
         amount: amount,
-        toMemberId: selectedMember.recipient.groupMemberId,
+        // No recipient = paid directly to the payee
+        toMemberId: selectedMember.recipient?.groupMemberId,
       });
 
-      CustomAlert.alert('Success', `Payment of ${amount.toFixed(2)} reported to ${selectedMember.recipient.displayName}. Awaiting confirmation.`);
+      CustomAlert.alert(
+        'Success',
+        selectedMember.recipient
+          ? `Payment of ${amount.toFixed(2)} reported to ${selectedMember.recipient.displayName}. Awaiting confirmation.`
+          : `Payment of ${amount.toFixed(2)} to the payee reported. Awaiting confirmation from another member.`
+      );
       setShowPaymentDialog(false);
       setSelectedMember(null);
       setPaymentAmount('');
@@ -280,7 +281,9 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
   const handleConfirmPayment = (payment) => {
     CustomAlert.alert(
       'Confirm Payment',
-      `Confirm that you received ${financeMatter.currency} ${payment.amount.toFixed(2)} from ${payment.from.displayName}?`,
+      payment.to
+        ? `Confirm that you received ${financeMatter.currency} ${payment.amount.toFixed(2)} from ${payment.from.displayName}?`
+        : `Confirm that ${payment.from.displayName} paid ${financeMatter.currency} ${payment.amount.toFixed(2)} to the payee?`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -417,6 +420,18 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
   const totalExpected = parseFloat(financeMatter.totalAmount);
   const remaining = totalExpected - totalPaid;
 
+  // Unpaid part of the current user's share that can go directly to the payee
+  const myMember = financeMatter.members?.find(m => m.groupMemberId === currentUserGroupMemberId);
+  const myPendingTotal = pendingPayments
+    .filter(p => p.from.groupMemberId === currentUserGroupMemberId)
+    .reduce((sum, p) => sum + p.amount, 0);
+  const myDirectPaymentMax = myMember
+    ? Math.min(
+      parseFloat(myMember.expectedAmount) - parseFloat(myMember.paidAmount || 0) - myPendingTotal,
+      remaining
+    )
+    : 0;
+
   const isCreator = financeMatter.creator?.groupMemberId === currentUserGroupMemberId;
   const canCancel = (userRole === 'admin' || isCreator) && !financeMatter.isSettled && !financeMatter.isCanceled;
 
@@ -444,6 +459,11 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
                 Canceled
               </Chip>
             )}
+            {financeMatter.isOverdue && (
+              <Chip mode="outlined" style={styles.canceledChip} textStyle={styles.canceledChipText}>
+                Overdue
+              </Chip>
+            )}
           </View>
 
           {financeMatter.description && (
@@ -475,6 +495,18 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
             </View>
           )}
 
+          {!financeMatter.isSettled && !financeMatter.isCanceled && myDirectPaymentMax > 0.01 && (
+            <Button
+              mode="contained"
+              onPress={() => handleRecordPayment(myMember, null, myDirectPaymentMax.toFixed(2))}
+              style={styles.recordPaymentButtonReimb}
+              icon="cash-plus"
+              compact
+            >
+              Record Payment to Payee
+            </Button>
+          )}
+
           {financeMatter.dueDate && (
             <View style={styles.dueDateRow}>
               <Text style={styles.label}>Due Date:</Text>
@@ -660,8 +692,14 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
             <Divider style={styles.divider} />
 
             {pendingPayments.map((payment) => {
-              const isRecipient = payment.to.groupMemberId === currentUserGroupMemberId;
               const isSender = payment.from.groupMemberId === currentUserGroupMemberId;
+              // Settle-up payments are confirmed by the settle-up recipient;
+              // direct payments to the payee by any other member
+              const isRecipient = payment.settlement
+                ? payment.settlement.toMemberId === currentUserGroupMemberId
+                : payment.to
+                  ? payment.to.groupMemberId === currentUserGroupMemberId
+                  : !isSender && !!myMember;
 
               return (
                 <View key={payment.paymentId} style={styles.pendingPaymentItem}>
@@ -674,7 +712,7 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
                     />
                     <View style={styles.pendingPaymentText}>
                       <Text style={styles.pendingPaymentTitle}>
-                        {payment.from.displayName} → {payment.to.displayName}
+                        {payment.from.displayName} → {payment.to ? payment.to.displayName : 'Payee'}
                       </Text>
                       <Text style={styles.pendingPaymentAmount}>
                         {financeMatter.currency} {payment.amount.toFixed(2)}
@@ -682,6 +720,9 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
                       <Text style={styles.pendingPaymentDate}>
                         Reported: {new Date(payment.reportedAt).toLocaleDateString()}
                       </Text>
+                      {payment.settlement && (
+                        <Text style={styles.pendingPaymentDate}>Part of a settle-up payment</Text>
+                      )}
                     </View>
                   </View>
 
@@ -755,7 +796,9 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
                 <Text style={styles.dialogText}>
                   To:{' '}
                   <Text style={styles.dialogMemberName}>
-                    {selectedMember.recipient?.displayName || selectedMember.recipient?.email}
+                    {selectedMember.recipient
+                      ? selectedMember.recipient.displayName || selectedMember.recipient.email
+                      : 'Payee (paid directly)'}
                   </Text>
                 </Text>
 
@@ -0,0 +1,291 @@
+/**
+ * Finance Statement Screen
+ *
+ * Shows totals per currency for a date range and exports the full finance
+ * statement (matters, expected versus paid per member, payments) as CSV or
+ * PDF for mediators, lawyers and tax time.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView, Platform } from 'react-native';
+import { Card, Title, Text, Button, ActivityIndicator, Divider } from 'react-native-paper';
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import * as SecureStore from 'expo-secure-store';
+import api, { API_BASE_URL } from '../../services/api';
+import { CustomAlert } from '../../components/CustomAlert';
+import CustomNavigationHeader from '../../components/CustomNavigationHeader';
+import DateTimeSelector, { formatDateByType } from '../../components/DateTimeSelector';
+
+/**
+ * Format a date as YYYY-MM-DD for the statement query
+ */
+function toQueryDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * FinanceStatementScreen component
+ *
+ * @param {Object} props
+ * @param {Object} props.navigation - React Navigation navigation object
+ * @param {Object} props.route - React Navigation route object with groupId
+ * @returns {JSX.Element}
+ */
+export default function FinanceStatementScreen({ navigation, route }) {
+  const { groupId } = route.params;
+  const [fromDate, setFromDate] = useState(new Date(new Date().getFullYear(), 0, 1));
+  const [toDate, setToDate] = useState(new Date());
+  const [pickerField, setPickerField] = useState(null); // 'from' | 'to' | null
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(null); // 'csv' | 'pdf' | null
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadStatement();
+  }, [groupId, fromDate, toDate]);
+
+  const query = () => `from=${toQueryDate(fromDate)}&to=${toQueryDate(toDate)}`;
+
+  /**
+   * Load the statement totals for the selected range
+   */
+  const loadStatement = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await api.get(`/groups/${groupId}/finance/statement?${query()}`);
+      setStatement(response.data.statement);
+    } catch (err) {
+      console.error('Load finance statement error:', err);
+
+      if (err.isAuthError) {
+        return;
+      }
+
+      setError(err.response?.data?.message || 'Failed to load finance statement');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Download the statement as CSV or PDF and open the share sheet
+   */
+  const handleExport = async (format) => {
+    const fileName = `FinanceStatement_${toQueryDate(fromDate)}_${toQueryDate(toDate)}.${format}`;
+
+    try {
+      setExporting(format);
+
+      if (Platform.OS === 'web') {
+        const response = await api.get(
+          `/groups/${groupId}/finance/statement?${query()}&format=${format}`,
+          { responseType: 'blob' }
+        );
+        const url = window.URL.createObjectURL(response.data);
+        const link = window.document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        window.document.body.appendChild(link);
+        link.click();
+        window.document.body.removeChild(link);
+        window.URL.revokeObjectURL(url);
+        return;
+      }
+
+      const accessToken = await SecureStore.getItemAsync('accessToken');
+      const downloadResult = await FileSystem.downloadAsync(
+        `${API_BASE_URL}/groups/${groupId}/finance/statement?${query()}&format=${format}`,
+        FileSystem.cacheDirectory + fileName,
+        { headers: { Authorization: `Bearer ${accessToken}` } }
+      );
+
+      if (downloadResult.status !== 200) {
+        CustomAlert.alert('Error', 'Failed to export finance statement');
+        return;
+      }
+
+      if (await Sharing.isAvailableAsync()) {
+        await Sharing.shareAsync(downloadResult.uri, {
+          mimeType: format === 'pdf' ? 'application/pdf' : 'text/csv',
+        });
+      } else {
+        CustomAlert.alert('Success', 'Finance statement downloaded to cache');
+      }
+    } catch (err) {
+      console.error('Export finance statement error:', err);
+      CustomAlert.alert('Error', err.response?.data?.message || 'Failed to export finance statement');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  /**
+   * Apply a date from the picker to the range
+   */
+  const handleDateChange = (date) => {
+    if (pickerField === 'from') {
+      setFromDate(date);
+    } else {
+      setToDate(date);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <CustomNavigationHeader title="Finance Statement" onBack={() => navigation.goBack()} />
+
+      {error && (
+        <View style={styles.errorBanner}>
+          <Text style={styles.errorText}>{error}</Text>
+        </View>
+      )}
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Period</Title>
+            <View style={styles.dateRow}>
+              <Button mode="outlined" icon="calendar" onPress={() => setPickerField('from')} style={styles.dateButton}>
+                From: {formatDateByType(fromDate, 3)}
+              </Button>
+              <Button mode="outlined" icon="calendar" onPress={() => setPickerField('to')} style={styles.dateButton}>
+                To: {formatDateByType(toDate, 3)}
+              </Button>
+            </View>
+          </Card.Content>
+        </Card>
+
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Totals</Title>
+            {loading ? (
+              <ActivityIndicator style={styles.loader} color="#6200ee" />
+            ) : !statement || statement.totals.length === 0 ? (
+              <Text style={styles.emptySubtext}>No finance matters in this period</Text>
+            ) : (
+              statement.totals.map((totals) => (
+                <View key={totals.currency} style={styles.totalsBlock}>
+                  <Divider style={styles.divider} />
+                  <Text style={styles.currency}>
+                    {totals.currency} · {totals.matterCount} {totals.matterCount === 1 ? 'matter' : 'matters'}
+                  </Text>
+                  <Text style={styles.totalsText}>Expected: {totals.expected.toFixed(2)}</Text>
+                  <Text style={styles.totalsText}>Paid: {totals.paid.toFixed(2)}</Text>
+                  <Text style={styles.totalsText}>Outstanding: {totals.outstanding.toFixed(2)}</Text>
+                  {totals.pendingPayments > 0 && (
+                    <Text style={styles.pendingText}>
+                      Awaiting confirmation: {totals.pendingPayments.toFixed(2)}
+                    </Text>
+                  )}
+                </View>
+              ))
+            )}
+          </Card.Content>
+        </Card>
+
+        <View style={styles.exportRow}>
+          <Button
+            mode="contained"
+            icon="file-delimited"
+            onPress={() => handleExport('csv')}
+            loading={exporting === 'csv'}
+            disabled={!!exporting || loading}
+            style={styles.exportButton}
+          >
+            Export CSV
+          </Button>
+          <Button
+            mode="contained"
+            icon="file-pdf-box"
+            onPress={() => handleExport('pdf')}
+            loading={exporting === 'pdf'}
+            disabled={!!exporting || loading}
+            style={styles.exportButton}
+          >
+            Export PDF
+          </Button>
+        </View>
+      </ScrollView>
+
+      <DateTimeSelector
+        value={pickerField === 'from' ? fromDate : toDate}
+        onChange={handleDateChange}
+        format={3}
+        visible={!!pickerField}
+        onClose={() => setPickerField(null)}
+        title={pickerField === 'from' ? 'From' : 'To'}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  errorBanner: {
+    backgroundColor: '#ffebee',
+    padding: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ffcdd2',
+  },
+  errorText: {
+    color: '#d32f2f',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  content: {
+    padding: 16,
+  },
+  card: {
+    marginBottom: 12,
+    elevation: 2,
+  },
+  dateRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 8,
+  },
+  dateButton: {
+    flex: 1,
+  },
+  loader: {
+    marginVertical: 16,
+  },
+  totalsBlock: {
+    marginBottom: 4,
+  },
+  divider: {
+    marginVertical: 8,
+  },
+  currency: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  totalsText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  pendingText: {
+    fontSize: 13,
+    color: '#f57c00',
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: '#999',
+  },
+  exportRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  exportButton: {
+    flex: 1,
+  },
+});
@@ -0,0 +1,291 @@
+/**
+ * Recurring Finance Screen
+ *
+ * Lists repeating finance matters (child support, allowances, subscriptions)
+ * with their next period, and lets the creator or an admin:
+ * - Pause and resume a series (periods while paused are skipped)
+ * - End a series (finance matters already created are kept)
+ */
+
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, FlatList } from 'react-native';
+import { Card, Title, Text, Button, Chip, ActivityIndicator } from 'react-native-paper';
+import { useFocusEffect } from '@react-navigation/native';
+import api from '../../services/api';
+import { CustomAlert } from '../../components/CustomAlert';
+import CustomNavigationHeader from '../../components/CustomNavigationHeader';
+import { formatDateByType } from '../../components/DateTimeSelector';
+
+const STATUS_COLORS = {
+  active: '#2e7d32',
+  paused: '#f57c00',
+  ended: '#757575',
+};
+
+/**
+ * Describe an RRULE body in words (e.g. "Monthly", "Every 2 weeks")
+ */
+function describeSchedule(recurrencePattern) {
+  const freq = /FREQ=([A-Z]+)/i.exec(recurrencePattern)?.[1]?.toUpperCase();
+  const interval = parseInt(/INTERVAL=(\d+)/i.exec(recurrencePattern)?.[1] || '1', 10);
+  const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+  const labels = { DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly', YEARLY: 'Yearly' };
+
+  if (!freq || !units[freq]) return recurrencePattern;
+  return interval > 1 ? `Every ${interval} ${units[freq]}s` : labels[freq];
+}
+
+/**
+ * RecurringFinanceScreen component
+ *
+ * @param {Object} props
+ * @param {Object} props.navigation - React Navigation navigation object
+ * @param {Object} props.route - React Navigation route object with groupId
+ * @returns {JSX.Element}
+ */
+export default function RecurringFinanceScreen({ navigation, route }) {
+  const { groupId } = route.params;
+  const [templates, setTemplates] = useState([]);
+  const [userRole, setUserRole] = useState(null);
+  const [currentGroupMemberId, setCurrentGroupMemberId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadTemplates();
+    }, [groupId])
+  );
+
+  /**
+   * Load repeating finance matters and the current user's role
+   */
+  const loadTemplates = async () => {
+    try {
+      setError(null);
+      const [templatesResponse, groupResponse] = await Promise.all([
+        api.get(`/groups/${groupId}/finance/recurring`),
+        api.get(`/groups/${groupId}`),
+      ]);
+      setTemplates(templatesResponse.data.recurringFinanceMatters || []);
+      setUserRole(groupResponse.data.group?.userRole);
+      setCurrentGroupMemberId(groupResponse.data.group?.currentUserMember?.groupMemberId);
+    } catch (err) {
+      console.error('Load recurring finance matters error:', err);
+
+      if (err.isAuthError) {
+        return;
+      }
+
+      setError(err.response?.data?.message || 'Failed to load repeating finance matters');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Pause, resume or end a series
+   */
+  const changeStatus = (template, action) => {
+    const titles = { pause: 'Pause', resume: 'Resume', end: 'End Series' };
+    const messages = {
+      pause: `No new finance matters will be created for "${template.name}" until it is resumed.`,
+      resume: `Resume "${template.name}"? Periods missed while paused will be skipped.`,
+      end: `Stop "${template.name}" permanently? Finance matters already created are kept.`,
+    };
+
+    CustomAlert.alert(titles[action], messages[action], [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: titles[action],
+        style: action === 'end' ? 'destructive' : 'default',
+        onPress: async () => {
+          try {
+            await api.post(`/groups/${groupId}/finance/recurring/${template.recurringFinanceMatterId}/${action}`);
+            loadTemplates();
+          } catch (err) {
+            console.error(`${titles[action]} recurring finance matter error:`, err);
+            CustomAlert.alert('Error', err.response?.data?.message || `Failed to ${action} series`);
+          }
+        },
+      },
+    ]);
+  };
+
+  /**
+   * Render a repeating finance matter
+   */
+  const renderTemplate = ({ item }) => {
+    const canChange = item.status !== 'ended' &&
+      (userRole === 'admin' || item.createdBy === currentGroupMemberId);
+
+    return (
+      <Card style={[styles.card, item.status === 'ended' && styles.endedCard]}>
+        <Card.Content>
+          <View style={styles.titleRow}>
+            <Title style={styles.title}>{item.name}</Title>
+            <Chip
+              compact
+              textStyle={styles.statusChipText}
+              style={[styles.statusChip, { backgroundColor: STATUS_COLORS[item.status] }]}
+            >
+              {item.status.toUpperCase()}
+            </Chip>
+          </View>
+
+          <Text style={styles.amount}>
+            {item.currency} {item.totalAmount.toFixed(2)} · {describeSchedule(item.recurrencePattern)}
+          </Text>
+          <Text style={styles.detailText}>
+            {item.members.map((m) => `${m.groupMember.displayName} ${m.expectedPercentage}%`).join(', ')}
+          </Text>
+          {item.nextPeriodStart && (
+            <Text style={styles.detailText}>
+              Next: {formatDateByType(new Date(item.nextPeriodStart), 3)}
+            </Text>
+          )}
+          {item.endDate && (
+            <Text style={styles.detailText}>
+              Until: {formatDateByType(new Date(item.endDate), 3)}
+            </Text>
+          )}
+
+          {canChange && (
+            <View style={styles.actions}>
+              {item.status === 'paused' ? (
+                <Button mode="outlined" compact onPress={() => changeStatus(item, 'resume')}>
+                  Resume
+                </Button>
+              ) : (
+                <Button mode="outlined" compact onPress={() => changeStatus(item, 'pause')}>
+                  Pause
+                </Button>
+              )}
+              <Button mode="outlined" compact textColor="#d32f2f" onPress={() => changeStatus(item, 'end')}>
+                End Series
+              </Button>
+            </View>
+          )}
+        </Card.Content>
+      </Card>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.container}>
+        <CustomNavigationHeader title="Repeating Finance" onBack={() => navigation.goBack()} />
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#6200ee" />
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <CustomNavigationHeader title="Repeating Finance" onBack={() => navigation.goBack()} />
+
+      {error && (
+        <View style={styles.errorBanner}>
+          <Text style={styles.errorText}>{error}</Text>
+        </View>
+      )}
+
+      <FlatList
+        data={templates}
+        renderItem={renderTemplate}
+        keyExtractor={(item) => item.recurringFinanceMatterId}
+        contentContainerStyle={styles.listContent}
+        ListEmptyComponent={
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyText}>No repeating finance matters</Text>
+            <Text style={styles.emptySubtext}>
+              Choose a repeat option when creating a finance matter
+            </Text>
+          </View>
+        }
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  errorBanner: {
+    backgroundColor: '#ffebee',
+    padding: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ffcdd2',
+  },
+  errorText: {
+    color: '#d32f2f',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  listContent: {
+    padding: 16,
+  },
+  card: {
+    marginBottom: 12,
+    elevation: 2,
+  },
+  endedCard: {
+    opacity: 0.7,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    flex: 1,
+    fontSize: 18,
+  },
+  statusChip: {
+    height: 24,
+  },
+  statusChipText: {
+    color: '#fff',
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
+  amount: {
+    fontSize: 16,
+    fontWeight: '500',
+    marginTop: 4,
+  },
+  detailText: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 4,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 12,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingTop: 100,
+  },
+  emptyText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: '#666',
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,389 @@
+/**
+ * Settle Up Screen
+ *
+ * Shows the fewest transfers that settle open balances across all finance
+ * matters in a group (per currency), and lets members:
+ * - Report a settle-up payment for what they owe a transfer's recipient directly
+ * - Confirm or reject settle-up payments they received
+ */
+
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import { Card, Title, Text, Button, ActivityIndicator, Portal, Dialog, TextInput } from 'react-native-paper';
+import { useFocusEffect } from '@react-navigation/native';
+import api from '../../services/api';
+import { CustomAlert } from '../../components/CustomAlert';
+import CustomNavigationHeader from '../../components/CustomNavigationHeader';
+
+/**
+ * @typedef {Object} SettleUpScreenProps
+ * @property {Object} navigation - React Navigation navigation object
+ * @property {Object} route - React Navigation route object
+ */
+
+/**
+ * SettleUpScreen component
+ *
+ * @param {SettleUpScreenProps} props
+ * @returns {JSX.Element}
+ */
+export default function SettleUpScreen({ navigation, route }) {
+  const { groupId } = route.params;
+  const [settleUp, setSettleUp] = useState([]);
+  const [pendingSettlements, setPendingSettlements] = useState([]);
+  const [currentGroupMemberId, setCurrentGroupMemberId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedTransfer, setSelectedTransfer] = useState(null);
+  const [paymentAmount, setPaymentAmount] = useState('');
+  const [recordingPayment, setRecordingPayment] = useState(false);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadSettleUp();
+    }, [groupId])
+  );
+
+  /**
+   * Load the settle-up plan and pending settle-up payments
+   */
+  const loadSettleUp = async () => {
+    try {
+      setError(null);
+      const response = await api.get(`/groups/${groupId}/finance/settle-up`);
+      setSettleUp(response.data.settleUp || []);
+      setPendingSettlements(response.data.pendingSettlements || []);
+      setCurrentGroupMemberId(response.data.currentGroupMemberId);
+    } catch (err) {
+      console.error('Load settle-up error:', err);
+
+      if (err.isAuthError) {
+        return;
+      }
+
+      setError(err.response?.data?.message || 'Failed to load settle-up plan');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Open the payment dialog for a transfer
+   */
+  const handleRecordPayment = (currency, transfer) => {
+    setSelectedTransfer({ ...transfer, currency });
+    setPaymentAmount(transfer.settleableAmount.toFixed(2));
+  };
+
+  /**
+   * Report a settle-up payment
+   */
+  const submitPayment = async () => {
+    const amount = parseFloat(paymentAmount);
+    if (isNaN(amount) || amount <= 0) {
+      CustomAlert.alert('Error', 'Please enter a valid amount');
+      return;
+    }
+
+    if (amount > selectedTransfer.settleableAmount + 0.01) {
+      CustomAlert.alert('Error', `Payment cannot exceed ${selectedTransfer.settleableAmount.toFixed(2)}`);
+      return;
+    }
+
+    try {
+      setRecordingPayment(true);
+      await api.post(`/groups/${groupId}/finance/settle-up`, {
+        toMemberId: selectedTransfer.to.groupMemberId,
+        currency: selectedTransfer.currency,
+        amount: amount,
+      });
+
+      CustomAlert.alert(
+        'Success',
+        `Payment of ${selectedTransfer.currency} ${amount.toFixed(2)} reported to ${selectedTransfer.to.displayName}. Awaiting confirmation.`
+      );
+      setSelectedTransfer(null);
+      loadSettleUp();
+    } catch (err) {
+      console.error('Record settle-up payment error:', err);
+      CustomAlert.alert('Error', err.response?.data?.message || 'Failed to record payment');
+    } finally {
+      setRecordingPayment(false);
+    }
+  };
+
+  /**
+   * Confirm or reject a settle-up payment (through any of its matter payments)
+   */
+  const reviewSettlement = (settlement, action) => {
+    const payment = settlement.payments[0];
+    const isConfirm = action === 'confirm';
+
+    CustomAlert.alert(
+      isConfirm ? 'Confirm Payment' : 'Reject Payment',
+      isConfirm
+        ? `Confirm that you received ${settlement.currency} ${settlement.amount.toFixed(2)} from ${settlement.from.displayName}?`
+        : `Reject the payment of ${settlement.currency} ${settlement.amount.toFixed(2)} from ${settlement.from.displayName}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: isConfirm ? 'Confirm' : 'Reject',
+          style: isConfirm ? 'default' : 'destructive',
+          onPress: async () => {
+            try {
+              await api.post(
+                `/groups/${groupId}/finance-matters/${payment.financeMatterId}/payments/${payment.paymentId}/${action}`
+              );
+              loadSettleUp();
+            } catch (err) {
+              console.error('Review settle-up payment error:', err);
+              CustomAlert.alert('Error', err.response?.data?.message || `Failed to ${action} payment`);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Render one currency's balances and transfers
+   */
+  const renderCurrency = (plan) => (
+    <Card key={plan.currency} style={styles.card}>
+      <Card.Content>
+        <Title>{plan.currency}</Title>
+
+        {plan.transfers.length === 0 ? (
+          <Text style={styles.emptySubtext}>Nothing to settle</Text>
+        ) : (
+          plan.transfers.map((transfer) => {
+            const isPayer = transfer.from.groupMemberId === currentGroupMemberId;
+            return (
+              <View
+                key={`${transfer.from.groupMemberId}-${transfer.to.groupMemberId}`}
+                style={styles.transferRow}
+              >
+                <View style={styles.transferInfo}>
+                  <Text style={styles.transferNames}>
+                    {transfer.from.displayName} → {transfer.to.displayName}
+                  </Text>
+                  <Text style={styles.transferAmount}>
+                    {plan.currency} {transfer.amount.toFixed(2)}
+                  </Text>
+                  {isPayer && transfer.settleableAmount < transfer.amount && (
+                    <Text style={styles.emptySubtext}>
+                      {transfer.settleableAmount > 0
+                        ? `Only ${plan.currency} ${transfer.settleableAmount.toFixed(2)} is owed to ${transfer.to.displayName} directly; settle the rest with the members you owe`
+                        : `Nothing is owed to ${transfer.to.displayName} directly; settle with the members you owe`}
+                    </Text>
+                  )}
+                </View>
+                {isPayer && transfer.settleableAmount > 0 && (
+                  <Button mode="contained" compact onPress={() => handleRecordPayment(plan.currency, transfer)}>
+                    Pay
+                  </Button>
+                )}
+              </View>
+            );
+          })
+        )}
+      </Card.Content>
+    </Card>
+  );
+
+  /**
+   * Render a settle-up payment awaiting confirmation
+   */
+  const renderPendingSettlement = (settlement) => {
+    const isRecipient = settlement.to.groupMemberId === currentGroupMemberId;
+    const matterCount = new Set(settlement.payments.map((p) => p.financeMatterId)).size;
+    return (
+      <Card key={settlement.settlementId} style={styles.card}>
+        <Card.Content>
+          <Text style={styles.transferNames}>
+            {settlement.from.displayName} → {settlement.to.displayName}
+          </Text>
+          <Text style={styles.transferAmount}>
+            {settlement.currency} {settlement.amount.toFixed(2)}
+          </Text>
+          <Text style={styles.emptySubtext}>
+            Split across {matterCount} finance {matterCount === 1 ? 'matter' : 'matters'}
+          </Text>
+          {isRecipient ? (
+            <View style={styles.reviewButtons}>
+              <Button mode="contained" compact onPress={() => reviewSettlement(settlement, 'confirm')}>
+                Confirm
+              </Button>
+              <Button mode="outlined" compact textColor="#d32f2f" onPress={() => reviewSettlement(settlement, 'reject')}>
+                Reject
+              </Button>
+            </View>
+          ) : (
+            <Text style={styles.awaitingText}>Awaiting confirmation</Text>
+          )}
+        </Card.Content>
+      </Card>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.container}>
+        <CustomNavigationHeader title="Settle Up" onBack={() => navigation.goBack()} />
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#6200ee" />
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <CustomNavigationHeader title="Settle Up" onBack={() => navigation.goBack()} />
+
+      {error && (
+        <View style={styles.errorBanner}>
+          <Text style={styles.errorText}>{error}</Text>
+        </View>
+      )}
+
+      <ScrollView contentContainerStyle={styles.content}>
+        {settleUp.length === 0 && pendingSettlements.length === 0 && (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyText}>All settled up</Text>
+            <Text style={styles.emptySubtext}>No open balances between members</Text>
+          </View>
+        )}
+
+        {settleUp.map(renderCurrency)}
+
+        {pendingSettlements.length > 0 && (
+          <>
+            <Text style={styles.sectionTitle}>Awaiting Confirmation</Text>
+            {pendingSettlements.map(renderPendingSettlement)}
+          </>
+        )}
+      </ScrollView>
+
+      <Portal>
+        <Dialog visible={!!selectedTransfer} onDismiss={() => setSelectedTransfer(null)}>
+          <Dialog.Title>Settle Up</Dialog.Title>
+          <Dialog.Content>
+            {selectedTransfer && (
+              <>
+                <Text style={styles.dialogText}>
+                  To: <Text style={styles.transferNames}>{selectedTransfer.to.displayName}</Text>
+                </Text>
+                <Text style={styles.dialogText}>
+                  Owed: {selectedTransfer.currency} {selectedTransfer.settleableAmount.toFixed(2)}
+                </Text>
+                <TextInput
+                  label="Payment Amount"
+                  value={paymentAmount}
+                  onChangeText={setPaymentAmount}
+                  keyboardType="numeric"
+                  mode="outlined"
+                  disabled={recordingPayment}
+                  left={<TextInput.Affix text={selectedTransfer.currency} />}
+                />
+              </>
+            )}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setSelectedTransfer(null)} disabled={recordingPayment}>
+              Cancel
+            </Button>
+            <Button onPress={submitPayment} loading={recordingPayment} disabled={recordingPayment}>
+              Record Payment
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  errorBanner: {
+    backgroundColor: '#ffebee',
+    padding: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ffcdd2',
+  },
+  errorText: {
+    color: '#d32f2f',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  content: {
+    padding: 16,
+  },
+  card: {
+    marginBottom: 12,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#666',
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  transferRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  transferInfo: {
+    flex: 1,
+  },
+  transferNames: {
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  transferAmount: {
+    fontSize: 16,
+    color: '#2e7d32',
+    fontWeight: '500',
+  },
+  reviewButtons: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 8,
+  },
+  awaitingText: {
+    marginTop: 8,
+    fontSize: 13,
+    color: '#f57c00',
+  },
+  dialogText: {
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingTop: 100,
+  },
+  emptyText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: '#666',
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: '#999',
+  },
+});
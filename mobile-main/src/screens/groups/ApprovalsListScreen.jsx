@@ -5,6 +5,9 @@
  * 1. Approvals awaiting your action (with Approve/Reject buttons)
  * 2. Approvals you have made awaiting the action of others (with Cancel button)
  * 3. All canceled, rejected or approved approvals (read-only)
+ *
+ * Approvals that change existing values (calendar events, group settings)
+ * show the proposed changes as a before/after diff.
  */
 
 import React, { useState } from 'react';
@@ -140,6 +143,32 @@ export default function ApprovalsListScreen({ navigation, route }) {
       .join(' ');
   };
 
+  /**
+   * Format a value in a proposed change
+   */
+  const formatChangeValue = (value) => {
+    if (value === null || value === undefined || value === '') return 'None';
+    if (typeof value === 'boolean') return value ? 'On' : 'Off';
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+      return new Date(value).toLocaleString();
+    }
+    return String(value);
+  };
+
+  /**
+   * Describe when a pending approval runs out of time and what happens then
+   */
+  const formatExpiry = (expiresAt, expiryOutcome) => {
+    const outcomeText = {
+      reject: 'rejected if undecided',
+      approve: 'approved if undecided',
+      escalate: 'final call if undecided',
+      fallback_majority: 'decided by the votes cast',
+    }[expiryOutcome] || 'closed if undecided';
+
+    return `Expires ${new Date(expiresAt).toLocaleString()} · ${outcomeText}`;
+  };
+
   /**
    * Format date for display
    */
@@ -198,6 +227,8 @@ export default function ApprovalsListScreen({ navigation, route }) {
         return 'Approved';
       case 'reject':
         return 'Rejected';
+      case 'counter':
+        return 'Countered';
       case 'pending':
         return 'Pending';
       default:
@@ -209,8 +240,10 @@ export default function ApprovalsListScreen({ navigation, route }) {
    * Render an approval card
    */
   const renderApprovalCard = (approval, type) => {
-    const { approvalType, requester, requestedAt, status, description } = approval;
+    const { approvalType, requester, requestedAt, status, description, changes, expiresAt, expiryOutcome } = approval;
     const adminStatuses = getAdminVoteStatuses(approval);
+    // Swap requests are answered by the other parent rather than voted on
+    const isSwap = approvalType === 'swap_responsibility';
 
     // Get card background color based on completion status
     let cardStyle = styles.approvalCard;
@@ -251,11 +284,29 @@ export default function ApprovalsListScreen({ navigation, route }) {
             {description && (
               <Text style={styles.approvalDescription}>{description}</Text>
             )}
+            {expiresAt && (
+              <Text style={[styles.expiryText, expiryOutcome === 'fallback_majority' && styles.escalatedText]}>
+                {formatExpiry(expiresAt, expiryOutcome)}
+              </Text>
+            )}
+            {changes?.length > 0 && (
+              <View style={styles.changesList}>
+                {changes.map(change => (
+                  <View key={change.field} style={styles.changeRow}>
+                    <Text style={styles.changeLabel}>{change.label}</Text>
+                    {change.from !== null && (
+                      <Text style={styles.changeFrom}>{formatChangeValue(change.from)}</Text>
+                    )}
+                    <Text style={styles.changeTo}>{formatChangeValue(change.to)}</Text>
+                  </View>
+                ))}
+              </View>
+            )}
           </View>
 
           {/* Admin Vote Statuses */}
           <View style={styles.adminVotesSection}>
-            <Text style={styles.adminVotesTitle}>Admin Votes:</Text>
+            <Text style={styles.adminVotesTitle}>{isSwap ? 'Response:' : 'Admin Votes:'}</Text>
             {adminStatuses.map(admin => (
               <View key={admin.groupMemberId} style={styles.adminVoteRow}>
                 <UserAvatar
@@ -286,7 +337,7 @@ export default function ApprovalsListScreen({ navigation, route }) {
                 buttonColor="#d32f2f"
                 style={styles.actionButton}
               >
-                Reject
+                {isSwap ? 'Decline' : 'Reject'}
               </Button>
               <Button
                 mode="contained"
@@ -294,7 +345,7 @@ export default function ApprovalsListScreen({ navigation, route }) {
                 buttonColor="#4caf50"
                 style={styles.actionButton}
               >
-                Approve
+                {isSwap ? 'Accept' : 'Approve'}
               </Button>
             </View>
           )}
@@ -489,6 +540,38 @@ const styles = StyleSheet.create({
     color: '#666',
     lineHeight: 20,
   },
+  expiryText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 6,
+  },
+  escalatedText: {
+    color: '#e65100',
+    fontWeight: 'bold',
+  },
+  changesList: {
+    marginTop: 8,
+    padding: 8,
+    backgroundColor: '#fafafa',
+    borderRadius: 4,
+  },
+  changeRow: {
+    marginBottom: 6,
+  },
+  changeLabel: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  changeFrom: {
+    fontSize: 13,
+    color: '#d32f2f',
+    textDecorationLine: 'line-through',
+  },
+  changeTo: {
+    fontSize: 13,
+    color: '#388e3c',
+  },
   votingProgress: {
     marginBottom: 12,
   },
@@ -184,6 +184,20 @@ export default function AutoApproveSettingsScreen({ navigation, route }) {
           <Text style={styles.sectionTitle}>Group Settings</Text>
           {renderPermissionToggle(admin, 'canChangeGroupSettings', 'Change Group Settings')}
           <Text style={styles.settingsNote}>Includes call recording settings and other group configurations</Text>
+
+          <Divider style={styles.divider} />
+
+          <Text style={styles.sectionTitle}>Relationships</Text>
+          {renderPermissionToggle(admin, 'canAssignRelationships', 'Add Relationships')}
+          {renderPermissionToggle(admin, 'canChangeRelationships', 'Change or Remove Relationships')}
+
+          <Divider style={styles.divider} />
+
+          <Text style={styles.sectionTitle}>Calendar</Text>
+          {renderPermissionToggle(admin, 'canCreateCalendarEvents', 'Create and Edit Events')}
+          <Text style={styles.settingsNote}>Only applies when calendar changes require approval</Text>
+          {renderPermissionToggle(admin, 'canAssignChildrenToEvents', 'Responsibility Swaps')}
+          <Text style={styles.settingsNote}>Accepts this admin's swap requests with you automatically</Text>
         </Card.Content>
       </Card>
     );
@@ -0,0 +1,427 @@
+/**
+ * Family Tree Screen
+ *
+ * Shows group members by generation with the relationships between them
+ * (spouse, parent, sibling, ...). Admins, parents and adults can add, change
+ * and remove relationships; changes that need admin approval show up in
+ * Approvals until enough admins approve them.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import {
+  Card,
+  Title,
+  Text,
+  Button,
+  Chip,
+  Divider,
+  List,
+  ActivityIndicator,
+  Portal,
+  Dialog,
+} from 'react-native-paper';
+import api from '../../services/api';
+import { CustomAlert } from '../../components/CustomAlert';
+import UserAvatar from '../../components/shared/UserAvatar';
+import CustomNavigationHeader from '../../components/CustomNavigationHeader';
+
+const MANAGING_ROLES = ['admin', 'parent', 'adult'];
+
+/**
+ * FamilyTreeScreen component
+ *
+ * @param {Object} props
+ * @param {Object} props.navigation - React Navigation navigation object
+ * @param {Object} props.route - React Navigation route object with groupId
+ * @returns {JSX.Element}
+ */
+export default function FamilyTreeScreen({ navigation, route }) {
+  const { groupId } = route.params;
+
+  const [members, setMembers] = useState([]);
+  const [relationships, setRelationships] = useState([]);
+  const [relationshipTypes, setRelationshipTypes] = useState([]);
+  const [tree, setTree] = useState({ generations: [], unconnected: [] });
+  const [userRole, setUserRole] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Add/edit dialog: { relationshipId?, memberId1, memberId2, relationshipType }
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadRelationships();
+  }, [groupId]);
+
+  /**
+   * Load members, relationships and the tree layout
+   */
+  const loadRelationships = async () => {
+    try {
+      setError(null);
+      const [relationshipsResponse, groupResponse] = await Promise.all([
+        api.get(`/groups/${groupId}/relationships`),
+        api.get(`/groups/${groupId}`),
+      ]);
+
+      setMembers(relationshipsResponse.data.members);
+      setRelationships(relationshipsResponse.data.relationships);
+      setRelationshipTypes(relationshipsResponse.data.relationshipTypes);
+      setTree(relationshipsResponse.data.tree);
+      setUserRole(groupResponse.data.group.userRole);
+    } catch (err) {
+      console.error('Load relationships error:', err);
+
+      if (err.isAuthError) {
+        return;
+      }
+
+      setError(err.response?.data?.message || 'Failed to load relationships');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const canManage = MANAGING_ROLES.includes(userRole);
+  const membersById = new Map(members.map(member => [member.groupMemberId, member]));
+
+  /**
+   * Show the outcome of a change: applied, or waiting for admin approval
+   */
+  const handleChangeResult = (response, appliedMessage) => {
+    setDraft(null);
+    CustomAlert.alert(
+      response.data.requiresApproval ? 'Approval Required' : 'Success',
+      response.data.requiresApproval
+        ? 'This change has been sent to the group admins for approval'
+        : appliedMessage
+    );
+    loadRelationships();
+  };
+
+  /**
+   * Save the relationship in the dialog
+   */
+  const handleSave = async () => {
+    if (!draft.memberId1 || !draft.memberId2 || !draft.relationshipType) {
+      CustomAlert.alert('Validation Error', 'Choose both members and how they are related');
+      return;
+    }
+
+    if (draft.memberId1 === draft.memberId2) {
+      CustomAlert.alert('Validation Error', 'Choose two different members');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const body = {
+        memberId1: draft.memberId1,
+        memberId2: draft.memberId2,
+        relationshipType: draft.relationshipType,
+      };
+      const response = draft.relationshipId
+        ? await api.put(`/groups/${groupId}/relationships/${draft.relationshipId}`, body)
+        : await api.post(`/groups/${groupId}/relationships`, body);
+      handleChangeResult(response, draft.relationshipId ? 'Relationship updated' : 'Relationship added');
+    } catch (err) {
+      console.error('Save relationship error:', err);
+      if (!err.isAuthError) {
+        CustomAlert.alert('Error', err.response?.data?.message || 'Failed to save relationship');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Remove the relationship in the dialog
+   */
+  const handleRemove = () => {
+    CustomAlert.alert(
+      'Remove Relationship',
+      'Are you sure you want to remove this relationship?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setSaving(true);
+              const response = await api.delete(`/groups/${groupId}/relationships/${draft.relationshipId}`);
+              handleChangeResult(response, 'Relationship removed');
+            } catch (err) {
+              console.error('Remove relationship error:', err);
+              if (!err.isAuthError) {
+                CustomAlert.alert('Error', err.response?.data?.message || 'Failed to remove relationship');
+              }
+            } finally {
+              setSaving(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Render a member node in the tree
+   */
+  const renderNode = (memberId) => {
+    const member = membersById.get(memberId);
+    if (!member) return null;
+
+    return (
+      <View key={memberId} style={styles.node}>
+        <UserAvatar
+          size={44}
+          profilePhotoUrl={member.profilePhotoUrl}
+          memberIcon={member.iconLetters}
+          iconColor={member.iconColor || '#6200ee'}
+          displayName={member.displayName}
+        />
+        <Text style={styles.nodeName} numberOfLines={1}>{member.displayName}</Text>
+      </View>
+    );
+  };
+
+  /**
+   * Render a row of member chips for the dialog
+   */
+  const renderMemberChoices = (field) => (
+    <View style={styles.chipRow}>
+      {members.map(member => (
+        <Chip
+          key={member.groupMemberId}
+          selected={draft[field] === member.groupMemberId}
+          onPress={() => setDraft({ ...draft, [field]: member.groupMemberId })}
+          style={styles.chip}
+          disabled={!!draft.relationshipId}
+        >
+          {member.displayName}
+        </Chip>
+      ))}
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.container}>
+        <CustomNavigationHeader title="Family Tree" onBack={() => navigation.goBack()} />
+        <ActivityIndicator style={styles.loader} size="large" color="#6200ee" />
+      </View>
+    );
+  }
+
+  const selectedType = draft && relationshipTypes.find(t => t.type === draft.relationshipType);
+
+  return (
+    <View style={styles.container}>
+      <CustomNavigationHeader title="Family Tree" onBack={() => navigation.goBack()} />
+
+      {error && (
+        <View style={styles.errorBanner}>
+          <Text style={styles.errorText}>{error}</Text>
+        </View>
+      )}
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <Card style={styles.card}>
+          <Card.Content>
+            {tree.generations.length === 0 ? (
+              <Text style={styles.emptyText}>No relationships yet</Text>
+            ) : (
+              tree.generations.map((generation, index) => (
+                <View key={index}>
+                  {index > 0 && <View style={styles.connector} />}
+                  <View style={styles.generation}>{generation.map(renderNode)}</View>
+                </View>
+              ))
+            )}
+            {tree.unconnected.length > 0 && (
+              <>
+                <Divider style={styles.divider} />
+                <Text style={styles.subtitle}>Not yet related</Text>
+                <View style={styles.generation}>{tree.unconnected.map(renderNode)}</View>
+              </>
+            )}
+          </Card.Content>
+        </Card>
+
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Relationships</Title>
+            {relationships.length === 0 && (
+              <Text style={styles.emptyText}>Add how members are related to build the tree</Text>
+            )}
+            {relationships.map(relationship => (
+              <List.Item
+                key={relationship.relationshipId}
+                title={relationship.description}
+                left={(props) => <List.Icon {...props} icon="account-heart" />}
+                onPress={canManage ? () => setDraft({
+                  relationshipId: relationship.relationshipId,
+                  memberId1: relationship.memberId1,
+                  memberId2: relationship.memberId2,
+                  relationshipType: relationship.relationshipType,
+                }) : undefined}
+              />
+            ))}
+            {canManage && (
+              <Button
+                mode="contained"
+                icon="plus"
+                onPress={() => setDraft({ memberId1: null, memberId2: null, relationshipType: null })}
+                style={styles.addButton}
+              >
+                Add Relationship
+              </Button>
+            )}
+          </Card.Content>
+        </Card>
+      </ScrollView>
+
+      <Portal>
+        <Dialog visible={!!draft} onDismiss={() => setDraft(null)}>
+          <Dialog.Title>{draft?.relationshipId ? 'Edit Relationship' : 'Add Relationship'}</Dialog.Title>
+          <Dialog.ScrollArea>
+            {draft && (
+              <ScrollView contentContainerStyle={styles.dialogContent}>
+                <Text style={styles.dialogLabel}>Member</Text>
+                {renderMemberChoices('memberId1')}
+
+                <Text style={styles.dialogLabel}>is the</Text>
+                <View style={styles.chipRow}>
+                  {relationshipTypes.map(type => (
+                    <Chip
+                      key={type.type}
+                      selected={draft.relationshipType === type.type}
+                      onPress={() => setDraft({ ...draft, relationshipType: type.type })}
+                      style={styles.chip}
+                    >
+                      {type.label}
+                    </Chip>
+                  ))}
+                </View>
+
+                <Text style={styles.dialogLabel}>of</Text>
+                {renderMemberChoices('memberId2')}
+
+                {draft.relationshipId && selectedType && !selectedType.symmetric && (
+                  <Button
+                    mode="text"
+                    icon="swap-vertical"
+                    onPress={() => setDraft({ ...draft, memberId1: draft.memberId2, memberId2: draft.memberId1 })}
+                  >
+                    Reverse
+                  </Button>
+                )}
+              </ScrollView>
+            )}
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            {draft?.relationshipId && (
+              <Button onPress={handleRemove} textColor="#d32f2f" disabled={saving}>
+                Remove
+              </Button>
+            )}
+            <Button onPress={() => setDraft(null)} disabled={saving}>
+              Cancel
+            </Button>
+            <Button onPress={handleSave} loading={saving} disabled={saving}>
+              Save
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loader: {
+    marginTop: 32,
+  },
+  errorBanner: {
+    backgroundColor: '#ffebee',
+    padding: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ffcdd2',
+  },
+  errorText: {
+    color: '#d32f2f',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  content: {
+    padding: 16,
+  },
+  card: {
+    marginBottom: 12,
+    elevation: 2,
+  },
+  generation: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 12,
+  },
+  connector: {
+    alignSelf: 'center',
+    width: 2,
+    height: 20,
+    backgroundColor: '#ccc',
+    marginVertical: 4,
+  },
+  node: {
+    alignItems: 'center',
+    width: 72,
+  },
+  nodeName: {
+    fontSize: 12,
+    marginTop: 4,
+    textAlign: 'center',
+  },
+  divider: {
+    marginVertical: 12,
+  },
+  subtitle: {
+    fontSize: 13,
+    color: '#777',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    marginVertical: 8,
+  },
+  addButton: {
+    marginTop: 12,
+  },
+  dialogContent: {
+    paddingVertical: 8,
+  },
+  dialogLabel: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chip: {
+    marginBottom: 4,
+  },
+});
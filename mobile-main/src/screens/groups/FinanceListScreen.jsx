@@ -3,12 +3,14 @@
  *
  * Displays all finance matters within a group.
  * Users can click on a finance matter to see details.
+ * A summary card shows the user's running balance across all matters
+ * and links to the group's settle-up plan.
  * "Create Finance Request" button visibility is based on role permissions.
  */
 
 import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, FlatList, TouchableOpacity } from 'react-native';
-import { Card, Title, Text, Avatar, Chip, Badge, ActivityIndicator } from 'react-native-paper';
+import { Card, Title, Text, Avatar, Chip, Badge, ActivityIndicator, Button } from 'react-native-paper';
 import SafeAreaFAB from '../../components/SafeAreaFAB';
 import { useFocusEffect } from '@react-navigation/native';
 import api from '../../services/api';
@@ -35,6 +37,7 @@ export default function FinanceListScreen({ navigation, route }) {
   const [groupInfo, setGroupInfo] = useState(null);
   const [userRole, setUserRole] = useState(null);
   const [canCreate, setCanCreate] = useState(false);
+  const [myBalances, setMyBalances] = useState([]);
 
   useEffect(() => {
     loadGroupInfo();
@@ -87,6 +90,7 @@ export default function FinanceListScreen({ navigation, route }) {
       setError(null);
       const response = await api.get(`/groups/${groupId}/finance-matters`);
       setFinanceMatters(response.data.financeMatters || []);
+      loadMyBalances();
     } catch (err) {
       console.error('Load finance matters error:', err);
 
@@ -102,6 +106,22 @@ export default function FinanceListScreen({ navigation, route }) {
     }
   };
 
+  /**
+   * Load the current user's running balance (per currency) across matters
+   */
+  const loadMyBalances = async () => {
+    try {
+      const response = await api.get(`/groups/${groupId}/finance/balances`);
+      const mine = (response.data.balances || []).find(
+        (b) => b.groupMemberId === response.data.currentGroupMemberId
+      );
+      setMyBalances(mine?.currencies || []);
+    } catch (err) {
+      console.error('Load finance balances error:', err);
+      setMyBalances([]);
+    }
+  };
+
   /**
    * Navigate to finance matter details screen
    */
@@ -143,9 +163,11 @@ export default function FinanceListScreen({ navigation, route }) {
 
   /**
    * Calculate pending amount for a finance matter
+   * Uses the server's outstandingAmount (unpaid shares) when available
    */
   const calculatePendingAmount = (financeMatter) => {
     if (financeMatter.isSettled) return 0;
+    if (financeMatter.outstandingAmount !== undefined) return financeMatter.outstandingAmount;
 
     const totalPaid = financeMatter.members?.reduce((sum, member) => {
       return sum + (parseFloat(member.paidAmount) || 0);
@@ -160,7 +182,7 @@ export default function FinanceListScreen({ navigation, route }) {
    */
   const renderFinanceMatter = ({ item }) => {
     const pendingAmount = calculatePendingAmount(item);
-    const isOverdue = item.dueDate && new Date(item.dueDate) < new Date() && !item.isSettled;
+    const isOverdue = item.isOverdue ?? (item.dueDate && new Date(item.dueDate) < new Date() && !item.isSettled);
 
     return (
       <TouchableOpacity
@@ -183,6 +205,11 @@ export default function FinanceListScreen({ navigation, route }) {
                       Canceled
                     </Chip>
                   )}
+                  {isOverdue && (
+                    <Chip mode="outlined" style={styles.canceledChip} textStyle={styles.canceledChipText}>
+                      Overdue
+                    </Chip>
+                  )}
                 </View>
                 {item.description && (
                   <Text style={styles.description} numberOfLines={2}>
@@ -241,6 +268,68 @@ export default function FinanceListScreen({ navigation, route }) {
     );
   };
 
+  /**
+   * Render the current user's balance summary
+   */
+  const renderBalanceSummary = () => {
+    const openBalances = myBalances.filter((b) => Math.abs(b.balance) > 0.01);
+    if (openBalances.length === 0) return null;
+
+    return (
+      <Card style={styles.card}>
+        <Card.Content>
+          <Text style={styles.balanceTitle}>My Balance</Text>
+          {openBalances.map((b) => (
+            <View key={b.currency} style={styles.balanceRow}>
+              <Text style={[styles.balanceAmount, b.balance < 0 ? styles.overdueText : styles.creditText]}>
+                {b.currency} {Math.abs(b.balance).toFixed(2)} {b.balance < 0 ? 'owed' : 'in credit'}
+              </Text>
+              {b.overdue > 0 && (
+                <Text style={styles.overdueText}>{b.currency} {b.overdue.toFixed(2)} overdue</Text>
+              )}
+            </View>
+          ))}
+          <Button
+            mode="outlined"
+            icon="swap-horizontal"
+            onPress={() => navigation.navigate('SettleUp', { groupId })}
+            style={styles.settleUpButton}
+            compact
+          >
+            Settle Up
+          </Button>
+        </Card.Content>
+      </Card>
+    );
+  };
+
+  /**
+   * Render the list header (repeating matters and statement links, balance summary)
+   */
+  const renderListHeader = () => (
+    <>
+      <View style={styles.headerLinks}>
+        <Button
+          mode="text"
+          icon="repeat"
+          onPress={() => navigation.navigate('RecurringFinance', { groupId })}
+          compact
+        >
+          Repeating
+        </Button>
+        <Button
+          mode="text"
+          icon="file-document-outline"
+          onPress={() => navigation.navigate('FinanceStatement', { groupId })}
+          compact
+        >
+          Statement
+        </Button>
+      </View>
+      {renderBalanceSummary()}
+    </>
+  );
+
   /**
    * Render empty state
    */
@@ -288,6 +377,7 @@ export default function FinanceListScreen({ navigation, route }) {
         renderItem={renderFinanceMatter}
         keyExtractor={(item) => item.financeMatterId}
         contentContainerStyle={styles.listContent}
+        ListHeaderComponent={renderListHeader}
         ListEmptyComponent={renderEmptyState}
       />
 
@@ -408,6 +498,33 @@ const styles = StyleSheet.create({
     color: '#d32f2f',
     fontWeight: 'bold',
   },
+  balanceTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#666',
+    marginBottom: 4,
+  },
+  balanceRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+  },
+  balanceAmount: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  creditText: {
+    color: '#2e7d32',
+  },
+  settleUpButton: {
+    marginTop: 8,
+    alignSelf: 'flex-start',
+  },
+  headerLinks: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginBottom: 8,
+  },
   badgeContainer: {
     justifyContent: 'flex-start',
     alignItems: 'center',
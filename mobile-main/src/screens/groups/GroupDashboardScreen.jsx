@@ -329,6 +329,13 @@ export default function GroupDashboardScreen({ navigation, route }) {
     navigation.navigate('Finance', { groupId });
   };
 
+  /**
+   * Navigate to Search
+   */
+  const goToSearch = () => {
+    navigation.navigate('GroupSearch', { groupId });
+  };
+
   /**
    * Navigate to Group Settings
    */
@@ -398,6 +405,7 @@ export default function GroupDashboardScreen({ navigation, route }) {
       <CustomNavigationHeader
         title={groupInfo?.name || "Group Dashboard"}
         onBack={() => navigation.navigate('Groups')}
+        rightButtons={groupInfo ? [{ icon: 'magnify', onPress: goToSearch }] : []}
       />
 
       {loading ? (
@@ -251,9 +251,15 @@ export default function GroupSettingsScreen({ navigation, route }) {
       const response = await api.put(`/groups/${groupId}/settings`, groupSettings);
 
       // Show appropriate message based on whether approval is required
-      const title = response.data.pendingApproval ? 'Approval Required' : 'Success';
+      const needsApproval = response.data.pendingApproval || response.data.pendingSettingsApproval;
+      const title = needsApproval ? 'Approval Required' : 'Success';
       const message = response.data.message || 'Group settings saved successfully';
       CustomAlert.alert(title, message);
+
+      // Settings waiting for approval haven't changed yet
+      if (response.data.pendingSettingsApproval) {
+        await loadGroupSettings();
+      }
     } catch (err) {
       console.error('Save group settings error:', err);
 
@@ -286,6 +292,12 @@ export default function GroupSettingsScreen({ navigation, route }) {
         defaultCurrency: currencyCode,
       });
 
+      if (response.data.pendingSettingsApproval) {
+        await loadGroupSettings();
+        CustomAlert.alert('Approval Required', response.data.message);
+        return;
+      }
+
       CustomAlert.alert('Success', response.data.message || `Default currency changed to ${currencyCode}`);
     } catch (err) {
       console.error('Change currency error:', err);
@@ -1141,16 +1153,25 @@ export default function GroupSettingsScreen({ navigation, route }) {
         <Card.Content>
           <View style={styles.sectionHeader}>
             <Title style={styles.sectionTitle}>Members</Title>
-            {userRole === 'admin' && (
+            <View style={styles.sectionActions}>
               <IconButton
-                icon="account-plus"
-                mode="contained"
-                iconColor="#fff"
-                containerColor="#6200ee"
+                icon="family-tree"
+                mode="outlined"
+                iconColor="#6200ee"
                 size={20}
-                onPress={handleInviteMember}
+                onPress={() => navigation.navigate('FamilyTree', { groupId })}
               />
-            )}
+              {userRole === 'admin' && (
+                <IconButton
+                  icon="account-plus"
+                  mode="contained"
+                  iconColor="#fff"
+                  containerColor="#6200ee"
+                  size={20}
+                  onPress={handleInviteMember}
+                />
+              )}
+            </View>
           </View>
 
           {userRole === 'admin' && (
@@ -1274,6 +1295,47 @@ export default function GroupSettingsScreen({ navigation, route }) {
         </Card>
       )}
 
+      {/* Approval Requirements Section (Admin Only) */}
+      {userRole === 'admin' && groupSettings && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title style={styles.sectionTitle}>Approval Requirements</Title>
+            <Text style={styles.sectionDescription}>
+              Require more than 50% of admins to approve changes. Useful when admins disagree about the calendar or how the group is run.
+            </Text>
+            <Divider style={styles.divider} />
+
+            <View style={styles.settingRow}>
+              <Text style={styles.settingLabel}>Calendar Event Changes</Text>
+              <Switch
+                value={groupSettings.calendarChangesRequireApproval ?? false}
+                onValueChange={(value) => handleToggleSetting('calendarChangesRequireApproval', value)}
+                disabled={savingSettings}
+              />
+            </View>
+
+            <View style={styles.settingRow}>
+              <Text style={styles.settingLabel}>Group Settings Changes</Text>
+              <Switch
+                value={groupSettings.settingsChangesRequireApproval ?? false}
+                onValueChange={(value) => handleToggleSetting('settingsChangesRequireApproval', value)}
+                disabled={savingSettings}
+              />
+            </View>
+
+            <Button
+              mode="contained"
+              onPress={handleSaveSettings}
+              loading={savingSettings}
+              disabled={savingSettings}
+              style={styles.saveButton}
+            >
+              Save Approval Requirements
+            </Button>
+          </Card.Content>
+        </Card>
+      )}
+
       {/* Group Permissions Section (Admin Only) */}
       {userRole === 'admin' && groupSettings && (
         <Card style={styles.card}>
@@ -1445,6 +1507,10 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: 8,
   },
+  sectionActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   sectionTitle: {
     fontSize: 18,
     fontWeight: 'bold',
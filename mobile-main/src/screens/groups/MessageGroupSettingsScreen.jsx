@@ -19,13 +19,23 @@ import {
   Text,
   Avatar,
   IconButton,
-  Switch
+  Switch,
+  Chip
 } from 'react-native-paper';
 import { useFocusEffect } from '@react-navigation/native';
 import api from '../../services/api';
 import { getContrastTextColor } from '../../utils/colorUtils';
 import CustomNavigationHeader from '../../components/CustomNavigationHeader';
 
+// How long senders can edit a message after sending (0 = editing off)
+const EDIT_WINDOW_OPTIONS = [
+  { minutes: 0, label: 'Off' },
+  { minutes: 5, label: '5 min' },
+  { minutes: 15, label: '15 min' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 1440, label: '24 hours' },
+];
+
 /**
  * @typedef {Object} MessageGroupSettingsScreenProps
  * @property {Object} navigation - React Navigation navigation object
@@ -53,6 +63,7 @@ export default function MessageGroupSettingsScreen({ navigation, route }) {
   const [userRole, setUserRole] = useState(null);
   const [usersCanDeleteOwnMessages, setUsersCanDeleteOwnMessages] = useState(true);
   const [originalUsersCanDelete, setOriginalUsersCanDelete] = useState(true);
+  const [editWindowMinutes, setEditWindowMinutes] = useState(15);
 
   useFocusEffect(
     React.useCallback(() => {
@@ -74,6 +85,7 @@ export default function MessageGroupSettingsScreen({ navigation, route }) {
       setIsHidden(messageGroup.isHidden || false);
       setUsersCanDeleteOwnMessages(messageGroup.usersCanDeleteOwnMessages !== undefined ? messageGroup.usersCanDeleteOwnMessages : true);
       setOriginalUsersCanDelete(messageGroup.usersCanDeleteOwnMessages !== undefined ? messageGroup.usersCanDeleteOwnMessages : true);
+      setEditWindowMinutes(messageGroup.editWindowMinutes !== undefined ? messageGroup.editWindowMinutes : 15);
 
       // Set user role
       setUserRole(response.data.userRole);
@@ -161,6 +173,25 @@ export default function MessageGroupSettingsScreen({ navigation, route }) {
     }
   };
 
+  /**
+   * Save the message edit window setting
+   */
+  const handleSelectEditWindow = async (minutes) => {
+    const previousValue = editWindowMinutes;
+    setEditWindowMinutes(minutes); // Optimistic update
+
+    try {
+      await api.put(`/groups/${groupId}/message-groups/${messageGroupId}`, {
+        editWindowMinutes: minutes
+      });
+    } catch (err) {
+      console.error('Update setting error:', err);
+      // Revert on error
+      setEditWindowMinutes(previousValue);
+      CustomAlert.alert('Error', err.response?.data?.message || 'Failed to update setting');
+    }
+  };
+
   /**
    * Add member to message group
    */
@@ -339,6 +370,25 @@ export default function MessageGroupSettingsScreen({ navigation, route }) {
             disabled={isHidden}
           />
         </View>
+        <View style={styles.editWindowLabel}>
+          <Text style={styles.settingLabel}>Message editing</Text>
+          <Text style={styles.settingHelpText}>
+            How long senders can edit a message after sending. Earlier versions are kept and shown in the edit history.
+          </Text>
+        </View>
+        <View style={styles.chipRow}>
+          {EDIT_WINDOW_OPTIONS.map(option => (
+            <Chip
+              key={option.minutes}
+              selected={editWindowMinutes === option.minutes}
+              onPress={() => handleSelectEditWindow(option.minutes)}
+              disabled={isHidden}
+              style={styles.chip}
+            >
+              {option.label}
+            </Chip>
+          ))}
+        </View>
       </View>
 
       <Divider />
@@ -512,4 +562,16 @@ const styles = StyleSheet.create({
     color: '#666',
     lineHeight: 16,
   },
+  editWindowLabel: {
+    paddingTop: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingVertical: 8,
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
 });
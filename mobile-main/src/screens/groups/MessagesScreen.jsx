@@ -34,7 +34,9 @@ if (Platform.OS === 'web') {
 const hasEmojiPicker = Platform.OS === 'web' ? WebEmojiPicker !== null : NativeEmojiPicker !== null;
 import api from '../../services/api';
 import activeScreenService from '../../services/activeScreen.service';
+import realtimeService from '../../services/realtime.service';
 import { getContrastTextColor } from '../../utils/colorUtils';
+import { addMessageToList, collapseThreads } from '../../utils/messageThreads';
 import MediaPicker from '../../components/shared/MediaPicker';
 import ImageViewer from '../../components/shared/ImageViewer';
 import VideoPlayer from '../../components/shared/VideoPlayer';
@@ -43,6 +45,7 @@ import AudioRecorder from '../../components/AudioRecorder';
 import AudioPlayer from '../../components/AudioPlayer';
 import { uploadFile, uploadMultipleFiles, getFileUrl } from '../../services/upload.service';
 import CustomNavigationHeader from '../../components/CustomNavigationHeader';
+import DateTimeSelector, { formatDateByType } from '../../components/DateTimeSelector';
 
 /**
  * @typedef {Object} MessagesScreenProps
@@ -87,9 +90,29 @@ export default function MessagesScreen({ navigation, route }) {
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
   const [showReactionPicker, setShowReactionPicker] = useState(false);
   const [reactionTargetMessage, setReactionTargetMessage] = useState(null);
+  const [realtimeConnected, setRealtimeConnected] = useState(realtimeService.isConnected());
+  const [editingMessage, setEditingMessage] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [savingEdit, setSavingEdit] = useState(false);
+  const [historyMessage, setHistoryMessage] = useState(null);
+  const [revisions, setRevisions] = useState([]);
+  const [loadingRevisions, setLoadingRevisions] = useState(false);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [threadRootId, setThreadRootId] = useState(null);
+  const [threadMessages, setThreadMessages] = useState([]);
+  const [loadingThread, setLoadingThread] = useState(false);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [scheduledMessages, setScheduledMessages] = useState([]);
+  const [showScheduledList, setShowScheduledList] = useState(false);
+  const [scheduleTarget, setScheduleTarget] = useState(null); // 'new' or the scheduled message being moved
+  const [editingScheduled, setEditingScheduled] = useState(null);
+  const [scheduledEditText, setScheduledEditText] = useState('');
+  const [savingScheduled, setSavingScheduled] = useState(false);
   const mediaPickerRef = useRef(null);
   const flatListRef = useRef(null);
   const inputRef = useRef(null);
+  const draftLoadedRef = useRef(false);
+  const lastSavedDraftRef = useRef('');
 
   // Calculate max height for input (50% of screen height)
   const screenHeight = Dimensions.get('window').height;
@@ -207,15 +230,156 @@ export default function MessagesScreen({ navigation, route }) {
     loadMessages();
   }, [messageGroupId, loadMessages]);
 
-  // Real-time polling: Check for new messages every 3 seconds (only when screen is focused)
+  /**
+   * Load your draft and scheduled messages for this message group
+   */
+  const loadComposerState = async () => {
+    draftLoadedRef.current = false;
+    try {
+      const [draftResponse, scheduledResponse] = await Promise.all([
+        api.get(`/groups/${groupId}/message-groups/${messageGroupId}/draft`),
+        api.get(`/groups/${groupId}/message-groups/${messageGroupId}/scheduled-messages`),
+      ]);
+
+      const draft = draftResponse.data.draft;
+      if (draft) {
+        lastSavedDraftRef.current = draft.content;
+        // Don't overwrite anything typed while loading
+        setNewMessage(current => current || draft.content);
+        setSelectedMentions(current => (current.length > 0 ? current : draft.mentions || []));
+      }
+      setScheduledMessages(scheduledResponse.data.scheduledMessages || []);
+    } catch (err) {
+      // Supervisors and non-members have no composer - nothing to load
+      if (err.response?.status !== 403) {
+        console.error('Load draft error:', err);
+      }
+    } finally {
+      draftLoadedRef.current = true;
+    }
+  };
+
+  useEffect(() => {
+    loadComposerState();
+  }, [groupId, messageGroupId]);
+
+  // Save the draft a second after typing stops, so it follows you to other devices
+  useEffect(() => {
+    if (!draftLoadedRef.current || userRole === 'supervisor' || !isMember) {
+      return undefined;
+    }
+    if (newMessage === lastSavedDraftRef.current) {
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        await api.put(`/groups/${groupId}/message-groups/${messageGroupId}/draft`, {
+          content: newMessage,
+          mentions: selectedMentions,
+          replyToId: replyingTo?.messageId || null,
+        });
+        lastSavedDraftRef.current = newMessage;
+      } catch (err) {
+        console.error('Save draft error:', err);
+      }
+    }, 1000);
+
+    return () => clearTimeout(timer);
+  }, [newMessage, groupId, messageGroupId, userRole, isMember]);
+
+  // Latest loader for realtime handlers, so the subscription isn't recreated on every render
+  const loadMessagesRef = useRef(loadMessages);
+  loadMessagesRef.current = loadMessages;
+
+  /**
+   * Apply an event pushed over the realtime channel
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  const handleRealtimeEvent = useCallback((event, data) => {
+    switch (event) {
+      case 'new_message':
+        setMessages(prev => addMessageToList(prev, data.message));
+        // Scheduled messages that were due have been sent by now
+        setScheduledMessages(prev => prev.filter(s => (
+          s.status !== 'scheduled' || new Date(s.scheduledFor) > new Date()
+        )));
+        // Keep an open thread view current (its first message is the thread root)
+        setThreadMessages(prev => (
+          prev.length > 0 && prev[0].messageId === data.message.threadRootId
+            ? addMessageToList(prev, data.message)
+            : prev
+        ));
+        scrollToBottom();
+        break;
+
+      case 'messages_read':
+        setMessages(prev => prev.map(m => {
+          if (!data.messageIds.includes(m.messageId)) return m;
+          const receipts = m.readReceipts || [];
+          if (receipts.some(r => r.groupMemberId === data.receipt.groupMemberId)) return m;
+          return { ...m, readReceipts: [...receipts, data.receipt] };
+        }));
+        break;
+
+      case 'message_edited':
+        setMessages(prev => prev.map(m => (
+          m.messageId === data.message.messageId ? { ...m, ...data.message } : m
+        )));
+        setThreadMessages(prev => prev.map(m => (
+          m.messageId === data.message.messageId ? { ...m, ...data.message } : m
+        )));
+        break;
+
+      case 'message_hidden':
+      case 'message_unhidden':
+      case 'reaction_added':
+      case 'reaction_removed':
+        // Visibility and reactions depend on role and profile data, so refetch
+        loadMessagesRef.current(true);
+        break;
+
+      default:
+        break;
+    }
+  }, [scrollToBottom]);
+
+  // Real-time updates: subscribe to pushed events while the screen is focused
   useFocusEffect(
     useCallback(() => {
+      const unsubscribeConnection = realtimeService.onConnectionChange((connected) => {
+        setRealtimeConnected(connected);
+        // Catch up on anything missed while disconnected
+        if (connected) {
+          loadMessagesRef.current(true);
+        }
+      });
+      const unsubscribe = realtimeService.subscribe(
+        { channel: 'message-group', groupId, messageGroupId },
+        handleRealtimeEvent
+      );
+
+      return () => {
+        unsubscribeConnection();
+        unsubscribe();
+      };
+    }, [groupId, messageGroupId, handleRealtimeEvent])
+  );
+
+  // Fallback polling: Check for new messages every 3 seconds while the realtime channel is down
+  useFocusEffect(
+    useCallback(() => {
+      if (realtimeConnected) {
+        return undefined;
+      }
+
       const pollInterval = setInterval(() => {
         loadMessages(true); // true = silent refresh (no loading spinner)
       }, 3000); // Poll every 3 seconds
 
       return () => clearInterval(pollInterval);
-    }, [loadMessages])
+    }, [loadMessages, realtimeConnected])
   );
 
   // Track active message group for notification suppression
@@ -613,6 +777,45 @@ export default function MessagesScreen({ navigation, route }) {
     );
   };
 
+  /**
+   * Build the request body for the message being composed
+   * @returns {Object}
+   */
+  const buildMessagePayload = () => {
+    const payload = {
+      content: newMessage.trim() || ' ', // Backend requires content, use space if only media
+      mentions: selectedMentions,
+    };
+
+    if (replyingTo) {
+      payload.replyToId = replyingTo.messageId;
+    }
+
+    // Add media file IDs if any
+    if (attachedMedia.length > 0) {
+      payload.mediaFiles = attachedMedia.map(m => ({
+        fileId: m.fileId,
+        mimeType: m.mimeType || (m.type === 'image' ? 'image/jpeg' : 'video/mp4'),
+        fileSizeBytes: m.fileSizeBytes || 0,
+        durationMs: m.duration || null, // Duration in ms for audio/video
+      }));
+    }
+
+    return payload;
+  };
+
+  /**
+   * Clear the composer once its message has been sent or scheduled
+   * The server discards the draft, so there is nothing left to save.
+   */
+  const clearComposer = () => {
+    lastSavedDraftRef.current = '';
+    setNewMessage('');
+    setSelectedMentions([]);
+    setAttachedMedia([]);
+    setReplyingTo(null);
+  };
+
   /**
    * Send a new message
    */
@@ -629,28 +832,11 @@ export default function MessagesScreen({ navigation, route }) {
       setSending(true);
       setError(null);
 
-      const payload = {
-        content: newMessage.trim() || ' ', // Backend requires content, use space if only media
-        mentions: selectedMentions,
-      };
-
-      // Add media file IDs if any
-      if (attachedMedia.length > 0) {
-        payload.mediaFiles = attachedMedia.map(m => ({
-          fileId: m.fileId,
-          mimeType: m.mimeType || (m.type === 'image' ? 'image/jpeg' : 'video/mp4'),
-          fileSizeBytes: m.fileSizeBytes || 0,
-          durationMs: m.duration || null, // Duration in ms for audio/video
-        }));
-      }
-
-      const response = await api.post(`/groups/${groupId}/message-groups/${messageGroupId}/messages`, payload);
+      const response = await api.post(`/groups/${groupId}/message-groups/${messageGroupId}/messages`, buildMessagePayload());
 
-      // Add new message to list
-      setMessages([...messages, response.data.message]);
-      setNewMessage('');
-      setSelectedMentions([]);
-      setAttachedMedia([]);
+      // Add new message to list (the realtime channel may have added it already)
+      setMessages(prev => addMessageToList(prev, response.data.message));
+      clearComposer();
 
       // Scroll to bottom
       setTimeout(() => {
@@ -671,6 +857,137 @@ export default function MessagesScreen({ navigation, route }) {
     }
   };
 
+  /**
+   * Default time offered when scheduling: the next hour
+   * @returns {Date}
+   */
+  const getDefaultScheduleTime = () => {
+    const date = new Date();
+    date.setHours(date.getHours() + 1, 0, 0, 0);
+    return date;
+  };
+
+  /**
+   * Handle the time picked for a new or existing scheduled message
+   * @param {Date} date - Delivery time
+   */
+  const handleScheduleTimeSelected = async (date) => {
+    const target = scheduleTarget;
+    if (!target) return;
+
+    if (target === 'new') {
+      await handleScheduleMessage(date);
+    } else {
+      await updateScheduledMessage(target, { scheduledFor: date.toISOString() });
+    }
+  };
+
+  /**
+   * Schedule the message being composed
+   * @param {Date} date - Delivery time
+   */
+  const handleScheduleMessage = async (date) => {
+    try {
+      setSending(true);
+      setError(null);
+
+      const response = await api.post(
+        `/groups/${groupId}/message-groups/${messageGroupId}/scheduled-messages`,
+        { ...buildMessagePayload(), scheduledFor: date.toISOString() }
+      );
+
+      setScheduledMessages(prev => [...prev, response.data.scheduledMessage]
+        .sort((a, b) => new Date(a.scheduledFor) - new Date(b.scheduledFor)));
+      clearComposer();
+
+      CustomAlert.alert('Message Scheduled', `It will be sent ${formatDateByType(date, 1)}.`);
+    } catch (err) {
+      console.error('Schedule message error:', err);
+      if (!err.isAuthError) {
+        CustomAlert.alert('Error', err.response?.data?.message || 'Failed to schedule message');
+      }
+    } finally {
+      setSending(false);
+    }
+  };
+
+  /**
+   * Change a scheduled message that hasn't been sent
+   * @param {Object} scheduled - The scheduled message
+   * @param {Object} changes - content and/or scheduledFor
+   * @returns {Promise<boolean>} Whether it was saved
+   */
+  const updateScheduledMessage = async (scheduled, changes) => {
+    try {
+      setSavingScheduled(true);
+      const response = await api.put(
+        `/groups/${groupId}/message-groups/${messageGroupId}/scheduled-messages/${scheduled.scheduledMessageId}`,
+        changes
+      );
+
+      const updated = response.data.scheduledMessage;
+      setScheduledMessages(prev => prev
+        .map(s => (s.scheduledMessageId === updated.scheduledMessageId ? updated : s))
+        .sort((a, b) => new Date(a.scheduledFor) - new Date(b.scheduledFor)));
+      return true;
+    } catch (err) {
+      console.error('Update scheduled message error:', err);
+      if (!err.isAuthError) {
+        CustomAlert.alert('Error', err.response?.data?.message || 'Failed to update scheduled message');
+        // It may have been sent meanwhile
+        loadComposerState();
+      }
+      return false;
+    } finally {
+      setSavingScheduled(false);
+    }
+  };
+
+  /**
+   * Save the text of the scheduled message being edited
+   */
+  const handleSaveScheduledEdit = async () => {
+    if (!editingScheduled) return;
+
+    const saved = await updateScheduledMessage(editingScheduled, { content: scheduledEditText });
+    if (saved) {
+      setEditingScheduled(null);
+      setScheduledEditText('');
+    }
+  };
+
+  /**
+   * Cancel a scheduled message (after confirmation)
+   * @param {Object} scheduled - The scheduled message
+   */
+  const handleCancelScheduled = (scheduled) => {
+    CustomAlert.alert(
+      'Cancel Scheduled Message',
+      'This message will not be sent.',
+      [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Cancel Message',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await api.delete(
+                `/groups/${groupId}/message-groups/${messageGroupId}/scheduled-messages/${scheduled.scheduledMessageId}`
+              );
+              setScheduledMessages(prev => prev.filter(s => s.scheduledMessageId !== scheduled.scheduledMessageId));
+            } catch (err) {
+              console.error('Cancel scheduled message error:', err);
+              if (!err.isAuthError) {
+                CustomAlert.alert('Error', err.response?.data?.message || 'Failed to cancel scheduled message');
+                loadComposerState();
+              }
+            }
+          },
+        },
+      ]
+    );
+  };
+
   /**
    * Format message timestamp
    * If today: "10:23am"
@@ -841,17 +1158,176 @@ export default function MessagesScreen({ navigation, route }) {
     }
   };
 
+  /**
+   * Whether the current user can still edit a message
+   * Senders can edit within the message group's edit window (0 = editing off)
+   * @param {Object} message - The message object
+   * @returns {boolean}
+   */
+  const canEditMessage = (message) => {
+    const editWindowMinutes = groupInfo?.editWindowMinutes || 0;
+    if (!message.messageId || message.isHidden || editWindowMinutes === 0) return false;
+    if (message.sender?.groupMemberId !== currentUserMemberId) return false;
+    if (userRole === 'supervisor' || !isMember) return false;
+
+    const deadline = new Date(message.createdAt).getTime() + editWindowMinutes * 60 * 1000;
+    return Date.now() < deadline;
+  };
+
+  /**
+   * Open the edit dialog for the long-pressed message
+   */
+  const handleStartEdit = () => {
+    if (!longPressedMessage) return;
+
+    setMenuVisible(false);
+    setEditingMessage(longPressedMessage);
+    setEditText(longPressedMessage.content.trim());
+    setLongPressedMessage(null);
+  };
+
+  /**
+   * Save an edited message
+   */
+  const handleSaveEdit = async () => {
+    if (!editingMessage) return;
+
+    try {
+      setSavingEdit(true);
+      const response = await api.put(
+        `/groups/${groupId}/message-groups/${messageGroupId}/messages/${editingMessage.messageId}`,
+        { content: editText }
+      );
+
+      const edited = response.data.message;
+      setMessages(prev => prev.map(msg =>
+        msg.messageId === edited.messageId ? { ...msg, ...edited } : msg
+      ));
+
+      setEditingMessage(null);
+      setEditText('');
+    } catch (err) {
+      console.error('Edit message error:', err);
+      if (!err.isAuthError) {
+        CustomAlert.alert('Error', err.response?.data?.message || 'Failed to edit message');
+      }
+    } finally {
+      setSavingEdit(false);
+    }
+  };
+
+  /**
+   * Show a message's edit history
+   * @param {Object} message - The edited message
+   */
+  const openEditHistory = async (message) => {
+    setMenuVisible(false);
+    setLongPressedMessage(null);
+    setHistoryMessage(message);
+    setRevisions([]);
+
+    try {
+      setLoadingRevisions(true);
+      const response = await api.get(
+        `/groups/${groupId}/message-groups/${messageGroupId}/messages/${message.messageId}/revisions`
+      );
+      setRevisions(response.data.revisions || []);
+    } catch (err) {
+      console.error('Load edit history error:', err);
+      setHistoryMessage(null);
+      if (!err.isAuthError) {
+        CustomAlert.alert('Error', err.response?.data?.message || 'Failed to load edit history');
+      }
+    } finally {
+      setLoadingRevisions(false);
+    }
+  };
+
+  /**
+   * Reply to the long-pressed message
+   */
+  const handleStartReply = () => {
+    if (!longPressedMessage) return;
+
+    setMenuVisible(false);
+    setReplyingTo(longPressedMessage);
+    setLongPressedMessage(null);
+    inputRef.current?.focus();
+  };
+
+  /**
+   * Briefly highlight a message (after jumping to it)
+   * @param {string} messageId
+   */
+  const highlightMessage = (messageId) => {
+    setHighlightedMessageId(messageId);
+    setTimeout(() => {
+      setHighlightedMessageId(current => (current === messageId ? null : current));
+    }, 2000);
+  };
+
+  /**
+   * Open the thread view for a thread
+   * @param {string} rootId - First message of the thread
+   */
+  const openThread = async (rootId) => {
+    setThreadRootId(rootId);
+    setThreadMessages([]);
+
+    try {
+      setLoadingThread(true);
+      const response = await api.get(
+        `/groups/${groupId}/message-groups/${messageGroupId}/messages?threadId=${rootId}&limit=500`
+      );
+      setThreadMessages(response.data.messages || []);
+    } catch (err) {
+      console.error('Load thread error:', err);
+      setThreadRootId(null);
+      if (!err.isAuthError) {
+        CustomAlert.alert('Error', err.response?.data?.message || 'Failed to load thread');
+      }
+    } finally {
+      setLoadingThread(false);
+    }
+  };
+
+  /**
+   * Jump to the message a reply quotes
+   * Scrolls to it when it is in the list, otherwise opens its thread
+   * @param {Object} message - The reply
+   * @param {boolean} inThread - Whether the reply is shown in the thread view
+   */
+  const handleQuotePress = (message, inThread) => {
+    const quotedId = message.replyTo.messageId;
+
+    if (inThread) {
+      highlightMessage(quotedId);
+      return;
+    }
+
+    const index = displayedMessages.findIndex(m => m.messageId === quotedId);
+    if (index >= 0) {
+      flatListRef.current?.scrollToIndex({ index, animated: true, viewPosition: 0.5 });
+      highlightMessage(quotedId);
+    } else {
+      openThread(message.threadRootId || quotedId);
+    }
+  };
+
   /**
    * Render message item
+   * @param {Object} params
+   * @param {Object} params.item - The message
+   * @param {boolean} [params.inThread] - Rendered in the thread view
    */
-  const renderMessage = ({ item }) => {
+  const renderMessage = ({ item, inThread = false }) => {
     const isMyMessage = item.sender?.groupMemberId === currentUserMemberId;
     const isHidden = item.isHidden || false;
     const isSingleEmoji = isSingleEmojiMessage(item.content);
 
     return (
       <TouchableOpacity
-        onLongPress={() => handleLongPress(item)}
+        onLongPress={inThread ? undefined : () => handleLongPress(item)}
         activeOpacity={0.7}
       >
         <View style={[
@@ -864,7 +1340,8 @@ export default function MessagesScreen({ navigation, route }) {
               styles.messageBubble,
               isMyMessage ? styles.messageBubbleRight : styles.messageBubbleLeft,
               isHidden && styles.messageBubbleHidden,
-              isSingleEmoji && styles.messageBubbleSingleEmoji
+              isSingleEmoji && styles.messageBubbleSingleEmoji,
+              highlightedMessageId === item.messageId && styles.messageBubbleHighlighted
             ]}>
               {isHidden && userRole === 'admin' && (
                 <View style={styles.hiddenIndicator}>
@@ -873,6 +1350,18 @@ export default function MessagesScreen({ navigation, route }) {
                 </View>
               )}
 
+              {/* Quoted message this one replies to - tap to jump to it */}
+              {item.replyTo && (
+                <TouchableOpacity style={styles.quoteBlock} onPress={() => handleQuotePress(item, inThread)}>
+                  <Text style={styles.quoteSender} numberOfLines={1}>
+                    {item.replyTo.senderName}
+                  </Text>
+                  <Text style={styles.quoteText} numberOfLines={2}>
+                    {item.replyTo.content ?? 'Hidden message'}
+                  </Text>
+                </TouchableOpacity>
+              )}
+
               {/* Render attached media */}
               {item.media && item.media.length > 0 && (
                 <View style={styles.mediaContainer}>
@@ -936,6 +1425,11 @@ export default function MessagesScreen({ navigation, route }) {
                     {item.sender?.displayName || 'Unknown'}
                   </Text>
                   <View style={styles.timeAndReceipt}>
+                    {item.editedAt && (
+                      <TouchableOpacity onPress={() => openEditHistory(item)}>
+                        <Text style={styles.editedLabel}>edited</Text>
+                      </TouchableOpacity>
+                    )}
                     <Text style={styles.messageTime}>{formatTime(item.createdAt)}</Text>
                     {isMyMessage && renderReadReceipt(item)}
                   </View>
@@ -951,6 +1445,22 @@ export default function MessagesScreen({ navigation, route }) {
                   {isMyMessage && renderReadReceipt(item)}
                 </View>
               )}
+
+              {/* Thread links - open the whole side-conversation */}
+              {!inThread && item.collapsedReplyCount > 0 && (
+                <TouchableOpacity onPress={() => openThread(item.threadRootId)}>
+                  <Text style={styles.threadLink}>
+                    {item.collapsedReplyCount} earlier {item.collapsedReplyCount === 1 ? 'reply' : 'replies'} in thread
+                  </Text>
+                </TouchableOpacity>
+              )}
+              {!inThread && item.replyCount > 0 && (
+                <TouchableOpacity onPress={() => openThread(item.messageId)}>
+                  <Text style={styles.threadLink}>
+                    {item.replyCount} {item.replyCount === 1 ? 'reply' : 'replies'}
+                  </Text>
+                </TouchableOpacity>
+              )}
             </View>
 
             {/* Render reactions */}
@@ -1088,6 +1598,32 @@ export default function MessagesScreen({ navigation, route }) {
 
     return (
       <View>
+        {/* Your messages waiting to be sent */}
+        {scheduledMessages.length > 0 && (
+          <TouchableOpacity style={styles.scheduledBanner} onPress={() => setShowScheduledList(true)}>
+            <IconButton icon="clock-outline" size={18} iconColor="#6200ee" style={styles.scheduledBannerIcon} />
+            <Text style={styles.scheduledBannerText}>
+              {scheduledMessages.length} scheduled {scheduledMessages.length === 1 ? 'message' : 'messages'}
+              {scheduledMessages.some(s => s.status === 'failed') ? ' (not sent)' : ''}
+            </Text>
+          </TouchableOpacity>
+        )}
+
+        {/* Message being replied to */}
+        {replyingTo && (
+          <View style={styles.replyPreview}>
+            <View style={styles.replyPreviewText}>
+              <Text style={styles.quoteSender} numberOfLines={1}>
+                Replying to {replyingTo.sender?.displayName || 'Unknown'}
+              </Text>
+              <Text style={styles.quoteText} numberOfLines={1}>
+                {replyingTo.content}
+              </Text>
+            </View>
+            <IconButton icon="close" size={18} onPress={() => setReplyingTo(null)} />
+          </View>
+        )}
+
         {/* Show attached media preview */}
         {attachedMedia.length > 0 && (
           <ScrollView horizontal style={styles.attachedMediaContainer}>
@@ -1185,6 +1721,16 @@ export default function MessagesScreen({ navigation, route }) {
                 }}
                 title="Record Audio"
               />
+              <MenuDivider />
+              <Menu.Item
+                leadingIcon="clock-outline"
+                onPress={() => {
+                  setMoreMenuVisible(false);
+                  setScheduleTarget('new');
+                }}
+                title="Schedule Message"
+                disabled={!newMessage.trim() && attachedMedia.length === 0}
+              />
               {/* Add Emoji - available on all platforms with emoji picker */}
               {hasEmojiPicker && (
                 <>
@@ -1231,6 +1777,9 @@ export default function MessagesScreen({ navigation, route }) {
     );
   };
 
+  // Long side-conversations are collapsed into their thread view
+  const displayedMessages = collapseThreads(messages);
+
   if (loading) {
     return (
       <View style={styles.container}>
@@ -1284,6 +1833,27 @@ export default function MessagesScreen({ navigation, route }) {
               </TouchableOpacity>
             )}
 
+            {userRole !== 'supervisor' && isMember && !isHidden && (
+              <TouchableOpacity style={styles.menuItem} onPress={handleStartReply}>
+                <IconButton icon="reply" size={20} />
+                <Text style={styles.menuItemText}>Reply</Text>
+              </TouchableOpacity>
+            )}
+
+            {canEditMessage(longPressedMessage) && (
+              <TouchableOpacity style={styles.menuItem} onPress={handleStartEdit}>
+                <IconButton icon="pencil" size={20} />
+                <Text style={styles.menuItemText}>Edit Message</Text>
+              </TouchableOpacity>
+            )}
+
+            {longPressedMessage.editedAt && (
+              <TouchableOpacity style={styles.menuItem} onPress={() => openEditHistory(longPressedMessage)}>
+                <IconButton icon="history" size={20} />
+                <Text style={styles.menuItemText}>View Edit History</Text>
+              </TouchableOpacity>
+            )}
+
             {/* Hide/Unhide option for admins or own messages */}
             {userRole === 'admin' && !isHidden && (
               <TouchableOpacity style={styles.menuItem} onPress={handleHideMessage}>
@@ -1322,6 +1892,278 @@ export default function MessagesScreen({ navigation, route }) {
     );
   };
 
+  /**
+   * Render the edit message dialog
+   */
+  const renderEditModal = () => {
+    if (!editingMessage) return null;
+
+    const closeEdit = () => {
+      setEditingMessage(null);
+      setEditText('');
+    };
+
+    return (
+      <Modal
+        visible={true}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={closeEdit}
+      >
+        <View style={styles.menuOverlay}>
+          <View style={styles.dialogContainer}>
+            <Text style={styles.menuTitle}>Edit Message</Text>
+            <TextInput
+              mode="outlined"
+              value={editText}
+              onChangeText={setEditText}
+              multiline
+              style={styles.editInput}
+              autoFocus
+            />
+            <Text style={styles.dialogNote}>
+              Everyone in this conversation can see that the message was edited and view the original.
+            </Text>
+            <View style={styles.dialogActions}>
+              <TouchableOpacity style={styles.menuItem} onPress={closeEdit} disabled={savingEdit}>
+                <Text style={[styles.menuItemText, styles.dialogCancelText]}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.menuItem}
+                onPress={handleSaveEdit}
+                disabled={savingEdit || editText.trim() === editingMessage.content.trim()}
+              >
+                {savingEdit ? (
+                  <ActivityIndicator size="small" color="#6200ee" />
+                ) : (
+                  <Text style={[styles.menuItemText, styles.saveText]}>Save</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    );
+  };
+
+  /**
+   * Render the edit history dialog (oldest version first)
+   */
+  const renderHistoryModal = () => {
+    if (!historyMessage) return null;
+
+    return (
+      <Modal
+        visible={true}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => setHistoryMessage(null)}
+      >
+        <TouchableOpacity
+          style={styles.menuOverlay}
+          activeOpacity={1}
+          onPress={() => setHistoryMessage(null)}
+        >
+          <View style={styles.dialogContainer}>
+            <Text style={styles.menuTitle}>Edit History</Text>
+            <MenuDivider />
+            {loadingRevisions ? (
+              <ActivityIndicator style={styles.historyLoading} color="#6200ee" />
+            ) : (
+              <ScrollView style={styles.historyList}>
+                {revisions.map(revision => (
+                  <View key={revision.revisionNumber} style={styles.historyItem}>
+                    <Text style={styles.historyLabel}>
+                      {revision.revisionNumber === 1 ? 'Original' : `Edit ${revision.revisionNumber - 1}`}
+                      {revision.isCurrent ? ' (current)' : ''} · {formatTime(revision.createdAt)}
+                    </Text>
+                    <Text style={styles.historyContent}>{revision.content}</Text>
+                  </View>
+                ))}
+              </ScrollView>
+            )}
+            <MenuDivider />
+            <TouchableOpacity style={styles.menuItem} onPress={() => setHistoryMessage(null)}>
+              <Text style={[styles.menuItemText, styles.cancelText]}>Close</Text>
+            </TouchableOpacity>
+          </View>
+        </TouchableOpacity>
+      </Modal>
+    );
+  };
+
+  /**
+   * Render the thread view (a side-conversation, oldest first)
+   */
+  const renderThreadModal = () => {
+    if (!threadRootId) return null;
+
+    const canReply = userRole !== 'supervisor' && isMember && threadMessages.length > 0;
+
+    return (
+      <Modal
+        visible={true}
+        animationType="slide"
+        onRequestClose={() => setThreadRootId(null)}
+      >
+        <View style={styles.container}>
+          <CustomNavigationHeader
+            title="Thread"
+            onBack={() => setThreadRootId(null)}
+          />
+          {loadingThread ? (
+            <View style={styles.loadingContainer}>
+              <ActivityIndicator size="large" color="#6200ee" />
+            </View>
+          ) : (
+            <FlatList
+              data={threadMessages}
+              renderItem={({ item }) => renderMessage({ item, inThread: true })}
+              keyExtractor={(item) => item.messageId}
+              contentContainerStyle={styles.messagesList}
+            />
+          )}
+          {canReply && (
+            <TouchableOpacity
+              style={styles.threadReplyButton}
+              onPress={() => {
+                setReplyingTo(threadMessages[threadMessages.length - 1]);
+                setThreadRootId(null);
+                inputRef.current?.focus();
+              }}
+            >
+              <IconButton icon="reply" size={20} iconColor="#6200ee" />
+              <Text style={styles.threadReplyText}>Reply in thread</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </Modal>
+    );
+  };
+
+  /**
+   * Render your scheduled messages for this message group, soonest first
+   */
+  const renderScheduledModal = () => {
+    if (!showScheduledList) return null;
+
+    return (
+      <Modal
+        visible={true}
+        animationType="slide"
+        onRequestClose={() => setShowScheduledList(false)}
+      >
+        <View style={styles.container}>
+          <CustomNavigationHeader
+            title="Scheduled Messages"
+            onBack={() => setShowScheduledList(false)}
+          />
+          <FlatList
+            data={scheduledMessages}
+            keyExtractor={(item) => item.scheduledMessageId}
+            contentContainerStyle={styles.messagesList}
+            ListEmptyComponent={(
+              <Text style={styles.scheduledEmptyText}>No scheduled messages</Text>
+            )}
+            renderItem={({ item }) => (
+              <View style={styles.scheduledItem}>
+                <Text style={styles.historyLabel}>
+                  {item.status === 'failed' ? 'Not sent' : item.status === 'sending' ? 'Sending now' : 'Sends'} · {formatDateByType(new Date(item.scheduledFor), 1)}
+                </Text>
+                <Text style={styles.historyContent}>
+                  {item.content.trim() || `${item.mediaFiles.length} attachment(s)`}
+                </Text>
+                {item.status === 'failed' && item.failureReason && (
+                  <Text style={styles.scheduledFailure}>{item.failureReason}</Text>
+                )}
+                {item.status === 'scheduled' && (
+                  <View style={styles.dialogActions}>
+                    <TouchableOpacity
+                      style={styles.menuItem}
+                      onPress={() => {
+                        setEditingScheduled(item);
+                        setScheduledEditText(item.content.trim());
+                      }}
+                    >
+                      <Text style={styles.menuItemText}>Edit</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.menuItem} onPress={() => setScheduleTarget(item)}>
+                      <Text style={styles.menuItemText}>Change Time</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.menuItem} onPress={() => handleCancelScheduled(item)}>
+                      <Text style={[styles.menuItemText, styles.cancelText]}>Cancel</Text>
+                    </TouchableOpacity>
+                  </View>
+                )}
+              </View>
+            )}
+          />
+        </View>
+        {renderScheduledEditModal()}
+        <DateTimeSelector
+          value={scheduleTarget && scheduleTarget !== 'new' ? new Date(scheduleTarget.scheduledFor) : getDefaultScheduleTime()}
+          onChange={handleScheduleTimeSelected}
+          format={1}
+          visible={!!scheduleTarget && scheduleTarget !== 'new'}
+          onClose={() => setScheduleTarget(null)}
+          title="Send At"
+          minimumDate={new Date()}
+        />
+      </Modal>
+    );
+  };
+
+  /**
+   * Render the dialog for editing a scheduled message's text
+   */
+  const renderScheduledEditModal = () => {
+    if (!editingScheduled) return null;
+
+    const closeEdit = () => {
+      setEditingScheduled(null);
+      setScheduledEditText('');
+    };
+
+    return (
+      <Modal
+        visible={true}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={closeEdit}
+      >
+        <View style={styles.menuOverlay}>
+          <View style={styles.dialogContainer}>
+            <Text style={styles.menuTitle}>Edit Scheduled Message</Text>
+            <TextInput
+              mode="outlined"
+              value={scheduledEditText}
+              onChangeText={setScheduledEditText}
+              multiline
+              style={styles.editInput}
+              autoFocus
+            />
+            <View style={styles.dialogActions}>
+              <TouchableOpacity style={styles.menuItem} onPress={closeEdit} disabled={savingScheduled}>
+                <Text style={[styles.menuItemText, styles.dialogCancelText]}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.menuItem}
+                onPress={handleSaveScheduledEdit}
+                disabled={savingScheduled || scheduledEditText.trim() === editingScheduled.content.trim()}
+              >
+                {savingScheduled ? (
+                  <ActivityIndicator size="small" color="#6200ee" />
+                ) : (
+                  <Text style={[styles.menuItemText, styles.saveText]}>Save</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    );
+  };
+
   return (
     <View style={styles.container}>
       {/* Custom Navigation Header */}
@@ -1349,19 +2191,38 @@ export default function MessagesScreen({ navigation, route }) {
 
         <FlatList
         ref={flatListRef}
-        data={messages}
+        data={displayedMessages}
         renderItem={renderMessage}
         keyExtractor={(item) => item.messageId}
         contentContainerStyle={styles.messagesList}
         ListHeaderComponent={renderLoadMore}
         ListEmptyComponent={renderEmptyState}
+        onScrollToIndexFailed={(info) => {
+          // Item not measured yet - scroll near it instead
+          flatListRef.current?.scrollToOffset({ offset: info.averageItemLength * info.index, animated: true });
+        }}
       />
 
 
       {renderMentionPicker()}
       {renderMessageMenu()}
+      {renderEditModal()}
+      {renderHistoryModal()}
+      {renderThreadModal()}
+      {renderScheduledModal()}
       {renderInputArea()}
 
+      {/* Time picker for scheduling the message being composed */}
+      <DateTimeSelector
+        value={getDefaultScheduleTime()}
+        onChange={handleScheduleTimeSelected}
+        format={1}
+        visible={scheduleTarget === 'new'}
+        onClose={() => setScheduleTarget(null)}
+        title="Send At"
+        minimumDate={new Date()}
+      />
+
       {/* Image Viewer */}
       {selectedMediaUrl && (
         <ImageViewer
@@ -1774,6 +2635,147 @@ const styles = StyleSheet.create({
     width: '100%',
     marginLeft: 0,
   },
+  messageBubbleHighlighted: {
+    borderWidth: 2,
+    borderColor: '#ffb300',
+  },
+  quoteBlock: {
+    borderLeftWidth: 3,
+    borderLeftColor: '#6200ee',
+    backgroundColor: 'rgba(0, 0, 0, 0.05)',
+    borderRadius: 4,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    marginBottom: 6,
+  },
+  quoteSender: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#6200ee',
+  },
+  quoteText: {
+    fontSize: 13,
+    color: '#555',
+  },
+  threadLink: {
+    fontSize: 12,
+    color: '#6200ee',
+    fontWeight: 'bold',
+    marginTop: 6,
+  },
+  replyPreview: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+    borderLeftWidth: 3,
+    borderLeftColor: '#6200ee',
+    paddingLeft: 12,
+  },
+  replyPreviewText: {
+    flex: 1,
+  },
+  scheduledBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f3e5f5',
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+    paddingRight: 12,
+  },
+  scheduledBannerIcon: {
+    margin: 0,
+  },
+  scheduledBannerText: {
+    fontSize: 13,
+    color: '#6200ee',
+  },
+  scheduledItem: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  scheduledFailure: {
+    fontSize: 12,
+    color: '#d32f2f',
+    marginTop: 4,
+  },
+  scheduledEmptyText: {
+    textAlign: 'center',
+    color: '#999',
+    padding: 24,
+  },
+  threadReplyButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#fff',
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+    padding: 4,
+  },
+  threadReplyText: {
+    fontSize: 15,
+    color: '#6200ee',
+    fontWeight: 'bold',
+  },
+  dialogContainer: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    width: '90%',
+    maxWidth: 400,
+    padding: 8,
+    elevation: 5,
+  },
+  dialogNote: {
+    fontSize: 12,
+    color: '#666',
+    paddingHorizontal: 12,
+    paddingTop: 8,
+  },
+  dialogActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  dialogCancelText: {
+    color: '#999',
+  },
+  saveText: {
+    color: '#6200ee',
+    fontWeight: 'bold',
+  },
+  editInput: {
+    marginHorizontal: 12,
+    maxHeight: 200,
+    backgroundColor: '#fff',
+  },
+  editedLabel: {
+    fontSize: 10,
+    color: '#999',
+    fontStyle: 'italic',
+    textDecorationLine: 'underline',
+  },
+  historyList: {
+    maxHeight: 360,
+  },
+  historyLoading: {
+    padding: 24,
+  },
+  historyItem: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  historyLabel: {
+    fontSize: 12,
+    color: '#999',
+    marginBottom: 4,
+  },
+  historyContent: {
+    fontSize: 14,
+    color: '#333',
+  },
   mediaContainer: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -18,6 +18,7 @@ import CustomNavigationHeader from '../../components/CustomNavigationHeader';
 import { CustomAlert } from '../../components/CustomAlert';
 import { CONFIG } from '../../constants/config';
 import UserAvatar from '../../components/shared/UserAvatar';
+import CallTranscriptCard from '../../components/CallTranscriptCard';
 
 /**
  * @typedef {Object} PhoneCallDetailsScreenProps
@@ -47,6 +48,8 @@ export default function PhoneCallDetailsScreen({ navigation, route }) {
   const [currentChunkIndex, setCurrentChunkIndex] = useState(0);
   const progressBarRef = useRef(null);
   const soundRef = useRef(null);
+  // Position to start the next loaded chunk at (tapping a transcript line)
+  const pendingSeekRef = useRef(null);
 
   // Keep soundRef in sync with sound state for cleanup
   useEffect(() => {
@@ -273,16 +276,18 @@ export default function PhoneCallDetailsScreen({ navigation, route }) {
   // Auto-play next chunk when index changes
   useEffect(() => {
     const chunks = getSortedChunks();
-    if (chunks.length > 0 && currentChunkIndex > 0 && isPlaying) {
+    if (chunks.length > 0 && (currentChunkIndex > 0 || pendingSeekRef.current !== null) && isPlaying) {
       // Load and play the new chunk
       const playNextChunk = async () => {
         const chunkUrl = getCurrentChunkUrl();
+        const positionMillis = pendingSeekRef.current || 0;
+        pendingSeekRef.current = null;
         if (chunkUrl) {
           try {
             setLoadingAudio(true);
             const { sound: newSound } = await Audio.Sound.createAsync(
               { uri: chunkUrl },
-              { shouldPlay: true },
+              { shouldPlay: true, positionMillis },
               onPlaybackStatusUpdate
             );
             setSound(newSound);
@@ -334,6 +339,58 @@ export default function PhoneCallDetailsScreen({ navigation, route }) {
     }
   };
 
+  /**
+   * Play the recording from a transcript line
+   * Loads the line's chunk first if another chunk is selected
+   * @param {Object} segment - Transcript segment ({ chunkIndex, startMs })
+   */
+  const handleTranscriptSeek = async (segment) => {
+    const chunks = getSortedChunks();
+    const targetIndex = chunks.length > 0 && segment.chunkIndex !== null
+      ? chunks.findIndex(chunk => chunk.chunkIndex === segment.chunkIndex)
+      : 0;
+    if (targetIndex === -1) return;
+
+    try {
+      if (targetIndex !== currentChunkIndex) {
+        if (sound) {
+          await sound.unloadAsync();
+          setSound(null);
+        }
+        pendingSeekRef.current = segment.startMs;
+        setPlaybackPosition(segment.startMs);
+        setIsPlaying(true);
+        // Loads and plays via useEffect watching currentChunkIndex
+        setCurrentChunkIndex(targetIndex);
+        return;
+      }
+
+      if (sound) {
+        await sound.setPositionAsync(segment.startMs);
+        await sound.playAsync();
+        setIsPlaying(true);
+        return;
+      }
+
+      const recordingUrl = chunks.length > 0 ? getCurrentChunkUrl() : getRecordingUrl();
+      if (!recordingUrl) return;
+
+      setLoadingAudio(true);
+      const { sound: newSound } = await Audio.Sound.createAsync(
+        { uri: recordingUrl },
+        { shouldPlay: true, positionMillis: segment.startMs },
+        onPlaybackStatusUpdate
+      );
+      setSound(newSound);
+      setIsPlaying(true);
+    } catch (err) {
+      console.error('Transcript seek error:', err);
+      CustomAlert.alert('Playback Error', 'Failed to play recording');
+    } finally {
+      setLoadingAudio(false);
+    }
+  };
+
   /**
    * Handle playback status updates
    */
@@ -755,6 +812,18 @@ export default function PhoneCallDetailsScreen({ navigation, route }) {
           </Card>
         )}
 
+        {/* Transcript - tap a line to play from there */}
+        {hasRecording && !isRecordingProcessing && !isUploadingRecording && !call.recordingIsHidden && !call.recording?.isHidden && (
+          <CallTranscriptCard
+            groupId={groupId}
+            callId={call.callId || callId}
+            callType="phone"
+            onSeek={handleTranscriptSeek}
+            currentChunkIndex={hasChunks ? sortedChunks[currentChunkIndex]?.chunkIndex : null}
+            playbackPosition={playbackPosition}
+          />
+        )}
+
         {/* Recording Hidden/Deleted Notice */}
         {(call.recordingIsHidden || call.recording?.isHidden) && (
           <Card style={[styles.card, styles.deletedCard]}>
@@ -0,0 +1,284 @@
+/**
+ * Search Screen
+ *
+ * Searches a group across messages, wiki documents, document file names,
+ * calendar events and finance matters. Only sections the user's role can see
+ * are searched, and tapping a result opens it in its own screen.
+ */
+
+import React, { useState } from 'react';
+import { View, StyleSheet, FlatList, TouchableOpacity } from 'react-native';
+import { Searchbar, Chip, Text, ActivityIndicator, IconButton } from 'react-native-paper';
+import api from '../../services/api';
+import CustomNavigationHeader from '../../components/CustomNavigationHeader';
+
+// Search sources with their chip label and result icon
+const SEARCH_TYPES = [
+  { key: 'messages', label: 'Messages', icon: 'message-text' },
+  { key: 'wiki', label: 'Wiki', icon: 'book-open-variant' },
+  { key: 'documents', label: 'Documents', icon: 'file-document' },
+  { key: 'calendar', label: 'Calendar', icon: 'calendar' },
+  { key: 'finance', label: 'Finance', icon: 'currency-usd' },
+];
+
+/**
+ * SearchScreen component
+ *
+ * @param {Object} props
+ * @param {Object} props.navigation - React Navigation navigation object
+ * @param {Object} props.route - React Navigation route object with groupId
+ * @returns {JSX.Element}
+ */
+export default function SearchScreen({ navigation, route }) {
+  const { groupId } = route.params;
+  const [query, setQuery] = useState('');
+  const [selectedTypes, setSelectedTypes] = useState([]);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Run the search for the current query and selected sources
+   */
+  const handleSearch = async (types = selectedTypes) => {
+    if (!query.trim()) {
+      setResults(null);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const params = new URLSearchParams({ q: query.trim() });
+      if (types.length > 0) {
+        params.append('types', types.join(','));
+      }
+      const response = await api.get(`/groups/${groupId}/search?${params.toString()}`);
+      setResults(response.data.results || []);
+    } catch (err) {
+      console.error('Search error:', err);
+
+      if (err.isAuthError) {
+        return;
+      }
+
+      setError(err.response?.data?.message || 'Failed to search');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Toggle a source filter and search again
+   */
+  const toggleType = (type) => {
+    const types = selectedTypes.includes(type)
+      ? selectedTypes.filter(t => t !== type)
+      : [...selectedTypes, type];
+    setSelectedTypes(types);
+    handleSearch(types);
+  };
+
+  /**
+   * Open a result in the screen it belongs to
+   */
+  const handleResultPress = (result) => {
+    switch (result.type) {
+      case 'messages':
+        navigation.navigate('GroupMessages', {
+          groupId,
+          messageGroupId: result.messageGroupId,
+          messageGroupName: result.title,
+        });
+        break;
+      case 'wiki':
+        navigation.navigate('Wiki', { groupId, documentId: result.id });
+        break;
+      case 'documents':
+        navigation.navigate('Documents', { groupId });
+        break;
+      case 'calendar':
+        navigation.navigate('Calendar', { groupId });
+        break;
+      case 'finance':
+        navigation.navigate('FinanceMatterDetails', {
+          groupId,
+          financeMatterId: result.id,
+          financeMatterName: result.title,
+        });
+        break;
+      default:
+        break;
+    }
+  };
+
+  /**
+   * Render a search result
+   */
+  const renderResult = ({ item }) => {
+    const type = SEARCH_TYPES.find(t => t.key === item.type);
+
+    return (
+      <TouchableOpacity style={styles.resultItem} onPress={() => handleResultPress(item)}>
+        <IconButton icon={type?.icon || 'magnify'} size={20} style={styles.resultIcon} />
+        <View style={styles.resultText}>
+          <Text style={styles.resultTitle} numberOfLines={1}>
+            {item.title || type?.label}
+          </Text>
+          {!!item.snippet && (
+            <Text style={styles.resultSnippet} numberOfLines={2}>{item.snippet}</Text>
+          )}
+          <Text style={styles.resultMeta}>
+            {type?.label}
+            {item.sender ? ` · ${item.sender}` : ''}
+            {item.date ? ` · ${new Date(item.date).toLocaleDateString()}` : ''}
+          </Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <CustomNavigationHeader title="Search" onBack={() => navigation.goBack()} />
+
+      <View style={styles.searchArea}>
+        <Searchbar
+          placeholder="Search this group..."
+          value={query}
+          onChangeText={setQuery}
+          onSubmitEditing={() => handleSearch()}
+          onIconPress={() => handleSearch()}
+          autoFocus
+          style={styles.searchBar}
+        />
+        <View style={styles.chipRow}>
+          {SEARCH_TYPES.map(type => (
+            <Chip
+              key={type.key}
+              selected={selectedTypes.includes(type.key)}
+              onPress={() => toggleType(type.key)}
+              style={styles.chip}
+            >
+              {type.label}
+            </Chip>
+          ))}
+        </View>
+      </View>
+
+      {error && (
+        <View style={styles.errorBanner}>
+          <Text style={styles.errorText}>{error}</Text>
+        </View>
+      )}
+
+      {loading ? (
+        <ActivityIndicator style={styles.loader} color="#6200ee" />
+      ) : (
+        <FlatList
+          data={results || []}
+          keyExtractor={(item) => `${item.type}-${item.id}`}
+          renderItem={renderResult}
+          contentContainerStyle={styles.listContent}
+          ListEmptyComponent={
+            results !== null && (
+              <View style={styles.emptyContainer}>
+                <Text style={styles.emptyText}>No results</Text>
+                <Text style={styles.emptySubtext}>
+                  Words are matched from their start, e.g. "dent" finds "Dentist"
+                </Text>
+              </View>
+            )
+          }
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  searchArea: {
+    padding: 12,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  searchBar: {
+    elevation: 0,
+    backgroundColor: '#f0f0f0',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 8,
+  },
+  chip: {
+    marginBottom: 2,
+  },
+  errorBanner: {
+    backgroundColor: '#ffebee',
+    padding: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ffcdd2',
+  },
+  errorText: {
+    color: '#d32f2f',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  loader: {
+    marginTop: 32,
+  },
+  listContent: {
+    paddingVertical: 8,
+  },
+  resultItem: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: '#fff',
+    paddingVertical: 10,
+    paddingRight: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  resultIcon: {
+    margin: 0,
+  },
+  resultText: {
+    flex: 1,
+  },
+  resultTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  resultSnippet: {
+    fontSize: 14,
+    color: '#555',
+    marginTop: 2,
+  },
+  resultMeta: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 32,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: '#999',
+    marginTop: 4,
+    textAlign: 'center',
+  },
+});
@@ -18,6 +18,7 @@ import CustomNavigationHeader from '../../components/CustomNavigationHeader';
 import { CustomAlert } from '../../components/CustomAlert';
 import { CONFIG } from '../../constants/config';
 import UserAvatar from '../../components/shared/UserAvatar';
+import CallTranscriptCard from '../../components/CallTranscriptCard';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
@@ -41,6 +42,9 @@ export default function VideoCallDetailsScreen({ navigation, route }) {
   const [progressBarWidth, setProgressBarWidth] = useState(0);
   const [progressBarLeft, setProgressBarLeft] = useState(0);
   const videoRef = useRef(null);
+  const webVideoRef = useRef(null);
+  // Position to start the next loaded chunk at (tapping a transcript line)
+  const pendingSeekRef = useRef(null);
   const progressBarRef = useRef(null);
 
   useEffect(() => {
@@ -248,6 +252,14 @@ export default function VideoCallDetailsScreen({ navigation, route }) {
       setPlaybackPosition(status.positionMillis);
       setIsPlaying(status.isPlaying);
 
+      if (pendingSeekRef.current !== null && videoRef.current) {
+        const position = pendingSeekRef.current;
+        pendingSeekRef.current = null;
+        videoRef.current.setPositionAsync(position)
+          .then(() => videoRef.current?.playAsync())
+          .catch(error => console.error('[VideoCallDetails] Transcript seek error:', error));
+      }
+
       // Use stored duration from database as fallback when video duration is 0 or Infinity
       // WebM files often don't have duration metadata embedded
       const chunks = call?.recording?.chunks || [];
@@ -271,6 +283,51 @@ export default function VideoCallDetailsScreen({ navigation, route }) {
     }
   };
 
+  /**
+   * Start a newly loaded web video at the transcript line that was tapped
+   */
+  const handleWebVideoLoaded = (event) => {
+    if (pendingSeekRef.current === null) return;
+    const video = event.currentTarget;
+    video.currentTime = pendingSeekRef.current / 1000;
+    pendingSeekRef.current = null;
+    video.play().catch(error => console.error('[VideoCallDetails] Transcript seek error:', error));
+  };
+
+  /**
+   * Play the recording from a transcript line
+   * Loads the line's chunk first if another chunk is selected
+   * @param {Object} segment - Transcript segment ({ chunkIndex, startMs })
+   */
+  const handleTranscriptSeek = async (segment) => {
+    const chunks = getSortedChunks();
+    const targetIndex = chunks.length > 0 && segment.chunkIndex !== null
+      ? chunks.findIndex(chunk => chunk.chunkIndex === segment.chunkIndex)
+      : 0;
+    if (targetIndex === -1) return;
+
+    if (targetIndex !== currentChunkIndex) {
+      // Applied once the chunk's video has loaded
+      pendingSeekRef.current = segment.startMs;
+      setCurrentChunkIndex(targetIndex);
+      return;
+    }
+
+    try {
+      if (Platform.OS === 'web') {
+        if (!webVideoRef.current) return;
+        webVideoRef.current.currentTime = segment.startMs / 1000;
+        await webVideoRef.current.play();
+      } else {
+        if (!videoRef.current) return;
+        await videoRef.current.setPositionAsync(segment.startMs);
+        await videoRef.current.playAsync();
+      }
+    } catch (error) {
+      console.error('[VideoCallDetails] Transcript seek error:', error);
+    }
+  };
+
   /**
    * Handle video load error
    */
@@ -531,11 +588,14 @@ export default function VideoCallDetailsScreen({ navigation, route }) {
                 {Platform.OS === 'web' ? (
                   // Use native HTML video on web for better compatibility
                   <video
+                    ref={webVideoRef}
                     key={recordingUrl}
                     src={recordingUrl}
                     controls
                     autoPlay={hasChunks && currentChunkIndex > 0}
                     onEnded={hasChunks ? handleVideoEnd : undefined}
+                    onLoadedMetadata={handleWebVideoLoaded}
+                    onTimeUpdate={(e) => setPlaybackPosition(e.currentTarget.currentTime * 1000)}
                     style={{ width: '100%', height: '100%', backgroundColor: '#000' }}
                   />
                 ) : (
@@ -695,6 +755,18 @@ export default function VideoCallDetailsScreen({ navigation, route }) {
           </Card>
         )}
 
+        {/* Transcript - tap a line to play from there */}
+        {hasRecording && !isRecordingProcessing && !call.recordingIsHidden && !call.recording?.isHidden && (
+          <CallTranscriptCard
+            groupId={groupId}
+            callId={call.callId || callId}
+            callType="video"
+            onSeek={handleTranscriptSeek}
+            currentChunkIndex={hasChunks ? sortedChunks[currentChunkIndex]?.chunkIndex : null}
+            playbackPosition={playbackPosition}
+          />
+        )}
+
         {/* Recording Hidden/Deleted Notice */}
         {(call.recordingIsHidden || call.recording?.isHidden) && (
           <Card style={[styles.card, styles.deletedCard]}>
@@ -27,7 +27,7 @@ const DRAWER_WIDTH = SCREEN_WIDTH * 0.75;
  * @returns {JSX.Element}
  */
 export default function WikiScreen({ navigation, route }) {
-  const { groupId } = route.params;
+  const { groupId, documentId } = route.params;
 
   // Document state
   const [documents, setDocuments] = useState([]);
@@ -67,6 +67,13 @@ export default function WikiScreen({ navigation, route }) {
     }, [groupId])
   );
 
+  // Open a document passed in by another screen (e.g. search results)
+  useEffect(() => {
+    if (documentId) {
+      selectDocument({ documentId });
+    }
+  }, [documentId]);
+
   // Animate drawer
   useEffect(() => {
     Animated.timing(drawerAnim, {
@@ -0,0 +1,305 @@
+/**
+ * Realtime Service
+ *
+ * Single WebSocket connection to the backend /realtime channel.
+ * Screens subscribe to message groups or calls and receive pushed events
+ * instead of polling. While the socket is down, screens are told via
+ * onConnectionChange so they can fall back to polling the REST endpoints.
+ *
+ * Features:
+ * - Only connects where the backend serves realtime (GET /health/realtime);
+ *   elsewhere (e.g. the Lambda API) it stays disconnected and screens poll
+ * - Authenticates with the same access token used by the API client
+ * - Reconnects with exponential backoff and re-subscribes automatically
+ * - Closes the socket when the last subscription is removed
+ */
+
+import * as SecureStore from 'expo-secure-store';
+import api, { API_BASE_URL } from './api';
+
+const DEFAULT_REALTIME_URL = `${API_BASE_URL.replace(/^http/, 'ws')}/realtime`;
+
+// How long a "realtime is off" answer is trusted before asking again
+const DISABLED_RECHECK_MS = 10 * 60 * 1000;
+
+// Reconnect backoff bounds
+const MIN_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+class RealtimeClient {
+  constructor() {
+    this.socket = null;
+    this.connected = false;
+    this.reconnectDelay = MIN_RECONNECT_DELAY_MS;
+    this.reconnectTimer = null;
+    this.connecting = false;
+    // key -> { spec, handlers: Set<Function>, topics: string[] }
+    this.subscriptions = new Map();
+    this.connectionListeners = new Set();
+    // { enabled, url, checkedAt } from GET /health/realtime
+    this.config = null;
+    this.configRequest = null;
+  }
+
+  /**
+   * Whether the socket is open and authenticated
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Listen for connection state changes
+   * @param {Function} listener - Called with true when connected, false when disconnected
+   * @returns {Function} Unsubscribe function
+   */
+  onConnectionChange(listener) {
+    this.connectionListeners.add(listener);
+    return () => {
+      this.connectionListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Subscribe to a channel
+   *
+   * @param {Object} spec - Subscription, e.g. { channel: 'message-group', groupId, messageGroupId }
+   *                        or { channel: 'call', callType, groupId, callId }
+   * @param {Function} handler - Called with (event, data) for each pushed event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(spec, handler) {
+    const key = JSON.stringify(spec);
+    let subscription = this.subscriptions.get(key);
+
+    if (!subscription) {
+      subscription = { spec, handlers: new Set(), topics: [] };
+      this.subscriptions.set(key, subscription);
+      if (this.connected) {
+        this.send({ type: 'subscribe', ...spec, requestId: key });
+      }
+    }
+    subscription.handlers.add(handler);
+
+    this.connect();
+
+    return () => {
+      subscription.handlers.delete(handler);
+      if (subscription.handlers.size > 0 || this.subscriptions.get(key) !== subscription) {
+        return;
+      }
+
+      this.subscriptions.delete(key);
+      if (this.connected && subscription.topics.length > 0) {
+        this.send({ type: 'unsubscribe', topic: subscription.topics[0] });
+      }
+      if (this.subscriptions.size === 0) {
+        this.disconnect();
+      }
+    };
+  }
+
+  /**
+   * Acknowledge handled call signals
+   * Signals stay pending on the server until acked, so polling still returns
+   * any that didn't make it.
+   * @param {string[]} signalIds
+   */
+  acknowledgeSignals(signalIds) {
+    const ids = signalIds.filter(Boolean);
+    if (ids.length > 0) {
+      this.send({ type: 'ack', signalIds: ids });
+    }
+  }
+
+  /**
+   * Ask the backend whether (and where) realtime is served
+   * @private
+   * @returns {Promise<{enabled: boolean, url: string|null}>}
+   */
+  async loadConfig() {
+    const isFresh = this.config
+      && (this.config.enabled || Date.now() - this.config.checkedAt < DISABLED_RECHECK_MS);
+    if (isFresh) {
+      return this.config;
+    }
+
+    if (!this.configRequest) {
+      this.configRequest = api.get('/health/realtime')
+        .then((response) => {
+          this.config = { ...response.data, checkedAt: Date.now() };
+          return this.config;
+        })
+        .finally(() => {
+          this.configRequest = null;
+        });
+    }
+    return this.configRequest;
+  }
+
+  /**
+   * Open the socket if it isn't already open and realtime is served
+   */
+  async connect() {
+    if (this.socket || this.reconnectTimer || this.connecting) {
+      return;
+    }
+
+    this.connecting = true;
+    let config;
+    try {
+      config = await this.loadConfig();
+    } catch (error) {
+      // Backend unreachable - try again with backoff
+      this.connecting = false;
+      this.scheduleReconnect();
+      return;
+    }
+    this.connecting = false;
+
+    if (!config.enabled) {
+      // Not deployed here (e.g. Lambda): screens keep polling
+      return;
+    }
+    if (this.socket || this.subscriptions.size === 0) {
+      return;
+    }
+
+    const socket = new WebSocket(config.url || DEFAULT_REALTIME_URL);
+    this.socket = socket;
+
+    socket.onopen = async () => {
+      try {
+        const token = await SecureStore.getItemAsync('accessToken');
+        this.send({ type: 'auth', token });
+      } catch (error) {
+        console.warn('[Realtime] Could not read access token:', error.message);
+        socket.close();
+      }
+    };
+
+    socket.onmessage = (event) => {
+      let frame;
+      try {
+        frame = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      this.handleFrame(frame);
+    };
+
+    socket.onerror = () => {
+      // onclose follows and handles reconnection
+    };
+
+    socket.onclose = () => {
+      if (this.socket !== socket) {
+        return;
+      }
+      this.socket = null;
+      this.setConnected(false);
+      this.scheduleReconnect();
+    };
+  }
+
+  /**
+   * Close the socket and stop reconnecting
+   */
+  disconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+    this.reconnectDelay = MIN_RECONNECT_DELAY_MS;
+    this.setConnected(false);
+  }
+
+  /**
+   * @private
+   */
+  scheduleReconnect() {
+    if (this.subscriptions.size === 0 || this.reconnectTimer) {
+      return;
+    }
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+  }
+
+  /**
+   * @private
+   */
+  handleFrame(frame) {
+    switch (frame.type) {
+      case 'ready':
+        this.reconnectDelay = MIN_RECONNECT_DELAY_MS;
+        this.subscriptions.forEach((subscription, key) => {
+          subscription.topics = [];
+          this.send({ type: 'subscribe', ...subscription.spec, requestId: key });
+        });
+        this.setConnected(true);
+        break;
+
+      case 'subscribed': {
+        const subscription = this.subscriptions.get(frame.requestId);
+        if (subscription) {
+          subscription.topics = frame.topics || [frame.topic];
+        }
+        break;
+      }
+
+      case 'event':
+        this.subscriptions.forEach((subscription) => {
+          if (subscription.topics.includes(frame.topic)) {
+            subscription.handlers.forEach((handler) => {
+              try {
+                handler(frame.event, frame.data);
+              } catch (error) {
+                console.error('[Realtime] Handler error:', error);
+              }
+            });
+          }
+        });
+        break;
+
+      case 'error':
+        console.warn('[Realtime] Server error:', frame.message);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * @private
+   */
+  setConnected(connected) {
+    if (this.connected === connected) {
+      return;
+    }
+    this.connected = connected;
+    this.connectionListeners.forEach(listener => listener(connected));
+  }
+
+  /**
+   * @private
+   */
+  send(frame) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(frame));
+    }
+  }
+}
+
+// Export singleton instance
+export default new RealtimeClient();
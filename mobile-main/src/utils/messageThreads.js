@@ -0,0 +1,68 @@
+/**
+ * Message Thread Utility Functions
+ *
+ * Helpers for replies: keeping reply counts current as messages arrive and
+ * collapsing long side-conversations in the main message list.
+ */
+
+/**
+ * Replies a thread can have before the main list collapses it
+ */
+export const THREAD_COLLAPSE_THRESHOLD = 3;
+
+/**
+ * Add a message to a list, unless it is already there
+ * A reply also bumps the reply count of its thread's first message.
+ * @param {Object[]} messages - Current messages
+ * @param {Object} message - Message to add
+ * @returns {Object[]} New messages array (or the same one if nothing changed)
+ */
+export const addMessageToList = (messages, message) => {
+  if (messages.some(m => m.messageId === message.messageId)) {
+    return messages;
+  }
+
+  const updated = message.threadRootId
+    ? messages.map(m => (
+      m.messageId === message.threadRootId
+        ? { ...m, replyCount: (m.replyCount || 0) + 1 }
+        : m
+    ))
+    : messages;
+
+  return [...updated, message];
+};
+
+/**
+ * Collapse long threads for the main message list
+ * In a thread with more replies than the threshold, only the latest reply
+ * stays in the list, with collapsedReplyCount set to the number left out;
+ * those are reachable from the thread view.
+ * @param {Object[]} messages - Messages, oldest first
+ * @param {number} [threshold] - Replies shown before collapsing
+ * @returns {Object[]} Messages to display
+ */
+export const collapseThreads = (messages, threshold = THREAD_COLLAPSE_THRESHOLD) => {
+  const repliesByThread = {};
+  messages.forEach(m => {
+    if (m.threadRootId) {
+      repliesByThread[m.threadRootId] = (repliesByThread[m.threadRootId] || 0) + 1;
+    }
+  });
+
+  const seen = {};
+  const displayed = [];
+  messages.forEach(m => {
+    const replies = repliesByThread[m.threadRootId];
+    if (!m.threadRootId || replies <= threshold) {
+      displayed.push(m);
+      return;
+    }
+    seen[m.threadRootId] = (seen[m.threadRootId] || 0) + 1;
+    if (seen[m.threadRootId] === replies) {
+      displayed.push({ ...m, collapsedReplyCount: replies - 1 });
+    }
+  });
+
+  return displayed;
+};
@@ -0,0 +1,17 @@
+/**
+ * Time Zone Utility Functions
+ */
+
+/**
+ * Get the device time zone (IANA, e.g. Australia/Sydney)
+ * Sent with recurring events so they repeat at the same local time across
+ * DST changes, and with reports so days and overnights match the device.
+ * @returns {string} Time zone, or 'UTC' if the device doesn't report one
+ */
+export const getDeviceTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+};
@@ -48,6 +48,7 @@ export default function AuditLogsScreen({ navigation }) {
   const [selectedUsers, setSelectedUsers] = useState([]);
   const [fromDate, setFromDate] = useState('');
   const [toDate, setToDate] = useState('');
+  const [includeTranscripts, setIncludeTranscripts] = useState(false);
   const [availableActions, setAvailableActions] = useState([]);
   const [availableUsers, setAvailableUsers] = useState([]);
 
@@ -166,6 +167,7 @@ export default function AuditLogsScreen({ navigation }) {
     setSelectedUsers([]);
     setFromDate('');
     setToDate('');
+    setIncludeTranscripts(false);
     setPage(0);
   }
 
@@ -230,6 +232,9 @@ export default function AuditLogsScreen({ navigation }) {
         const memberIds = await getUserIdsFromEmails(selectedUsers);
         filters.userIds = memberIds;
       }
+      if (includeTranscripts) {
+        filters.includeTranscripts = true;
+      }
 
       // Call backend to generate PDF
       const response = await api.post(
@@ -392,6 +397,10 @@ export default function AuditLogsScreen({ navigation }) {
       parts.push(`Users: ${filters.userIds.length}`);
     }
 
+    if (filters.includeTranscripts) {
+      parts.push('Call transcripts');
+    }
+
     return parts.length > 0 ? parts.join(', ') : 'No filters';
   }
 
@@ -583,7 +592,7 @@ export default function AuditLogsScreen({ navigation }) {
                     <Button
                       mode="text"
                       onPress={handleClearFilters}
-                      disabled={selectedActions.length === 0 && selectedUsers.length === 0 && !fromDate && !toDate}
+                      disabled={selectedActions.length === 0 && selectedUsers.length === 0 && !fromDate && !toDate && !includeTranscripts}
                     >
                       Clear All
                     </Button>
@@ -642,6 +651,19 @@ export default function AuditLogsScreen({ navigation }) {
                     />
                   </View>
 
+                  {/* Export Options */}
+                  <Text style={styles.filterSectionTitle}>Export Options</Text>
+                  <View style={styles.chipContainer}>
+                    <Chip
+                      icon="text-box-outline"
+                      selected={includeTranscripts}
+                      onPress={() => setIncludeTranscripts(!includeTranscripts)}
+                      style={styles.filterChip}
+                    >
+                      Include call transcripts
+                    </Chip>
+                  </View>
+
                   {/* Active Filters Summary */}
                   {(selectedActions.length > 0 || selectedUsers.length > 0 || fromDate || toDate) && (
                     <View style={styles.activeFiltersSummary}>
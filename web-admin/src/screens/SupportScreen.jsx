@@ -9,6 +9,7 @@
  * - Expire subscription (sets both dates to yesterday)
  * - Expandable billing history
  * - View support audit logs
+ * - View background jobs and their run history, run a job now, pause a job
  */
 
 import React, { useState, useEffect } from 'react';
@@ -60,6 +61,14 @@ export default function SupportScreen({ navigation }) {
   const [logTotal, setLogTotal] = useState(0);
   const [logActionFilter, setLogActionFilter] = useState('');
 
+  // Jobs state
+  const [jobs, setJobs] = useState([]);
+  const [jobsLoading, setJobsLoading] = useState(false);
+  const [jobsError, setJobsError] = useState(null);
+  const [expandedJobName, setExpandedJobName] = useState(null);
+  const [jobRuns, setJobRuns] = useState([]);
+  const [jobRunsLoading, setJobRunsLoading] = useState(false);
+
   // Action state
   const [actionLoading, setActionLoading] = useState(null);
   const [successMessage, setSuccessMessage] = useState(null);
@@ -88,6 +97,12 @@ export default function SupportScreen({ navigation }) {
     }
   }, [activeTab, logPage, logActionFilter]);
 
+  useEffect(() => {
+    if (activeTab === 'jobs') {
+      fetchJobs();
+    }
+  }, [activeTab]);
+
   async function fetchUsers() {
     try {
       setUsersLoading(true);
@@ -145,6 +160,87 @@ export default function SupportScreen({ navigation }) {
     }
   }
 
+  async function fetchJobs() {
+    try {
+      setJobsLoading(true);
+      setJobsError(null);
+      const response = await api.get('/jobs');
+      setJobs(response.data.jobs || []);
+    } catch (err) {
+      console.error('Failed to fetch jobs:', err);
+      setJobsError('Failed to load jobs');
+    } finally {
+      setJobsLoading(false);
+    }
+  }
+
+  async function fetchJobRuns(name) {
+    try {
+      setJobRunsLoading(true);
+      const response = await api.get(`/jobs/${name}/runs`, {
+        params: { limit: 20 },
+      });
+      setJobRuns(response.data.runs || []);
+    } catch (err) {
+      console.error('Failed to fetch job runs:', err);
+      setJobRuns([]);
+    } finally {
+      setJobRunsLoading(false);
+    }
+  }
+
+  function toggleExpandJob(name) {
+    if (expandedJobName === name) {
+      setExpandedJobName(null);
+      setJobRuns([]);
+    } else {
+      setExpandedJobName(name);
+      fetchJobRuns(name);
+    }
+  }
+
+  async function handleRunJob(job) {
+    try {
+      setActionLoading(job.name);
+      await api.post(`/jobs/${job.name}/run`);
+      setSuccessMessage(`${job.name} will run shortly`);
+      fetchJobs();
+    } catch (err) {
+      console.error('Failed to run job:', err);
+      setJobsError(err.response?.data?.error || 'Failed to run job');
+    } finally {
+      setActionLoading(null);
+    }
+  }
+
+  async function handleToggleJob(job) {
+    try {
+      setActionLoading(job.name);
+      await api.put(`/jobs/${job.name}`, { enabled: !job.enabled });
+      setSuccessMessage(`${job.name} ${job.enabled ? 'disabled' : 'enabled'}`);
+      fetchJobs();
+    } catch (err) {
+      console.error('Failed to update job:', err);
+      setJobsError(err.response?.data?.error || 'Failed to update job');
+    } finally {
+      setActionLoading(null);
+    }
+  }
+
+  function getJobStatus(job) {
+    if (job.running) return { label: 'Running', color: '#2196f3' };
+    if (!job.enabled) return { label: 'Disabled', color: '#666' };
+    if (job.lastStatus === 'failed') return { label: 'Failed', color: '#d32f2f' };
+    if (job.lastStatus === 'succeeded') return { label: 'OK', color: '#4caf50' };
+    return { label: 'Not run yet', color: '#ff9800' };
+  }
+
+  function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '—';
+    if (ms < 1000) return `${ms} ms`;
+    return `${(ms / 1000).toFixed(1)} s`;
+  }
+
   function toggleExpandUser(userId) {
     if (expandedUserId === userId) {
       setExpandedUserId(null);
@@ -352,7 +448,9 @@ export default function SupportScreen({ navigation }) {
     <ScrollView style={styles.container}>
       <View style={styles.content}>
         <Title style={styles.pageTitle}>Support Dashboard</Title>
-        <Paragraph style={styles.pageSubtitle}>Manage users and view support audit logs</Paragraph>
+        <Paragraph style={styles.pageSubtitle}>
+          Manage users, view support audit logs and monitor background jobs
+        </Paragraph>
 
         {/* Success Message */}
         {successMessage && (
@@ -381,6 +479,7 @@ export default function SupportScreen({ navigation }) {
           buttons={[
             { value: 'users', label: 'Users', icon: 'account-group' },
             { value: 'logs', label: 'Support Audit Logs', icon: 'history' },
+            { value: 'jobs', label: 'Jobs', icon: 'timer-cog-outline' },
           ]}
           style={styles.tabSelector}
         />
@@ -773,6 +872,188 @@ export default function SupportScreen({ navigation }) {
           </Card>
         )}
 
+        {/* Jobs Tab */}
+        {activeTab === 'jobs' && (
+          <Card style={styles.card}>
+            <Card.Content>
+              <View style={styles.logsHeader}>
+                <Title>Background Jobs</Title>
+                <Button mode="outlined" icon="refresh" compact onPress={fetchJobs}>
+                  Refresh
+                </Button>
+              </View>
+              <Text style={styles.resultCount}>
+                Each job runs on one server at a time. Failed runs are retried with backoff.
+              </Text>
+              <Divider style={styles.divider} />
+
+              {jobsError && (
+                <Surface style={styles.alertError}>
+                  <Text style={styles.alertErrorText}>{jobsError}</Text>
+                  <Button compact onPress={() => setJobsError(null)}>
+                    Dismiss
+                  </Button>
+                </Surface>
+              )}
+
+              {jobsLoading ? (
+                <View style={styles.loadingContainer}>
+                  <ActivityIndicator size="large" />
+                  <Text style={styles.loadingText}>Loading jobs...</Text>
+                </View>
+              ) : jobs.length === 0 ? (
+                <Text style={styles.noResultsText}>No jobs found</Text>
+              ) : (
+                jobs.map((job) => {
+                  const jobStatus = getJobStatus(job);
+                  const isExpanded = expandedJobName === job.name;
+
+                  return (
+                    <Surface key={job.name} style={styles.logEntry}>
+                      <TouchableOpacity
+                        style={styles.logHeader}
+                        onPress={() => toggleExpandJob(job.name)}
+                      >
+                        <View style={styles.jobTitleRow}>
+                          <MaterialCommunityIcons
+                            name={isExpanded ? 'chevron-down' : 'chevron-right'}
+                            size={20}
+                            color="#666"
+                          />
+                          <Text style={styles.jobName}>{job.name}</Text>
+                          <Chip
+                            style={[styles.statusChip, { backgroundColor: jobStatus.color + '20' }]}
+                            textStyle={[styles.statusChipText, { color: jobStatus.color }]}
+                          >
+                            {jobStatus.label}
+                          </Chip>
+                        </View>
+                        <View style={styles.actionsRow}>
+                          <Button
+                            compact
+                            icon="play"
+                            onPress={() => handleRunJob(job)}
+                            disabled={actionLoading === job.name || job.running || job.runRequested}
+                          >
+                            {job.runRequested ? 'Queued' : 'Run now'}
+                          </Button>
+                          <View style={styles.actionItem}>
+                            <Text style={styles.actionLabel}>Enabled</Text>
+                            <Switch
+                              value={job.enabled}
+                              onValueChange={() => handleToggleJob(job)}
+                              disabled={actionLoading === job.name}
+                            />
+                          </View>
+                        </View>
+                      </TouchableOpacity>
+
+                      <View style={styles.logBody}>
+                        {job.description && (
+                          <Text style={styles.logValueMuted}>{job.description}</Text>
+                        )}
+                        <View style={styles.logRow}>
+                          <Text style={styles.logLabel}>Schedule:</Text>
+                          <Text style={styles.logValue}>{job.schedule}</Text>
+                        </View>
+                        <View style={styles.logRow}>
+                          <Text style={styles.logLabel}>Last run:</Text>
+                          <Text style={styles.logValue}>{formatDate(job.lastRunAt)}</Text>
+                        </View>
+                        <View style={styles.logRow}>
+                          <Text style={styles.logLabel}>Next run:</Text>
+                          <Text style={styles.logValue}>
+                            {job.enabled ? formatDate(job.nextRunAt) : 'Disabled'}
+                          </Text>
+                        </View>
+                        {job.running && (
+                          <View style={styles.logRow}>
+                            <Text style={styles.logLabel}>Running on:</Text>
+                            <Text style={styles.logValueMuted}>{job.runningOn}</Text>
+                          </View>
+                        )}
+                        {job.lastStatus === 'failed' && job.lastError && (
+                          <View style={styles.logRow}>
+                            <Text style={styles.logLabel}>Last error:</Text>
+                            <Text style={[styles.logValue, styles.jobErrorText]}>
+                              {job.lastError}
+                            </Text>
+                          </View>
+                        )}
+                        {job.attempts > 0 && !job.running && (
+                          <View style={styles.logRow}>
+                            <Text style={styles.logLabel}>Retrying:</Text>
+                            <Text style={styles.logValue}>
+                              Attempt {job.attempts + 1} of {job.maxAttempts}
+                            </Text>
+                          </View>
+                        )}
+                      </View>
+
+                      {isExpanded && (
+                        <View style={styles.expandedSection}>
+                          <Text style={styles.expandedTitle}>Recent Runs</Text>
+                          {jobRunsLoading ? (
+                            <ActivityIndicator size="small" />
+                          ) : jobRuns.length === 0 ? (
+                            <Text style={styles.noBillingText}>No runs yet</Text>
+                          ) : (
+                            <View style={styles.billingList}>
+                              {jobRuns.map((run) => (
+                                <View key={run.runId}>
+                                  <View style={styles.billingRecord}>
+                                    <Chip
+                                      style={[
+                                        styles.billingStatusChip,
+                                        {
+                                          backgroundColor:
+                                            run.status === 'succeeded'
+                                              ? '#e8f5e9'
+                                              : run.status === 'failed'
+                                                ? '#ffebee'
+                                                : '#e3f2fd',
+                                        },
+                                      ]}
+                                      textStyle={{ fontSize: 10 }}
+                                    >
+                                      {run.status}
+                                    </Chip>
+                                    <Text style={styles.billingDate}>{formatDate(run.startedAt)}</Text>
+                                    <Text style={styles.billingDate}>
+                                      {formatDuration(run.durationMs)}
+                                    </Text>
+                                    <Text style={styles.billingDate}>
+                                      {run.trigger}
+                                      {run.attempt > 1 ? ` (attempt ${run.attempt})` : ''}
+                                    </Text>
+                                    <Text style={styles.logValueMuted} numberOfLines={1}>
+                                      {run.instanceId}
+                                    </Text>
+                                  </View>
+                                  {run.error && (
+                                    <Text style={[styles.billingDate, styles.jobErrorText]}>
+                                      {run.error}
+                                    </Text>
+                                  )}
+                                  {run.result && (
+                                    <Text style={styles.billingDate} numberOfLines={2}>
+                                      {JSON.stringify(run.result)}
+                                    </Text>
+                                  )}
+                                </View>
+                              ))}
+                            </View>
+                          )}
+                        </View>
+                      )}
+                    </Surface>
+                  );
+                })
+              )}
+            </Card.Content>
+          </Card>
+        )}
+
         {/* Info Box */}
         <Surface style={styles.infoBox}>
           <MaterialCommunityIcons name="information" size={20} color="#1976d2" />
@@ -1181,6 +1462,19 @@ const styles = StyleSheet.create({
     color: '#999',
     flex: 1,
   },
+  // Jobs
+  jobTitleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  jobName: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  jobErrorText: {
+    color: '#d32f2f',
+  },
   // Info box
   infoBox: {
     flexDirection: 'row',